@@ -0,0 +1,125 @@
+// modules/billing/config.js
+// Tunables for the subscription lifecycle: states, grace period and dunning,
+// and for pay-per-lead billing.
+
+'use strict';
+
+const GRACE_DAYS = parseInt(process.env.BILLING_GRACE_DAYS || '14', 10);
+
+// Days after the first failed payment on which a dunning email goes out. The
+// first is the "payment failed" notice, the last the final notice; days at or
+// after the end of grace are dropped (the "access paused" email covers that).
+function dunningDays(raw, graceDays) {
+  const days = String(raw).split(',').map((s) => parseInt(s.trim(), 10))
+    .filter((d) => Number.isFinite(d) && d >= 0 && d < graceDays);
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+// Lead prices in cents by province code. BILLING_LEAD_PRICES is a JSON object
+// merged over the defaults, e.g. {"ON": 6500, "default": 4500}; bad entries
+// are dropped with a warning rather than failing boot.
+const DEFAULT_LEAD_PRICES = {
+  ON: 6000, BC: 6000, QC: 5500, AB: 5500,
+  MB: 4500, SK: 4500, NS: 4500, NB: 4000, NL: 4000, PE: 3500,
+  YT: 3500, NT: 3500, NU: 3500,
+  default: 5000,
+};
+
+function leadPrices(raw, defaults = DEFAULT_LEAD_PRICES) {
+  if (!raw) return { ...defaults };
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    console.warn('[billing] BILLING_LEAD_PRICES is not JSON, using defaults:', err.message);
+    return { ...defaults };
+  }
+  const out = { ...defaults };
+  for (const [key, cents] of Object.entries(parsed || {})) {
+    const code = key === 'default' ? key : key.toUpperCase();
+    if (Number.isInteger(cents) && cents > 0 && (code === 'default' || defaults[code])) out[code] = cents;
+    else console.warn(`[billing] BILLING_LEAD_PRICES: ignoring ${key}=${cents}`);
+  }
+  return out;
+}
+
+module.exports = {
+  // Local subscription states. Stripe's own statuses map onto these
+  // (STRIPE_STATUS); anything not listed in TRANSITIONS is ignored and recorded.
+  STATES: ['trialing', 'active', 'past_due', 'unpaid', 'canceled'],
+  TRANSITIONS: {
+    trialing: ['active', 'past_due', 'unpaid', 'canceled'],
+    active: ['past_due', 'unpaid', 'canceled'],
+    past_due: ['active', 'unpaid', 'canceled'],
+    unpaid: ['active', 'canceled'],
+    canceled: ['trialing', 'active'],          // resubscribe
+  },
+  STRIPE_STATUS: {
+    trialing: 'trialing',
+    active: 'active',
+    past_due: 'past_due',
+    unpaid: 'unpaid',
+    canceled: 'canceled',
+    incomplete: 'unpaid',                      // first payment not made yet
+    incomplete_expired: 'canceled',
+    paused: 'unpaid',
+  },
+
+  // Tier order for plan changes: moving up is an upgrade, charged now.
+  TIER_RANK: { associate: 1, professional: 2, enterprise: 3 },
+
+  // A past_due subscription keeps access this long after the first failed
+  // payment, then drops to 'unpaid' until a payment succeeds.
+  GRACE_DAYS,
+  DUNNING_DAYS: dunningDays(process.env.BILLING_DUNNING_DAYS || '0,3,7,12', GRACE_DAYS),
+  DUNNING_CRON: '15 * * * *',
+  DUNNING_BATCH: 200,
+
+  // Dunning email gating. Default OFF, same posture as LEAD_NOTIFY_ENABLED:
+  // the schedule runs and every email is rendered into
+  // billing_subscription_events('email_suppressed_dark') instead of sent.
+  EMAILS_ENABLED: String(process.env.BILLING_DUNNING_EMAILS_ENABLED || 'false').toLowerCase() === 'true',
+
+  // billing_reconcile compares every Stripe subscription with cpa_subscriptions
+  // and the profile and user mirrors. It only reports unless
+  // BILLING_RECONCILE_REPAIR=true. BILLING_RECONCILE_FIXTURE names a JSON file
+  // of recorded Stripe subscriptions (scripts/billing-reconcile.js --record)
+  // to compare against instead of the API, e.g. on a local snapshot.
+  RECONCILE_CRON: '40 4 * * *',
+  RECONCILE_REPAIR: String(process.env.BILLING_RECONCILE_REPAIR || 'false').toLowerCase() === 'true',
+  RECONCILE_FIXTURE: process.env.BILLING_RECONCILE_FIXTURE || null,
+  // Stripe subscriptions listed per run. A run that hits it cannot tell a
+  // missing subscription from an unlisted one and skips 'missing_stripe'.
+  RECONCILE_MAX: 10000,
+  // Period ends closer than this are the same period.
+  PERIOD_TOLERANCE_MINUTES: 60,
+
+  // An event still 'processing' after this long is taken to have died with
+  // its process and may be claimed again.
+  STALE_CLAIM_MINUTES: 10,
+  EVENTS_LIMIT: 200,
+
+  // Pay-per-lead billing, an alternative to a subscription. A prepaid
+  // account draws each accepted lead from its balance and stops receiving
+  // matches once the balance cannot pay for the cheapest lead ('exhausted').
+  // A metered account reports each accepted lead to its Stripe subscription
+  // item as usage: STRIPE_PRICE_LEAD_METERED is a metered price of one cent
+  // per unit, so the quantity reported is the lead price in cents.
+  LEAD_PRICES: leadPrices(process.env.BILLING_LEAD_PRICES),
+  LEAD_CURRENCY: 'cad',
+  STRIPE_PRICE_LEAD_METERED: process.env.STRIPE_PRICE_LEAD_METERED || '',
+  LEAD_TOPUP_MIN_CENTS: 5000,
+  LEAD_TOPUP_MAX_CENTS: 500000,
+  // A charge can be disputed for this long after the lead was accepted.
+  LEAD_DISPUTE_DAYS: parseInt(process.env.BILLING_LEAD_DISPUTE_DAYS || '14', 10),
+  // billing_lead_usage reports metered charges the accept could not.
+  LEAD_USAGE_CRON: '*/10 * * * *',
+  LEAD_USAGE_BATCH: 200,
+  LEAD_LEDGER_LIMIT: 50,
+
+  PLATFORM_NAME: 'CanadaAccountants',
+  PLATFORM_DOMAIN: 'https://canadaaccountants.app',
+
+  dunningDays,
+  leadPrices,
+};
@@ -0,0 +1,90 @@
+// modules/billing/emails.js
+// Dunning emails to a subscriber whose payment failed: payment_failed,
+// reminder and final_notice on config.DUNNING_DAYS, and access_paused when
+// grace ends. Gated on config.EMAILS_ENABLED like lead notifications: dark
+// renders the template into billing_subscription_events('email_suppressed_dark')
+// and sends nothing.
+//
+// buildNotify({ config, sendEmail, service, captureError }) -> { dunning }
+
+'use strict';
+
+const SENDER_ID = 'CanadaAccountants.app | Toronto, ON, Canada';
+
+function esc(s) {
+  return String(s == null ? '' : s).replace(/[&<>"]/g, (c) => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]
+  ));
+}
+
+function day(d) {
+  return d ? new Date(d).toLocaleDateString('en-CA', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'America/Toronto' }) : null;
+}
+
+function tplDunning(config, template, sub, cpa) {
+  const plan = sub.plan_type ? `${sub.plan_type.charAt(0).toUpperCase()}${sub.plan_type.slice(1)}` : 'membership';
+  const graceEnds = day(sub.grace_until);
+  const payUrl = sub.dunning_invoice_url || `${config.PLATFORM_DOMAIN}/cpa-dashboard#billing`;
+  const copy = {
+    payment_failed: {
+      subject: `Your ${config.PLATFORM_NAME} payment didn't go through`,
+      body: `We couldn't charge your card for your ${esc(plan)} plan. Your profile stays live while we retry${graceEnds ? `, until ${esc(graceEnds)}` : ''}.`,
+    },
+    reminder: {
+      subject: `Reminder: update your payment for ${config.PLATFORM_NAME}`,
+      body: `Your ${esc(plan)} payment is still outstanding. Your profile stays live${graceEnds ? ` until ${esc(graceEnds)}` : ''}.`,
+    },
+    final_notice: {
+      subject: `Final notice: your ${config.PLATFORM_NAME} profile will be paused`,
+      body: `We still haven't been able to collect your ${esc(plan)} payment. Your profile will stop receiving client matches${graceEnds ? ` on ${esc(graceEnds)}` : ' soon'}.`,
+    },
+    access_paused: {
+      subject: `Your ${config.PLATFORM_NAME} profile is paused`,
+      body: `We couldn't collect your ${esc(plan)} payment, so your profile no longer receives client matches. It comes back as soon as the payment goes through.`,
+    },
+  }[template];
+  const html = `
+    <p>Hi ${esc(cpa.first_name || 'there')},</p>
+    <p>${copy.body}</p>
+    <p><a href="${esc(payUrl)}">Update your payment method</a></p>
+    <p>Questions? Reply to this email or contact support@canadaaccountants.app.</p>
+    <hr><p style="color:#888;font-size:12px;">${esc(SENDER_ID)}</p>`;
+  return { subject: copy.subject, html };
+}
+
+function buildNotify({ config, sendEmail, service, captureError }) {
+  async function dunning(pool, cfg, sub, template, { step = null } = {}) {
+    const base = { cpa_profile_id: sub.cpa_profile_id, stripe_subscription_id: sub.stripe_subscription_id, actor: 'billing_dunning' };
+    try {
+      const { rows } = await pool.query(`SELECT email, first_name FROM cpa_profiles WHERE id = $1`, [sub.cpa_profile_id]);
+      const cpa = rows[0] || {};
+      const rendered = tplDunning(cfg, template, sub, cpa);
+
+      if (!cfg.EMAILS_ENABLED) {
+        await service.recordHistory(pool, {
+          ...base,
+          kind: 'email_suppressed_dark',
+          detail: { template, step, would_send_to: cpa.email || null, subject: rendered.subject, reason: 'BILLING_DUNNING_EMAILS_ENABLED=false' },
+        });
+        return { sent: false, dark: true };
+      }
+      if (!cpa.email) return { sent: false };
+
+      const result = await sendEmail({ to: cpa.email, subject: rendered.subject, html: rendered.html, messageClass: 'transactional' });
+      await service.recordHistory(pool, {
+        ...base,
+        kind: 'dunning_email',
+        detail: { template, step, to: cpa.email, sent: Boolean(result && result.success), provider: (result && result.provider) || null },
+      });
+      return { sent: Boolean(result && result.success) };
+    } catch (err) {
+      console.error(`[billing/emails] send failed (${template}):`, err.message);
+      if (typeof captureError === 'function') { try { captureError(err, { stage: template }); } catch (e) { console.error('[billing/emails] captureError failed:', e.message); } }
+      return { sent: false, error: err.message };
+    }
+  }
+
+  return { dunning };
+}
+
+module.exports = { buildNotify, tplDunning };
@@ -0,0 +1,77 @@
+// modules/billing/index.js
+// Composition root for the Stripe subscription lifecycle. server.js
+// touchpoints:
+//
+//   const billing = require('./modules/billing')({
+//     pool, jobs, stripe, prices: STRIPE_PRICES, crm, sendEmail,
+//     auth: { authenticateToken, requireCPA },
+//     hooks: { onCheckoutCompleted },   // paid applications -> { cpa_profile_id }
+//     captureError,
+//   });
+//   app.use(billing.professionalRouter);  // /api/stripe/plan-change*, /api/cpa/lead-* (JWT)
+//   app.use(billing.adminRouter);         // /api/admin/billing/* — admin umbrella gates by prefix
+//   await billing.ensureSchema();         // boot (billing_* tables, cpa_subscriptions columns)
+//   const result = await billing.handleEvent(event);  // /api/stripe/webhook, after signature check
+//   billing.leadBilling.charge(dbClient, lead, offer)  // leads acceptOffer, inside its transaction
+//   billing.leadBilling.report(charge)                 // after it commits
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+const schema = require('./schema');
+const reconcile = require('./reconcile');
+const leadBilling = require('./lead-billing');
+const { buildNotify } = require('./emails');
+const buildAdminRoutes = require('./routes.admin');
+const buildProfessionalRoutes = require('./routes.professional');
+
+function createBillingModule(injected) {
+  const { pool, jobs, stripe, prices, crm, sendEmail, auth, hooks, captureError } = injected || {};
+  if (!pool) throw new Error('[billing] pool is required');
+  if (!jobs) throw new Error('[billing] jobs is required');
+  if (!stripe) throw new Error('[billing] stripe is required');
+
+  const notify = buildNotify({ config, sendEmail, service, captureError });
+  const deps = { stripe, prices: prices || {}, crm, notify, hooks: hooks || {}, captureError };
+
+  jobs.register({
+    name: 'billing_dunning',
+    description: `Send dunning emails and pause subscriptions ${config.GRACE_DAYS} days after a failed payment`,
+    schedule: config.DUNNING_CRON,
+    timeoutMs: 10 * 60 * 1000,
+    run: () => service.runDunning(pool, config, deps),
+  });
+
+  jobs.register({
+    name: 'billing_reconcile',
+    description: `Compare local subscriptions with Stripe${config.RECONCILE_REPAIR ? ' and repair' : ''}`,
+    schedule: config.RECONCILE_CRON,
+    timeoutMs: 20 * 60 * 1000,
+    run: () => reconcile.reconcile(pool, config, {
+      repair: config.RECONCILE_REPAIR, actor: 'job', fixture: config.RECONCILE_FIXTURE,
+    }, deps),
+  });
+
+  jobs.register({
+    name: 'billing_lead_usage',
+    description: 'Report metered lead charges and refunds to Stripe',
+    schedule: config.LEAD_USAGE_CRON,
+    timeoutMs: 5 * 60 * 1000,
+    run: () => leadBilling.reportPending(pool, config, deps),
+  });
+
+  return {
+    config,
+    professionalRouter: buildProfessionalRoutes({ pool, config, service, leadBilling, deps, auth: auth || {} }),
+    adminRouter: buildAdminRoutes({ pool, config, service, reconcile, leadBilling, deps }),
+    leadBilling: {
+      charge: (dbClient, lead, offer) => leadBilling.charge(dbClient, config, lead, offer),
+      report: (chargeRow) => leadBilling.reportUsage(pool, config, chargeRow, deps),
+    },
+    handleEvent: (event) => service.handleEvent(pool, config, event, deps),
+    ensureSchema: () => schema.ensureBillingSchema(pool),
+  };
+}
+
+module.exports = createBillingModule;
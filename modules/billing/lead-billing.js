@@ -0,0 +1,580 @@
+// modules/billing/lead-billing.js
+// Pay-per-lead billing, for professionals who pay per accepted lead instead of
+// a subscription.
+//
+//   accounts   a billing_lead_accounts row makes a professional pay-per-lead.
+//              A top-up creates it prepaid; signing up for metered billing
+//              makes it metered. A professional with an entitled subscription
+//              is never charged per lead: the subscription covers leads.
+//   charges    accepting an offer charges the lead's provincial price inside
+//              the accept transaction. The balance pays first; a metered
+//              account that cannot pay from its balance reports the charge to
+//              Stripe as usage instead. A prepaid account that cannot pay is
+//              refused (402) and the offer stays open.
+//   status     'exhausted' when the account can pay for no lead: a balance
+//              below the cheapest price and no live metered subscription.
+//              The matcher skips exhausted professionals who have no
+//              subscription, as it skips unsubscribed ones.
+//   refunds    an admin refunds an invalid lead, or upholds a professional's
+//              dispute. A prepaid charge goes back on the balance; a metered
+//              charge already reported is credited on the next Stripe invoice.
+//
+// Stripe is told about metered charges after the accept commits. What could
+// not be reported then is retried by the billing_lead_usage job.
+
+'use strict';
+
+const { provinceCode } = require('../../services/province-timezones');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KINDS = { TOPUP: 'lead_topup', METERED: 'lead_metered' };
+const LIVE_SUB_STATUSES = ['active', 'trialing', 'past_due'];
+const DISPUTE_STATUSES = ['open', 'refunded', 'rejected'];
+
+function logError(deps, context, err) {
+  console.error(`[billing/leads] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[billing/leads] captureError failed:', e.message); }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------
+
+function leadPrice(config, province) {
+  const code = provinceCode(province);
+  const cents = (code && config.LEAD_PRICES[code]) || config.LEAD_PRICES.default;
+  return { province: code, cents };
+}
+
+function minLeadPrice(config) {
+  return Math.min(...Object.values(config.LEAD_PRICES));
+}
+
+function dollars(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+// 'active' while the account can pay for some lead, else 'exhausted'.
+function accountStatus(config, account) {
+  const metered = account.mode === 'metered' && Boolean(account.stripe_subscription_item_id);
+  return metered || account.balance_cents >= minLeadPrice(config) ? 'active' : 'exhausted';
+}
+
+// Stripe subscriptions and checkout sessions this module owns, by metadata.
+function isLeadSubscription(sub) {
+  return Boolean(sub && sub.metadata && sub.metadata.kind === KINDS.METERED);
+}
+
+function isLeadCheckout(session) {
+  const kind = session && session.metadata && session.metadata.kind;
+  return kind === KINDS.TOPUP || kind === KINDS.METERED;
+}
+
+function isLeadInvoice(invoice) {
+  const details = invoice && invoice.subscription_details;
+  return Boolean(details && details.metadata && details.metadata.kind === KINDS.METERED);
+}
+
+async function withTransaction(pool, fn) {
+  const dbClient = await pool.connect();
+  try {
+    await dbClient.query('BEGIN');
+    const result = await fn(dbClient);
+    await dbClient.query(result && result.ok === false ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  } catch (err) {
+    await dbClient.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    dbClient.release();
+  }
+}
+
+async function insertLedger(db, entry) {
+  const { rows } = await db.query(
+    `INSERT INTO billing_lead_ledger
+       (cpa_profile_id, kind, mode, amount_cents, balance_after, lead_id, offer_id, province, charge_id, stripe_ref, reason, actor)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     ON CONFLICT DO NOTHING
+     RETURNING *`,
+    [entry.cpa_profile_id, entry.kind, entry.mode, entry.amount_cents, entry.balance_after == null ? null : entry.balance_after,
+     entry.lead_id || null, entry.offer_id || null, entry.province || null, entry.charge_id || null,
+     entry.stripe_ref || null, entry.reason || null, entry.actor]
+  );
+  return rows[0] || null;
+}
+
+async function saveAccount(db, config, account) {
+  const { rows } = await db.query(
+    `UPDATE billing_lead_accounts
+        SET mode = $2, balance_cents = $3, status = $4, stripe_customer_id = $5,
+            stripe_subscription_id = $6, stripe_subscription_item_id = $7, updated_at = now()
+      WHERE cpa_profile_id = $1
+      RETURNING *`,
+    [account.cpa_profile_id, account.mode, account.balance_cents, accountStatus(config, account),
+     account.stripe_customer_id || null, account.stripe_subscription_id || null, account.stripe_subscription_item_id || null]
+  );
+  return rows[0];
+}
+
+async function lockAccount(db, cpaProfileId, createMode) {
+  if (createMode) {
+    await db.query(
+      `INSERT INTO billing_lead_accounts (cpa_profile_id, mode) VALUES ($1, $2) ON CONFLICT (cpa_profile_id) DO NOTHING`,
+      [cpaProfileId, createMode]
+    );
+  }
+  const { rows } = await db.query(`SELECT * FROM billing_lead_accounts WHERE cpa_profile_id = $1 FOR UPDATE`, [cpaProfileId]);
+  return rows[0] || null;
+}
+
+// ---------------------------------------------------------------------------
+// Charges
+// ---------------------------------------------------------------------------
+
+// Charges an accepted lead. Runs on the accept transaction's client, after
+// the offer is locked and checked. Returns { ok: true, charge } (charge null
+// when the professional is not billed per lead), or a 402 refusal.
+async function charge(db, config, lead, offer) {
+  const cpaProfileId = offer.cpa_profile_id;
+  const account = await lockAccount(db, cpaProfileId, null);
+  if (!account) return { ok: true, charge: null };
+  const sub = await db.query(`SELECT subscription_status FROM cpa_profiles WHERE id = $1`, [cpaProfileId]);
+  if (sub.rows[0] && sub.rows[0].subscription_status === 'active') return { ok: true, charge: null };
+
+  const price = leadPrice(config, lead.summary && lead.summary.province);
+  const fromBalance = account.balance_cents >= price.cents;
+  const metered = account.mode === 'metered' && Boolean(account.stripe_subscription_item_id);
+  if (!fromBalance && !metered) {
+    return {
+      ok: false,
+      code: 402,
+      message: `This lead costs ${dollars(price.cents)} and your lead balance is ${dollars(account.balance_cents)}. Top up to accept it.`,
+    };
+  }
+  const balance = fromBalance ? account.balance_cents - price.cents : account.balance_cents;
+  const row = await insertLedger(db, {
+    cpa_profile_id: cpaProfileId,
+    kind: 'charge',
+    mode: fromBalance ? 'prepaid' : 'metered',
+    amount_cents: -price.cents,
+    balance_after: fromBalance ? balance : null,
+    lead_id: lead.id,
+    offer_id: offer.id,
+    province: price.province,
+    actor: `cpa:${cpaProfileId}`,
+  });
+  if (!row) return { ok: false, code: 409, message: 'This lead has already been charged.' };
+  if (fromBalance) await saveAccount(db, config, { ...account, balance_cents: balance });
+  return { ok: true, charge: row };
+}
+
+// Reports a metered charge to Stripe as usage on the account's subscription
+// item. Usage is stamped 'now': a retry after the period closed lands on the
+// next invoice rather than being refused. Never throws.
+async function reportUsage(pool, config, chargeRow, deps) {
+  if (!chargeRow || chargeRow.kind !== 'charge' || chargeRow.mode !== 'metered' || chargeRow.usage_reported_at) return null;
+  try {
+    const { rows } = await pool.query(
+      `SELECT stripe_subscription_item_id FROM billing_lead_accounts WHERE cpa_profile_id = $1`, [chargeRow.cpa_profile_id]
+    );
+    const itemId = rows[0] && rows[0].stripe_subscription_item_id;
+    if (!itemId) throw new Error('no metered subscription item');
+    const record = await deps.stripe.subscriptionItems.createUsageRecord(
+      itemId,
+      { quantity: -chargeRow.amount_cents, timestamp: 'now', action: 'increment' },
+      { idempotencyKey: `lead-charge-${chargeRow.id}` }
+    );
+    await pool.query(
+      `UPDATE billing_lead_ledger SET usage_reported_at = now(), stripe_ref = $2, usage_error = NULL WHERE id = $1`,
+      [chargeRow.id, record.id || null]
+    );
+    return 'reported';
+  } catch (err) {
+    logError(deps, `usage report (charge ${chargeRow.id})`, err);
+    await pool.query(`UPDATE billing_lead_ledger SET usage_error = $2 WHERE id = $1`, [chargeRow.id, String(err.message || err).slice(0, 500)])
+      .catch((e) => logError(deps, `usage error write (charge ${chargeRow.id})`, e));
+    return null;
+  }
+}
+
+// Credits a metered refund on the customer's next invoice, if the charge it
+// reverses was billed. A charge refunded before it was reported is never
+// reported, so there is nothing to credit. Never throws.
+async function creditRefund(pool, config, refundRow, deps) {
+  if (!refundRow || refundRow.kind !== 'refund' || refundRow.mode !== 'metered' || refundRow.usage_reported_at) return null;
+  try {
+    const { rows } = await pool.query(
+      `SELECT c.usage_reported_at, c.lead_id, a.stripe_customer_id, a.stripe_subscription_id
+         FROM billing_lead_ledger c
+         JOIN billing_lead_accounts a ON a.cpa_profile_id = c.cpa_profile_id
+        WHERE c.id = $1`,
+      [refundRow.charge_id]
+    );
+    const charged = rows[0];
+    if (!charged || !charged.usage_reported_at) {
+      await pool.query(`UPDATE billing_lead_ledger SET usage_reported_at = now(), usage_error = NULL WHERE id = $1`, [refundRow.id]);
+      return 'not_billed';
+    }
+    if (!charged.stripe_customer_id) throw new Error('no Stripe customer');
+    const item = await deps.stripe.invoiceItems.create({
+      customer: charged.stripe_customer_id,
+      amount: -refundRow.amount_cents,
+      currency: config.LEAD_CURRENCY,
+      description: `Lead refund (lead ${charged.lead_id})`,
+      metadata: { kind: 'lead_refund', charge_id: String(refundRow.charge_id) },
+    }, { idempotencyKey: `lead-refund-${refundRow.id}` });
+    await pool.query(
+      `UPDATE billing_lead_ledger SET usage_reported_at = now(), stripe_ref = $2, usage_error = NULL WHERE id = $1`,
+      [refundRow.id, item.id || null]
+    );
+    return 'credited';
+  } catch (err) {
+    logError(deps, `refund credit (refund ${refundRow.id})`, err);
+    await pool.query(`UPDATE billing_lead_ledger SET usage_error = $2 WHERE id = $1`, [refundRow.id, String(err.message || err).slice(0, 500)])
+      .catch((e) => logError(deps, `refund error write (refund ${refundRow.id})`, e));
+    return null;
+  }
+}
+
+// The billing_lead_usage job: metered charges and refunds Stripe has not
+// been told about yet, oldest first.
+async function reportPending(pool, config, deps) {
+  const { rows } = await pool.query(
+    `SELECT l.* FROM billing_lead_ledger l
+      WHERE l.mode = 'metered' AND l.usage_reported_at IS NULL
+        AND (l.kind = 'refund'
+             OR (l.kind = 'charge' AND NOT EXISTS (
+                   SELECT 1 FROM billing_lead_ledger r WHERE r.charge_id = l.id AND r.kind = 'refund')))
+      ORDER BY l.created_at
+      LIMIT $1`,
+    [config.LEAD_USAGE_BATCH]
+  );
+  const out = { checked: rows.length, reported: 0, credited: 0, failed: 0 };
+  for (const row of rows) {
+    const done = row.kind === 'charge' ? await reportUsage(pool, config, row, deps) : await creditRefund(pool, config, row, deps);
+    if (done === 'reported') out.reported += 1;
+    else if (done) out.credited += 1;
+    else out.failed += 1;
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Refunds and disputes
+// ---------------------------------------------------------------------------
+
+// Reverses a charge once. opts: { actor, reason }.
+async function refundCharge(pool, config, chargeId, { actor, reason }, deps) {
+  const result = await withTransaction(pool, async (db) => {
+    const c = await db.query(`SELECT * FROM billing_lead_ledger WHERE id = $1 AND kind = 'charge' FOR UPDATE`, [chargeId]);
+    const chargeRow = c.rows[0];
+    if (!chargeRow) return { ok: false, code: 404, message: 'Charge not found.' };
+    const account = await lockAccount(db, chargeRow.cpa_profile_id, null);
+    const prepaid = chargeRow.mode === 'prepaid';
+    const balance = account.balance_cents - (prepaid ? chargeRow.amount_cents : 0);
+    const refund = await insertLedger(db, {
+      cpa_profile_id: chargeRow.cpa_profile_id,
+      kind: 'refund',
+      mode: chargeRow.mode,
+      amount_cents: -chargeRow.amount_cents,
+      balance_after: prepaid ? balance : null,
+      lead_id: chargeRow.lead_id,
+      offer_id: chargeRow.offer_id,
+      province: chargeRow.province,
+      charge_id: chargeRow.id,
+      reason: reason ? String(reason).slice(0, 1000) : null,
+      actor,
+    });
+    if (!refund) return { ok: false, code: 409, message: 'This charge has already been refunded.' };
+    const after = prepaid ? await saveAccount(db, config, { ...account, balance_cents: balance }) : account;
+    return { ok: true, refund, account: after };
+  });
+  if (!result.ok) return result;
+  const credit = await creditRefund(pool, config, result.refund, deps);
+  return {
+    ok: true,
+    refund: result.refund,
+    balance_cents: result.account.balance_cents,
+    status: result.account.status,
+    stripe_credit: result.refund.mode === 'metered' ? credit || 'pending' : null,
+  };
+}
+
+// A professional disputes one of their charges, within config.LEAD_DISPUTE_DAYS.
+async function openDispute(pool, config, cpaProfileId, chargeId, reason, now = new Date()) {
+  const text = String(reason || '').trim();
+  if (!text) return { ok: false, code: 400, message: 'Say why the lead was invalid.' };
+  const { rows } = await pool.query(
+    `SELECT c.*, EXISTS (SELECT 1 FROM billing_lead_ledger r WHERE r.charge_id = c.id AND r.kind = 'refund') AS refunded
+       FROM billing_lead_ledger c
+      WHERE c.id = $1 AND c.kind = 'charge' AND c.cpa_profile_id = $2`,
+    [chargeId, cpaProfileId]
+  );
+  const chargeRow = rows[0];
+  if (!chargeRow) return { ok: false, code: 404, message: 'Charge not found.' };
+  if (chargeRow.refunded) return { ok: false, code: 409, message: 'This charge has already been refunded.' };
+  if (now.getTime() - new Date(chargeRow.created_at).getTime() > config.LEAD_DISPUTE_DAYS * DAY_MS) {
+    return { ok: false, code: 409, message: `Charges can be disputed for ${config.LEAD_DISPUTE_DAYS} days.` };
+  }
+  const inserted = await pool.query(
+    `INSERT INTO billing_lead_disputes (charge_id, cpa_profile_id, reason)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (charge_id) DO NOTHING
+     RETURNING *`,
+    [chargeId, cpaProfileId, text.slice(0, 1000)]
+  );
+  if (!inserted.rows[0]) return { ok: false, code: 409, message: 'This charge has already been disputed.' };
+  return { ok: true, dispute: inserted.rows[0] };
+}
+
+// decision 'refund' refunds the charge; 'reject' keeps it. A charge an admin
+// already refunded directly still resolves its dispute as refunded.
+async function resolveDispute(pool, config, disputeId, { decision, note, actor }, deps) {
+  if (decision !== 'refund' && decision !== 'reject') return { ok: false, code: 400, message: "decision must be 'refund' or 'reject'." };
+  const { rows } = await pool.query(`SELECT * FROM billing_lead_disputes WHERE id = $1`, [disputeId]);
+  const dispute = rows[0];
+  if (!dispute) return { ok: false, code: 404, message: 'Dispute not found.' };
+  if (dispute.status !== 'open') return { ok: false, code: 409, message: `This dispute is already ${dispute.status}.` };
+
+  let refund = null;
+  if (decision === 'refund') {
+    refund = await refundCharge(pool, config, dispute.charge_id, { actor, reason: `dispute ${dispute.id}: ${note || dispute.reason}` }, deps);
+    if (!refund.ok && refund.code !== 409) return refund;
+  }
+  const updated = await pool.query(
+    `UPDATE billing_lead_disputes
+        SET status = $2, resolved_by = $3, resolution_note = $4, resolved_at = now()
+      WHERE id = $1 AND status = 'open'
+      RETURNING *`,
+    [disputeId, decision === 'refund' ? 'refunded' : 'rejected', actor, note ? String(note).slice(0, 1000) : null]
+  );
+  if (!updated.rows[0]) return { ok: false, code: 409, message: 'This dispute was resolved by someone else.' };
+  return { ok: true, dispute: updated.rows[0], refund: refund && refund.ok ? refund : null };
+}
+
+async function listDisputes(pool, config, { status } = {}) {
+  if (status && !DISPUTE_STATUSES.includes(status)) {
+    return { ok: false, code: 400, message: `status must be one of: ${DISPUTE_STATUSES.join(', ')}` };
+  }
+  const { rows } = await pool.query(
+    `SELECT d.*, c.amount_cents, c.mode, c.lead_id, c.province, c.created_at AS charged_at,
+            p.email, p.first_name, p.last_name, p.firm_name
+       FROM billing_lead_disputes d
+       JOIN billing_lead_ledger c ON c.id = d.charge_id
+       LEFT JOIN cpa_profiles p ON p.id = d.cpa_profile_id
+      WHERE ($1::text IS NULL OR d.status = $1)
+      ORDER BY d.created_at DESC
+      LIMIT $2`,
+    [status || null, config.EVENTS_LIMIT]
+  );
+  return { ok: true, disputes: rows };
+}
+
+// ---------------------------------------------------------------------------
+// Checkout and Stripe events
+// ---------------------------------------------------------------------------
+
+// The professional's subscription, when it already pays for their leads.
+async function subscribedRefusal(pool, cpaProfileId) {
+  const { rows } = await pool.query(`SELECT subscription_status FROM cpa_profiles WHERE id = $1`, [cpaProfileId]);
+  if (rows[0] && rows[0].subscription_status === 'active') {
+    return { ok: false, code: 409, message: 'Your subscription already includes leads.' };
+  }
+  return null;
+}
+
+async function findAccount(pool, cpaProfileId) {
+  const { rows } = await pool.query(`SELECT * FROM billing_lead_accounts WHERE cpa_profile_id = $1`, [cpaProfileId]);
+  return rows[0] || null;
+}
+
+// The Stripe customer a lead account already has, so top-ups, usage and
+// refund credits stay on one customer. A one-off payment only creates a
+// customer when asked to.
+function customerFields(account, email, mode) {
+  if (account && account.stripe_customer_id) return { customer: account.stripe_customer_id };
+  return mode === 'payment' ? { customer_email: email, customer_creation: 'always' } : { customer_email: email };
+}
+
+// A Checkout session that adds amount_cents to the prepaid balance once paid.
+async function startTopUp(pool, config, cpa, body, deps) {
+  const amount = Number((body || {}).amount_cents);
+  if (!Number.isInteger(amount) || amount < config.LEAD_TOPUP_MIN_CENTS || amount > config.LEAD_TOPUP_MAX_CENTS) {
+    return { ok: false, code: 400, message: `amount_cents must be a whole number from ${config.LEAD_TOPUP_MIN_CENTS} to ${config.LEAD_TOPUP_MAX_CENTS}.` };
+  }
+  const refused = await subscribedRefusal(pool, cpa.id);
+  if (refused) return refused;
+  const account = await findAccount(pool, cpa.id);
+  const session = await deps.stripe.checkout.sessions.create({
+    mode: 'payment',
+    payment_method_types: ['card'],
+    line_items: [{
+      price_data: { currency: config.LEAD_CURRENCY, unit_amount: amount, product_data: { name: `${config.PLATFORM_NAME} lead balance` } },
+      quantity: 1,
+    }],
+    ...customerFields(account, cpa.email, 'payment'),
+    success_url: `${config.PLATFORM_DOMAIN}/admin?lead_topup=success`,
+    cancel_url: `${config.PLATFORM_DOMAIN}/admin?lead_topup=cancelled`,
+    metadata: { kind: KINDS.TOPUP, cpa_profile_id: String(cpa.id), amount_cents: String(amount) },
+  });
+  return { ok: true, session_id: session.id, url: session.url };
+}
+
+// A Checkout session for a metered lead subscription.
+async function startMetered(pool, config, cpa, deps) {
+  if (!config.STRIPE_PRICE_LEAD_METERED) return { ok: false, code: 503, message: 'Metered lead billing is not available.' };
+  const refused = await subscribedRefusal(pool, cpa.id);
+  if (refused) return refused;
+  const account = await findAccount(pool, cpa.id);
+  if (account && account.mode === 'metered' && account.stripe_subscription_item_id) {
+    return { ok: false, code: 409, message: 'Metered lead billing is already on.' };
+  }
+  const metadata = { kind: KINDS.METERED, cpa_profile_id: String(cpa.id) };
+  const session = await deps.stripe.checkout.sessions.create({
+    mode: 'subscription',
+    payment_method_types: ['card'],
+    line_items: [{ price: config.STRIPE_PRICE_LEAD_METERED }],
+    ...customerFields(account, cpa.email, 'subscription'),
+    success_url: `${config.PLATFORM_DOMAIN}/admin?lead_metered=success`,
+    cancel_url: `${config.PLATFORM_DOMAIN}/admin?lead_metered=cancelled`,
+    metadata,
+    subscription_data: { metadata },
+  });
+  return { ok: true, session_id: session.id, url: session.url };
+}
+
+// checkout.session.completed for a top-up or a metered signup. A top-up is
+// credited once per session id (the ledger's unique stripe_ref).
+async function checkoutCompleted(pool, config, session, meta, deps) {
+  const md = session.metadata || {};
+  const cpaProfileId = parseInt(md.cpa_profile_id, 10) || null;
+  if (!cpaProfileId) return { action: 'ignored', reason: 'no_profile' };
+
+  if (md.kind === KINDS.METERED) {
+    if (!session.subscription) return { action: 'ignored', reason: 'no_subscription' };
+    const sub = await deps.stripe.subscriptions.retrieve(session.subscription);
+    return subscriptionChanged(pool, config, sub, { ...meta, cpaProfileId, customerId: session.customer }, deps);
+  }
+
+  if (session.payment_status !== 'paid') return { action: 'none', reason: 'not_paid' };
+  const amount = session.amount_total;
+  return withTransaction(pool, async (db) => {
+    const account = await lockAccount(db, cpaProfileId, 'prepaid');
+    const balance = account.balance_cents + amount;
+    const row = await insertLedger(db, {
+      cpa_profile_id: cpaProfileId,
+      kind: 'topup',
+      mode: 'prepaid',
+      amount_cents: amount,
+      balance_after: balance,
+      stripe_ref: session.id,
+      actor: 'stripe',
+    });
+    if (!row) return { action: 'none', reason: 'already_credited', cpa_profile_id: cpaProfileId };
+    const after = await saveAccount(db, config, {
+      ...account, balance_cents: balance, stripe_customer_id: account.stripe_customer_id || session.customer,
+    });
+    return { action: 'topped_up', cpa_profile_id: cpaProfileId, amount_cents: amount, balance_cents: after.balance_cents, status: after.status };
+  });
+}
+
+// customer.subscription.* for a metered lead subscription. A live
+// subscription makes the account metered; one that ends puts it back on its
+// balance. meta: { cpaProfileId, customerId, deleted }.
+async function subscriptionChanged(pool, config, sub, meta) {
+  const cpaProfileId = meta.cpaProfileId || parseInt(sub.metadata && sub.metadata.cpa_profile_id, 10) || null;
+  if (!cpaProfileId) return { action: 'ignored', reason: 'no_profile' };
+  const live = !meta.deleted && LIVE_SUB_STATUSES.includes(sub.status);
+  const item = sub.items && sub.items.data && sub.items.data[0];
+  return withTransaction(pool, async (db) => {
+    const account = await lockAccount(db, cpaProfileId, live ? 'metered' : null);
+    if (!account) return { action: 'ignored', reason: 'no_account' };
+    // An older subscription ending does not touch the one now in use.
+    if (!live && account.stripe_subscription_id !== sub.id) return { action: 'none', reason: 'not_current' };
+    const after = await saveAccount(db, config, live
+      ? {
+        ...account, mode: 'metered', stripe_customer_id: meta.customerId || sub.customer || account.stripe_customer_id,
+        stripe_subscription_id: sub.id, stripe_subscription_item_id: item ? item.id : null,
+      }
+      : { ...account, mode: 'prepaid', stripe_subscription_id: null, stripe_subscription_item_id: null });
+    return { action: 'applied', cpa_profile_id: cpaProfileId, mode: after.mode, status: after.status };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Reads
+// ---------------------------------------------------------------------------
+
+// The dashboard view: how the professional pays for leads, what they cost,
+// and the recent ledger with any dispute on each charge.
+async function balance(pool, config, cpaProfileId) {
+  const account = await findAccount(pool, cpaProfileId);
+  const { rows } = await pool.query(
+    `SELECT l.id, l.kind, l.mode, l.amount_cents, l.balance_after, l.lead_id, l.province, l.charge_id, l.reason, l.created_at,
+            d.id AS dispute_id, d.status AS dispute_status,
+            EXISTS (SELECT 1 FROM billing_lead_ledger r WHERE r.charge_id = l.id AND r.kind = 'refund') AS refunded
+       FROM billing_lead_ledger l
+       LEFT JOIN billing_lead_disputes d ON d.charge_id = l.id
+      WHERE l.cpa_profile_id = $1
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT $2`,
+    [cpaProfileId, config.LEAD_LEDGER_LIMIT]
+  );
+  return {
+    ok: true,
+    enrolled: Boolean(account),
+    mode: account ? account.mode : null,
+    status: account ? account.status : null,
+    balance_cents: account ? account.balance_cents : 0,
+    currency: config.LEAD_CURRENCY,
+    prices: config.LEAD_PRICES,
+    topup_min_cents: config.LEAD_TOPUP_MIN_CENTS,
+    topup_max_cents: config.LEAD_TOPUP_MAX_CENTS,
+    metered_available: Boolean(config.STRIPE_PRICE_LEAD_METERED),
+    dispute_days: config.LEAD_DISPUTE_DAYS,
+    ledger: rows,
+  };
+}
+
+async function listAccounts(pool, config, { status } = {}) {
+  if (status && status !== 'active' && status !== 'exhausted') {
+    return { ok: false, code: 400, message: "status must be one of: active, exhausted" };
+  }
+  const { rows } = await pool.query(
+    `SELECT a.*, p.email, p.first_name, p.last_name, p.firm_name, p.subscription_status
+       FROM billing_lead_accounts a
+       LEFT JOIN cpa_profiles p ON p.id = a.cpa_profile_id
+      WHERE ($1::text IS NULL OR a.status = $1)
+      ORDER BY a.updated_at DESC
+      LIMIT $2`,
+    [status || null, config.EVENTS_LIMIT]
+  );
+  return { ok: true, accounts: rows };
+}
+
+module.exports = {
+  KINDS,
+  leadPrice,
+  minLeadPrice,
+  accountStatus,
+  isLeadSubscription,
+  isLeadCheckout,
+  isLeadInvoice,
+  charge,
+  reportUsage,
+  creditRefund,
+  reportPending,
+  refundCharge,
+  openDispute,
+  resolveDispute,
+  listDisputes,
+  startTopUp,
+  startMetered,
+  checkoutCompleted,
+  subscriptionChanged,
+  balance,
+  listAccounts,
+};
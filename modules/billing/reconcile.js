@@ -0,0 +1,307 @@
+// modules/billing/reconcile.js
+// Reconciliation of local subscription state with Stripe. A missed or failed
+// webhook leaves cpa_subscriptions, cpa_profiles.subscription_status and
+// users.subscription_status out of step with what Stripe bills, and matching
+// reads cpa_profiles.subscription_status.
+//
+// Each run lists every Stripe subscription (or reads a recorded fixture),
+// compares it with the local tables and records each mismatch by category:
+//
+//   missing_local   a live Stripe subscription no local row points at.
+//                   Metered lead subscriptions are lead-billing's and skipped.
+//   missing_stripe  a local, not canceled row whose subscription Stripe does
+//                   not have (report only)
+//   status          cpa_subscriptions.status is not Stripe's status. A row
+//                   that grace moved to 'unpaid' while Stripe still says
+//                   past_due is not a mismatch.
+//   plan            plan_type is not the tier of the subscription's price
+//   period          current_period_end differs from Stripe's
+//   profile_mirror  cpa_profiles.subscription_status is not what the
+//                   (corrected) subscription implies: see service.syncAccess
+//   user_mirror     the same for users.subscription_status
+//
+// With repair, each mismatched subscription is re-applied from Stripe
+// (fetched again, so a webhook that landed mid-run is not overwritten),
+// moving the status even where the state machine would not, and the mirrors
+// are rewritten. Status and plan repairs go to billing_subscription_events
+// under actor 'reconcile:<run id>'; every item records whether it was
+// repaired.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const service = require('./service');
+const leadBilling = require('./lead-billing');
+
+const CATEGORIES = ['missing_local', 'missing_stripe', 'status', 'plan', 'period', 'profile_mirror', 'user_mirror'];
+
+const LOCAL_SQL = `
+  SELECT s.id, s.cpa_profile_id, s.status, s.plan_type, s.stripe_subscription_id, s.stripe_customer_id,
+         s.current_period_end, s.past_due_since, s.grace_until,
+         p.id AS profile_id, p.user_id, p.subscription_status AS profile_status,
+         u.subscription_status AS user_status
+    FROM cpa_subscriptions s
+    LEFT JOIN cpa_profiles p ON p.id = s.cpa_profile_id
+    LEFT JOIN users u ON u.id = p.user_id`;
+
+// ---------------------------------------------------------------------------
+// Stripe side
+// ---------------------------------------------------------------------------
+
+// Every subscription, canceled ones included. complete is false when the
+// listing stopped at `max`.
+async function listStripe(stripe, max) {
+  const data = await stripe.subscriptions.list({ status: 'all', limit: 100 }).autoPagingToArray({ limit: max });
+  return { data, complete: data.length < max };
+}
+
+// A recorded listing: an array of subscriptions or a list object ({ data }).
+function loadFixture(file) {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const data = Array.isArray(parsed) ? parsed : parsed && parsed.data;
+  if (!Array.isArray(data)) throw new Error(`${file}: expected an array of subscriptions or { data: [...] }`);
+  return { data, complete: true };
+}
+
+async function recordFixture(stripe, file, max) {
+  const listing = await listStripe(stripe, max);
+  fs.writeFileSync(file, JSON.stringify({ recorded_at: new Date().toISOString(), complete: listing.complete, data: listing.data }, null, 2));
+  return listing;
+}
+
+// ---------------------------------------------------------------------------
+// Compare
+// ---------------------------------------------------------------------------
+
+function priceOf(sub) {
+  const item = sub.items && sub.items.data && sub.items.data[0];
+  return item && item.price ? item.price.id : null;
+}
+
+function iso(d) {
+  return d ? new Date(d).toISOString() : null;
+}
+
+// The mismatches between `stripeSubs` and the local rows (LOCAL_SQL).
+// customerProfiles maps Stripe customer ids to profile ids, for attributing
+// a subscription no row points at. Pure.
+function compare(config, prices, listing, localRows, customerProfiles = new Map(), now = new Date()) {
+  const byId = new Map(listing.data.map((s) => [s.id, s]));
+  const byProfile = new Map(localRows.map((r) => [r.cpa_profile_id, r]));
+  const tolerance = config.PERIOD_TOLERANCE_MINUTES * 60 * 1000;
+  const items = [];
+  const seen = new Set();
+  const add = (category, fields) => items.push({
+    category,
+    cpa_profile_id: fields.cpa_profile_id || null,
+    stripe_subscription_id: fields.stripe_subscription_id || null,
+    local: fields.local == null ? null : String(fields.local),
+    expected: fields.expected == null ? null : String(fields.expected),
+    repairable: fields.repairable !== false,
+    note: fields.note || null,
+  });
+
+  for (const row of localRows) {
+    const ids = { cpa_profile_id: row.cpa_profile_id, stripe_subscription_id: row.stripe_subscription_id };
+    const sub = row.stripe_subscription_id ? byId.get(row.stripe_subscription_id) : null;
+    let state = row;
+    if (sub) {
+      seen.add(sub.id);
+      const mapped = service.mapStripeStatus(config, sub.status);
+      const expected = row.status === 'unpaid' && mapped === 'past_due' ? row.status : mapped;
+      if (expected && row.status !== expected) add('status', { ...ids, local: row.status, expected });
+      const plan = service.tierForPrice(prices, priceOf(sub));
+      if (plan && row.plan_type !== plan.tier) add('plan', { ...ids, local: row.plan_type, expected: plan.tier });
+      const end = sub.current_period_end ? new Date(sub.current_period_end * 1000) : null;
+      if (end && (!row.current_period_end || Math.abs(new Date(row.current_period_end).getTime() - end.getTime()) > tolerance)) {
+        add('period', { ...ids, local: iso(row.current_period_end), expected: end.toISOString() });
+      }
+      state = { ...row, status: expected || row.status };
+    } else if (listing.complete && row.status !== 'canceled') {
+      add('missing_stripe', { ...ids, local: row.status, repairable: false,
+        note: row.stripe_subscription_id ? 'Stripe has no such subscription' : 'no Stripe subscription id' });
+    }
+
+    const mirror = service.entitled(state, now) ? 'active' : state.status;
+    if (row.profile_id && row.profile_status !== mirror) add('profile_mirror', { ...ids, local: row.profile_status, expected: mirror });
+    if (row.user_id && row.user_status !== mirror) add('user_mirror', { ...ids, local: row.user_status, expected: mirror });
+  }
+
+  for (const sub of listing.data) {
+    if (seen.has(sub.id) || leadBilling.isLeadSubscription(sub)) continue;
+    const mapped = service.mapStripeStatus(config, sub.status);
+    if (!mapped || mapped === 'canceled') continue;
+    const profileId = parseInt(sub.metadata && sub.metadata.cpa_profile_id, 10) || customerProfiles.get(sub.customer) || null;
+    const current = profileId ? byProfile.get(profileId) : null;
+    const other = current && byId.get(current.stripe_subscription_id);
+    const otherLive = Boolean(other && service.mapStripeStatus(config, other.status) !== 'canceled');
+    let note = null;
+    if (!profileId) note = `no profile for customer ${sub.customer}`;
+    else if (otherLive) note = `profile already has live subscription ${other.id}`;
+    add('missing_local', {
+      cpa_profile_id: profileId, stripe_subscription_id: sub.id, expected: mapped,
+      repairable: Boolean(profileId) && !otherLive, note,
+    });
+  }
+  return items;
+}
+
+function countItems(items) {
+  const counts = {};
+  for (const c of CATEGORIES) counts[c] = { found: 0, repaired: 0 };
+  for (const item of items) {
+    counts[item.category].found += 1;
+    if (item.repaired) counts[item.category].repaired += 1;
+  }
+  return counts;
+}
+
+// ---------------------------------------------------------------------------
+// Run
+// ---------------------------------------------------------------------------
+
+// Profile ids for Stripe customers no local row names, from users.
+async function customerProfiles(pool, listing, localRows) {
+  const map = new Map();
+  for (const r of localRows) if (r.stripe_customer_id) map.set(r.stripe_customer_id, r.cpa_profile_id);
+  const pointed = new Set(localRows.map((r) => r.stripe_subscription_id));
+  const unknown = [...new Set(listing.data.filter((s) => !pointed.has(s.id) && s.customer && !map.has(s.customer)).map((s) => s.customer))];
+  if (unknown.length) {
+    const { rows } = await pool.query(
+      `SELECT u.stripe_customer_id, p.id AS cpa_profile_id
+         FROM users u JOIN cpa_profiles p ON p.user_id = u.id
+        WHERE u.stripe_customer_id = ANY($1::text[])`,
+      [unknown]
+    );
+    for (const r of rows) map.set(r.stripe_customer_id, r.cpa_profile_id);
+  }
+  return map;
+}
+
+const MIRRORS = ['profile_mirror', 'user_mirror'];
+
+// One repair per subscription: re-apply it from Stripe, or, where only the
+// mirrors are off (or Stripe does not have it), rewrite them from the row.
+async function repairGroup(pool, config, group, ctx, deps) {
+  const { row, sub, missingLocal } = group;
+  if (!sub || group.items.every((i) => MIRRORS.includes(i.category))) return service.syncAccess(pool, row, ctx.now);
+  const fresh = ctx.fixture ? sub : await deps.stripe.subscriptions.retrieve(sub.id);
+  const kept = row && row.status === 'unpaid' && service.mapStripeStatus(config, fresh.status) === 'past_due';
+  return service.applySubscription(pool, config, fresh, {
+    actor: ctx.actor,
+    reason: 'reconcile',
+    force: !kept,
+    cpaProfileId: missingLocal ? group.cpa_profile_id : undefined,
+    now: ctx.now,
+  }, deps);
+}
+
+// Compares Stripe with the local tables, repairs if asked, and records the
+// run. opts: { repair, actor, fixture }. Returns the run with its items.
+async function reconcile(pool, config, { repair = false, actor = 'system', fixture = null } = {}, deps, now = new Date()) {
+  const source = fixture ? `fixture:${path.basename(fixture)}` : 'stripe';
+  const run = await pool.query(
+    `INSERT INTO billing_reconcile_runs (source, repair, actor) VALUES ($1, $2, $3) RETURNING id`,
+    [source, repair, actor]
+  );
+  const runId = run.rows[0].id;
+  try {
+    const listing = fixture ? loadFixture(fixture) : await listStripe(deps.stripe, config.RECONCILE_MAX);
+    const local = await pool.query(LOCAL_SQL);
+    const customers = await customerProfiles(pool, listing, local.rows);
+    const items = compare(config, deps.prices, listing, local.rows, customers, now);
+
+    if (repair) {
+      const byId = new Map(listing.data.map((s) => [s.id, s]));
+      const rowsByProfile = new Map(local.rows.map((r) => [r.cpa_profile_id, r]));
+      const groups = new Map();
+      for (const item of items) {
+        if (!item.repairable) continue;
+        const key = `${item.cpa_profile_id}:${item.stripe_subscription_id}`;
+        if (!groups.has(key)) {
+          const missingLocal = item.category === 'missing_local';
+          groups.set(key, {
+            cpa_profile_id: item.cpa_profile_id,
+            missingLocal,
+            row: missingLocal ? null : rowsByProfile.get(item.cpa_profile_id),
+            sub: byId.get(item.stripe_subscription_id) || null,
+            items: [],
+          });
+        }
+        groups.get(key).items.push(item);
+      }
+      const ctx = { actor: `reconcile:${runId}`, fixture, now };
+      for (const group of groups.values()) {
+        try {
+          await repairGroup(pool, config, group, ctx, deps);
+          for (const item of group.items) item.repaired = true;
+        } catch (err) {
+          service.logError(deps, `reconcile repair (profile ${group.cpa_profile_id})`, err);
+          for (const item of group.items) item.repair_error = err.message;
+        }
+      }
+    }
+
+    for (const item of items) {
+      await pool.query(
+        `INSERT INTO billing_reconcile_items
+           (run_id, category, cpa_profile_id, stripe_subscription_id, local_value, expected_value, note, repairable, repaired, repair_error)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [runId, item.category, item.cpa_profile_id, item.stripe_subscription_id, item.local, item.expected,
+         item.note, item.repairable, Boolean(item.repaired), item.repair_error || null]
+      );
+    }
+    const counts = countItems(items);
+    await pool.query(
+      `UPDATE billing_reconcile_runs
+          SET status = 'completed', completed_at = now(), stripe_count = $2, local_count = $3, complete = $4, counts = $5
+        WHERE id = $1`,
+      [runId, listing.data.length, local.rows.length, listing.complete, JSON.stringify(counts)]
+    );
+    return {
+      ok: true, run_id: runId, source, repair,
+      stripe_count: listing.data.length, local_count: local.rows.length, complete: listing.complete,
+      counts, items,
+    };
+  } catch (err) {
+    service.logError(deps, `reconcile run ${runId}`, err);
+    await pool.query(
+      `UPDATE billing_reconcile_runs SET status = 'failed', completed_at = now(), error = $2 WHERE id = $1`,
+      [runId, err.message]
+    ).catch((e) => service.logError(deps, `reconcile run ${runId} mark failed`, e));
+    return { ok: false, code: 502, run_id: runId, message: `Reconciliation failed: ${err.message}` };
+  }
+}
+
+async function listRuns(pool, config) {
+  const { rows } = await pool.query(
+    `SELECT * FROM billing_reconcile_runs ORDER BY started_at DESC LIMIT $1`,
+    [config.EVENTS_LIMIT]
+  );
+  return rows;
+}
+
+async function getRun(pool, runId, { category } = {}) {
+  if (category && !CATEGORIES.includes(category)) {
+    return { ok: false, code: 400, message: `category must be one of: ${CATEGORIES.join(', ')}` };
+  }
+  const run = await pool.query(`SELECT * FROM billing_reconcile_runs WHERE id = $1`, [runId]);
+  if (!run.rows[0]) return { ok: false, code: 404, message: 'No such run.' };
+  const items = await pool.query(
+    `SELECT * FROM billing_reconcile_items WHERE run_id = $1 AND ($2::text IS NULL OR category = $2) ORDER BY category, id`,
+    [runId, category || null]
+  );
+  return { ok: true, run: run.rows[0], items: items.rows };
+}
+
+module.exports = {
+  CATEGORIES,
+  listStripe,
+  loadFixture,
+  recordFixture,
+  compare,
+  reconcile,
+  listRuns,
+  getRun,
+};
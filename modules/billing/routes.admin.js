@@ -0,0 +1,177 @@
+// modules/billing/routes.admin.js
+// Stripe event log, replays, the subscription lifecycle, reconciliation and
+// pay-per-lead accounts, refunds and disputes. Paths live under
+// /api/admin/* and inherit the `app.use('/api/admin', authenticateToken,
+// requireAdmin)` umbrella in server.js.
+
+'use strict';
+
+const express = require('express');
+
+function buildAdminRoutes({ pool, config, service, reconcile, leadBilling, deps }) {
+  const router = express.Router();
+
+  // GET /api/admin/billing/events?status=failed - received Stripe events.
+  router.get('/api/admin/billing/events', async (req, res) => {
+    try {
+      const result = await service.listEvents(pool, config, { status: req.query.status });
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[billing/admin] events error:', err.message);
+      return res.status(500).json({ error: 'events failed' });
+    }
+  });
+
+  // POST /api/admin/billing/events/:id/replay - fetch the event from Stripe
+  // and apply it again, processed or not.
+  router.post('/api/admin/billing/events/:id/replay', async (req, res) => {
+    try {
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const result = await service.replayEvent(pool, config, req.params.id, { actor }, deps);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[billing/admin] replay error:', err.message);
+      return res.status(500).json({ error: 'replay failed' });
+    }
+  });
+
+  // GET /api/admin/billing/subscriptions?status=past_due
+  router.get('/api/admin/billing/subscriptions', async (req, res) => {
+    try {
+      const result = await service.listSubscriptions(pool, config, { status: req.query.status });
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[billing/admin] subscriptions error:', err.message);
+      return res.status(500).json({ error: 'subscriptions failed' });
+    }
+  });
+
+  // GET /api/admin/billing/subscriptions/:profileId/history - status and plan
+  // changes, dunning emails and ignored events, newest first.
+  router.get('/api/admin/billing/subscriptions/:profileId/history', async (req, res) => {
+    try {
+      const id = parseInt(req.params.profileId, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad profile id.' });
+      return res.json({ history: await service.history(pool, config, id) });
+    } catch (err) {
+      console.error('[billing/admin] history error:', err.message);
+      return res.status(500).json({ error: 'history failed' });
+    }
+  });
+
+  // POST /api/admin/billing/dunning/run - one dunning pass now.
+  router.post('/api/admin/billing/dunning/run', async (req, res) => {
+    try {
+      return res.json(await service.runDunning(pool, config, deps));
+    } catch (err) {
+      console.error('[billing/admin] dunning error:', err.message);
+      return res.status(500).json({ error: 'dunning run failed' });
+    }
+  });
+
+  // POST /api/admin/billing/reconcile { repair? } - compare with Stripe now;
+  // repairs only with repair: true.
+  router.post('/api/admin/billing/reconcile', async (req, res) => {
+    try {
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const repair = Boolean(req.body && req.body.repair === true);
+      const result = await reconcile.reconcile(pool, config, { repair, actor, fixture: config.RECONCILE_FIXTURE }, deps);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message, run_id: result.run_id });
+      return res.json(result);
+    } catch (err) {
+      console.error('[billing/admin] reconcile error:', err.message);
+      return res.status(500).json({ error: 'reconcile failed' });
+    }
+  });
+
+  // GET /api/admin/billing/reconcile/runs - recent runs with their counts.
+  router.get('/api/admin/billing/reconcile/runs', async (req, res) => {
+    try {
+      return res.json({ runs: await reconcile.listRuns(pool, config) });
+    } catch (err) {
+      console.error('[billing/admin] reconcile runs error:', err.message);
+      return res.status(500).json({ error: 'reconcile runs failed' });
+    }
+  });
+
+  // GET /api/admin/billing/reconcile/runs/:id?category=status - one run's
+  // mismatches.
+  router.get('/api/admin/billing/reconcile/runs/:id', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad run id.' });
+      const result = await reconcile.getRun(pool, id, { category: req.query.category });
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[billing/admin] reconcile run error:', err.message);
+      return res.status(500).json({ error: 'reconcile run failed' });
+    }
+  });
+
+  // GET /api/admin/billing/lead-accounts?status=exhausted - pay-per-lead
+  // professionals, their mode and balance.
+  router.get('/api/admin/billing/lead-accounts', async (req, res) => {
+    try {
+      const result = await leadBilling.listAccounts(pool, config, { status: req.query.status });
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[billing/admin] lead accounts error:', err.message);
+      return res.status(500).json({ error: 'lead accounts failed' });
+    }
+  });
+
+  // POST /api/admin/billing/lead-charges/:id/refund { reason } - refund an
+  // invalid lead without waiting for a dispute.
+  router.post('/api/admin/billing/lead-charges/:id/refund', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad charge id.' });
+      const reason = String((req.body && req.body.reason) || '').trim();
+      if (!reason) return res.status(400).json({ error: 'reason is required.' });
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const result = await leadBilling.refundCharge(pool, config, id, { actor, reason }, deps);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[billing/admin] lead refund error:', err.message);
+      return res.status(500).json({ error: 'lead refund failed' });
+    }
+  });
+
+  // GET /api/admin/billing/lead-disputes?status=open
+  router.get('/api/admin/billing/lead-disputes', async (req, res) => {
+    try {
+      const result = await leadBilling.listDisputes(pool, config, { status: req.query.status });
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[billing/admin] lead disputes error:', err.message);
+      return res.status(500).json({ error: 'lead disputes failed' });
+    }
+  });
+
+  // POST /api/admin/billing/lead-disputes/:id/resolve { decision: 'refund'|'reject', note? }
+  router.post('/api/admin/billing/lead-disputes/:id/resolve', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad dispute id.' });
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const body = req.body || {};
+      const result = await leadBilling.resolveDispute(pool, config, id, { decision: body.decision, note: body.note, actor }, deps);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[billing/admin] dispute resolve error:', err.message);
+      return res.status(500).json({ error: 'dispute resolve failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildAdminRoutes;
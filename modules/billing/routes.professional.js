@@ -0,0 +1,116 @@
+// modules/billing/routes.professional.js
+// Mid-cycle plan changes and the pay-per-lead balance from the CPA dashboard
+// (JWT). Auth middleware is injected; the CPA row is resolved the way the
+// other dashboard routes resolve it (user_id, then email).
+
+'use strict';
+
+const express = require('express');
+
+function buildProfessionalRoutes({ pool, config, service, leadBilling, deps, auth }) {
+  const router = express.Router();
+  const { authenticateToken, requireCPA } = auth;
+
+  async function resolveCpa(req) {
+    const { rows } = await pool.query(
+      `SELECT id, email FROM cpa_profiles WHERE user_id = $1 OR email = $2 LIMIT 1`,
+      [req.user.userId, req.user.email]
+    );
+    return rows[0] || null;
+  }
+
+  // GET /api/stripe/plan-change/preview?tier=enterprise&interval=yearly -
+  // what the change costs now and on the next invoice.
+  router.get('/api/stripe/plan-change/preview', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      const result = await service.previewChange(pool, config, cpa.id, { tier: req.query.tier, interval: req.query.interval }, deps);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[billing/pro] preview error:', err.message);
+      return res.status(500).json({ error: 'Could not price the plan change.' });
+    }
+  });
+
+  // POST /api/stripe/plan-change { tier, interval?, proration_date? } -
+  // proration_date from the preview charges exactly what it quoted.
+  router.post('/api/stripe/plan-change', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      const actor = `cpa:${req.user.email || req.user.userId}`;
+      const result = await service.changePlan(pool, config, cpa.id, req.body || {}, { actor }, deps);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[billing/pro] plan change error:', err.message);
+      return res.status(500).json({ error: 'Plan change failed.' });
+    }
+  });
+
+  // GET /api/cpa/lead-balance - pay-per-lead mode, balance, lead prices by
+  // province, and recent charges, top-ups and refunds.
+  router.get('/api/cpa/lead-balance', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      return res.json(await leadBilling.balance(pool, config, cpa.id));
+    } catch (err) {
+      console.error('[billing/pro] lead balance error:', err.message);
+      return res.status(500).json({ error: 'Could not load your lead balance.' });
+    }
+  });
+
+  // POST /api/cpa/lead-balance/top-up { amount_cents } - Stripe Checkout URL
+  // for a prepaid top-up; the balance is credited by the webhook.
+  router.post('/api/cpa/lead-balance/top-up', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      const result = await leadBilling.startTopUp(pool, config, cpa, req.body || {}, deps);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[billing/pro] lead top-up error:', err.message);
+      return res.status(500).json({ error: 'Could not start the top-up.' });
+    }
+  });
+
+  // POST /api/cpa/lead-balance/metered - Stripe Checkout URL for metered
+  // billing: each accepted lead is invoiced at the end of the month.
+  router.post('/api/cpa/lead-balance/metered', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      const result = await leadBilling.startMetered(pool, config, cpa, deps);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[billing/pro] lead metered error:', err.message);
+      return res.status(500).json({ error: 'Could not start metered billing.' });
+    }
+  });
+
+  // POST /api/cpa/lead-charges/:id/dispute { reason } - the lead was invalid;
+  // an admin decides whether to refund it.
+  router.post('/api/cpa/lead-charges/:id/dispute', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad charge id.' });
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      const result = await leadBilling.openDispute(pool, config, cpa.id, id, (req.body || {}).reason);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.status(201).json(result);
+    } catch (err) {
+      console.error('[billing/pro] lead dispute error:', err.message);
+      return res.status(500).json({ error: 'Could not open the dispute.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildProfessionalRoutes;
@@ -0,0 +1,173 @@
+// modules/billing/schema.js
+// Boot-time creation of the billing tables, and the lifecycle columns on
+// cpa_subscriptions. Production's cpa_subscriptions predates this repo; the
+// CREATE only matters on a fresh database, the ALTERs add columns only.
+//
+// billing_stripe_events         one row per Stripe event id received. The
+//                               claim on this row is what makes webhook
+//                               delivery idempotent: an event processed once
+//                               is never applied again, except by an admin
+//                               replay.
+// billing_subscription_events   the lifecycle history of each subscription:
+//                               status and plan changes, dunning emails, and
+//                               events ignored as stale or invalid.
+// billing_reconcile_runs        one row per reconciliation against Stripe,
+//                               with mismatch counts by category.
+// billing_reconcile_items       the mismatches a run found, what each table
+//                               held and what Stripe implies, and whether it
+//                               was repaired.
+// billing_lead_accounts         one row per professional billed per lead:
+//                               prepaid (with a balance) or metered (Stripe
+//                               usage), and whether it can take leads now.
+// billing_lead_ledger           every movement on a lead account: top-ups,
+//                               lead charges, refunds. Amounts are signed
+//                               cents; balance_after is set for prepaid.
+// billing_lead_disputes         a professional's claim that a charged lead
+//                               was invalid, and how an admin resolved it.
+
+'use strict';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS billing_stripe_events (
+  id                  TEXT PRIMARY KEY,
+  type                TEXT NOT NULL,
+  status              TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing','processed','failed')),
+  attempts            INTEGER NOT NULL DEFAULT 1,
+  error               TEXT,
+  result              JSONB,
+  stripe_created_at   TIMESTAMPTZ,
+  received_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  processed_at        TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_billing_stripe_events_status ON billing_stripe_events (status, received_at DESC);
+
+CREATE TABLE IF NOT EXISTS cpa_subscriptions (
+  id                      SERIAL PRIMARY KEY,
+  cpa_profile_id          INTEGER NOT NULL,
+  plan_type               VARCHAR(50),
+  status                  VARCHAR(30) NOT NULL DEFAULT 'active',
+  stripe_subscription_id  VARCHAR(255),
+  stripe_customer_id      VARCHAR(255),
+  current_period_start    TIMESTAMPTZ,
+  current_period_end      TIMESTAMPTZ,
+  created_at              TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at              TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cpa_subs_profile_id ON cpa_subscriptions (cpa_profile_id);
+CREATE INDEX IF NOT EXISTS idx_cpa_subs_stripe_subscription_id ON cpa_subscriptions (stripe_subscription_id);
+ALTER TABLE cpa_subscriptions ADD COLUMN IF NOT EXISTS stripe_price_id VARCHAR(255);
+ALTER TABLE cpa_subscriptions ADD COLUMN IF NOT EXISTS cancel_at_period_end BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE cpa_subscriptions ADD COLUMN IF NOT EXISTS trial_end TIMESTAMPTZ;
+ALTER TABLE cpa_subscriptions ADD COLUMN IF NOT EXISTS past_due_since TIMESTAMPTZ;
+ALTER TABLE cpa_subscriptions ADD COLUMN IF NOT EXISTS grace_until TIMESTAMPTZ;
+ALTER TABLE cpa_subscriptions ADD COLUMN IF NOT EXISTS dunning_step INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE cpa_subscriptions ADD COLUMN IF NOT EXISTS dunning_last_sent_at TIMESTAMPTZ;
+ALTER TABLE cpa_subscriptions ADD COLUMN IF NOT EXISTS dunning_invoice_url TEXT;
+ALTER TABLE cpa_subscriptions ADD COLUMN IF NOT EXISTS last_event_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_cpa_subs_past_due ON cpa_subscriptions (grace_until) WHERE status = 'past_due';
+
+CREATE TABLE IF NOT EXISTS billing_subscription_events (
+  id                      BIGSERIAL PRIMARY KEY,
+  cpa_profile_id          INTEGER,
+  stripe_subscription_id  VARCHAR(255),
+  kind                    TEXT NOT NULL CHECK (kind IN ('status','plan','plan_change_requested','dunning_email','email_suppressed_dark','ignored')),
+  from_status             VARCHAR(30),
+  to_status               VARCHAR(30),
+  plan_from               VARCHAR(50),
+  plan_to                 VARCHAR(50),
+  stripe_event_id         TEXT,
+  actor                   TEXT NOT NULL DEFAULT 'stripe',
+  detail                  JSONB,
+  created_at              TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_billing_sub_events_profile ON billing_subscription_events (cpa_profile_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS billing_reconcile_runs (
+  id                  BIGSERIAL PRIMARY KEY,
+  source              TEXT NOT NULL,
+  repair              BOOLEAN NOT NULL DEFAULT false,
+  actor               TEXT NOT NULL,
+  status              TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running','completed','failed')),
+  stripe_count        INTEGER,
+  local_count         INTEGER,
+  complete            BOOLEAN,
+  counts              JSONB,
+  error               TEXT,
+  started_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  completed_at        TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS billing_reconcile_items (
+  id                      BIGSERIAL PRIMARY KEY,
+  run_id                  BIGINT NOT NULL REFERENCES billing_reconcile_runs(id) ON DELETE CASCADE,
+  category                TEXT NOT NULL,
+  cpa_profile_id          INTEGER,
+  stripe_subscription_id  VARCHAR(255),
+  local_value             TEXT,
+  expected_value          TEXT,
+  note                    TEXT,
+  repairable              BOOLEAN NOT NULL,
+  repaired                BOOLEAN NOT NULL DEFAULT false,
+  repair_error            TEXT,
+  created_at              TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_billing_reconcile_items_run ON billing_reconcile_items (run_id, category);
+
+CREATE TABLE IF NOT EXISTS billing_lead_accounts (
+  cpa_profile_id                INTEGER PRIMARY KEY,
+  mode                          TEXT NOT NULL CHECK (mode IN ('prepaid','metered')),
+  status                        TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active','exhausted')),
+  balance_cents                 INTEGER NOT NULL DEFAULT 0,
+  stripe_customer_id            VARCHAR(255),
+  stripe_subscription_id        VARCHAR(255),
+  stripe_subscription_item_id   VARCHAR(255),
+  created_at                    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at                    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_billing_lead_accounts_sub ON billing_lead_accounts (stripe_subscription_id);
+
+CREATE TABLE IF NOT EXISTS billing_lead_ledger (
+  id                  BIGSERIAL PRIMARY KEY,
+  cpa_profile_id      INTEGER NOT NULL,
+  kind                TEXT NOT NULL CHECK (kind IN ('topup','charge','refund')),
+  mode                TEXT NOT NULL,
+  amount_cents        INTEGER NOT NULL,
+  balance_after       INTEGER,
+  lead_id             INTEGER,
+  offer_id            INTEGER,
+  province            VARCHAR(2),
+  charge_id           BIGINT REFERENCES billing_lead_ledger(id),
+  stripe_ref          TEXT,
+  usage_reported_at   TIMESTAMPTZ,
+  usage_error         TEXT,
+  reason              TEXT,
+  actor               TEXT NOT NULL,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_billing_lead_ledger_profile ON billing_lead_ledger (cpa_profile_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_billing_lead_ledger_offer ON billing_lead_ledger (offer_id) WHERE kind = 'charge';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_billing_lead_ledger_refund ON billing_lead_ledger (charge_id) WHERE kind = 'refund';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_billing_lead_ledger_topup ON billing_lead_ledger (stripe_ref) WHERE kind = 'topup';
+CREATE INDEX IF NOT EXISTS idx_billing_lead_ledger_unreported ON billing_lead_ledger (created_at)
+  WHERE kind = 'charge' AND mode = 'metered' AND usage_reported_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS billing_lead_disputes (
+  id                  BIGSERIAL PRIMARY KEY,
+  charge_id           BIGINT NOT NULL UNIQUE REFERENCES billing_lead_ledger(id),
+  cpa_profile_id      INTEGER NOT NULL,
+  reason              TEXT NOT NULL,
+  status              TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','refunded','rejected')),
+  resolved_by         TEXT,
+  resolution_note     TEXT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  resolved_at         TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_billing_lead_disputes_open ON billing_lead_disputes (created_at) WHERE status = 'open';
+`;
+
+async function ensureBillingSchema(pool) {
+  await pool.query(DDL);
+  console.log('[billing] module schema ensured');
+}
+
+module.exports = { ensureBillingSchema, DDL };
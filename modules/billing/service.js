@@ -0,0 +1,679 @@
+// modules/billing/service.js
+// The subscription lifecycle, driven by Stripe webhook events.
+//
+//   events     every event id is claimed in billing_stripe_events before it
+//              is applied. A redelivered event that was processed is
+//              acknowledged and skipped; a failed one is applied again.
+//   states     cpa_subscriptions.status moves through config.TRANSITIONS
+//              only. A Stripe status that would move it any other way, or an
+//              event older than the last one applied, is recorded as ignored.
+//   dunning    the first failed payment starts a grace period (past_due,
+//              still entitled). The billing_dunning job sends the dunning
+//              emails on config.DUNNING_DAYS and, when grace ends unpaid,
+//              moves the subscription to 'unpaid'. A payment ends it.
+//   plans      tier upgrades are charged now (prorated, invoiced at once);
+//              downgrades credit the unused time against the next invoice.
+//
+// Everything else reads entitlement from the mirror syncAccess() keeps:
+// cpa_profiles.subscription_status and users.subscription_status are 'active'
+// while the subscription is entitled (active, trialing, or past_due within
+// grace) and the local state otherwise, so the existing `= 'active'` gates
+// and matching need no change. The CRM stage follows the same rule:
+// entitled is 'subscriber', unpaid or canceled is 'churned'.
+//
+// Checkouts and subscriptions for pay-per-lead billing (metadata.kind
+// 'lead_topup' / 'lead_metered') never touch cpa_subscriptions; they are
+// handed to lead-billing.js.
+
+'use strict';
+
+const { TRANSITIONS: CRM_TRANSITIONS } = require('../../services/crm');
+const leadBilling = require('./lead-billing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EVENT_STATUSES = ['processing', 'processed', 'failed'];
+
+function logError(deps, context, err) {
+  console.error(`[billing/service] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[billing/service] captureError failed:', e.message); }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------
+
+function mapStripeStatus(config, stripeStatus) {
+  return config.STRIPE_STATUS[stripeStatus] || null;
+}
+
+// A new row (from null) may start in any state; staying put is not a move.
+function canTransition(config, from, to) {
+  if (!from || from === to) return true;
+  return (config.TRANSITIONS[from] || []).includes(to);
+}
+
+// Whether the subscription currently pays for access. A past_due row without
+// grace_until predates the dunning job, which starts its grace on the next run.
+function entitled(row, now = new Date()) {
+  if (!row) return false;
+  if (row.status === 'active' || row.status === 'trialing') return true;
+  if (row.status !== 'past_due') return false;
+  return !row.grace_until || new Date(row.grace_until).getTime() > now.getTime();
+}
+
+// The tier and interval a Stripe price id sells, from the STRIPE_PRICES map
+// (keys 'professional', 'professional_monthly', 'professional_yearly', ...).
+function tierForPrice(prices, priceId) {
+  if (!priceId) return null;
+  for (const [key, id] of Object.entries(prices || {})) {
+    if (!id || id !== priceId) continue;
+    const [tier, interval] = key.split('_');
+    return { tier, interval: interval || 'monthly' };
+  }
+  return null;
+}
+
+function priceFor(prices, tier, interval) {
+  return (prices || {})[`${tier}_${interval}`] || (interval === 'monthly' ? (prices || {})[tier] : '') || null;
+}
+
+// 'upgrade', 'downgrade' or 'none'. Same tier: yearly billing is the upgrade.
+function planDirection(config, from, to) {
+  const diff = (config.TIER_RANK[to.tier] || 0) - (config.TIER_RANK[from.tier] || 0);
+  if (diff > 0) return 'upgrade';
+  if (diff < 0) return 'downgrade';
+  if (from.interval === to.interval) return 'none';
+  return to.interval === 'yearly' ? 'upgrade' : 'downgrade';
+}
+
+function prorationBehavior(direction) {
+  return direction === 'upgrade' ? 'always_invoice' : 'create_prorations';
+}
+
+// The grace and dunning columns for a row moving to `next`. Entering past_due
+// starts grace; staying keeps it; paying clears it.
+function dunningFields(config, row, next, now) {
+  if (next === 'past_due') {
+    if (row && row.status === 'past_due' && row.past_due_since) {
+      return { past_due_since: row.past_due_since, grace_until: row.grace_until, dunning_step: row.dunning_step || 0 };
+    }
+    return { past_due_since: now, grace_until: new Date(now.getTime() + config.GRACE_DAYS * DAY_MS), dunning_step: 0 };
+  }
+  if (next === 'active' || next === 'trialing') return { past_due_since: null, grace_until: null, dunning_step: 0 };
+  return { past_due_since: row ? row.past_due_since || null : null, grace_until: null, dunning_step: row ? row.dunning_step || 0 : 0 };
+}
+
+// The index into config.DUNNING_DAYS due now, or null. Only the latest due
+// step is sent: a job that missed a run does not send two emails at once.
+function dueStep(config, row, now) {
+  if (!row || row.status !== 'past_due' || !row.past_due_since) return null;
+  const elapsed = (now.getTime() - new Date(row.past_due_since).getTime()) / DAY_MS;
+  let due = null;
+  config.DUNNING_DAYS.forEach((day, i) => {
+    if (day <= elapsed && i >= (row.dunning_step || 0)) due = i;
+  });
+  return due;
+}
+
+function stepTemplate(config, step) {
+  if (step === 0) return 'payment_failed';
+  return step === config.DUNNING_DAYS.length - 1 ? 'final_notice' : 'reminder';
+}
+
+function eventMeta(event) {
+  return {
+    eventId: event.id,
+    createdAt: event.created ? new Date(event.created * 1000) : null,
+    deleted: event.type === 'customer.subscription.deleted',
+  };
+}
+
+function isStale(row, meta) {
+  return Boolean(meta.createdAt && row.last_event_at && meta.createdAt.getTime() < new Date(row.last_event_at).getTime());
+}
+
+function toDate(seconds) {
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Event claims
+// ---------------------------------------------------------------------------
+
+// Claims an event for processing. A new id is claimed; a known id only when
+// it failed, when its claim is stale, or (force, admin replay) when it was
+// processed. Returns { claimed: true } or { claimed: false, status }.
+async function claimEvent(pool, config, event, { force = false } = {}) {
+  const { rows } = await pool.query(
+    `INSERT INTO billing_stripe_events (id, type, stripe_created_at)
+     VALUES ($1, $2, to_timestamp($3))
+     ON CONFLICT (id) DO UPDATE
+        SET status = 'processing', attempts = billing_stripe_events.attempts + 1,
+            error = NULL, received_at = now(), processed_at = NULL
+      WHERE billing_stripe_events.status = 'failed'
+         OR ($4::boolean AND billing_stripe_events.status = 'processed')
+         OR (billing_stripe_events.status = 'processing'
+             AND billing_stripe_events.received_at < now() - make_interval(mins => $5))
+     RETURNING attempts`,
+    [event.id, event.type, event.created || null, force, config.STALE_CLAIM_MINUTES]
+  );
+  if (rows[0]) return { claimed: true, attempts: rows[0].attempts };
+  const prior = await pool.query(`SELECT status FROM billing_stripe_events WHERE id = $1`, [event.id]);
+  return { claimed: false, status: prior.rows[0] ? prior.rows[0].status : null };
+}
+
+async function recordHistory(pool, entry) {
+  await pool.query(
+    `INSERT INTO billing_subscription_events
+       (cpa_profile_id, stripe_subscription_id, kind, from_status, to_status, plan_from, plan_to, stripe_event_id, actor, detail)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [entry.cpa_profile_id || null, entry.stripe_subscription_id || null, entry.kind,
+     entry.from_status || null, entry.to_status || null, entry.plan_from || null, entry.plan_to || null,
+     entry.stripe_event_id || null, entry.actor || 'stripe', entry.detail ? JSON.stringify(entry.detail) : null]
+  );
+}
+
+async function ignore(pool, row, meta, reason, detail = {}) {
+  await recordHistory(pool, {
+    cpa_profile_id: row && row.cpa_profile_id,
+    stripe_subscription_id: (row && row.stripe_subscription_id) || detail.stripe_subscription_id,
+    kind: 'ignored',
+    stripe_event_id: meta.eventId,
+    actor: meta.actor,
+    detail: { reason, ...detail },
+  });
+  return { action: 'ignored', reason };
+}
+
+// ---------------------------------------------------------------------------
+// Access mirror and CRM
+// ---------------------------------------------------------------------------
+
+// Writes the entitlement mirror on the profile and its user. Returns it.
+async function syncAccess(pool, row, now = new Date()) {
+  const status = entitled(row, now) ? 'active' : row.status;
+  const { rows } = await pool.query(
+    `UPDATE cpa_profiles SET subscription_status = $2, subscription_tier = COALESCE($3, subscription_tier)
+      WHERE id = $1 RETURNING user_id`,
+    [row.cpa_profile_id, status, row.plan_type || null]
+  );
+  if (rows[0] && rows[0].user_id) {
+    await pool.query(
+      `UPDATE users SET subscription_status = $2, subscription_tier = COALESCE($3, subscription_tier) WHERE id = $1`,
+      [rows[0].user_id, status, row.plan_type || null]
+    );
+  }
+  return status;
+}
+
+// Moves the professional's CRM stage to match the subscription. Their
+// scraped_cpas row is the one they claimed, else the one with their address.
+// A payment outranks the pipeline: a professional not at 'claimed' or
+// 'churned' is forced to 'subscriber'. Only a subscriber churns. Never throws.
+async function syncCrm(pool, row, deps, now = new Date()) {
+  if (!deps || !deps.crm) return null;
+  const target = entitled(row, now) ? 'subscriber'
+    : (row.status === 'unpaid' || row.status === 'canceled' ? 'churned' : null);
+  if (!target) return null;
+  try {
+    const { rows } = await pool.query(
+      `SELECT sc.id, sc.crm_status
+         FROM cpa_profiles p
+         JOIN scraped_cpas sc
+           ON sc.claimed_by = p.user_id
+           OR LOWER(sc.email) = LOWER(p.email) OR LOWER(sc.enriched_email) = LOWER(p.email)
+        WHERE p.id = $1
+        ORDER BY (sc.claimed_by = p.user_id) DESC NULLS LAST
+        LIMIT 1`,
+      [row.cpa_profile_id]
+    );
+    const prof = rows[0];
+    if (!prof) return null;
+    const from = prof.crm_status || 'raw_import';
+    if (from === target || (target === 'churned' && from !== 'subscriber')) return null;
+    const opts = { triggeredBy: 'billing', metadata: { cpa_profile_id: row.cpa_profile_id, subscription_status: row.status } };
+    return (CRM_TRANSITIONS[from] || []).includes(target)
+      ? await deps.crm.transition(prof.id, target, opts)
+      : await deps.crm.forceTransition(prof.id, target, opts);
+  } catch (err) {
+    logError(deps, `crm sync (profile ${row.cpa_profile_id})`, err);
+    return null;
+  }
+}
+
+async function afterChange(pool, config, from, row, deps, now) {
+  await syncAccess(pool, row, now);
+  if (from === row.status) return;
+  await syncCrm(pool, row, deps, now);
+  if (row.status === 'past_due') await advanceDunning(pool, config, row, now, deps);
+}
+
+// ---------------------------------------------------------------------------
+// State changes
+// ---------------------------------------------------------------------------
+
+async function findBySubscription(pool, subscriptionId) {
+  const { rows } = await pool.query(`SELECT * FROM cpa_subscriptions WHERE stripe_subscription_id = $1`, [subscriptionId]);
+  return rows[0] || null;
+}
+
+// Points the profile's row at a new subscription (first checkout or a
+// resubscribe), or creates it. `inserted` tells the two apart.
+async function linkSubscription(pool, cpaProfileId, sub, status, customerId) {
+  const { rows } = await pool.query(
+    `INSERT INTO cpa_subscriptions (cpa_profile_id, status, stripe_subscription_id, stripe_customer_id)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (cpa_profile_id) DO UPDATE
+        SET stripe_subscription_id = EXCLUDED.stripe_subscription_id,
+            stripe_customer_id = COALESCE(EXCLUDED.stripe_customer_id, cpa_subscriptions.stripe_customer_id),
+            last_event_at = NULL, updated_at = now()
+     RETURNING *, (xmax = 0) AS inserted`,
+    [cpaProfileId, status, sub.id, customerId || sub.customer || null]
+  );
+  return rows[0];
+}
+
+// Applies a Stripe subscription object: status (when the move is allowed, or
+// always with `force`), plan, periods. meta: { eventId, createdAt, deleted,
+// cpaProfileId, customerId, planHint, reason, actor, force, now }.
+async function applySubscription(pool, config, sub, meta, deps) {
+  const now = meta.now || new Date();
+  const next = meta.deleted ? 'canceled' : mapStripeStatus(config, sub.status);
+  let row = await findBySubscription(pool, sub.id);
+  if (!row && meta.cpaProfileId && next) row = await linkSubscription(pool, meta.cpaProfileId, sub, next, meta.customerId);
+  if (!row) return ignore(pool, null, meta, 'unknown_subscription', { stripe_subscription_id: sub.id });
+  if (isStale(row, meta)) return ignore(pool, row, meta, 'stale_event');
+  if (!next) return ignore(pool, row, meta, 'unknown_status', { stripe_status: sub.status });
+
+  const from = row.inserted ? null : row.status;
+  let status = next;
+  if (!meta.force && !canTransition(config, from, next)) {
+    await ignore(pool, row, meta, 'invalid_transition', { from, to: next, stripe_status: sub.status });
+    status = from;
+  }
+  const item = sub.items && sub.items.data && sub.items.data[0];
+  const priceId = item && item.price ? item.price.id : null;
+  const plan = tierForPrice(deps.prices, priceId);
+  const planType = (plan && plan.tier) || row.plan_type || meta.planHint || null;
+  const dunning = dunningFields(config, { ...row, status: from }, status, now);
+
+  const { rows } = await pool.query(
+    `UPDATE cpa_subscriptions
+        SET status = $2, plan_type = $3, stripe_price_id = COALESCE($4, stripe_price_id),
+            current_period_start = COALESCE($5, current_period_start), current_period_end = COALESCE($6, current_period_end),
+            cancel_at_period_end = $7, trial_end = $8,
+            past_due_since = $9, grace_until = $10, dunning_step = $11,
+            dunning_invoice_url = CASE WHEN $2::text IN ('active','trialing') THEN NULL ELSE dunning_invoice_url END,
+            last_event_at = GREATEST(last_event_at, $12), updated_at = now()
+      WHERE id = $1
+      RETURNING *`,
+    [row.id, status, planType, priceId, toDate(sub.current_period_start), toDate(sub.current_period_end),
+     Boolean(sub.cancel_at_period_end), toDate(sub.trial_end),
+     dunning.past_due_since, dunning.grace_until, dunning.dunning_step, meta.createdAt || null]
+  );
+  const after = rows[0];
+  const base = { cpa_profile_id: after.cpa_profile_id, stripe_subscription_id: sub.id, stripe_event_id: meta.eventId, actor: meta.actor };
+  if (status !== from) {
+    await recordHistory(pool, { ...base, kind: 'status', from_status: from, to_status: status, detail: { stripe_status: sub.status, reason: meta.reason || null, forced: Boolean(meta.force) } });
+  }
+  if (from && row.plan_type !== planType) {
+    await recordHistory(pool, { ...base, kind: 'plan', plan_from: row.plan_type, plan_to: planType, detail: { price: priceId } });
+  }
+  await afterChange(pool, config, from, after, deps, now);
+  return { action: 'applied', cpa_profile_id: after.cpa_profile_id, from, to: status, plan: planType };
+}
+
+// A status-only move (invoice events, end of grace). Compare-and-set on the
+// status read, so a concurrent webhook wins rather than being overwritten.
+async function setStatus(pool, config, row, next, meta, deps) {
+  const now = meta.now || new Date();
+  const d = dunningFields(config, row, next, now);
+  const { rows } = await pool.query(
+    `UPDATE cpa_subscriptions
+        SET status = $2, past_due_since = $3, grace_until = $4, dunning_step = $5,
+            dunning_invoice_url = CASE WHEN $2::text IN ('active','trialing') THEN NULL ELSE dunning_invoice_url END,
+            last_event_at = GREATEST(last_event_at, $6), updated_at = now()
+      WHERE id = $1 AND status = $7
+      RETURNING *`,
+    [row.id, next, d.past_due_since, d.grace_until, d.dunning_step, meta.createdAt || null, row.status]
+  );
+  if (!rows[0]) return { action: 'ignored', reason: 'concurrent_change' };
+  await recordHistory(pool, {
+    cpa_profile_id: row.cpa_profile_id, stripe_subscription_id: row.stripe_subscription_id,
+    kind: 'status', from_status: row.status, to_status: next,
+    stripe_event_id: meta.eventId, actor: meta.actor, detail: { reason: meta.reason || null },
+  });
+  await afterChange(pool, config, row.status, rows[0], deps, now);
+  return { action: 'applied', cpa_profile_id: row.cpa_profile_id, from: row.status, to: next };
+}
+
+async function invoiceFailed(pool, config, invoice, meta, deps) {
+  if (!invoice.subscription) return { action: 'ignored', reason: 'no_subscription' };
+  if (leadBilling.isLeadInvoice(invoice)) return { action: 'none', reason: 'lead_billing' };
+  const row = await findBySubscription(pool, invoice.subscription);
+  if (!row) return ignore(pool, null, meta, 'unknown_subscription', { stripe_subscription_id: invoice.subscription });
+  if (isStale(row, meta)) return ignore(pool, row, meta, 'stale_event');
+  if (invoice.hosted_invoice_url) {
+    await pool.query(`UPDATE cpa_subscriptions SET dunning_invoice_url = $2 WHERE id = $1`, [row.id, invoice.hosted_invoice_url]);
+    row.dunning_invoice_url = invoice.hosted_invoice_url;
+  }
+  // Stripe's own retries fail again inside the same grace period.
+  if (row.status === 'past_due') return { action: 'none', status: row.status };
+  if (!canTransition(config, row.status, 'past_due')) {
+    return ignore(pool, row, meta, 'invalid_transition', { from: row.status, to: 'past_due' });
+  }
+  return setStatus(pool, config, row, 'past_due', { ...meta, reason: 'payment_failed' }, deps);
+}
+
+async function invoicePaid(pool, config, invoice, meta, deps) {
+  if (!invoice.subscription) return { action: 'ignored', reason: 'no_subscription' };
+  if (leadBilling.isLeadInvoice(invoice)) return { action: 'none', reason: 'lead_billing' };
+  const row = await findBySubscription(pool, invoice.subscription);
+  if (!row) return ignore(pool, null, meta, 'unknown_subscription', { stripe_subscription_id: invoice.subscription });
+  if (isStale(row, meta)) return ignore(pool, row, meta, 'stale_event');
+  if (row.status !== 'past_due' && row.status !== 'unpaid') return { action: 'none', status: row.status };
+  return setStatus(pool, config, row, 'active', { ...meta, reason: 'payment_recovered' }, deps);
+}
+
+// Profile id from the checkout metadata, or from the server.js hook that
+// activates a paid application (which creates the profile).
+async function checkoutCompleted(pool, config, session, meta, deps, opts) {
+  if (leadBilling.isLeadCheckout(session)) return leadBilling.checkoutCompleted(pool, config, session, meta, deps);
+  const md = session.metadata || {};
+  let profileId = parseInt(md.cpa_profile_id, 10) || null;
+  const hook = deps.hooks && deps.hooks.onCheckoutCompleted;
+  if (hook && !opts.skipHooks) {
+    const linked = await hook(session);
+    if (!profileId && linked && linked.cpa_profile_id) profileId = linked.cpa_profile_id;
+  }
+  const tier = md.tier || md.plan_type || null;
+  if (md.userId) {
+    await pool.query(
+      `UPDATE users SET subscription_tier = COALESCE($1, subscription_tier), stripe_customer_id = $2 WHERE id = $3`,
+      [tier, session.customer || null, md.userId]
+    );
+  }
+  if (!session.subscription || !profileId) return { action: 'none', cpa_profile_id: profileId };
+  const sub = await deps.stripe.subscriptions.retrieve(session.subscription);
+  return applySubscription(pool, config, sub, {
+    ...meta, cpaProfileId: profileId, customerId: session.customer, planHint: tier,
+  }, deps);
+}
+
+// ---------------------------------------------------------------------------
+// Webhook entry
+// ---------------------------------------------------------------------------
+
+function dispatch(pool, config, event, deps, opts) {
+  const object = event.data && event.data.object;
+  const meta = eventMeta(event);
+  switch (event.type) {
+    case 'checkout.session.completed':
+      return checkoutCompleted(pool, config, object, meta, deps, opts);
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+      if (leadBilling.isLeadSubscription(object)) return leadBilling.subscriptionChanged(pool, config, object, meta, deps);
+      return applySubscription(pool, config, object, meta, deps);
+    case 'invoice.payment_failed':
+      return invoiceFailed(pool, config, object, meta, deps);
+    case 'invoice.paid':
+    case 'invoice.payment_succeeded':
+      return invoicePaid(pool, config, object, meta, deps);
+    default:
+      return { action: 'unhandled' };
+  }
+}
+
+// Applies a verified Stripe event once. Returns { ok: true, result }, or
+// { ok: true, duplicate: true } for an event already processed; an event
+// another process is still applying is a 409 so Stripe redelivers it later.
+// opts: { force, skipHooks } for admin replays.
+async function handleEvent(pool, config, event, deps, opts = {}) {
+  if (!event || !event.id || !event.type) return { ok: false, code: 400, message: 'Not a Stripe event.' };
+  const claim = await claimEvent(pool, config, event, { force: opts.force });
+  if (!claim.claimed) {
+    if (claim.status === 'processing') return { ok: false, code: 409, duplicate: true, message: 'Event is being processed.' };
+    return { ok: true, duplicate: true, event_id: event.id };
+  }
+  try {
+    const result = await dispatch(pool, config, event, deps, opts);
+    await pool.query(
+      `UPDATE billing_stripe_events SET status = 'processed', processed_at = now(), result = $2 WHERE id = $1`,
+      [event.id, JSON.stringify(result || null)]
+    );
+    return { ok: true, event_id: event.id, type: event.type, result };
+  } catch (err) {
+    logError(deps, `${event.type} ${event.id}`, err);
+    await pool.query(
+      `UPDATE billing_stripe_events SET status = 'failed', error = $2 WHERE id = $1`,
+      [event.id, String(err && err.message ? err.message : err).slice(0, 2000)]
+    ).catch((e) => logError(deps, `mark failed ${event.id}`, e));
+    return { ok: false, code: 500, message: 'Webhook processing failed' };
+  }
+}
+
+// Fetches an event from Stripe and applies it again. An event that was
+// processed is re-applied without the checkout hook (no second welcome email).
+async function replayEvent(pool, config, eventId, { actor }, deps) {
+  if (!/^evt_\w+$/.test(String(eventId || ''))) return { ok: false, code: 400, message: 'Not a Stripe event id.' };
+  const prior = await pool.query(`SELECT status FROM billing_stripe_events WHERE id = $1`, [eventId]);
+  const event = await deps.stripe.events.retrieve(eventId);
+  const result = await handleEvent(pool, config, event, deps, {
+    force: true, skipHooks: Boolean(prior.rows[0] && prior.rows[0].status === 'processed'),
+  });
+  console.log(`[billing] ${actor} replayed ${eventId}: ${result.ok ? 'ok' : result.message}`);
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Dunning
+// ---------------------------------------------------------------------------
+
+// Sends the dunning email due for a past_due row, if any. The step is claimed
+// on the row first, so the webhook and the job never both send it.
+async function advanceDunning(pool, config, row, now, deps) {
+  const step = dueStep(config, row, now);
+  if (step === null) return null;
+  const claimed = await pool.query(
+    `UPDATE cpa_subscriptions SET dunning_step = $2, dunning_last_sent_at = now()
+      WHERE id = $1 AND status = 'past_due' AND dunning_step = $3 RETURNING id`,
+    [row.id, step + 1, row.dunning_step || 0]
+  );
+  if (!claimed.rows[0]) return null;
+  const template = stepTemplate(config, step);
+  if (deps.notify) await deps.notify.dunning(pool, config, row, template, { step });
+  return template;
+}
+
+// The billing_dunning job: sends due dunning emails and ends expired grace.
+async function runDunning(pool, config, deps, now = new Date()) {
+  // past_due rows from before this module start their grace now.
+  await pool.query(
+    `UPDATE cpa_subscriptions
+        SET past_due_since = COALESCE(past_due_since, now()),
+            grace_until = COALESCE(past_due_since, now()) + make_interval(days => $1)
+      WHERE status = 'past_due' AND grace_until IS NULL`,
+    [config.GRACE_DAYS]
+  );
+  const { rows } = await pool.query(
+    `SELECT * FROM cpa_subscriptions WHERE status = 'past_due' ORDER BY grace_until LIMIT $1`,
+    [config.DUNNING_BATCH]
+  );
+  const out = { checked: rows.length, emailed: 0, expired: 0, failed: 0 };
+  for (const row of rows) {
+    try {
+      if (row.grace_until && new Date(row.grace_until).getTime() <= now.getTime()) {
+        const r = await setStatus(pool, config, row, 'unpaid', { now, reason: 'grace_expired', actor: 'billing_dunning' }, deps);
+        if (r.action === 'applied') {
+          out.expired += 1;
+          if (deps.notify) await deps.notify.dunning(pool, config, row, 'access_paused', {});
+        }
+      } else if (await advanceDunning(pool, config, row, now, deps)) {
+        out.emailed += 1;
+      }
+    } catch (err) {
+      out.failed += 1;
+      logError(deps, `dunning (subscription ${row.id})`, err);
+    }
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Plan changes
+// ---------------------------------------------------------------------------
+
+async function planContext(pool, config, cpaProfileId, rawBody, deps) {
+  const body = rawBody || {};
+  const { rows } = await pool.query(`SELECT * FROM cpa_subscriptions WHERE cpa_profile_id = $1`, [cpaProfileId]);
+  const row = rows[0];
+  if (!row || !row.stripe_subscription_id) return { ok: false, code: 404, message: 'No subscription for this profile.' };
+  if (row.status !== 'active' && row.status !== 'trialing') {
+    return { ok: false, code: 409, message: `Plan changes need an active subscription (this one is ${row.status}).` };
+  }
+  const tier = String(body.tier || '').toLowerCase();
+  if (!config.TIER_RANK[tier]) return { ok: false, code: 400, message: `tier must be one of: ${Object.keys(config.TIER_RANK).join(', ')}` };
+
+  const sub = await deps.stripe.subscriptions.retrieve(row.stripe_subscription_id);
+  const item = sub.items && sub.items.data && sub.items.data[0];
+  if (!item) return { ok: false, code: 409, message: 'Subscription has no items.' };
+  const current = tierForPrice(deps.prices, item.price && item.price.id) || { tier: row.plan_type, interval: 'monthly' };
+  const interval = ['monthly', 'yearly'].includes(body.interval) ? body.interval : current.interval;
+  const price = priceFor(deps.prices, tier, interval);
+  if (!price) return { ok: false, code: 400, message: `No price configured for ${tier} (${interval}).` };
+  if (price === item.price.id) return { ok: false, code: 409, message: 'Already on this plan.' };
+  const direction = planDirection(config, current, { tier, interval });
+  return { ok: true, row, sub, item, from: current, to: { tier, interval }, price, direction };
+}
+
+// What a change would cost: the prorated amount for the rest of this period
+// (charged now for an upgrade, credited to the next invoice for a downgrade)
+// and the next invoice. Pass proration_date back to changePlan to be charged
+// exactly what was quoted.
+async function previewChange(pool, config, cpaProfileId, body, deps, now = new Date()) {
+  const ctx = await planContext(pool, config, cpaProfileId, body, deps);
+  if (!ctx.ok) return ctx;
+  const prorationDate = Math.floor(now.getTime() / 1000);
+  const upcoming = await deps.stripe.invoices.retrieveUpcoming({
+    customer: ctx.sub.customer,
+    subscription: ctx.sub.id,
+    subscription_items: [{ id: ctx.item.id, price: ctx.price }],
+    subscription_proration_date: prorationDate,
+    subscription_proration_behavior: 'create_prorations',
+  });
+  const lines = (upcoming.lines && upcoming.lines.data) || [];
+  const proration = lines.filter((l) => l.proration).reduce((sum, l) => sum + (l.amount || 0), 0);
+  return {
+    ok: true,
+    from: ctx.from,
+    to: ctx.to,
+    direction: ctx.direction,
+    proration_behavior: prorationBehavior(ctx.direction),
+    proration_date: prorationDate,
+    proration_amount: proration,
+    charged_now: ctx.direction === 'upgrade' ? Math.max(proration, 0) : 0,
+    next_invoice_total: ctx.direction === 'upgrade' ? upcoming.total - proration : upcoming.total,
+    currency: upcoming.currency,
+  };
+}
+
+// Switches the subscription's price mid-cycle. An upgrade is invoiced at once
+// and stays pending until that invoice is paid, so a declined card leaves the
+// old plan in place. The row is updated from Stripe's answer; the
+// customer.subscription.updated webhook that follows is a no-op.
+async function changePlan(pool, config, cpaProfileId, body, { actor }, deps, now = new Date()) {
+  const ctx = await planContext(pool, config, cpaProfileId, body, deps);
+  if (!ctx.ok) return ctx;
+  const nowSec = Math.floor(now.getTime() / 1000);
+  const quoted = Number((body || {}).proration_date);
+  // A quote is honoured for an hour; older ones are re-priced at now.
+  const prorationDate = Number.isInteger(quoted) && quoted <= nowSec && quoted > nowSec - 3600 ? quoted : nowSec;
+  const behavior = prorationBehavior(ctx.direction);
+  const params = {
+    items: [{ id: ctx.item.id, price: ctx.price }],
+    proration_behavior: behavior,
+    proration_date: prorationDate,
+  };
+  if (ctx.direction === 'upgrade') params.payment_behavior = 'pending_if_incomplete';
+  const updated = await deps.stripe.subscriptions.update(ctx.sub.id, params, {
+    idempotencyKey: `plan-change:${ctx.sub.id}:${ctx.price}:${prorationDate}`,
+  });
+  const pending = Boolean(updated.pending_update);
+  await recordHistory(pool, {
+    cpa_profile_id: cpaProfileId, stripe_subscription_id: ctx.sub.id, kind: 'plan_change_requested',
+    plan_from: ctx.from.tier, plan_to: ctx.to.tier, actor,
+    detail: { direction: ctx.direction, from: ctx.from, to: ctx.to, proration_behavior: behavior, proration_date: prorationDate, pending },
+  });
+  const applied = await applySubscription(pool, config, updated, { actor, reason: 'plan_change', now }, deps);
+  return { ok: true, direction: ctx.direction, from: ctx.from, to: ctx.to, proration_behavior: behavior, pending, subscription: applied };
+}
+
+// ---------------------------------------------------------------------------
+// Reads
+// ---------------------------------------------------------------------------
+
+async function listEvents(pool, config, { status } = {}) {
+  if (status && !EVENT_STATUSES.includes(status)) {
+    return { ok: false, code: 400, message: `status must be one of: ${EVENT_STATUSES.join(', ')}` };
+  }
+  const { rows } = await pool.query(
+    `SELECT * FROM billing_stripe_events WHERE ($1::text IS NULL OR status = $1) ORDER BY received_at DESC LIMIT $2`,
+    [status || null, config.EVENTS_LIMIT]
+  );
+  return { ok: true, events: rows };
+}
+
+async function listSubscriptions(pool, config, { status } = {}) {
+  if (status && !config.STATES.includes(status)) {
+    return { ok: false, code: 400, message: `status must be one of: ${config.STATES.join(', ')}` };
+  }
+  const { rows } = await pool.query(
+    `SELECT s.*, p.email, p.first_name, p.last_name, p.firm_name
+       FROM cpa_subscriptions s
+       LEFT JOIN cpa_profiles p ON p.id = s.cpa_profile_id
+      WHERE ($1::text IS NULL OR s.status = $1)
+      ORDER BY s.updated_at DESC
+      LIMIT $2`,
+    [status || null, config.EVENTS_LIMIT]
+  );
+  return { ok: true, subscriptions: rows.map((r) => ({ ...r, entitled: entitled(r) })) };
+}
+
+async function history(pool, config, cpaProfileId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM billing_subscription_events WHERE cpa_profile_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2`,
+    [cpaProfileId, config.EVENTS_LIMIT]
+  );
+  return rows;
+}
+
+module.exports = {
+  logError,
+  mapStripeStatus,
+  canTransition,
+  entitled,
+  tierForPrice,
+  priceFor,
+  planDirection,
+  dunningFields,
+  dueStep,
+  stepTemplate,
+  claimEvent,
+  recordHistory,
+  syncAccess,
+  syncCrm,
+  applySubscription,
+  setStatus,
+  handleEvent,
+  replayEvent,
+  advanceDunning,
+  runDunning,
+  previewChange,
+  changePlan,
+  listEvents,
+  listSubscriptions,
+  history,
+};
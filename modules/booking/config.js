@@ -0,0 +1,20 @@
+// modules/booking/config.js
+// Defaults and bounds for CPA availability and SME bookings. ACC-only.
+
+'use strict';
+
+module.exports = {
+  PLATFORM_DOMAIN: 'https://canadaaccountants.app',
+  ICS_UID_DOMAIN: 'canadaaccountants.app',
+  // Applied when a CPA saves availability without them.
+  DEFAULT_SLOT_MINUTES: 30,
+  DEFAULT_MIN_NOTICE_HOURS: 24,
+  DEFAULT_HORIZON_DAYS: 30,
+  SLOT_MINUTES_RANGE: [15, 240],
+  MIN_NOTICE_HOURS_RANGE: [0, 168],
+  HORIZON_DAYS_RANGE: [1, 90],
+  MAX_BLACKOUTS: 100,
+  // Largest window one slots request may ask for.
+  MAX_SLOT_QUERY_DAYS: 31,
+  MEETING_MODES: ['virtual', 'phone', 'in-person'],
+};
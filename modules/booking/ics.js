@@ -0,0 +1,57 @@
+// modules/booking/ics.js
+// RFC 5545 calendar export for appointments. Times are written in UTC ('Z'),
+// so no VTIMEZONE blocks are needed and every calendar client shows the
+// meeting in its own zone.
+
+'use strict';
+
+const PRODID = '-//CanadaAccountants//Appointments//EN';
+
+function _stamp(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function _text(value) {
+  return String(value == null ? '' : value)
+    .replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space.
+function _fold(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  let limit = 75;
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length);
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--; // never split a UTF-8 sequence
+    parts.push(bytes.slice(start, end).toString('utf8'));
+    start = end;
+    limit = 74; // continuation lines carry the leading space
+  }
+  return parts.join('\r\n ');
+}
+
+// events: [{ uid, starts_at, ends_at, summary, description, location, status, sequence, updated_at }]
+function toIcs(events, { now = Date.now(), name } = {}) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  if (name) lines.push(`X-WR-CALNAME:${_text(name)}`);
+  for (const e of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.uid}`,
+      `DTSTAMP:${_stamp(e.updated_at || now)}`,
+      `DTSTART:${_stamp(e.starts_at)}`,
+      `DTEND:${_stamp(e.ends_at)}`,
+      `SUMMARY:${_text(e.summary)}`,
+    );
+    if (e.description) lines.push(`DESCRIPTION:${_text(e.description)}`);
+    if (e.location) lines.push(`LOCATION:${_text(e.location)}`);
+    lines.push(`STATUS:${e.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`, `SEQUENCE:${e.sequence || 0}`, 'END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(_fold).join('\r\n') + '\r\n';
+}
+
+module.exports = { toIcs };
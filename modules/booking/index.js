@@ -0,0 +1,44 @@
+// modules/booking/index.js
+// Composition root for CPA availability and SME consultation booking.
+// server.js touchpoints:
+//
+//   const booking = require('./modules/booking')({
+//     pool, auth: { authenticateToken, requireCPA },
+//     portal: { verify: clientPortal.verifyToken }, captureError,
+//   });
+//   app.use(booking.professionalRouter);   // /api/cpa/appointments (JWT)
+//   app.use(booking.clientRouter);         // /api/client-portal/:token/...slots|appointments
+//   await booking.ensureSchema();          // boot (new tables only)
+//
+//   /api/cpa/my-profile GET  -> booking.getAvailability(cpaProfileId)
+//   /api/cpa/my-profile PUT  -> booking.validateProfileInput(body, cpa)
+//                               then booking.saveAvailability(cpaProfileId, value)
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+const schema = require('./schema');
+const buildClientRoutes = require('./routes.client');
+const buildProfessionalRoutes = require('./routes.professional');
+
+function createBookingModule(injected) {
+  const { pool, auth, portal, captureError } = injected || {};
+  if (!pool) throw new Error('[booking] pool is required');
+  if (!portal || typeof portal.verify !== 'function') throw new Error('[booking] portal.verify is required');
+
+  const deps = { captureError };
+
+  return {
+    config,
+    service,
+    professionalRouter: buildProfessionalRoutes({ pool, config, service, auth: auth || {} }),
+    clientRouter: buildClientRoutes({ pool, config, service, deps, verifyPortalToken: portal.verify }),
+    getAvailability: (cpaProfileId) => service.getAvailability(pool, cpaProfileId),
+    validateProfileInput: (body, cpa) => service.validateProfileInput(body, cpa, config),
+    saveAvailability: (cpaProfileId, value) => service.saveAvailability(pool, cpaProfileId, value),
+    ensureSchema: () => schema.ensureBookingSchema(pool),
+  };
+}
+
+module.exports = createBookingModule;
@@ -0,0 +1,80 @@
+// modules/booking/routes.client.js
+// SME side of booking, under the client portal's URL space. The portal token is
+// the credential (verified by the injected client-portal verifier).
+
+'use strict';
+
+const express = require('express');
+
+function buildClientRoutes({ pool, config, service, deps, verifyPortalToken }) {
+  const router = express.Router();
+
+  function resolve(req, res) {
+    const claims = verifyPortalToken(req.params.token);
+    if (!claims) {
+      res.status(404).json({ error: 'This link is invalid or has expired.' });
+      return null;
+    }
+    return claims;
+  }
+
+  const portalAction = (fn) => async (req, res) => {
+    try {
+      const claims = resolve(req, res);
+      if (!claims) return;
+      const result = await fn(claims, req);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      const { ok, ...rest } = result;
+      return res.json({ success: ok, ...rest });
+    } catch (err) {
+      console.error('[booking/client] action error:', err.message);
+      return res.status(500).json({ error: 'Action failed.' });
+    }
+  };
+
+  const idParam = (req, name) => parseInt(req.params[name], 10);
+  const badId = { ok: false, code: 400, message: 'Bad id.' };
+
+  // GET /api/client-portal/:token/matches/:matchId/slots?from=&days=&tz=
+  // Open slots with this CPA, shown in both the CPA's and my time zone.
+  router.get('/api/client-portal/:token/matches/:matchId/slots', portalAction((c, req) =>
+    Number.isFinite(idParam(req, 'matchId'))
+      ? service.listSlots(pool, config, c.source, c.ref, idParam(req, 'matchId'), req.query || {})
+      : badId));
+
+  // Body: { starts_at, meeting_mode, notes, tz }
+  router.post('/api/client-portal/:token/matches/:matchId/appointments', portalAction((c, req) =>
+    Number.isFinite(idParam(req, 'matchId'))
+      ? service.book(pool, config, c.source, c.ref, idParam(req, 'matchId'), req.body || {}, deps)
+      : badId));
+
+  router.get('/api/client-portal/:token/appointments', portalAction(async (c) =>
+    ({ ok: true, appointments: await service.listForRequest(pool, c.source, c.ref) })));
+
+  // Body: { reason }
+  router.post('/api/client-portal/:token/appointments/:id/cancel', portalAction((c, req) =>
+    Number.isFinite(idParam(req, 'id'))
+      ? service.cancel(pool, idParam(req, 'id'), 'client', { source: c.source, ref: c.ref }, (req.body || {}).reason)
+      : badId));
+
+  router.get('/api/client-portal/:token/appointments/:id/ics', async (req, res) => {
+    try {
+      const claims = resolve(req, res);
+      if (!claims) return;
+      const ics = Number.isFinite(idParam(req, 'id'))
+        ? await service.clientIcs(pool, config, claims.source, claims.ref, idParam(req, 'id'))
+        : null;
+      if (!ics) return res.status(404).json({ error: 'Appointment not found.' });
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="consultation-${idParam(req, 'id')}.ics"`);
+      return res.send(ics);
+    } catch (err) {
+      console.error('[booking/client] ics error:', err.message);
+      return res.status(500).json({ error: 'Could not export the appointment.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildClientRoutes;
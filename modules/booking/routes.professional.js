@@ -0,0 +1,91 @@
+// modules/booking/routes.professional.js
+// CPA dashboard API for booked consultations (JWT). Availability itself is
+// edited through /api/cpa/my-profile (server.js), which calls this module's
+// service. The CPA row is resolved the way the other /api/cpa/* routes do it.
+
+'use strict';
+
+const express = require('express');
+
+const STATUSES = ['booked', 'cancelled'];
+
+function buildProfessionalRoutes({ pool, config, service, auth }) {
+  const router = express.Router();
+  const { authenticateToken, requireCPA } = auth;
+
+  async function resolveCpa(req) {
+    const { rows } = await pool.query(
+      `SELECT id FROM cpa_profiles WHERE user_id = $1 OR email = $2 LIMIT 1`,
+      [req.user.userId, req.user.email]
+    );
+    return rows[0] || null;
+  }
+
+  function sendIcs(res, ics, filename) {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(ics);
+  }
+
+  // GET /api/cpa/appointments?status=&upcoming=true
+  router.get('/api/cpa/appointments', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      const appointments = await service.listForCpa(pool, cpa.id, {
+        status: STATUSES.includes(req.query.status) ? req.query.status : null,
+        upcoming: req.query.upcoming === 'true',
+      });
+      return res.json({ appointments });
+    } catch (err) {
+      console.error('[booking/pro] list error:', err.message);
+      return res.status(500).json({ error: 'Could not list appointments.' });
+    }
+  });
+
+  // GET /api/cpa/appointments.ics - every upcoming appointment as one calendar.
+  router.get('/api/cpa/appointments.ics', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      return sendIcs(res, await service.cpaIcs(pool, config, cpa.id, null), 'consultations.ics');
+    } catch (err) {
+      console.error('[booking/pro] ics feed error:', err.message);
+      return res.status(500).json({ error: 'Could not export appointments.' });
+    }
+  });
+
+  router.get('/api/cpa/appointments/:id/ics', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      const id = parseInt(req.params.id, 10);
+      const ics = Number.isFinite(id) ? await service.cpaIcs(pool, config, cpa.id, id) : null;
+      if (!ics) return res.status(404).json({ error: 'Appointment not found.' });
+      return sendIcs(res, ics, `consultation-${id}.ics`);
+    } catch (err) {
+      console.error('[booking/pro] ics error:', err.message);
+      return res.status(500).json({ error: 'Could not export the appointment.' });
+    }
+  });
+
+  // POST /api/cpa/appointments/:id/cancel { reason }
+  router.post('/api/cpa/appointments/:id/cancel', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      const id = parseInt(req.params.id, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad appointment id.' });
+      const result = await service.cancel(pool, id, 'cpa', { cpaProfileId: cpa.id }, (req.body || {}).reason);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[booking/pro] cancel error:', err.message);
+      return res.status(500).json({ error: 'Action failed.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildProfessionalRoutes;
@@ -0,0 +1,68 @@
+// modules/booking/schema.js
+// Boot-time creation of the booking tables. New, empty tables only.
+//
+// cpa_availability  one row per CPA: weekly hours as wall-clock ranges in the
+//                   CPA's own zone, plus slot length and notice rules
+// cpa_blackouts     whole local dates a CPA is unavailable (inclusive)
+// appointments      booked consultations. Keyed to the match like the client
+//                   portal: match_ref is matches.id (match_cpas) or
+//                   friction_matches.match_id (friction)
+
+'use strict';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS cpa_availability (
+  cpa_profile_id      INTEGER PRIMARY KEY,
+  time_zone           TEXT NOT NULL,
+  weekly              JSONB NOT NULL DEFAULT '{}'::jsonb,
+  slot_minutes        INTEGER NOT NULL DEFAULT 30,
+  min_notice_hours    INTEGER NOT NULL DEFAULT 24,
+  horizon_days        INTEGER NOT NULL DEFAULT 30,
+  updated_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS cpa_blackouts (
+  id                  SERIAL PRIMARY KEY,
+  cpa_profile_id      INTEGER NOT NULL,
+  start_date          DATE NOT NULL,
+  end_date            DATE NOT NULL,
+  reason              TEXT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (end_date >= start_date)
+);
+CREATE INDEX IF NOT EXISTS idx_cpa_blackouts_cpa ON cpa_blackouts(cpa_profile_id, end_date);
+
+CREATE TABLE IF NOT EXISTS appointments (
+  id                  SERIAL PRIMARY KEY,
+  cpa_profile_id      INTEGER NOT NULL,
+  source              TEXT NOT NULL CHECK (source IN ('match_cpas','friction')),
+  source_ref          TEXT NOT NULL,
+  match_ref           INTEGER NOT NULL,
+  starts_at           TIMESTAMPTZ NOT NULL,
+  ends_at             TIMESTAMPTZ NOT NULL,
+  cpa_time_zone       TEXT NOT NULL,
+  client_time_zone    TEXT NOT NULL,
+  meeting_mode        TEXT NOT NULL DEFAULT 'virtual',
+  notes               TEXT,
+  status              TEXT NOT NULL DEFAULT 'booked' CHECK (status IN ('booked','cancelled')),
+  cancelled_by        TEXT CHECK (cancelled_by IN ('client','cpa')),
+  cancelled_at        TIMESTAMPTZ,
+  cancel_reason       TEXT,
+  sequence            INTEGER NOT NULL DEFAULT 0,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_cpa_slot ON appointments(cpa_profile_id, starts_at)
+  WHERE status = 'booked';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_match_booked ON appointments(source, match_ref)
+  WHERE status = 'booked';
+CREATE INDEX IF NOT EXISTS idx_appointments_cpa_time ON appointments(cpa_profile_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_appointments_request ON appointments(source, source_ref);
+`;
+
+async function ensureBookingSchema(pool) {
+  await pool.query(DDL);
+  console.log('[booking] module schema ensured');
+}
+
+module.exports = { ensureBookingSchema, DDL };
@@ -0,0 +1,473 @@
+// modules/booking/service.js
+// CPA availability and SME consultation bookings.
+//
+// A CPA publishes weekly hours (wall-clock ranges in their own zone) and
+// blackout dates through /api/cpa/my-profile. An SME books one slot per match
+// from the client portal. Every instant is stored as timestamptz; zones are
+// kept alongside only for display:
+//   cpa_time_zone     from the availability row (default: CPA province)
+//   client_time_zone  from the request's province, or the zone the SME's
+//                     browser sent
+//
+// A booking is engagement and is mirrored onto the legacy match rows the way
+// the portal's "contacted" is. Actions return { ok:true, ... } or
+// { ok:false, code, message }.
+//
+// deps shape:
+//   deps.captureError(err, ctx)
+
+'use strict';
+
+const time = require('./time');
+const { toIcs } = require('./ics');
+const { timeZoneForProvince, isValidTimeZone } = require('../../services/province-timezones');
+
+function logError(deps, context, err) {
+  console.error(`[booking/service] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[booking/service] captureError failed:', e.message); }
+  }
+}
+
+function inRange(n, [min, max]) {
+  return Number.isInteger(n) && n >= min && n <= max;
+}
+
+// --- validation (pure) ----------------------------------------------------------
+// input: { time_zone, weekly: { mon: [['09:00','12:00']], ... }, slot_minutes,
+//          min_notice_hours, horizon_days }. Ranges within a day must not overlap.
+function validateAvailability(input, fallbackTz, config) {
+  if (!input || typeof input !== 'object') return { ok: false, message: 'availability must be an object.' };
+  const tz = input.time_zone || fallbackTz;
+  if (!isValidTimeZone(tz)) return { ok: false, message: `Unknown time zone '${tz}'.` };
+
+  const weekly = {};
+  const raw = input.weekly || {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { ok: false, message: 'weekly must map day keys to time ranges.' };
+  for (const key of Object.keys(raw)) {
+    if (!time.DAY_KEYS.includes(key)) return { ok: false, message: `Unknown day '${key}' (use ${time.DAY_KEYS.join(', ')}).` };
+    const ranges = raw[key];
+    if (!Array.isArray(ranges)) return { ok: false, message: `weekly.${key} must be a list of [start, end] ranges.` };
+    const parsed = [];
+    for (const r of ranges) {
+      if (!Array.isArray(r) || r.length !== 2 || !time.HHMM.test(r[0]) || !time.HHMM.test(r[1])) {
+        return { ok: false, message: `weekly.${key} ranges must be ['HH:MM', 'HH:MM'].` };
+      }
+      if (time.toMinutes(r[1]) <= time.toMinutes(r[0])) return { ok: false, message: `weekly.${key}: ${r[0]}-${r[1]} ends before it starts.` };
+      parsed.push([r[0], r[1]]);
+    }
+    parsed.sort((a, b) => time.toMinutes(a[0]) - time.toMinutes(b[0]));
+    for (let i = 1; i < parsed.length; i++) {
+      if (time.toMinutes(parsed[i][0]) < time.toMinutes(parsed[i - 1][1])) {
+        return { ok: false, message: `weekly.${key}: ranges overlap.` };
+      }
+    }
+    if (parsed.length) weekly[key] = parsed;
+  }
+
+  const value = {
+    time_zone: tz,
+    weekly,
+    slot_minutes: input.slot_minutes == null ? config.DEFAULT_SLOT_MINUTES : Number(input.slot_minutes),
+    min_notice_hours: input.min_notice_hours == null ? config.DEFAULT_MIN_NOTICE_HOURS : Number(input.min_notice_hours),
+    horizon_days: input.horizon_days == null ? config.DEFAULT_HORIZON_DAYS : Number(input.horizon_days),
+  };
+  if (!inRange(value.slot_minutes, config.SLOT_MINUTES_RANGE)) return { ok: false, message: `slot_minutes must be ${config.SLOT_MINUTES_RANGE.join('-')}.` };
+  if (!inRange(value.min_notice_hours, config.MIN_NOTICE_HOURS_RANGE)) return { ok: false, message: `min_notice_hours must be ${config.MIN_NOTICE_HOURS_RANGE.join('-')}.` };
+  if (!inRange(value.horizon_days, config.HORIZON_DAYS_RANGE)) return { ok: false, message: `horizon_days must be ${config.HORIZON_DAYS_RANGE.join('-')}.` };
+  return { ok: true, value };
+}
+
+// list: [{ start_date, end_date?, reason? }] - the CPA's complete blackout set.
+function validateBlackouts(list, config) {
+  if (!Array.isArray(list)) return { ok: false, message: 'blackouts must be a list.' };
+  if (list.length > config.MAX_BLACKOUTS) return { ok: false, message: `At most ${config.MAX_BLACKOUTS} blackouts.` };
+  const value = [];
+  for (const b of list) {
+    const start = b && b.start_date;
+    const end = (b && b.end_date) || start;
+    if (!time.YMD.test(start || '') || !time.YMD.test(end || '')) return { ok: false, message: 'Blackout dates must be YYYY-MM-DD.' };
+    if (end < start) return { ok: false, message: `Blackout ${start}-${end} ends before it starts.` };
+    value.push({ start_date: start, end_date: end, reason: b.reason ? String(b.reason).slice(0, 200) : null });
+  }
+  return { ok: true, value };
+}
+
+// --- availability ------------------------------------------------------------------
+async function loadAvailability(db, cpaProfileId, { lock = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT cpa_profile_id, time_zone, weekly, slot_minutes, min_notice_hours, horizon_days, updated_at
+       FROM cpa_availability WHERE cpa_profile_id = $1${lock ? ' FOR UPDATE' : ''}`,
+    [cpaProfileId]
+  );
+  return rows[0] || null;
+}
+
+async function loadBlackouts(db, cpaProfileId) {
+  const { rows } = await db.query(
+    `SELECT id, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date, reason
+       FROM cpa_blackouts WHERE cpa_profile_id = $1 AND end_date >= CURRENT_DATE - 1
+      ORDER BY start_date`,
+    [cpaProfileId]
+  );
+  return rows;
+}
+
+// For GET /api/cpa/my-profile.
+async function getAvailability(pool, cpaProfileId) {
+  return {
+    availability: await loadAvailability(pool, cpaProfileId),
+    blackouts: await loadBlackouts(pool, cpaProfileId),
+  };
+}
+
+// For PUT /api/cpa/my-profile. Either part may be omitted; blackouts, when
+// given, replace the CPA's whole set.
+function validateProfileInput(body, cpa, config) {
+  const out = {};
+  if (body.availability !== undefined) {
+    const v = validateAvailability(body.availability, timeZoneForProvince(cpa.province), config);
+    if (!v.ok) return v;
+    out.availability = v.value;
+  }
+  if (body.blackouts !== undefined) {
+    const v = validateBlackouts(body.blackouts, config);
+    if (!v.ok) return v;
+    out.blackouts = v.value;
+  }
+  return { ok: true, value: out };
+}
+
+async function saveAvailability(pool, cpaProfileId, input) {
+  if (!input.availability && !input.blackouts) return;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (input.availability) {
+      const a = input.availability;
+      await client.query(
+        `INSERT INTO cpa_availability (cpa_profile_id, time_zone, weekly, slot_minutes, min_notice_hours, horizon_days)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (cpa_profile_id) DO UPDATE SET
+           time_zone = EXCLUDED.time_zone, weekly = EXCLUDED.weekly, slot_minutes = EXCLUDED.slot_minutes,
+           min_notice_hours = EXCLUDED.min_notice_hours, horizon_days = EXCLUDED.horizon_days, updated_at = now()`,
+        [cpaProfileId, a.time_zone, JSON.stringify(a.weekly), a.slot_minutes, a.min_notice_hours, a.horizon_days]
+      );
+    }
+    if (input.blackouts) {
+      await client.query(`DELETE FROM cpa_blackouts WHERE cpa_profile_id = $1`, [cpaProfileId]);
+      for (const b of input.blackouts) {
+        await client.query(
+          `INSERT INTO cpa_blackouts (cpa_profile_id, start_date, end_date, reason) VALUES ($1, $2, $3, $4)`,
+          [cpaProfileId, b.start_date, b.end_date, b.reason]
+        );
+      }
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// --- the SME's match and zone ----------------------------------------------------------
+const MATCH_SQL = {
+  match_cpas: `SELECT m.id AS match_ref, m.cpa_profile_id, m.client_profile_id::text AS source_ref
+                 FROM matches m WHERE m.id = $1`,
+  friction: `SELECT fm.match_id AS match_ref, cp.id AS cpa_profile_id, fm.request_id AS source_ref
+               FROM friction_matches fm LEFT JOIN cpa_profiles cp ON cp.id::text = fm.cpa_id
+              WHERE fm.match_id = $1`,
+};
+
+async function matchOnRequest(pool, source, ref, matchRef) {
+  const { rows } = await pool.query(MATCH_SQL[source], [matchRef]);
+  const r = rows[0];
+  return r && r.cpa_profile_id != null && String(r.source_ref) === String(ref) ? r : null;
+}
+
+async function requestWithdrawn(pool, source, ref) {
+  const { rows } = await pool.query(
+    `SELECT status FROM client_portal_requests WHERE source = $1 AND source_ref = $2`,
+    [source, String(ref)]
+  );
+  return !!rows[0] && rows[0].status === 'withdrawn';
+}
+
+// The browser's zone when it sent a valid one, else the request's province.
+async function clientTimeZone(pool, source, ref, override) {
+  if (isValidTimeZone(override)) return override;
+  let province = null;
+  if (source === 'match_cpas') {
+    const { rows } = await pool.query(`SELECT province FROM client_profiles WHERE id = $1`, [parseInt(ref, 10)]);
+    province = rows[0] && rows[0].province;
+  } else {
+    const { rows } = await pool.query(`SELECT contact_info FROM sme_friction_requests WHERE request_id = $1`, [ref]);
+    if (rows[0]) {
+      const ci = typeof rows[0].contact_info === 'string' ? JSON.parse(rows[0].contact_info || '{}') : (rows[0].contact_info || {});
+      province = ci.province || null;
+    }
+  }
+  return timeZoneForProvince(province);
+}
+
+async function busyBetween(db, cpaProfileId, fromMs, toMs) {
+  const { rows } = await db.query(
+    `SELECT starts_at, ends_at FROM appointments
+      WHERE cpa_profile_id = $1 AND status = 'booked' AND starts_at < $3 AND ends_at > $2`,
+    [cpaProfileId, new Date(fromMs), new Date(toMs)]
+  );
+  return rows;
+}
+
+async function slotsFor(db, availability, cpaProfileId, fromMs, days, now) {
+  const blackouts = await loadBlackouts(db, cpaProfileId);
+  const busy = await busyBetween(db, cpaProfileId, fromMs, fromMs + (days + 1) * 86400000);
+  return time.generateSlots(availability, blackouts, busy, { from: fromMs, days, now });
+}
+
+// --- SME (portal token) ------------------------------------------------------------------
+async function listSlots(pool, config, source, ref, matchRef, query, now = Date.now()) {
+  const match = await matchOnRequest(pool, source, ref, matchRef);
+  if (!match) return { ok: false, code: 404, message: 'Match not found on this request.' };
+  const availability = await loadAvailability(pool, match.cpa_profile_id);
+  const clientTz = await clientTimeZone(pool, source, ref, query.tz);
+  if (!availability || Object.keys(availability.weekly || {}).length === 0) {
+    return { ok: true, bookable: false, client_time_zone: clientTz, slots: [] };
+  }
+  const from = query.from && !Number.isNaN(Date.parse(query.from)) ? Math.max(Date.parse(query.from), now) : now;
+  const days = Math.min(Math.max(parseInt(query.days, 10) || 14, 1), config.MAX_SLOT_QUERY_DAYS);
+  const slots = await slotsFor(pool, availability, match.cpa_profile_id, from, days, now);
+  return {
+    ok: true,
+    bookable: true,
+    cpa_time_zone: availability.time_zone,
+    client_time_zone: clientTz,
+    slot_minutes: availability.slot_minutes,
+    slots: slots.map((s) => ({
+      starts_at: s.starts_at,
+      ends_at: s.ends_at,
+      cpa_local: `${s.local_date} ${s.local_time}`,
+      client_local: time.formatLocal(Date.parse(s.starts_at), clientTz),
+    })),
+  };
+}
+
+// Body: { starts_at (ISO instant of an offered slot), meeting_mode, notes, tz }
+async function book(pool, config, source, ref, matchRef, input, deps, now = Date.now()) {
+  if (await requestWithdrawn(pool, source, ref)) return { ok: false, code: 409, message: 'This request has been withdrawn.' };
+  const match = await matchOnRequest(pool, source, ref, matchRef);
+  if (!match) return { ok: false, code: 404, message: 'Match not found on this request.' };
+  const startMs = Date.parse(input.starts_at);
+  if (!Number.isFinite(startMs)) return { ok: false, code: 422, message: 'starts_at must be an ISO date-time.' };
+  const mode = input.meeting_mode || 'virtual';
+  if (!config.MEETING_MODES.includes(mode)) return { ok: false, code: 422, message: `meeting_mode must be one of ${config.MEETING_MODES.join(', ')}.` };
+  const clientTz = await clientTimeZone(pool, source, ref, input.tz);
+
+  const client = await pool.connect();
+  let appt;
+  try {
+    await client.query('BEGIN');
+    // The availability row is the per-CPA booking lock.
+    const availability = await loadAvailability(client, match.cpa_profile_id, { lock: true });
+    if (!availability) {
+      await client.query('ROLLBACK');
+      return { ok: false, code: 409, message: 'This CPA has not published availability.' };
+    }
+    const slots = await slotsFor(client, availability, match.cpa_profile_id, startMs - 86400000, 3, now);
+    const slot = slots.find((s) => Date.parse(s.starts_at) === startMs);
+    if (!slot) {
+      await client.query('ROLLBACK');
+      return { ok: false, code: 409, message: 'That time is no longer available.' };
+    }
+    const ins = await client.query(
+      `INSERT INTO appointments (cpa_profile_id, source, source_ref, match_ref, starts_at, ends_at,
+                                 cpa_time_zone, client_time_zone, meeting_mode, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [match.cpa_profile_id, source, String(ref), matchRef, slot.starts_at, slot.ends_at,
+        availability.time_zone, clientTz, mode, input.notes ? String(input.notes).slice(0, 1000) : null]
+    );
+    appt = ins.rows[0];
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (err.code === '23505') {
+      return { ok: false, code: 409, message: 'You already have a meeting booked with this CPA, or that time was just taken.' };
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await syncLegacy(pool, appt, deps);
+  return { ok: true, appointment: toView(appt, 'client') };
+}
+
+// A booked consultation is engagement, like the portal's "contacted".
+async function syncLegacy(pool, appt, deps) {
+  try {
+    if (appt.source === 'match_cpas') {
+      await pool.query(
+        `UPDATE matches SET
+            status = CASE WHEN status IN ('pending','accepted') THEN 'contacted' ELSE status END,
+            client_responded_at = COALESCE(client_responded_at, NOW()), updated_at = NOW()
+          WHERE id = $1`,
+        [appt.match_ref]
+      );
+    } else {
+      await pool.query(
+        `UPDATE friction_matches SET status = 'meeting_scheduled', meeting_scheduled = TRUE,
+                lead_status = CASE WHEN lead_status IN ('client_contacted','won','lost') THEN lead_status ELSE 'client_contacted' END,
+                status_updated_at = NOW(), updated_at = NOW()
+          WHERE match_id = $1`,
+        [appt.match_ref]
+      );
+    }
+  } catch (err) {
+    logError(deps, `legacy sync (${appt.source} booked)`, err);
+  }
+}
+
+function toView(a, side) {
+  const mine = side === 'cpa' ? a.cpa_time_zone : a.client_time_zone;
+  return {
+    id: a.id,
+    match_id: a.match_ref,
+    status: a.status,
+    starts_at: a.starts_at,
+    ends_at: a.ends_at,
+    time_zone: mine,
+    local_start: time.formatLocal(new Date(a.starts_at).getTime(), mine),
+    meeting_mode: a.meeting_mode,
+    notes: a.notes,
+    cancelled_by: a.cancelled_by || null,
+    cancelled_at: a.cancelled_at || null,
+    sequence: a.sequence,
+    updated_at: a.updated_at,
+  };
+}
+
+async function listForRequest(pool, source, ref) {
+  const { rows } = await pool.query(
+    `SELECT a.*, cp.first_name, cp.last_name, cp.firm_name
+       FROM appointments a LEFT JOIN cpa_profiles cp ON cp.id = a.cpa_profile_id
+      WHERE a.source = $1 AND a.source_ref = $2
+      ORDER BY a.starts_at`,
+    [source, String(ref)]
+  );
+  return rows.map((r) => ({
+    ...toView(r, 'client'),
+    cpa_name: [r.first_name, r.last_name].filter(Boolean).join(' ').trim() || r.firm_name || null,
+  }));
+}
+
+// --- CPA dashboard -------------------------------------------------------------------------
+// The SME booked time with this CPA, so their name and contact details are
+// shown on the appointment.
+async function listForCpa(pool, cpaProfileId, { status, upcoming } = {}) {
+  const params = [cpaProfileId];
+  let where = 'a.cpa_profile_id = $1';
+  if (status) {
+    params.push(status);
+    where += ` AND a.status = $${params.length}`;
+  }
+  if (upcoming) where += ' AND a.ends_at >= NOW()';
+  const { rows } = await pool.query(
+    `SELECT a.*,
+            COALESCE(c.contact_name, f.contact_info->>'name') AS client_name,
+            COALESCE(c.contact_email, f.contact_info->>'email') AS client_email,
+            COALESCE(c.contact_phone, f.contact_info->>'phone') AS client_phone,
+            COALESCE(c.service_type, f.pain_point) AS need
+       FROM appointments a
+       LEFT JOIN client_profiles c ON a.source = 'match_cpas' AND c.id::text = a.source_ref
+       LEFT JOIN sme_friction_requests f ON a.source = 'friction' AND f.request_id = a.source_ref
+      WHERE ${where}
+      ORDER BY a.starts_at`,
+    params
+  );
+  return rows.map((r) => ({
+    ...toView(r, 'cpa'),
+    client: { name: r.client_name || null, email: r.client_email || null, phone: r.client_phone || null },
+    need: r.need || null,
+  }));
+}
+
+async function cancel(pool, appointmentId, side, owner, reason) {
+  const { rows } = await pool.query(`SELECT * FROM appointments WHERE id = $1`, [appointmentId]);
+  const a = rows[0];
+  const owns = a && (side === 'cpa'
+    ? a.cpa_profile_id === owner.cpaProfileId
+    : a.source === owner.source && a.source_ref === String(owner.ref));
+  if (!owns) return { ok: false, code: 404, message: 'Appointment not found.' };
+  if (a.status !== 'booked') return { ok: false, code: 409, message: 'This appointment is already cancelled.' };
+  const upd = await pool.query(
+    `UPDATE appointments SET status = 'cancelled', cancelled_by = $2, cancelled_at = now(),
+            cancel_reason = $3, sequence = sequence + 1, updated_at = now()
+      WHERE id = $1 AND status = 'booked' RETURNING *`,
+    [appointmentId, side, reason ? String(reason).slice(0, 500) : null]
+  );
+  if (upd.rows.length === 0) return { ok: false, code: 409, message: 'This appointment is already cancelled.' };
+  return { ok: true, appointment: toView(upd.rows[0], side) };
+}
+
+// --- ICS -----------------------------------------------------------------------------------
+function icsEvent(config, a, side) {
+  const modeLine = `Meeting: ${a.meeting_mode}`;
+  if (side === 'cpa') {
+    return {
+      uid: `appt-${a.id}@${config.ICS_UID_DOMAIN}`,
+      starts_at: a.starts_at,
+      ends_at: a.ends_at,
+      summary: `Consultation: ${a.client && a.client.name ? a.client.name : 'client'}${a.need ? ` (${a.need})` : ''}`,
+      description: [modeLine,
+        a.client && a.client.email ? `Email: ${a.client.email}` : null,
+        a.client && a.client.phone ? `Phone: ${a.client.phone}` : null,
+        a.notes ? `Notes: ${a.notes}` : null].filter(Boolean).join('\n'),
+      status: a.status,
+      sequence: a.sequence,
+      updated_at: a.updated_at,
+    };
+  }
+  return {
+    uid: `appt-${a.id}@${config.ICS_UID_DOMAIN}`,
+    starts_at: a.starts_at,
+    ends_at: a.ends_at,
+    summary: `Consultation with ${a.cpa_name || 'your CPA'}`,
+    description: [modeLine, a.notes ? `Notes: ${a.notes}` : null].filter(Boolean).join('\n'),
+    status: a.status,
+    sequence: a.sequence,
+    updated_at: a.updated_at,
+  };
+}
+
+// One appointment, or every upcoming one when appointmentId is omitted (feed).
+async function cpaIcs(pool, config, cpaProfileId, appointmentId) {
+  const views = await listForCpa(pool, cpaProfileId, appointmentId ? {} : { upcoming: true });
+  const wanted = appointmentId ? views.filter((v) => v.id === appointmentId) : views;
+  if (appointmentId && wanted.length === 0) return null;
+  return toIcs(wanted.map((a) => icsEvent(config, a, 'cpa')), { name: appointmentId ? null : 'CanadaAccountants consultations' });
+}
+
+async function clientIcs(pool, config, source, ref, appointmentId) {
+  const appt = (await listForRequest(pool, source, ref)).find((v) => v.id === appointmentId);
+  return appt ? toIcs([icsEvent(config, appt, 'client')]) : null;
+}
+
+module.exports = {
+  validateAvailability,
+  validateBlackouts,
+  validateProfileInput,
+  getAvailability,
+  saveAvailability,
+  clientTimeZone,
+  listSlots,
+  book,
+  listForRequest,
+  listForCpa,
+  cancel,
+  cpaIcs,
+  clientIcs,
+  icsEvent,
+};
@@ -0,0 +1,141 @@
+// modules/booking/time.js
+// Wall-clock <-> instant conversion for IANA zones, and weekly-availability
+// slot generation. Pure; Intl only (no tz library in this tree).
+//
+// Availability is stored as wall-clock hours in the CPA's zone, so a CPA who is
+// free 09:00-17:00 stays free 09:00-17:00 across DST changes. A wall time that
+// does not exist (spring-forward gap) yields no slot.
+
+'use strict';
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const HHMM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const YMD = /^\d{4}-\d{2}-\d{2}$/;
+
+const _formatters = new Map();
+function _fmt(tz) {
+  if (!_formatters.has(tz)) {
+    _formatters.set(tz, new Intl.DateTimeFormat('en-CA', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  return _formatters.get(tz);
+}
+
+// { date: 'YYYY-MM-DD', time: 'HH:MM', weekday: 0-6 } of an instant in tz.
+function localParts(ms, tz) {
+  const p = {};
+  for (const { type, value } of _fmt(tz).formatToParts(new Date(ms))) p[type] = value;
+  const hour = p.hour === '24' ? '00' : p.hour;
+  const date = `${p.year}-${p.month}-${p.day}`;
+  return { date, time: `${hour}:${p.minute}`, second: Number(p.second), weekday: weekdayOf(date) };
+}
+
+// Offset of tz from UTC at an instant, in ms (Toronto in winter: -5h).
+function offsetMs(ms, tz) {
+  const l = localParts(ms, tz);
+  const [y, mo, d] = l.date.split('-').map(Number);
+  const [h, mi] = l.time.split(':').map(Number);
+  const wall = Date.UTC(y, mo - 1, d, h, mi, l.second);
+  return wall - (Math.floor(ms / 1000) * 1000);
+}
+
+// Instant (ms) of a wall-clock date + time in tz. In the fall-back overlap the
+// earlier instant wins.
+function zonedToUtc(date, time, tz) {
+  const [y, mo, d] = date.split('-').map(Number);
+  const [h, mi] = time.split(':').map(Number);
+  const guess = Date.UTC(y, mo - 1, d, h, mi);
+  const first = offsetMs(guess, tz);
+  let utc = guess - first;
+  const second = offsetMs(utc, tz);
+  if (second !== first) utc = guess - second;
+  const earlier = utc - 3600000;
+  if (offsetMs(earlier, tz) !== offsetMs(utc, tz)) {
+    const alt = guess - offsetMs(earlier, tz);
+    const l = localParts(alt, tz);
+    if (l.date === date && l.time === time && alt < utc) utc = alt;
+  }
+  return utc;
+}
+
+function weekdayOf(date) {
+  const [y, mo, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, mo - 1, d)).getUTCDay();
+}
+
+function addDays(date, n) {
+  const [y, mo, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, mo - 1, d + n)).toISOString().slice(0, 10);
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function fromMinutes(min) {
+  return `${String(Math.floor(min / 60)).padStart(2, '0')}:${String(min % 60).padStart(2, '0')}`;
+}
+
+// Bookable slots in [from, from + days) in the CPA's zone.
+//   availability  { time_zone, weekly: { mon: [['09:00','12:00'], ...] }, slot_minutes,
+//                   min_notice_hours, horizon_days }
+//   blackouts     [{ start_date, end_date }]  inclusive local dates
+//   busy          [{ starts_at, ends_at }]    existing bookings
+function generateSlots(availability, blackouts, busy, { from, days, now }) {
+  const tz = availability.time_zone;
+  const slot = availability.slot_minutes;
+  const earliest = now + availability.min_notice_hours * 3600000;
+  const latest = now + availability.horizon_days * 86400000;
+  const busyMs = (busy || []).map((b) => [new Date(b.starts_at).getTime(), new Date(b.ends_at).getTime()]);
+  const blocked = (date) => (blackouts || []).some((b) => ymd(b.start_date) <= date && date <= ymd(b.end_date));
+
+  const slots = [];
+  const firstDate = localParts(from, tz).date;
+  for (let i = 0; i < days; i++) {
+    const date = addDays(firstDate, i);
+    if (blocked(date)) continue;
+    for (const [open, close] of availability.weekly[DAY_KEYS[weekdayOf(date)]] || []) {
+      for (let t = toMinutes(open); t + slot <= toMinutes(close); t += slot) {
+        const time = fromMinutes(t);
+        const start = zonedToUtc(date, time, tz);
+        if (localParts(start, tz).time !== time) continue; // DST gap
+        const end = start + slot * 60000;
+        if (start < earliest || start > latest || start < from) continue;
+        if (busyMs.some(([s, e]) => start < e && end > s)) continue;
+        slots.push({ starts_at: new Date(start).toISOString(), ends_at: new Date(end).toISOString(), local_date: date, local_time: time });
+      }
+    }
+  }
+  return slots;
+}
+
+// DATE columns come back from pg as Date objects at local midnight.
+function ymd(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+// 'YYYY-MM-DD HH:MM' of an instant in tz, for display next to the ISO instant.
+function formatLocal(ms, tz) {
+  const l = localParts(ms, tz);
+  return `${l.date} ${l.time}`;
+}
+
+module.exports = {
+  DAY_KEYS,
+  HHMM,
+  YMD,
+  localParts,
+  offsetMs,
+  zonedToUtc,
+  addDays,
+  toMinutes,
+  generateSlots,
+  formatLocal,
+  ymd,
+};
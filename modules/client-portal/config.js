@@ -0,0 +1,10 @@
+// modules/client-portal/config.js
+// Tunables for the SME portal. The signing secret is read by token.js at use
+// time so a missing secret fails link issue, not boot.
+
+'use strict';
+
+module.exports = {
+  PORTAL_BASE_URL: (process.env.FRONTEND_URL || 'https://canadaaccountants.app').replace(/\/$/, ''),
+  LINK_TTL_DAYS: parseInt(process.env.CLIENT_PORTAL_LINK_DAYS || '90', 10),
+};
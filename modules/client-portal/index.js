@@ -0,0 +1,38 @@
+// modules/client-portal/index.js
+// Composition root for the SME portal. server.js touchpoints:
+//
+//   const clientPortal = require('./modules/client-portal')({
+//     pool,
+//     cancelLead: leadRouting.cancelForSource,   // withdraw stops lead routing
+//     captureError,
+//   });
+//   app.use(clientPortal.router);                  // /api/client-portal/:token (public)
+//   await clientPortal.ensureSchema();             // boot (new tables only)
+//   await clientPortal.issueLink(source, ref)      // at submission -> URL or null
+//   clientPortal.verifyToken(token)                // for other modules under /api/client-portal/:token
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+const schema = require('./schema');
+const buildRoutes = require('./routes');
+const token = require('./token');
+
+function createClientPortalModule(injected) {
+  const { pool, cancelLead, captureError } = injected || {};
+  if (!pool) throw new Error('[client-portal] pool is required');
+
+  const deps = { cancelLead, captureError };
+
+  return {
+    config,
+    service,
+    router: buildRoutes({ pool, service, deps }),
+    issueLink: (source, ref) => service.issueLink(pool, config, source, ref, deps),
+    verifyToken: (t) => token.verify(t),
+    ensureSchema: () => schema.ensureClientPortalSchema(pool),
+  };
+}
+
+module.exports = createClientPortalModule;
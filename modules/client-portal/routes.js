@@ -0,0 +1,70 @@
+// modules/client-portal/routes.js
+// Public SME portal API. No account: the signed token in the path is the
+// credential (token.js), and it only ever reaches the one request it was issued
+// for. Invalid, forged and expired tokens all get the same 404.
+
+'use strict';
+
+const express = require('express');
+const token = require('./token');
+
+function buildRoutes({ pool, service, deps }) {
+  const router = express.Router();
+
+  function resolve(req, res) {
+    const claims = token.verify(req.params.token);
+    if (!claims) {
+      res.status(404).json({ error: 'This link is invalid or has expired.' });
+      return null;
+    }
+    return claims;
+  }
+
+  // GET /api/client-portal/:token - the request, its matches and my feedback.
+  router.get('/api/client-portal/:token', async (req, res) => {
+    try {
+      const claims = resolve(req, res);
+      if (!claims) return;
+      const portal = await service.getPortal(pool, claims.source, claims.ref);
+      if (!portal) return res.status(404).json({ error: 'This link is invalid or has expired.' });
+      return res.json({ success: true, ...portal, link_expires_at: claims.expiresAt });
+    } catch (err) {
+      console.error('[client-portal] view error:', err.message);
+      return res.status(500).json({ error: 'Could not load your matches.' });
+    }
+  });
+
+  const portalAction = (fn) => async (req, res) => {
+    try {
+      const claims = resolve(req, res);
+      if (!claims) return;
+      const result = await fn(claims, req);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json({ success: true, ...result });
+    } catch (err) {
+      console.error('[client-portal] action error:', err.message);
+      return res.status(500).json({ error: 'Action failed.' });
+    }
+  };
+
+  const matchRef = (req) => parseInt(req.params.matchId, 10);
+
+  router.post('/api/client-portal/:token/matches/:matchId/contacted', portalAction((c, req) =>
+    Number.isFinite(matchRef(req))
+      ? service.markContacted(pool, c.source, c.ref, matchRef(req), deps)
+      : { ok: false, code: 400, message: 'Bad match id.' }));
+
+  // Body: { rating: 1-5, comment }
+  router.post('/api/client-portal/:token/matches/:matchId/rating', portalAction((c, req) =>
+    Number.isFinite(matchRef(req))
+      ? service.rateMatch(pool, c.source, c.ref, matchRef(req), req.body || {})
+      : { ok: false, code: 400, message: 'Bad match id.' }));
+
+  // Body: { reason }
+  router.post('/api/client-portal/:token/withdraw', portalAction((c, req) =>
+    service.withdraw(pool, c.source, c.ref, (req.body || {}).reason, deps)));
+
+  return router;
+}
+
+module.exports = buildRoutes;
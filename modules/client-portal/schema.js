@@ -0,0 +1,49 @@
+// modules/client-portal/schema.js
+// Boot-time creation of the SME portal tables. New, empty tables only.
+//
+// client_portal_requests  one row per SME request a link was issued for; the
+//                         withdraw flag lives here, not on the legacy request rows
+// client_portal_feedback  per-match "I contacted this CPA" and the SME's rating.
+//                         match_ref is matches.id (match_cpas) or
+//                         friction_matches.match_id (friction)
+
+'use strict';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS client_portal_requests (
+  id                SERIAL PRIMARY KEY,
+  source            TEXT NOT NULL CHECK (source IN ('match_cpas','friction')),
+  source_ref        TEXT NOT NULL,
+  status            TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','withdrawn')),
+  withdrawn_at      TIMESTAMPTZ,
+  withdraw_reason   TEXT,
+  link_issued_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_seen_at      TIMESTAMPTZ,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (source, source_ref)
+);
+
+CREATE TABLE IF NOT EXISTS client_portal_feedback (
+  id                SERIAL PRIMARY KEY,
+  source            TEXT NOT NULL CHECK (source IN ('match_cpas','friction')),
+  source_ref        TEXT NOT NULL,
+  match_ref         INTEGER NOT NULL,
+  cpa_profile_id    INTEGER,
+  contacted_at      TIMESTAMPTZ,
+  rating            SMALLINT CHECK (rating BETWEEN 1 AND 5),
+  comment           TEXT,
+  rated_at          TIMESTAMPTZ,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (source, match_ref)
+);
+CREATE INDEX IF NOT EXISTS idx_client_portal_feedback_request ON client_portal_feedback(source, source_ref);
+CREATE INDEX IF NOT EXISTS idx_client_portal_feedback_cpa ON client_portal_feedback(cpa_profile_id);
+`;
+
+async function ensureClientPortalSchema(pool) {
+  await pool.query(DDL);
+  console.log('[client-portal] module schema ensured');
+}
+
+module.exports = { ensureClientPortalSchema, DDL };
@@ -0,0 +1,293 @@
+// modules/client-portal/service.js
+// SME portal: the request a magic link was issued for, its matches, and the
+// SME's feedback on them. Requests come from two legacy sources and both are
+// read in place:
+//   match_cpas - client_profiles row, matches rows (match_ref = matches.id)
+//   friction   - sme_friction_requests row, friction_matches rows
+//                (match_ref = friction_matches.match_id)
+//
+// Feedback is written to client_portal_feedback and mirrored onto the legacy
+// match rows: matches.status / client_responded_at are what the ML training set
+// and the replay harness label on; friction_matches.lead_status is the admin
+// pipeline. Actions return { ok:true, ... } or { ok:false, code, message }.
+//
+// deps shape:
+//   deps.cancelLead(source, ref, actor, reason)   lead routing (modules/leads)
+//   deps.captureError(err, ctx)
+
+'use strict';
+
+const token = require('./token');
+
+const RATING_MIN = 1;
+const RATING_MAX = 5;
+
+function logError(deps, context, err) {
+  console.error(`[client-portal/service] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[client-portal/service] captureError failed:', e.message); }
+  }
+}
+
+// --- links ------------------------------------------------------------------
+// Called at submission time. A missing CLIENT_PORTAL_SECRET must never fail the
+// SME's submission: no link is issued and the error is logged.
+async function issueLink(pool, config, source, ref, deps) {
+  let signed;
+  try {
+    signed = token.sign(source, ref, config.LINK_TTL_DAYS);
+  } catch (err) {
+    logError(deps, 'link signing', err);
+    return null;
+  }
+  await pool.query(
+    `INSERT INTO client_portal_requests (source, source_ref) VALUES ($1, $2)
+     ON CONFLICT (source, source_ref) DO UPDATE SET link_issued_at = now()`,
+    [source, String(ref)]
+  );
+  return `${config.PORTAL_BASE_URL}/my-matches?token=${encodeURIComponent(signed)}`;
+}
+
+// --- reads ------------------------------------------------------------------
+async function loadRequest(pool, source, ref) {
+  if (source === 'match_cpas') {
+    const id = parseInt(ref, 10);
+    if (!Number.isFinite(id)) return null;
+    const { rows } = await pool.query(
+      `SELECT id, service_type, business_size, province, city, timeline, created_at
+         FROM client_profiles WHERE id = $1`,
+      [id]
+    );
+    const r = rows[0];
+    return r && {
+      need: r.service_type, business_size: r.business_size, province: r.province,
+      city: r.city, timeline: r.timeline, submitted_at: r.created_at,
+    };
+  }
+  const { rows } = await pool.query(
+    `SELECT request_id, pain_point, business_type, business_size, urgency_level, contact_info, created_at
+       FROM sme_friction_requests WHERE request_id = $1`,
+    [ref]
+  );
+  const r = rows[0];
+  if (!r) return null;
+  const ci = typeof r.contact_info === 'string' ? JSON.parse(r.contact_info || '{}') : (r.contact_info || {});
+  return {
+    need: r.pain_point, business_size: r.business_size, province: ci.province || null,
+    city: ci.city || ci.location || null, timeline: r.urgency_level, submitted_at: r.created_at,
+  };
+}
+
+// One query per source; both return the same columns.
+const MATCH_SQL = {
+  match_cpas: `
+    SELECT m.id AS match_ref, m.cpa_profile_id, m.overall_score AS match_score,
+           m.match_factors->'explanation' AS explanation, NULL::text AS cpa_name,
+           cp.first_name, cp.last_name, cp.firm_name, cp.city, cp.province,
+           cp.email AS cpa_email, cp.phone AS cpa_phone,
+           o.status AS offer_status, f.contacted_at, f.rating, f.comment, f.rated_at
+      FROM matches m
+      LEFT JOIN cpa_profiles cp ON cp.id = m.cpa_profile_id
+      LEFT JOIN routed_leads l ON l.source = 'match_cpas' AND l.source_ref = $1
+      LEFT JOIN routed_lead_offers o ON o.lead_id = l.id AND o.source_match_id = m.id
+      LEFT JOIN client_portal_feedback f ON f.source = 'match_cpas' AND f.match_ref = m.id
+     WHERE m.client_profile_id = $1::int
+     ORDER BY m.overall_score DESC, m.id`,
+  friction: `
+    SELECT fm.match_id AS match_ref, cp.id AS cpa_profile_id, fm.match_score,
+           NULL::jsonb AS explanation, fm.cpa_name,
+           cp.first_name, cp.last_name, cp.firm_name, cp.city, cp.province,
+           cp.email AS cpa_email, cp.phone AS cpa_phone,
+           o.status AS offer_status, f.contacted_at, f.rating, f.comment, f.rated_at
+      FROM friction_matches fm
+      LEFT JOIN cpa_profiles cp ON cp.id::text = fm.cpa_id
+      LEFT JOIN routed_leads l ON l.source = 'friction' AND l.source_ref = $1
+      LEFT JOIN routed_lead_offers o ON o.lead_id = l.id AND o.source_match_id = fm.match_id
+      LEFT JOIN client_portal_feedback f ON f.source = 'friction' AND f.match_ref = fm.match_id
+     WHERE fm.request_id = $1
+     ORDER BY fm.match_score DESC, fm.match_id`,
+};
+
+// Row -> portal card. A CPA's contact details are shown once that CPA has
+// accepted the routed lead, mirroring what the CPA sees of the SME.
+function toCard(r) {
+  const accepted = r.offer_status === 'accepted';
+  return {
+    match_id: r.match_ref,
+    cpa_profile_id: r.cpa_profile_id,
+    name: [r.first_name, r.last_name].filter(Boolean).join(' ').trim() || r.cpa_name || r.firm_name || 'CPA',
+    firm_name: r.firm_name || null,
+    location: [r.city, r.province].filter(Boolean).join(', ') || null,
+    match_score: r.match_score != null ? Math.round(Number(r.match_score)) : null,
+    explanation: r.explanation || null,
+    cpa_accepted: accepted,
+    contact: accepted ? { email: r.cpa_email || null, phone: r.cpa_phone || null } : null,
+    contacted_at: r.contacted_at || null,
+    rating: r.rating != null ? Number(r.rating) : null,
+    comment: r.comment || null,
+    can_rate: accepted || !!r.contacted_at,
+  };
+}
+
+async function loadMatches(pool, source, ref) {
+  const { rows } = await pool.query(MATCH_SQL[source], [String(ref)]);
+  return rows.map(toCard);
+}
+
+async function getPortal(pool, source, ref) {
+  const request = await loadRequest(pool, source, ref);
+  if (!request) return null;
+  const state = await pool.query(
+    `UPDATE client_portal_requests SET last_seen_at = now()
+      WHERE source = $1 AND source_ref = $2
+      RETURNING status, withdrawn_at`,
+    [source, String(ref)]
+  );
+  const s = state.rows[0] || { status: 'open', withdrawn_at: null };
+  return {
+    request: { ...request, status: s.status, withdrawn_at: s.withdrawn_at },
+    matches: await loadMatches(pool, source, ref),
+  };
+}
+
+// --- actions ------------------------------------------------------------------
+async function requireOpen(pool, source, ref) {
+  const { rows } = await pool.query(
+    `SELECT status FROM client_portal_requests WHERE source = $1 AND source_ref = $2`,
+    [source, String(ref)]
+  );
+  if (rows[0] && rows[0].status === 'withdrawn') {
+    return { ok: false, code: 409, message: 'This request has been withdrawn.' };
+  }
+  return null;
+}
+
+async function findCard(pool, source, ref, matchRef) {
+  const cards = await loadMatches(pool, source, ref);
+  return cards.find((c) => c.match_id === matchRef) || null;
+}
+
+async function markContacted(pool, source, ref, matchRef, deps) {
+  const refused = await requireOpen(pool, source, ref);
+  if (refused) return refused;
+  const card = await findCard(pool, source, ref, matchRef);
+  if (!card) return { ok: false, code: 404, message: 'Match not found on this request.' };
+
+  await pool.query(
+    `INSERT INTO client_portal_feedback (source, source_ref, match_ref, cpa_profile_id, contacted_at)
+     VALUES ($1, $2, $3, $4, now())
+     ON CONFLICT (source, match_ref)
+     DO UPDATE SET contacted_at = COALESCE(client_portal_feedback.contacted_at, now()), updated_at = now()`,
+    [source, String(ref), matchRef, card.cpa_profile_id]
+  );
+
+  try {
+    if (source === 'match_cpas') {
+      // 'contacted' is an engaged status for the replay harness and the ML labels.
+      await pool.query(
+        `UPDATE matches SET
+            status = CASE WHEN status IN ('pending','accepted') THEN 'contacted' ELSE status END,
+            client_responded_at = COALESCE(client_responded_at, NOW()), updated_at = NOW()
+          WHERE id = $1`,
+        [matchRef]
+      );
+    } else {
+      await pool.query(
+        `UPDATE friction_matches SET
+            lead_status = CASE WHEN lead_status IN ('won','lost') THEN lead_status ELSE 'client_contacted' END,
+            status_updated_at = NOW()
+          WHERE match_id = $1`,
+        [matchRef]
+      );
+    }
+  } catch (err) {
+    logError(deps, `legacy sync (${source} contacted)`, err);
+  }
+  return { ok: true };
+}
+
+function parseRating(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= RATING_MIN && n <= RATING_MAX ? n : null;
+}
+
+// Only after engagement: the SME said they contacted the CPA, or the CPA
+// accepted the lead. A rating on a CPA nobody spoke to is not an outcome.
+async function rateMatch(pool, source, ref, matchRef, input) {
+  const refused = await requireOpen(pool, source, ref);
+  if (refused) return refused;
+  const rating = parseRating(input.rating);
+  if (rating == null) return { ok: false, code: 422, message: `rating must be an integer ${RATING_MIN}-${RATING_MAX}.` };
+  const card = await findCard(pool, source, ref, matchRef);
+  if (!card) return { ok: false, code: 404, message: 'Match not found on this request.' };
+  if (!card.can_rate) {
+    return { ok: false, code: 409, message: 'Mark this CPA as contacted before rating them.' };
+  }
+  const comment = input.comment ? String(input.comment).slice(0, 2000) : null;
+  await pool.query(
+    `INSERT INTO client_portal_feedback (source, source_ref, match_ref, cpa_profile_id, rating, comment, rated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, now())
+     ON CONFLICT (source, match_ref)
+     DO UPDATE SET rating = EXCLUDED.rating, comment = EXCLUDED.comment, rated_at = now(), updated_at = now()`,
+    [source, String(ref), matchRef, card.cpa_profile_id, rating, comment]
+  );
+  return { ok: true, rating };
+}
+
+// Withdraw: the SME no longer wants matches. Matches the SME never engaged are
+// closed on the legacy rows (resolved, not engaged) and the routed lead, if any,
+// is cancelled so no more CPAs are offered it. Engaged matches are left alone.
+async function withdraw(pool, source, ref, reason, deps) {
+  const upd = await pool.query(
+    `INSERT INTO client_portal_requests (source, source_ref, status, withdrawn_at, withdraw_reason)
+     VALUES ($1, $2, 'withdrawn', now(), $3)
+     ON CONFLICT (source, source_ref) DO UPDATE
+       SET status = 'withdrawn', withdrawn_at = now(), withdraw_reason = EXCLUDED.withdraw_reason
+       WHERE client_portal_requests.status = 'open'
+     RETURNING id`,
+    [source, String(ref), reason ? String(reason).slice(0, 500) : null]
+  );
+  if (upd.rows.length === 0) return { ok: false, code: 409, message: 'This request has already been withdrawn.' };
+
+  try {
+    if (source === 'match_cpas') {
+      await pool.query(
+        `UPDATE matches SET status = 'withdrawn', updated_at = NOW()
+          WHERE client_profile_id = $1 AND status = 'pending'`,
+        [parseInt(ref, 10)]
+      );
+    } else {
+      await pool.query(
+        `UPDATE friction_matches SET lead_status = 'lost', outcome = COALESCE(outcome, 'client_withdrew'),
+                status_updated_at = NOW()
+          WHERE request_id = $1 AND lead_status NOT IN ('client_contacted','won','lost')`,
+        [ref]
+      );
+    }
+  } catch (err) {
+    logError(deps, `legacy sync (${source} withdraw)`, err);
+  }
+
+  if (deps && typeof deps.cancelLead === 'function') {
+    try {
+      await deps.cancelLead(source, ref, 'client', reason || 'withdrawn by client');
+    } catch (err) {
+      logError(deps, 'lead routing cancel', err);
+    }
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  RATING_MIN,
+  RATING_MAX,
+  issueLink,
+  loadRequest,
+  loadMatches,
+  getPortal,
+  markContacted,
+  parseRating,
+  rateMatch,
+  toCard,
+  withdraw,
+};
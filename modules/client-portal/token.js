@@ -0,0 +1,67 @@
+// modules/client-portal/token.js
+// Signed magic-link tokens for the SME portal. Stateless, in the style of
+// services/unsubscribe-token.js:
+//
+//   <payloadB64url>.<hmacHex>
+//   payload = { s: 'friction'|'match_cpas', r: <request ref>, e: <expiry, epoch seconds> }
+//
+// Signed with CLIENT_PORTAL_SECRET, never JWT_SECRET: a portal link must not be
+// accepted by authenticateToken anywhere else in the app.
+
+'use strict';
+
+const crypto = require('crypto');
+
+const SOURCES = ['friction', 'match_cpas'];
+
+function _secret() {
+  const s = process.env.CLIENT_PORTAL_SECRET;
+  if (!s || s.length < 16) {
+    throw new Error('CLIENT_PORTAL_SECRET must be set (>=16 chars) before issuing client portal links');
+  }
+  return s;
+}
+
+function _b64url(str) {
+  return Buffer.from(str, 'utf8').toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function _b64urlDecode(s) {
+  const padded = s.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((s.length + 3) % 4);
+  return Buffer.from(padded, 'base64').toString('utf8');
+}
+
+function _hmac(body) {
+  return crypto.createHmac('sha256', _secret()).update(body).digest('hex');
+}
+
+function sign(source, ref, ttlDays, now = Date.now()) {
+  if (!SOURCES.includes(source)) throw new Error(`[client-portal] unknown source '${source}'`);
+  const body = _b64url(JSON.stringify({ s: source, r: String(ref), e: Math.floor(now / 1000) + ttlDays * 86400 }));
+  return `${body}.${_hmac(body)}`;
+}
+
+// Returns { source, ref, expiresAt } or null for anything malformed, forged or expired.
+function verify(token, now = Date.now()) {
+  if (typeof token !== 'string') return null;
+  const [body, sig] = token.split('.');
+  if (!body || !sig || !/^[0-9a-f]{64}$/.test(sig)) return null;
+  let expected;
+  try {
+    expected = _hmac(body);
+  } catch (_) {
+    return null;
+  }
+  if (!crypto.timingSafeEqual(Buffer.from(sig, 'hex'), Buffer.from(expected, 'hex'))) return null;
+  let payload;
+  try {
+    payload = JSON.parse(_b64urlDecode(body));
+  } catch (_) {
+    return null;
+  }
+  if (!payload || !SOURCES.includes(payload.s) || !payload.r || !Number.isFinite(payload.e)) return null;
+  if (payload.e * 1000 <= now) return null;
+  return { source: payload.s, ref: String(payload.r), expiresAt: new Date(payload.e * 1000) };
+}
+
+module.exports = { SOURCES, sign, verify };
@@ -0,0 +1,53 @@
+// modules/consent/config.js
+// Tunables for the CASL consent registry.
+
+'use strict';
+
+function listEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined) return fallback;
+  return raw.split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+module.exports = {
+  // Implied consent lapses this many months after it was obtained (CASL s.10(10)):
+  // an existing business relationship (purchase or subscription) after two
+  // years, an inquiry after six months. Express consent and conspicuous
+  // publication have no fixed expiry; both end on withdrawal.
+  IMPLIED_EXPIRY_MONTHS: {
+    implied_ebr: 24,
+    implied_inquiry: 6,
+  },
+
+  // Strongest first. When an address holds several active grants, the
+  // registry reports the strongest one its message class accepts.
+  BASES: ['express', 'implied_ebr', 'implied_inquiry', 'implied_publication'],
+
+  // Bases each commercial message class may rely on. A class not listed here
+  // accepts any basis; 'transactional' is not a commercial electronic message
+  // and is never checked.
+  CLASS_BASES: {
+    outreach: ['express', 'implied_ebr', 'implied_inquiry', 'implied_publication'],
+    sequence_v2: ['express', 'implied_ebr', 'implied_inquiry', 'implied_publication'],
+    crm_sequence: ['express', 'implied_ebr', 'implied_inquiry', 'implied_publication'],
+    client_signal: ['express', 'implied_ebr', 'implied_inquiry', 'implied_publication'],
+    webinar_invite: ['express', 'implied_ebr'],
+  },
+  EXEMPT_CLASSES: ['transactional'],
+
+  // Message classes whose senders skip an address without active consent:
+  // 'all', or a comma list (outreach,sequence_v2,...). Classes not listed only
+  // log the miss, so the registry can be backfilled and its gaps reviewed
+  // (GET /api/admin/consent/gaps) before it stops anything.
+  ENFORCE: listEnv('CONSENT_ENFORCE', []),
+
+  // consent_sync copies consent evidence the platform already holds into the
+  // registry: directory listings, subscriptions, inquiries and unsubscribes.
+  SYNC_CRON: '20 3 * * *',
+
+  // GET /api/admin/consent/gaps looks back this far over sent decisions.
+  GAPS_LOOKBACK_DAYS: 30,
+  GAPS_LIMIT: 500,
+  // GET /api/admin/consent/export rows per request.
+  EXPORT_LIMIT: 50000,
+};
@@ -0,0 +1,23 @@
+// modules/consent/consent.js
+// The consent registry as the senders outside this module use it, bound to
+// this module's config, like ../send-throttle/throttle.js. Every commercial
+// sender asks before each send:
+//
+//   const consent = require('../modules/consent/consent');
+//   const block = await consent.blocked(pool, email, 'outreach');
+//   if (block) ... skip the send and record it: audit.record(pool, { email, message_class, ...block })
+//
+// blocked() returns null when the address holds active consent for the
+// class, when the class is not in CONSENT_ENFORCE (the miss is logged), or
+// when the registry cannot be read. Transactional messages are never checked.
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+
+module.exports = {
+  blocked: (pool, email, messageClass) => service.blocked(pool, config, email, messageClass),
+  check: (pool, email, messageClass) => service.check(pool, config, email, messageClass),
+  lookup: (pool, email) => service.lookup(pool, config, email),
+};
@@ -0,0 +1,43 @@
+// modules/consent/index.js
+// Composition root for the CASL consent registry. server.js touchpoints:
+//
+//   const consent = require('./modules/consent')({ pool, jobs, captureError });
+//   app.use(consent.adminRouter);   // /api/admin/consent/* — admin umbrella gates by prefix
+//   await consent.ensureSchema();   // boot (consent_records)
+//   const block = await consent.blocked(email, 'client_signal');  // senders in server.js
+//
+// The senders in services/ consult the registry through ./consent.js; this
+// module owns the table, the admin API and the consent_sync job.
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+const schema = require('./schema');
+const buildAdminRoutes = require('./routes.admin');
+
+function createConsentModule(injected) {
+  const { pool, jobs, captureError } = injected || {};
+  if (!pool) throw new Error('[consent] pool is required');
+  if (!jobs) throw new Error('[consent] jobs is required');
+
+  const deps = { captureError };
+
+  jobs.register({
+    name: 'consent_sync',
+    description: 'Copy directory listings, subscriptions, inquiries and unsubscribes into the consent registry',
+    schedule: config.SYNC_CRON,
+    timeoutMs: 15 * 60 * 1000,
+    run: () => service.sync(pool, config, deps),
+  });
+
+  return {
+    config,
+    adminRouter: buildAdminRoutes({ pool, config, service }),
+    blocked: (email, messageClass) => service.blocked(pool, config, email, messageClass, deps),
+    lookup: (email) => service.lookup(pool, config, email),
+    ensureSchema: () => schema.ensureConsentSchema(pool),
+  };
+}
+
+module.exports = createConsentModule;
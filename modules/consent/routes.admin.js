@@ -0,0 +1,84 @@
+// modules/consent/routes.admin.js
+// Per-address consent, manual grants and withdrawals, the compliance export
+// and the gap report. Paths live under /api/admin/* and inherit the
+// `app.use('/api/admin', authenticateToken, requireAdmin)` umbrella in server.js.
+
+'use strict';
+
+const express = require('express');
+
+function buildAdminRoutes({ pool, config, service }) {
+  const router = express.Router();
+
+  // GET /api/admin/consent?email= - the address's records and, per message
+  // class, whether it may be sent to and on what basis.
+  router.get('/api/admin/consent', async (req, res) => {
+    try {
+      const result = await service.lookup(pool, config, req.query.email);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[consent/admin] lookup error:', err.message);
+      return res.status(500).json({ error: 'lookup failed' });
+    }
+  });
+
+  // POST /api/admin/consent { email, basis, evidence_ref, source?, obtained_at?, note? }
+  router.post('/api/admin/consent', async (req, res) => {
+    try {
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const result = await service.grant(pool, config, actor, req.body || {});
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.status(201).json(result);
+    } catch (err) {
+      console.error('[consent/admin] grant error:', err.message);
+      return res.status(500).json({ error: 'grant failed' });
+    }
+  });
+
+  // POST /api/admin/consent/withdraw { email, source?, evidence_ref?, note? }
+  router.post('/api/admin/consent/withdraw', async (req, res) => {
+    try {
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const result = await service.withdraw(pool, config, actor, req.body || {});
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.status(201).json(result);
+    } catch (err) {
+      console.error('[consent/admin] withdraw error:', err.message);
+      return res.status(500).json({ error: 'withdraw failed' });
+    }
+  });
+
+  // GET /api/admin/consent/export?format=csv|json&basis=&source=&email=&since=YYYY-MM-DD
+  // Every record with its state as of now, for a compliance audit.
+  router.get('/api/admin/consent/export', async (req, res) => {
+    try {
+      const { basis, source, email, since } = req.query;
+      const result = await service.exportRecords(pool, config, { basis, source, email, since });
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      if (req.query.format === 'json') return res.json(result);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="consent-records-${result.generated_at.slice(0, 10)}.csv"`);
+      if (result.truncated) res.set('X-Export-Truncated', String(config.EXPORT_LIMIT));
+      return res.send(service.toCsv(service.EXPORT_COLUMNS, result.records));
+    } catch (err) {
+      console.error('[consent/admin] export error:', err.message);
+      return res.status(500).json({ error: 'export failed' });
+    }
+  });
+
+  // GET /api/admin/consent/gaps?days=30 - recent sends without active consent.
+  router.get('/api/admin/consent/gaps', async (req, res) => {
+    try {
+      const days = Math.min(365, Math.max(1, parseInt(req.query.days || String(config.GAPS_LOOKBACK_DAYS), 10) || config.GAPS_LOOKBACK_DAYS));
+      return res.json({ enforced: config.ENFORCE, ...(await service.gaps(pool, config, { days })) });
+    } catch (err) {
+      console.error('[consent/admin] gaps error:', err.message);
+      return res.status(500).json({ error: 'gaps failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildAdminRoutes;
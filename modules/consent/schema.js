@@ -0,0 +1,39 @@
+// modules/consent/schema.js
+// Boot-time creation of the consent registry. New, empty table only; the
+// consent_sync job fills it from the tables that already hold evidence.
+//
+// consent_records   one row per piece of consent evidence for an address:
+//                   basis, where it came from (source + evidence_ref), when
+//                   it was obtained and, for implied consent, when it lapses.
+//                   A withdrawal is a row too (basis 'withdrawn'); it cancels
+//                   every grant obtained before it. Rows are never deleted.
+//                   Re-recording the same evidence only moves obtained_at
+//                   (and expires_at) forward.
+
+'use strict';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS consent_records (
+  id                  BIGSERIAL PRIMARY KEY,
+  email               TEXT NOT NULL,
+  basis               TEXT NOT NULL CHECK (basis IN ('express','implied_ebr','implied_inquiry','implied_publication','withdrawn')),
+  source              TEXT NOT NULL,
+  evidence_ref        TEXT NOT NULL DEFAULT '',
+  obtained_at         TIMESTAMPTZ NOT NULL,
+  expires_at          TIMESTAMPTZ,
+  note                TEXT,
+  recorded_by         TEXT NOT NULL,
+  recorded_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (email, basis, source, evidence_ref)
+);
+CREATE INDEX IF NOT EXISTS idx_consent_records_email ON consent_records (email, obtained_at DESC);
+CREATE INDEX IF NOT EXISTS idx_consent_records_expiry ON consent_records (expires_at) WHERE expires_at IS NOT NULL;
+`;
+
+async function ensureConsentSchema(pool) {
+  await pool.query(DDL);
+  console.log('[consent] module schema ensured');
+}
+
+module.exports = { ensureConsentSchema, DDL };
@@ -0,0 +1,457 @@
+// modules/consent/service.js
+// The CASL consent registry: what consent we hold for each address, where it
+// came from, and whether it is still good for a given message class.
+//
+// Each consent_records row is one piece of evidence:
+//   express              the person opted in (form, webinar registration, written)
+//   implied_ebr          existing business relationship: a purchase or subscription,
+//                        good for 24 months from when it was obtained
+//   implied_inquiry      the person asked us something: good for 6 months
+//   implied_publication  address conspicuously published in a professional
+//                        directory, no statement against messages; no fixed expiry
+//   withdrawn            an unsubscribe or withdrawal; cancels every grant
+//                        obtained at or before it
+// An outreach_unsubscribes row counts as a withdrawal even before consent_sync
+// has copied it.
+//
+// Senders consult the registry through ./consent.js. A lookup that fails
+// (registry missing, database error) logs and lets the send through, like the
+// send throttle: the senders' own unsubscribe checks still apply. The same
+// check turns away addresses erased on request (../privacy).
+
+'use strict';
+
+const privacy = require('../privacy/privacy');
+
+const EMAIL_RE = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+function logError(deps, context, err) {
+  console.error(`[consent/service] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[consent/service] captureError failed:', e.message); }
+  }
+}
+
+function normalizeEmail(raw) {
+  return String(raw || '').trim().toLowerCase();
+}
+
+// ---------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------
+
+// Calendar months, clamped to the last day of a shorter month the way
+// Postgres interval arithmetic does (Aug 31 + 6 months = Feb 28/29).
+function addMonths(date, months) {
+  const d = new Date(date);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, last));
+  return d;
+}
+
+// When consent of this basis obtained at obtainedAt lapses; null = no fixed expiry.
+function expiryFor(basis, obtainedAt, config) {
+  const months = config.IMPLIED_EXPIRY_MONTHS[basis];
+  return months ? addMonths(obtainedAt, months) : null;
+}
+
+function isExempt(config, messageClass) {
+  return config.EXEMPT_CLASSES.includes(messageClass);
+}
+
+function isEnforced(config, messageClass) {
+  return config.ENFORCE.includes('all') || config.ENFORCE.includes(messageClass);
+}
+
+// Where a grant stands at `now` given the latest withdrawal.
+function grantState(record, withdrawnAt, now) {
+  if (withdrawnAt && new Date(record.obtained_at) <= withdrawnAt) return 'withdrawn';
+  if (record.expires_at && new Date(record.expires_at) <= now) return 'expired';
+  return 'active';
+}
+
+// The consent an address holds for a message class, from its registry rows.
+// Picks the strongest active grant the class accepts (config.BASES order,
+// then the latest expiry). Without one, `status` says why: not_accepted
+// (only bases this class may not rely on), expired, withdrawn or none.
+function resolve(records, config, { messageClass = null, now = new Date(), unsubscribedAt = null } = {}) {
+  const withdrawals = records.filter((r) => r.basis === 'withdrawn').map((r) => new Date(r.obtained_at).getTime());
+  if (unsubscribedAt) withdrawals.push(new Date(unsubscribedAt).getTime());
+  const withdrawnAt = withdrawals.length > 0 ? new Date(Math.max(...withdrawals)) : null;
+  const accepted = (messageClass && config.CLASS_BASES[messageClass]) || config.BASES;
+
+  const grants = records
+    .filter((r) => r.basis !== 'withdrawn')
+    .map((r) => ({ ...r, state: grantState(r, withdrawnAt, now) }));
+  const usable = grants
+    .filter((g) => g.state === 'active' && accepted.includes(g.basis))
+    .sort((a, b) => config.BASES.indexOf(a.basis) - config.BASES.indexOf(b.basis)
+      || (b.expires_at ? new Date(b.expires_at).getTime() : Infinity) - (a.expires_at ? new Date(a.expires_at).getTime() : Infinity));
+
+  if (usable.length > 0) {
+    const g = usable[0];
+    return {
+      allowed: true, status: 'active', basis: g.basis, source: g.source, evidence_ref: g.evidence_ref,
+      obtained_at: g.obtained_at, expires_at: g.expires_at || null, reason: null,
+    };
+  }
+
+  const active = grants.filter((g) => g.state === 'active');
+  const expired = grants.filter((g) => g.state === 'expired')
+    .sort((a, b) => new Date(b.expires_at) - new Date(a.expires_at));
+  let status = 'none';
+  let reason = 'no consent on record';
+  if (active.length > 0) {
+    status = 'not_accepted';
+    reason = `${[...new Set(active.map((g) => g.basis))].join(', ')} not accepted for ${messageClass}`;
+  } else if (expired.length > 0) {
+    status = 'expired';
+    reason = `${expired[0].basis} expired ${new Date(expired[0].expires_at).toISOString()}`;
+  } else if (withdrawnAt) {
+    status = 'withdrawn';
+    reason = `withdrawn ${withdrawnAt.toISOString()}`;
+  }
+  return { allowed: false, status, basis: null, source: null, evidence_ref: null, obtained_at: null, expires_at: null, reason };
+}
+
+// CSV for the compliance export. Quotes every field that needs it.
+function toCsv(columns, rows) {
+  const cell = (v) => {
+    if (v === null || v === undefined) return '';
+    const s = v instanceof Date ? v.toISOString() : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [columns.join(','), ...rows.map((r) => columns.map((c) => cell(r[c])).join(','))].join('\r\n') + '\r\n';
+}
+
+// ---------------------------------------------------------------------------
+// Reading
+// ---------------------------------------------------------------------------
+
+async function loadAddress(pool, email) {
+  const [records, unsub] = await Promise.all([
+    pool.query(`SELECT * FROM consent_records WHERE email = $1 ORDER BY obtained_at`, [email]),
+    pool.query(`SELECT unsubscribed_at FROM outreach_unsubscribes WHERE LOWER(email) = $1 ORDER BY unsubscribed_at DESC LIMIT 1`, [email]),
+  ]);
+  return { records: records.rows, unsubscribedAt: unsub.rows[0] ? unsub.rows[0].unsubscribed_at : null };
+}
+
+// May this address receive this message class? Throws on a database error;
+// senders go through blocked(), which does not.
+async function check(pool, config, rawEmail, messageClass, { now = new Date() } = {}) {
+  const email = normalizeEmail(rawEmail);
+  const enforced = isEnforced(config, messageClass);
+  if (isExempt(config, messageClass)) {
+    return { email, message_class: messageClass, enforced: false, allowed: true, status: 'exempt', reason: null };
+  }
+  const { records, unsubscribedAt } = await loadAddress(pool, email);
+  return { email, message_class: messageClass, enforced, ...resolve(records, config, { messageClass, now, unsubscribedAt }) };
+}
+
+// Classes whose unenforced misses this process has already logged. With the
+// default CONSENT_ENFORCE (none) every commercial send could miss; one line
+// per class says so without flooding the log.
+const warnedClasses = new Set();
+
+// What senders call before a commercial send. Returns the send-audit decision
+// to record when the class is enforced and the address lacks consent, or null
+// to carry on. Misses in classes not yet enforced are logged, once per class.
+// An address erased on request (../privacy) is blocked in every class,
+// enforced or not, even when the registry cannot be read.
+async function blocked(pool, config, email, messageClass, deps) {
+  if (isExempt(config, messageClass)) return null;
+  try {
+    if (await privacy.isErased(pool, email)) {
+      return { gate: 'privacy_erasure', outcome: 'suppressed', reason: 'address erased on request' };
+    }
+  } catch (err) {
+    logError(deps, 'erasure check', err);
+  }
+  let result;
+  try {
+    result = await check(pool, config, email, messageClass);
+  } catch (err) {
+    logError(deps, `check ${messageClass}`, err);
+    return null;
+  }
+  if (result.allowed) return null;
+  if (!result.enforced) {
+    if (!warnedClasses.has(messageClass)) {
+      warnedClasses.add(messageClass);
+      console.warn(`[consent] ${messageClass} sent without active consent (first: ${result.email}, ${result.reason}) — class not in CONSENT_ENFORCE; further misses are not logged`);
+    }
+    return null;
+  }
+  return { gate: 'consent', outcome: 'suppressed', reason: result.reason };
+}
+
+// GET /api/admin/consent?email= - every record for the address with its
+// state, and the answer for each message class.
+async function lookup(pool, config, rawEmail, { now = new Date() } = {}) {
+  const email = normalizeEmail(rawEmail);
+  if (!EMAIL_RE.test(email)) return { ok: false, code: 400, message: 'email must be an email address.' };
+  const { records, unsubscribedAt } = await loadAddress(pool, email);
+  const withdrawals = records.filter((r) => r.basis === 'withdrawn').map((r) => new Date(r.obtained_at).getTime());
+  if (unsubscribedAt) withdrawals.push(new Date(unsubscribedAt).getTime());
+  const withdrawnAt = withdrawals.length > 0 ? new Date(Math.max(...withdrawals)) : null;
+  const classes = {};
+  for (const messageClass of Object.keys(config.CLASS_BASES)) {
+    classes[messageClass] = { enforced: isEnforced(config, messageClass), ...resolve(records, config, { messageClass, now, unsubscribedAt }) };
+  }
+  return {
+    ok: true,
+    email,
+    unsubscribed_at: unsubscribedAt,
+    records: records.map((r) => ({ ...r, state: r.basis === 'withdrawn' ? 'withdrawal' : grantState(r, withdrawnAt, now) })),
+    classes,
+  };
+}
+
+// GET /api/admin/consent/export - the registry for a compliance audit, each
+// row with its state as of now. Filters: basis, source, email, since
+// (recorded or updated on or after).
+async function exportRecords(pool, config, { basis, source, email, since } = {}, { now = new Date() } = {}) {
+  const where = [];
+  const params = [];
+  const add = (sql, value) => { params.push(value); where.push(sql.replace('?', `$${params.length}`)); };
+  if (basis) {
+    if (!config.BASES.includes(basis) && basis !== 'withdrawn') return { ok: false, code: 400, message: `basis must be one of ${[...config.BASES, 'withdrawn'].join(', ')}.` };
+    add('c.basis = ?', basis);
+  }
+  if (source) add('c.source = ?', String(source));
+  if (email) add('c.email = ?', normalizeEmail(email));
+  if (since) {
+    const at = new Date(since);
+    if (Number.isNaN(at.getTime())) return { ok: false, code: 400, message: 'since must be a date (YYYY-MM-DD).' };
+    add('c.updated_at >= ?', at);
+  }
+  params.push(config.EXPORT_LIMIT);
+  const { rows } = await pool.query(
+    `SELECT c.*,
+            (SELECT MAX(w.obtained_at) FROM consent_records w WHERE w.email = c.email AND w.basis = 'withdrawn') AS withdrawn_at
+       FROM consent_records c
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY c.email, c.obtained_at, c.id
+      LIMIT $${params.length}`,
+    params
+  );
+  const records = rows.map(({ withdrawn_at: withdrawnAt, ...r }) => ({
+    ...r,
+    state: r.basis === 'withdrawn' ? 'withdrawal' : grantState(r, withdrawnAt ? new Date(withdrawnAt) : null, now),
+  }));
+  return { ok: true, generated_at: now.toISOString(), truncated: records.length === config.EXPORT_LIMIT, records };
+}
+
+const EXPORT_COLUMNS = ['id', 'email', 'basis', 'state', 'source', 'evidence_ref', 'obtained_at', 'expires_at', 'note', 'recorded_by', 'recorded_at', 'updated_at'];
+
+// GET /api/admin/consent/gaps - addresses we sent commercial mail to in the
+// last N days that held no active consent for that class at the time of the
+// send. The review list before a class is added to CONSENT_ENFORCE.
+async function gaps(pool, config, { days = config.GAPS_LOOKBACK_DAYS } = {}) {
+  const { rows: sends } = await pool.query(
+    `SELECT recipient_email, message_class, SUM(occurrences)::int AS sends, MAX(last_at) AS last_sent_at
+       FROM send_decisions
+      WHERE outcome = 'sent' AND recipient_email IS NOT NULL
+        AND last_at > NOW() - make_interval(days => $1)
+        AND message_class <> ALL($2)
+      GROUP BY 1, 2
+      ORDER BY last_sent_at DESC
+      LIMIT $3`,
+    [days, config.EXEMPT_CLASSES, config.GAPS_LIMIT * 10]
+  );
+  if (sends.length === 0) return { days, gaps: [] };
+  const emails = [...new Set(sends.map((s) => s.recipient_email))];
+  const [records, unsubs] = await Promise.all([
+    pool.query(`SELECT * FROM consent_records WHERE email = ANY($1)`, [emails]),
+    pool.query(`SELECT LOWER(email) AS email, MAX(unsubscribed_at) AS unsubscribed_at FROM outreach_unsubscribes WHERE LOWER(email) = ANY($1) GROUP BY 1`, [emails]),
+  ]);
+  const byEmail = new Map();
+  for (const r of records.rows) {
+    if (!byEmail.has(r.email)) byEmail.set(r.email, []);
+    byEmail.get(r.email).push(r);
+  }
+  const unsubscribed = new Map(unsubs.rows.map((u) => [u.email, u.unsubscribed_at]));
+  const out = [];
+  for (const s of sends) {
+    // Evidence recorded after the send does not cover it.
+    const sentAt = new Date(s.last_sent_at);
+    const held = (byEmail.get(s.recipient_email) || []).filter((r) => new Date(r.obtained_at) <= sentAt);
+    const unsubscribedAt = unsubscribed.get(s.recipient_email);
+    const answer = resolve(held, config, {
+      messageClass: s.message_class,
+      now: sentAt,
+      unsubscribedAt: unsubscribedAt && new Date(unsubscribedAt) <= sentAt ? unsubscribedAt : null,
+    });
+    if (!answer.allowed) out.push({ ...s, status: answer.status, reason: answer.reason });
+    if (out.length >= config.GAPS_LIMIT) break;
+  }
+  return { days, gaps: out };
+}
+
+// ---------------------------------------------------------------------------
+// Recording
+// ---------------------------------------------------------------------------
+
+// Re-recording the same evidence only moves it forward in time.
+const UPSERT_CONFLICT = `
+  ON CONFLICT (email, basis, source, evidence_ref) DO UPDATE
+     SET obtained_at = EXCLUDED.obtained_at, expires_at = EXCLUDED.expires_at,
+         note = COALESCE(EXCLUDED.note, consent_records.note), updated_at = now()
+   WHERE EXCLUDED.obtained_at > consent_records.obtained_at`;
+
+async function upsert(pool, row) {
+  const { rows } = await pool.query(
+    `INSERT INTO consent_records (email, basis, source, evidence_ref, obtained_at, expires_at, note, recorded_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ${UPSERT_CONFLICT}
+     RETURNING *`,
+    [row.email, row.basis, row.source, row.evidence_ref, row.obtained_at, row.expires_at, row.note, row.recorded_by]
+  );
+  return rows[0] || null;
+}
+
+function parseObtainedAt(value, now) {
+  if (value === undefined || value === null || value === '') return now;
+  const at = new Date(value);
+  if (Number.isNaN(at.getTime())) return null;
+  return at > now ? null : at;
+}
+
+// POST /api/admin/consent { email, basis, evidence_ref, source?, obtained_at?, note? }
+// CASL puts the burden of proof on the sender: every grant names its evidence.
+async function grant(pool, config, actor, body, { now = new Date() } = {}) {
+  const email = normalizeEmail(body.email);
+  if (!EMAIL_RE.test(email)) return { ok: false, code: 400, message: 'email must be an email address.' };
+  if (!config.BASES.includes(body.basis)) return { ok: false, code: 400, message: `basis must be one of ${config.BASES.join(', ')}.` };
+  const evidenceRef = String(body.evidence_ref || '').trim();
+  if (!evidenceRef) return { ok: false, code: 400, message: 'evidence_ref is required: where the proof of consent is kept.' };
+  const obtainedAt = parseObtainedAt(body.obtained_at, now);
+  if (!obtainedAt) return { ok: false, code: 400, message: 'obtained_at must be a date no later than now.' };
+  const record = await upsert(pool, {
+    email,
+    basis: body.basis,
+    source: String(body.source || 'admin').trim(),
+    evidence_ref: evidenceRef,
+    obtained_at: obtainedAt,
+    expires_at: expiryFor(body.basis, obtainedAt, config),
+    note: body.note ? String(body.note).slice(0, 1000) : null,
+    recorded_by: actor,
+  });
+  return { ok: true, email, record, unchanged: !record };
+}
+
+// POST /api/admin/consent/withdraw { email, source?, evidence_ref?, note? }
+async function withdraw(pool, config, actor, body, { now = new Date() } = {}) {
+  const email = normalizeEmail(body.email);
+  if (!EMAIL_RE.test(email)) return { ok: false, code: 400, message: 'email must be an email address.' };
+  const record = await upsert(pool, {
+    email,
+    basis: 'withdrawn',
+    source: String(body.source || 'admin').trim(),
+    evidence_ref: String(body.evidence_ref || '').trim(),
+    obtained_at: now,
+    expires_at: null,
+    note: body.note ? String(body.note).slice(0, 1000) : null,
+    recorded_by: actor,
+  });
+  return { ok: true, email, record };
+}
+
+// consent_sync: evidence the platform already holds, one query per source.
+// Each yields (email, evidence_ref, obtained_at); the basis decides expiry.
+// A source whose table is missing or fails is skipped and reported.
+const SYNC_SOURCES = [
+  {
+    // Provincial CPA directory listings. Only the directory address and
+    // addresses published on the firm's own website count as conspicuously
+    // published; emails found through other enrichment do not.
+    name: 'professional_directory',
+    basis: 'implied_publication',
+    sql: `SELECT LOWER(TRIM(email)) AS email, 'scraped_cpas:' || id || ':directory' AS evidence_ref, scraped_at AS obtained_at
+            FROM scraped_cpas WHERE consent_basis = 'professional_directory' AND email IS NOT NULL
+          UNION ALL
+          SELECT LOWER(TRIM(enriched_email)), 'scraped_cpas:' || id || ':firm_website', COALESCE(enrichment_date, scraped_at)
+            FROM scraped_cpas WHERE consent_basis = 'professional_directory' AND enrichment_source = 'firm_website' AND enriched_email IS NOT NULL`,
+  },
+  {
+    // A subscription is a continuing relationship: while active it is
+    // renewed every day, and the 24 months run from when it ended.
+    name: 'subscription',
+    basis: 'implied_ebr',
+    sql: `SELECT LOWER(TRIM(p.email)) AS email, 'cpa_subscriptions:' || s.id AS evidence_ref,
+                 CASE WHEN s.status = 'active' THEN date_trunc('day', NOW())
+                      ELSE COALESCE(s.current_period_end, s.updated_at, s.created_at) END AS obtained_at
+            FROM cpa_subscriptions s JOIN cpa_profiles p ON p.id = s.cpa_profile_id
+           WHERE p.email IS NOT NULL`,
+  },
+  {
+    name: 'contact_form',
+    basis: 'implied_inquiry',
+    sql: `SELECT LOWER(TRIM(email)) AS email, 'contact_submissions:' || id AS evidence_ref, created_at AS obtained_at
+            FROM contact_submissions`,
+  },
+  {
+    name: 'client_search',
+    basis: 'implied_inquiry',
+    sql: `SELECT LOWER(TRIM(email)) AS email, 'client_search_requests:' || id AS evidence_ref, created_at AS obtained_at
+            FROM client_search_requests WHERE email IS NOT NULL`,
+  },
+  {
+    name: 'friction_request',
+    basis: 'implied_inquiry',
+    sql: `SELECT LOWER(TRIM(contact_info::jsonb->>'email')) AS email, 'sme_friction_requests:' || request_id AS evidence_ref, created_at AS obtained_at
+            FROM sme_friction_requests WHERE contact_info::jsonb->>'email' IS NOT NULL`,
+  },
+  {
+    name: 'unsubscribe',
+    basis: 'withdrawn',
+    sql: `SELECT LOWER(TRIM(email)) AS email, 'outreach_unsubscribes:' || id AS evidence_ref, unsubscribed_at AS obtained_at
+            FROM outreach_unsubscribes`,
+  },
+];
+
+async function sync(pool, config, deps) {
+  const sources = {};
+  for (const src of SYNC_SOURCES) {
+    try {
+      const { rowCount } = await pool.query(
+        `INSERT INTO consent_records (email, basis, source, evidence_ref, obtained_at, expires_at, recorded_by)
+         SELECT e.email, $1, $2, e.evidence_ref, e.obtained_at,
+                CASE WHEN $3::int IS NULL THEN NULL ELSE e.obtained_at + make_interval(months => $3::int) END,
+                'consent_sync'
+           FROM (${src.sql}) e
+          WHERE e.email ~ '^[^@[:space:]]+@[^@[:space:]]+\\.[^@[:space:]]+$' AND e.obtained_at IS NOT NULL
+         ${UPSERT_CONFLICT}`,
+        [src.basis, src.name, config.IMPLIED_EXPIRY_MONTHS[src.basis] || null]
+      );
+      sources[src.name] = { upserted: rowCount };
+    } catch (err) {
+      logError(deps, `sync ${src.name}`, err);
+      sources[src.name] = { error: err.message };
+    }
+  }
+  const total = Object.values(sources).reduce((n, s) => n + (s.upserted || 0), 0);
+  console.log(`[consent] sync: ${total} records added or moved forward`);
+  return { sources };
+}
+
+module.exports = {
+  SYNC_SOURCES,
+  EXPORT_COLUMNS,
+  addMonths,
+  expiryFor,
+  isEnforced,
+  resolve,
+  toCsv,
+  check,
+  blocked,
+  lookup,
+  exportRecords,
+  gaps,
+  grant,
+  withdraw,
+  sync,
+};
@@ -0,0 +1,34 @@
+// modules/jobs/config.js
+// Tunables for the Postgres-backed job scheduler.
+
+'use strict';
+
+const os = require('os');
+
+module.exports = {
+  // false = this process never runs jobs (e.g. a web-only replica); the admin
+  // API still works against the shared tables.
+  ENABLED: String(process.env.JOBS_ENABLED || 'true').toLowerCase() !== 'false',
+  // Identifies this process in job_runs.node_id and the leader's
+  // application_name.
+  NODE_ID: `${process.env.RAILWAY_REPLICA_ID || os.hostname()}:${process.pid}`,
+  // Session advisory lock held by the leader for as long as it leads.
+  LEADER_LOCK_KEY: 72604012,
+  // How often a follower retries the lock and the leader checks its session.
+  LEADER_POLL_MS: 15 * 1000,
+  // Leader loop: reap stale runs, start due retries and manual runs.
+  TICK_MS: 15 * 1000,
+  MAX_CLAIMS_PER_TICK: 5,
+  // A 'running' row older than its job's timeout plus this is from a process
+  // that died mid-run.
+  STALE_GRACE_MS: 2 * 60 * 1000,
+  DEFAULT_TIMEOUT_MS: 10 * 60 * 1000,
+  DEFAULT_MAX_ATTEMPTS: 1,
+  DEFAULT_BACKOFF_MS: 60 * 1000,
+  MAX_BACKOFF_MS: 6 * 60 * 60 * 1000,
+  DEFAULT_TIME_ZONE: 'America/Toronto',
+  // Handler return values are kept in job_runs.result up to this size.
+  RESULT_MAX_CHARS: 4000,
+  HISTORY_DAYS: parseInt(process.env.JOBS_HISTORY_DAYS || '30', 10),
+  PRUNE_CRON: '40 4 * * *',
+};
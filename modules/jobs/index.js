@@ -0,0 +1,48 @@
+// modules/jobs/index.js
+// Composition root for the job scheduler. server.js touchpoints:
+//
+//   const jobs = require('./modules/jobs')({ pool, captureError });
+//   jobs.register({ name, schedule, run, ... });   // anywhere during boot
+//   app.use(jobs.adminRouter);   // /api/admin/jobs/* — admin umbrella gates by prefix
+//   await jobs.ensureSchema();   // boot (job_runs, job_dead_letters, job_state)
+//   jobs.startWorkers();         // cron schedules, leader election, pending-run tick
+
+'use strict';
+
+const cron = require('node-cron');
+const config = require('./config');
+const service = require('./service');
+const schema = require('./schema');
+const createLeader = require('./leader');
+const { createScheduler } = require('./scheduler');
+const buildAdminRoutes = require('./routes.admin');
+
+function createJobsModule(injected) {
+  const { pool, captureError } = injected || {};
+  if (!pool) throw new Error('[jobs] pool is required');
+
+  const deps = { captureError };
+  const leader = createLeader({ pool, config, service, deps });
+  const scheduler = createScheduler({ pool, config, service, leader, cron, deps });
+
+  scheduler.register({
+    name: 'jobs_prune_history',
+    description: `Delete finished job_runs older than ${config.HISTORY_DAYS} days`,
+    schedule: config.PRUNE_CRON,
+    run: () => service.prune(pool, config.HISTORY_DAYS),
+  });
+
+  return {
+    config,
+    register: (def) => scheduler.register(def),
+    enqueue: (name, opts) => scheduler.enqueue(name, opts),
+    release: (name, actor) => service.releaseRunning(pool, name, actor),
+    isLeader: () => leader.isLeader(),
+    adminRouter: buildAdminRoutes({ pool, config, service, scheduler, leader }),
+    ensureSchema: () => schema.ensureJobsSchema(pool),
+    startWorkers: () => scheduler.start(),
+    stop: () => scheduler.stop(),
+  };
+}
+
+module.exports = createJobsModule;
@@ -0,0 +1,84 @@
+// modules/jobs/leader.js
+// Leader election on a Postgres session advisory lock. The leader checks out
+// one pooled client, takes pg_try_advisory_lock(LEADER_LOCK_KEY) on it and
+// keeps that client for as long as it leads; followers retry every
+// LEADER_POLL_MS. If the leader process dies or its session drops, Postgres
+// releases the lock and the next follower to ask takes over.
+//
+// Leadership decides who fires schedules and works the pending queue. It is
+// not what prevents overlapping runs: during a handover both processes may
+// briefly think they lead, and the one-running-row-per-job index in job_runs
+// settles that.
+
+'use strict';
+
+function createLeader({ pool, config, service, deps }) {
+  let client = null;
+  let leading = false;
+  let timer = null;
+  let checking = false;
+
+  function lose(err) {
+    if (!leading) return;
+    leading = false;
+    const c = client;
+    client = null;
+    // Destroying the session is what releases the advisory lock.
+    try { c.release(err || true); } catch (_) { /* already gone */ }
+    console.error(`[jobs] ${config.NODE_ID} lost leadership:`, err && err.message ? err.message : 'session released');
+  }
+
+  async function attempt() {
+    if (checking) return;
+    checking = true;
+    try {
+      if (leading) {
+        await client.query('SELECT 1');
+        return;
+      }
+      const c = await pool.connect();
+      let got = false;
+      try {
+        const { rows } = await c.query('SELECT pg_try_advisory_lock($1) AS ok', [config.LEADER_LOCK_KEY]);
+        got = !!rows[0].ok;
+        if (got) await c.query(`SELECT set_config('application_name', $1, false)`, [`jobs-leader:${config.NODE_ID}`]);
+      } catch (err) {
+        c.release(true);
+        throw err;
+      }
+      if (!got) { c.release(); return; }
+      client = c;
+      leading = true;
+      c.on('error', (err) => lose(err));
+      console.log(`[jobs] ${config.NODE_ID} is the job leader`);
+    } catch (err) {
+      if (leading) lose(err); else service.logError(deps, 'leader election', err);
+    } finally {
+      checking = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    attempt();
+    timer = setInterval(attempt, config.LEADER_POLL_MS);
+  }
+
+  async function stop() {
+    if (timer) { clearInterval(timer); timer = null; }
+    if (!leading) return;
+    const c = client;
+    leading = false;
+    client = null;
+    try {
+      await c.query('SELECT pg_advisory_unlock($1)', [config.LEADER_LOCK_KEY]);
+      c.release();
+    } catch (err) {
+      c.release(err);
+    }
+  }
+
+  return { start, stop, isLeader: () => leading };
+}
+
+module.exports = createLeader;
@@ -0,0 +1,158 @@
+// modules/jobs/routes.admin.js
+// Job status, run history, manual runs, pause and dead letters. Paths live
+// under /api/admin/* and inherit the `app.use('/api/admin', authenticateToken,
+// requireAdmin)` umbrella in server.js.
+
+'use strict';
+
+const express = require('express');
+
+function buildAdminRoutes({ pool, config, service, scheduler, leader }) {
+  const router = express.Router();
+  const actorOf = (req) => `admin:${(req.user && req.user.email) || 'unknown'}`;
+  const describe = (def) => ({
+    name: def.name,
+    description: def.description,
+    schedules: def.schedules,
+    timeout_ms: def.timeoutMs,
+    max_attempts: def.maxAttempts,
+    backoff_ms: def.backoffMs,
+    dead_letter: def.deadLetter,
+  });
+
+  // GET /api/admin/jobs - every registered job with its latest run, what is
+  // running or queued, 24h counts by status, and who leads.
+  router.get('/api/admin/jobs', async (req, res) => {
+    try {
+      const defs = scheduler.list();
+      const [byJob, leaderNode, openDeadLetters] = await Promise.all([
+        service.overview(pool, defs.map((d) => d.name)),
+        service.currentLeader(pool, config.LEADER_LOCK_KEY),
+        service.countOpenDeadLetters(pool),
+      ]);
+      return res.json({
+        node: { id: config.NODE_ID, enabled: config.ENABLED, leader: leader.isLeader() },
+        leader: leaderNode,
+        open_dead_letters: openDeadLetters,
+        jobs: defs.map((d) => ({ ...describe(d), ...byJob[d.name] })),
+      });
+    } catch (err) {
+      console.error('[jobs/admin] list error:', err.message);
+      return res.status(500).json({ error: 'list failed' });
+    }
+  });
+
+  // GET /api/admin/jobs/runs?job=&status=&before_id=&limit= - newest first.
+  router.get('/api/admin/jobs/runs', async (req, res) => {
+    try {
+      const status = req.query.status || null;
+      if (status && !service.RUN_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${service.RUN_STATUSES.join(', ')}` });
+      }
+      const beforeId = req.query.before_id ? parseInt(req.query.before_id, 10) : null;
+      const limit = Math.min(500, Math.max(1, parseInt(req.query.limit || '100', 10) || 100));
+      const runs = await service.listRuns(pool, {
+        jobName: req.query.job || null,
+        status,
+        beforeId: Number.isFinite(beforeId) ? beforeId : null,
+        limit,
+      });
+      return res.json({ runs, next_before_id: runs.length === limit ? runs[runs.length - 1].id : null });
+    } catch (err) {
+      console.error('[jobs/admin] runs error:', err.message);
+      return res.status(500).json({ error: 'runs failed' });
+    }
+  });
+
+  // GET /api/admin/jobs/dead-letters?include_resolved=true
+  router.get('/api/admin/jobs/dead-letters', async (req, res) => {
+    try {
+      const deadLetters = await service.listDeadLetters(pool, { includeResolved: req.query.include_resolved === 'true' });
+      return res.json({ dead_letters: deadLetters });
+    } catch (err) {
+      console.error('[jobs/admin] dead letters error:', err.message);
+      return res.status(500).json({ error: 'dead letters failed' });
+    }
+  });
+
+  // POST /api/admin/jobs/dead-letters/:id { action: retry|dismiss, note }
+  router.post('/api/admin/jobs/dead-letters/:id', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad dead letter id.' });
+      const result = await service.resolveDeadLetter(pool, id, actorOf(req), req.body || {}, scheduler.list().map((d) => d.name));
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[jobs/admin] resolve dead letter error:', err.message);
+      return res.status(500).json({ error: 'resolve failed' });
+    }
+  });
+
+  // GET /api/admin/jobs/:name - definition, state and the last 50 runs.
+  router.get('/api/admin/jobs/:name', async (req, res) => {
+    try {
+      const def = scheduler.get(req.params.name);
+      if (!def) return res.status(404).json({ error: 'Job not found' });
+      const [byJob, runs] = await Promise.all([
+        service.overview(pool, [def.name]),
+        service.listRuns(pool, { jobName: def.name, limit: 50 }),
+      ]);
+      return res.json({ job: { ...describe(def), ...byJob[def.name] }, runs });
+    } catch (err) {
+      console.error('[jobs/admin] detail error:', err.message);
+      return res.status(500).json({ error: 'detail failed' });
+    }
+  });
+
+  // POST /api/admin/jobs/:name/run { args } - queued for the leader, which
+  // starts it within a tick. 409 when a manual run is already waiting.
+  router.post('/api/admin/jobs/:name/run', async (req, res) => {
+    try {
+      const def = scheduler.get(req.params.name);
+      if (!def) return res.status(404).json({ error: 'Job not found' });
+      const args = (req.body && typeof req.body.args === 'object' && req.body.args) || {};
+      const run = await scheduler.enqueue(def.name, { args, requestedBy: actorOf(req) });
+      if (!run) return res.status(409).json({ error: 'A manual run of this job is already queued.' });
+      return res.status(202).json({ success: true, run });
+    } catch (err) {
+      console.error('[jobs/admin] run error:', err.message);
+      return res.status(500).json({ error: 'run failed' });
+    }
+  });
+
+  // POST /api/admin/jobs/:name/pause { note } and /resume - paused jobs skip
+  // scheduled fires and leave their queued runs waiting.
+  for (const action of ['pause', 'resume']) {
+    router.post(`/api/admin/jobs/:name/${action}`, async (req, res) => {
+      try {
+        const def = scheduler.get(req.params.name);
+        if (!def) return res.status(404).json({ error: 'Job not found' });
+        const state = await service.setPaused(pool, def.name, action === 'pause', actorOf(req), req.body && req.body.note);
+        return res.json({ success: true, state });
+      } catch (err) {
+        console.error(`[jobs/admin] ${action} error:`, err.message);
+        return res.status(500).json({ error: `${action} failed` });
+      }
+    });
+  }
+
+  // POST /api/admin/jobs/:name/release - mark a stuck 'running' row abandoned
+  // now instead of waiting for the timeout reaper. The handler, if it is in
+  // fact still running somewhere, is not stopped.
+  router.post('/api/admin/jobs/:name/release', async (req, res) => {
+    try {
+      const def = scheduler.get(req.params.name);
+      if (!def) return res.status(404).json({ error: 'Job not found' });
+      const run = await service.releaseRunning(pool, def.name, actorOf(req));
+      return res.json({ success: true, released: run });
+    } catch (err) {
+      console.error('[jobs/admin] release error:', err.message);
+      return res.status(500).json({ error: 'release failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildAdminRoutes;
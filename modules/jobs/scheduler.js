@@ -0,0 +1,195 @@
+// modules/jobs/scheduler.js
+// Job registry and runner.
+//
+//   scheduler.register({
+//     name: 'deliverability_gate',
+//     schedule: '*/30 * * * *',          // or [{ cron, timezone?, args? }, ...]
+//     timezone: 'America/Toronto',        // default
+//     timeoutMs, maxAttempts, backoffMs,  // defaults from config
+//     deadLetter,                         // default: maxAttempts > 1
+//     description,
+//     run: async ({ runId, attempt, trigger, args, signal }) => result,
+//   });
+//
+// Every process registers the same jobs and keeps node-cron schedules for
+// them, but a fire only does anything on the leader (leader.js). The leader's
+// tick reaps runs orphaned by a dead process, then starts due 'pending' rows:
+// retries (exponential backoff from backoffMs) and manual runs from the admin
+// API or scheduler.enqueue. A run that uses up maxAttempts is copied to
+// job_dead_letters.
+//
+// A timed-out handler cannot be cancelled; it gets signal.abort() and the run
+// is recorded as timed_out. Until the handler actually settles the job counts
+// as busy in this process, so its retry waits instead of overlapping.
+
+'use strict';
+
+const NAME = /^[a-z][a-z0-9_]{1,62}$/;
+
+function normalize(config, def) {
+  if (!def || !NAME.test(def.name || '')) throw new Error(`[jobs] bad job name: ${def && def.name}`);
+  if (typeof def.run !== 'function') throw new Error(`[jobs] ${def.name}: run must be a function`);
+  const tz = def.timezone || config.DEFAULT_TIME_ZONE;
+  const raw = def.schedule == null ? [] : (Array.isArray(def.schedule) ? def.schedule : [def.schedule]);
+  const schedules = raw.map((s) => (typeof s === 'string'
+    ? { cron: s, timezone: tz, args: {} }
+    : { cron: s.cron, timezone: s.timezone || tz, args: s.args || {} }));
+  const maxAttempts = Math.max(1, def.maxAttempts || config.DEFAULT_MAX_ATTEMPTS);
+  return {
+    name: def.name,
+    description: def.description || null,
+    schedules,
+    timeoutMs: def.timeoutMs || config.DEFAULT_TIMEOUT_MS,
+    maxAttempts,
+    backoffMs: def.backoffMs || config.DEFAULT_BACKOFF_MS,
+    deadLetter: def.deadLetter == null ? maxAttempts > 1 : !!def.deadLetter,
+    run: def.run,
+  };
+}
+
+function createScheduler({ pool, config, service, leader, cron, deps }) {
+  const jobs = new Map();   // name -> normalized definition
+  const busy = new Map();   // name -> settle promise of the handler running here
+  const tasks = [];
+  let started = false;
+  let ticker = null;
+  let ticking = false;
+
+  function schedule(def) {
+    for (const s of def.schedules) {
+      tasks.push(cron.schedule(s.cron, () => {
+        fire(def, s.args).catch((err) => service.logError(deps, `fire ${def.name}`, err));
+      }, { timezone: s.timezone }));
+    }
+  }
+
+  function register(input) {
+    const def = normalize(config, input);
+    if (jobs.has(def.name)) throw new Error(`[jobs] ${def.name} is already registered`);
+    jobs.set(def.name, def);
+    if (started && config.ENABLED) schedule(def);
+    return def;
+  }
+
+  async function fire(def, args) {
+    if (!leader.isLeader()) return;
+    const paused = await service.pausedJobs(pool);
+    if (paused.has(def.name)) return;
+    if (busy.has(def.name)) {
+      await service.recordSkipped(pool, { jobName: def.name, trigger: 'schedule', args, nodeId: config.NODE_ID, reason: 'still running in this process' });
+      return;
+    }
+    const run = await service.startRun(pool, { jobName: def.name, trigger: 'schedule', args, nodeId: config.NODE_ID });
+    if (run) await execute(def, run);
+  }
+
+  async function execute(def, run) {
+    const controller = new AbortController();
+    const work = Promise.resolve().then(() => def.run({
+      runId: run.id, attempt: run.attempt, trigger: run.trigger, args: run.args || {}, signal: controller.signal,
+    }));
+    busy.set(def.name, work.then(() => {}, () => {}).finally(() => busy.delete(def.name)));
+
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(Object.assign(new Error(`timed out after ${def.timeoutMs}ms`), { code: 'JOB_TIMEOUT' }));
+      }, def.timeoutMs);
+    });
+
+    try {
+      const result = await Promise.race([work, timeout]);
+      await service.finishRun(pool, run.id, { status: 'succeeded', result: service.summarizeResult(result, config.RESULT_MAX_CHARS) });
+      return 'succeeded';
+    } catch (err) {
+      const status = err && err.code === 'JOB_TIMEOUT' ? 'timed_out' : 'failed';
+      console.error(`[jobs] ${def.name} run ${run.id} ${status} (attempt ${run.attempt}/${def.maxAttempts}):`, err && err.message ? err.message : err);
+      if (status === 'failed' && deps && typeof deps.captureError === 'function') {
+        try { deps.captureError(err, { context: `job ${def.name}`, run_id: run.id }); } catch (e) { console.error('[jobs] captureError failed:', e.message); }
+      }
+      const finished = await service.finishRun(pool, run.id, { status, error: String(err && err.message ? err.message : err).slice(0, 2000) });
+      if (finished) await afterFailure(def, finished);
+      return status;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function afterFailure(def, run) {
+    if (run.attempt < def.maxAttempts) {
+      const delay = service.backoffMs(def, run.attempt, config);
+      await service.enqueueRetry(pool, run, new Date(Date.now() + delay));
+      return;
+    }
+    if (def.deadLetter) {
+      await service.deadLetter(pool, run);
+      console.error(`[jobs] ${def.name} dead-lettered after ${run.attempt} attempt(s)`);
+    }
+  }
+
+  async function tick() {
+    if (ticking || !leader.isLeader()) return;
+    ticking = true;
+    try {
+      const timeouts = Object.fromEntries([...jobs.values()].map((d) => [d.name, d.timeoutMs]));
+      for (const run of await service.reapStale(pool, timeouts, config.STALE_GRACE_MS)) {
+        console.error(`[jobs] ${run.job_name} run ${run.id} abandoned by ${run.node_id || 'unknown node'}`);
+        const def = jobs.get(run.job_name);
+        if (def) await afterFailure(def, run);
+      }
+
+      const paused = await service.pausedJobs(pool);
+      for (let i = 0; i < config.MAX_CLAIMS_PER_TICK; i++) {
+        const eligible = [...jobs.keys()].filter((name) => !busy.has(name) && !paused.has(name));
+        const run = await service.claimPending(pool, eligible, config.NODE_ID);
+        if (!run) break;
+        const def = jobs.get(run.job_name);
+        execute(def, run).catch((err) => service.logError(deps, `execute ${def.name}`, err));
+      }
+    } catch (err) {
+      service.logError(deps, 'tick', err);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    if (started) return; // idempotent - never double-start
+    started = true;
+    if (!config.ENABLED) {
+      console.log(`[jobs] JOBS_ENABLED=false — ${config.NODE_ID} will not run jobs`);
+      return;
+    }
+    for (const def of jobs.values()) schedule(def);
+    leader.start();
+    ticker = setInterval(tick, config.TICK_MS);
+    console.log(`[jobs] scheduler started on ${config.NODE_ID}: ${jobs.size} jobs registered`);
+  }
+
+  async function stop() {
+    for (const t of tasks.splice(0)) t.stop();
+    if (ticker) { clearInterval(ticker); ticker = null; }
+    await leader.stop();
+    started = false;
+  }
+
+  // Queue a run for the leader to pick up (manual runs, boot catch-ups).
+  async function enqueue(name, { args, requestedBy } = {}) {
+    if (!jobs.has(name)) throw new Error(`[jobs] unknown job: ${name}`);
+    return service.enqueue(pool, { jobName: name, args, requestedBy });
+  }
+
+  return {
+    register,
+    start,
+    stop,
+    tick,
+    enqueue,
+    get: (name) => jobs.get(name) || null,
+    list: () => [...jobs.values()],
+    isBusy: (name) => busy.has(name),
+  };
+}
+
+module.exports = { createScheduler, normalize };
@@ -0,0 +1,70 @@
+// modules/jobs/schema.js
+// Boot-time creation of the scheduler tables. New, empty tables only.
+//
+// job_runs           one row per run attempt: scheduled fires, retries and
+//                    manual runs. 'pending' rows are the durable queue (retries
+//                    and manual runs wait there for the leader); the partial
+//                    unique index allows one 'running' row per job across
+//                    every replica
+// job_dead_letters   runs that used up their attempts, until retried or
+//                    dismissed from the admin API
+// job_state          per-job admin switches (pause)
+
+'use strict';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS job_runs (
+  id                  BIGSERIAL PRIMARY KEY,
+  job_name            TEXT NOT NULL,
+  trigger             TEXT NOT NULL CHECK (trigger IN ('schedule','retry','manual')),
+  status              TEXT NOT NULL
+                      CHECK (status IN ('pending','running','succeeded','failed','timed_out','abandoned','skipped')),
+  attempt             INTEGER NOT NULL DEFAULT 1,
+  args                JSONB NOT NULL DEFAULT '{}'::jsonb,
+  retry_of            BIGINT,
+  run_after           TIMESTAMPTZ NOT NULL DEFAULT now(),
+  node_id             TEXT,
+  requested_by        TEXT,
+  started_at          TIMESTAMPTZ,
+  finished_at         TIMESTAMPTZ,
+  duration_ms         INTEGER,
+  error               TEXT,
+  result              JSONB,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_job_runs_one_running ON job_runs(job_name) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_job_runs_pending ON job_runs(run_after) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_created ON job_runs(job_name, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_runs_created ON job_runs(created_at);
+
+CREATE TABLE IF NOT EXISTS job_dead_letters (
+  id                  SERIAL PRIMARY KEY,
+  job_name            TEXT NOT NULL,
+  last_run_id         BIGINT NOT NULL,
+  args                JSONB NOT NULL DEFAULT '{}'::jsonb,
+  attempts            INTEGER NOT NULL,
+  last_error          TEXT,
+  resolution          TEXT CHECK (resolution IN ('retried','dismissed')),
+  resolved_by         TEXT,
+  resolved_at         TIMESTAMPTZ,
+  note                TEXT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_job_dead_letters_open ON job_dead_letters(created_at) WHERE resolved_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS job_state (
+  job_name            TEXT PRIMARY KEY,
+  paused              BOOLEAN NOT NULL DEFAULT FALSE,
+  paused_by           TEXT,
+  paused_at           TIMESTAMPTZ,
+  note                TEXT,
+  updated_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+`;
+
+async function ensureJobsSchema(pool) {
+  await pool.query(DDL);
+  console.log('[jobs] module schema ensured');
+}
+
+module.exports = { ensureJobsSchema, DDL };
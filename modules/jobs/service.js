@@ -0,0 +1,354 @@
+// modules/jobs/service.js
+// job_runs / job_dead_letters / job_state reads and writes. No scheduling
+// here - scheduler.js decides when to call these.
+
+'use strict';
+
+const RUN_STATUSES = ['pending', 'running', 'succeeded', 'failed', 'timed_out', 'abandoned', 'skipped'];
+const FAILED_STATUSES = ['failed', 'timed_out', 'abandoned'];
+const UNIQUE_VIOLATION = '23505';
+
+function logError(deps, context, err) {
+  console.error(`[jobs/service] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[jobs/service] captureError failed:', e.message); }
+  }
+}
+
+// Exponential backoff from the job's base delay: attempt 1 failed -> base,
+// attempt 2 failed -> 2x base, ... capped.
+function backoffMs(def, attempt, config) {
+  return Math.min(def.backoffMs * 2 ** Math.max(0, attempt - 1), config.MAX_BACKOFF_MS);
+}
+
+// Handler return value -> job_runs.result. Objects are kept when small enough
+// to be useful; anything else is wrapped or dropped.
+function summarizeResult(value, maxChars) {
+  if (value === undefined || value === null) return null;
+  const wrapped = typeof value === 'object' && !Array.isArray(value) ? value : { value };
+  let json;
+  try { json = JSON.stringify(wrapped); } catch (_) { return { unserializable: true }; }
+  if (json === undefined) return null;
+  return json.length > maxChars ? { truncated: true, chars: json.length } : JSON.parse(json);
+}
+
+// ---------------------------------------------------------------------------
+// Runs
+// ---------------------------------------------------------------------------
+
+// A scheduled fire on the leader: straight to 'running'. Another replica (a
+// leader being replaced) already running the job loses on the unique index
+// and the fire is recorded as skipped.
+async function startRun(pool, { jobName, trigger, args, nodeId }) {
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO job_runs (job_name, trigger, status, args, node_id, started_at)
+       VALUES ($1, $2, 'running', $3, $4, now())
+       RETURNING *`,
+      [jobName, trigger, JSON.stringify(args || {}), nodeId]
+    );
+    return rows[0];
+  } catch (err) {
+    if (err.code !== UNIQUE_VIOLATION) throw err;
+    await recordSkipped(pool, { jobName, trigger, args, nodeId, reason: 'already running' });
+    return null;
+  }
+}
+
+async function recordSkipped(pool, { jobName, trigger, args, nodeId, reason }) {
+  await pool.query(
+    `INSERT INTO job_runs (job_name, trigger, status, args, node_id, started_at, finished_at, duration_ms, error)
+     VALUES ($1, $2, 'skipped', $3, $4, now(), now(), 0, $5)`,
+    [jobName, trigger, JSON.stringify(args || {}), nodeId, reason]
+  );
+}
+
+// Durable request for a run by whichever process leads. A job already waiting
+// on a non-retry pending row is not queued twice (two replicas booting, an
+// impatient double-click).
+async function enqueue(pool, { jobName, args, requestedBy, runAfter = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO job_runs (job_name, trigger, status, args, requested_by, run_after)
+     SELECT $1, 'manual', 'pending', $2, $3, COALESCE($4, now())
+      WHERE NOT EXISTS (
+        SELECT 1 FROM job_runs WHERE job_name = $1 AND status = 'pending' AND trigger = 'manual'
+      )
+     RETURNING *`,
+    [jobName, JSON.stringify(args || {}), requestedBy || null, runAfter]
+  );
+  return rows[0] || null;
+}
+
+async function enqueueRetry(pool, run, runAfter) {
+  const { rows } = await pool.query(
+    `INSERT INTO job_runs (job_name, trigger, status, attempt, args, retry_of, requested_by, run_after)
+     VALUES ($1, 'retry', 'pending', $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [run.job_name, run.attempt + 1, JSON.stringify(run.args || {}), run.id, run.requested_by || null, runAfter]
+  );
+  return rows[0];
+}
+
+// Leader: the oldest due pending run among the jobs it may start now.
+async function claimPending(pool, jobNames, nodeId) {
+  if (!jobNames.length) return null;
+  try {
+    const { rows } = await pool.query(
+      `WITH next AS (
+         SELECT r.id FROM job_runs r
+          WHERE r.status = 'pending' AND r.run_after <= now() AND r.job_name = ANY($1::text[])
+            AND NOT EXISTS (SELECT 1 FROM job_runs x WHERE x.job_name = r.job_name AND x.status = 'running')
+          ORDER BY r.run_after, r.id
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+       )
+       UPDATE job_runs r SET status = 'running', started_at = now(), node_id = $2
+         FROM next WHERE r.id = next.id
+       RETURNING r.*`,
+      [jobNames, nodeId]
+    );
+    return rows[0] || null;
+  } catch (err) {
+    if (err.code === UNIQUE_VIOLATION) return null; // a scheduled fire started it first
+    throw err;
+  }
+}
+
+// Only a row still 'running' is finished: a run the leader already reaped as
+// abandoned keeps that status when its handler finally returns.
+async function finishRun(pool, runId, { status, error = null, result = null }) {
+  const { rows } = await pool.query(
+    `UPDATE job_runs
+        SET status = $2, error = $3, result = $4, finished_at = now(),
+            duration_ms = (EXTRACT(EPOCH FROM (now() - started_at)) * 1000)::int
+      WHERE id = $1 AND status = 'running'
+      RETURNING *`,
+    [runId, status, error, result == null ? null : JSON.stringify(result)]
+  );
+  return rows[0] || null;
+}
+
+// 'running' rows past their job's timeout plus grace: the process running
+// them is gone. timeouts is { jobName: ms } for the registered jobs.
+async function reapStale(pool, timeouts, graceMs) {
+  const { rows } = await pool.query(
+    `UPDATE job_runs
+        SET status = 'abandoned', finished_at = now(),
+            duration_ms = (EXTRACT(EPOCH FROM (now() - started_at)) * 1000)::int,
+            error = 'abandoned: no result within timeout (process restarted or lost its database session)'
+      WHERE status = 'running'
+        AND started_at < now() - ((($1::jsonb ->> job_name)::bigint + $2) * interval '1 millisecond')
+      RETURNING *`,
+    [JSON.stringify(timeouts), graceMs]
+  );
+  return rows;
+}
+
+// Admin: free a job stuck in 'running' now, without waiting for the reaper.
+async function releaseRunning(pool, jobName, actor) {
+  const { rows } = await pool.query(
+    `UPDATE job_runs
+        SET status = 'abandoned', finished_at = now(),
+            duration_ms = (EXTRACT(EPOCH FROM (now() - started_at)) * 1000)::int,
+            error = $2
+      WHERE job_name = $1 AND status = 'running'
+      RETURNING *`,
+    [jobName, `released by ${actor}`]
+  );
+  return rows[0] || null;
+}
+
+async function deadLetter(pool, run) {
+  const { rows } = await pool.query(
+    `INSERT INTO job_dead_letters (job_name, last_run_id, args, attempts, last_error)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [run.job_name, run.id, JSON.stringify(run.args || {}), run.attempt, run.error]
+  );
+  return rows[0];
+}
+
+async function prune(pool, historyDays) {
+  const { rowCount } = await pool.query(
+    `DELETE FROM job_runs
+      WHERE created_at < now() - make_interval(days => $1)
+        AND status NOT IN ('pending','running')`,
+    [historyDays]
+  );
+  return { deleted: rowCount };
+}
+
+// ---------------------------------------------------------------------------
+// Pause state
+// ---------------------------------------------------------------------------
+
+async function pausedJobs(pool) {
+  const { rows } = await pool.query(`SELECT job_name FROM job_state WHERE paused`);
+  return new Set(rows.map((r) => r.job_name));
+}
+
+async function setPaused(pool, jobName, paused, actor, note) {
+  const { rows } = await pool.query(
+    `INSERT INTO job_state (job_name, paused, paused_by, paused_at, note, updated_at)
+     VALUES ($1, $2, $3, CASE WHEN $2 THEN now() END, $4, now())
+     ON CONFLICT (job_name) DO UPDATE
+        SET paused = EXCLUDED.paused, paused_by = EXCLUDED.paused_by,
+            paused_at = EXCLUDED.paused_at, note = EXCLUDED.note, updated_at = now()
+     RETURNING *`,
+    [jobName, paused, actor, note || null]
+  );
+  return rows[0];
+}
+
+// ---------------------------------------------------------------------------
+// Admin reads
+// ---------------------------------------------------------------------------
+
+// Per job: the latest finished run, what is running or waiting, 24h counts.
+async function overview(pool, jobNames) {
+  const [latest, counts, state, active] = await Promise.all([
+    pool.query(
+      `SELECT DISTINCT ON (job_name) id, job_name, trigger, status, attempt, started_at, finished_at, duration_ms, error
+         FROM job_runs
+        WHERE job_name = ANY($1::text[]) AND status NOT IN ('pending','running','skipped')
+        ORDER BY job_name, id DESC`,
+      [jobNames]
+    ),
+    pool.query(
+      `SELECT job_name, status, COUNT(*)::int AS n
+         FROM job_runs
+        WHERE job_name = ANY($1::text[]) AND created_at > now() - interval '24 hours'
+        GROUP BY job_name, status`,
+      [jobNames]
+    ),
+    pool.query(`SELECT * FROM job_state WHERE job_name = ANY($1::text[])`, [jobNames]),
+    pool.query(
+      `SELECT id, job_name, trigger, status, attempt, node_id, started_at, run_after
+         FROM job_runs
+        WHERE job_name = ANY($1::text[]) AND status IN ('pending','running')
+        ORDER BY id`,
+      [jobNames]
+    ),
+  ]);
+  const byJob = Object.fromEntries(jobNames.map((name) => [name, {
+    last_run: null, running: null, pending: [], runs_24h: {}, paused: false, paused_by: null, pause_note: null,
+  }]));
+  for (const r of latest.rows) byJob[r.job_name].last_run = r;
+  for (const r of counts.rows) byJob[r.job_name].runs_24h[r.status] = r.n;
+  for (const r of state.rows) Object.assign(byJob[r.job_name], { paused: r.paused, paused_by: r.paused_by, pause_note: r.note });
+  for (const r of active.rows) {
+    if (r.status === 'running') byJob[r.job_name].running = r; else byJob[r.job_name].pending.push(r);
+  }
+  return byJob;
+}
+
+async function listRuns(pool, { jobName = null, status = null, beforeId = null, limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT * FROM job_runs
+      WHERE ($1::text IS NULL OR job_name = $1)
+        AND ($2::text IS NULL OR status = $2)
+        AND ($3::bigint IS NULL OR id < $3)
+      ORDER BY id DESC
+      LIMIT $4`,
+    [jobName, status, beforeId, limit]
+  );
+  return rows;
+}
+
+async function listDeadLetters(pool, { includeResolved = false, limit = 100 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT * FROM job_dead_letters
+      WHERE $1::boolean OR resolved_at IS NULL
+      ORDER BY id DESC
+      LIMIT $2`,
+    [!!includeResolved, limit]
+  );
+  return rows;
+}
+
+async function countOpenDeadLetters(pool) {
+  const { rows } = await pool.query(`SELECT COUNT(*)::int AS n FROM job_dead_letters WHERE resolved_at IS NULL`);
+  return rows[0].n;
+}
+
+// Retry re-queues the dead letter's args as a fresh manual run (attempt 1).
+async function resolveDeadLetter(pool, id, actor, { action, note }, knownJobs) {
+  if (!['retry', 'dismiss'].includes(action)) {
+    return { ok: false, code: 400, message: 'action must be retry or dismiss' };
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(`SELECT * FROM job_dead_letters WHERE id = $1 FOR UPDATE`, [id]);
+    const letter = rows[0];
+    if (!letter) { await client.query('ROLLBACK'); return { ok: false, code: 404, message: 'Dead letter not found' }; }
+    if (letter.resolved_at) { await client.query('ROLLBACK'); return { ok: false, code: 409, message: `Already ${letter.resolution}.` }; }
+    if (action === 'retry' && !knownJobs.includes(letter.job_name)) {
+      await client.query('ROLLBACK');
+      return { ok: false, code: 409, message: `Job ${letter.job_name} is no longer registered.` };
+    }
+    let run = null;
+    if (action === 'retry') {
+      const inserted = await client.query(
+        `INSERT INTO job_runs (job_name, trigger, status, args, requested_by)
+         VALUES ($1, 'manual', 'pending', $2, $3)
+         RETURNING *`,
+        [letter.job_name, JSON.stringify(letter.args || {}), actor]
+      );
+      run = inserted.rows[0];
+    }
+    const updated = await client.query(
+      `UPDATE job_dead_letters SET resolution = $2, resolved_by = $3, resolved_at = now(), note = $4
+        WHERE id = $1 RETURNING *`,
+      [id, action === 'retry' ? 'retried' : 'dismissed', actor, note || null]
+    );
+    await client.query('COMMIT');
+    return { ok: true, dead_letter: updated.rows[0], run };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// The process holding the leader lock, from its application_name.
+async function currentLeader(pool, lockKey) {
+  const { rows } = await pool.query(
+    `SELECT a.application_name, a.backend_start, a.state_change
+       FROM pg_locks l JOIN pg_stat_activity a ON a.pid = l.pid
+      WHERE l.locktype = 'advisory' AND l.granted AND l.classid = 0 AND l.objid = $1 AND l.objsubid = 1`,
+    [lockKey]
+  );
+  if (!rows[0]) return null;
+  return {
+    node_id: String(rows[0].application_name || '').replace(/^jobs-leader:/, '') || null,
+    session_started_at: rows[0].backend_start,
+  };
+}
+
+module.exports = {
+  RUN_STATUSES,
+  FAILED_STATUSES,
+  logError,
+  backoffMs,
+  summarizeResult,
+  startRun,
+  recordSkipped,
+  enqueue,
+  enqueueRetry,
+  claimPending,
+  finishRun,
+  reapStale,
+  releaseRunning,
+  deadLetter,
+  prune,
+  pausedJobs,
+  setPaused,
+  overview,
+  listRuns,
+  listDeadLetters,
+  countOpenDeadLetters,
+  resolveDeadLetter,
+  currentLeader,
+};
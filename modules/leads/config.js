@@ -0,0 +1,27 @@
+// modules/leads/config.js
+// Tunables for direct-lead routing. ACC-only (unlike the referral rail this is
+// not shared across platforms), so table names are not indirected.
+
+'use strict';
+
+// Notify gating. Default OFF, same posture as REFERRAL_NOTIFY_ENABLED: offers,
+// accepts and cascades all run, and every email a CPA would have received is
+// rendered into routed_lead_events('email_suppressed_dark') instead of sent.
+// The professional-contact moratorium (2026-06-10) applies to this flag too.
+const NOTIFY_ENABLED = String(process.env.LEAD_NOTIFY_ENABLED || 'false').toLowerCase() === 'true';
+
+module.exports = {
+  NOTIFY_ENABLED,
+  PLATFORM_NAME: 'CanadaAccountants',
+  PLATFORM_DOMAIN: 'https://canadaaccountants.app',
+  SUPPRESSION_TABLE: 'outreach_unsubscribes',
+  // Concurrent live offers per lead. The rest of the ranked match list waits in
+  // 'queued' and is offered as live offers are declined or time out.
+  OFFER_SLOTS: parseInt(process.env.LEAD_OFFER_SLOTS || '2', 10),
+  // Accepts that close a lead. 1 = exclusive: the first accept withdraws the
+  // other live offers.
+  MAX_ACCEPTS: parseInt(process.env.LEAD_MAX_ACCEPTS || '1', 10),
+  ACCEPT_WINDOW_HOURS: parseInt(process.env.LEAD_ACCEPT_WINDOW_HOURS || '24', 10),
+  // A lead nobody has accepted after this long is expired even if offers remain.
+  TTL_DAYS: parseInt(process.env.LEAD_TTL_DAYS || '7', 10),
+};
@@ -0,0 +1,86 @@
+// modules/leads/emails.js
+// The one email lead routing sends: "a lead is waiting for you" to the CPA an
+// offer just went to. Gated on config.NOTIFY_ENABLED exactly like the referral
+// rail's gatedSend: dark renders the template into
+// routed_lead_events('email_suppressed_dark') and sends nothing.
+//
+// buildNotify({ config, sendEmail, service, captureError }) -> { offerToCpa }
+
+'use strict';
+
+const SENDER_ID = 'CanadaAccountants.app | Toronto, ON, Canada';
+
+function esc(s) {
+  return String(s == null ? '' : s).replace(/[&<>"]/g, (c) => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]
+  ));
+}
+
+function tplOfferToCpa(config, lead, offer, cpa) {
+  const s = lead.summary || {};
+  const where = [s.city, s.province].filter(Boolean).join(', ') || 'Canada';
+  const hours = config.ACCEPT_WINDOW_HOURS;
+  const subject = `New client lead: ${s.need || 'accounting help'} in ${where} - respond within ${hours}h`;
+  const html = `
+    <p>Hi ${esc(cpa.first_name || 'there')},</p>
+    <p>A business on ${esc(config.PLATFORM_NAME)} matched with your profile.</p>
+    <p><strong>Need:</strong> ${esc(s.need || 'n/a')}<br>
+       <strong>Business size:</strong> ${esc(s.business_size || 'n/a')}<br>
+       <strong>Location:</strong> ${esc(where)}<br>
+       <strong>Timeline:</strong> ${esc(s.timeline || 'n/a')}<br>
+       <strong>Match score:</strong> ${esc(offer.match_score != null ? Math.round(Number(offer.match_score)) : 'n/a')}</p>
+    <p>Accept within ${hours} hours to receive the client's contact details. If you decline or
+       the window passes, the lead goes to the next matched CPA.</p>
+    <p><a href="${esc(config.PLATFORM_DOMAIN)}/cpa-dashboard#leads">Accept or decline in your dashboard</a></p>
+    <hr><p style="color:#888;font-size:12px;">${esc(SENDER_ID)}</p>`;
+  return { subject, html };
+}
+
+function buildNotify({ config, sendEmail, service, captureError }) {
+  async function offerToCpa(pool, cfg, lead, offer) {
+    const { rows } = await pool.query(
+      `SELECT email, first_name FROM cpa_profiles WHERE id = $1`, [offer.cpa_profile_id]
+    );
+    const cpa = rows[0] || {};
+    const template = tplOfferToCpa(cfg, lead, offer, cpa);
+
+    if (!cfg.NOTIFY_ENABLED) {
+      await service.recordEvent(pool, lead.id, offer.id, 'email_suppressed_dark', 'system', {
+        would_send_to: cpa.email || null,
+        template: 'offer_to_cpa',
+        subject: template.subject,
+        html: template.html,
+        reason: 'LEAD_NOTIFY_ENABLED=false',
+      });
+      return { sent: false, dark: true };
+    }
+
+    if (!cpa.email) {
+      await service.recordEvent(pool, lead.id, offer.id, 'error', 'system', { stage: 'offer_to_cpa', message: 'no recipient' });
+      return { sent: false };
+    }
+    try {
+      const suppressed = await pool.query(
+        `SELECT 1 FROM ${cfg.SUPPRESSION_TABLE} WHERE lower(email) = $1 LIMIT 1`,
+        [String(cpa.email).toLowerCase()]
+      );
+      if (suppressed.rows.length > 0) {
+        await service.recordEvent(pool, lead.id, offer.id, 'error', 'system', { stage: 'offer_to_cpa', message: 'recipient suppressed' });
+        return { sent: false, suppressed: true };
+      }
+      await sendEmail({ to: cpa.email, subject: template.subject, html: template.html });
+      await service.recordEvent(pool, lead.id, offer.id, 'offer_email_sent', 'system', { to: cpa.email });
+      await service.syncSourceMatch(pool, lead, offer, 'notified', { captureError });
+      return { sent: true };
+    } catch (err) {
+      console.error('[leads/emails] send failed (offer_to_cpa):', err.message);
+      if (typeof captureError === 'function') { try { captureError(err, { stage: 'offer_to_cpa' }); } catch (e) { console.error('[leads/emails] captureError failed:', e.message); } }
+      await service.recordEvent(pool, lead.id, offer.id, 'error', 'system', { stage: 'offer_to_cpa', message: err.message });
+      return { sent: false, error: err.message };
+    }
+  }
+
+  return { offerToCpa };
+}
+
+module.exports = { buildNotify, tplOfferToCpa };
@@ -0,0 +1,104 @@
+// modules/leads/index.js
+// Composition root for direct-lead routing. server.js touchpoints:
+//
+//   const leadRouting = require('./modules/leads')({
+//     pool, jobs, sendEmail, auth: { authenticateToken, requireCPA }, captureError,
+//     leadBilling,                               // optional: billing.leadBilling (pay-per-lead)
+//   });
+//   app.use(leadRouting.professionalRouter);   // /api/cpa/leads (JWT)
+//   app.use(leadRouting.adminRouter);          // /api/admin/lead-routing — admin umbrella gates by prefix
+//   await leadRouting.ensureSchema();          // boot (new tables only)
+//
+// The accept-timeout / TTL sweeper is the leads_sweep job (modules/jobs).
+//
+//   leadRouting.routeClientProfile(clientProfile, matches)     // after /api/match-cpas
+//   leadRouting.routeFrictionRequest(requestId, request, stored) // after /api/friction/sme-match-request
+//   leadRouting.cancelForSource(source, ref, actor, reason)       // SME withdrew (client portal)
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+const schema = require('./schema');
+const sweeper = require('./sweeper');
+const { buildNotify } = require('./emails');
+const buildProfessionalRoutes = require('./routes.professional');
+const buildAdminRoutes = require('./routes.admin');
+
+function createLeadRoutingModule(injected) {
+  const { pool, jobs, sendEmail, auth, captureError, leadBilling } = injected || {};
+  if (!pool) throw new Error('[leads] pool is required');
+  if (!jobs) throw new Error('[leads] jobs is required');
+
+  const notify = buildNotify({ config, sendEmail, service, captureError });
+  const deps = { notify, captureError, leadBilling: leadBilling || null };
+
+  jobs.register({
+    name: 'leads_sweep',
+    description: 'Expire lead offers past their acceptance deadline (cascading) and leads past their TTL',
+    schedule: sweeper.SWEEP_CRON,
+    timeoutMs: 10 * 60 * 1000,
+    run: () => sweeper.sweep(pool, config, service, deps),
+  });
+
+  // Request fields a CPA may see before accepting. No name, email or phone.
+  function routeClientProfile(clientProfile, matches) {
+    return service.createLead(pool, config, {
+      source: 'match_cpas',
+      sourceRef: clientProfile.id,
+      summary: {
+        need: clientProfile.service_type || null,
+        business_size: clientProfile.business_size || null,
+        province: clientProfile.province || null,
+        city: clientProfile.city || null,
+        timeline: clientProfile.timeline || null,
+        budget_range: clientProfile.budget_range || null,
+      },
+      candidates: matches.map((m) => ({
+        cpa_profile_id: m.cpa.id,
+        match_score: m.overall_score,
+        source_match_id: m.match_id || null,
+      })),
+    }, deps);
+  }
+
+  // stored: storeFrictionMatches output, [{ cpa_id, match_id, match_score }] in rank order.
+  function routeFrictionRequest(requestId, request, stored) {
+    const ci = request.contactInfo || {};
+    return service.createLead(pool, config, {
+      source: 'friction',
+      sourceRef: requestId,
+      summary: {
+        need: request.painPoint || null,
+        business_size: request.businessSize || null,
+        province: ci.province || null,
+        city: ci.city || ci.location || null,
+        timeline: request.urgencyLevel || null,
+        budget_range: request.budgetRange || null,
+      },
+      candidates: stored.map((s) => ({
+        cpa_profile_id: s.cpa_id,
+        match_score: s.match_score,
+        source_match_id: s.match_id,
+      })),
+    }, deps);
+  }
+
+  const professionalRouter = buildProfessionalRoutes({ pool, config, service, deps, auth: auth || {} });
+  const adminRouter = buildAdminRoutes({ pool, config, service, deps });
+
+  return {
+    config,
+    service,
+    deps,
+    professionalRouter,
+    adminRouter,
+    routeClientProfile,
+    routeFrictionRequest,
+    cancelForSource: (source, ref, actor, reason) =>
+      service.cancelLeadForSource(pool, config, source, ref, actor, reason, deps),
+    ensureSchema: () => schema.ensureLeadSchema(pool),
+  };
+}
+
+module.exports = createLeadRoutingModule;
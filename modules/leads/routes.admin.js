@@ -0,0 +1,75 @@
+// modules/leads/routes.admin.js
+// Admin surface for lead routing. Paths live under /api/admin/* and inherit the
+// `app.use('/api/admin', authenticateToken, requireAdmin)` umbrella in server.js.
+// Every mutating action writes routed_lead_events.
+
+'use strict';
+
+const express = require('express');
+
+const LEAD_STATUSES = ['routing', 'accepted', 'exhausted', 'expired', 'cancelled'];
+const LEAD_SOURCES = ['match_cpas', 'friction'];
+
+function buildAdminRoutes({ pool, config, service, deps }) {
+  const router = express.Router();
+
+  // GET /api/admin/lead-routing?status=&source=&limit=
+  router.get('/api/admin/lead-routing', async (req, res) => {
+    try {
+      if (req.query.status && !LEAD_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of: ${LEAD_STATUSES.join(', ')}` });
+      }
+      if (req.query.source && !LEAD_SOURCES.includes(req.query.source)) {
+        return res.status(400).json({ error: `source must be one of: ${LEAD_SOURCES.join(', ')}` });
+      }
+      const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || '50', 10)));
+      const leads = await service.listLeads(pool, { status: req.query.status, source: req.query.source, limit });
+      return res.json({
+        leads,
+        config: {
+          offer_slots: config.OFFER_SLOTS,
+          max_accepts: config.MAX_ACCEPTS,
+          accept_window_hours: config.ACCEPT_WINDOW_HOURS,
+          ttl_days: config.TTL_DAYS,
+          notify_enabled: config.NOTIFY_ENABLED,
+        },
+      });
+    } catch (err) {
+      console.error('[leads/admin] list error:', err.message);
+      return res.status(500).json({ error: 'list failed' });
+    }
+  });
+
+  // GET /api/admin/lead-routing/:id - lead, its ranked offers and the event log.
+  router.get('/api/admin/lead-routing/:id', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad lead id.' });
+      const detail = await service.getLead(pool, id);
+      if (!detail) return res.status(404).json({ error: 'Lead not found' });
+      return res.json(detail);
+    } catch (err) {
+      console.error('[leads/admin] detail error:', err.message);
+      return res.status(500).json({ error: 'detail failed' });
+    }
+  });
+
+  // POST /api/admin/lead-routing/:id/cancel { reason }
+  router.post('/api/admin/lead-routing/:id/cancel', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad lead id.' });
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const result = await service.cancelLead(pool, config, id, actor, (req.body || {}).reason, deps);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[leads/admin] cancel error:', err.message);
+      return res.status(500).json({ error: 'cancel failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildAdminRoutes;
@@ -0,0 +1,74 @@
+// modules/leads/routes.professional.js
+// CPA dashboard API for routed leads (JWT). Auth middleware is injected so the
+// module never re-implements it. The CPA row is resolved the way the other
+// /api/cpa/* dashboard routes resolve it (user_id, then email).
+//
+// Until an offer is accepted the CPA sees the request summary and the match
+// explanation only; the client's contact details are added to accepted offers.
+
+'use strict';
+
+const express = require('express');
+
+const OFFER_STATUSES = ['offered', 'accepted', 'declined', 'expired', 'withdrawn'];
+
+function buildProfessionalRoutes({ pool, config, service, deps, auth }) {
+  const router = express.Router();
+  const { authenticateToken, requireCPA } = auth;
+
+  async function resolveCpa(req) {
+    const { rows } = await pool.query(
+      `SELECT id FROM cpa_profiles WHERE user_id = $1 OR email = $2 LIMIT 1`,
+      [req.user.userId, req.user.email]
+    );
+    return rows[0] || null;
+  }
+
+  // GET /api/cpa/leads?status= - offers made to me, newest first.
+  router.get('/api/cpa/leads', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      const status = OFFER_STATUSES.includes(req.query.status) ? req.query.status : null;
+      const rows = await service.listOffersForCpa(pool, cpa.id, status);
+      const leads = [];
+      for (const r of rows) {
+        const { source_ref, ...lead } = r;
+        lead.contact = r.status === 'accepted'
+          ? await service.loadContact(pool, { source: r.source, source_ref })
+          : null;
+        leads.push(lead);
+      }
+      return res.json({ leads, accept_window_hours: config.ACCEPT_WINDOW_HOURS });
+    } catch (err) {
+      console.error('[leads/pro] list error:', err.message);
+      return res.status(500).json({ error: 'Could not list leads.' });
+    }
+  });
+
+  const cpaAction = (fn) => async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      const id = parseInt(req.params.offerId, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad offer id.' });
+      const result = await fn(id, cpa, req);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[leads/pro] action error:', err.message);
+      return res.status(500).json({ error: 'Action failed.' });
+    }
+  };
+
+  router.post('/api/cpa/leads/:offerId/accept', authenticateToken, requireCPA,
+    cpaAction((id, cpa) => service.acceptOffer(pool, config, id, cpa.id, deps)));
+
+  // Body: { reason } (optional, kept on the offer for the admin view).
+  router.post('/api/cpa/leads/:offerId/decline', authenticateToken, requireCPA,
+    cpaAction((id, cpa, req) => service.declineOffer(pool, config, id, cpa.id, (req.body || {}).reason, deps)));
+
+  return router;
+}
+
+module.exports = buildProfessionalRoutes;
@@ -0,0 +1,68 @@
+// modules/leads/schema.js
+// Boot-time creation of the lead-routing tables. New, empty tables only, so
+// they follow the inline CREATE TABLE IF NOT EXISTS boot convention.
+//
+// routed_leads        one row per SME submission that entered routing
+// routed_lead_offers  the ranked match list for a lead; each row walks
+//                     queued -> offered -> accepted | declined | expired | withdrawn
+// routed_lead_events  append-only audit trail of every state change
+
+'use strict';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS routed_leads (
+  id                SERIAL PRIMARY KEY,
+  source            TEXT NOT NULL CHECK (source IN ('match_cpas','friction')),
+  source_ref        TEXT NOT NULL,
+  status            TEXT NOT NULL DEFAULT 'routing'
+                    CHECK (status IN ('routing','accepted','exhausted','expired','cancelled')),
+  summary           JSONB,
+  accepted_at       TIMESTAMPTZ,
+  expires_at        TIMESTAMPTZ,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (source, source_ref)
+);
+CREATE INDEX IF NOT EXISTS idx_routed_leads_status ON routed_leads(status);
+CREATE INDEX IF NOT EXISTS idx_routed_leads_created_at ON routed_leads(created_at);
+CREATE INDEX IF NOT EXISTS idx_routed_leads_expires ON routed_leads(expires_at) WHERE status = 'routing';
+
+CREATE TABLE IF NOT EXISTS routed_lead_offers (
+  id                SERIAL PRIMARY KEY,
+  lead_id           INTEGER NOT NULL REFERENCES routed_leads(id),
+  cpa_profile_id    INTEGER NOT NULL,
+  rank              INTEGER NOT NULL,
+  match_score       NUMERIC(5,2),
+  source_match_id   INTEGER,
+  status            TEXT NOT NULL DEFAULT 'queued'
+                    CHECK (status IN ('queued','offered','accepted','declined','expired','withdrawn')),
+  offered_at        TIMESTAMPTZ,
+  accept_deadline_at TIMESTAMPTZ,
+  responded_at      TIMESTAMPTZ,
+  decline_reason    TEXT,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (lead_id, cpa_profile_id)
+);
+CREATE INDEX IF NOT EXISTS idx_routed_lead_offers_lead_id ON routed_lead_offers(lead_id);
+CREATE INDEX IF NOT EXISTS idx_routed_lead_offers_cpa ON routed_lead_offers(cpa_profile_id, status);
+CREATE INDEX IF NOT EXISTS idx_routed_lead_offers_deadline ON routed_lead_offers(accept_deadline_at) WHERE status = 'offered';
+
+CREATE TABLE IF NOT EXISTS routed_lead_events (
+  id              SERIAL PRIMARY KEY,
+  lead_id         INTEGER NOT NULL REFERENCES routed_leads(id),
+  offer_id        INTEGER REFERENCES routed_lead_offers(id),
+  event_type      TEXT NOT NULL,
+  actor           TEXT,
+  detail          JSONB,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_routed_lead_events_lead_id ON routed_lead_events(lead_id);
+CREATE INDEX IF NOT EXISTS idx_routed_lead_events_event_type ON routed_lead_events(event_type);
+`;
+
+async function ensureLeadSchema(pool) {
+  await pool.query(DDL);
+  console.log('[leads] module schema ensured');
+}
+
+module.exports = { ensureLeadSchema, DDL };
@@ -0,0 +1,563 @@
+// modules/leads/service.js
+// Direct-lead routing: an SME submission becomes a routed_leads row whose ranked
+// match list is offered to CPAs a few at a time. Each offer has an acceptance
+// deadline; a decline or a timeout cascades the lead to the next queued match,
+// the same accept_deadline_at / rematchOrExpire behaviour as the referral rail.
+//
+// Every state change writes routed_lead_events and is mirrored onto the legacy
+// row the match came from (friction_matches.lead_status / matches.status), which
+// is what the admin leads pipeline, the replay harness and the ML labels read.
+//
+// deps shape:
+//   deps.notify.offerToCpa(pool, config, lead, offer)   (dark-gated)
+//   deps.captureError(err, ctx)
+//   deps.leadBilling.charge(dbClient, lead, offer)  (optional) pay-per-lead charge
+//     inside the accept transaction; { ok:false } (402, balance too low) refuses
+//   deps.leadBilling.report(charge)  after the accept commits
+
+'use strict';
+
+// Closed event-type set. Anything not here is a bug, not a new event.
+const EVENT_TYPES = new Set([
+  'created', 'offered', 'offer_email_sent', 'email_suppressed_dark', 'accepted',
+  'declined', 'offer_expired', 'withdrawn', 'exhausted', 'closed', 'expired',
+  'cancelled', 'error',
+]);
+
+// Offer states a CPA can still act on / that still hold a routing slot.
+const LIVE_OFFER_STATUS = 'offered';
+
+function logError(deps, context, err) {
+  console.error(`[leads/service] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[leads/service] captureError failed:', e.message); }
+  }
+}
+
+// Append-only audit trail. Accepts a pool or an in-txn client.
+async function recordEvent(db, leadId, offerId, eventType, actor, detail) {
+  if (!EVENT_TYPES.has(eventType)) {
+    // Loud: an unknown event type means the closed set drifted from the code.
+    console.error(`[leads/service] unknown event_type '${eventType}' - refusing to record silently`);
+  }
+  await db.query(
+    `INSERT INTO routed_lead_events (lead_id, offer_id, event_type, actor, detail) VALUES ($1, $2, $3, $4, $5)`,
+    [leadId, offerId || null, eventType, actor || 'system', detail ? JSON.stringify(detail) : null]
+  );
+}
+
+// --- cascade plan (pure) ------------------------------------------------------
+// Given the lead's current offer counts and its queued matches (rank order),
+// decide which queued matches to offer now and whether the lead closes.
+//   close: null        - still routing
+//          'accepted'  - enough accepts, or some accepts and nothing left to offer
+//          'exhausted' - nobody accepted and the match list ran out
+function planCascade({ slots, maxAccepts, live, accepted, queued }) {
+  if (accepted >= maxAccepts) return { offer: [], close: 'accepted' };
+  const offer = queued.slice(0, Math.max(0, slots - live));
+  if (live + offer.length > 0) return { offer, close: null };
+  return { offer: [], close: accepted > 0 ? 'accepted' : 'exhausted' };
+}
+
+function offerDeadline(from, hours) {
+  return new Date(from.getTime() + hours * 3600 * 1000);
+}
+
+// --- legacy mirror ----------------------------------------------------------
+// friction_matches.lead_status only moves forward: a lead the admin already
+// marked client_contacted/won/lost is never pulled back by routing.
+const FRICTION_SYNC = {
+  offered: { lead_status: 'advisor_notified', advisor_response: null },
+  accepted: { lead_status: 'advisor_accepted', advisor_response: 'accepted' },
+  declined: { lead_status: null, advisor_response: 'declined' },
+  expired: { lead_status: null, advisor_response: 'no_response' },
+};
+// matches.status feeds the replay harness (ENGAGED_MATCH_STATUSES) and the ML
+// training labels (accepted = engaged; declined/expired = resolved negative).
+// cpa_responded_at is stamped on accept only: both readers count any
+// cpa_responded_at as engagement, so a decline must not set it.
+const MATCH_SYNC = {
+  accepted: 'accepted',
+  declined: 'declined',
+  expired: 'expired',
+};
+
+async function syncSourceMatch(db, lead, offer, state, deps) {
+  if (offer.source_match_id == null) return;
+  try {
+    if (lead.source === 'friction') {
+      if (state === 'notified') {
+        await db.query(`UPDATE friction_matches SET professional_notified_at = NOW() WHERE match_id = $1`, [offer.source_match_id]);
+        return;
+      }
+      const s = FRICTION_SYNC[state];
+      if (!s) return;
+      await db.query(
+        `UPDATE friction_matches SET
+            lead_status = CASE WHEN $2::text IS NULL OR lead_status IN ('client_contacted','won','lost') THEN lead_status ELSE $2::text END,
+            advisor_response = COALESCE($3, advisor_response),
+            status_updated_at = NOW()
+          WHERE match_id = $1`,
+        [offer.source_match_id, s.lead_status, s.advisor_response]
+      );
+    } else if (lead.source === 'match_cpas') {
+      const status = MATCH_SYNC[state];
+      if (!status) return;
+      await db.query(
+        `UPDATE matches SET status = $2, cpa_responded_at = CASE WHEN $2 = 'accepted' THEN NOW() ELSE cpa_responded_at END,
+                updated_at = NOW()
+          WHERE id = $1 AND status = 'pending'`,
+        [offer.source_match_id, status]
+      );
+    }
+  } catch (err) {
+    // The routing tables are the record; a failed mirror must not undo a transition.
+    logError(deps, `legacy sync (${lead.source} ${state})`, err);
+  }
+}
+
+// --- create -------------------------------------------------------------------
+// input: { source, sourceRef, summary, candidates: [{ cpa_profile_id, match_score, source_match_id }] }
+// candidates arrive in rank order. The house fallback profile is never offered a
+// lead: it is a placeholder card, not a CPA who can accept.
+async function createLead(pool, config, input, deps) {
+  const ids = input.candidates.map((c) => parseInt(c.cpa_profile_id, 10)).filter(Number.isFinite);
+  const eligible = new Set();
+  if (ids.length) {
+    const { rows } = await pool.query(
+      `SELECT id FROM cpa_profiles WHERE id = ANY($1::int[]) AND COALESCE(fallback_priority, false) = false`,
+      [ids]
+    );
+    for (const r of rows) eligible.add(r.id);
+  }
+
+  const dbClient = await pool.connect();
+  let leadId;
+  try {
+    await dbClient.query('BEGIN');
+    const ins = await dbClient.query(
+      `INSERT INTO routed_leads (source, source_ref, summary, expires_at)
+       VALUES ($1, $2, $3, now() + ($4 || ' days')::interval)
+       ON CONFLICT (source, source_ref) DO NOTHING
+       RETURNING id`,
+      [input.source, String(input.sourceRef), JSON.stringify(input.summary || {}), String(config.TTL_DAYS)]
+    );
+    if (ins.rows.length === 0) {
+      await dbClient.query('ROLLBACK');
+      return { created: false };
+    }
+    leadId = ins.rows[0].id;
+
+    let rank = 0;
+    const seen = new Set();
+    for (const c of input.candidates) {
+      const id = parseInt(c.cpa_profile_id, 10);
+      if (!eligible.has(id) || seen.has(id)) continue;
+      seen.add(id);
+      rank += 1;
+      await dbClient.query(
+        `INSERT INTO routed_lead_offers (lead_id, cpa_profile_id, rank, match_score, source_match_id)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [leadId, id, rank, c.match_score ?? null, c.source_match_id ?? null]
+      );
+    }
+    await recordEvent(dbClient, leadId, null, 'created', 'system', {
+      source: input.source,
+      source_ref: String(input.sourceRef),
+      queued: rank,
+      skipped: input.candidates.length - rank,
+    });
+    await dbClient.query('COMMIT');
+  } catch (err) {
+    await dbClient.query('ROLLBACK').catch((e) => logError(deps, 'rollback failed', e));
+    throw err;
+  } finally {
+    dbClient.release();
+  }
+
+  const routed = await fillOffers(pool, config, leadId, deps, 'initial');
+  return { created: true, leadId, ...routed };
+}
+
+// --- cascade ------------------------------------------------------------------
+// Top the lead back up to OFFER_SLOTS live offers from its queue, or close it.
+// Shared by create, decline and the accept-timeout sweeper. The lead row lock
+// serialises this against a concurrent accept on the same lead.
+async function fillOffers(pool, config, leadId, deps, cause) {
+  const dbClient = await pool.connect();
+  let lead;
+  let offered = [];
+  let plan;
+  try {
+    await dbClient.query('BEGIN');
+    const l = await dbClient.query(`SELECT * FROM routed_leads WHERE id = $1 FOR UPDATE`, [leadId]);
+    lead = l.rows[0];
+    if (!lead || lead.status !== 'routing') {
+      await dbClient.query('COMMIT');
+      return { status: lead ? lead.status : null, offered: [] };
+    }
+
+    const counts = await dbClient.query(
+      `SELECT status, count(*)::int AS n FROM routed_lead_offers WHERE lead_id = $1 GROUP BY status`,
+      [leadId]
+    );
+    const byStatus = Object.fromEntries(counts.rows.map((r) => [r.status, r.n]));
+    const queued = await dbClient.query(
+      `SELECT * FROM routed_lead_offers WHERE lead_id = $1 AND status = 'queued' ORDER BY rank`,
+      [leadId]
+    );
+    plan = planCascade({
+      slots: config.OFFER_SLOTS,
+      maxAccepts: config.MAX_ACCEPTS,
+      live: byStatus[LIVE_OFFER_STATUS] || 0,
+      accepted: byStatus.accepted || 0,
+      queued: queued.rows,
+    });
+
+    const deadline = offerDeadline(new Date(), config.ACCEPT_WINDOW_HOURS);
+    for (const offer of plan.offer) {
+      const upd = await dbClient.query(
+        `UPDATE routed_lead_offers SET status = 'offered', offered_at = now(), accept_deadline_at = $2
+          WHERE id = $1 RETURNING *`,
+        [offer.id, deadline.toISOString()]
+      );
+      offered.push(upd.rows[0]);
+      await recordEvent(dbClient, leadId, offer.id, 'offered', 'system', {
+        cause, rank: offer.rank, cpa_profile_id: offer.cpa_profile_id, accept_deadline_at: deadline.toISOString(),
+      });
+    }
+
+    if (plan.close) {
+      await dbClient.query(
+        `UPDATE routed_leads SET status = $2, accepted_at = CASE WHEN $2 = 'accepted' THEN now() ELSE accepted_at END,
+                updated_at = now()
+          WHERE id = $1`,
+        [leadId, plan.close]
+      );
+      await recordEvent(dbClient, leadId, null, plan.close === 'exhausted' ? 'exhausted' : 'closed', 'system', {
+        cause, status: plan.close, accepted: byStatus.accepted || 0,
+      });
+    } else if (plan.offer.length) {
+      await dbClient.query(`UPDATE routed_leads SET updated_at = now() WHERE id = $1`, [leadId]);
+    }
+    await dbClient.query('COMMIT');
+  } catch (err) {
+    await dbClient.query('ROLLBACK').catch((e) => logError(deps, 'rollback failed', e));
+    throw err;
+  } finally {
+    dbClient.release();
+  }
+
+  // Mirror + notify after commit: neither may hold the lead lock while it talks
+  // to another table or the mail provider.
+  for (const offer of offered) {
+    await syncSourceMatch(pool, lead, offer, 'offered', deps);
+    if (deps && deps.notify) await deps.notify.offerToCpa(pool, config, lead, offer);
+  }
+  return { status: plan.close || 'routing', offered: offered.map((o) => o.id) };
+}
+
+// --- CPA actions ------------------------------------------------------------
+// Both return { ok:true, ... } or { ok:false, code, message } for the route.
+async function lockOffer(dbClient, offerId) {
+  const o = await dbClient.query(`SELECT lead_id FROM routed_lead_offers WHERE id = $1`, [offerId]);
+  if (o.rows.length === 0) return null;
+  const lead = await dbClient.query(`SELECT * FROM routed_leads WHERE id = $1 FOR UPDATE`, [o.rows[0].lead_id]);
+  const offer = await dbClient.query(`SELECT * FROM routed_lead_offers WHERE id = $1 FOR UPDATE`, [offerId]);
+  return { lead: lead.rows[0], offer: offer.rows[0] };
+}
+
+function checkActionable(locked, cpaProfileId) {
+  if (!locked) return { ok: false, code: 404, message: 'Lead not found.' };
+  const { lead, offer } = locked;
+  if (offer.cpa_profile_id !== cpaProfileId) return { ok: false, code: 403, message: 'This lead is not offered to you.' };
+  if (offer.status !== LIVE_OFFER_STATUS) return { ok: false, code: 409, message: `This lead is already ${offer.status}.` };
+  if (lead.status !== 'routing') return { ok: false, code: 409, message: `This lead is already ${lead.status}.` };
+  if (offer.accept_deadline_at && new Date(offer.accept_deadline_at).getTime() <= Date.now()) {
+    return { ok: false, code: 409, message: 'The acceptance window for this lead has closed.' };
+  }
+  return null;
+}
+
+async function acceptOffer(pool, config, offerId, cpaProfileId, deps) {
+  const dbClient = await pool.connect();
+  let locked;
+  let withdrawn = [];
+  let charge = null;
+  try {
+    await dbClient.query('BEGIN');
+    locked = await lockOffer(dbClient, offerId);
+    const refused = checkActionable(locked, cpaProfileId);
+    if (refused) {
+      await dbClient.query('ROLLBACK');
+      return refused;
+    }
+    const { lead } = locked;
+    if (deps.leadBilling) {
+      const billed = await deps.leadBilling.charge(dbClient, lead, locked.offer);
+      if (!billed.ok) {
+        await dbClient.query('ROLLBACK');
+        return billed;
+      }
+      charge = billed.charge;
+    }
+
+    await dbClient.query(
+      `UPDATE routed_lead_offers SET status = 'accepted', responded_at = now() WHERE id = $1`, [offerId]
+    );
+    await recordEvent(dbClient, lead.id, offerId, 'accepted', `cpa:${cpaProfileId}`, null);
+
+    const acc = await dbClient.query(
+      `SELECT count(*)::int AS n FROM routed_lead_offers WHERE lead_id = $1 AND status = 'accepted'`, [lead.id]
+    );
+    if (acc.rows[0].n >= config.MAX_ACCEPTS) {
+      await dbClient.query(
+        `UPDATE routed_leads SET status = 'accepted', accepted_at = now(), updated_at = now() WHERE id = $1`, [lead.id]
+      );
+      const w = await dbClient.query(
+        `UPDATE routed_lead_offers SET status = 'withdrawn', responded_at = now()
+          WHERE lead_id = $1 AND status IN ('offered','queued') RETURNING *`,
+        [lead.id]
+      );
+      withdrawn = w.rows.filter((o) => o.offered_at);
+      for (const o of withdrawn) {
+        await recordEvent(dbClient, lead.id, o.id, 'withdrawn', 'system', { cause: 'accepted_elsewhere' });
+      }
+      await recordEvent(dbClient, lead.id, null, 'closed', 'system', { cause: 'accepted', status: 'accepted', accepted: acc.rows[0].n });
+    } else {
+      await dbClient.query(`UPDATE routed_leads SET updated_at = now() WHERE id = $1`, [lead.id]);
+    }
+    await dbClient.query('COMMIT');
+  } catch (err) {
+    await dbClient.query('ROLLBACK').catch((e) => logError(deps, 'rollback failed', e));
+    throw err;
+  } finally {
+    dbClient.release();
+  }
+
+  await syncSourceMatch(pool, locked.lead, locked.offer, 'accepted', deps);
+  if (charge) await deps.leadBilling.report(charge);
+  return {
+    ok: true,
+    lead_id: locked.lead.id,
+    withdrawn: withdrawn.map((o) => o.id),
+    charged_cents: charge ? -charge.amount_cents : null,
+  };
+}
+
+async function declineOffer(pool, config, offerId, cpaProfileId, reason, deps) {
+  const dbClient = await pool.connect();
+  let locked;
+  try {
+    await dbClient.query('BEGIN');
+    locked = await lockOffer(dbClient, offerId);
+    const refused = checkActionable(locked, cpaProfileId);
+    if (refused) {
+      await dbClient.query('ROLLBACK');
+      return refused;
+    }
+    await dbClient.query(
+      `UPDATE routed_lead_offers SET status = 'declined', responded_at = now(), decline_reason = $2 WHERE id = $1`,
+      [offerId, reason ? String(reason).slice(0, 500) : null]
+    );
+    await recordEvent(dbClient, locked.lead.id, offerId, 'declined', `cpa:${cpaProfileId}`, { reason: reason || null });
+    await dbClient.query('COMMIT');
+  } catch (err) {
+    await dbClient.query('ROLLBACK').catch((e) => logError(deps, 'rollback failed', e));
+    throw err;
+  } finally {
+    dbClient.release();
+  }
+
+  await syncSourceMatch(pool, locked.lead, locked.offer, 'declined', deps);
+  const routed = await fillOffers(pool, config, locked.lead.id, deps, 'declined');
+  return { ok: true, lead_id: locked.lead.id, lead_status: routed.status };
+}
+
+// --- sweeper passes -----------------------------------------------------------
+// Offers past their acceptance deadline -> expired, then cascade the lead.
+async function expireDueOffers(pool, config, deps) {
+  const due = await pool.query(
+    `SELECT o.*, l.source FROM routed_lead_offers o JOIN routed_leads l ON l.id = o.lead_id
+      WHERE o.status = 'offered' AND o.accept_deadline_at <= now()
+      ORDER BY o.accept_deadline_at LIMIT 50`
+  );
+  let expired = 0;
+  for (const offer of due.rows) {
+    const upd = await pool.query(
+      `UPDATE routed_lead_offers SET status = 'expired', responded_at = now()
+        WHERE id = $1 AND status = 'offered' RETURNING id`,
+      [offer.id]
+    );
+    if (upd.rows.length === 0) continue; // accepted/declined between the read and now
+    expired += 1;
+    await recordEvent(pool, offer.lead_id, offer.id, 'offer_expired', 'system', {
+      accept_deadline_at: offer.accept_deadline_at, cpa_profile_id: offer.cpa_profile_id,
+    });
+    await syncSourceMatch(pool, { source: offer.source }, offer, 'expired', deps);
+    await fillOffers(pool, config, offer.lead_id, deps, 'accept_timeout');
+  }
+  return { expired };
+}
+
+// Close a routing lead and withdraw whatever is still open on it. Used by the
+// TTL pass and the admin cancel.
+async function closeLead(pool, leadId, status, actor, detail, deps) {
+  const dbClient = await pool.connect();
+  try {
+    await dbClient.query('BEGIN');
+    const l = await dbClient.query(
+      `UPDATE routed_leads SET status = $2, updated_at = now() WHERE id = $1 AND status = 'routing' RETURNING id`,
+      [leadId, status]
+    );
+    if (l.rows.length === 0) {
+      await dbClient.query('ROLLBACK');
+      return false;
+    }
+    const w = await dbClient.query(
+      `UPDATE routed_lead_offers SET status = 'withdrawn', responded_at = now()
+        WHERE lead_id = $1 AND status IN ('offered','queued') RETURNING id, offered_at`,
+      [leadId]
+    );
+    for (const o of w.rows.filter((r) => r.offered_at)) {
+      await recordEvent(dbClient, leadId, o.id, 'withdrawn', actor, { cause: status });
+    }
+    await recordEvent(dbClient, leadId, null, status, actor, detail);
+    await dbClient.query('COMMIT');
+    return true;
+  } catch (err) {
+    await dbClient.query('ROLLBACK').catch((e) => logError(deps, 'rollback failed', e));
+    throw err;
+  } finally {
+    dbClient.release();
+  }
+}
+
+async function expireStaleLeads(pool, config, deps) {
+  const { rows } = await pool.query(
+    `SELECT id FROM routed_leads WHERE status = 'routing' AND expires_at <= now() ORDER BY id LIMIT 50`
+  );
+  let expired = 0;
+  for (const r of rows) {
+    if (await closeLead(pool, r.id, 'expired', 'system', { cause: 'ttl', ttl_days: config.TTL_DAYS }, deps)) expired += 1;
+  }
+  return { expired };
+}
+
+async function cancelLead(pool, config, leadId, actor, reason, deps) {
+  const closed = await closeLead(pool, leadId, 'cancelled', actor, { reason: reason || null }, deps);
+  if (!closed) return { ok: false, code: 409, message: 'Only a lead that is still routing can be cancelled.' };
+  return { ok: true };
+}
+
+// The SME withdrew (client portal). No routed lead, or one already closed, is
+// not an error: there is nothing left to stop.
+async function cancelLeadForSource(pool, config, source, sourceRef, actor, reason, deps) {
+  const { rows } = await pool.query(
+    `SELECT id FROM routed_leads WHERE source = $1 AND source_ref = $2`, [source, String(sourceRef)]
+  );
+  if (rows.length === 0) return { ok: true, cancelled: false };
+  const closed = await closeLead(pool, rows[0].id, 'cancelled', actor, { reason: reason || null }, deps);
+  return { ok: true, cancelled: closed };
+}
+
+// --- reads ------------------------------------------------------------------
+// Contact details for a lead, read from the row it was created from. Only
+// handed to a CPA whose offer on the lead is accepted.
+async function loadContact(pool, lead) {
+  if (lead.source === 'match_cpas') {
+    const { rows } = await pool.query(
+      `SELECT contact_name, contact_email, contact_phone FROM client_profiles WHERE id = $1`,
+      [parseInt(lead.source_ref, 10)]
+    );
+    const r = rows[0];
+    return r ? { name: r.contact_name || null, email: r.contact_email || null, phone: r.contact_phone || null } : null;
+  }
+  const { rows } = await pool.query(
+    `SELECT contact_info FROM sme_friction_requests WHERE request_id = $1`, [lead.source_ref]
+  );
+  if (!rows[0]) return null;
+  const ci = typeof rows[0].contact_info === 'string' ? JSON.parse(rows[0].contact_info || '{}') : (rows[0].contact_info || {});
+  return { name: ci.name || null, email: ci.email || null, phone: ci.phone || null };
+}
+
+async function listOffersForCpa(pool, cpaProfileId, status) {
+  const params = [cpaProfileId];
+  let where = `o.cpa_profile_id = $1 AND o.status <> 'queued'`;
+  if (status) {
+    params.push(status);
+    where += ` AND o.status = $2`;
+  }
+  const { rows } = await pool.query(
+    `SELECT o.id AS offer_id, o.status, o.rank, o.match_score, o.offered_at, o.accept_deadline_at,
+            o.responded_at, l.id AS lead_id, l.source, l.source_ref, l.status AS lead_status,
+            l.summary, l.created_at,
+            CASE WHEN l.source = 'match_cpas' THEN m.match_factors->'explanation' END AS explanation
+       FROM routed_lead_offers o
+       JOIN routed_leads l ON l.id = o.lead_id
+       LEFT JOIN matches m ON l.source = 'match_cpas' AND m.id = o.source_match_id
+      WHERE ${where}
+      ORDER BY o.offered_at DESC NULLS LAST
+      LIMIT 100`,
+    params
+  );
+  return rows;
+}
+
+async function listLeads(pool, { status, source, limit }) {
+  const params = [];
+  const where = [];
+  if (status) { params.push(status); where.push(`l.status = $${params.length}`); }
+  if (source) { params.push(source); where.push(`l.source = $${params.length}`); }
+  params.push(limit);
+  const { rows } = await pool.query(
+    `SELECT l.*,
+            count(o.id) FILTER (WHERE o.status = 'offered')::int AS live_offers,
+            count(o.id) FILTER (WHERE o.status = 'queued')::int AS queued_offers,
+            count(o.id) FILTER (WHERE o.status = 'declined')::int AS declined_offers,
+            count(o.id) FILTER (WHERE o.status = 'expired')::int AS expired_offers
+       FROM routed_leads l
+       LEFT JOIN routed_lead_offers o ON o.lead_id = l.id
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      GROUP BY l.id
+      ORDER BY l.created_at DESC
+      LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+async function getLead(pool, leadId) {
+  const l = await pool.query(`SELECT * FROM routed_leads WHERE id = $1`, [leadId]);
+  if (l.rows.length === 0) return null;
+  const offers = await pool.query(
+    `SELECT o.*, cp.first_name, cp.last_name, cp.firm_name, cp.email
+       FROM routed_lead_offers o LEFT JOIN cpa_profiles cp ON cp.id = o.cpa_profile_id
+      WHERE o.lead_id = $1 ORDER BY o.rank`,
+    [leadId]
+  );
+  const events = await pool.query(
+    `SELECT * FROM routed_lead_events WHERE lead_id = $1 ORDER BY created_at, id`, [leadId]
+  );
+  return { lead: l.rows[0], offers: offers.rows, events: events.rows };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordEvent,
+  planCascade,
+  offerDeadline,
+  syncSourceMatch,
+  createLead,
+  fillOffers,
+  acceptOffer,
+  declineOffer,
+  expireDueOffers,
+  expireStaleLeads,
+  cancelLead,
+  cancelLeadForSource,
+  loadContact,
+  listOffersForCpa,
+  listLeads,
+  getLead,
+};
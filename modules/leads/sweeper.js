@@ -0,0 +1,37 @@
+// modules/leads/sweeper.js
+// The leads_sweep job (every 15 minutes, modules/jobs): expire offers past
+// their acceptance deadline (cascading each lead to its next match), then
+// expire leads past their TTL.
+
+'use strict';
+
+const SWEEP_CRON = '*/15 * * * *';
+
+async function sweep(pool, config, service, deps) {
+  const result = { offers_expired: 0, leads_expired: 0 };
+
+  // (a) offers past accept_deadline_at -> expired + cascade.
+  try {
+    const r = await service.expireDueOffers(pool, config, deps);
+    result.offers_expired = r.expired || 0;
+    if (r.expired) console.log(`[leads/sweeper] ${r.expired} offer(s) timed out and cascaded`);
+  } catch (err) {
+    console.error('[leads/sweeper] accept-timeout pass error:', err.message);
+    if (typeof deps.captureError === 'function') { try { deps.captureError(err, { context: 'leads sweeper accept' }); } catch (e) { console.error('[leads/sweeper] captureError failed:', e.message); } }
+    result.accept_error = err.message;
+  }
+
+  // (b) leads still routing past expires_at -> expired, open offers withdrawn.
+  try {
+    const r = await service.expireStaleLeads(pool, config, deps);
+    result.leads_expired = r.expired || 0;
+    if (r.expired) console.log(`[leads/sweeper] ${r.expired} lead(s) expired (TTL)`);
+  } catch (err) {
+    console.error('[leads/sweeper] expiry pass error:', err.message);
+    if (typeof deps.captureError === 'function') { try { deps.captureError(err, { context: 'leads sweeper expiry' }); } catch (e) { console.error('[leads/sweeper] captureError failed:', e.message); } }
+    result.expiry_error = err.message;
+  }
+  return result;
+}
+
+module.exports = { SWEEP_CRON, sweep };
@@ -0,0 +1,20 @@
+// modules/mail-events/config.js
+// Tunables for the delivery-event store, its projection and rebuilds.
+
+'use strict';
+
+module.exports = {
+  // An event still 'processing' after this long is taken to have died with
+  // its process; the provider's redelivery may claim it again.
+  STALE_CLAIM_MINUTES: 10,
+  LIST_LIMIT: 200,
+
+  // A click this soon after delivery is a security scanner, not the
+  // recipient. Same rule as OutreachEngine.handleDeliveryEvent.
+  BOT_CLICK_SECONDS: 60,
+
+  // A rebuild refuses a scope with more emails than this: narrow the
+  // campaign or the date range.
+  REBUILD_MAX_EMAILS: 50000,
+  RUNS_LIMIT: 50,
+};
@@ -0,0 +1,37 @@
+// modules/mail-events/index.js
+// Composition root for the delivery-event store. server.js touchpoints:
+//
+//   const mailEvents = require('./modules/mail-events')({ pool, project: recordDeliveryEvent, captureError });
+//   app.use(mailEvents.adminRouter);   // /api/admin/mail-events/* — admin umbrella gates by prefix
+//   mailEvents.ingest({ provider, eventId, payload, event })   // every delivery webhook
+//   await mailEvents.ensureSchema();   // boot (mail_webhook_events, mail_event_rebuilds)
+//
+// `project` applies one normalized event to outreach_emails and the campaign
+// counters. The outreach pollers record what they observe through ./store.js
+// directly. scripts/mail-events-rebuild.js runs rebuilds from the CLI.
+
+'use strict';
+
+const config = require('./config');
+const store = require('./store');
+const rebuild = require('./rebuild');
+const schema = require('./schema');
+const buildAdminRoutes = require('./routes.admin');
+
+function createMailEventsModule(injected) {
+  const { pool, project, captureError } = injected || {};
+  if (!pool) throw new Error('[mail-events] pool is required');
+  if (typeof project !== 'function') throw new Error('[mail-events] project is required');
+
+  const deps = { project, captureError };
+
+  return {
+    config,
+    adminRouter: buildAdminRoutes({ pool, config, store, rebuild, deps }),
+    ingest: (delivery) => store.ingest(pool, config, delivery, deps),
+    resendEventId: store.resendEventId,
+    ensureSchema: () => schema.ensureMailEventsSchema(pool),
+  };
+}
+
+module.exports = createMailEventsModule;
@@ -0,0 +1,270 @@
+// modules/mail-events/rebuild.js
+// Rebuilds outreach_emails statuses and outreach_campaigns counters from the
+// event store, for one campaign, a sent_at range, or both.
+//
+// Each email in scope starts again at 'sent' and its stored events are
+// folded in order of occurrence with the live rules
+// (OutreachEngine._setStatusAndTimestamp): an event moves the status forward
+// only (a bounce or complaint always applies) and sets its timestamp once; a
+// repeat open or click moves that timestamp to the latest. A click within
+// BOT_CLICK_SECONDS of delivery is flagged is_bot_click unless the recipient
+// has since visited (real_visit_at). Rebuilt timestamps are the provider's
+// event times, not the time the webhook arrived.
+//
+// Left alone, and reported:
+//   not_sent         status outside sent..complained (queued, failed, ...).
+//   predates_store   sent before the store's first webhook from its
+//                    provider; the store cannot know its full history.
+//
+// Counters are recomputed for every campaign with an email in scope, from
+// all of that campaign's emails: the number that reached each status,
+// clicks flagged as bot clicks excluded. Side effects of the live path
+// (auto-unsubscribes, CRM transitions, throttle deferrals) are not redone.
+//
+// Everything runs in one transaction; a dry run does the same work and rolls
+// back, so it reports exactly what a real run would change. Every run is
+// recorded in mail_event_rebuilds.
+
+'use strict';
+
+const STATUS_ORDER = ['queued', 'sent', 'delivered', 'opened', 'clicked', 'bounced', 'complained'];
+const STATUS_TYPES = ['delivered', 'opened', 'clicked', 'bounced', 'complained'];
+const REBUILT = ['sent', ...STATUS_TYPES];
+const CHANGES_SHOWN = 200;
+
+function tsCol(type) { return `${type}_at`; }
+
+function time(v) {
+  if (!v) return null;
+  const t = new Date(v).getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+// The status, timestamps and bot flag an email's events add up to.
+// events: [{ type, source, occurred_at, received_at }], any order.
+function foldEmail(email, events, config) {
+  const state = { status: 'sent', is_bot_click: false };
+  for (const type of STATUS_TYPES) state[tsCol(type)] = null;
+
+  const ordered = events
+    .filter((e) => STATUS_TYPES.includes(e.type))
+    .map((e) => ({ ...e, at: new Date(e.occurred_at || e.received_at) }))
+    .sort((a, b) => a.at - b.at || (a.id || 0) - (b.id || 0));
+
+  for (const e of ordered) {
+    const col = tsCol(e.type);
+    const currentIdx = STATUS_ORDER.indexOf(state.status);
+    const newIdx = STATUS_ORDER.indexOf(e.type);
+    const delivered = state.delivered_at;
+    const botClick = e.type === 'clicked' && delivered !== null
+      && (e.at.getTime() - delivered.getTime()) / 1000 < config.BOT_CLICK_SECONDS;
+
+    if (e.type === 'bounced' || e.type === 'complained' || newIdx > currentIdx) {
+      state.status = e.type;
+      if (!state[col]) state[col] = e.at;
+      if (botClick) state.is_bot_click = true;
+    } else if (newIdx === currentIdx && (e.type === 'opened' || e.type === 'clicked')) {
+      // Only webhooks bump: a poll observation repeats the last event, it
+      // is not a new one.
+      if (e.source !== 'poll') state[col] = e.at;
+      if (botClick) state.is_bot_click = true;
+    }
+  }
+  if (email.real_visit_at) state.is_bot_click = false;
+  return state;
+}
+
+function differs(email, state) {
+  if (email.status !== state.status) return true;
+  if (Boolean(email.is_bot_click) !== state.is_bot_click) return true;
+  return STATUS_TYPES.some((type) => time(email[tsCol(type)]) !== time(state[tsCol(type)]));
+}
+
+// Why an email is left out of a rebuild, or null.
+function skipReason(email, storeStart) {
+  if (!REBUILT.includes(email.status)) return 'not_sent';
+  const start = storeStart[email.provider];
+  if (!start || !email.sent_at || new Date(email.sent_at) < new Date(start)) return 'predates_store';
+  return null;
+}
+
+function parseScope({ campaignId, from, to }) {
+  const scope = { campaignId: null, from: null, to: null };
+  if (campaignId !== undefined && campaignId !== null && campaignId !== '') {
+    scope.campaignId = parseInt(campaignId, 10);
+    if (!Number.isInteger(scope.campaignId) || scope.campaignId < 1) return { error: 'campaign_id must be a campaign id' };
+  }
+  for (const key of ['from', 'to']) {
+    const v = key === 'from' ? from : to;
+    if (!v) continue;
+    const d = new Date(v);
+    if (Number.isNaN(d.getTime())) return { error: `${key} must be a date` };
+    scope[key] = d;
+  }
+  if (!scope.campaignId && !scope.from && !scope.to) return { error: 'campaign_id or a from/to range is required' };
+  if (scope.from && scope.to && scope.from >= scope.to) return { error: 'from must be before to' };
+  return { scope };
+}
+
+const COUNTERS_SQL = `
+  SELECT campaign_id,
+         COUNT(*) FILTER (WHERE delivered_at IS NOT NULL OR status IN ('delivered','opened','clicked'))::int AS total_delivered,
+         COUNT(*) FILTER (WHERE opened_at IS NOT NULL OR status = 'opened')::int AS total_opened,
+         COUNT(*) FILTER (WHERE (clicked_at IS NOT NULL OR status = 'clicked') AND NOT COALESCE(is_bot_click, false))::int AS total_clicked,
+         COUNT(*) FILTER (WHERE bounced_at IS NOT NULL OR status = 'bounced')::int AS total_bounced,
+         COUNT(*) FILTER (WHERE complained_at IS NOT NULL OR status = 'complained')::int AS total_complained
+    FROM outreach_emails
+   WHERE campaign_id = ANY($1)
+   GROUP BY campaign_id`;
+
+const COUNTER_COLS = ['total_delivered', 'total_opened', 'total_clicked', 'total_bounced', 'total_complained'];
+
+async function run(client, config, scope) {
+  const emails = await client.query(
+    `SELECT id, campaign_id, resend_email_id, COALESCE(email_provider, 'resend') AS provider, status, sent_at,
+            delivered_at, opened_at, clicked_at, bounced_at, complained_at, is_bot_click, real_visit_at
+       FROM outreach_emails
+      WHERE resend_email_id IS NOT NULL
+        AND ($1::int IS NULL OR campaign_id = $1)
+        AND ($2::timestamptz IS NULL OR sent_at >= $2)
+        AND ($3::timestamptz IS NULL OR sent_at < $3)
+      ORDER BY id
+      LIMIT $4
+      FOR UPDATE`,
+    [scope.campaignId, scope.from, scope.to, config.REBUILD_MAX_EMAILS + 1]
+  );
+  if (emails.rows.length > config.REBUILD_MAX_EMAILS) {
+    return { ok: false, code: 400, message: `More than ${config.REBUILD_MAX_EMAILS} emails in scope; narrow the campaign or range.` };
+  }
+
+  const starts = await client.query(
+    `SELECT provider, MIN(received_at) AS first_at FROM mail_webhook_events WHERE source = 'webhook' GROUP BY provider`
+  );
+  const storeStart = Object.fromEntries(starts.rows.map((r) => [r.provider, r.first_at]));
+
+  const inScope = [];
+  const skipped = { not_sent: 0, predates_store: 0 };
+  for (const email of emails.rows) {
+    const reason = skipReason(email, storeStart);
+    if (reason) skipped[reason] += 1;
+    else inScope.push(email);
+  }
+
+  const byMessage = new Map();
+  if (inScope.length) {
+    const events = await client.query(
+      `SELECT id, provider, message_id, type, source, occurred_at, received_at
+         FROM mail_webhook_events
+        WHERE message_id = ANY($1) AND type = ANY($2)`,
+      [inScope.map((e) => e.resend_email_id), STATUS_TYPES]
+    );
+    for (const e of events.rows) {
+      const key = `${e.provider}:${e.message_id}`;
+      if (!byMessage.has(key)) byMessage.set(key, []);
+      byMessage.get(key).push(e);
+    }
+  }
+
+  const changes = [];
+  for (const email of inScope) {
+    const state = foldEmail(email, byMessage.get(`${email.provider}:${email.resend_email_id}`) || [], config);
+    if (!differs(email, state)) continue;
+    await client.query(
+      `UPDATE outreach_emails
+          SET status = $2, delivered_at = $3, opened_at = $4, clicked_at = $5, bounced_at = $6, complained_at = $7,
+              is_bot_click = $8, updated_at = NOW()
+        WHERE id = $1`,
+      [email.id, state.status, state.delivered_at, state.opened_at, state.clicked_at, state.bounced_at,
+       state.complained_at, state.is_bot_click]
+    );
+    changes.push({ id: email.id, campaign_id: email.campaign_id, from: email.status, to: state.status });
+  }
+
+  const campaignIds = [...new Set(emails.rows.map((e) => e.campaign_id).filter((id) => id !== null))];
+  const campaigns = [];
+  if (campaignIds.length) {
+    const before = await client.query(
+      `SELECT id, ${COUNTER_COLS.join(', ')} FROM outreach_campaigns WHERE id = ANY($1)`,
+      [campaignIds]
+    );
+    const after = await client.query(
+      `UPDATE outreach_campaigns c
+          SET ${COUNTER_COLS.map((col) => `${col} = s.${col}`).join(', ')}, updated_at = NOW()
+         FROM (${COUNTERS_SQL}) s
+        WHERE c.id = s.campaign_id
+        RETURNING c.id, ${COUNTER_COLS.map((col) => `c.${col}`).join(', ')}`,
+      [campaignIds]
+    );
+    const pick = (row) => Object.fromEntries(COUNTER_COLS.map((col) => [col, row ? Number(row[col] || 0) : null]));
+    for (const row of after.rows) {
+      campaigns.push({ campaign_id: row.id, before: pick(before.rows.find((b) => b.id === row.id)), after: pick(row) });
+    }
+  }
+
+  return {
+    ok: true,
+    emails_checked: emails.rows.length,
+    emails_changed: changes.length,
+    emails_skipped: skipped.not_sent + skipped.predates_store,
+    skipped,
+    campaigns,
+    changes: changes.slice(0, CHANGES_SHOWN),
+  };
+}
+
+// opts: { campaignId, from, to, dryRun, actor }
+async function rebuild(pool, config, opts, deps = {}) {
+  const parsed = parseScope(opts || {});
+  if (parsed.error) return { ok: false, code: 400, message: parsed.error };
+  const { scope } = parsed;
+  const dryRun = Boolean(opts.dryRun);
+
+  const started = await pool.query(
+    `INSERT INTO mail_event_rebuilds (actor, campaign_id, from_at, to_at, dry_run) VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [opts.actor || 'unknown', scope.campaignId, scope.from, scope.to, dryRun]
+  );
+  const runId = started.rows[0].id;
+
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await run(client, config, scope);
+    await client.query(result.ok && !dryRun ? 'COMMIT' : 'ROLLBACK');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[mail-events/rebuild] failed:', err.message);
+    if (typeof deps.captureError === 'function') {
+      try { deps.captureError(err, { context: `rebuild ${runId}` }); } catch (e) { console.error('[mail-events/rebuild] captureError failed:', e.message); }
+    }
+    result = { ok: false, code: 500, message: 'Rebuild failed', error: err.message };
+  } finally {
+    client.release();
+  }
+
+  await pool.query(
+    `UPDATE mail_event_rebuilds
+        SET status = $2, emails_checked = $3, emails_changed = $4, emails_skipped = $5, campaigns = $6,
+            error = $7, completed_at = now()
+      WHERE id = $1`,
+    [runId, result.ok ? 'completed' : 'failed', result.emails_checked ?? null, result.emails_changed ?? null,
+     result.emails_skipped ?? null, result.campaigns ? JSON.stringify(result.campaigns) : null,
+     result.ok ? null : String(result.error || result.message).slice(0, 2000)]
+  );
+  console.log(`[mail-events] ${opts.actor} rebuild ${runId}${dryRun ? ' (dry run)' : ''}: `
+    + (result.ok ? `${result.emails_checked} checked, ${result.emails_changed} changed, ${result.emails_skipped} skipped` : result.message));
+
+  const reply = { ...result, run_id: runId, dry_run: dryRun };
+  delete reply.error;
+  return reply;
+}
+
+async function listRuns(pool, config) {
+  const { rows } = await pool.query(
+    `SELECT * FROM mail_event_rebuilds ORDER BY started_at DESC LIMIT $1`,
+    [config.RUNS_LIMIT]
+  );
+  return { ok: true, runs: rows };
+}
+
+module.exports = { foldEmail, skipReason, parseScope, rebuild, listRuns };
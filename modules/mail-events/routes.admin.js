@@ -0,0 +1,82 @@
+// modules/mail-events/routes.admin.js
+// Stored delivery events, replay and rebuilds. Paths live under /api/admin/*
+// and inherit the `app.use('/api/admin', authenticateToken, requireAdmin)`
+// umbrella in server.js.
+
+'use strict';
+
+const express = require('express');
+
+function buildAdminRoutes({ pool, config, store, rebuild, deps }) {
+  const router = express.Router();
+
+  // GET /api/admin/mail-events?status=failed&message_id=&provider=
+  router.get('/api/admin/mail-events', async (req, res) => {
+    try {
+      const result = await store.listEvents(pool, config, {
+        status: req.query.status, messageId: req.query.message_id, provider: req.query.provider,
+      });
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[mail-events/admin] list error:', err.message);
+      return res.status(500).json({ error: 'list failed' });
+    }
+  });
+
+  // GET /api/admin/mail-events/rebuilds - recorded rebuild runs, newest first.
+  router.get('/api/admin/mail-events/rebuilds', async (req, res) => {
+    try {
+      return res.json(await rebuild.listRuns(pool, config));
+    } catch (err) {
+      console.error('[mail-events/admin] rebuilds error:', err.message);
+      return res.status(500).json({ error: 'rebuilds failed' });
+    }
+  });
+
+  // POST /api/admin/mail-events/rebuild
+  //   { campaign_id?, from?, to?, dry_run?: true } - one of campaign_id / from / to.
+  router.post('/api/admin/mail-events/rebuild', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const result = await rebuild.rebuild(pool, config, {
+        campaignId: body.campaign_id, from: body.from, to: body.to, dryRun: body.dry_run === true, actor,
+      }, deps);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message, run_id: result.run_id });
+      return res.json(result);
+    } catch (err) {
+      console.error('[mail-events/admin] rebuild error:', err.message);
+      return res.status(500).json({ error: 'rebuild failed' });
+    }
+  });
+
+  // GET /api/admin/mail-events/:id - one event with its raw payload.
+  router.get('/api/admin/mail-events/:id', async (req, res) => {
+    try {
+      const result = await store.getEvent(pool, req.params.id);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[mail-events/admin] event error:', err.message);
+      return res.status(500).json({ error: 'event failed' });
+    }
+  });
+
+  // POST /api/admin/mail-events/:id/replay - project a stored event again.
+  router.post('/api/admin/mail-events/:id/replay', async (req, res) => {
+    try {
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const result = await store.replay(pool, config, req.params.id, { actor }, deps);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[mail-events/admin] replay error:', err.message);
+      return res.status(500).json({ error: 'replay failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildAdminRoutes;
@@ -0,0 +1,63 @@
+// modules/mail-events/schema.js
+// Boot-time creation of the delivery-event store. New, empty tables only.
+//
+// mail_webhook_events   every delivery webhook received, raw payload and
+//                       normalized fields, one row per provider event id
+//                       (Resend: the svix-id header; SES: the SNS
+//                       MessageId). The unique id is what makes delivery
+//                       idempotent. Poller observations of Resend's
+//                       last_event land here too, as source 'poll'.
+// mail_event_rebuilds   one row per rebuild of outreach_emails statuses and
+//                       outreach_campaigns counters from the store.
+
+'use strict';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS mail_webhook_events (
+  id                  BIGSERIAL PRIMARY KEY,
+  provider            TEXT NOT NULL,
+  event_id            TEXT NOT NULL,
+  source              TEXT NOT NULL DEFAULT 'webhook' CHECK (source IN ('webhook','poll')),
+  event_type          TEXT,
+  type                TEXT,
+  message_id          TEXT,
+  recipient_email     TEXT,
+  occurred_at         TIMESTAMPTZ,
+  detail              JSONB,
+  payload             JSONB,
+  status              TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing','projected','skipped','failed')),
+  attempts            INTEGER NOT NULL DEFAULT 1,
+  error               TEXT,
+  received_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  claimed_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  projected_at        TIMESTAMPTZ,
+  UNIQUE (provider, event_id)
+);
+CREATE INDEX IF NOT EXISTS idx_mail_webhook_events_message ON mail_webhook_events (message_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_mail_webhook_events_status ON mail_webhook_events (status, received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mail_webhook_events_recipient ON mail_webhook_events (recipient_email);
+
+CREATE TABLE IF NOT EXISTS mail_event_rebuilds (
+  id                      BIGSERIAL PRIMARY KEY,
+  actor                   TEXT NOT NULL,
+  campaign_id             INTEGER,
+  from_at                 TIMESTAMPTZ,
+  to_at                   TIMESTAMPTZ,
+  dry_run                 BOOLEAN NOT NULL DEFAULT false,
+  status                  TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running','completed','failed')),
+  emails_checked          INTEGER,
+  emails_changed          INTEGER,
+  emails_skipped          INTEGER,
+  campaigns               JSONB,
+  error                   TEXT,
+  started_at              TIMESTAMPTZ NOT NULL DEFAULT now(),
+  completed_at            TIMESTAMPTZ
+);
+`;
+
+async function ensureMailEventsSchema(pool) {
+  await pool.query(DDL);
+  console.log('[mail-events] module schema ensured');
+}
+
+module.exports = { ensureMailEventsSchema, DDL };
@@ -0,0 +1,241 @@
+// modules/mail-events/store.js
+// The delivery-event store. Every provider webhook is written to
+// mail_webhook_events before anything acts on it, then projected onto
+// outreach_emails / outreach_campaigns by the injected `project`
+// (server.js recordDeliveryEvent -> OutreachEngine.handleDeliveryEvent).
+//
+//   dedupe     the provider's event id is claimed once. A redelivered event
+//              that was projected (or had nothing to project) is
+//              acknowledged and skipped; a failed one, or one whose claim
+//              went stale, is projected again.
+//   replay     an admin can project a stored event again (after a fix).
+//   observed   the outreach pollers record the status changes they apply
+//              from Resend's last_event, so a rebuild (rebuild.js) sees
+//              every change the live tables saw.
+//
+// The senders and pollers read this file directly; the module owns the
+// tables, the admin API and rebuilds.
+
+'use strict';
+
+const crypto = require('crypto');
+
+const STATUSES = ['processing', 'projected', 'skipped', 'failed'];
+const PROVIDERS = ['resend', 'ses'];
+
+function logError(deps, context, err) {
+  console.error(`[mail-events/store] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[mail-events/store] captureError failed:', e.message); }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------
+
+// Resend's event id is the svix-id header, the same on every redelivery.
+// Without it (signing not configured yet) the body hash stands in: an exact
+// redelivery still dedupes.
+function resendEventId(headers, rawBody) {
+  const svixId = headers && headers['svix-id'];
+  if (svixId) return String(svixId);
+  return `body:${crypto.createHash('sha256').update(rawBody || '').digest('hex')}`;
+}
+
+// Recipient address from a provider payload, lowercased (privacy lookups
+// match on it). Resend: data.to[]; SES: mail.destination[].
+function recipientOf(provider, payload) {
+  const p = payload || {};
+  let to = null;
+  if (provider === 'resend') to = p.data && p.data.to;
+  else if (provider === 'ses') to = p.mail && p.mail.destination;
+  const first = Array.isArray(to) ? to[0] : to;
+  return typeof first === 'string' && first ? first.trim().toLowerCase() : null;
+}
+
+function rawTypeOf(provider, payload) {
+  const p = payload || {};
+  if (provider === 'resend') return p.type || null;
+  return p.eventType || p.notificationType || null;
+}
+
+function validDate(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// A stored row back to the normalized event shape `project` takes.
+function toEvent(row) {
+  return {
+    provider: row.provider,
+    messageId: row.message_id,
+    type: row.type,
+    occurredAt: row.occurred_at ? new Date(row.occurred_at).toISOString() : null,
+    detail: row.detail || null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Ingest
+// ---------------------------------------------------------------------------
+
+async function claimEvent(pool, config, entry) {
+  const { rows } = await pool.query(
+    `INSERT INTO mail_webhook_events
+       (provider, event_id, source, event_type, type, message_id, recipient_email, occurred_at, detail, payload)
+     VALUES ($1, $2, 'webhook', $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (provider, event_id) DO UPDATE
+        SET status = 'processing', attempts = mail_webhook_events.attempts + 1,
+            error = NULL, claimed_at = now(), projected_at = NULL
+      WHERE mail_webhook_events.status = 'failed'
+         OR (mail_webhook_events.status = 'processing'
+             AND mail_webhook_events.claimed_at < now() - make_interval(mins => $10))
+     RETURNING id, attempts`,
+    [entry.provider, entry.eventId, entry.eventType, entry.type, entry.messageId, entry.recipient,
+     entry.occurredAt, entry.detail ? JSON.stringify(entry.detail) : null,
+     entry.payload ? JSON.stringify(entry.payload) : null, config.STALE_CLAIM_MINUTES]
+  );
+  if (rows[0]) return { claimed: true, id: rows[0].id, attempts: rows[0].attempts };
+  const prior = await pool.query(
+    `SELECT id, status FROM mail_webhook_events WHERE provider = $1 AND event_id = $2`,
+    [entry.provider, entry.eventId]
+  );
+  return { claimed: false, id: prior.rows[0] ? prior.rows[0].id : null, status: prior.rows[0] ? prior.rows[0].status : null };
+}
+
+async function project(pool, id, event, deps) {
+  try {
+    await deps.project(event);
+    await pool.query(
+      `UPDATE mail_webhook_events SET status = 'projected', projected_at = now() WHERE id = $1`,
+      [id]
+    );
+    return { ok: true };
+  } catch (err) {
+    logError(deps, `project ${event.provider} ${event.type} ${event.messageId}`, err);
+    await pool.query(
+      `UPDATE mail_webhook_events SET status = 'failed', error = $2 WHERE id = $1`,
+      [id, String(err && err.message ? err.message : err).slice(0, 2000)]
+    ).catch((e) => logError(deps, `mark failed ${id}`, e));
+    return { ok: false, code: 500, message: 'Webhook processing failed' };
+  }
+}
+
+// One webhook delivery: { provider, eventId, payload, event } where event is
+// the normalized shape from modules/mail-transport/events.js (null when the
+// payload has no bearing on status). Stores, dedupes, projects.
+async function ingest(pool, config, { provider, eventId, payload, event }, deps) {
+  if (!PROVIDERS.includes(provider)) return { ok: false, code: 400, message: `provider must be one of: ${PROVIDERS.join(', ')}` };
+  if (!eventId) return { ok: false, code: 400, message: 'event id is required' };
+
+  const claim = await claimEvent(pool, config, {
+    provider,
+    eventId: String(eventId),
+    eventType: rawTypeOf(provider, payload),
+    type: event ? event.type : null,
+    messageId: event ? event.messageId : null,
+    recipient: recipientOf(provider, payload),
+    occurredAt: validDate(event && event.occurredAt),
+    detail: event ? event.detail : null,
+    payload,
+  });
+  if (!claim.claimed) {
+    if (claim.status === 'processing') return { ok: false, code: 409, duplicate: true, message: 'Event is being processed.' };
+    return { ok: true, duplicate: true, id: claim.id };
+  }
+  if (!event) {
+    await pool.query(`UPDATE mail_webhook_events SET status = 'skipped', projected_at = now() WHERE id = $1`, [claim.id]);
+    return { ok: true, id: claim.id, skipped: true };
+  }
+  const result = await project(pool, claim.id, event, deps);
+  return result.ok ? { ok: true, id: claim.id, type: event.type } : result;
+}
+
+// Projects a stored event again, whatever its status. The projection is
+// idempotent on status (an event already applied is a no-op there), so this
+// is safe for a projected event as well as a failed one.
+async function replay(pool, config, id, { actor }, deps) {
+  const eventId = parseInt(id, 10);
+  if (!Number.isInteger(eventId) || eventId < 1) return { ok: false, code: 400, message: 'Not an event id.' };
+  const { rows } = await pool.query(
+    `UPDATE mail_webhook_events
+        SET status = 'processing', attempts = attempts + 1, error = NULL, claimed_at = now(), projected_at = NULL
+      WHERE id = $1 AND type IS NOT NULL
+        AND (status <> 'processing' OR claimed_at < now() - make_interval(mins => $2))
+      RETURNING *`,
+    [eventId, config.STALE_CLAIM_MINUTES]
+  );
+  if (!rows[0]) {
+    const prior = await pool.query(`SELECT status, type FROM mail_webhook_events WHERE id = $1`, [eventId]);
+    if (!prior.rows[0]) return { ok: false, code: 404, message: 'Event not found.' };
+    if (!prior.rows[0].type) return { ok: false, code: 409, message: 'Event has nothing to project.' };
+    return { ok: false, code: 409, message: 'Event is being processed.' };
+  }
+  const row = rows[0];
+  const result = await project(pool, row.id, toEvent(row), deps);
+  console.log(`[mail-events] ${actor} replayed event ${row.id} (${row.provider} ${row.type} ${row.message_id}): ${result.ok ? 'ok' : result.message}`);
+  return result.ok ? { ok: true, id: row.id, type: row.type, attempts: row.attempts } : result;
+}
+
+// A status change the outreach pollers applied from Resend's last_event.
+// Recorded as already projected (the poller applied it itself). The pollers
+// call this only when the status moved, and the event id allows one poll row
+// per (provider, message, type), so re-polling writes nothing. Never throws: a
+// poll must not fail because the store is unavailable.
+async function recordObserved(pool, { provider, messageId, type, recipient }) {
+  try {
+    await pool.query(
+      `INSERT INTO mail_webhook_events
+         (provider, event_id, source, event_type, type, message_id, recipient_email, occurred_at, status, projected_at)
+       VALUES ($1, $2, 'poll', $3, $3, $4, $5, now(), 'projected', now())
+       ON CONFLICT (provider, event_id) DO NOTHING`,
+      [provider, `poll:${messageId}:${type}`, type, messageId, recipient ? String(recipient).toLowerCase() : null]
+    );
+  } catch (err) {
+    console.error('[mail-events/store] recordObserved:', err.message);
+  }
+}
+
+async function listEvents(pool, config, { status, messageId, provider } = {}) {
+  if (status && !STATUSES.includes(status)) {
+    return { ok: false, code: 400, message: `status must be one of: ${STATUSES.join(', ')}` };
+  }
+  if (provider && !PROVIDERS.includes(provider)) {
+    return { ok: false, code: 400, message: `provider must be one of: ${PROVIDERS.join(', ')}` };
+  }
+  const { rows } = await pool.query(
+    `SELECT id, provider, event_id, source, event_type, type, message_id, recipient_email, occurred_at,
+            detail, status, attempts, error, received_at, projected_at
+       FROM mail_webhook_events
+      WHERE ($1::text IS NULL OR status = $1)
+        AND ($2::text IS NULL OR message_id = $2)
+        AND ($3::text IS NULL OR provider = $3)
+      ORDER BY received_at DESC
+      LIMIT $4`,
+    [status || null, messageId || null, provider || null, config.LIST_LIMIT]
+  );
+  return { ok: true, events: rows };
+}
+
+async function getEvent(pool, id) {
+  const eventId = parseInt(id, 10);
+  if (!Number.isInteger(eventId) || eventId < 1) return { ok: false, code: 400, message: 'Not an event id.' };
+  const { rows } = await pool.query(`SELECT * FROM mail_webhook_events WHERE id = $1`, [eventId]);
+  if (!rows[0]) return { ok: false, code: 404, message: 'Event not found.' };
+  return { ok: true, event: rows[0] };
+}
+
+module.exports = {
+  STATUSES,
+  PROVIDERS,
+  resendEventId,
+  recipientOf,
+  toEvent,
+  ingest,
+  replay,
+  recordObserved,
+  listEvents,
+  getEvent,
+};
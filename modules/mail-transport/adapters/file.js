@@ -0,0 +1,75 @@
+// modules/mail-transport/adapters/file.js
+// Local sink (MAIL_SINK_DIR): each message is written as an RFC 5322 .eml
+// file in maildir layout (<dir>/tmp then renamed into <dir>/new), so a mail
+// client or a test can read it. Nothing leaves the machine.
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { TransportError } = require('../errors');
+
+function encodeHeader(value) {
+  const s = String(value == null ? '' : value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, 'utf8').toString('base64')}?=`;
+}
+
+function base64Lines(s) {
+  return Buffer.from(String(s || ''), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+function toEml(message, id, now) {
+  const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+  const lines = [
+    `From: ${encodeHeader(message.from)}`,
+    `To: ${encodeHeader(message.to.join(', '))}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date(now).toUTCString()}`,
+    `Message-ID: <${id}@mail-sink.local>`,
+  ];
+  if (message.replyTo) lines.push(`Reply-To: ${encodeHeader(message.replyTo)}`);
+  for (const [name, value] of Object.entries(message.headers || {})) lines.push(`${name}: ${encodeHeader(value)}`);
+  lines.push(
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(message.text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(message.html),
+    `--${boundary}--`,
+    ''
+  );
+  return lines.join('\r\n');
+}
+
+function buildAdapter(options) {
+  const dir = options && options.dir;
+
+  async function send(message) {
+    const now = Date.now();
+    const id = `file-${now}-${crypto.randomBytes(6).toString('hex')}`;
+    try {
+      await fs.promises.mkdir(path.join(dir, 'tmp'), { recursive: true });
+      await fs.promises.mkdir(path.join(dir, 'new'), { recursive: true });
+      const tmp = path.join(dir, 'tmp', `${id}.eml`);
+      await fs.promises.writeFile(tmp, toEml(message, id, now));
+      await fs.promises.rename(tmp, path.join(dir, 'new', `${id}.eml`));
+    } catch (err) {
+      throw new TransportError('file', 'exception', err.message);
+    }
+    return { id };
+  }
+
+  return { name: 'file', configured: !!dir, send };
+}
+
+module.exports = { buildAdapter, toEml };
@@ -0,0 +1,50 @@
+// modules/mail-transport/adapters/resend.js
+// Resend (the original and default provider). The send path is the one
+// services/email.js had, including the hard fail on success-without-id.
+
+'use strict';
+
+const { TransportError } = require('../errors');
+
+// Resend error names that mean the message was refused as sent; anything else
+// (rate limits, 5xx, network) fails over.
+const PERMANENT_ERRORS = new Set(['validation_error', 'missing_required_field', 'invalid_parameter', 'invalid_from_address', 'invalid_attachment']);
+
+function buildAdapter(options, injected) {
+  const apiKey = options && options.apiKey;
+  let client = (injected && injected.client) || null;
+
+  async function send(message) {
+    if (!client) {
+      const { Resend } = require('resend');
+      client = new Resend(apiKey);
+    }
+    const payload = {
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    };
+    if (message.headers) payload.headers = message.headers;
+    if (message.replyTo) payload.reply_to = message.replyTo;
+
+    const { data, error } = await client.emails.send(payload);
+    if (error) {
+      const status = error.statusCode || 0;
+      const permanent = PERMANENT_ERRORS.has(error.name) || (status >= 400 && status < 500 && status !== 429 && status !== 401 && status !== 403);
+      throw new TransportError('resend', 'api_error', error.message || error.name || 'Resend API error', { permanent, detail: error });
+    }
+    // Defense against unexpected SDK response shapes: success status without an
+    // email ID (the 2026-05-11 orphan-send incident). Permanent - Resend may
+    // have sent it, so no other provider may.
+    if (!data || !data.id) {
+      throw new TransportError('resend', 'no_id', 'success response without id', { permanent: true, detail: data });
+    }
+    return { id: data.id };
+  }
+
+  return { name: 'resend', configured: !!apiKey, send };
+}
+
+module.exports = { buildAdapter };
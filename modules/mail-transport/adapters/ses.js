@@ -0,0 +1,108 @@
+// modules/mail-transport/adapters/ses.js
+// Amazon SES through the SESv2 HTTPS API (SendEmail, Simple content), signed
+// with AWS Signature Version 4 here so no AWS SDK is needed. Delivery events
+// come back through SNS to /api/webhooks/ses when SES_CONFIGURATION_SET
+// publishes to a topic listed in SES_SNS_TOPIC_ARNS.
+
+'use strict';
+
+const crypto = require('crypto');
+
+const { TransportError } = require('../errors');
+
+// SES error codes that mean this message was refused; throttling, account
+// pauses and 5xx fail over.
+const PERMANENT_ERRORS = new Set(['MessageRejected', 'BadRequestException', 'MailFromDomainNotVerifiedException', 'NotFoundException']);
+
+const sha256 = (data) => crypto.createHash('sha256').update(data, 'utf8').digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+
+function signingKey(secretAccessKey, dateStamp, region, service) {
+  return hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), service), 'aws4_request');
+}
+
+// Headers for a signed JSON POST. -> { 'content-type', host, 'x-amz-date', ..., authorization }
+function signRequest({ method = 'POST', host, path, body, region, service = 'ses', accessKeyId, secretAccessKey, sessionToken, now = Date.now() }) {
+  const amzDate = new Date(now).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+  const headers = {
+    'content-type': 'application/json',
+    host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  if (sessionToken) headers['x-amz-security-token'] = sessionToken;
+  const names = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    path,
+    '',
+    names.map((n) => `${n}:${headers[n]}\n`).join(''),
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signature = crypto.createHmac('sha256', signingKey(secretAccessKey, dateStamp, region, service)).update(stringToSign, 'utf8').digest('hex');
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+  };
+}
+
+function buildAdapter(options, injected) {
+  const o = options || {};
+  const fetchImpl = (injected && injected.fetch) || fetch;
+  const timeoutMs = o.timeoutMs || 20000;
+
+  async function send(message) {
+    const host = `email.${o.region}.amazonaws.com`;
+    const path = '/v2/email/outbound-emails';
+    const simple = {
+      Subject: { Data: message.subject, Charset: 'UTF-8' },
+      Body: {
+        Html: { Data: message.html, Charset: 'UTF-8' },
+        Text: { Data: message.text, Charset: 'UTF-8' },
+      },
+    };
+    const headers = Object.entries(message.headers || {}).map(([Name, Value]) => ({ Name, Value: String(Value) }));
+    if (headers.length > 0) simple.Headers = headers;
+    const payload = {
+      FromEmailAddress: message.from,
+      Destination: { ToAddresses: message.to },
+      Content: { Simple: simple },
+    };
+    if (message.replyTo) payload.ReplyToAddresses = [message.replyTo];
+    if (o.configurationSet) payload.ConfigurationSetName = o.configurationSet;
+    const body = JSON.stringify(payload);
+
+    let res;
+    try {
+      res = await fetchImpl(`https://${host}${path}`, {
+        method: 'POST',
+        headers: signRequest({ host, path, body, region: o.region, accessKeyId: o.accessKeyId, secretAccessKey: o.secretAccessKey, sessionToken: o.sessionToken }),
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (err) {
+      throw new TransportError('ses', 'exception', err.message);
+    }
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const code = String(res.headers.get('x-amzn-errortype') || json.__type || '').split(':')[0] || `HTTP ${res.status}`;
+      throw new TransportError('ses', 'api_error', `${code}: ${json.message || json.Message || res.statusText}`, {
+        permanent: PERMANENT_ERRORS.has(code),
+        detail: { status: res.status, code },
+      });
+    }
+    if (!json.MessageId) {
+      throw new TransportError('ses', 'no_id', 'success response without MessageId', { permanent: true, detail: json });
+    }
+    return { id: json.MessageId };
+  }
+
+  return { name: 'ses', configured: !!(o.region && o.accessKeyId && o.secretAccessKey), send };
+}
+
+module.exports = { buildAdapter, signRequest, signingKey };
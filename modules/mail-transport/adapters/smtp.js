@@ -0,0 +1,53 @@
+// modules/mail-transport/adapters/smtp.js
+// Any SMTP relay through nodemailer (SMTP_HOST / SMTP_PORT / SMTP_SECURE /
+// SMTP_USER / SMTP_PASS). The message id is the Message-ID header nodemailer
+// generates; SMTP has no delivery webhooks, so these sends stay at 'sent'.
+
+'use strict';
+
+const { TransportError } = require('../errors');
+
+function buildAdapter(options, injected) {
+  const o = options || {};
+  let transporter = (injected && injected.transporter) || null;
+
+  async function send(message) {
+    if (!transporter) {
+      const nodemailer = require('nodemailer');
+      transporter = nodemailer.createTransport({
+        host: o.host,
+        port: o.port,
+        secure: o.secure,
+        auth: o.user ? { user: o.user, pass: o.pass } : undefined,
+      });
+    }
+    try {
+      const info = await transporter.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        headers: message.headers || undefined,
+        replyTo: message.replyTo || undefined,
+      });
+      if (info.rejected && info.rejected.length > 0 && (!info.accepted || info.accepted.length === 0)) {
+        throw new TransportError('smtp', 'rejected', `recipient rejected: ${info.rejected.join(', ')}`, { permanent: true, detail: info.response });
+      }
+      return { id: info.messageId };
+    } catch (err) {
+      if (err instanceof TransportError) throw err;
+      // 5xx on RCPT / DATA is the message being refused; connection, auth and
+      // 4xx errors are the relay's problem and fail over.
+      const permanent = err.responseCode >= 500 && (err.command === 'RCPT TO' || err.command === 'DATA');
+      throw new TransportError('smtp', err.responseCode ? 'smtp_error' : 'exception', err.message, {
+        permanent,
+        detail: { code: err.code || null, responseCode: err.responseCode || null, command: err.command || null },
+      });
+    }
+  }
+
+  return { name: 'smtp', configured: !!o.host, send };
+}
+
+module.exports = { buildAdapter };
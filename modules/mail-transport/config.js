@@ -0,0 +1,66 @@
+// modules/mail-transport/config.js
+// Mail providers and per-message-class routing for services/email.js sendEmail.
+// A provider is used only when its credentials are set.
+
+'use strict';
+
+function jsonEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+  try {
+    return { ...fallback, ...JSON.parse(process.env[name]) };
+  } catch (err) {
+    console.error(`[mail-transport] ${name} is not valid JSON, using defaults:`, err.message);
+    return fallback;
+  }
+}
+
+function list(value) {
+  return String(value || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+module.exports = {
+  PROVIDERS: ['resend', 'ses', 'smtp', 'file'],
+
+  // Message class -> providers in failover order. sendEmail callers pass
+  // messageClass ('outreach' for cold / sequence sends); anything else uses
+  // 'default'. MAIL_ROUTES (JSON) replaces individual classes, e.g.
+  //   {"outreach":["ses","resend"],"default":["file"]}
+  ROUTES: jsonEnv('MAIL_ROUTES', {
+    default: ['resend', 'ses', 'smtp'],
+    outreach: ['resend', 'ses'],
+  }),
+
+  // After a provider errors it goes to the back of every route for this long,
+  // doubling per consecutive failure up to the max. A success clears it.
+  FAILOVER_COOLDOWN_MS: parseInt(process.env.MAIL_FAILOVER_COOLDOWN_MS || String(60 * 1000), 10),
+  MAX_COOLDOWN_MS: 10 * 60 * 1000,
+  SEND_TIMEOUT_MS: 20 * 1000,
+
+  RESEND: {
+    apiKey: process.env.RESEND_API_KEY || null,
+  },
+  SMTP: {
+    host: process.env.SMTP_HOST || null,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: String(process.env.SMTP_SECURE || '').toLowerCase() === 'true',
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+  },
+  SES: {
+    region: process.env.SES_REGION || process.env.AWS_REGION || null,
+    accessKeyId: process.env.SES_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID || null,
+    secretAccessKey: process.env.SES_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY || null,
+    sessionToken: process.env.AWS_SESSION_TOKEN || null,
+    configurationSet: process.env.SES_CONFIGURATION_SET || null,
+    // SNS topics allowed to post to /api/webhooks/ses. Empty = the route
+    // refuses everything.
+    topicArns: list(process.env.SES_SNS_TOPIC_ARNS),
+  },
+  // Local sink for development and tests: each message becomes a .eml file
+  // in <dir>/new (maildir layout).
+  FILE: {
+    dir: process.env.MAIL_SINK_DIR || null,
+  },
+
+  SNS_CERT_CACHE_MS: 24 * 60 * 60 * 1000,
+};
@@ -0,0 +1,19 @@
+// modules/mail-transport/errors.js
+// What adapters throw. `permanent` stops failover: the message itself was
+// refused (bad recipient, bad payload) or may already have gone out, so
+// another provider must not send it again.
+
+'use strict';
+
+class TransportError extends Error {
+  constructor(provider, reason, message, { permanent = false, detail = null } = {}) {
+    super(message || reason);
+    this.name = 'TransportError';
+    this.provider = provider;
+    this.reason = reason;
+    this.permanent = permanent;
+    this.detail = detail;
+  }
+}
+
+module.exports = { TransportError };
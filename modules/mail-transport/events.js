@@ -0,0 +1,76 @@
+// modules/mail-transport/events.js
+// Provider webhook payloads -> one delivery event shape, so every provider
+// feeds the same OutreachEngine.handleDeliveryEvent -> _setStatusAndTimestamp
+// path:
+//
+//   { provider, messageId, type, occurredAt, detail }
+//
+// `type` is an outreach_emails status (delivered / opened / clicked /
+// bounced / complained) or 'deferred', which is not a status and only feeds
+// the send throttle's deferral rate. Events with no bearing on status
+// (sent, rejected, rendering failures) normalize to null.
+
+'use strict';
+
+const TYPES = ['delivered', 'opened', 'clicked', 'bounced', 'complained', 'deferred'];
+
+const RESEND_TYPES = {
+  'email.delivered': 'delivered',
+  'email.opened': 'opened',
+  'email.clicked': 'clicked',
+  'email.bounced': 'bounced',
+  'email.complained': 'complained',
+  'email.delivery_delayed': 'deferred',
+};
+
+// Resend webhook body { type, created_at, data: { email_id, ... } }
+function fromResend(event) {
+  const type = RESEND_TYPES[event && event.type];
+  const messageId = event && event.data && event.data.email_id;
+  if (!type || !messageId) return null;
+  return {
+    provider: 'resend',
+    messageId,
+    type,
+    occurredAt: event.created_at || null,
+    detail: type === 'bounced' && event.data.bounce ? { bounce: event.data.bounce } : null,
+  };
+}
+
+const SES_TYPES = {
+  Delivery: 'delivered',
+  Open: 'opened',
+  Click: 'clicked',
+  Complaint: 'complained',
+  DeliveryDelay: 'deferred',
+};
+
+// The Message of an SES SNS notification: event publishing ({ eventType })
+// or the older identity notifications ({ notificationType }). A Transient
+// bounce is SES giving up on a soft failure (mailbox full, message too
+// large); it is counted as a deferral, not a bounce, so the recipient is not
+// auto-unsubscribed.
+function fromSes(message) {
+  const m = message || {};
+  const kind = m.eventType || m.notificationType;
+  const messageId = m.mail && m.mail.messageId;
+  if (!kind || !messageId) return null;
+  let type = SES_TYPES[kind] || null;
+  let detail = null;
+  if (kind === 'Bounce') {
+    const bounceType = (m.bounce && m.bounce.bounceType) || 'Undetermined';
+    type = bounceType === 'Transient' ? 'deferred' : 'bounced';
+    detail = { bounce_type: bounceType, bounce_sub_type: (m.bounce && m.bounce.bounceSubType) || null };
+  } else if (kind === 'Complaint' && m.complaint) {
+    detail = { feedback_type: m.complaint.complaintFeedbackType || null };
+  } else if (kind === 'DeliveryDelay' && m.deliveryDelay) {
+    detail = { delay_type: m.deliveryDelay.delayType || null };
+  }
+  if (!type) return null;
+  const at = (m.delivery && m.delivery.timestamp) || (m.bounce && m.bounce.timestamp)
+    || (m.complaint && m.complaint.timestamp) || (m.open && m.open.timestamp)
+    || (m.click && m.click.timestamp) || (m.deliveryDelay && m.deliveryDelay.timestamp) || null;
+  return { provider: 'ses', messageId, type, occurredAt: at, detail };
+}
+
+module.exports = { TYPES, fromResend, fromSes };
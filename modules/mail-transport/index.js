@@ -0,0 +1,41 @@
+// modules/mail-transport/index.js
+// Composition root for the mail transport. server.js touchpoints:
+//
+//   const mailTransport = require('./modules/mail-transport')({ onEvent });
+//   app.use(mailTransport.publicRouter);  // POST /api/webhooks/ses (SNS-signed)
+//   app.use(mailTransport.adminRouter);   // /api/admin/mail-transport/* — admin umbrella gates by prefix
+//
+// No tables of its own: outreach_emails.email_provider is added with the
+// other outreach_emails columns in server.js.
+//
+// onEvent(event, { eventId, payload }) receives each SES notification,
+// normalized (events.js, null when it has no bearing on status), with its
+// SNS MessageId and raw payload for the event store. Sending does
+// not go through this factory: services/email.js uses the ./mailer.js
+// singleton, which this module's admin routes also report on.
+
+'use strict';
+
+const config = require('./config');
+const events = require('./events');
+const mailer = require('./mailer');
+const { createVerifier } = require('./sns');
+const buildPublicRoutes = require('./routes.public');
+const buildAdminRoutes = require('./routes.admin');
+
+function createMailTransportModule(injected) {
+  const { onEvent } = injected || {};
+  if (typeof onEvent !== 'function') throw new Error('[mail-transport] onEvent is required');
+
+  const verifier = createVerifier({ config });
+
+  return {
+    config,
+    events,
+    mailer,
+    publicRouter: buildPublicRoutes({ verifier, events, onEvent }),
+    adminRouter: buildAdminRoutes({ config, mailer }),
+  };
+}
+
+module.exports = createMailTransportModule;
@@ -0,0 +1,25 @@
+// modules/mail-transport/mailer.js
+// The process-wide transport, built from config.js at require time like the
+// Resend client services/email.js used to build. services/email.js sendEmail
+// sends through it; the admin routes read its provider state.
+//
+//   const mailer = require('../modules/mail-transport/mailer');
+//   await mailer.send({ from, to: [..], subject, html, text, headers, replyTo }, { messageClass: 'outreach' });
+
+'use strict';
+
+const config = require('./config');
+const { createTransport } = require('./transport');
+const resend = require('./adapters/resend');
+const ses = require('./adapters/ses');
+const smtp = require('./adapters/smtp');
+const file = require('./adapters/file');
+
+const adapters = {
+  resend: resend.buildAdapter(config.RESEND),
+  ses: ses.buildAdapter({ ...config.SES, timeoutMs: config.SEND_TIMEOUT_MS }),
+  smtp: smtp.buildAdapter(config.SMTP),
+  file: file.buildAdapter(config.FILE),
+};
+
+module.exports = createTransport({ config, adapters });
@@ -0,0 +1,52 @@
+// modules/mail-transport/routes.admin.js
+// Provider state and test sends. Paths live under /api/admin/* and inherit the
+// `app.use('/api/admin', authenticateToken, requireAdmin)` umbrella in
+// server.js.
+
+'use strict';
+
+const express = require('express');
+
+function buildAdminRoutes({ config, mailer }) {
+  const router = express.Router();
+
+  // GET /api/admin/mail-transport - configured providers, routes per message
+  // class, and this process's failover state.
+  router.get('/api/admin/mail-transport', (req, res) => {
+    try {
+      return res.json(mailer.status());
+    } catch (err) {
+      console.error('[mail-transport/admin] status error:', err.message);
+      return res.status(500).json({ error: 'status failed' });
+    }
+  });
+
+  // POST /api/admin/mail-transport/test { to, provider?, message_class? }
+  // One plain message through a named provider (no failover) or a class route.
+  router.post('/api/admin/mail-transport/test', async (req, res) => {
+    try {
+      const b = req.body || {};
+      const to = String(b.to || '').trim();
+      if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(to)) return res.status(400).json({ error: 'to must be an email address.' });
+      if (b.provider && !config.PROVIDERS.includes(b.provider)) {
+        return res.status(400).json({ error: `provider must be one of: ${config.PROVIDERS.join(', ')}` });
+      }
+      const stamp = new Date().toISOString();
+      const result = await mailer.send({
+        from: process.env.FROM_EMAIL || 'noreply@canadaaccountants.app',
+        to: [to],
+        subject: `Mail transport test ${stamp}`,
+        html: `<p>Mail transport test sent ${stamp} by ${(req.user && req.user.email) || 'admin'}.</p>`,
+        text: `Mail transport test sent ${stamp} by ${(req.user && req.user.email) || 'admin'}.`,
+      }, { provider: b.provider || null, messageClass: b.message_class || 'default' });
+      return res.status(result.success ? 200 : 502).json(result);
+    } catch (err) {
+      console.error('[mail-transport/admin] test send error:', err.message);
+      return res.status(500).json({ error: 'test send failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildAdminRoutes;
@@ -0,0 +1,57 @@
+// modules/mail-transport/routes.public.js
+// POST /api/webhooks/ses - SES delivery events over SNS. SNS posts the JSON
+// envelope as text/plain, so the route reads the raw text itself. Every
+// message is signature-checked (sns.js); subscription confirmations are
+// answered, notifications are normalized (events.js) and handed to onEvent
+// with the raw notification: onEvent(event, { eventId, payload }), where
+// event is null for notifications with no bearing on status and eventId is
+// the SNS MessageId (the same on every redelivery). An { ok: false, code }
+// result is answered with that code, so SNS redelivers.
+
+'use strict';
+
+const express = require('express');
+
+function buildPublicRoutes({ verifier, events, onEvent }) {
+  const router = express.Router();
+
+  router.post('/api/webhooks/ses', express.text({ type: '*/*', limit: '256kb' }), async (req, res) => {
+    let msg;
+    try {
+      msg = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    } catch (err) {
+      return res.status(400).json({ error: 'invalid JSON' });
+    }
+    try {
+      const verified = await verifier.verify(msg);
+      if (!verified.ok) {
+        console.error('[mail-transport/ses] rejected SNS message:', verified.reason);
+        return res.status(401).json({ error: 'invalid signature' });
+      }
+      if (msg.Type === 'SubscriptionConfirmation') {
+        await verifier.confirmSubscription(msg);
+        console.log(`[mail-transport/ses] confirmed SNS subscription to ${msg.TopicArn}`);
+        return res.json({ confirmed: true });
+      }
+      if (msg.Type !== 'Notification') return res.json({ received: true });
+
+      let payload;
+      try {
+        payload = JSON.parse(msg.Message);
+      } catch (err) {
+        return res.json({ received: true, ignored: 'non-JSON message' });
+      }
+      const event = events.fromSes(payload);
+      const result = await onEvent(event, { eventId: msg.MessageId, payload });
+      if (result && result.ok === false) return res.status(result.code || 500).json({ error: result.message });
+      return res.json({ received: true });
+    } catch (err) {
+      console.error('[mail-transport/ses] webhook error:', err.message);
+      return res.status(500).json({ error: 'Webhook processing failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildPublicRoutes;
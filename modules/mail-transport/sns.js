@@ -0,0 +1,75 @@
+// modules/mail-transport/sns.js
+// Amazon SNS HTTP(S) message verification for /api/webhooks/ses. A message is
+// accepted only when its TopicArn is configured, its SigningCertURL is an SNS
+// host, and the signature checks out against that certificate (SHA1 for
+// SignatureVersion 1, SHA256 for 2).
+
+'use strict';
+
+const crypto = require('crypto');
+
+const SNS_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+const SIGNED_FIELDS = {
+  Notification: ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'],
+  SubscriptionConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'],
+  UnsubscribeConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'],
+};
+
+function isSnsUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && SNS_HOST.test(url.hostname);
+  } catch (err) {
+    return false;
+  }
+}
+
+// "Key\nValue\n" for each signed field present, in SNS's fixed order.
+function stringToSign(msg) {
+  const fields = SIGNED_FIELDS[msg.Type];
+  if (!fields) return null;
+  return fields.filter((f) => msg[f] != null).map((f) => `${f}\n${msg[f]}\n`).join('');
+}
+
+function createVerifier({ config, fetch: fetchImpl = fetch, now = () => Date.now() }) {
+  const certs = new Map(); // url -> { at, pem }
+
+  async function certificate(url) {
+    const hit = certs.get(url);
+    if (hit && now() - hit.at < config.SNS_CERT_CACHE_MS) return hit.pem;
+    const res = await fetchImpl(url, { signal: AbortSignal.timeout(5000) });
+    if (!res.ok) throw new Error(`certificate fetch failed: HTTP ${res.status}`);
+    const pem = await res.text();
+    certs.set(url, { at: now(), pem });
+    return pem;
+  }
+
+  // -> { ok:true } | { ok:false, reason }
+  async function verify(msg) {
+    if (!msg || typeof msg !== 'object') return { ok: false, reason: 'not an SNS message' };
+    if (!config.SES.topicArns.includes(msg.TopicArn)) return { ok: false, reason: `topic not allowed: ${msg.TopicArn}` };
+    if (!isSnsUrl(msg.SigningCertURL)) return { ok: false, reason: 'SigningCertURL is not an SNS host' };
+    const signed = stringToSign(msg);
+    if (!signed || !msg.Signature) return { ok: false, reason: `unsupported message type: ${msg.Type}` };
+    const algorithm = msg.SignatureVersion === '2' ? 'RSA-SHA256' : 'RSA-SHA1';
+    try {
+      const pem = await certificate(msg.SigningCertURL);
+      const valid = crypto.createVerify(algorithm).update(signed, 'utf8').verify(pem, msg.Signature, 'base64');
+      return valid ? { ok: true } : { ok: false, reason: 'signature mismatch' };
+    } catch (err) {
+      return { ok: false, reason: err.message };
+    }
+  }
+
+  // Visits SubscribeURL so SNS starts delivering to us.
+  async function confirmSubscription(msg) {
+    if (!isSnsUrl(msg.SubscribeURL)) throw new Error('SubscribeURL is not an SNS host');
+    const res = await fetchImpl(msg.SubscribeURL, { signal: AbortSignal.timeout(5000) });
+    if (!res.ok) throw new Error(`subscription confirm failed: HTTP ${res.status}`);
+  }
+
+  return { verify, confirmSubscription };
+}
+
+module.exports = { createVerifier, stringToSign, isSnsUrl };
@@ -0,0 +1,99 @@
+// modules/mail-transport/transport.js
+// Provider selection and failover. send() walks the route for the message's
+// class, skipping providers without credentials and trying providers that
+// failed recently only after the healthy ones. A TransportError with
+// `permanent` ends the walk; any other failure moves to the next provider.
+//
+// createTransport({ config, adapters, now }) -> { send, status, routeFor }
+//   send(message, { messageClass, provider })
+//     -> { success:true, id, provider, attempts }
+//      | { success:false, reason, error, attempts }
+// The result keeps the shape sendEmail has always returned (success / id /
+// reason / error), plus the provider that took the message.
+
+'use strict';
+
+function createTransport({ config, adapters, now = () => Date.now() }) {
+  const health = new Map(); // provider -> { failures, until, lastError, lastErrorAt, sent, failed }
+
+  function stateOf(name) {
+    if (!health.has(name)) health.set(name, { failures: 0, until: 0, lastError: null, lastErrorAt: null, sent: 0, failed: 0 });
+    return health.get(name);
+  }
+
+  function routeFor(messageClass) {
+    const route = config.ROUTES[messageClass] || config.ROUTES.default || [];
+    return route.filter((name) => adapters[name] && adapters[name].configured);
+  }
+
+  function markFailed(name, err) {
+    const s = stateOf(name);
+    s.failures++;
+    s.failed++;
+    s.until = now() + Math.min(config.MAX_COOLDOWN_MS, config.FAILOVER_COOLDOWN_MS * Math.pow(2, s.failures - 1));
+    s.lastError = err.message;
+    s.lastErrorAt = new Date(now()).toISOString();
+  }
+
+  function markSent(name) {
+    const s = stateOf(name);
+    s.failures = 0;
+    s.until = 0;
+    s.sent++;
+  }
+
+  async function send(message, { messageClass = 'default', provider = null } = {}) {
+    const route = provider ? [provider].filter((n) => adapters[n] && adapters[n].configured) : routeFor(messageClass);
+    if (route.length === 0) {
+      return { success: false, reason: provider ? 'provider_unavailable' : 'api_key_missing', attempts: [] };
+    }
+    const t = now();
+    const ordered = [...route.filter((n) => stateOf(n).until <= t), ...route.filter((n) => stateOf(n).until > t)];
+
+    const attempts = [];
+    for (const name of ordered) {
+      try {
+        const { id } = await adapters[name].send(message);
+        markSent(name);
+        if (attempts.length > 0) {
+          console.warn(`[mail-transport] ${messageClass} message sent via ${name} after failover (${attempts.map((a) => `${a.provider}: ${a.error}`).join('; ')})`);
+        }
+        return { success: true, id, provider: name, attempts };
+      } catch (err) {
+        attempts.push({ provider: name, reason: err.reason || 'exception', error: err.message, permanent: !!err.permanent });
+        if (err.permanent) {
+          stateOf(name).failed++;
+          return { success: false, reason: err.reason || 'api_error', error: err.detail || err.message, provider: name, attempts };
+        }
+        markFailed(name, err);
+        console.error(`[mail-transport] ${name} failed (${err.reason || 'exception'}): ${err.message}`);
+      }
+    }
+    const last = attempts[attempts.length - 1];
+    return { success: false, reason: last.reason, error: last.error, attempts };
+  }
+
+  function status() {
+    const t = now();
+    return {
+      providers: config.PROVIDERS.map((name) => {
+        const s = stateOf(name);
+        return {
+          name,
+          configured: !!(adapters[name] && adapters[name].configured),
+          cooling_down_until: s.until > t ? new Date(s.until).toISOString() : null,
+          consecutive_failures: s.failures,
+          sent: s.sent,
+          failed: s.failed,
+          last_error: s.lastError,
+          last_error_at: s.lastErrorAt,
+        };
+      }),
+      routes: Object.fromEntries(Object.entries(config.ROUTES).map(([cls, route]) => [cls, { configured: route, active: routeFor(cls) }])),
+    };
+  }
+
+  return { send, status, routeFor };
+}
+
+module.exports = { createTransport };
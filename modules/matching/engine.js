@@ -0,0 +1,203 @@
+// modules/matching/engine.js
+// Scoring pipeline: candidate pool -> per-factor scores -> weighted overall ->
+// rank -> persist. One pipeline for every version; versions differ only in their
+// weight set (versions.js), factors only in their plugin (factors.js).
+//
+// scoreCandidate / rankCandidates are pure (no DB) so the offline replay harness
+// and tests can run any version over any snapshot without a live pool.
+
+'use strict';
+
+const factors = require('./factors');
+const versions = require('./versions');
+const { explainMatch } = require('./explain');
+const referralConfig = require('../referrals/config');
+
+const TOP_N = 5;
+const FALLBACK_MIN = 3;
+
+// Referral credits (modules/referrals/incentives.js) move the rank, not the
+// fit: a live tier_boost_30d adds BOOST_WEIGHT and priority points add one
+// each up to PRIORITY_POINTS_CAP. fetchCandidates supplies both columns; rows
+// without them (replay snapshots) get none, and neither does a gated candidate.
+function rankBonus(cpa, gated) {
+  if (gated) return 0;
+  const boost = cpa.referral_boost_live === true ? referralConfig.BOOST_WEIGHT : 0;
+  const points = Math.min(Math.max(parseInt(cpa.referral_priority_points, 10) || 0, 0), referralConfig.PRIORITY_POINTS_CAP);
+  return boost + points;
+}
+
+// Score one CPA row under one version. Every registered factor is scored (the
+// matches columns and match_factors JSONB keep the full vector, so a later
+// version can be replayed against stored rows); only weighted factors contribute.
+// Gates (e.g. regulatory < 50 caps the overall at 40) apply regardless of weight.
+function scoreCandidate(clientProfile, cpa, version) {
+  const factorScores = {};
+  for (const f of factors.listFactors()) {
+    factorScores[f.name] = factors.getFactor(f.name).score(clientProfile, cpa);
+  }
+
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [name, w] of Object.entries(version.weights)) {
+    if (factorScores[name] == null) continue;
+    weighted += factorScores[name] * w;
+    totalWeight += w;
+  }
+  let overall = totalWeight > 0 ? weighted / totalWeight : 0;
+
+  let gated = false;
+  for (const f of factors.listFactors()) {
+    if (f.gate && factorScores[f.name] < f.gate.below) {
+      overall = Math.min(overall, f.gate.cap);
+      gated = true;
+    }
+  }
+  const bonus = rankBonus(cpa, gated);
+
+  const result = {
+    cpa,
+    overall_score: Math.round(overall * 100) / 100,
+    rank_bonus: bonus,
+    rank_score: Math.round((overall + bonus) * 100) / 100,
+    factor_scores: factorScores,
+    algorithm_version: version.version,
+  };
+  // Legacy flat fields (specialization_score etc.) keep the /api/match-cpas
+  // response mapping and the referral adapter working unchanged.
+  for (const f of factors.listFactors()) {
+    if (f.column) result[f.column] = factorScores[f.name];
+  }
+  return result;
+}
+
+function rankCandidates(clientProfile, cpas, version, limit = TOP_N) {
+  const scored = cpas.map((cpa) => scoreCandidate(clientProfile, cpa, version));
+  scored.sort((a, b) => b.rank_score - a.rank_score);
+  return scored.slice(0, limit);
+}
+
+// Tables other modules create at boot (billing, referrals). Matching must not
+// depend on their boot order or success: a table that is not there yet is
+// left out of the candidate query rather than failing it. Presence is
+// remembered once seen (tables are never dropped); absence is re-checked on
+// the next request, so a late boot is picked up without a restart.
+const presentTables = new Set();
+async function tableReady(pool, name) {
+  if (presentTables.has(name)) return true;
+  const { rows } = await pool.query(`SELECT to_regclass($1) IS NOT NULL AS present`, [name]);
+  if (!rows[0] || !rows[0].present) return false;
+  presentTables.add(name);
+  return true;
+}
+
+// Eligible pool: same filter the inline scorer used (active, paid, not the house
+// fallback), tier-ordered so equal scores keep the historical tie-break. Paid
+// is a subscription, or a pay-per-lead account that can pay for a lead: an
+// exhausted balance drops out like a lapsed subscription. Each row carries
+// its applied referral credits for rankBonus. Until the billing schema exists
+// only subscribers are eligible; until the referrals schema exists nobody has
+// credits.
+async function fetchCandidates(pool) {
+  const leadBilling = await tableReady(pool, 'billing_lead_accounts');
+  const credits = await tableReady(pool, 'network_referral_credits');
+  const { rows } = await pool.query(
+    `SELECT cp.*, ${credits
+      ? `COALESCE(rc.boost_live, false) AS referral_boost_live,
+            COALESCE(rc.priority_points, 0) AS referral_priority_points`
+      : 'false AS referral_boost_live, 0 AS referral_priority_points'}
+       FROM cpa_profiles cp${credits ? `
+       LEFT JOIN LATERAL (
+         SELECT bool_or(c.credit_type = 'tier_boost_30d' AND c.applied_at > now() - make_interval(days => $1)) AS boost_live,
+                sum(c.amount) FILTER (WHERE c.credit_type = 'priority_points')::int AS priority_points
+           FROM network_referral_credits c
+          WHERE c.pro_id = cp.id AND c.status = 'applied' AND c.applied_at > now() - interval '12 months'
+       ) rc ON true` : ''}${leadBilling ? `
+       LEFT JOIN billing_lead_accounts la ON la.cpa_profile_id = cp.id` : ''}
+     WHERE cp.is_active = true AND cp.profile_status = 'active'
+       AND ${leadBilling ? `(cp.subscription_status = 'active' OR la.status = 'active')` : `cp.subscription_status = 'active'`}
+       AND COALESCE(cp.fallback_priority, false) = false
+     ORDER BY CASE cp.subscription_tier WHEN 'enterprise' THEN 1 WHEN 'professional' THEN 2 ELSE 3 END`,
+    credits ? [referralConfig.BOOST_DAYS] : []
+  );
+  return rows;
+}
+
+function rankingSummary(ranked) {
+  return ranked.map((m, i) => ({ rank: i + 1, cpa_id: m.cpa.id, score: m.overall_score }));
+}
+
+async function recordShadows(pool, clientProfile, served, servedRanked, shadows, cpas) {
+  for (const shadow of shadows) {
+    try {
+      const shadowRanked = rankCandidates(clientProfile, cpas, shadow);
+      await pool.query(
+        `INSERT INTO matching_shadow_results (client_profile_id, served_version, shadow_version, served_ranking, shadow_ranking)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [clientProfile.id, served.version, shadow.version,
+         JSON.stringify(rankingSummary(servedRanked)), JSON.stringify(rankingSummary(shadowRanked))]
+      );
+    } catch (err) {
+      // Shadow scoring is observability only; it must never cost the SME a match.
+      console.error(`[matching] shadow ${shadow.version} failed for client_profile ${clientProfile.id}:`, err.message);
+    }
+  }
+}
+
+// Full request path: score, append the house fallback when thin, explain and
+// persist to `matches`, stamp client_profiles.algorithm_version, record shadow
+// rankings.
+async function runMatch(pool, clientProfile) {
+  const cpas = await fetchCandidates(pool);
+  const { served, shadows } = await versions.resolveForRequest(pool, clientProfile.id);
+
+  const topMatches = rankCandidates(clientProfile, cpas, served);
+
+  // SEV3-B: house fallback — append the canonical Arthur CPA ONLY when real
+  // matches < 3 (mirrors the friction pipeline). Scored with the served version so
+  // it never competes for a slot, and persisted to `matches` like the rest.
+  if (topMatches.length < FALLBACK_MIN) {
+    const fb = await pool.query("SELECT * FROM cpa_profiles WHERE COALESCE(fallback_priority, false) = true AND is_active = true LIMIT 1");
+    if (fb.rows.length) {
+      topMatches.push(scoreCandidate(clientProfile, fb.rows[0], served));
+      console.log(`[CPAMatch] house fallback appended (real matches=${topMatches.length - 1})`);
+    }
+  }
+
+  // Explanations ride in match_factors (no extra column to race the boot DDL);
+  // admin and CPA views read match_factors->'explanation'. match_id lets lead
+  // routing mirror CPA responses back onto the row.
+  for (const match of topMatches) {
+    match.explanation = explainMatch(clientProfile, match, served);
+    const inserted = await pool.query(
+      `INSERT INTO matches (cpa_profile_id, client_profile_id, overall_score, specialization_score, client_size_score, fee_score, regulatory_score, geographic_score, availability_score, algorithm_version, match_factors, status, expires_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,'pending', NOW() + INTERVAL '7 days')
+       RETURNING id`,
+      [match.cpa.id, clientProfile.id, match.overall_score, match.specialization_score, match.client_size_score,
+       match.fee_score, match.regulatory_score, match.geographic_score, match.availability_score,
+       served.version, JSON.stringify({ version: served.version, weights: served.weights, factor_scores: match.factor_scores, rank_bonus: match.rank_bonus, explanation: match.explanation })]
+    );
+    match.match_id = inserted.rows[0].id;
+  }
+
+  await pool.query(
+    `UPDATE client_profiles SET algorithm_version = $1 WHERE id = $2`,
+    [served.version, clientProfile.id]
+  ).catch((err) => console.error('[matching] client_profiles.algorithm_version stamp failed:', err.message));
+
+  if (shadows.length > 0) {
+    await recordShadows(pool, clientProfile, served, topMatches.filter((m) => m.cpa.fallback_priority !== true), shadows, cpas);
+  }
+
+  return topMatches;
+}
+
+module.exports = {
+  TOP_N,
+  rankBonus,
+  scoreCandidate,
+  rankCandidates,
+  fetchCandidates,
+  rankingSummary,
+  runMatch,
+};
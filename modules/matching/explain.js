@@ -0,0 +1,160 @@
+// modules/matching/explain.js
+// Structured "why this CPA" for a scored match: which factors drove the score,
+// what the client asked for against what the CPA offers (factor plugin
+// explain()), and what would have raised it. Pure; the same object is returned
+// by /api/match-cpas, stored in matches.match_factors.explanation, and read back by the admin
+// and CPA views.
+//
+// Two scales share one shape:
+//   explainMatch - weighted-average engine score (0-100 points)
+//   explainModel - fitted logistic model (ml_weight_iterations); drivers are
+//                  logit contributions, gains are percentage points of probability
+
+'use strict';
+
+const factors = require('./factors');
+
+const MIN_GAIN = 0.5; // points; smaller "improvements" are noise
+const TOP_DRIVERS = 3;
+
+function round(x, places = 2) {
+  return Math.round(x * 10 ** places) / 10 ** places;
+}
+
+function factorDetail(name, clientProfile, cpa) {
+  const plugin = factors.getFactor(name);
+  const detail = plugin && plugin.explain ? plugin.explain(clientProfile, cpa) : {};
+  return {
+    describe: plugin ? plugin.describe : '',
+    max: detail.best ?? (plugin ? plugin.max : 100),
+    asked: detail.asked ?? null,
+    offered: detail.offered ?? null,
+    hint: detail.hint ?? null,
+  };
+}
+
+function summarize(drivers, improvements, gate) {
+  const parts = [];
+  if (drivers.length) {
+    parts.push(`Matched mainly on ${drivers.map((d) => `${d.factor} (${d.score})`).join(', ')}.`);
+  }
+  if (gate) {
+    parts.push(`Capped at ${gate.cap} because ${gate.factor} scored below ${gate.below}.`);
+  } else if (improvements.length) {
+    const top = improvements[0];
+    parts.push(`Biggest gap: ${top.factor}${top.hint ? ` - a CPA who ${top.hint}` : ''} would add up to ${top.potential_gain} points.`);
+  }
+  return parts.join(' ');
+}
+
+// scored: engine.scoreCandidate output; version: { version, weights }.
+function explainMatch(clientProfile, scored, version) {
+  const scores = scored.factor_scores || {};
+  const weighted = Object.entries(version.weights).filter(([name]) => scores[name] != null);
+  const totalWeight = weighted.reduce((a, [, w]) => a + w, 0);
+  const uncapped = totalWeight > 0
+    ? weighted.reduce((a, [name, w]) => a + scores[name] * w, 0) / totalWeight
+    : 0;
+
+  const rows = Object.keys(scores).map((name) => {
+    const weight = version.weights[name] || 0;
+    const d = factorDetail(name, clientProfile, scored.cpa);
+    const points = totalWeight > 0 ? (scores[name] * weight) / totalWeight : 0;
+    return {
+      factor: name,
+      describe: d.describe,
+      score: scores[name],
+      max: d.max,
+      weight,
+      points: round(points),
+      share: uncapped > 0 ? round(points / uncapped, 3) : 0,
+      asked: d.asked,
+      offered: d.offered,
+      hint: d.hint,
+    };
+  });
+
+  let gate = null;
+  for (const f of factors.listFactors()) {
+    if (f.gate && scores[f.name] != null && scores[f.name] < f.gate.below && uncapped > f.gate.cap) {
+      gate = { factor: f.name, below: f.gate.below, cap: f.gate.cap, uncapped_score: round(uncapped) };
+    }
+  }
+
+  const drivers = rows.filter((r) => r.weight > 0).sort((a, b) => b.points - a.points).slice(0, TOP_DRIVERS)
+    .map(({ factor, score, weight, points, share }) => ({ factor, score, weight, points, share }));
+
+  const improvements = [];
+  if (gate) {
+    const row = rows.find((r) => r.factor === gate.factor);
+    improvements.push({ factor: gate.factor, hint: row.hint, potential_gain: round(uncapped - gate.cap) });
+  }
+  for (const r of rows) {
+    if (r.weight <= 0 || r.score >= r.max) continue;
+    const gain = ((r.max - r.score) * r.weight) / totalWeight;
+    if (gain >= MIN_GAIN) improvements.push({ factor: r.factor, hint: r.hint, potential_gain: round(gain) });
+  }
+  improvements.sort((a, b) => b.potential_gain - a.potential_gain);
+
+  return {
+    version: version.version,
+    score_type: 'weighted_points',
+    overall_score: scored.overall_score,
+    summary: summarize(drivers, improvements, gate),
+    drivers,
+    factors: rows.map(({ hint, ...rest }) => rest),
+    gate,
+    improvements,
+  };
+}
+
+// model: services/ml-engine modelFromIteration output. x values are factor
+// scores / 100, the scale the model was fitted on.
+function explainModel(clientProfile, cpa, model, predictProbability) {
+  const x = model.features.map((name) => {
+    const plugin = factors.getFactor(name);
+    return plugin ? plugin.score(clientProfile, cpa) / 100 : 0.5;
+  });
+  const probability = predictProbability(model, x);
+
+  const rows = model.features.map((name, i) => {
+    const d = factorDetail(name, clientProfile, cpa);
+    return {
+      factor: name,
+      describe: d.describe,
+      score: round(x[i] * 100),
+      max: d.max,
+      weight: round(model.coefficients[i], 4),
+      points: round(model.coefficients[i] * x[i], 3), // logit contribution
+      asked: d.asked,
+      offered: d.offered,
+      hint: d.hint,
+    };
+  });
+
+  const drivers = rows.filter((r) => r.points > 0).sort((a, b) => b.points - a.points).slice(0, TOP_DRIVERS)
+    .map(({ factor, score, weight, points }) => ({ factor, score, weight, points }));
+
+  const improvements = [];
+  rows.forEach((r, i) => {
+    if (model.coefficients[i] <= 0 || r.score >= r.max) return;
+    const lifted = x.slice();
+    lifted[i] = r.max / 100;
+    const gain = (predictProbability(model, lifted) - probability) * 100;
+    if (gain >= MIN_GAIN) improvements.push({ factor: r.factor, hint: r.hint, potential_gain: round(gain) });
+  });
+  improvements.sort((a, b) => b.potential_gain - a.potential_gain);
+
+  return {
+    version: `iter-${model.id}`,
+    score_type: 'probability',
+    overall_score: round(probability * 100),
+    summary: summarize(drivers, improvements, null),
+    drivers,
+    factors: rows.map(({ hint, ...rest }) => rest),
+    gate: null,
+    improvements,
+  };
+}
+
+module.exports = { explainMatch, explainModel };
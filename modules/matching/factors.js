@@ -0,0 +1,214 @@
+// modules/matching/factors.js
+// Factor plugin registry for the SME -> CPA matcher. Each plugin scores one
+// dimension of fit on a 0-100 scale; versions (versions.js) decide how much each
+// factor weighs. A plugin never knows its own weight, so a weight change is a DB
+// row, not a code change.
+//
+// Plugin shape:
+//   {
+//     name,        // key used in version weight sets (closed: registerFactor refuses dupes)
+//     column,      // matches.<column> this score is persisted to, or null (JSONB only)
+//     describe,    // one line for the admin versions view
+//     score(clientProfile, cpa) -> number 0-100
+//     gate?        // { below, cap }: if score < below, overall is capped at `cap`
+//     max?         // best score the plugin can return (default 100); explanations
+//                  // measure "what would have raised the score" against it
+//     explain?(clientProfile, cpa) -> { asked, offered, hint, best? }
+//                  // plain-language inputs for match explanations (explain.js);
+//                  // hint says what would lift the score; best overrides max
+//                  // when this client cannot reach it (e.g. a small client tops out at 90)
+//   }
+//
+// The six built-ins are the v1.0 scorers moved verbatim out of server.js
+// runCPAMatchingAlgorithm; their numbers must not drift or v1.0 stops meaning v1.0.
+
+'use strict';
+
+const registry = new Map();
+
+function parseSpecs(cpa) {
+  if (Array.isArray(cpa.specializations)) return cpa.specializations;
+  if (typeof cpa.specializations === 'string') {
+    try { return JSON.parse(cpa.specializations) || []; } catch (_) { return []; }
+  }
+  return [];
+}
+
+function registerFactor(plugin) {
+  if (!plugin || !plugin.name || typeof plugin.score !== 'function') {
+    throw new Error('[matching] factor plugin needs a name and a score(clientProfile, cpa) function');
+  }
+  if (registry.has(plugin.name)) {
+    throw new Error(`[matching] factor '${plugin.name}' is already registered`);
+  }
+  registry.set(plugin.name, {
+    column: null,
+    describe: '',
+    gate: null,
+    max: 100,
+    explain: null,
+    ...plugin,
+  });
+}
+
+function getFactor(name) {
+  return registry.get(name) || null;
+}
+
+function listFactors() {
+  return [...registry.values()].map((f) => ({ name: f.name, column: f.column, describe: f.describe, gate: f.gate, max: f.max }));
+}
+
+// --- built-in v1.0 factors ---------------------------------------------------
+
+registerFactor({
+  name: 'specialization',
+  column: 'specialization_score',
+  describe: 'Client service_type appears in the CPA specializations list',
+  score(clientProfile, cpa) {
+    const specs = parseSpecs(cpa);
+    if (clientProfile.service_type && specs.some((s) => (s || '').toLowerCase().includes(clientProfile.service_type.toLowerCase()))) return 95;
+    if (specs.length > 3) return 70;
+    return 50;
+  },
+  max: 95,
+  explain(clientProfile, cpa) {
+    const specs = parseSpecs(cpa);
+    return {
+      asked: clientProfile.service_type || null,
+      offered: specs.length ? specs.join(', ') : null,
+      hint: clientProfile.service_type ? `lists ${clientProfile.service_type} among its specializations` : 'lists more than three specializations',
+      best: clientProfile.service_type ? 95 : 70,
+    };
+  },
+});
+
+registerFactor({
+  name: 'client_size',
+  column: 'client_size_score',
+  describe: 'Client business_size against the CPA firm_size',
+  score(clientProfile, cpa) {
+    const firmSize = (cpa.firm_size || '').toLowerCase();
+    const clientSize = (clientProfile.business_size || '').toLowerCase();
+    if (!clientSize) return 70; // no preference
+    if (clientSize === 'large' && ['large', 'big 4', 'national'].some((s) => firmSize.includes(s))) return 95;
+    if (clientSize === 'large' && firmSize.includes('medium')) return 70;
+    if (clientSize === 'medium' && ['medium', 'large', 'regional'].some((s) => firmSize.includes(s))) return 90;
+    if (clientSize === 'medium' && ['small', 'solo'].some((s) => firmSize.includes(s))) return 60;
+    if (clientSize === 'small' && ['small', 'solo', 'boutique'].some((s) => firmSize.includes(s))) return 90;
+    if (clientSize === 'small' && firmSize.includes('medium')) return 75;
+    if (clientSize === 'solo' && ['solo', 'small', 'boutique'].some((s) => firmSize.includes(s))) return 95;
+    if (clientSize === 'solo') return 60;
+    return 65;
+  },
+  max: 95,
+  explain(clientProfile, cpa) {
+    const fit = { large: 'a large or national firm', medium: 'a medium or regional firm', small: 'a small or boutique firm', solo: 'a solo or small practice' };
+    const ceiling = { large: 95, medium: 90, small: 90, solo: 95 };
+    const clientSize = (clientProfile.business_size || '').toLowerCase();
+    return {
+      asked: clientProfile.business_size || null,
+      offered: cpa.firm_size || null,
+      hint: fit[clientSize] ? `is ${fit[clientSize]}` : null,
+      best: clientSize ? (ceiling[clientSize] || 65) : 70,
+    };
+  },
+});
+
+registerFactor({
+  name: 'fee',
+  column: 'fee_score',
+  describe: 'Client fee_preference against the CPA hourly_rate_min',
+  score(clientProfile, cpa) {
+    const feePreference = (clientProfile.fee_preference || '').toLowerCase();
+    if (feePreference === 'no-preference' || !feePreference) return 80;
+    const hourlyRate = parseFloat(cpa.hourly_rate_min) || 0;
+    if (feePreference === 'budget') {
+      return hourlyRate === 0 ? 75 : (hourlyRate < 150 ? 90 : (hourlyRate < 250 ? 60 : 30));
+    }
+    if (feePreference === 'moderate') {
+      return hourlyRate === 0 ? 70 : (hourlyRate >= 150 && hourlyRate <= 350 ? 90 : (hourlyRate < 150 ? 75 : 50));
+    }
+    if (feePreference === 'premium') {
+      return hourlyRate >= 300 ? 90 : (hourlyRate >= 200 ? 70 : 50);
+    }
+    return 60;
+  },
+  max: 90,
+  explain(clientProfile, cpa) {
+    const fit = { budget: 'bills under $150/hr', moderate: 'bills $150-350/hr', premium: 'bills $300/hr or more' };
+    const feePreference = (clientProfile.fee_preference || '').toLowerCase();
+    const hourlyRate = parseFloat(cpa.hourly_rate_min) || 0;
+    return {
+      asked: clientProfile.fee_preference || null,
+      offered: hourlyRate ? `from $${hourlyRate}/hr` : null,
+      hint: fit[feePreference] || null,
+      best: fit[feePreference] ? 90 : (!feePreference || feePreference === 'no-preference' ? 80 : 60),
+    };
+  },
+});
+
+// registry_checked scores 70: paid profiles were stamped 'verified' (100) by the
+// payment webhook before ruling B8; the v1.0 weight is 0.00 so only the gate
+// matters, and 70 keeps the gate open exactly as 100 did.
+registerFactor({
+  name: 'regulatory',
+  column: 'regulatory_score',
+  describe: 'Verification status (pass/fail gate: below 50 caps the overall at 40)',
+  gate: { below: 50, cap: 40 },
+  score(clientProfile, cpa) {
+    if (cpa.verification_status === 'verified') return 100;
+    if (cpa.verification_status === 'registry_checked') return 70;
+    return cpa.designation ? 70 : 30;
+  },
+  explain(clientProfile, cpa) {
+    return {
+      asked: 'a verified CPA',
+      offered: cpa.verification_status || (cpa.designation ? `designation ${cpa.designation}` : 'unverified'),
+      hint: 'is fully verified',
+    };
+  },
+});
+
+registerFactor({
+  name: 'geographic',
+  column: 'geographic_score',
+  describe: 'Same province, ON/QC corridor, or virtual meeting preference',
+  score(clientProfile, cpa) {
+    let geoScore;
+    if (clientProfile.province && cpa.province && clientProfile.province.toLowerCase() === cpa.province.toLowerCase()) geoScore = 95;
+    else if (['ON', 'QC'].includes((clientProfile.province || '').toUpperCase()) && ['ON', 'QC'].includes((cpa.province || '').toUpperCase())) geoScore = 70;
+    else geoScore = 40;
+    if ((clientProfile.meeting_preference || '').toLowerCase() === 'virtual') geoScore = Math.max(geoScore, 80);
+    return geoScore;
+  },
+  max: 95,
+  explain(clientProfile, cpa) {
+    return {
+      asked: [clientProfile.province, clientProfile.meeting_preference].filter(Boolean).join(', ') || null,
+      offered: [cpa.city, cpa.province].filter(Boolean).join(', ') || null,
+      hint: clientProfile.province ? `practises in ${clientProfile.province}` : null,
+    };
+  },
+});
+
+registerFactor({
+  name: 'availability',
+  column: 'availability_score',
+  describe: 'Capacity proxy from subscription tier',
+  score(clientProfile, cpa) {
+    if (cpa.subscription_tier === 'enterprise') return 95;
+    if (cpa.subscription_tier === 'professional') return 80;
+    return 60;
+  },
+  max: 95,
+  explain(clientProfile, cpa) {
+    return {
+      asked: clientProfile.timeline || null,
+      offered: cpa.subscription_tier ? `${cpa.subscription_tier} capacity` : null,
+      hint: 'has enterprise-tier capacity',
+    };
+  },
+});
+
+module.exports = { registerFactor, getFactor, listFactors, parseSpecs };
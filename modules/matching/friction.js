@@ -0,0 +1,138 @@
+// modules/matching/friction.js
+// Scorer behind the friction funnel (/api/friction/sme-request), moved verbatim
+// out of server.js generateFrictionBasedMatches so the replay harness can run it
+// offline. Unlike the factor engine this one is not weight-driven: a change to
+// it is a new entry in FRICTION_SCORERS, not a matching_algorithm_versions row.
+
+'use strict';
+
+const { parseSpecs } = require('./factors');
+
+const FRICTION_VERSION = 'friction-v1';
+const TOP_N = 3;
+
+// Scored pool: real CPAs only. Arthur-linked, @testcpa seed and the fallback
+// profile are excluded; the house fallback enters only via the <3 append.
+const CANDIDATE_FILTER_SQL = `is_active = true
+         AND COALESCE(fallback_priority, false) = false
+         AND email NOT ILIKE '%@testcpa.com'
+         AND email NOT ILIKE 'arthur@%' AND email NOT ILIKE 'arthur+%' AND email NOT ILIKE '%negotiateandwin%'
+         AND email NOT ILIKE '%akrosfinancial%'
+         AND email NOT ILIKE '%@test.%' AND email NOT ILIKE '%@example.%'`;
+
+// Map pain points to relevant specializations
+const PAIN_POINT_SPECIALIZATIONS = {
+  'time-drain': ['bookkeeping', 'payroll', 'small business', 'accounting'],
+  'tax-stress': ['tax-planning', 'tax', 'compliance', 'tax planning'],
+  'financial-chaos': ['cfo-services', 'financial-planning', 'financial', 'consulting', 'advisory'],
+  'cpa-search': null // matches all specializations
+};
+
+const SIZE_COMPATIBILITY = {
+  'startup': ['solo', 'small'],
+  'small': ['solo', 'small', 'medium'],
+  'medium': ['small', 'medium', 'large'],
+  'large': ['medium', 'large']
+};
+
+// friction-v1 points: specialization 40/10 (30 for cpa-search), province 20/5,
+// experience 15/12/8/4, firm size fit 15/5, verified +10; capped at 100.
+function scoreFrictionV1(request, cpa) {
+  let score = 0;
+
+  const relevantSpecs = PAIN_POINT_SPECIALIZATIONS[request.painPoint] || null;
+  if (relevantSpecs) {
+    const specMatch = parseSpecs(cpa).some(spec =>
+      relevantSpecs.some(rs => (spec || '').toLowerCase().includes(rs))
+    );
+    score += specMatch ? 40 : 10;
+  } else {
+    // cpa-search matches everyone
+    score += 30;
+  }
+
+  const smeLocation = (request.contactInfo?.province || request.contactInfo?.location || '').toLowerCase();
+  const cpaProvince = (cpa.province || '').toLowerCase();
+  if (smeLocation && cpaProvince && smeLocation.includes(cpaProvince)) {
+    score += 20;
+  } else if (cpaProvince) {
+    score += 5;
+  }
+
+  const years = cpa.years_experience || 0;
+  if (years >= 15) score += 15;
+  else if (years >= 10) score += 12;
+  else if (years >= 5) score += 8;
+  else score += 4;
+
+  const bizSize = (request.businessSize || '').toLowerCase();
+  const firmSize = (cpa.firm_size || '').toLowerCase();
+  if (SIZE_COMPATIBILITY[bizSize] && SIZE_COMPATIBILITY[bizSize].some(s => firmSize.includes(s))) {
+    score += 15;
+  } else {
+    score += 5;
+  }
+
+  if (cpa.verification_status === 'verified') {
+    score += 10;
+  }
+
+  return Math.min(100, score);
+}
+
+const FRICTION_SCORERS = {
+  [FRICTION_VERSION]: scoreFrictionV1,
+};
+
+// The card shape the friction funnel returns and storeFrictionMatches persists.
+function toFrictionMatch(request, cpa, matchScore) {
+  return {
+    id: String(cpa.id), // cpa_profiles.id — registry the matcher queries; notify resolves from cpa_profiles, not scraped_cpas
+    name: `${cpa.first_name || ''} ${cpa.last_name || ''}`.trim() || cpa.firm_name || 'CPA',
+    specializations: parseSpecs(cpa),
+    experience: cpa.years_experience || 0,
+    frictionExpertise: request.painPoint || 'general',
+    successRate: cpa.verification_status === 'verified' ? 90 : 75,
+    avgTimeSavings: `${Math.max(10, (cpa.years_experience || 5) * 2)} hours/month`,
+    avgCostSavings: `$${Math.max(2000, (cpa.years_experience || 5) * 400).toLocaleString()}/year`,
+    location: `${cpa.city || ''}, ${cpa.province || ''}`.replace(/^, |, $/g, '') || 'Canada',
+    availability: 'within_24h',
+    matchScore: matchScore
+  };
+}
+
+function scoreFrictionCandidate(request, cpa, version = FRICTION_VERSION) {
+  const scorer = FRICTION_SCORERS[version];
+  if (!scorer) throw new Error(`[matching] unknown friction scorer '${version}'`);
+  return toFrictionMatch(request, cpa, scorer(request, cpa));
+}
+
+// Stable sort: equal scores keep pool order, as the inline scorer did.
+function rankFrictionCandidates(request, cpas, version = FRICTION_VERSION, limit = TOP_N) {
+  const scored = cpas.map((cpa) => scoreFrictionCandidate(request, cpa, version));
+  scored.sort((a, b) => b.matchScore - a.matchScore);
+  return limit == null ? scored : scored.slice(0, limit);
+}
+
+// sme_friction_requests row -> the request shape the funnel scores.
+function requestFromRow(row) {
+  const contactInfo = typeof row.contact_info === 'string'
+    ? JSON.parse(row.contact_info || '{}')
+    : (row.contact_info || {});
+  return {
+    painPoint: row.pain_point,
+    businessType: row.business_type,
+    businessSize: row.business_size,
+    contactInfo,
+  };
+}
+
+module.exports = {
+  FRICTION_VERSION,
+  FRICTION_SCORERS,
+  CANDIDATE_FILTER_SQL,
+  TOP_N,
+  scoreFrictionCandidate,
+  rankFrictionCandidates,
+  requestFromRow,
+};
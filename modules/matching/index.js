@@ -0,0 +1,40 @@
+// modules/matching/index.js
+// Composition root for the versioned matching engine. server.js touchpoints:
+//
+//   const matching = require('./modules/matching')({ pool });
+//   app.use(matching.adminRouter);      // /api/admin/matching/* — admin umbrella gates by prefix
+//   await matching.ensureSchema();      // boot (new tables + v1.0 seed)
+//   matching.runMatch(clientProfile)    // what runCPAMatchingAlgorithm delegates to
+//   matching.friction                   // friction-funnel scorer (generateFrictionBasedMatches)
+//
+// New scoring dimensions are factor plugins (factors.registerFactor); new
+// weightings are rows in matching_algorithm_versions. Neither needs server.js.
+
+'use strict';
+
+const factors = require('./factors');
+const versions = require('./versions');
+const engine = require('./engine');
+const friction = require('./friction');
+const schema = require('./schema');
+const buildAdminRoutes = require('./routes.admin');
+
+function createMatchingModule(injected) {
+  const { pool } = injected || {};
+  if (!pool) throw new Error('[matching] pool is required');
+
+  const adminRouter = buildAdminRoutes({ pool, versions, factors });
+
+  return {
+    factors,
+    versions,
+    engine,
+    friction,
+    adminRouter,
+    registerFactor: factors.registerFactor,
+    runMatch: (clientProfile) => engine.runMatch(pool, clientProfile),
+    ensureSchema: () => schema.ensureMatchingSchema(pool),
+  };
+}
+
+module.exports = createMatchingModule;
@@ -0,0 +1,328 @@
+// modules/matching/replay.js
+// Offline replay of historical match requests through any scorer, graded
+// against what actually happened downstream. Driven by scripts/match-replay.js
+// against a local Postgres snapshot; never writes.
+//
+// A "case" is one historical request plus the set of CPAs it eventually engaged:
+//   client  - client_profiles row; engaged = matches rows the CPA or client
+//             responded to (or moved past pending), plus conversions.
+//   friction - sme_friction_requests row; engaged = friction_matches whose
+//             lead_status reached advisor_accepted or later, outcome 'won', or
+//             advisor_response 'accepted', plus conversions. Requests the admin
+//             lead overlay marked spam are dropped.
+//   conversion - the CPA's cpa_subscriptions row was created within
+//             CONVERSION_WINDOW_DAYS after it was shown the request.
+//
+// Candidate pools are approximated point-in-time from the snapshot: CPAs created
+// after the request are dropped, client pools require a subscription covering
+// the request time, and the CPAs that were actually shown are always eligible.
+// is_active and profile edits are current state; treat absolute numbers as
+// indicative and the diff between two scorers as the signal.
+
+'use strict';
+
+const fs = require('fs');
+const engine = require('./engine');
+const versions = require('./versions');
+const friction = require('./friction');
+
+const DEFAULT_K = 3;
+const CONVERSION_WINDOW_DAYS = 30;
+const ENGAGED_MATCH_STATUSES = ['accepted', 'contacted', 'engaged', 'completed', 'won'];
+const ENGAGED_LEAD_STATUSES = ['advisor_accepted', 'client_contacted', 'won'];
+const SOURCES = ['client', 'friction'];
+
+// --- scorers -----------------------------------------------------------------
+
+// spec: a friction scorer id (friction-v1), a matching_algorithm_versions id
+// (any status, drafts included), or a path to a JSON file { version, weights }
+// for a weight set that has not been saved yet.
+async function resolveScorer(pool, spec) {
+  if (friction.FRICTION_SCORERS[spec]) {
+    return {
+      id: spec,
+      source: 'friction',
+      rank: (input, cpas) => friction.rankFrictionCandidates(input, cpas, spec, null).map((m) => m.id),
+    };
+  }
+
+  let version;
+  if (/\.json$/i.test(spec)) {
+    const parsed = JSON.parse(fs.readFileSync(spec, 'utf8'));
+    version = { version: parsed.version || spec, weights: parsed.weights };
+  } else {
+    version = await versions.getVersion(pool, spec);
+    if (!version && spec === 'v1.0') version = versions.builtinV1();
+  }
+  if (!version) throw new Error(`unknown algorithm version '${spec}'`);
+  const valid = versions.validateWeights(version.weights);
+  if (!valid.ok) throw new Error(`${spec}: ${valid.message}`);
+
+  return {
+    id: version.version,
+    source: 'client',
+    rank: (input, cpas) => engine.rankCandidates(input, cpas, version, Infinity).map((m) => String(m.cpa.id)),
+  };
+}
+
+// --- snapshot loaders ----------------------------------------------------------
+
+function windowClause(column, opts, params) {
+  const parts = [];
+  if (opts.since) { params.push(opts.since); parts.push(`${column} >= $${params.length}`); }
+  if (opts.until) { params.push(opts.until); parts.push(`${column} < $${params.length}`); }
+  return parts.length ? `AND ${parts.join(' AND ')}` : '';
+}
+
+function limitClause(opts, params) {
+  if (!opts.limit) return '';
+  params.push(opts.limit);
+  return `LIMIT $${params.length}`;
+}
+
+function isConversion(sub, shownAt) {
+  if (!sub || !sub.created_at || !shownAt) return false;
+  const delta = new Date(sub.created_at) - new Date(shownAt);
+  return delta >= 0 && delta <= CONVERSION_WINDOW_DAYS * 86400000;
+}
+
+async function loadSubscriptions(pool) {
+  const { rows } = await pool.query(
+    `SELECT cpa_profile_id, status, created_at, updated_at, current_period_start, current_period_end
+       FROM cpa_subscriptions`
+  );
+  return new Map(rows.map((r) => [String(r.cpa_profile_id), r]));
+}
+
+async function loadClientCases(pool, opts = {}) {
+  const params = [];
+  const { rows: profiles } = await pool.query(
+    `SELECT * FROM client_profiles WHERE true ${windowClause('created_at', opts, params)}
+      ORDER BY created_at ${limitClause(opts, params)}`,
+    params
+  );
+  if (profiles.length === 0) return [];
+
+  const [{ rows: shown }, subs] = await Promise.all([
+    pool.query(
+      `SELECT id, client_profile_id, cpa_profile_id, status, cpa_responded_at, client_responded_at, algorithm_version, created_at
+         FROM matches WHERE client_profile_id = ANY($1::int[]) ORDER BY id`,
+      [profiles.map((p) => p.id)]
+    ),
+    loadSubscriptions(pool),
+  ]);
+
+  return profiles.map((p) => {
+    const rowsFor = shown.filter((m) => m.client_profile_id === p.id);
+    const engaged = new Set();
+    for (const m of rowsFor) {
+      const cpaId = String(m.cpa_profile_id);
+      if (ENGAGED_MATCH_STATUSES.includes(m.status) || m.cpa_responded_at || m.client_responded_at
+          || isConversion(subs.get(cpaId), m.created_at)) {
+        engaged.add(cpaId);
+      }
+    }
+    return {
+      source: 'client',
+      id: p.id,
+      created_at: p.created_at,
+      input: p,
+      shown: rowsFor.map((m) => String(m.cpa_profile_id)),
+      served_version: rowsFor[0] ? rowsFor[0].algorithm_version : null,
+      engaged,
+    };
+  });
+}
+
+async function loadFrictionCases(pool, opts = {}) {
+  const params = [];
+  const { rows: requests } = await pool.query(
+    `SELECT sfr.* FROM sme_friction_requests sfr
+       LEFT JOIN lead_status ls ON ls.lead_type = 'sme_friction_request' AND ls.lead_id = sfr.id
+      WHERE COALESCE(ls.status, '') <> 'spam' ${windowClause('sfr.created_at', opts, params)}
+      ORDER BY sfr.created_at ${limitClause(opts, params)}`,
+    params
+  );
+  if (requests.length === 0) return [];
+
+  const [{ rows: shown }, subs] = await Promise.all([
+    pool.query(
+      `SELECT request_id, cpa_id, lead_status, advisor_response, outcome, created_at
+         FROM friction_matches WHERE request_id = ANY($1::text[]) ORDER BY match_id`,
+      [requests.map((r) => r.request_id)]
+    ),
+    loadSubscriptions(pool),
+  ]);
+
+  return requests.map((r) => {
+    const rowsFor = shown.filter((m) => m.request_id === r.request_id);
+    const engaged = new Set();
+    for (const m of rowsFor) {
+      const cpaId = String(m.cpa_id);
+      if (ENGAGED_LEAD_STATUSES.includes(m.lead_status) || m.outcome === 'won' || m.advisor_response === 'accepted'
+          || isConversion(subs.get(cpaId), m.created_at)) {
+        engaged.add(cpaId);
+      }
+    }
+    return {
+      source: 'friction',
+      id: r.request_id,
+      created_at: r.created_at,
+      input: friction.requestFromRow(r),
+      shown: rowsFor.map((m) => String(m.cpa_id)),
+      served_version: friction.FRICTION_VERSION,
+      engaged,
+    };
+  });
+}
+
+// Every CPA that could ever have been a candidate, in the live pools' tie-break
+// order; per-case eligibility is applied by eligibleAt.
+async function loadCandidates(pool) {
+  const [{ rows: client }, { rows: frictionRows }, subs] = await Promise.all([
+    pool.query(
+      `SELECT cp.* FROM cpa_profiles cp
+        WHERE cp.is_active = true AND cp.profile_status = 'active'
+          AND COALESCE(cp.fallback_priority, false) = false
+        ORDER BY CASE cp.subscription_tier WHEN 'enterprise' THEN 1 WHEN 'professional' THEN 2 ELSE 3 END, cp.id`
+    ),
+    pool.query(`SELECT * FROM cpa_profiles WHERE ${friction.CANDIDATE_FILTER_SQL} ORDER BY id`),
+    loadSubscriptions(pool),
+  ]);
+  return { client, friction: frictionRows, subs };
+}
+
+function subscribedAt(cpa, sub, at) {
+  if (!sub) return cpa.subscription_status === 'active';
+  const start = sub.current_period_start || sub.created_at;
+  if (start && new Date(start) > at) return false;
+  if (sub.status === 'active') return true;
+  // Lapsed since: the row's last change bounds when it stopped covering.
+  return !!sub.updated_at && new Date(sub.updated_at) > at;
+}
+
+function eligibleAt(candidates, kase) {
+  const at = new Date(kase.created_at);
+  const shown = new Set(kase.shown);
+  return candidates[kase.source].filter((cpa) => {
+    if (shown.has(String(cpa.id))) return true;
+    const created = cpa.created_date || cpa.created_at;
+    if (created && new Date(created) > at) return false;
+    if (kase.source === 'client') return subscribedAt(cpa, candidates.subs.get(String(cpa.id)), at);
+    return true;
+  });
+}
+
+// --- metrics -------------------------------------------------------------------
+
+// ranked: CPA ids best-first (the full replayed ranking, not just the top k).
+function evaluateCase(ranked, engaged, k = DEFAULT_K) {
+  const position = new Map(ranked.map((id, i) => [id, i + 1]));
+  const ranks = [...engaged].map((id) => position.get(id) || null);
+  const found = ranks.filter((r) => r != null);
+  const hitsAtK = found.filter((r) => r <= k).length;
+  const best = found.length ? Math.min(...found) : null;
+  return {
+    precision_at_k: hitsAtK / k,
+    hit_at_k: hitsAtK > 0,
+    reciprocal_rank: best ? 1 / best : 0,
+    ranks,
+    top1: ranked[0] || null,
+  };
+}
+
+function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+}
+
+function round(x, places = 4) {
+  return x == null ? null : Math.round(x * 10 ** places) / 10 ** places;
+}
+
+// Cases with no engaged CPA carry no ranking signal and are counted, not scored.
+// Engaged CPAs missing from the replayed pool (deleted, deactivated) are
+// reported as unrankable rather than silently scored as misses.
+function summarize(results, k = DEFAULT_K) {
+  const graded = results.filter((r) => r.engaged_count > 0);
+  const ranks = graded.flatMap((r) => r.ranks.filter((x) => x != null));
+  return {
+    cases: results.length,
+    graded_cases: graded.length,
+    k,
+    precision_at_k: round(mean(graded.map((r) => r.precision_at_k))),
+    hit_rate_at_k: round(mean(graded.map((r) => (r.hit_at_k ? 1 : 0)))),
+    mrr: round(mean(graded.map((r) => r.reciprocal_rank))),
+    mean_engaged_rank: round(mean(ranks), 2),
+    unrankable_engaged: graded.reduce((n, r) => n + r.ranks.filter((x) => x == null).length, 0),
+  };
+}
+
+function replay(cases, candidates, scorer, k = DEFAULT_K) {
+  const results = [];
+  for (const kase of cases) {
+    if (kase.source !== scorer.source) continue;
+    const ranked = scorer.rank(kase.input, eligibleAt(candidates, kase));
+    results.push({ id: kase.id, engaged_count: kase.engaged.size, ...evaluateCase(ranked, kase.engaged, k) });
+  }
+  return { version: scorer.id, source: scorer.source, summary: summarize(results, k), results };
+}
+
+const METRICS = ['precision_at_k', 'hit_rate_at_k', 'mrr', 'mean_engaged_rank'];
+
+// Pairs the two runs case by case. For mean_engaged_rank lower is better; the
+// per-case movers use the best engaged rank so one case counts once.
+function diffRuns(base, compare) {
+  const delta = {};
+  for (const m of METRICS) {
+    const a = base.summary[m];
+    const b = compare.summary[m];
+    delta[m] = a == null || b == null ? null : round(b - a);
+  }
+
+  const byId = new Map(compare.results.map((r) => [r.id, r]));
+  let improved = 0;
+  let worsened = 0;
+  let top1Changed = 0;
+  const movers = [];
+  for (const a of base.results) {
+    const b = byId.get(a.id);
+    if (!b) continue;
+    if (a.top1 !== b.top1) top1Changed++;
+    if (a.engaged_count === 0) continue;
+    if (b.reciprocal_rank > a.reciprocal_rank) improved++;
+    else if (b.reciprocal_rank < a.reciprocal_rank) worsened++;
+    if (b.reciprocal_rank !== a.reciprocal_rank) {
+      const rankOf = (rr) => (rr ? Math.round(1 / rr) : null);
+      movers.push({ id: a.id, base_rank: rankOf(a.reciprocal_rank), compare_rank: rankOf(b.reciprocal_rank) });
+    }
+  }
+  movers.sort((x, y) => Math.abs((y.base_rank || 0) - (y.compare_rank || 0)) - Math.abs((x.base_rank || 0) - (x.compare_rank || 0)));
+
+  return {
+    base: base.version,
+    compare: compare.version,
+    source: base.source,
+    delta,
+    improved_cases: improved,
+    worsened_cases: worsened,
+    top1_changed: top1Changed,
+    movers,
+  };
+}
+
+module.exports = {
+  DEFAULT_K,
+  SOURCES,
+  CONVERSION_WINDOW_DAYS,
+  ENGAGED_MATCH_STATUSES,
+  ENGAGED_LEAD_STATUSES,
+  resolveScorer,
+  loadClientCases,
+  loadFrictionCases,
+  loadCandidates,
+  eligibleAt,
+  evaluateCase,
+  summarize,
+  replay,
+  diffRuns,
+};
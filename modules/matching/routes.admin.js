@@ -0,0 +1,147 @@
+// modules/matching/routes.admin.js
+// Admin surface for algorithm versions and served-match explanations. Paths live under /api/admin/* and
+// inherit the `app.use('/api/admin', authenticateToken, requireAdmin)` umbrella
+// in server.js, so they are admin-gated by mount.
+
+'use strict';
+
+const express = require('express');
+
+// A positive-integer query parameter: undefined when absent, NaN when it is
+// anything else (the route answers 400 rather than handing NaN to SQL).
+function intParam(raw) {
+  if (raw === undefined || raw === '') return undefined;
+  return /^\d+$/.test(String(raw)) && parseInt(raw, 10) > 0 ? parseInt(raw, 10) : NaN;
+}
+
+function buildAdminRoutes({ pool, versions, factors }) {
+  const router = express.Router();
+
+  // GET /api/admin/matching/versions - all versions + registered factors +
+  // served-match counts, so an admin can see which version produced what.
+  router.get('/api/admin/matching/versions', async (req, res) => {
+    try {
+      const [all, counts] = await Promise.all([
+        versions.loadVersions(pool, { bypassCache: true }),
+        pool.query(
+          `SELECT algorithm_version, count(*)::int AS matches_30d
+             FROM matches WHERE created_at > now() - interval '30 days'
+            GROUP BY algorithm_version`
+        ),
+      ]);
+      const byVersion = Object.fromEntries(counts.rows.map((r) => [r.algorithm_version, r.matches_30d]));
+      return res.json({
+        versions: all.map((v) => ({ ...v, matches_30d: byVersion[v.version] || 0 })),
+        factors: factors.listFactors(),
+      });
+    } catch (err) {
+      console.error('[matching/admin] versions list error:', err.message);
+      return res.status(500).json({ error: 'list failed' });
+    }
+  });
+
+  // POST /api/admin/matching/versions { version, weights, parent_version, notes }
+  // New versions land as 'draft'; promotion is a separate status call.
+  router.post('/api/admin/matching/versions', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const result = await versions.createVersion(pool, {
+        version: body.version,
+        weights: body.weights,
+        parentVersion: body.parent_version,
+        notes: body.notes,
+        createdBy: req.user && req.user.email,
+      });
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.status(201).json(result.version);
+    } catch (err) {
+      console.error('[matching/admin] create version error:', err.message);
+      return res.status(500).json({ error: 'create failed' });
+    }
+  });
+
+  // POST /api/admin/matching/versions/:version/status { status, traffic_share }
+  router.post('/api/admin/matching/versions/:version/status', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const result = await versions.setStatus(pool, req.params.version, {
+        status: body.status,
+        trafficShare: body.traffic_share,
+      });
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      console.log(`[matching/admin] ${req.params.version} -> ${body.status} (share=${body.traffic_share ?? 'default'}) by ${req.user && req.user.email}`);
+      return res.json(result.version);
+    } catch (err) {
+      console.error('[matching/admin] status change error:', err.message);
+      return res.status(500).json({ error: 'status change failed' });
+    }
+  });
+
+  // GET /api/admin/matching/shadow-compare?days=7 - per version pair: requests
+  // compared, same top-1 rate, mean top-5 overlap.
+  router.get('/api/admin/matching/shadow-compare', async (req, res) => {
+    try {
+      const days = intParam(req.query.days);
+      if (Number.isNaN(days)) return res.status(400).json({ error: 'days must be a positive integer' });
+      const windowDays = Math.min(90, days || 7);
+      const { rows } = await pool.query(
+        `SELECT served_version, shadow_version,
+                count(*)::int AS requests,
+                avg(CASE WHEN served_ranking->0->>'cpa_id' = shadow_ranking->0->>'cpa_id' THEN 1 ELSE 0 END)::float AS same_top1_rate,
+                avg((
+                  SELECT count(*) FROM jsonb_array_elements(served_ranking) s
+                   WHERE EXISTS (SELECT 1 FROM jsonb_array_elements(shadow_ranking) t WHERE t->>'cpa_id' = s->>'cpa_id')
+                ))::float AS mean_top5_overlap
+           FROM matching_shadow_results
+          WHERE created_at > now() - ($1 || ' days')::interval
+          GROUP BY served_version, shadow_version
+          ORDER BY requests DESC`,
+        [String(windowDays)]
+      );
+      return res.json({ days: windowDays, pairs: rows });
+    } catch (err) {
+      console.error('[matching/admin] shadow compare error:', err.message);
+      return res.status(500).json({ error: 'compare failed' });
+    }
+  });
+
+  // GET /api/admin/matching/matches?client_profile_id=&cpa_profile_id=&limit=50 -
+  // served matches with the stored explanation (why the lead reached the CPA).
+  router.get('/api/admin/matching/matches', async (req, res) => {
+    try {
+      const params = [];
+      const where = [];
+      for (const key of ['client_profile_id', 'cpa_profile_id', 'limit']) {
+        if (Number.isNaN(intParam(req.query[key]))) return res.status(400).json({ error: `${key} must be a positive integer` });
+      }
+      for (const key of ['client_profile_id', 'cpa_profile_id']) {
+        const id = intParam(req.query[key]);
+        if (id !== undefined) {
+          params.push(id);
+          where.push(`m.${key} = $${params.length}`);
+        }
+      }
+      params.push(Math.min(200, intParam(req.query.limit) || 50));
+      const { rows } = await pool.query(
+        `SELECT m.id, m.client_profile_id, m.cpa_profile_id, m.overall_score, m.algorithm_version,
+                m.status, m.created_at,
+                TRIM(COALESCE(cp.first_name, '') || ' ' || COALESCE(cp.last_name, '')) AS cpa_name,
+                m.match_factors->'explanation' AS explanation
+           FROM matches m
+           LEFT JOIN cpa_profiles cp ON cp.id = m.cpa_profile_id
+          ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+          ORDER BY m.created_at DESC
+          LIMIT $${params.length}`,
+        params
+      );
+      return res.json({ matches: rows });
+    } catch (err) {
+      console.error('[matching/admin] matches list error:', err.message);
+      return res.status(500).json({ error: 'list failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildAdminRoutes;
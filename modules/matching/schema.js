@@ -0,0 +1,71 @@
+// modules/matching/schema.js
+// Boot-time DDL for the matching engine. New tables are created empty; the one
+// client_profiles touch is a nullable ADD COLUMN IF NOT EXISTS, the same shape
+// server.js already applies to production tables at boot.
+//
+// Version ids are VARCHAR(10) because matches.algorithm_version is VARCHAR(10)
+// and every served match records the version that produced it.
+
+'use strict';
+
+const V1_WEIGHTS = {
+  specialization: 0.25,
+  client_size: 0.20,
+  fee: 0.15,
+  regulatory: 0.00,
+  geographic: 0.20,
+  availability: 0.20,
+};
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS matching_algorithm_versions (
+  version         VARCHAR(10) PRIMARY KEY,
+  weights         JSONB NOT NULL,
+  status          TEXT NOT NULL DEFAULT 'draft'
+                  CHECK (status IN ('draft','active','shadow','retired')),
+  traffic_share   NUMERIC(4,3) NOT NULL DEFAULT 0 CHECK (traffic_share >= 0 AND traffic_share <= 1),
+  parent_version  VARCHAR(10),
+  notes           TEXT,
+  created_by      TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  activated_at    TIMESTAMPTZ,
+  retired_at      TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_matching_versions_status ON matching_algorithm_versions(status);
+
+CREATE TABLE IF NOT EXISTS matching_shadow_results (
+  id                SERIAL PRIMARY KEY,
+  client_profile_id INTEGER NOT NULL,
+  served_version    VARCHAR(10) NOT NULL,
+  shadow_version    VARCHAR(10) NOT NULL,
+  served_ranking    JSONB NOT NULL,
+  shadow_ranking    JSONB NOT NULL,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_matching_shadow_results_created ON matching_shadow_results(created_at);
+CREATE INDEX IF NOT EXISTS idx_matching_shadow_results_versions ON matching_shadow_results(served_version, shadow_version);
+`;
+
+// client_profiles is created by the server.js boot migration, which runs
+// concurrently with this one. On an existing database the ALTER is a no-op-or-add;
+// on a fresh one it can race table creation, so it is applied separately and a
+// failure is logged rather than failing the module boot.
+const CLIENT_PROFILE_DDL = `ALTER TABLE client_profiles ADD COLUMN IF NOT EXISTS algorithm_version VARCHAR(10)`;
+
+async function ensureMatchingSchema(pool) {
+  await pool.query(DDL);
+  await pool.query(CLIENT_PROFILE_DDL).catch((err) => {
+    console.error('[matching] client_profiles.algorithm_version ALTER deferred:', err.message);
+  });
+  // Seed v1.0 as the serving version so a fresh database scores exactly as the
+  // pre-module inline scorer did. Never overwrites an existing v1.0 row.
+  await pool.query(
+    `INSERT INTO matching_algorithm_versions (version, weights, status, traffic_share, notes, created_by, activated_at)
+     VALUES ('v1.0', $1, 'active', 1, 'Original 6-factor weights from server.js runCPAMatchingAlgorithm', 'boot_seed', now())
+     ON CONFLICT (version) DO NOTHING`,
+    [JSON.stringify(V1_WEIGHTS)]
+  );
+  console.log('[matching] module schema ensured (v1.0 seeded if absent)');
+}
+
+module.exports = { ensureMatchingSchema, DDL, V1_WEIGHTS };
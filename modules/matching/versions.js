@@ -0,0 +1,192 @@
+// modules/matching/versions.js
+// Per-version weight sets, read from matching_algorithm_versions.
+//
+// Status semantics:
+//   active  - serves traffic. Several active versions split traffic by
+//             traffic_share; the split is a deterministic hash of the
+//             client_profile id, so a retried request lands on the same version.
+//   shadow  - scored on every request next to the served version, never served.
+//             Rankings land in matching_shadow_results for offline comparison.
+//   draft   - stored, not used. retired - kept for history (matches rows point at it).
+//
+// Versions are read through a short in-process cache so a status flip takes effect
+// within CACHE_MS on every replica without a redeploy.
+
+'use strict';
+
+const crypto = require('crypto');
+const factors = require('./factors');
+const { V1_WEIGHTS } = require('./schema');
+
+const CACHE_MS = 60 * 1000;
+const VERSION_ID_RE = /^[A-Za-z0-9._-]{1,10}$/;
+const STATUSES = ['draft', 'active', 'shadow', 'retired'];
+
+let cache = { at: 0, rows: null };
+
+function invalidateCache() {
+  cache = { at: 0, rows: null };
+}
+
+function normalizeRow(row) {
+  const weights = typeof row.weights === 'string' ? JSON.parse(row.weights) : (row.weights || {});
+  return {
+    version: row.version,
+    weights,
+    status: row.status,
+    traffic_share: Number(row.traffic_share || 0),
+    parent_version: row.parent_version || null,
+    notes: row.notes || null,
+    created_at: row.created_at,
+    activated_at: row.activated_at,
+  };
+}
+
+async function loadVersions(pool, { bypassCache } = {}) {
+  if (!bypassCache && cache.rows && Date.now() - cache.at < CACHE_MS) return cache.rows;
+  const { rows } = await pool.query(
+    `SELECT * FROM matching_algorithm_versions ORDER BY created_at ASC`
+  );
+  cache = { at: Date.now(), rows: rows.map(normalizeRow) };
+  return cache.rows;
+}
+
+// Built-in fallback used when the versions table is unreadable (fresh boot race,
+// DB blip). Matching keeps serving on v1.0 instead of returning zero matches.
+function builtinV1() {
+  return { version: 'v1.0', weights: { ...V1_WEIGHTS }, status: 'active', traffic_share: 1, builtin: true };
+}
+
+// Validate a proposed weight set. Every key must be a registered factor and every
+// value a finite number in [0, 1]. Returns { ok, message }.
+function validateWeights(weights) {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return { ok: false, message: 'weights must be an object of factor -> number' };
+  }
+  const entries = Object.entries(weights);
+  if (entries.length === 0) return { ok: false, message: 'weights must name at least one factor' };
+  for (const [name, w] of entries) {
+    if (!factors.getFactor(name)) return { ok: false, message: `unknown factor '${name}'` };
+    if (typeof w !== 'number' || !Number.isFinite(w) || w < 0 || w > 1) {
+      return { ok: false, message: `weight for '${name}' must be a number between 0 and 1` };
+    }
+  }
+  return { ok: true };
+}
+
+// 0..1 bucket from the client_profile id. Stable across processes.
+function trafficBucket(clientProfileId) {
+  const h = crypto.createHash('sha256').update(String(clientProfileId)).digest();
+  return h.readUInt32BE(0) / 0x100000000;
+}
+
+// Pick the serving version and the shadow set for one request.
+function selectVersions(versions, clientProfileId) {
+  const active = versions.filter((v) => v.status === 'active' && v.traffic_share > 0);
+  const shadows = versions.filter((v) => v.status === 'shadow');
+  if (active.length === 0) return { served: builtinV1(), shadows };
+
+  const total = active.reduce((s, v) => s + v.traffic_share, 0);
+  const point = trafficBucket(clientProfileId) * total;
+  let acc = 0;
+  let served = active[active.length - 1];
+  for (const v of active) {
+    acc += v.traffic_share;
+    if (point < acc) { served = v; break; }
+  }
+  // Active versions not serving this request are scored as shadows too, so a
+  // 50/50 split still yields a paired comparison for every request.
+  const extra = active.filter((v) => v.version !== served.version);
+  return { served, shadows: [...shadows, ...extra] };
+}
+
+async function resolveForRequest(pool, clientProfileId) {
+  let versions;
+  try {
+    versions = await loadVersions(pool);
+  } catch (err) {
+    console.error('[matching] version load failed, serving built-in v1.0:', err.message);
+    return { served: builtinV1(), shadows: [] };
+  }
+  return selectVersions(versions, clientProfileId);
+}
+
+async function getVersion(pool, version) {
+  const { rows } = await pool.query(`SELECT * FROM matching_algorithm_versions WHERE version = $1`, [version]);
+  return rows[0] ? normalizeRow(rows[0]) : null;
+}
+
+async function createVersion(pool, { version, weights, parentVersion, notes, createdBy }) {
+  if (!VERSION_ID_RE.test(version || '')) {
+    return { ok: false, code: 422, message: 'version must be 1-10 chars of [A-Za-z0-9._-]' };
+  }
+  const valid = validateWeights(weights);
+  if (!valid.ok) return { ok: false, code: 422, message: valid.message };
+  const ins = await pool.query(
+    `INSERT INTO matching_algorithm_versions (version, weights, status, parent_version, notes, created_by)
+     VALUES ($1, $2, 'draft', $3, $4, $5)
+     ON CONFLICT (version) DO NOTHING
+     RETURNING *`,
+    [version, JSON.stringify(weights), parentVersion || null, notes || null, createdBy || null]
+  );
+  if (ins.rows.length === 0) return { ok: false, code: 409, message: `version ${version} already exists` };
+  invalidateCache();
+  return { ok: true, version: normalizeRow(ins.rows[0]) };
+}
+
+// Status change. Refuses to leave zero active versions with traffic: matching
+// would silently fall back to the built-in and nobody would notice.
+async function setStatus(pool, version, { status, trafficShare }) {
+  if (!STATUSES.includes(status)) return { ok: false, code: 422, message: `status must be one of ${STATUSES.join('|')}` };
+  const share = status === 'active' ? Number(trafficShare == null ? 1 : trafficShare) : 0;
+  if (!Number.isFinite(share) || share < 0 || share > 1) {
+    return { ok: false, code: 422, message: 'traffic_share must be between 0 and 1' };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const cur = await client.query(`SELECT * FROM matching_algorithm_versions WHERE version = $1 FOR UPDATE`, [version]);
+    if (cur.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { ok: false, code: 404, message: 'version not found' };
+    }
+    await client.query(
+      `UPDATE matching_algorithm_versions
+          SET status = $2, traffic_share = $3,
+              activated_at = CASE WHEN $2 = 'active' THEN COALESCE(activated_at, now()) ELSE activated_at END,
+              retired_at = CASE WHEN $2 = 'retired' THEN now() ELSE NULL END
+        WHERE version = $1`,
+      [version, status, share]
+    );
+    const live = await client.query(
+      `SELECT count(*)::int AS n FROM matching_algorithm_versions WHERE status = 'active' AND traffic_share > 0`
+    );
+    if (live.rows[0].n === 0) {
+      await client.query('ROLLBACK');
+      return { ok: false, code: 409, message: 'refusing: no active version with traffic would remain' };
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+  invalidateCache();
+  return { ok: true, version: await getVersion(pool, version) };
+}
+
+module.exports = {
+  STATUSES,
+  loadVersions,
+  invalidateCache,
+  validateWeights,
+  trafficBucket,
+  selectVersions,
+  resolveForRequest,
+  getVersion,
+  createVersion,
+  setStatus,
+  builtinV1,
+};
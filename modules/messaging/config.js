@@ -0,0 +1,21 @@
+// modules/messaging/config.js
+// Tunables for SME <-> CPA match conversations. ACC-only.
+
+'use strict';
+
+// Notify gating. Default OFF, the same posture as LEAD_NOTIFY_ENABLED: messages
+// are stored and shown in the portal and dashboard either way; while dark, the
+// notification email each side would have received is rendered into
+// match_thread_events('email_suppressed_dark') instead of sent.
+const NOTIFY_ENABLED = String(process.env.MESSAGING_NOTIFY_ENABLED || 'false').toLowerCase() === 'true';
+
+module.exports = {
+  NOTIFY_ENABLED,
+  PLATFORM_NAME: 'CanadaAccountants',
+  PLATFORM_DOMAIN: 'https://canadaaccountants.app',
+  SUPPRESSION_TABLE: 'outreach_unsubscribes',
+  // Reply-To on notification emails. Must be an address services/inbound-poller.js
+  // routes to this backend, so a reply comes back through /api/inbound.
+  REPLY_TO: process.env.MESSAGING_REPLY_TO || 'arthur@canadaaccountants.app',
+  MAX_BODY_CHARS: 5000,
+};
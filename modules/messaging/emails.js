@@ -0,0 +1,101 @@
+// modules/messaging/emails.js
+// "You have a new message" to the other side of a conversation. Sent with
+// services/email.js (sendEmail + wrapInBrandTemplate) and gated on
+// config.NOTIFY_ENABLED like lead routing: dark renders the email into
+// match_thread_events('email_suppressed_dark') and sends nothing.
+//
+// The subject carries the thread's reply tag (reply-tag.js) and Reply-To is an
+// address the inbound poller routes here, so answering the email lands in the
+// conversation through /api/inbound.
+//
+// buildNotify({ config, sendEmail, wrapInBrandTemplate, service, portalLink, captureError })
+//   -> { newMessage }
+
+'use strict';
+
+const replyTag = require('./reply-tag');
+
+function esc(s) {
+  return String(s == null ? '' : s).replace(/[&<>"]/g, (c) => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]
+  ));
+}
+
+const P = 'margin:0 0 16px;color:#333333;font-size:15px;line-height:1.7;';
+
+function tplNewMessage(config, { recipientName, senderLabel, body, link, tag }) {
+  const subject = `New message from ${senderLabel} on ${config.PLATFORM_NAME}${tag ? ` ${tag}` : ''}`;
+  const html = `
+    <p style="${P}">Hi ${esc(recipientName || 'there')},</p>
+    <p style="${P}">${esc(senderLabel)} sent you a message:</p>
+    <blockquote style="margin:0 0 16px;padding:12px 16px;border-left:3px solid #2563eb;background:#f8fafc;color:#333333;font-size:15px;line-height:1.7;white-space:pre-wrap;">${esc(body)}</blockquote>
+    <p style="${P}">${tag ? 'Reply to this email to answer; your reply is added to the conversation. ' : ''}${link ? `You can also <a href="${esc(link)}" style="color:#2563eb;">open the conversation</a>.` : ''}</p>`;
+  return { subject, html };
+}
+
+function buildNotify({ config, sendEmail, wrapInBrandTemplate, service, portalLink, captureError }) {
+  async function newMessage(pool, cfg, thread, message, recipient) {
+    const people = await service.loadParticipants(pool, thread);
+    const to = people[recipient] || {};
+    const from = people[service.otherSide(recipient)] || {};
+
+    const link = recipient === 'cpa'
+      ? `${cfg.PLATFORM_DOMAIN}/cpa-dashboard#messages`
+      : (typeof portalLink === 'function' ? await portalLink(thread.source, thread.source_ref).catch(() => null) : null);
+    const tag = replyTag.tagFor(thread.id);
+    const template = tplNewMessage(cfg, {
+      recipientName: to.name,
+      senderLabel: recipient === 'cpa' ? (from.name ? `your client ${from.name}` : 'your client') : (from.name || 'your CPA'),
+      body: message.body,
+      link,
+      tag,
+    });
+
+    if (!cfg.NOTIFY_ENABLED) {
+      await service.recordEvent(pool, thread.id, message.id, 'email_suppressed_dark', {
+        would_send_to: to.email || null,
+        recipient,
+        subject: template.subject,
+        html: template.html,
+        reason: 'MESSAGING_NOTIFY_ENABLED=false',
+      });
+      return { sent: false, dark: true };
+    }
+
+    if (!to.email) {
+      await service.recordEvent(pool, thread.id, message.id, 'error', { stage: 'new_message', recipient, message: 'no recipient' });
+      return { sent: false };
+    }
+    try {
+      const suppressed = await pool.query(
+        `SELECT 1 FROM ${cfg.SUPPRESSION_TABLE} WHERE lower(email) = $1 LIMIT 1`,
+        [String(to.email).toLowerCase()]
+      );
+      if (suppressed.rows.length > 0) {
+        await service.recordEvent(pool, thread.id, message.id, 'error', { stage: 'new_message', recipient, message: 'recipient suppressed' });
+        return { sent: false, suppressed: true };
+      }
+      const result = await sendEmail({
+        to: to.email,
+        subject: template.subject,
+        html: wrapInBrandTemplate(template.html),
+        replyTo: tag ? cfg.REPLY_TO : undefined,
+      });
+      if (!result || !result.success) {
+        await service.recordEvent(pool, thread.id, message.id, 'error', { stage: 'new_message', recipient, message: (result && result.reason) || 'send failed' });
+        return { sent: false };
+      }
+      await service.recordEvent(pool, thread.id, message.id, 'notify_sent', { recipient, to: to.email, tagged: !!tag });
+      return { sent: true };
+    } catch (err) {
+      console.error('[messaging/emails] send failed (new_message):', err.message);
+      if (typeof captureError === 'function') { try { captureError(err, { stage: 'new_message' }); } catch (e) { console.error('[messaging/emails] captureError failed:', e.message); } }
+      await service.recordEvent(pool, thread.id, message.id, 'error', { stage: 'new_message', recipient, message: err.message });
+      return { sent: false, error: err.message };
+    }
+  }
+
+  return { newMessage };
+}
+
+module.exports = { buildNotify, tplNewMessage };
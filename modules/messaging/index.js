@@ -0,0 +1,44 @@
+// modules/messaging/index.js
+// Composition root for SME <-> CPA match conversations. server.js touchpoints:
+//
+//   const messaging = require('./modules/messaging')({
+//     pool, sendEmail, wrapInBrandTemplate,
+//     auth: { authenticateToken, requireCPA },
+//     portal: { verify: clientPortal.verifyToken, issueLink: clientPortal.issueLink },
+//     captureError,
+//   });
+//   app.use(messaging.professionalRouter);   // /api/cpa/messages, /api/cpa/leads/:offerId/messages (JWT)
+//   app.use(messaging.clientRouter);         // /api/client-portal/:token/...messages (portal token)
+//   await messaging.ensureSchema();          // boot (new tables only)
+//   await messaging.ingestInbound(row)       // /api/inbound, after the inbound_messages insert
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+const schema = require('./schema');
+const { buildNotify } = require('./emails');
+const buildClientRoutes = require('./routes.client');
+const buildProfessionalRoutes = require('./routes.professional');
+
+function createMessagingModule(injected) {
+  const { pool, sendEmail, wrapInBrandTemplate, auth, portal, captureError } = injected || {};
+  if (!pool) throw new Error('[messaging] pool is required');
+  if (!portal || typeof portal.verify !== 'function') throw new Error('[messaging] portal.verify is required');
+
+  const notify = buildNotify({
+    config, sendEmail, wrapInBrandTemplate, service, portalLink: portal.issueLink, captureError,
+  });
+  const deps = { notify, captureError };
+
+  return {
+    config,
+    service,
+    professionalRouter: buildProfessionalRoutes({ pool, config, service, deps, auth: auth || {} }),
+    clientRouter: buildClientRoutes({ pool, config, service, deps, verifyPortalToken: portal.verify }),
+    ingestInbound: (row) => service.ingestInbound(pool, config, row, deps),
+    ensureSchema: () => schema.ensureMessagingSchema(pool),
+  };
+}
+
+module.exports = createMessagingModule;
@@ -0,0 +1,81 @@
+// modules/messaging/reply-tag.js
+// Threads email replies back into a conversation. Every notification subject
+// carries a tag:
+//
+//   [ref:T<threadId>.<hmac10>]
+//
+// Mail clients keep the subject on reply ("Re: ..."), and the inbound poller
+// forwards the subject to /api/inbound unchanged, so the tag is all we need to
+// find the thread. The HMAC stops anyone addressing a thread by guessing ids;
+// the sender address is still checked against the thread's participants.
+//
+// Signed with MESSAGING_REPLY_SECRET. Unset, notifications go out untagged and
+// replies fall through to the ordinary inbound classifier.
+
+'use strict';
+
+const crypto = require('crypto');
+
+const TAG_RE = /\[ref:T(\d+)\.([0-9a-f]{10})\]/i;
+
+function _secret() {
+  const s = process.env.MESSAGING_REPLY_SECRET;
+  if (!s || s.length < 16) {
+    throw new Error('MESSAGING_REPLY_SECRET must be set (>=16 chars) before tagging message notifications');
+  }
+  return s;
+}
+
+function _sig(threadId) {
+  return crypto.createHmac('sha256', _secret()).update(`thread:${threadId}`).digest('hex').slice(0, 10);
+}
+
+// The tag for a thread, or null when no secret is configured.
+function tagFor(threadId) {
+  try {
+    return `[ref:T${threadId}.${_sig(threadId)}]`;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Thread id from a subject line, or null for untagged, forged or unverifiable tags.
+function parse(subject) {
+  const m = TAG_RE.exec(subject || '');
+  if (!m) return null;
+  const threadId = parseInt(m[1], 10);
+  let expected;
+  try {
+    expected = _sig(threadId);
+  } catch (_) {
+    return null;
+  }
+  const got = m[2].toLowerCase();
+  if (!crypto.timingSafeEqual(Buffer.from(got), Buffer.from(expected))) return null;
+  return threadId;
+}
+
+// The new text of an email reply: everything above the quoted original.
+// Covers the Gmail/Apple "On <date>, <name> wrote:" line, Outlook's
+// "-----Original Message-----" and "From:" header blocks, '>' quoting and a
+// "-- " signature delimiter.
+const QUOTE_START = [
+  /^On .+wrote:\s*$/,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^_{5,}\s*$/,
+  /^From:\s.+/,
+  /^>/,
+  /^-- ?$/,
+];
+
+function stripQuotedReply(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+  for (const line of lines) {
+    if (QUOTE_START.some((re) => re.test(line.trim()))) break;
+    kept.push(line);
+  }
+  return kept.join('\n').trim();
+}
+
+module.exports = { tagFor, parse, stripQuotedReply };
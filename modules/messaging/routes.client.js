@@ -0,0 +1,56 @@
+// modules/messaging/routes.client.js
+// SME side of match conversations, under the client portal's URL space. The
+// portal token is the credential, verified by the injected client-portal
+// verifier; invalid, forged and expired tokens all get the portal's 404.
+
+'use strict';
+
+const express = require('express');
+
+function buildClientRoutes({ pool, config, service, deps, verifyPortalToken }) {
+  const router = express.Router();
+
+  function resolve(req, res) {
+    const claims = verifyPortalToken(req.params.token);
+    if (!claims) {
+      res.status(404).json({ error: 'This link is invalid or has expired.' });
+      return null;
+    }
+    return claims;
+  }
+
+  const portalAction = (fn) => async (req, res) => {
+    try {
+      const claims = resolve(req, res);
+      if (!claims) return;
+      const result = await fn(claims, req);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      const { ok, ...rest } = result;
+      return res.json({ success: ok, ...rest });
+    } catch (err) {
+      console.error('[messaging/client] action error:', err.message);
+      return res.status(500).json({ error: 'Action failed.' });
+    }
+  };
+
+  const matchRef = (req) => parseInt(req.params.matchId, 10);
+  const badMatch = { ok: false, code: 400, message: 'Bad match id.' };
+
+  // GET /api/client-portal/:token/messages - my conversations with unread counts.
+  router.get('/api/client-portal/:token/messages', portalAction(async (c) =>
+    ({ ok: true, threads: await service.listThreadsForRequest(pool, c.source, c.ref) })));
+
+  // GET - the conversation with one matched CPA (marks it read).
+  router.get('/api/client-portal/:token/matches/:matchId/messages', portalAction((c, req) =>
+    Number.isFinite(matchRef(req)) ? service.clientThread(pool, c.source, c.ref, matchRef(req)) : badMatch));
+
+  // Body: { body }
+  router.post('/api/client-portal/:token/matches/:matchId/messages', portalAction((c, req) =>
+    Number.isFinite(matchRef(req))
+      ? service.clientPost(pool, config, c.source, c.ref, matchRef(req), (req.body || {}).body, deps)
+      : badMatch));
+
+  return router;
+}
+
+module.exports = buildClientRoutes;
@@ -0,0 +1,69 @@
+// modules/messaging/routes.professional.js
+// CPA dashboard API for match conversations (JWT). Auth middleware is injected;
+// the CPA row is resolved the way /api/cpa/leads resolves it.
+
+'use strict';
+
+const express = require('express');
+
+function buildProfessionalRoutes({ pool, config, service, deps, auth }) {
+  const router = express.Router();
+  const { authenticateToken, requireCPA } = auth;
+
+  async function resolveCpa(req) {
+    const { rows } = await pool.query(
+      `SELECT id FROM cpa_profiles WHERE user_id = $1 OR email = $2 LIMIT 1`,
+      [req.user.userId, req.user.email]
+    );
+    return rows[0] || null;
+  }
+
+  // GET /api/cpa/messages - my conversations, most recent first.
+  router.get('/api/cpa/messages', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      return res.json({ threads: await service.listThreadsForCpa(pool, cpa.id) });
+    } catch (err) {
+      console.error('[messaging/pro] list error:', err.message);
+      return res.status(500).json({ error: 'Could not list conversations.' });
+    }
+  });
+
+  const cpaAction = (fn) => async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      const result = await fn(cpa, req);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[messaging/pro] action error:', err.message);
+      return res.status(500).json({ error: 'Action failed.' });
+    }
+  };
+
+  const idParam = (req, name) => parseInt(req.params[name], 10);
+
+  // POST /api/cpa/leads/:offerId/messages { body } - open a conversation on an accepted lead.
+  router.post('/api/cpa/leads/:offerId/messages', authenticateToken, requireCPA, cpaAction((cpa, req) =>
+    Number.isFinite(idParam(req, 'offerId'))
+      ? service.cpaStart(pool, config, cpa.id, idParam(req, 'offerId'), (req.body || {}).body, deps)
+      : { ok: false, code: 400, message: 'Bad offer id.' }));
+
+  // GET /api/cpa/messages/:threadId - the conversation (marks it read).
+  router.get('/api/cpa/messages/:threadId', authenticateToken, requireCPA, cpaAction((cpa, req) =>
+    Number.isFinite(idParam(req, 'threadId'))
+      ? service.cpaThread(pool, cpa.id, idParam(req, 'threadId'))
+      : { ok: false, code: 400, message: 'Bad conversation id.' }));
+
+  // POST /api/cpa/messages/:threadId { body }
+  router.post('/api/cpa/messages/:threadId', authenticateToken, requireCPA, cpaAction((cpa, req) =>
+    Number.isFinite(idParam(req, 'threadId'))
+      ? service.cpaPost(pool, config, cpa.id, idParam(req, 'threadId'), (req.body || {}).body, deps)
+      : { ok: false, code: 400, message: 'Bad conversation id.' }));
+
+  return router;
+}
+
+module.exports = buildProfessionalRoutes;
@@ -0,0 +1,62 @@
+// modules/messaging/schema.js
+// Boot-time creation of the conversation tables. New, empty tables only.
+//
+// match_threads        one conversation per match. match_ref is matches.id
+//                      (match_cpas) or friction_matches.match_id (friction),
+//                      the same keying as client_portal_feedback
+// match_messages       the messages; channel says whether it was written in the
+//                      app or arrived as an email reply via /api/inbound
+// match_thread_events  append-only trail of notifications and inbound routing
+
+'use strict';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS match_threads (
+  id                  SERIAL PRIMARY KEY,
+  source              TEXT NOT NULL CHECK (source IN ('match_cpas','friction')),
+  source_ref          TEXT NOT NULL,
+  match_ref           INTEGER NOT NULL,
+  cpa_profile_id      INTEGER NOT NULL,
+  status              TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','closed')),
+  opened_by           TEXT NOT NULL CHECK (opened_by IN ('client','cpa')),
+  last_message_at     TIMESTAMPTZ,
+  client_last_read_at TIMESTAMPTZ,
+  cpa_last_read_at    TIMESTAMPTZ,
+  client_notified_at  TIMESTAMPTZ,
+  cpa_notified_at     TIMESTAMPTZ,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (source, match_ref)
+);
+CREATE INDEX IF NOT EXISTS idx_match_threads_cpa ON match_threads(cpa_profile_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_match_threads_request ON match_threads(source, source_ref);
+
+CREATE TABLE IF NOT EXISTS match_messages (
+  id                  SERIAL PRIMARY KEY,
+  thread_id           INTEGER NOT NULL REFERENCES match_threads(id) ON DELETE CASCADE,
+  sender              TEXT NOT NULL CHECK (sender IN ('client','cpa')),
+  channel             TEXT NOT NULL DEFAULT 'platform' CHECK (channel IN ('platform','email')),
+  body                TEXT NOT NULL,
+  inbound_message_id  INTEGER,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_match_messages_thread ON match_messages(thread_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_match_messages_inbound ON match_messages(inbound_message_id)
+  WHERE inbound_message_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS match_thread_events (
+  id                  SERIAL PRIMARY KEY,
+  thread_id           INTEGER REFERENCES match_threads(id) ON DELETE CASCADE,
+  message_id          INTEGER,
+  event_type          TEXT NOT NULL,
+  detail              JSONB,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_match_thread_events_thread ON match_thread_events(thread_id, created_at);
+`;
+
+async function ensureMessagingSchema(pool) {
+  await pool.query(DDL);
+  console.log('[messaging] module schema ensured');
+}
+
+module.exports = { ensureMessagingSchema, DDL };
@@ -0,0 +1,407 @@
+// modules/messaging/service.js
+// Conversations between an SME and a matched CPA. One thread per match; both
+// legacy match sources are keyed the way the client portal keys them:
+//   match_cpas - match_ref = matches.id,                source_ref = client_profile_id
+//   friction   - match_ref = friction_matches.match_id, source_ref = request_id
+//
+// Who can write:
+//   client - any match on the request their portal link was issued for, while
+//            the request is open
+//   cpa    - threads on their own matches; opening one needs an accepted
+//            routed-lead offer, the same point at which they get contact details
+//
+// A two-way exchange is engagement and is mirrored onto the legacy match rows
+// (matches.status/responded_at, friction_matches.lead_status), which is what
+// the ML labels, the replay harness and the admin pipeline read.
+// Actions return { ok:true, ... } or { ok:false, code, message }.
+//
+// deps shape:
+//   deps.notify.newMessage(pool, config, thread, message, recipient)   emails.js
+//   deps.captureError(err, ctx)
+
+'use strict';
+
+const replyTag = require('./reply-tag');
+
+const SIDES = ['client', 'cpa'];
+
+const EVENT_TYPES = new Set([
+  'opened',
+  'notify_sent',
+  'email_suppressed_dark',
+  'notify_skipped',
+  'inbound_threaded',
+  'inbound_rejected',
+  'error',
+]);
+
+function logError(deps, context, err) {
+  console.error(`[messaging/service] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[messaging/service] captureError failed:', e.message); }
+  }
+}
+
+async function recordEvent(db, threadId, messageId, eventType, detail) {
+  if (!EVENT_TYPES.has(eventType)) {
+    console.error(`[messaging/service] unknown event_type '${eventType}' - refusing to record silently`);
+  }
+  await db.query(
+    `INSERT INTO match_thread_events (thread_id, message_id, event_type, detail) VALUES ($1, $2, $3, $4)`,
+    [threadId || null, messageId || null, eventType, detail ? JSON.stringify(detail) : null]
+  );
+}
+
+// --- pure helpers -------------------------------------------------------------
+function otherSide(side) {
+  return side === 'client' ? 'cpa' : 'client';
+}
+
+// Message text, trimmed, or null when empty or over the limit.
+function parseBody(value, max) {
+  if (typeof value !== 'string') return null;
+  const body = value.trim();
+  return body && body.length <= max ? body : null;
+}
+
+// One notification per unread burst: notify unless the recipient already has
+// a notification they have not opened the thread since.
+function shouldNotify(thread, recipient) {
+  const notifiedAt = thread[`${recipient}_notified_at`];
+  if (!notifiedAt) return true;
+  const readAt = thread[`${recipient}_last_read_at`];
+  return !!readAt && new Date(readAt) >= new Date(notifiedAt);
+}
+
+// --- matches ------------------------------------------------------------------
+const MATCH_SQL = {
+  match_cpas: `
+    SELECT m.id AS match_ref, m.client_profile_id::text AS source_ref, m.cpa_profile_id,
+           o.status AS offer_status
+      FROM matches m
+      LEFT JOIN routed_leads l ON l.source = 'match_cpas' AND l.source_ref = m.client_profile_id::text
+      LEFT JOIN routed_lead_offers o ON o.lead_id = l.id AND o.source_match_id = m.id
+     WHERE m.id = $1`,
+  friction: `
+    SELECT fm.match_id AS match_ref, fm.request_id AS source_ref, cp.id AS cpa_profile_id,
+           o.status AS offer_status
+      FROM friction_matches fm
+      LEFT JOIN cpa_profiles cp ON cp.id::text = fm.cpa_id
+      LEFT JOIN routed_leads l ON l.source = 'friction' AND l.source_ref = fm.request_id
+      LEFT JOIN routed_lead_offers o ON o.lead_id = l.id AND o.source_match_id = fm.match_id
+     WHERE fm.match_id = $1`,
+};
+
+async function resolveMatch(pool, source, matchRef) {
+  const { rows } = await pool.query(MATCH_SQL[source], [matchRef]);
+  const r = rows[0];
+  return r && r.cpa_profile_id != null ? { source, ...r, source_ref: String(r.source_ref) } : null;
+}
+
+async function requestWithdrawn(pool, source, ref) {
+  const { rows } = await pool.query(
+    `SELECT status FROM client_portal_requests WHERE source = $1 AND source_ref = $2`,
+    [source, String(ref)]
+  );
+  return !!rows[0] && rows[0].status === 'withdrawn';
+}
+
+// --- threads ------------------------------------------------------------------
+async function getThread(pool, threadId) {
+  const { rows } = await pool.query(`SELECT * FROM match_threads WHERE id = $1`, [threadId]);
+  return rows[0] || null;
+}
+
+async function openThread(pool, match, openedBy) {
+  const { rows } = await pool.query(
+    `INSERT INTO match_threads (source, source_ref, match_ref, cpa_profile_id, opened_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (source, match_ref) DO UPDATE SET source = EXCLUDED.source
+     RETURNING *, (xmax = 0) AS created`,
+    [match.source, match.source_ref, match.match_ref, match.cpa_profile_id, openedBy]
+  );
+  const { created, ...thread } = rows[0];
+  if (created) await recordEvent(pool, thread.id, null, 'opened', { by: openedBy });
+  return thread;
+}
+
+async function listMessages(pool, threadId) {
+  const { rows } = await pool.query(
+    `SELECT id, sender, channel, body, created_at FROM match_messages
+      WHERE thread_id = $1 ORDER BY created_at, id`,
+    [threadId]
+  );
+  return rows;
+}
+
+async function markRead(pool, threadId, side) {
+  await pool.query(`UPDATE match_threads SET ${side}_last_read_at = now() WHERE id = $1`, [threadId]);
+}
+
+// Names and addresses of both sides. The SME's comes from the request row,
+// the CPA's from cpa_profiles.
+async function loadParticipants(pool, thread) {
+  let client = null;
+  if (thread.source === 'match_cpas') {
+    const { rows } = await pool.query(
+      `SELECT contact_name, contact_email FROM client_profiles WHERE id = $1`,
+      [parseInt(thread.source_ref, 10)]
+    );
+    if (rows[0]) client = { name: rows[0].contact_name || null, email: rows[0].contact_email || null };
+  } else {
+    const { rows } = await pool.query(
+      `SELECT contact_info FROM sme_friction_requests WHERE request_id = $1`, [thread.source_ref]
+    );
+    if (rows[0]) {
+      const ci = typeof rows[0].contact_info === 'string' ? JSON.parse(rows[0].contact_info || '{}') : (rows[0].contact_info || {});
+      client = { name: ci.name || null, email: ci.email || null };
+    }
+  }
+  const { rows } = await pool.query(
+    `SELECT first_name, last_name, firm_name, email FROM cpa_profiles WHERE id = $1`, [thread.cpa_profile_id]
+  );
+  const c = rows[0];
+  const cpa = c
+    ? { name: [c.first_name, c.last_name].filter(Boolean).join(' ').trim() || c.firm_name || null, email: c.email || null }
+    : null;
+  return { client, cpa };
+}
+
+// --- engagement mirror ----------------------------------------------------------
+// Both sides have written: the match is engaged. Never moves a match backwards.
+async function syncEngagement(pool, thread, deps) {
+  try {
+    const { rows } = await pool.query(
+      `SELECT COUNT(DISTINCT sender)::int AS sides FROM match_messages WHERE thread_id = $1`, [thread.id]
+    );
+    if (rows[0].sides < 2) return;
+    if (thread.source === 'match_cpas') {
+      await pool.query(
+        `UPDATE matches SET
+            status = CASE WHEN status IN ('pending','accepted') THEN 'contacted' ELSE status END,
+            cpa_responded_at = COALESCE(cpa_responded_at, NOW()),
+            client_responded_at = COALESCE(client_responded_at, NOW()), updated_at = NOW()
+          WHERE id = $1`,
+        [thread.match_ref]
+      );
+    } else {
+      await pool.query(
+        `UPDATE friction_matches SET lead_status = 'client_contacted', status_updated_at = NOW()
+          WHERE match_id = $1 AND lead_status NOT IN ('client_contacted','won','lost')`,
+        [thread.match_ref]
+      );
+    }
+  } catch (err) {
+    logError(deps, `legacy sync (${thread.source} conversation)`, err);
+  }
+}
+
+// --- posting --------------------------------------------------------------------
+async function postMessage(pool, config, thread, sender, rawBody, opts, deps) {
+  const body = parseBody(rawBody, config.MAX_BODY_CHARS);
+  if (!body) return { ok: false, code: 422, message: `Message must be 1-${config.MAX_BODY_CHARS} characters.` };
+  if (thread.status !== 'open') return { ok: false, code: 409, message: 'This conversation is closed.' };
+  const { channel = 'platform', inboundMessageId = null } = opts || {};
+
+  const ins = await pool.query(
+    `INSERT INTO match_messages (thread_id, sender, channel, body, inbound_message_id)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT DO NOTHING
+     RETURNING id, sender, channel, body, created_at`,
+    [thread.id, sender, channel, body, inboundMessageId]
+  );
+  if (ins.rows.length === 0) return { ok: true, duplicate: true };
+  const message = ins.rows[0];
+  // Writing is reading: the sender has seen everything up to their own message.
+  await pool.query(
+    `UPDATE match_threads SET last_message_at = $2, ${sender}_last_read_at = $2 WHERE id = $1`,
+    [thread.id, message.created_at]
+  );
+
+  await syncEngagement(pool, thread, deps);
+
+  const recipient = otherSide(sender);
+  if (!shouldNotify(thread, recipient)) {
+    await recordEvent(pool, thread.id, message.id, 'notify_skipped', { recipient, reason: 'unread notification outstanding' });
+  } else if (deps && deps.notify) {
+    try {
+      const sent = await deps.notify.newMessage(pool, config, thread, message, recipient);
+      if (sent.sent || sent.dark) {
+        await pool.query(`UPDATE match_threads SET ${recipient}_notified_at = now() WHERE id = $1`, [thread.id]);
+      }
+    } catch (err) {
+      logError(deps, 'notify', err);
+    }
+  }
+  return { ok: true, message };
+}
+
+// --- client (portal token) --------------------------------------------------------
+async function clientThread(pool, source, ref, matchRef) {
+  const match = await resolveMatch(pool, source, matchRef);
+  if (!match || match.source_ref !== String(ref)) return { ok: false, code: 404, message: 'Match not found on this request.' };
+  const { rows } = await pool.query(
+    `SELECT * FROM match_threads WHERE source = $1 AND match_ref = $2`, [source, matchRef]
+  );
+  const thread = rows[0] || null;
+  if (!thread) return { ok: true, thread: null, messages: [] };
+  await markRead(pool, thread.id, 'client');
+  return { ok: true, thread: { id: thread.id, status: thread.status }, messages: await listMessages(pool, thread.id) };
+}
+
+async function clientPost(pool, config, source, ref, matchRef, body, deps) {
+  if (await requestWithdrawn(pool, source, ref)) {
+    return { ok: false, code: 409, message: 'This request has been withdrawn.' };
+  }
+  const match = await resolveMatch(pool, source, matchRef);
+  if (!match || match.source_ref !== String(ref)) return { ok: false, code: 404, message: 'Match not found on this request.' };
+  if (!parseBody(body, config.MAX_BODY_CHARS)) {
+    return { ok: false, code: 422, message: `Message must be 1-${config.MAX_BODY_CHARS} characters.` };
+  }
+  const thread = await openThread(pool, match, 'client');
+  return postMessage(pool, config, thread, 'client', body, null, deps);
+}
+
+// Per-match unread counts for the portal.
+async function listThreadsForRequest(pool, source, ref) {
+  const { rows } = await pool.query(
+    `SELECT t.id, t.match_ref, t.status, t.last_message_at,
+            COUNT(mm.id) FILTER (WHERE mm.sender = 'cpa'
+              AND (t.client_last_read_at IS NULL OR mm.created_at > t.client_last_read_at))::int AS unread
+       FROM match_threads t
+       LEFT JOIN match_messages mm ON mm.thread_id = t.id
+      WHERE t.source = $1 AND t.source_ref = $2
+      GROUP BY t.id
+      ORDER BY t.last_message_at DESC NULLS LAST`,
+    [source, String(ref)]
+  );
+  return rows;
+}
+
+// --- cpa (JWT) ------------------------------------------------------------------
+async function listThreadsForCpa(pool, cpaProfileId) {
+  const { rows } = await pool.query(
+    `SELECT t.id, t.source, t.match_ref, t.status, t.last_message_at, l.summary,
+            COUNT(mm.id) FILTER (WHERE mm.sender = 'client'
+              AND (t.cpa_last_read_at IS NULL OR mm.created_at > t.cpa_last_read_at))::int AS unread,
+            (SELECT body FROM match_messages WHERE thread_id = t.id ORDER BY created_at DESC, id DESC LIMIT 1) AS last_message
+       FROM match_threads t
+       LEFT JOIN match_messages mm ON mm.thread_id = t.id
+       LEFT JOIN routed_leads l ON l.source = t.source AND l.source_ref = t.source_ref
+      WHERE t.cpa_profile_id = $1
+      GROUP BY t.id, l.summary
+      ORDER BY t.last_message_at DESC NULLS LAST`,
+    [cpaProfileId]
+  );
+  return rows;
+}
+
+async function cpaThread(pool, cpaProfileId, threadId) {
+  const thread = await getThread(pool, threadId);
+  if (!thread) return { ok: false, code: 404, message: 'Conversation not found.' };
+  if (thread.cpa_profile_id !== cpaProfileId) return { ok: false, code: 403, message: 'Not your conversation.' };
+  await markRead(pool, thread.id, 'cpa');
+  return {
+    ok: true,
+    thread: { id: thread.id, source: thread.source, match_ref: thread.match_ref, status: thread.status },
+    messages: await listMessages(pool, thread.id),
+  };
+}
+
+async function cpaPost(pool, config, cpaProfileId, threadId, body, deps) {
+  const thread = await getThread(pool, threadId);
+  if (!thread) return { ok: false, code: 404, message: 'Conversation not found.' };
+  if (thread.cpa_profile_id !== cpaProfileId) return { ok: false, code: 403, message: 'Not your conversation.' };
+  if (await requestWithdrawn(pool, thread.source, thread.source_ref)) {
+    return { ok: false, code: 409, message: 'The client has withdrawn this request.' };
+  }
+  return postMessage(pool, config, thread, 'cpa', body, null, deps);
+}
+
+// A CPA opens a conversation from a routed-lead offer they accepted.
+async function cpaStart(pool, config, cpaProfileId, offerId, body, deps) {
+  const { rows } = await pool.query(
+    `SELECT o.cpa_profile_id, o.status, o.source_match_id, l.source
+       FROM routed_lead_offers o JOIN routed_leads l ON l.id = o.lead_id
+      WHERE o.id = $1`,
+    [offerId]
+  );
+  const offer = rows[0];
+  if (!offer) return { ok: false, code: 404, message: 'Lead not found.' };
+  if (offer.cpa_profile_id !== cpaProfileId) return { ok: false, code: 403, message: 'Not your lead.' };
+  if (offer.status !== 'accepted') return { ok: false, code: 409, message: 'Accept the lead before messaging the client.' };
+  if (offer.source_match_id == null) return { ok: false, code: 409, message: 'This lead has no match to message on.' };
+  const match = await resolveMatch(pool, offer.source, offer.source_match_id);
+  if (!match) return { ok: false, code: 404, message: 'Match not found.' };
+  if (await requestWithdrawn(pool, match.source, match.source_ref)) {
+    return { ok: false, code: 409, message: 'The client has withdrawn this request.' };
+  }
+  if (!parseBody(body, config.MAX_BODY_CHARS)) {
+    return { ok: false, code: 422, message: `Message must be 1-${config.MAX_BODY_CHARS} characters.` };
+  }
+  const thread = await openThread(pool, match, 'cpa');
+  const result = await postMessage(pool, config, thread, 'cpa', body, null, deps);
+  return result.ok ? { ...result, thread_id: thread.id } : result;
+}
+
+// --- inbound email replies --------------------------------------------------------
+// Called by /api/inbound for every new inbound_messages row. A reply whose
+// subject carries a valid thread tag and whose sender is one of the thread's
+// participants becomes a message, and the inbound row is marked classified so
+// the outreach classifier leaves it alone. Anything else is left pending for
+// the classifier exactly as before.
+async function ingestInbound(pool, config, row, deps) {
+  const threadId = replyTag.parse(row.subject);
+  if (!threadId) return { threaded: false };
+  const thread = await getThread(pool, threadId);
+  if (!thread) return { threaded: false, reason: 'unknown thread' };
+
+  const from = String(row.from_email || '').toLowerCase().trim();
+  const people = await loadParticipants(pool, thread);
+  const sender = SIDES.find((s) => people[s] && people[s].email && people[s].email.toLowerCase().trim() === from);
+  if (!sender) {
+    await recordEvent(pool, thread.id, null, 'inbound_rejected', { inbound_message_id: row.id, reason: 'sender is not a participant' });
+    return { threaded: false, reason: 'sender is not a participant' };
+  }
+  if (await requestWithdrawn(pool, thread.source, thread.source_ref)) {
+    await recordEvent(pool, thread.id, null, 'inbound_rejected', { inbound_message_id: row.id, reason: 'request withdrawn' });
+    return { threaded: false, reason: 'request withdrawn' };
+  }
+
+  const result = await postMessage(pool, config, thread, sender, replyTag.stripQuotedReply(row.body_text),
+    { channel: 'email', inboundMessageId: row.id }, deps);
+  if (!result.ok) {
+    await recordEvent(pool, thread.id, null, 'inbound_rejected', { inbound_message_id: row.id, reason: result.message });
+    return { threaded: false, reason: result.message };
+  }
+  await pool.query(
+    `UPDATE inbound_messages SET classification_status = 'classified', processed_at = NOW() WHERE id = $1`,
+    [row.id]
+  );
+  if (result.message) {
+    await recordEvent(pool, thread.id, result.message.id, 'inbound_threaded', { inbound_message_id: row.id, sender });
+  }
+  return { threaded: true, thread_id: thread.id };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordEvent,
+  otherSide,
+  parseBody,
+  shouldNotify,
+  resolveMatch,
+  getThread,
+  openThread,
+  listMessages,
+  loadParticipants,
+  postMessage,
+  clientThread,
+  clientPost,
+  listThreadsForRequest,
+  listThreadsForCpa,
+  cpaThread,
+  cpaPost,
+  cpaStart,
+  ingestInbound,
+};
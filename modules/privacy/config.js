@@ -0,0 +1,19 @@
+// modules/privacy/config.js
+// Tunables for PIPEDA access and erasure requests.
+
+'use strict';
+
+module.exports = {
+  // Rows returned per table in an access export. A person with more rows
+  // than this in one table is flagged `truncated` for that table; raise the
+  // cap (or query the table directly) rather than answering partially.
+  ACCESS_ROW_LIMIT: parseInt(process.env.PRIVACY_ACCESS_ROW_LIMIT || '5000', 10),
+
+  // Addresses written over an erased one where the column is NOT NULL or
+  // UNIQUE: erased-<row id>@<ERASED_DOMAIN>. A reserved TLD, so nothing we
+  // send can ever reach it.
+  ERASED_DOMAIN: 'erased.invalid',
+
+  // GET /api/admin/privacy/requests page size.
+  REQUESTS_LIMIT: 200,
+};
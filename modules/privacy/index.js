@@ -0,0 +1,33 @@
+// modules/privacy/index.js
+// Composition root for PIPEDA access and erasure requests. server.js
+// touchpoints:
+//
+//   const privacy = require('./modules/privacy')({ pool, captureError });
+//   app.use(privacy.adminRouter);   // /api/admin/privacy/* — admin umbrella gates by prefix
+//   await privacy.ensureSchema();   // boot (privacy_requests, privacy_suppressions)
+//
+// scripts/privacy-request.js runs the same requests from the command line.
+// Senders see erasures through the consent registry (./privacy.js).
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+const schema = require('./schema');
+const buildAdminRoutes = require('./routes.admin');
+
+function createPrivacyModule(injected) {
+  const { pool, captureError } = injected || {};
+  if (!pool) throw new Error('[privacy] pool is required');
+
+  const deps = { captureError };
+
+  return {
+    config,
+    adminRouter: buildAdminRoutes({ pool, config, service, deps }),
+    isErased: (email) => service.isErased(pool, email),
+    ensureSchema: () => schema.ensurePrivacySchema(pool),
+  };
+}
+
+module.exports = createPrivacyModule;
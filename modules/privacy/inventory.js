@@ -0,0 +1,169 @@
+// modules/privacy/inventory.js
+// Every table that can hold one person's data: how to find their rows, and
+// what an erasure does to them. A table added to the platform that stores
+// names, addresses, phone numbers or free text about a person belongs here.
+//
+// A request starts from one email address. ANCHORS are resolved from it
+// first, in order (later anchors may use earlier ones), and before anything
+// is changed. TABLES entries then find rows by the address and the anchors:
+//
+//   name    section name in the access export and the erasure counts
+//   table   the table
+//   keys    subject keys bound to $1, $2, ... in `find`, in order
+//   find    WHERE clause
+//   erase   'delete'   rows only about the person
+//           'keep'     no personal data beyond ids; exported, left alone
+//           { set }    shared or ledger rows: overwrite the personal columns.
+//                      Values are SQL expressions; ERASED_EMAIL becomes
+//                      erased-<row id>@<config.ERASED_DOMAIN>, for address
+//                      columns that are NOT NULL or UNIQUE.
+//
+// TABLES run in order, so rows that point at an anchor come before the
+// anchor itself. Accounts (users, cpa_profiles) are anonymized, never
+// deleted: subscriptions, transactions and reviews cascade from them and are
+// records we keep.
+
+'use strict';
+
+const ERASED_EMAIL = { erasedEmail: true };
+const ERASED_TEXT = `'[erased]'`;
+
+const ANCHORS = [
+  { key: 'user_ids', keys: ['email'],
+    sql: `SELECT id FROM users WHERE LOWER(email) = $1` },
+  { key: 'scraped_cpa_ids', keys: ['email'],
+    sql: `SELECT id FROM scraped_cpas WHERE LOWER(email) = $1 OR LOWER(enriched_email) = $1` },
+  { key: 'name_hashes', keys: ['scraped_cpa_ids'],
+    sql: `SELECT DISTINCT name_hash AS id FROM scraped_cpas WHERE id = ANY($1::int[]) AND name_hash IS NOT NULL` },
+  { key: 'cpa_profile_ids', keys: ['email', 'user_ids'],
+    sql: `SELECT id FROM cpa_profiles WHERE LOWER(email) = $1 OR user_id = ANY($2::int[])` },
+  { key: 'client_profile_ids', keys: ['email', 'user_ids'],
+    sql: `SELECT id FROM client_profiles WHERE LOWER(contact_email) = $1 OR user_id = ANY($2::int[])` },
+  { key: 'friction_request_ids', keys: ['email'],
+    sql: `SELECT request_id AS id FROM sme_friction_requests WHERE LOWER(contact_info->>'email') = $1` },
+  { key: 'scraped_sme_ids', keys: ['email'],
+    sql: `SELECT id FROM scraped_smes WHERE LOWER(contact_email) = $1` },
+];
+
+// Rows tied to the person's own client requests: client_profiles ids for
+// match_cpas, request ids for friction. $a and $b are the placeholders.
+function clientRequests(a, b) {
+  return `((source = 'match_cpas' AND source_ref = ANY($${a}::text[])) OR (source = 'friction' AND source_ref = ANY($${b}::text[])))`;
+}
+
+const CPA = `platform = 'accountants' AND professional_id = ANY($1::int[])`;
+
+const TABLES = [
+  // Client-side records of a match: the person as the client.
+  { name: 'match_messages', table: 'match_messages', keys: ['client_profile_ids', 'friction_request_ids', 'cpa_profile_ids'],
+    find: `thread_id IN (SELECT id FROM match_threads WHERE ${clientRequests(1, 2)})
+           OR (sender = 'cpa' AND thread_id IN (SELECT id FROM match_threads WHERE cpa_profile_id = ANY($3::int[])))`,
+    erase: { set: { body: ERASED_TEXT } } },
+  { name: 'match_threads', table: 'match_threads', keys: ['client_profile_ids', 'friction_request_ids'],
+    find: clientRequests(1, 2), erase: 'delete' },
+  { name: 'appointments', table: 'appointments', keys: ['client_profile_ids', 'friction_request_ids', 'cpa_profile_ids'],
+    find: `${clientRequests(1, 2)} OR cpa_profile_id = ANY($3::int[])`,
+    erase: { set: { notes: 'NULL', cancel_reason: 'NULL' } } },
+  { name: 'cpa_reviews (responses)', table: 'cpa_reviews', keys: ['cpa_profile_ids'],
+    find: `cpa_profile_id = ANY($1::int[]) AND response_body IS NOT NULL`,
+    erase: { set: { response_body: 'NULL' } } },
+  { name: 'cpa_reviews', table: 'cpa_reviews', keys: ['client_profile_ids', 'friction_request_ids'],
+    find: clientRequests(1, 2), erase: 'delete' },
+  { name: 'client_portal_feedback', table: 'client_portal_feedback', keys: ['client_profile_ids', 'friction_request_ids'],
+    find: clientRequests(1, 2), erase: 'delete' },
+  { name: 'client_portal_requests', table: 'client_portal_requests', keys: ['client_profile_ids', 'friction_request_ids'],
+    find: clientRequests(1, 2), erase: 'delete' },
+  { name: 'routed_leads', table: 'routed_leads', keys: ['client_profile_ids', 'friction_request_ids'],
+    find: clientRequests(1, 2), erase: { set: { summary: `'{}'` } } },
+  { name: 'routed_lead_offers', table: 'routed_lead_offers', keys: ['cpa_profile_ids'],
+    find: `cpa_profile_id = ANY($1::int[])`, erase: 'keep' },
+  { name: 'friction_matches', table: 'friction_matches', keys: ['friction_request_ids'],
+    find: `request_id = ANY($1::text[])`, erase: 'keep' },
+
+  // The person as a professional we list, contact or sell to.
+  { name: 'crm_pipeline_events', table: 'crm_pipeline_events', keys: ['scraped_cpa_ids'], find: CPA, erase: 'delete' },
+  { name: 'crm_tags', table: 'crm_tags', keys: ['scraped_cpa_ids'], find: CPA, erase: 'delete' },
+  { name: 'crm_notes', table: 'crm_notes', keys: ['scraped_cpa_ids'], find: CPA, erase: 'delete' },
+  { name: 'crm_sequence_enrollments', table: 'crm_sequence_enrollments', keys: ['scraped_cpa_ids'], find: CPA, erase: 'delete' },
+  { name: 'v2_supply_enrollments', table: 'v2_supply_enrollments', keys: ['email', 'scraped_cpa_ids'],
+    find: `LOWER(recipient_email) = $1 OR (platform = 'acc' AND recipient_id = ANY($2::int[]))`, erase: 'delete' },
+  { name: 'profile_visits', table: 'profile_visits', keys: ['scraped_cpa_ids'],
+    find: `profile_id = ANY($1::int[])`, erase: 'delete' },
+  { name: 'organic_claim_attempts', table: 'organic_claim_attempts', keys: ['email', 'scraped_cpa_ids'],
+    find: `LOWER(email) = $1 OR cpa_id = ANY($2::int[])`, erase: 'delete' },
+  { name: 'signal_emails', table: 'signal_emails', keys: ['email', 'scraped_cpa_ids'],
+    find: `LOWER(email) = $1 OR professional_id = ANY($2::int[])`, erase: 'delete' },
+  { name: 'match_notifications', table: 'match_notifications', keys: ['email', 'scraped_cpa_ids'],
+    find: `LOWER(email) = $1 OR professional_id = ANY($2::int[])`, erase: 'delete' },
+  { name: 'founding_member_emails', table: 'founding_member_emails', keys: ['email', 'scraped_cpa_ids'],
+    find: `LOWER(email) = $1 OR professional_id = ANY($2::int[])`, erase: 'delete' },
+  { name: 'professional_search_index', table: 'professional_search_index', keys: ['scraped_cpa_ids', 'cpa_profile_ids'],
+    find: `scraped_cpa_id = ANY($1::int[]) OR cpa_profile_id = ANY($2::int[])`, erase: 'delete' },
+  { name: 'cpa_applications', table: 'cpa_applications', keys: ['email'],
+    find: `LOWER(email) = $1`, erase: 'delete' },
+
+  // Referrals made about the person by someone else, or by them.
+  { name: 'referrals', table: 'referrals', keys: ['email'], find: `LOWER(referee_email) = $1`,
+    erase: { set: { referee_email: ERASED_EMAIL, referee_name: 'NULL', referee_firm: 'NULL' } } },
+  { name: 'cbe_referrals', table: 'cbe_referrals', keys: ['email'], find: `LOWER(client_email) = $1`,
+    erase: { set: { client_email: ERASED_EMAIL, client_first_name: 'NULL', client_last_name: 'NULL', client_company: 'NULL', referring_note: 'NULL' } } },
+  { name: 'network_referrals', table: 'network_referrals', keys: ['email'], find: `LOWER(client_email) = $1`,
+    erase: { set: { client_email: ERASED_EMAIL, client_name: ERASED_TEXT, client_phone: 'NULL', need_notes: 'NULL' } } },
+  { name: 'network_referrals (as referrer)', table: 'network_referrals', keys: ['email'], find: `LOWER(referrer_email) = $1`,
+    erase: { set: { referrer_email: 'NULL', referrer_name: 'NULL' } } },
+  { name: 'network_link_attributions', table: 'network_link_attributions', keys: ['email'], find: `LOWER(recruit_email) = $1`,
+    erase: { set: { recruit_email: 'NULL' } } },
+
+  // Mail we sent or received. Ledgers of sends stay, minus the address and
+  // content; per-address working state goes.
+  { name: 'outreach_emails', table: 'outreach_emails', keys: ['email'], find: `LOWER(recipient_email) = $1`,
+    erase: { set: {
+      recipient_email: ERASED_EMAIL, recipient_name: 'NULL', rendered_subject: 'NULL', rendered_body: 'NULL',
+      // Nothing still queued may go out to the placeholder.
+      status: `CASE WHEN status = 'queued' THEN 'suppressed' ELSE status END`,
+    } } },
+  // Stored delivery webhooks: the events stay for rebuilds, the payload
+  // (which carries the address and subject) goes.
+  { name: 'mail_webhook_events', table: 'mail_webhook_events', keys: ['email'], find: `recipient_email = $1`,
+    erase: { set: { recipient_email: ERASED_EMAIL, payload: 'NULL', detail: 'NULL' } } },
+  { name: 'send_decisions', table: 'send_decisions', keys: ['email'], find: `recipient_email = $1`,
+    erase: { set: { recipient_email: ERASED_EMAIL, detail: 'NULL' } } },
+  { name: 'founder_outreach_log', table: 'founder_outreach_log', keys: ['email'], find: `LOWER(recipient_email) = $1`,
+    erase: { set: { recipient_email: ERASED_EMAIL, recipient_name: 'NULL' } } },
+  { name: 'webinar_invite_log', table: 'webinar_invite_log', keys: ['email'], find: `LOWER(email) = $1`,
+    erase: { set: { email: ERASED_EMAIL } } },
+  { name: 'sequence_closure_log', table: 'sequence_closure_log', keys: ['email'], find: `LOWER(recipient_email) = $1`, erase: 'delete' },
+  { name: 'founding_cohort_joiners', table: 'founding_cohort_joiners', keys: ['email'], find: `LOWER(recipient_email) = $1`, erase: 'delete' },
+  { name: 'breakdown_replies', table: 'breakdown_replies', keys: ['email'], find: `LOWER(recipient_email) = $1`, erase: 'delete' },
+  { name: 'reply_intents', table: 'reply_intents', keys: ['email'], find: `from_email = $1`, erase: 'delete' },
+  { name: 'inbound_messages', table: 'inbound_messages', keys: ['email'], find: `LOWER(from_email) = $1`, erase: 'delete' },
+  { name: 'email_validations', table: 'email_validations', keys: ['email'], find: `LOWER(email) = $1`, erase: 'delete' },
+  { name: 'consent_records', table: 'consent_records', keys: ['email'], find: `email = $1`, erase: 'delete' },
+  { name: 'outreach_unsubscribes', table: 'outreach_unsubscribes', keys: ['email'], find: `LOWER(email) = $1`, erase: 'delete' },
+
+  // The person as a client or SME.
+  { name: 'contact_submissions', table: 'contact_submissions', keys: ['email'], find: `LOWER(email) = $1`, erase: 'delete' },
+  { name: 'client_search_requests', table: 'client_search_requests', keys: ['email'], find: `LOWER(email) = $1`, erase: 'delete' },
+  { name: 'sme_friction_requests', table: 'sme_friction_requests', keys: ['friction_request_ids'],
+    find: `request_id = ANY($1::text[])`, erase: { set: { contact_info: `'{}'`, additional_context: 'NULL' } } },
+  { name: 'client_profiles', table: 'client_profiles', keys: ['client_profile_ids'],
+    find: `id = ANY($1::int[])`, erase: { set: { contact_name: 'NULL', contact_email: 'NULL', contact_phone: 'NULL' } } },
+  { name: 'sme_profiles', table: 'sme_profiles', keys: ['user_ids'], find: `user_id = ANY($1::int[])`,
+    erase: { set: { contact_first_name: ERASED_TEXT, contact_last_name: ERASED_TEXT, contact_title: 'NULL', phone: 'NULL', website: 'NULL' } } },
+  { name: 'scraped_smes', table: 'scraped_smes', keys: ['scraped_sme_ids'], find: `id = ANY($1::int[])`, erase: 'delete' },
+
+  // The anchors themselves, last.
+  { name: 'scraped_cpas', table: 'scraped_cpas', keys: ['scraped_cpa_ids'], find: `id = ANY($1::int[])`, erase: 'delete' },
+  // Billing history is kept; its detail can name the address an email went to.
+  { name: 'billing_subscription_events', table: 'billing_subscription_events', keys: ['cpa_profile_ids'],
+    find: `cpa_profile_id = ANY($1::int[])`, erase: { set: { detail: 'NULL' } } },
+  { name: 'cpa_subscriptions', table: 'cpa_subscriptions', keys: ['cpa_profile_ids'],
+    find: `cpa_profile_id = ANY($1::int[])`, erase: 'keep' },
+  { name: 'cpa_profiles', table: 'cpa_profiles', keys: ['cpa_profile_ids'], find: `id = ANY($1::int[])`,
+    erase: { set: { email: ERASED_EMAIL, first_name: 'NULL', last_name: 'NULL', phone: 'NULL', is_active: 'false' } } },
+  { name: 'users', table: 'users', keys: ['user_ids'], find: `id = ANY($1::int[])`,
+    // '!' is never a bcrypt hash: the account can no longer sign in.
+    erase: { set: { email: ERASED_EMAIL, password_hash: `'!'`, is_active: 'false', reset_token_hash: 'NULL', reset_token_expires: 'NULL' } } },
+];
+
+module.exports = { ANCHORS, TABLES, ERASED_EMAIL };
@@ -0,0 +1,53 @@
+-- 001_suppression_triggers.sql
+-- Keeps people erased on request (PIPEDA) out of the scraped tables. The
+-- scrapers run outside this repo and insert into scraped_cpas / scraped_smes
+-- directly, so an app-level check cannot cover them; a BEFORE INSERT OR
+-- UPDATE trigger covers every writer by construction (same reasoning as
+-- modules/referrals/migrations/002_referral_code_trigger.sql).
+--
+-- A row is dropped (RETURN NULL: no error, the scraper just sees 0 rows) when
+-- any of the address columns named in the trigger arguments, or the row's
+-- name_hash, is in privacy_suppressions. Hashes are computed exactly as
+-- modules/privacy/service.js hashEmail() does: sha256 hex of lower(trim()).
+-- On UPDATE the same test stops enrichment from writing an erased address
+-- onto an existing row.
+--
+-- Requires privacy_suppressions (created at boot by modules/privacy/schema.js).
+-- Idempotent: function is CREATE OR REPLACE; triggers are dropped-and-recreated
+-- (drops only the objects this file owns).
+
+CREATE OR REPLACE FUNCTION skip_privacy_suppressed_row() RETURNS trigger AS $$
+DECLARE
+  row_json JSONB := to_jsonb(NEW);
+  col      TEXT;
+  addr     TEXT;
+BEGIN
+  FOREACH col IN ARRAY TG_ARGV LOOP
+    addr := lower(trim(row_json->>col));
+    IF addr IS NOT NULL AND addr <> '' AND EXISTS (
+      SELECT 1 FROM privacy_suppressions
+       WHERE kind = 'email' AND hash = encode(sha256(convert_to(addr, 'UTF8')), 'hex')
+    ) THEN
+      RAISE NOTICE 'privacy: % row skipped, % matches an erasure', TG_TABLE_NAME, col;
+      RETURN NULL;
+    END IF;
+  END LOOP;
+  IF row_json ? 'name_hash' AND EXISTS (
+    SELECT 1 FROM privacy_suppressions WHERE kind = 'name' AND hash = row_json->>'name_hash'
+  ) THEN
+    RAISE NOTICE 'privacy: % row skipped, name_hash matches an erasure', TG_TABLE_NAME;
+    RETURN NULL;
+  END IF;
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_scraped_cpas_privacy_suppression ON scraped_cpas;
+CREATE TRIGGER trg_scraped_cpas_privacy_suppression
+  BEFORE INSERT OR UPDATE OF email, enriched_email, name_hash ON scraped_cpas
+  FOR EACH ROW EXECUTE FUNCTION skip_privacy_suppressed_row('email', 'enriched_email');
+
+DROP TRIGGER IF EXISTS trg_scraped_smes_privacy_suppression ON scraped_smes;
+CREATE TRIGGER trg_scraped_smes_privacy_suppression
+  BEFORE INSERT OR UPDATE OF contact_email ON scraped_smes
+  FOR EACH ROW EXECUTE FUNCTION skip_privacy_suppressed_row('contact_email');
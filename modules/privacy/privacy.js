@@ -0,0 +1,20 @@
+// modules/privacy/privacy.js
+// The erasure suppression list as the rest of the platform uses it, like
+// ../consent/consent.js:
+//
+//   const privacy = require('../privacy/privacy');
+//   if (await privacy.isErased(pool, email)) ... never send
+//
+// Senders do not call this directly: consent.blocked() checks it first and
+// returns a 'privacy_erasure' decision. The send audit records such
+// decisions under erasedRecipient(email), never the address itself.
+
+'use strict';
+
+const service = require('./service');
+
+module.exports = {
+  isErased: (pool, email) => service.isErased(pool, email),
+  hashEmail: service.hashEmail,
+  erasedRecipient: service.erasedRecipient,
+};
@@ -0,0 +1,64 @@
+// modules/privacy/routes.admin.js
+// PIPEDA access and erasure requests and their log. Paths live under
+// /api/admin/* and inherit the `app.use('/api/admin', authenticateToken,
+// requireAdmin)` umbrella in server.js.
+
+'use strict';
+
+const express = require('express');
+
+function buildAdminRoutes({ pool, config, service, deps }) {
+  const router = express.Router();
+
+  // GET /api/admin/privacy/access?email= - every row referencing the address,
+  // as a JSON download (`download=0` to view inline).
+  router.get('/api/admin/privacy/access', async (req, res) => {
+    try {
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const result = await service.access(pool, config, req.query.email, { actor }, deps);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      if (req.query.download !== '0') {
+        res.set('Content-Disposition', `attachment; filename="privacy-access-${result.request_id}.json"`);
+      }
+      return res.json(result);
+    } catch (err) {
+      console.error('[privacy/admin] access error:', err.message);
+      return res.status(500).json({ error: 'access request failed' });
+    }
+  });
+
+  // POST /api/admin/privacy/erase { email, confirm, dry_run? }
+  // `confirm` must repeat the address. dry_run reports what would change.
+  router.post('/api/admin/privacy/erase', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const dryRun = body.dry_run === true;
+      if (!dryRun && String(body.confirm || '').trim().toLowerCase() !== String(body.email || '').trim().toLowerCase()) {
+        return res.status(400).json({ error: 'confirm must repeat the email address to erase.' });
+      }
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const result = await service.erase(pool, config, body.email, { actor, dryRun }, deps);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[privacy/admin] erase error:', err.message);
+      return res.status(500).json({ error: 'erasure failed; nothing was changed' });
+    }
+  });
+
+  // GET /api/admin/privacy/requests?kind=&email= - the request log.
+  router.get('/api/admin/privacy/requests', async (req, res) => {
+    try {
+      const result = await service.listRequests(pool, config, { kind: req.query.kind, email: req.query.email });
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[privacy/admin] requests error:', err.message);
+      return res.status(500).json({ error: 'requests failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildAdminRoutes;
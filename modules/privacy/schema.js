@@ -0,0 +1,47 @@
+// modules/privacy/schema.js
+// Boot-time creation of the privacy request log and the suppression list.
+// New, empty tables only. The triggers that keep erased people out of the
+// scraped tables are a reviewed one-time migration:
+// migrations/001_suppression_triggers.sql.
+//
+// privacy_requests       one row per access or erasure request handled:
+//                        who asked for it, when, and how many rows each
+//                        table gave up. The address itself is stored only
+//                        as its hash, so the log holds no personal data.
+// privacy_suppressions   hashes of erased addresses (kind 'email') and of
+//                        the scraper's name keys (kind 'name', copied from
+//                        scraped_cpas.name_hash). Checked before every
+//                        commercial send and by the scraped-table triggers.
+//                        Never deleted.
+
+'use strict';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS privacy_requests (
+  id                  BIGSERIAL PRIMARY KEY,
+  kind                TEXT NOT NULL CHECK (kind IN ('access','erasure')),
+  email_hash          TEXT NOT NULL,
+  requested_by        TEXT NOT NULL,
+  dry_run             BOOLEAN NOT NULL DEFAULT false,
+  status              TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running','completed','failed')),
+  counts              JSONB,
+  error               TEXT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  completed_at        TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_privacy_requests_hash ON privacy_requests (email_hash, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS privacy_suppressions (
+  hash                TEXT PRIMARY KEY,
+  kind                TEXT NOT NULL CHECK (kind IN ('email','name')),
+  request_id          BIGINT REFERENCES privacy_requests(id),
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+`;
+
+async function ensurePrivacySchema(pool) {
+  await pool.query(DDL);
+  console.log('[privacy] module schema ensured');
+}
+
+module.exports = { ensurePrivacySchema, DDL };
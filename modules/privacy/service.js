@@ -0,0 +1,292 @@
+// modules/privacy/service.js
+// PIPEDA access and erasure requests for one person, found by email address
+// across every table in ./inventory.js.
+//
+//   access   a JSON export of every row that references the person
+//   erase    in one transaction: delete the rows only about them, overwrite
+//            the personal columns of records we keep (sends, referrals,
+//            accounts), and add suppression hashes so they are never
+//            re-scraped or emailed again
+//
+// Suppression hashes are unsalted SHA-256 of the normalized address, the
+// same as Postgres `encode(sha256(convert_to(lower(trim(x)), 'UTF8')), 'hex')`,
+// so senders, the scraped-table triggers and the request log can all match
+// an address without storing it. The scraper's own name keys
+// (scraped_cpas.name_hash) are kept too, so a directory listing without an
+// address is still recognised.
+//
+// A table that does not exist in this database (a platform that never
+// created it) is skipped and reported, not fatal.
+
+'use strict';
+
+const crypto = require('crypto');
+const inventory = require('./inventory');
+
+const EMAIL_RE = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// undefined_table, undefined_column
+const MISSING = ['42P01', '42703'];
+
+function logError(deps, context, err) {
+  console.error(`[privacy/service] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[privacy/service] captureError failed:', e.message); }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------
+
+function normalizeEmail(raw) {
+  return String(raw || '').trim().toLowerCase();
+}
+
+function hashEmail(raw) {
+  return crypto.createHash('sha256').update(normalizeEmail(raw), 'utf8').digest('hex');
+}
+
+// What the send audit records in place of an erased address.
+function erasedRecipient(raw) {
+  return `erased:${hashEmail(raw)}`;
+}
+
+function isMissing(err) {
+  return Boolean(err && MISSING.includes(err.code));
+}
+
+// Params for an anchor or table entry, in `keys` order. An entry whose id
+// keys all came back empty cannot match anything and is not run.
+function bind(entry, subject) {
+  const params = entry.keys.map((k) => subject[k]);
+  const runnable = entry.keys.some((k) => k === 'email' || subject[k].length > 0);
+  return { params, runnable };
+}
+
+function eraseSql(entry, config) {
+  const where = `WHERE ${entry.find}`;
+  if (entry.erase === 'delete') return `DELETE FROM ${entry.table} ${where}`;
+  const sets = Object.entries(entry.erase.set).map(([column, value]) => {
+    const expr = value === inventory.ERASED_EMAIL ? `'erased-' || id || '@${config.ERASED_DOMAIN}'` : value;
+    return `${column} = ${expr}`;
+  });
+  return `UPDATE ${entry.table} SET ${sets.join(', ')} ${where}`;
+}
+
+// ---------------------------------------------------------------------------
+// Queries
+// ---------------------------------------------------------------------------
+
+// Inside the erasure transaction a failed statement aborts everything after
+// it, so each step runs under a savepoint and a missing table rolls back
+// only itself.
+async function step(db, inTransaction, sql, params) {
+  if (!inTransaction) return db.query(sql, params);
+  await db.query('SAVEPOINT privacy_step');
+  try {
+    const result = await db.query(sql, params);
+    await db.query('RELEASE SAVEPOINT privacy_step');
+    return result;
+  } catch (err) {
+    await db.query('ROLLBACK TO SAVEPOINT privacy_step');
+    throw err;
+  }
+}
+
+// The address plus every anchor id list. `skipped` names anchors whose
+// table is missing.
+async function resolveSubject(db, email, { inTransaction = false } = {}) {
+  const subject = { email };
+  const skipped = [];
+  for (const anchor of inventory.ANCHORS) {
+    subject[anchor.key] = [];
+    const { params, runnable } = bind(anchor, subject);
+    if (!runnable) continue;
+    try {
+      const { rows } = await step(db, inTransaction, anchor.sql, params);
+      subject[anchor.key] = rows.map((r) => r.id);
+    } catch (err) {
+      if (!isMissing(err)) throw err;
+      skipped.push(anchor.key);
+    }
+  }
+  return { subject, skipped };
+}
+
+async function openRequest(pool, kind, email, actor, dryRun = false) {
+  const { rows } = await pool.query(
+    `INSERT INTO privacy_requests (kind, email_hash, requested_by, dry_run) VALUES ($1, $2, $3, $4) RETURNING id`,
+    [kind, hashEmail(email), actor, dryRun]
+  );
+  return rows[0].id;
+}
+
+async function closeRequest(pool, id, { counts = null, error = null }) {
+  await pool.query(
+    `UPDATE privacy_requests SET status = $2, counts = $3, error = $4, completed_at = now() WHERE id = $1`,
+    [id, error ? 'failed' : 'completed', counts ? JSON.stringify(counts) : null, error]
+  );
+}
+
+function anchorCounts(subject) {
+  return Object.fromEntries(inventory.ANCHORS.map((a) => [a.key, subject[a.key].length]));
+}
+
+// ---------------------------------------------------------------------------
+// Access
+// ---------------------------------------------------------------------------
+
+// Every row referencing the address, per inventory section. Other addresses
+// on the person's own records (a directory address beside an enriched one)
+// are listed under related_emails: a request for those is a separate one.
+async function access(pool, config, rawEmail, { actor }, deps) {
+  const email = normalizeEmail(rawEmail);
+  if (!EMAIL_RE.test(email)) return { ok: false, code: 400, message: 'email must be an email address.' };
+  const requestId = await openRequest(pool, 'access', email, actor);
+  try {
+    const { subject, skipped } = await resolveSubject(pool, email);
+    const tables = {};
+    for (const entry of inventory.TABLES) {
+      const { params, runnable } = bind(entry, subject);
+      if (!runnable) continue;
+      try {
+        const { rows } = await pool.query(
+          `SELECT * FROM ${entry.table} WHERE ${entry.find} LIMIT ${config.ACCESS_ROW_LIMIT + 1}`, params);
+        if (rows.length === 0) continue;
+        tables[entry.name] = { rows: rows.slice(0, config.ACCESS_ROW_LIMIT), truncated: rows.length > config.ACCESS_ROW_LIMIT };
+      } catch (err) {
+        if (!isMissing(err)) throw err;
+        skipped.push(entry.name);
+      }
+    }
+
+    const related = new Set();
+    for (const name of ['scraped_cpas', 'cpa_profiles', 'users', 'client_profiles', 'scraped_smes']) {
+      for (const row of (tables[name] ? tables[name].rows : [])) {
+        for (const column of ['email', 'enriched_email', 'contact_email']) {
+          const other = normalizeEmail(row[column]);
+          if (other && other !== email) related.add(other);
+        }
+      }
+    }
+
+    const counts = Object.fromEntries(Object.entries(tables).map(([name, t]) => [name, t.rows.length]));
+    await closeRequest(pool, requestId, { counts });
+    return {
+      ok: true,
+      request_id: requestId,
+      email,
+      generated_at: new Date().toISOString(),
+      anchors: anchorCounts(subject),
+      tables,
+      related_emails: [...related].sort(),
+      skipped,
+    };
+  } catch (err) {
+    logError(deps, 'access', err);
+    await closeRequest(pool, requestId, { error: err.message }).catch((e) => logError(deps, 'access close', e));
+    throw err;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Erasure
+// ---------------------------------------------------------------------------
+
+// Erases the address everywhere in one transaction. dryRun runs every
+// statement and rolls back, so the counts are exactly what a real run would
+// change. The request row is written outside the transaction and survives
+// either way.
+async function erase(pool, config, rawEmail, { actor, dryRun = false }, deps) {
+  const email = normalizeEmail(rawEmail);
+  if (!EMAIL_RE.test(email)) return { ok: false, code: 400, message: 'email must be an email address.' };
+  const requestId = await openRequest(pool, 'erasure', email, actor, dryRun);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { subject, skipped } = await resolveSubject(client, email, { inTransaction: true });
+
+    const counts = {};
+    for (const entry of inventory.TABLES) {
+      if (entry.erase === 'keep') continue;
+      const { params, runnable } = bind(entry, subject);
+      if (!runnable) continue;
+      try {
+        const { rowCount } = await step(client, true, eraseSql(entry, config), params);
+        if (rowCount > 0) counts[entry.name] = { [entry.erase === 'delete' ? 'deleted' : 'anonymized']: rowCount };
+      } catch (err) {
+        if (!isMissing(err)) throw err;
+        skipped.push(entry.name);
+      }
+    }
+
+    const hashes = [hashEmail(email), ...subject.name_hashes];
+    const kinds = ['email', ...subject.name_hashes.map(() => 'name')];
+    await client.query(
+      `INSERT INTO privacy_suppressions (hash, kind, request_id)
+       SELECT h, k, $3 FROM unnest($1::text[], $2::text[]) AS t(h, k)
+       ON CONFLICT (hash) DO NOTHING`,
+      [hashes, kinds, requestId]
+    );
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    const result = { anchors: anchorCounts(subject), tables: counts, suppressed: { email: 1, names: subject.name_hashes.length }, skipped };
+    await closeRequest(pool, requestId, { counts: result });
+    console.log(`[privacy] erasure ${requestId}${dryRun ? ' (dry run)' : ''} by ${actor}: ${Object.keys(counts).length} tables changed`);
+    return { ok: true, request_id: requestId, dry_run: dryRun, email_hash: hashEmail(email), ...result };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    logError(deps, 'erase', err);
+    await closeRequest(pool, requestId, { error: err.message }).catch((e) => logError(deps, 'erase close', e));
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Suppression and the request log
+// ---------------------------------------------------------------------------
+
+// True when the address was erased on request. Senders ask through the
+// consent registry's blocked(); see ../consent/service.js.
+async function isErased(pool, rawEmail) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM privacy_suppressions WHERE hash = $1 AND kind = 'email'`, [hashEmail(rawEmail)]);
+  return rows.length > 0;
+}
+
+// GET /api/admin/privacy/requests?kind=&email= - the log, newest first.
+// Filtering by email matches on its hash.
+async function listRequests(pool, config, { kind, email } = {}) {
+  const where = [];
+  const params = [];
+  if (kind) {
+    if (!['access', 'erasure'].includes(kind)) return { ok: false, code: 400, message: 'kind must be access or erasure.' };
+    params.push(kind);
+    where.push(`kind = $${params.length}`);
+  }
+  if (email) {
+    params.push(hashEmail(email));
+    where.push(`email_hash = $${params.length}`);
+  }
+  params.push(config.REQUESTS_LIMIT);
+  const { rows } = await pool.query(
+    `SELECT * FROM privacy_requests ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY created_at DESC LIMIT $${params.length}`,
+    params
+  );
+  return { ok: true, requests: rows };
+}
+
+module.exports = {
+  hashEmail,
+  erasedRecipient,
+  eraseSql,
+  resolveSubject,
+  access,
+  erase,
+  isErased,
+  listRequests,
+};
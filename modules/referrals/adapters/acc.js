@@ -55,7 +55,8 @@ function buildAdapter(injected) {
     const candidates = (await runMatch(clientProfile)) || [];
     const eligible = candidates
       .filter((m) => m && m.cpa && !excluded.has(m.cpa.id))
-      .sort((a, b) => (b.overall_score || 0) - (a.overall_score || 0));
+      // rank_score is the fit plus referral credit rank points (matching engine).
+      .sort((a, b) => (b.rank_score || b.overall_score || 0) - (a.rank_score || a.overall_score || 0));
 
     if (eligible.length === 0) {
       return { matched: false, matched_client_profile_id: clientProfile.id };
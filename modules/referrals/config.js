@@ -24,6 +24,8 @@ const PLATFORMS = {
     REFER_TARGETS: ['LAW', 'INV', 'CBE'],
     INBOUND_LEAD_HANDLER: 'standard',     // 'standard' | 'private_intake'
     HAS_SUBSCRIPTIONS: true,
+    SUBSCRIPTION_TABLE: 'cpa_subscriptions',    // confirmed (modules/billing), one row per profile
+    SUBSCRIPTION_PRO_COL: 'cpa_profile_id',
     CREDIT_ON_CONVERSION: 'free_month',
   },
   LAW: {
@@ -39,6 +41,8 @@ const PLATFORMS = {
     REFER_TARGETS: ['ACC', 'INV', 'CBE'],
     INBOUND_LEAD_HANDLER: 'standard',
     HAS_SUBSCRIPTIONS: true,
+    SUBSCRIPTION_TABLE: 'TODO_verify_law_subscription_table',
+    SUBSCRIPTION_PRO_COL: 'TODO_verify_law_subscription_pro_col',
     CREDIT_ON_CONVERSION: 'free_month',
   },
   INV: {
@@ -54,6 +58,8 @@ const PLATFORMS = {
     REFER_TARGETS: ['ACC', 'LAW', 'CBE'],
     INBOUND_LEAD_HANDLER: 'standard',
     HAS_SUBSCRIPTIONS: true,
+    SUBSCRIPTION_TABLE: 'TODO_verify_inv_subscription_table',
+    SUBSCRIPTION_PRO_COL: 'TODO_verify_inv_subscription_pro_col',
     CREDIT_ON_CONVERSION: 'free_month',
   },
   CBE: {
@@ -69,6 +75,8 @@ const PLATFORMS = {
     REFER_TARGETS: ['ACC', 'LAW', 'INV'],
     INBOUND_LEAD_HANDLER: 'private_intake', // NDA-first, section 10.4
     HAS_SUBSCRIPTIONS: false,             // no subscriptions -> no free_month credits
+    SUBSCRIPTION_TABLE: null,
+    SUBSCRIPTION_PRO_COL: null,
     CREDIT_ON_CONVERSION: null,
   },
 };
@@ -113,20 +121,32 @@ function parsePeers() {
 // without Arthur's written lift, regardless of this flag.
 const NOTIFY_ENABLED = String(process.env.REFERRAL_NOTIFY_ENABLED || 'false').toLowerCase() === 'true';
 
+// Credit application gating (Phase 3). Default OFF: the referral_credits_apply
+// job runs as a dry run and only logs what it would apply; admins can still
+// dry-run and preview. Turning it on attaches real Stripe coupons.
+const CREDITS_APPLY_ENABLED = String(process.env.REFERRAL_CREDITS_APPLY_ENABLED || 'false').toLowerCase() === 'true';
+
 module.exports = {
   ...platform,
   PLATFORMS,
   peers: parsePeers(),
   NOTIFY_ENABLED,
+  CREDITS_APPLY_ENABLED,
   // Secrets / tunables (env-driven, reused across platforms).
   NETWORK_SHARED_SECRET: process.env.NETWORK_SHARED_SECRET || '',
   NETWORK_SHARED_SECRET_NEXT: process.env.NETWORK_SHARED_SECRET_NEXT || '', // rotation window (section 14)
-  BOOST_WEIGHT: parseInt(process.env.REFERRAL_BOOST_WEIGHT || '5', 10),     // Phase 3 only
+  // Matching rank points (0-100 scale) while a tier_boost_30d is live, and the
+  // most points priority_points credits can add (one per point, 12 months).
+  BOOST_WEIGHT: parseInt(process.env.REFERRAL_BOOST_WEIGHT || '5', 10),
+  BOOST_DAYS: 30,
+  PRIORITY_POINTS_CAP: parseInt(process.env.REFERRAL_PRIORITY_POINTS_CAP || '5', 10),
   MAX_CREDITS_PER_YEAR: parseInt(process.env.MAX_CREDITS_PER_YEAR || '3', 10),
   EXPIRY_DAYS: parseInt(process.env.REFERRAL_EXPIRY_DAYS || '30', 10),
   ACCEPT_WINDOW_HOURS: 48,
   MAX_MATCH_ATTEMPTS: 3,
   MAX_OUTBOUND_PER_DAY: 10,
   DUPLICATE_WINDOW_DAYS: 30,
+  // A 100%-off, duration 'once' coupon: it covers the next invoice and falls off.
   STRIPE_REFERRAL_COUPON: process.env.STRIPE_REFERRAL_COUPON || 'REFERRAL_FREE_MONTH',
+  CREDITS_APPLY_CRON: '25 */6 * * *',
 };
@@ -1,14 +1,29 @@
 // modules/referrals/incentives.js
 // Non-cash incentives ledger. The credit_type enum is closed and there is no
 // cash-out path (compliance 12.1). Phase 1 records the ledger and the
-// pending_review gate; the live Stripe coupon application (applyCredit) is a
-// Phase 3 step and is NOT invoked before then.
+// pending_review gate. Phase 3 applies 'earned' credits:
+//
+//   free_month       a one-time 100%-off coupon on the referrer's live Stripe
+//                    subscription, so their next invoice is free. One per
+//                    invoice, at most MAX_CREDITS_PER_YEAR per rolling year.
+//   tier_boost_30d   BOOST_WEIGHT matching rank points for BOOST_DAYS. Boosts
+//                    run one after another, not stacked.
+//   priority_points  `amount` rank points for 12 months, PRIORITY_POINTS_CAP
+//                    at most (modules/matching/engine.js reads both).
+//
+// applyEarnedCredits runs from the referral_credits_apply job and the admin
+// surface. Until CREDITS_APPLY_ENABLED it only dry-runs.
 //
 // buildIncentives({ config, stripe, service, captureError }) -> { issueOnConversion,
-//   reviewSelfReportedCredit, applyCredit }
+//   reviewSelfReportedCredit, planCredits, applyCredit, applyEarnedCredits,
+//   previewCredit, ledger }
 
 'use strict';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+const LIVE_SUBSCRIPTION = ['active', 'trialing'];
+
 function buildIncentives({ config, stripe, service, captureError }) {
   // Issue a credit to the referrer on conversion. Self-reported conversions land
   // 'pending_review' with no money movement until an admin approves.
@@ -54,8 +69,8 @@ function buildIncentives({ config, stripe, service, captureError }) {
     return { issued: true, creditId: ins.rows[0].id, status };
   }
 
-  // Admin approves/rejects a self-reported credit. Approve -> 'earned' (and apply
-  // if a subscription exists, Phase 3). Reject -> 'rejected'.
+  // Admin approves/rejects a self-reported credit. Approve -> 'earned', applied
+  // by the next applyEarnedCredits pass. Reject -> 'rejected'.
   async function reviewSelfReportedCredit(pool, cfg, creditId, decision, adminEmail, note) {
     const { rows } = await pool.query(`SELECT * FROM network_referral_credits WHERE id = $1`, [creditId]);
     if (rows.length === 0) return { ok: false, message: 'credit not found' };
@@ -78,21 +93,211 @@ function buildIncentives({ config, stripe, service, captureError }) {
     return { ok: true, status: 'rejected' };
   }
 
-  // Phase 3 ONLY. Apply an 'earned' credit to a live Stripe subscription as a
-  // one-time 100%-off coupon. Not called in Phase 1.
-  async function applyCredit(pool, cfg, creditId, subscriptionId) {
+  function logError(context, err) {
+    console.error(`[referrals/incentives] ${context}:`, err && err.message ? err.message : err);
+    if (typeof captureError === 'function') {
+      try { captureError(err, { context }); } catch (e) { console.error('[referrals/incentives] captureError failed:', e.message); }
+    }
+  }
+
+  // Earned credits with what a pass would do to each: { action: 'apply' } or
+  // { action: 'wait', reason }. A waiting credit stays 'earned' for a later
+  // pass (the sweeper expires it 12 months after it was earned).
+  async function planCredits(pool, cfg, { creditId } = {}, now = new Date()) {
+    const withSubs = Boolean(cfg.HAS_SUBSCRIPTIONS && cfg.SUBSCRIPTION_TABLE);
+    const { rows: credits } = await pool.query(
+      `SELECT c.id, c.pro_id, c.referral_id, c.credit_type, c.amount, c.created_at,
+              ${withSubs ? 's.stripe_subscription_id, s.status AS subscription_status' : 'NULL AS stripe_subscription_id, NULL AS subscription_status'}
+         FROM network_referral_credits c
+         ${withSubs ? `LEFT JOIN ${cfg.SUBSCRIPTION_TABLE} s ON s.${cfg.SUBSCRIPTION_PRO_COL} = c.pro_id` : ''}
+        WHERE c.status = 'earned'
+        ORDER BY c.pro_id, c.created_at, c.id`
+    );
+    const proIds = [...new Set(credits.map((c) => c.pro_id))];
+    const history = new Map();
+    if (proIds.length > 0) {
+      const { rows } = await pool.query(
+        `SELECT pro_id,
+                count(*) FILTER (WHERE credit_type = 'free_month' AND applied_at > now() - interval '12 months')::int AS free_months,
+                max(applied_at) FILTER (WHERE credit_type = 'tier_boost_30d') AS last_boost
+           FROM network_referral_credits
+          WHERE status = 'applied' AND pro_id = ANY($1::int[])
+          GROUP BY pro_id`,
+        [proIds]
+      );
+      for (const r of rows) history.set(r.pro_id, r);
+    }
+
+    const state = new Map();
+    const plan = [];
+    for (const credit of credits) {
+      if (!state.has(credit.pro_id)) {
+        const h = history.get(credit.pro_id) || {};
+        const boostLive = h.last_boost && new Date(h.last_boost).getTime() + cfg.BOOST_DAYS * DAY_MS > now.getTime();
+        state.set(credit.pro_id, { freeMonths: h.free_months || 0, freeThisPass: false, boost: Boolean(boostLive) });
+      }
+      const pro = state.get(credit.pro_id);
+      let reason = null;
+      if (credit.credit_type === 'free_month') {
+        if (!withSubs) reason = 'platform has no subscriptions';
+        else if (pro.freeMonths >= cfg.MAX_CREDITS_PER_YEAR) reason = `annual cap (${cfg.MAX_CREDITS_PER_YEAR}) reached`;
+        else if (!credit.stripe_subscription_id || !LIVE_SUBSCRIPTION.includes(credit.subscription_status)) reason = 'no active subscription';
+        else if (pro.freeThisPass) reason = 'one free month per invoice';
+        if (!reason) { pro.freeMonths += 1; pro.freeThisPass = true; }
+      } else if (credit.credit_type === 'tier_boost_30d') {
+        if (pro.boost) reason = 'a boost is already live';
+        else pro.boost = true;
+      }
+      plan.push({ ...credit, action: reason ? 'wait' : 'apply', reason });
+    }
+    return creditId ? plan.filter((c) => c.id === creditId) : plan;
+  }
+
+  // The referral coupon already on the subscription and not yet used.
+  function pendingCoupon(cfg, sub) {
+    return (sub.discounts || []).some((d) => d && d.coupon && d.coupon.id === cfg.STRIPE_REFERRAL_COUPON);
+  }
+
+  // Attaches the referral coupon to the subscription, keeping any other
+  // discounts, and marks the credit applied. The idempotency key makes a
+  // retried call attach it once.
+  async function applyCredit(pool, cfg, creditId, subscriptionId, { actor } = {}) {
     if (!stripe) throw new Error('stripe client not injected');
     const coupon = cfg.STRIPE_REFERRAL_COUPON;
+    const sub = await stripe.subscriptions.retrieve(subscriptionId, { expand: ['discounts'] });
+    if (pendingCoupon(cfg, sub)) return { ok: false, message: 'previous free month not used yet' };
     // Current API: discounts[], not the deprecated top-level coupon param.
-    await stripe.subscriptions.update(subscriptionId, { discounts: [{ coupon }] });
+    const kept = (sub.discounts || []).filter((d) => d && d.id).map((d) => ({ discount: d.id }));
+    await stripe.subscriptions.update(subscriptionId, { discounts: [...kept, { coupon }] }, { idempotencyKey: `referral-credit-${creditId}` });
     await pool.query(
-      `UPDATE network_referral_credits SET status = 'applied', applied_at = now(), stripe_coupon_id = $2 WHERE id = $1`,
-      [creditId, coupon]
+      `UPDATE network_referral_credits
+          SET status = 'applied', applied_at = now(), stripe_coupon_id = $2, stripe_subscription_id = $3, applied_by = $4
+        WHERE id = $1 AND status = 'earned'`,
+      [creditId, coupon, subscriptionId, actor || null]
     );
     return { ok: true };
   }
 
-  return { issueOnConversion, reviewSelfReportedCredit, applyCredit };
+  // Applies every credit the plan allows. dryRun (and CREDITS_APPLY_ENABLED
+  // off) returns the plan untouched. One credit failing never stops the pass.
+  async function applyEarnedCredits(pool, cfg, { dryRun = true, actor = 'job' } = {}, now = new Date()) {
+    const plan = await planCredits(pool, cfg, {}, now);
+    const dry = dryRun || !cfg.CREDITS_APPLY_ENABLED;
+    const summary = { ok: true, dry_run: dry, earned: plan.length, planned: 0, applied: 0, waiting: 0, failed: 0, credits: plan };
+    for (const credit of plan) {
+      if (credit.action !== 'apply') { summary.waiting += 1; continue; }
+      summary.planned += 1;
+      if (dry) continue;
+      try {
+        if (credit.credit_type === 'free_month') {
+          const result = await applyCredit(pool, cfg, credit.id, credit.stripe_subscription_id, { actor });
+          if (!result.ok) {
+            credit.action = 'wait';
+            credit.reason = result.message;
+            summary.waiting += 1;
+            continue;
+          }
+        } else {
+          await pool.query(
+            `UPDATE network_referral_credits SET status = 'applied', applied_at = now(), applied_by = $2
+              WHERE id = $1 AND status = 'earned'`,
+            [credit.id, actor]
+          );
+        }
+        credit.applied = true;
+        summary.applied += 1;
+        if (credit.referral_id) {
+          await service.recordEvent(pool, credit.referral_id, 'credit_applied', {
+            credit_id: credit.id, credit_type: credit.credit_type, stripe_subscription_id: credit.stripe_subscription_id || null, by: actor,
+          });
+        }
+      } catch (err) {
+        logError(`apply credit ${credit.id}`, err);
+        credit.error = err.message;
+        summary.failed += 1;
+      }
+    }
+    return summary;
+  }
+
+  // What applying one credit would do. For a free_month, the next invoice
+  // with and without the coupon (Stripe's upcoming-invoice preview).
+  async function previewCredit(pool, cfg, creditId, now = new Date()) {
+    const { rows } = await pool.query(`SELECT * FROM network_referral_credits WHERE id = $1`, [creditId]);
+    if (rows.length === 0) return { ok: false, code: 404, message: 'credit not found' };
+    const credit = rows[0];
+    if (credit.status !== 'earned') return { ok: true, credit, action: 'none', reason: `credit is ${credit.status}` };
+    const [planned] = await planCredits(pool, cfg, { creditId }, now);
+    const out = { ok: true, credit, action: planned.action, reason: planned.reason };
+    if (credit.credit_type === 'tier_boost_30d') {
+      out.effect = { rank_points: cfg.BOOST_WEIGHT, days: cfg.BOOST_DAYS };
+    } else if (credit.credit_type === 'priority_points') {
+      out.effect = { rank_points: credit.amount, cap: cfg.PRIORITY_POINTS_CAP };
+    } else if (planned.action === 'apply') {
+      if (!stripe) throw new Error('stripe client not injected');
+      const sub = await stripe.subscriptions.retrieve(planned.stripe_subscription_id, { expand: ['discounts'] });
+      const kept = (sub.discounts || []).filter((d) => d && d.id).map((d) => ({ discount: d.id }));
+      const [without, withCredit] = await Promise.all([
+        stripe.invoices.retrieveUpcoming({ customer: sub.customer, subscription: sub.id }),
+        stripe.invoices.retrieveUpcoming({ customer: sub.customer, subscription: sub.id, discounts: [...kept, { coupon: cfg.STRIPE_REFERRAL_COUPON }] }),
+      ]);
+      out.effect = {
+        stripe_subscription_id: sub.id,
+        next_invoice_at: without.next_payment_attempt || without.period_end || null,
+        next_invoice_total: without.total,
+        next_invoice_total_with_credit: withCredit.total,
+        credit_value: without.total - withCredit.total,
+        currency: without.currency,
+      };
+    }
+    return out;
+  }
+
+  // The referrer's own credits, newest first, with what each is worth now.
+  async function ledger(pool, cfg, proId, now = new Date()) {
+    const { rows } = await pool.query(
+      `SELECT c.id, c.credit_type, c.amount, c.status, c.referral_id, c.created_at, c.applied_at,
+              r.source_platform, r.target_platform, r.need_category
+         FROM network_referral_credits c
+         LEFT JOIN network_referrals r ON r.id = c.referral_id
+        WHERE c.pro_id = $1
+        ORDER BY c.created_at DESC, c.id DESC
+        LIMIT 200`,
+      [proId]
+    );
+    const t = now.getTime();
+    let freeMonths = 0;
+    let points = 0;
+    let boostUntil = null;
+    const credits = rows.map((c) => {
+      const applied = c.applied_at ? new Date(c.applied_at).getTime() : null;
+      const entry = { ...c, active_until: null, expires_at: null };
+      if (c.status === 'earned') entry.expires_at = new Date(new Date(c.created_at).getTime() + YEAR_MS);
+      if (c.status === 'applied' && c.credit_type === 'free_month' && applied > t - YEAR_MS) freeMonths += 1;
+      if (c.status === 'applied' && c.credit_type === 'tier_boost_30d') {
+        entry.active_until = new Date(applied + cfg.BOOST_DAYS * DAY_MS);
+        if (entry.active_until.getTime() > t && (!boostUntil || entry.active_until > boostUntil)) boostUntil = entry.active_until;
+      }
+      if (c.status === 'applied' && c.credit_type === 'priority_points') {
+        entry.active_until = new Date(applied + YEAR_MS);
+        if (applied > t - YEAR_MS) points += c.amount;
+      }
+      return entry;
+    });
+    return {
+      credits,
+      summary: {
+        waiting: credits.filter((c) => c.status === 'earned').length,
+        pending_review: credits.filter((c) => c.status === 'pending_review').length,
+        free_months_last_12_months: freeMonths,
+        free_months_left_this_year: Math.max(0, cfg.MAX_CREDITS_PER_YEAR - freeMonths),
+        boost_active_until: boostUntil,
+        priority_points: Math.min(points, cfg.PRIORITY_POINTS_CAP),
+      },
+    };
+  }
+
+  return { issueOnConversion, reviewSelfReportedCredit, planCredits, applyCredit, applyEarnedCredits, previewCredit, ledger };
 }
 
 module.exports = { buildIncentives };
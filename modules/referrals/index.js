@@ -4,7 +4,8 @@
 //   const referrals = require('./modules/referrals')({
 //     pool,                       // singleton pg Pool
 //     sendEmail,                  // services/email.js sendEmail
-//     stripe,                     // stripe client (Phase 3 use only)
+//     stripe,                     // stripe client (Phase 3 credit application)
+//     jobs,                       // optional modules/jobs registry (outbox, sweeper, credit application)
 //     auth: { authenticateToken, requireCPA },
 //     matcher: { runMatch: runCPAMatchingAlgorithm },   // ACC scorer, injected
 //     validateEmail,              // optional ZeroBounce wrapper (see below)
@@ -15,7 +16,13 @@
 //   app.use(referrals.adminRouter);          // paths are /api/admin/* — the existing
 //                                            // admin umbrella middleware gates them by prefix
 //   await referrals.ensureSchema();          // boot (new tables only)
-//   referrals.startWorkers();                // outbox flush + sweeper cron
+//   referrals.startWorkers();                // without jobs: outbox flush + sweeper cron
+//
+// With jobs, background work runs as jobs (modules/jobs, leader only):
+// referral_outbox (every minute), referral_sweep (every 15 min),
+// referral_credits_apply; startWorkers() is then a no-op. Platforms without
+// modules/jobs run the outbox and sweeper in-process and apply credits from
+// the admin surface only.
 //
 // validateEmail(email) contract: resolve { blocked: true } for invalid/disposable,
 // { circuitOpen: true } when the ZeroBounce breaker is open, or falsy/{} when fine.
@@ -35,7 +42,7 @@ const accAdapter = require('./adapters/acc');
 const lawAdapter = require('./adapters/law');
 
 function createReferralModule(injected) {
-  const { pool, sendEmail, stripe, auth, matcher, validateEmail, captureError } = injected;
+  const { pool, sendEmail, stripe, jobs, auth, matcher, validateEmail, captureError } = injected;
   if (!pool) throw new Error('[referrals] pool is required');
 
   const notify = buildNotify({ config, sendEmail, service, captureError });
@@ -97,8 +104,43 @@ function createReferralModule(injected) {
   const professionalRouter = buildProfessionalRoutes({ pool, config, service: boundService, deps, auth: auth || {} });
   const adminRouter = buildAdminRoutes({ pool, config, service: boundService, incentives });
 
+  // Background work: leader-elected jobs where the platform has modules/jobs,
+  // else the in-process schedulers in startWorkers().
+  if (jobs) {
+    jobs.register({
+      name: 'referral_outbox',
+      description: 'Deliver queued referral payloads to peer platforms',
+      schedule: network.OUTBOX_CRON,
+      timeoutMs: 5 * 60 * 1000,
+      run: async () => ({ delivered: await network.flushOutbox(pool, config, deps) }),
+    });
+
+    jobs.register({
+      name: 'referral_sweep',
+      description: 'Referral accept timeouts, expiry and credit expiry',
+      schedule: network.SWEEP_CRON,
+      timeoutMs: 10 * 60 * 1000,
+      run: () => network.sweep(pool, config, service, deps),
+    });
+
+    // Phase 3 credit application. Dark (dry run) until
+    // REFERRAL_CREDITS_APPLY_ENABLED.
+    jobs.register({
+      name: 'referral_credits_apply',
+      description: `Apply earned referral credits${config.CREDITS_APPLY_ENABLED ? '' : ' (dry run until REFERRAL_CREDITS_APPLY_ENABLED)'}`,
+      schedule: config.CREDITS_APPLY_CRON,
+      timeoutMs: 10 * 60 * 1000,
+      // job_runs.result keeps the counts; the per-credit plan is in the admin dry run.
+      run: async () => {
+        const { credits, ...counts } = await incentives.applyEarnedCredits(pool, config, { dryRun: !config.CREDITS_APPLY_ENABLED, actor: 'job' });
+        return counts;
+      },
+    });
+  }
+
   let workerHandles = null;
   function startWorkers() {
+    if (jobs) return null;                   // the jobs above do this work
     if (workerHandles) return workerHandles; // idempotent - never double-start
     workerHandles = {
       outbox: network.startOutboxWorker(pool, config, deps),
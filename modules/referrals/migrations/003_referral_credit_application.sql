@@ -0,0 +1,11 @@
+-- 003_referral_credit_application.sql
+-- Phase 3 credit application (incentives.applyEarnedCredits). Module-owned
+-- table only, so boot-safe: schema.js applies the same statements.
+--
+--   stripe_subscription_id  the subscription a free_month coupon was attached to
+--   applied_by              'job' or 'admin:<email>'
+--
+-- Idempotent (ADD COLUMN IF NOT EXISTS). Identical on all four platforms.
+
+ALTER TABLE network_referral_credits ADD COLUMN IF NOT EXISTS stripe_subscription_id TEXT;
+ALTER TABLE network_referral_credits ADD COLUMN IF NOT EXISTS applied_by TEXT;
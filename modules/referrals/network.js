@@ -1,18 +1,23 @@
 // modules/referrals/network.js
-// Outbound delivery + background workers.
+// Outbound delivery + the passes behind the background work. index.js
+// registers them as jobs when the platform has modules/jobs, and otherwise
+// runs them in-process (startOutboxWorker / startSweeper).
 //   - enqueuePeerStatus: write a status-sync row to the outbox (in-band, no HTTP)
-//   - startOutboxWorker: flush the outbox with a DB-ATOMIC row claim (correct even
+//   - flushOutbox: flush the outbox with a DB-ATOMIC row claim (correct even
 //     if an app ever runs >1 Railway replica - a double-sent intro email is a
 //     client-facing failure, not an ops nuisance)
-//   - startSweeper: time-driven transitions (48h accept timeout, expiry, credit
+//   - sweep: time-driven transitions (48h accept timeout, expiry, credit
 //     expiry) that nothing else enforces
+//   - startOutboxWorker / startSweeper: the in-process fallback schedulers
 
 'use strict';
 
 const cron = require('node-cron');
 const hmac = require('./hmac');
 
+const OUTBOX_CRON = '* * * * *';
 const OUTBOX_INTERVAL_MS = 60 * 1000;
+const SWEEP_CRON = '*/15 * * * *';
 const OUTBOX_BATCH = 20;
 
 // Resolve the peer platform that holds the OTHER copy of a referral.
@@ -118,6 +123,56 @@ async function flushOutbox(pool, config, deps) {
   return claim.rows.length;
 }
 
+// Sweeper: 48h accept timeouts, referral expiry, credit expiry. Every 15 min.
+async function sweep(pool, config, service, deps) {
+  // (a) offered inbound past their 48h accept window -> re-match or expire.
+  try {
+    const due = await pool.query(
+      `SELECT * FROM network_referrals
+        WHERE direction = 'inbound' AND status = 'offered'
+          AND accept_deadline_at IS NOT NULL AND accept_deadline_at <= now()
+        ORDER BY id LIMIT 50`
+    );
+    for (const referral of due.rows) {
+      await service.rematchOrExpire(pool, config, referral, deps, 'accept_timeout');
+    }
+  } catch (err) {
+    console.error('[referrals/sweeper] accept-timeout pass error:', err.message);
+    if (typeof deps.captureError === 'function') { try { deps.captureError(err, { context: 'sweeper accept' }); } catch (e) { console.error('[referrals/sweeper] captureError failed:', e.message); } }
+  }
+
+  // (b) any non-terminal referral past expires_at -> expired + status sync.
+  try {
+    const expired = await pool.query(
+      `UPDATE network_referrals SET status = 'expired', updated_at = now()
+        WHERE expires_at IS NOT NULL AND expires_at <= now()
+          AND status IN ('offered','accepted')
+        RETURNING id, network_ref_id, direction, source_platform, target_platform`
+    );
+    for (const referral of expired.rows) {
+      await service.recordEvent(pool, referral.id, 'expired', { cause: 'ttl' });
+      await enqueuePeerStatus(pool, referral, 'expired');
+    }
+  } catch (err) {
+    console.error('[referrals/sweeper] expiry pass error:', err.message);
+    if (typeof deps.captureError === 'function') { try { deps.captureError(err, { context: 'sweeper expiry' }); } catch (e) { console.error('[referrals/sweeper] captureError failed:', e.message); } }
+  }
+
+  // (c) earned credits older than 12 months -> expired.
+  try {
+    await pool.query(
+      `UPDATE network_referral_credits SET status = 'expired'
+        WHERE status = 'earned' AND created_at < now() - interval '12 months'`
+    );
+  } catch (err) {
+    console.error('[referrals/sweeper] credit-expiry pass error:', err.message);
+    if (typeof deps.captureError === 'function') { try { deps.captureError(err, { context: 'sweeper credit' }); } catch (e) { console.error('[referrals/sweeper] captureError failed:', e.message); } }
+  }
+}
+
+// In-process schedulers for platforms without modules/jobs. Each process
+// runs its own; the outbox claim is DB-atomic and the sweep passes are
+// idempotent, so extra replicas only repeat work.
 function startOutboxWorker(pool, config, deps) {
   const tick = async () => {
     try {
@@ -135,54 +190,9 @@ function startOutboxWorker(pool, config, deps) {
   return handle;
 }
 
-// Sweeper: 48h accept timeouts, referral expiry, credit expiry. Every 15 min.
 function startSweeper(pool, config, service, deps) {
-  const task = cron.schedule('*/15 * * * *', async () => {
-    // (a) offered inbound past their 48h accept window -> re-match or expire.
-    try {
-      const due = await pool.query(
-        `SELECT * FROM network_referrals
-          WHERE direction = 'inbound' AND status = 'offered'
-            AND accept_deadline_at IS NOT NULL AND accept_deadline_at <= now()
-          ORDER BY id LIMIT 50`
-      );
-      for (const referral of due.rows) {
-        await service.rematchOrExpire(pool, config, referral, deps, 'accept_timeout');
-      }
-    } catch (err) {
-      console.error('[referrals/sweeper] accept-timeout pass error:', err.message);
-      if (typeof deps.captureError === 'function') { try { deps.captureError(err, { context: 'sweeper accept' }); } catch (e) { console.error('[referrals/sweeper] captureError failed:', e.message); } }
-    }
-
-    // (b) any non-terminal referral past expires_at -> expired + status sync.
-    try {
-      const expired = await pool.query(
-        `UPDATE network_referrals SET status = 'expired', updated_at = now()
-          WHERE expires_at IS NOT NULL AND expires_at <= now()
-            AND status IN ('offered','accepted')
-          RETURNING id, network_ref_id, direction, source_platform, target_platform`
-      );
-      for (const referral of expired.rows) {
-        await service.recordEvent(pool, referral.id, 'expired', { cause: 'ttl' });
-        await enqueuePeerStatus(pool, referral, 'expired');
-      }
-    } catch (err) {
-      console.error('[referrals/sweeper] expiry pass error:', err.message);
-      if (typeof deps.captureError === 'function') { try { deps.captureError(err, { context: 'sweeper expiry' }); } catch (e) { console.error('[referrals/sweeper] captureError failed:', e.message); } }
-    }
-
-    // (c) earned credits older than 12 months -> expired.
-    try {
-      await pool.query(
-        `UPDATE network_referral_credits SET status = 'expired'
-          WHERE status = 'earned' AND created_at < now() - interval '12 months'`
-      );
-    } catch (err) {
-      console.error('[referrals/sweeper] credit-expiry pass error:', err.message);
-      if (typeof deps.captureError === 'function') { try { deps.captureError(err, { context: 'sweeper credit' }); } catch (e) { console.error('[referrals/sweeper] captureError failed:', e.message); } }
-    }
-  });
-  console.log('[referrals] sweeper cron started (*/15 * * * *)');
+  const task = cron.schedule(SWEEP_CRON, () => sweep(pool, config, service, deps));
+  console.log(`[referrals] sweeper cron started (${SWEEP_CRON})`);
   return task;
 }
 
@@ -191,6 +201,9 @@ module.exports = {
   enqueuePeerStatus,
   deliver,
   flushOutbox,
+  sweep,
   startOutboxWorker,
   startSweeper,
+  OUTBOX_CRON,
+  SWEEP_CRON,
 };
@@ -60,6 +60,38 @@ function buildAdminRoutes({ pool, config, service, incentives }) {
     }
   });
 
+  // GET /api/admin/referral-credits/:id/preview - what applying this credit
+  // would do; for a free month, the next invoice with and without it.
+  router.get('/api/admin/referral-credits/:id/preview', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad credit id.' });
+      const result = await incentives.previewCredit(pool, config, id);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[referrals/admin] credit preview error:', err.message);
+      return res.status(500).json({ error: 'preview failed' });
+    }
+  });
+
+  // POST /api/admin/referral-credits/apply { dry_run } - one application pass
+  // now. Dry run unless dry_run is false, and refused while
+  // REFERRAL_CREDITS_APPLY_ENABLED is off.
+  router.post('/api/admin/referral-credits/apply', async (req, res) => {
+    try {
+      const dryRun = !(req.body && req.body.dry_run === false);
+      if (!dryRun && !config.CREDITS_APPLY_ENABLED) {
+        return res.status(409).json({ error: 'Credit application is off (REFERRAL_CREDITS_APPLY_ENABLED). Dry runs only.' });
+      }
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      return res.json(await incentives.applyEarnedCredits(pool, config, { dryRun, actor }));
+    } catch (err) {
+      console.error('[referrals/admin] credit apply error:', err.message);
+      return res.status(500).json({ error: 'apply failed' });
+    }
+  });
+
   // POST /api/admin/referrals/:id/redact - PIPEDA erasure (keep aggregates + events).
   router.post('/api/admin/referrals/:id/redact', async (req, res) => {
     try {
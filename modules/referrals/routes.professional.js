@@ -146,6 +146,19 @@ function buildProfessionalRoutes({ pool, config, service, deps, auth }) {
     }
   });
 
+  // GET /api/rail/referrals/credits - my credit ledger: every credit, what it
+  // is worth now, and how many free months are left this year.
+  router.get('/api/rail/referrals/credits', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const pro = await resolvePro(req);
+      if (!pro) return res.status(403).json({ error: 'No claimed professional profile.' });
+      return res.json(await deps.incentives.ledger(pool, config, pro.id));
+    } catch (err) {
+      console.error('[referrals/pro] credits error:', err.message);
+      return res.status(500).json({ error: 'Could not load credits.' });
+    }
+  });
+
   // GET /api/rail/referrals/link - referral code + shareable URL (lazily generated).
   router.get('/api/rail/referrals/link', authenticateToken, requireCPA, async (req, res) => {
     try {
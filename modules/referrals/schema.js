@@ -6,8 +6,9 @@
 // The cpa_profiles ALTER + referral_code backfill (SECTION B) is NOT here - it
 // touches a production table and is run once, reviewed, per the bulk-op rule.
 //
-// Keep this DDL in sync with SECTION A of 001_referrals.sql (that file is the
-// canonical reviewed artifact; this is the boot applier).
+// Keep this DDL in sync with SECTION A of 001_referrals.sql and with
+// 003_referral_credit_application.sql (those files are the canonical reviewed
+// artifacts; this is the boot applier).
 
 'use strict';
 
@@ -77,6 +78,9 @@ CREATE TABLE IF NOT EXISTS network_referral_credits (
 );
 CREATE INDEX IF NOT EXISTS idx_network_referral_credits_pro_id ON network_referral_credits(pro_id);
 CREATE INDEX IF NOT EXISTS idx_network_referral_credits_status ON network_referral_credits(status);
+-- 003_referral_credit_application.sql
+ALTER TABLE network_referral_credits ADD COLUMN IF NOT EXISTS stripe_subscription_id TEXT;
+ALTER TABLE network_referral_credits ADD COLUMN IF NOT EXISTS applied_by TEXT;
 
 CREATE TABLE IF NOT EXISTS network_outbox (
   id SERIAL PRIMARY KEY,
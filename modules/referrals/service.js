@@ -20,7 +20,7 @@ const EVENT_TYPES = new Set([
   'created', 'transmitted', 'transmit_failed', 'received', 'matched', 'no_match',
   'offer_email_sent', 'accepted', 'declined', 'rematched', 'intro_email_sent',
   'status_email_sent', 'email_suppressed_dark', 'client_clicked', 'connected',
-  'converted', 'converted_self_reported', 'credit_pending_review', 'credit_issued',
+  'converted', 'converted_self_reported', 'credit_pending_review', 'credit_issued', 'credit_applied',
   'expired', 'cancelled', 'error',
 ]);
 
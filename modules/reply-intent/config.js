@@ -0,0 +1,59 @@
+// modules/reply-intent/config.js
+// Tunables for the LLM tier of the inbound reply classifier.
+
+'use strict';
+
+// Follow-ups an intent can be given:
+//   hand_off   end the address's active sequences, acknowledge the reply and
+//              hand it to Arthur (inbound row -> manual_review)
+//   snooze     push the address's active sequences back `days`
+//   stop       end the address's active sequences; no reply
+//   suppress   add the address to outreach_unsubscribes, end its sequences
+//              and hand the reply to a person; never auto-replies
+//   review     put the reply in the review queue
+const ACTION_NAMES = ['hand_off', 'snooze', 'stop', 'suppress', 'review'];
+
+// What each intent means to the model, and its default follow-up.
+const INTENTS = {
+  interested: { description: 'wants to talk, sign up, claim their profile or learn more', action: 'hand_off' },
+  not_now: { description: 'not a refusal, but not now: busy season, revisit later', action: 'snooze', days: 90 },
+  wrong_person: { description: 'not the right contact: left the firm, retired, not a CPA, wrong address', action: 'stop' },
+  out_of_office: { description: 'automatic out-of-office, vacation or leave reply', action: 'snooze', days: 7 },
+  referral: { description: 'points us to a colleague or another person to contact instead', action: 'hand_off' },
+  legal_threat: { description: 'threatens legal action, or cites CASL, anti-spam law, a regulator or a complaint', action: 'suppress' },
+  pricing_question: { description: 'asks what it costs, about plans, fees or billing', action: 'hand_off' },
+  other: { description: 'none of the above', action: 'review' },
+};
+
+// REPLY_INTENT_ACTIONS=not_now:stop,out_of_office:snooze:14 overrides the
+// follow-up (and snooze days) per intent.
+function parseActions(raw, intents) {
+  const out = Object.fromEntries(Object.entries(intents).map(([name, spec]) => [name, { ...spec }]));
+  for (const part of String(raw || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [intent, action, days] = part.split(':').map((s) => s.trim());
+    if (!out[intent] || !ACTION_NAMES.includes(action)) {
+      console.warn(`[reply-intent] REPLY_INTENT_ACTIONS: ignoring "${part}"`);
+      continue;
+    }
+    out[intent].action = action;
+    if (days) out[intent].days = parseInt(days, 10);
+  }
+  return out;
+}
+
+module.exports = {
+  // Off by default: until this is 'true', replies no rule matches go
+  // straight to the catch-all as before.
+  ENABLED: process.env.REPLY_INTENT_ENABLED === 'true',
+
+  ACTION_NAMES,
+  INTENTS: parseActions(process.env.REPLY_INTENT_ACTIONS, INTENTS),
+  parseActions,
+
+  // Below this the follow-up does not run: the reply goes to the review
+  // queue, and the sender gets the catch-all acknowledgement.
+  MIN_CONFIDENCE: parseFloat(process.env.REPLY_INTENT_MIN_CONFIDENCE || '0.75'),
+
+  // GET /api/admin/reply-intents/review page size.
+  REVIEW_LIMIT: 100,
+};
@@ -0,0 +1,31 @@
+// modules/reply-intent/index.js
+// Composition root for the LLM tier of the inbound reply classifier.
+// server.js touchpoints:
+//
+//   const replyIntents = require('./modules/reply-intent')({ pool });
+//   app.use(replyIntents.adminRouter);   // /api/admin/reply-intents/* — admin umbrella gates by prefix
+//   await replyIntents.ensureSchema();   // boot (reply_intents)
+//
+// The classifier itself (services/inbound-classifier.js, inbound_classifier
+// job) calls the tier through ./intent.js; this module owns the table and
+// the review queue.
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+const schema = require('./schema');
+const buildAdminRoutes = require('./routes.admin');
+
+function createReplyIntentModule(injected) {
+  const { pool } = injected || {};
+  if (!pool) throw new Error('[reply-intent] pool is required');
+
+  return {
+    config,
+    adminRouter: buildAdminRoutes({ pool, config, service }),
+    ensureSchema: () => schema.ensureReplyIntentSchema(pool),
+  };
+}
+
+module.exports = createReplyIntentModule;
@@ -0,0 +1,25 @@
+// modules/reply-intent/intent.js
+// The LLM tier as services/inbound-classifier.js uses it, bound to this
+// module's config, like ../send-audit/audit.js:
+//
+//   const replyIntent = require('../modules/reply-intent/intent');
+//   const tiered = await replyIntent.handle(pool, inboundRow);
+//   if (!tiered) ... catch-all, as before
+//
+// handle() returns null when REPLY_INTENT_ENABLED is off or the model cannot
+// answer. Otherwise it returns { decision, intent, confidence, action,
+// inbound, ack }: the follow-up has run, and the classifier marks the
+// inbound row `inbound` and sends the acknowledgement when `ack` is set.
+//
+// defer() holds the address's open enrollments until a date; the classifier
+// uses it for out-of-office replies, which never reach the tier.
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+
+module.exports = {
+  handle: (pool, inbound) => service.handle(pool, config, inbound),
+  defer: (pool, email, until) => service.deferSequences(pool, email, until),
+};
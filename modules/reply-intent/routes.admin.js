@@ -0,0 +1,55 @@
+// modules/reply-intent/routes.admin.js
+// The reply-intent review queue and summary. Paths live under /api/admin/*
+// and inherit the `app.use('/api/admin', authenticateToken, requireAdmin)`
+// umbrella in server.js.
+
+'use strict';
+
+const express = require('express');
+
+function buildAdminRoutes({ pool, config, service }) {
+  const router = express.Router();
+
+  // GET /api/admin/reply-intents?days=30 - counts per intent and status.
+  router.get('/api/admin/reply-intents', async (req, res) => {
+    try {
+      const days = Math.min(365, Math.max(1, parseInt(req.query.days || '30', 10) || 30));
+      return res.json({
+        enabled: config.ENABLED,
+        min_confidence: config.MIN_CONFIDENCE,
+        intents: config.INTENTS,
+        ...(await service.summary(pool, { days })),
+      });
+    } catch (err) {
+      console.error('[reply-intent/admin] summary error:', err.message);
+      return res.status(500).json({ error: 'summary failed' });
+    }
+  });
+
+  // GET /api/admin/reply-intents/review - replies waiting for a person.
+  router.get('/api/admin/reply-intents/review', async (req, res) => {
+    try {
+      return res.json(await service.listReview(pool, config));
+    } catch (err) {
+      console.error('[reply-intent/admin] review error:', err.message);
+      return res.status(500).json({ error: 'review queue failed' });
+    }
+  });
+
+  // POST /api/admin/reply-intents/:id/resolve { intent }
+  router.post('/api/admin/reply-intents/:id/resolve', async (req, res) => {
+    try {
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const result = await service.resolve(pool, config, actor, req.params.id, req.body || {});
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[reply-intent/admin] resolve error:', err.message);
+      return res.status(500).json({ error: 'resolve failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildAdminRoutes;
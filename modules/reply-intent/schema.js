@@ -0,0 +1,39 @@
+// modules/reply-intent/schema.js
+// Boot-time creation of the reply-intent log. New, empty table only.
+//
+// reply_intents   one row per inbound reply the LLM tier classified: the
+//                 intent, the model's confidence and rationale, the follow-up
+//                 that ran and what it changed. status 'review' rows are the
+//                 human review queue; a reviewer's answer replaces the
+//                 model's (reviewed_intent) and runs that intent's follow-up.
+
+'use strict';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS reply_intents (
+  id                  BIGSERIAL PRIMARY KEY,
+  inbound_message_id  INTEGER NOT NULL UNIQUE,
+  from_email          TEXT NOT NULL,
+  intent              TEXT NOT NULL,
+  confidence          NUMERIC(4,3) NOT NULL,
+  rationale           TEXT,
+  referred_to         TEXT,
+  model               TEXT NOT NULL,
+  status              TEXT NOT NULL CHECK (status IN ('actioned','review','resolved')),
+  action              TEXT,
+  action_result       JSONB,
+  reviewed_intent     TEXT,
+  reviewed_by         TEXT,
+  reviewed_at         TIMESTAMPTZ,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_reply_intents_review ON reply_intents (created_at) WHERE status = 'review';
+CREATE INDEX IF NOT EXISTS idx_reply_intents_email ON reply_intents (from_email);
+`;
+
+async function ensureReplyIntentSchema(pool) {
+  await pool.query(DDL);
+  console.log('[reply-intent] module schema ensured');
+}
+
+module.exports = { ensureReplyIntentSchema, DDL };
@@ -0,0 +1,250 @@
+// modules/reply-intent/service.js
+// The second tier of the inbound reply classifier. The regex rules in
+// services/inbound-classifier.js (unsubscribe, touch 7, breakdown) run first;
+// a reply none of them matches comes here. Claude Haiku
+// (services/ai.js classifyReplyIntent) puts it in one of config.INTENTS with
+// a confidence, and the intent's configured follow-up runs.
+//
+// Below MIN_CONFIDENCE, or for intent 'other', nothing runs. The reply goes
+// to the review queue and the classifier gives it the catch-all treatment
+// (acknowledge, hand to Arthur). A reviewer's answer runs that intent's
+// follow-up then.
+//
+// handle() returns null when the tier is off or the model cannot answer; the
+// classifier then falls back to the catch-all, as before this tier existed.
+
+'use strict';
+
+const ai = require('../../services/ai');
+
+function logError(deps, context, err) {
+  console.error(`[reply-intent/service] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[reply-intent/service] captureError failed:', e.message); }
+  }
+}
+
+function normalizeEmail(raw) {
+  return String(raw || '').trim().toLowerCase();
+}
+
+// ---------------------------------------------------------------------------
+// Follow-ups
+// ---------------------------------------------------------------------------
+
+// Ends the address's open v2 and CRM sequence enrollments.
+async function endSequences(pool, email, reason) {
+  const v2 = await pool.query(
+    `UPDATE v2_supply_enrollments SET completed_at = NOW(), exit_reason = $2
+      WHERE LOWER(recipient_email) = $1 AND platform = 'acc' AND completed_at IS NULL`,
+    [email, reason]
+  );
+  const crm = await pool.query(
+    `UPDATE crm_sequence_enrollments e SET completed_at = NOW(), exit_reason = $2
+       FROM scraped_cpas p
+      WHERE p.id = e.professional_id AND e.platform = 'accountants' AND e.completed_at IS NULL
+        AND (LOWER(p.email) = $1 OR LOWER(p.enriched_email) = $1)`,
+    [email, reason]
+  );
+  return { sequence_v2: v2.rowCount, crm_sequence: crm.rowCount };
+}
+
+// Pushes the next send of the address's open enrollments at least `days` out.
+async function snoozeSequences(pool, email, days) {
+  const v2 = await pool.query(
+    `UPDATE v2_supply_enrollments SET next_send_at = GREATEST(COALESCE(next_send_at, NOW()), NOW() + make_interval(days => $2))
+      WHERE LOWER(recipient_email) = $1 AND platform = 'acc' AND completed_at IS NULL`,
+    [email, days]
+  );
+  const crm = await pool.query(
+    `UPDATE crm_sequence_enrollments e SET next_send_at = GREATEST(COALESCE(e.next_send_at, NOW()), NOW() + make_interval(days => $2))
+       FROM scraped_cpas p
+      WHERE p.id = e.professional_id AND e.platform = 'accountants' AND e.completed_at IS NULL
+        AND (LOWER(p.email) = $1 OR LOWER(p.enriched_email) = $1)`,
+    [email, days]
+  );
+  return { sequence_v2: v2.rowCount, crm_sequence: crm.rowCount, days };
+}
+
+// Pushes the next send of the address's open enrollments to `until` at the
+// earliest. Used for out-of-office replies (services/auto-reply.js).
+async function deferSequences(pool, email, until) {
+  const v2 = await pool.query(
+    `UPDATE v2_supply_enrollments SET next_send_at = GREATEST(COALESCE(next_send_at, NOW()), $2::timestamptz)
+      WHERE LOWER(recipient_email) = $1 AND platform = 'acc' AND completed_at IS NULL`,
+    [email, until]
+  );
+  const crm = await pool.query(
+    `UPDATE crm_sequence_enrollments e SET next_send_at = GREATEST(COALESCE(e.next_send_at, NOW()), $2::timestamptz)
+       FROM scraped_cpas p
+      WHERE p.id = e.professional_id AND e.platform = 'accountants' AND e.completed_at IS NULL
+        AND (LOWER(p.email) = $1 OR LOWER(p.enriched_email) = $1)`,
+    [email, until]
+  );
+  return { sequence_v2: v2.rowCount, crm_sequence: crm.rowCount, until };
+}
+
+// Each follow-up returns what it changed, plus how the classifier should
+// finish the inbound row: `inbound` status, whether to send the "Got it"
+// acknowledgement, and whether a person still needs to look (`review`).
+const ACTIONS = {
+  hand_off: async (pool, email, intent) => ({
+    inbound: 'manual_review', ack: true, ended: await endSequences(pool, email, `reply_${intent}`),
+  }),
+  snooze: async (pool, email, intent, spec) => ({
+    inbound: 'classified', ack: false, snoozed: await snoozeSequences(pool, email, spec.days || 30),
+  }),
+  stop: async (pool, email, intent) => ({
+    inbound: 'classified', ack: false, ended: await endSequences(pool, email, `reply_${intent}`),
+  }),
+  suppress: async (pool, email, intent) => {
+    await pool.query(
+      `INSERT INTO outreach_unsubscribes (email, reason, unsubscribed_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (email) DO NOTHING`,
+      [email, `reply_${intent}`]
+    );
+    return { inbound: 'manual_review', ack: false, review: true, suppressed: true, ended: await endSequences(pool, email, `reply_${intent}`) };
+  },
+  review: async () => ({ inbound: 'manual_review', ack: true, review: true }),
+};
+
+// The classifier-facing flags of an outcome, apart from what it changed.
+function splitOutcome(outcome) {
+  const { inbound, ack, review, ...changed } = outcome;
+  return { inbound, ack: Boolean(ack), review: Boolean(review), changed };
+}
+
+function descriptions(config) {
+  return Object.fromEntries(Object.entries(config.INTENTS).map(([name, spec]) => [name, spec.description]));
+}
+
+// ---------------------------------------------------------------------------
+// Classification
+// ---------------------------------------------------------------------------
+
+// inbound: { id, from_email, subject, body_text }. `classify` defaults to
+// the Haiku call; tests pass their own.
+async function handle(pool, config, inbound, { classify = ai.classifyReplyIntent } = {}, deps) {
+  if (!config.ENABLED) return null;
+  const email = normalizeEmail(inbound.from_email);
+  if (!email) return null;
+
+  let result;
+  try {
+    result = await classify({ subject: inbound.subject, body: inbound.body_text, intents: descriptions(config) });
+  } catch (err) {
+    logError(deps, `classify inbound ${inbound.id}`, err);
+    return null;
+  }
+
+  const spec = config.INTENTS[result.intent];
+  const action = result.confidence >= config.MIN_CONFIDENCE ? spec.action : 'review';
+
+  // Claim the reply before its follow-up runs, so a second pass over the same
+  // inbound row (an overlapping run, or a retry after a crash) never runs it
+  // twice. The claim sits in the review queue until the follow-up finishes; a
+  // follow-up that throws leaves it there for a person.
+  const claim = await pool.query(
+    `INSERT INTO reply_intents (inbound_message_id, from_email, intent, confidence, rationale, referred_to, model, status, action)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, 'review', $8)
+     ON CONFLICT (inbound_message_id) DO NOTHING
+     RETURNING id`,
+    [inbound.id, email, result.intent, result.confidence, result.rationale, result.referred_to, result.model, action]
+  );
+  if (!claim.rows[0]) {
+    // Already handled: no follow-up and no second acknowledgement; a person
+    // checks how the first pass left it.
+    console.log(`[reply-intent] inbound ${inbound.id}: already classified, follow-up not run again`);
+    return { decision: 'intent_duplicate', intent: result.intent, confidence: result.confidence, action: null, inbound: 'manual_review', ack: false };
+  }
+
+  const { inbound: inboundStatus, ack, review, changed } = splitOutcome(await ACTIONS[action](pool, email, result.intent, spec));
+  const status = review ? 'review' : 'actioned';
+  await pool.query(
+    `UPDATE reply_intents SET status = $2, action_result = $3 WHERE id = $1`,
+    [claim.rows[0].id, status, JSON.stringify(changed)]
+  );
+  console.log(`[reply-intent] inbound ${inbound.id}: ${result.intent} (${result.confidence}) -> ${action}`);
+  return { decision: `intent_${status}`, intent: result.intent, confidence: result.confidence, action, inbound: inboundStatus, ack };
+}
+
+// ---------------------------------------------------------------------------
+// Review queue
+// ---------------------------------------------------------------------------
+
+// GET /api/admin/reply-intents/review - oldest first, with the reply itself.
+async function listReview(pool, config) {
+  const { rows } = await pool.query(
+    `SELECT r.*, m.subject, LEFT(m.body_text, 2000) AS body_text, m.received_at
+       FROM reply_intents r
+       LEFT JOIN inbound_messages m ON m.id = r.inbound_message_id
+      WHERE r.status = 'review'
+      ORDER BY r.created_at
+      LIMIT $1`,
+    [config.REVIEW_LIMIT]
+  );
+  return { items: rows };
+}
+
+// POST /api/admin/reply-intents/:id/resolve { intent } - the reviewer's
+// intent replaces the model's and its follow-up runs now. The sender already
+// had the catch-all acknowledgement, so no second one goes out.
+async function resolve(pool, config, actor, id, body) {
+  const intent = body && body.intent;
+  if (!config.INTENTS[intent]) {
+    return { ok: false, code: 400, message: `intent must be one of: ${Object.keys(config.INTENTS).join(', ')}` };
+  }
+  if (!/^\d+$/.test(String(id))) return { ok: false, code: 404, message: 'reply intent not found' };
+  const { rows } = await pool.query(`SELECT * FROM reply_intents WHERE id = $1`, [id]);
+  const row = rows[0];
+  if (!row) return { ok: false, code: 404, message: 'reply intent not found' };
+  if (row.status !== 'review') return { ok: false, code: 409, message: `already ${row.status}` };
+
+  const spec = config.INTENTS[intent];
+  // 'review' as a reviewer's answer means nothing further to do.
+  const action = spec.action === 'review' ? null : spec.action;
+  const { inbound: inboundStatus, changed } = splitOutcome(action
+    ? await ACTIONS[action](pool, row.from_email, intent, spec)
+    : { inbound: 'classified' });
+
+  const updated = await pool.query(
+    `UPDATE reply_intents
+        SET status = 'resolved', reviewed_intent = $2, reviewed_by = $3, reviewed_at = NOW(), action = $4, action_result = $5
+      WHERE id = $1 AND status = 'review'
+      RETURNING *`,
+    [id, intent, actor, action, JSON.stringify(changed)]
+  );
+  await pool.query(
+    `UPDATE inbound_messages SET classification_status = $2, processed_at = NOW() WHERE id = $1`,
+    [row.inbound_message_id, inboundStatus]
+  );
+  return { ok: true, item: updated.rows[0] };
+}
+
+// GET /api/admin/reply-intents?days=30 - counts per intent and status, and
+// how often reviewers disagreed with the model.
+async function summary(pool, { days = 30 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT intent, status, COUNT(*)::int AS replies,
+            ROUND(AVG(confidence), 3)::float AS avg_confidence,
+            COUNT(*) FILTER (WHERE reviewed_intent IS NOT NULL AND reviewed_intent <> intent)::int AS overturned
+       FROM reply_intents
+      WHERE created_at > NOW() - make_interval(days => $1)
+      GROUP BY 1, 2
+      ORDER BY 1, 2`,
+    [days]
+  );
+  return { days, rows };
+}
+
+module.exports = {
+  ACTIONS,
+  endSequences,
+  snoozeSequences,
+  deferSequences,
+  handle,
+  listReview,
+  resolve,
+  summary,
+};
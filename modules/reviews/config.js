@@ -0,0 +1,26 @@
+// modules/reviews/config.js
+// Tunables for verified client reviews. ACC-only.
+
+'use strict';
+
+// Notify gating. Default OFF like the other CPA-facing emails: reviews are
+// stored and the CPA sees them in the dashboard; the "you have a new review"
+// email is rendered into cpa_review_events('email_suppressed_dark') instead.
+const NOTIFY_ENABLED = String(process.env.REVIEW_NOTIFY_ENABLED || 'false').toLowerCase() === 'true';
+
+module.exports = {
+  NOTIFY_ENABLED,
+  PLATFORM_NAME: 'CanadaAccountants',
+  PLATFORM_DOMAIN: 'https://canadaaccountants.app',
+  SUPPRESSION_TABLE: 'outreach_unsubscribes',
+  // How long the CPA has to post a public response before the review goes to
+  // the moderation queue without one.
+  RESPONSE_WINDOW_DAYS: parseInt(process.env.REVIEW_RESPONSE_WINDOW_DAYS || '7', 10),
+  BODY_CHARS: [20, 3000],
+  RESPONSE_MAX_CHARS: 2000,
+  DISPLAY_NAME_MAX_CHARS: 60,
+  DEFAULT_DISPLAY_NAME: 'Verified client',
+  // Published reviews embedded in /api/profiles/:id; the rest are paged.
+  PROFILE_REVIEWS: 5,
+  PAGE_SIZE: 10,
+};
@@ -0,0 +1,87 @@
+// modules/reviews/emails.js
+// "You have a new review" to the CPA, with the response deadline. Sent with
+// services/email.js and gated on config.NOTIFY_ENABLED: dark renders the email
+// into cpa_review_events('email_suppressed_dark') and sends nothing.
+//
+// buildNotify({ config, sendEmail, wrapInBrandTemplate, service, captureError })
+//   -> { newReview }
+
+'use strict';
+
+function esc(s) {
+  return String(s == null ? '' : s).replace(/[&<>"]/g, (c) => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]
+  ));
+}
+
+const P = 'margin:0 0 16px;color:#333333;font-size:15px;line-height:1.7;';
+
+function tplNewReview(config, { recipientName, rating, body, dueAt, link }) {
+  const subject = `You have a new ${rating}-star review on ${config.PLATFORM_NAME}`;
+  const due = new Date(dueAt).toLocaleDateString('en-CA', { timeZone: 'America/Toronto', year: 'numeric', month: 'long', day: 'numeric' });
+  const html = `
+    <p style="${P}">Hi ${esc(recipientName || 'there')},</p>
+    <p style="${P}">A client you worked with through ${esc(config.PLATFORM_NAME)} left you a ${esc(rating)}-star review:</p>
+    <blockquote style="margin:0 0 16px;padding:12px 16px;border-left:3px solid #2563eb;background:#f8fafc;color:#333333;font-size:15px;line-height:1.7;white-space:pre-wrap;">${esc(body)}</blockquote>
+    <p style="${P}">You can post a public response until ${esc(due)}. After that the review goes to moderation and, once approved, appears on your profile.</p>
+    <p style="${P}"><a href="${esc(link)}" style="color:#2563eb;">Respond from your dashboard</a></p>`;
+  return { subject, html };
+}
+
+function buildNotify({ config, sendEmail, wrapInBrandTemplate, service, captureError }) {
+  async function newReview(pool, cfg, review) {
+    const { rows } = await pool.query(
+      `SELECT first_name, email FROM cpa_profiles WHERE id = $1`,
+      [review.cpa_profile_id]
+    );
+    const cpa = rows[0] || {};
+    const template = tplNewReview(cfg, {
+      recipientName: cpa.first_name,
+      rating: review.rating,
+      body: review.body,
+      dueAt: review.response_due_at,
+      link: `${cfg.PLATFORM_DOMAIN}/cpa-dashboard#reviews`,
+    });
+
+    if (!cfg.NOTIFY_ENABLED) {
+      await service.recordEvent(pool, review.id, 'email_suppressed_dark', 'system', {
+        would_send_to: cpa.email || null,
+        subject: template.subject,
+        html: template.html,
+        reason: 'REVIEW_NOTIFY_ENABLED=false',
+      });
+      return { sent: false, dark: true };
+    }
+
+    if (!cpa.email) {
+      await service.recordEvent(pool, review.id, 'error', 'system', { stage: 'new_review', message: 'no recipient' });
+      return { sent: false };
+    }
+    try {
+      const suppressed = await pool.query(
+        `SELECT 1 FROM ${cfg.SUPPRESSION_TABLE} WHERE lower(email) = $1 LIMIT 1`,
+        [String(cpa.email).toLowerCase()]
+      );
+      if (suppressed.rows.length > 0) {
+        await service.recordEvent(pool, review.id, 'error', 'system', { stage: 'new_review', message: 'recipient suppressed' });
+        return { sent: false, suppressed: true };
+      }
+      const result = await sendEmail({ to: cpa.email, subject: template.subject, html: wrapInBrandTemplate(template.html) });
+      if (!result || !result.success) {
+        await service.recordEvent(pool, review.id, 'error', 'system', { stage: 'new_review', message: (result && result.reason) || 'send failed' });
+        return { sent: false };
+      }
+      await service.recordEvent(pool, review.id, 'notify_sent', 'system', { to: cpa.email });
+      return { sent: true };
+    } catch (err) {
+      console.error('[reviews/emails] send failed (new_review):', err.message);
+      if (typeof captureError === 'function') { try { captureError(err, { stage: 'new_review' }); } catch (e) { console.error('[reviews/emails] captureError failed:', e.message); } }
+      await service.recordEvent(pool, review.id, 'error', 'system', { stage: 'new_review', message: err.message });
+      return { sent: false, error: err.message };
+    }
+  }
+
+  return { newReview };
+}
+
+module.exports = { buildNotify, tplNewReview };
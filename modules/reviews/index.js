@@ -0,0 +1,62 @@
+// modules/reviews/index.js
+// Composition root for verified client reviews. server.js touchpoints:
+//
+//   const reviews = require('./modules/reviews')({
+//     pool, jobs, sendEmail, wrapInBrandTemplate, auth: { authenticateToken, requireCPA },
+//     portal: { verify: clientPortal.verifyToken }, captureError,
+//   });
+//   app.use(reviews.professionalRouter);   // /api/cpa/reviews (JWT)
+//   app.use(reviews.clientRouter);         // /api/client-portal/:token/...review(s)
+//   app.use(reviews.adminRouter);          // /api/admin/reviews — admin umbrella gates by prefix
+//   app.use(reviews.publicRouter);         // /api/profiles/:id/reviews
+//   await reviews.ensureSchema();          // boot (new tables only)
+//
+//   /api/profiles/:id        -> reviews.forScrapedProfile(id)     (reviews + AggregateRating JSON-LD)
+//   /api/directory/*         -> reviews.aggregatesForScraped(ids) (AggregateRating per listing)
+//
+// The response-window sweeper is the reviews_sweep job (modules/jobs).
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+const schema = require('./schema');
+const sweeper = require('./sweeper');
+const { buildNotify } = require('./emails');
+const buildClientRoutes = require('./routes.client');
+const buildProfessionalRoutes = require('./routes.professional');
+const buildAdminRoutes = require('./routes.admin');
+const buildPublicRoutes = require('./routes.public');
+
+function createReviewsModule(injected) {
+  const { pool, jobs, sendEmail, wrapInBrandTemplate, auth, portal, captureError } = injected || {};
+  if (!pool) throw new Error('[reviews] pool is required');
+  if (!jobs) throw new Error('[reviews] jobs is required');
+  if (!portal || typeof portal.verify !== 'function') throw new Error('[reviews] portal.verify is required');
+
+  const notify = buildNotify({ config, sendEmail, wrapInBrandTemplate, service, captureError });
+  const deps = { notify, captureError };
+
+  jobs.register({
+    name: 'reviews_sweep',
+    description: 'Move reviews whose CPA response window lapsed to moderation',
+    schedule: sweeper.SWEEP_CRON,
+    timeoutMs: 5 * 60 * 1000,
+    run: () => sweeper.sweep(pool, service),
+  });
+
+  return {
+    config,
+    service,
+    professionalRouter: buildProfessionalRoutes({ pool, config, service, auth: auth || {} }),
+    clientRouter: buildClientRoutes({ pool, config, service, deps, verifyPortalToken: portal.verify }),
+    adminRouter: buildAdminRoutes({ pool, config, service }),
+    publicRouter: buildPublicRoutes({ pool, config, service }),
+    forScrapedProfile: (scrapedId) => service.forScrapedProfile(pool, config, scrapedId, { limit: config.PROFILE_REVIEWS }),
+    aggregatesForScraped: (ids) => service.aggregatesForScraped(pool, ids),
+    aggregateRatingJsonLd: service.aggregateRatingJsonLd,
+    ensureSchema: () => schema.ensureReviewSchema(pool),
+  };
+}
+
+module.exports = createReviewsModule;
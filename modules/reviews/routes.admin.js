@@ -0,0 +1,70 @@
+// modules/reviews/routes.admin.js
+// Review moderation queue. Paths live under /api/admin/* and inherit the
+// `app.use('/api/admin', authenticateToken, requireAdmin)` umbrella in server.js.
+// Every decision writes cpa_review_events.
+
+'use strict';
+
+const express = require('express');
+
+function buildAdminRoutes({ pool, config, service }) {
+  const router = express.Router();
+
+  // GET /api/admin/reviews?status=pending_moderation&cpa_profile_id=&limit=
+  // status defaults to the moderation queue; status=all lists everything.
+  router.get('/api/admin/reviews', async (req, res) => {
+    try {
+      const status = req.query.status || 'pending_moderation';
+      if (status !== 'all' && !service.STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: all, ${service.STATUSES.join(', ')}` });
+      }
+      const cpaProfileId = req.query.cpa_profile_id ? parseInt(req.query.cpa_profile_id, 10) : null;
+      const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || '50', 10) || 50));
+      const reviews = await service.listQueue(pool, {
+        status: status === 'all' ? null : status,
+        cpaProfileId: Number.isFinite(cpaProfileId) ? cpaProfileId : null,
+        limit,
+      });
+      return res.json({
+        reviews,
+        config: { response_window_days: config.RESPONSE_WINDOW_DAYS, notify_enabled: config.NOTIFY_ENABLED },
+      });
+    } catch (err) {
+      console.error('[reviews/admin] list error:', err.message);
+      return res.status(500).json({ error: 'list failed' });
+    }
+  });
+
+  // GET /api/admin/reviews/:id - the review and its event log.
+  router.get('/api/admin/reviews/:id', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad review id.' });
+      const detail = await service.getReview(pool, id);
+      if (!detail) return res.status(404).json({ error: 'Review not found' });
+      return res.json(detail);
+    } catch (err) {
+      console.error('[reviews/admin] detail error:', err.message);
+      return res.status(500).json({ error: 'detail failed' });
+    }
+  });
+
+  // POST /api/admin/reviews/:id/moderate { action: publish|reject|hide_response|show_response, note }
+  router.post('/api/admin/reviews/:id/moderate', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad review id.' });
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const result = await service.moderate(pool, id, actor, req.body || {});
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[reviews/admin] moderate error:', err.message);
+      return res.status(500).json({ error: 'moderate failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildAdminRoutes;
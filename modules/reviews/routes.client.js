@@ -0,0 +1,40 @@
+// modules/reviews/routes.client.js
+// SME side of reviews, under the client portal's URL space. The portal token is
+// the credential (verified by the injected client-portal verifier).
+
+'use strict';
+
+const express = require('express');
+
+function buildClientRoutes({ pool, config, service, deps, verifyPortalToken }) {
+  const router = express.Router();
+
+  const portalAction = (fn) => async (req, res) => {
+    try {
+      const claims = verifyPortalToken(req.params.token);
+      if (!claims) return res.status(404).json({ error: 'This link is invalid or has expired.' });
+      const result = await fn(claims, req);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      const { ok, ...rest } = result;
+      return res.json({ success: ok, ...rest });
+    } catch (err) {
+      console.error('[reviews/client] action error:', err.message);
+      return res.status(500).json({ error: 'Action failed.' });
+    }
+  };
+
+  // GET /api/client-portal/:token/reviews - my reviews and where each one is.
+  router.get('/api/client-portal/:token/reviews', portalAction(async (c) =>
+    ({ ok: true, reviews: await service.listForRequest(pool, c.source, c.ref) })));
+
+  // POST /api/client-portal/:token/matches/:matchId/review { rating 1-5, body, display_name }
+  router.post('/api/client-portal/:token/matches/:matchId/review', portalAction((c, req) => {
+    const matchRef = parseInt(req.params.matchId, 10);
+    if (!Number.isFinite(matchRef)) return { ok: false, code: 400, message: 'Bad match id.' };
+    return service.submit(pool, config, c.source, c.ref, matchRef, req.body || {}, deps);
+  }));
+
+  return router;
+}
+
+module.exports = buildClientRoutes;
@@ -0,0 +1,52 @@
+// modules/reviews/routes.professional.js
+// CPA dashboard API for reviews (JWT): every review of me, including ones still
+// in the response window or in moderation, and my one public response.
+
+'use strict';
+
+const express = require('express');
+
+function buildProfessionalRoutes({ pool, config, service, auth }) {
+  const router = express.Router();
+  const { authenticateToken, requireCPA } = auth;
+
+  async function resolveCpa(req) {
+    const { rows } = await pool.query(
+      `SELECT id FROM cpa_profiles WHERE user_id = $1 OR email = $2 LIMIT 1`,
+      [req.user.userId, req.user.email]
+    );
+    return rows[0] || null;
+  }
+
+  // GET /api/cpa/reviews -> { summary: { count, average }, reviews }
+  router.get('/api/cpa/reviews', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      return res.json(await service.listForCpa(pool, cpa.id));
+    } catch (err) {
+      console.error('[reviews/pro] list error:', err.message);
+      return res.status(500).json({ error: 'Could not list reviews.' });
+    }
+  });
+
+  // POST /api/cpa/reviews/:id/response { body } - only inside the response window.
+  router.post('/api/cpa/reviews/:id/response', authenticateToken, requireCPA, async (req, res) => {
+    try {
+      const cpa = await resolveCpa(req);
+      if (!cpa) return res.status(403).json({ error: 'No CPA profile for this account.' });
+      const id = parseInt(req.params.id, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad review id.' });
+      const result = await service.respond(pool, config, cpa.id, id, (req.body || {}).body);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[reviews/pro] respond error:', err.message);
+      return res.status(500).json({ error: 'Action failed.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildProfessionalRoutes;
@@ -0,0 +1,38 @@
+// modules/reviews/routes.public.js
+// Published reviews of a public profile, paged. The first page is also embedded
+// in /api/profiles/:id (server.js); :id is scraped_cpas.id like that route.
+
+'use strict';
+
+const express = require('express');
+
+function buildPublicRoutes({ pool, config, service }) {
+  const router = express.Router();
+
+  // GET /api/profiles/:id/reviews?page=
+  router.get('/api/profiles/:id/reviews', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad profile id.' });
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const { summary, reviews } = await service.forScrapedProfile(pool, config, id, { page });
+      res.set('Cache-Control', 'public, max-age=600');
+      return res.json({
+        summary,
+        page,
+        total_pages: Math.ceil(summary.count / config.PAGE_SIZE),
+        reviews,
+        aggregate_rating: service.aggregateRatingJsonLd(summary, {
+          '@type': 'Person', url: `${config.PLATFORM_DOMAIN}/profile?id=${id}`,
+        }),
+      });
+    } catch (err) {
+      console.error('[reviews/public] list error:', err.message);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildPublicRoutes;
@@ -0,0 +1,57 @@
+// modules/reviews/schema.js
+// Boot-time creation of the review tables. New, empty tables only.
+//
+// cpa_reviews         one review per match, keyed like the client portal:
+//                     match_ref is matches.id (match_cpas) or
+//                     friction_matches.match_id (friction)
+// cpa_review_events   append-only log: submissions, CPA responses, window
+//                     closes, moderation decisions and emails
+
+'use strict';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS cpa_reviews (
+  id                  SERIAL PRIMARY KEY,
+  cpa_profile_id      INTEGER NOT NULL,
+  source              TEXT NOT NULL CHECK (source IN ('match_cpas','friction')),
+  source_ref          TEXT NOT NULL,
+  match_ref           INTEGER NOT NULL,
+  rating              SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  body                TEXT NOT NULL,
+  display_name        TEXT NOT NULL,
+  verified_via        TEXT NOT NULL CHECK (verified_via IN ('match','booking')),
+  status              TEXT NOT NULL DEFAULT 'awaiting_response'
+                      CHECK (status IN ('awaiting_response','pending_moderation','published','rejected')),
+  response_due_at     TIMESTAMPTZ NOT NULL,
+  response_body       TEXT,
+  responded_at        TIMESTAMPTZ,
+  response_hidden     BOOLEAN NOT NULL DEFAULT FALSE,
+  moderated_by        TEXT,
+  moderated_at        TIMESTAMPTZ,
+  moderation_note     TEXT,
+  published_at        TIMESTAMPTZ,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (source, match_ref)
+);
+CREATE INDEX IF NOT EXISTS idx_cpa_reviews_cpa_status ON cpa_reviews(cpa_profile_id, status);
+CREATE INDEX IF NOT EXISTS idx_cpa_reviews_status_due ON cpa_reviews(status, response_due_at);
+CREATE INDEX IF NOT EXISTS idx_cpa_reviews_request ON cpa_reviews(source, source_ref);
+
+CREATE TABLE IF NOT EXISTS cpa_review_events (
+  id                  SERIAL PRIMARY KEY,
+  review_id           INTEGER NOT NULL REFERENCES cpa_reviews(id) ON DELETE CASCADE,
+  event_type          TEXT NOT NULL,
+  actor               TEXT,
+  detail              JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_cpa_review_events_review ON cpa_review_events(review_id, created_at);
+`;
+
+async function ensureReviewSchema(pool) {
+  await pool.query(DDL);
+  console.log('[reviews] module schema ensured');
+}
+
+module.exports = { ensureReviewSchema, DDL };
@@ -0,0 +1,417 @@
+// modules/reviews/service.js
+// Verified client reviews of CPAs. One review per match, keyed the way the
+// client portal keys matches:
+//   match_cpas - match_ref = matches.id,                source_ref = client_profile_id
+//   friction   - match_ref = friction_matches.match_id, source_ref = request_id
+//
+// Who can review: the SME holding the portal link for the request, for a CPA
+// matched to it, once the match is on record as engaged - the CPA accepted the
+// routed lead, the SME marked them contacted, the two exchanged messages - or a
+// booked consultation with them has started (verified_via = 'booking').
+//
+// Lifecycle:
+//   awaiting_response   the CPA may post one public response until
+//                       response_due_at (RESPONSE_WINDOW_DAYS)
+//   pending_moderation  responded, or the window closed (sweeper); admin queue
+//   published           counted in the CPA's rating and shown publicly
+//   rejected            never shown; an admin can publish it later
+//
+// Public profiles and the directory read scraped_cpas; a review reaches them
+// through scraped_cpas.claimed_by = cpa_profiles.user_id. Actions return
+// { ok:true, ... } or { ok:false, code, message }.
+//
+// deps shape:
+//   deps.notify.newReview(pool, config, review)   emails.js
+//   deps.captureError(err, ctx)
+
+'use strict';
+
+const EVENT_TYPES = new Set([
+  'submitted',
+  'notify_sent',
+  'email_suppressed_dark',
+  'responded',
+  'window_closed',
+  'published',
+  'rejected',
+  'response_hidden',
+  'response_shown',
+  'error',
+]);
+
+const STATUSES = ['awaiting_response', 'pending_moderation', 'published', 'rejected'];
+const MODERATION_ACTIONS = ['publish', 'reject', 'hide_response', 'show_response'];
+
+function logError(deps, context, err) {
+  console.error(`[reviews/service] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[reviews/service] captureError failed:', e.message); }
+  }
+}
+
+async function recordEvent(db, reviewId, eventType, actor, detail) {
+  if (!EVENT_TYPES.has(eventType)) {
+    console.error(`[reviews/service] unknown event_type '${eventType}' - refusing to record silently`);
+  }
+  await db.query(
+    `INSERT INTO cpa_review_events (review_id, event_type, actor, detail) VALUES ($1, $2, $3, $4)`,
+    [reviewId, eventType, actor || null, JSON.stringify(detail || {})]
+  );
+}
+
+// --- pure helpers -------------------------------------------------------------
+// { value: { rating, body, display_name } } or { error }.
+function parseReview(input, config) {
+  const src = input || {};
+  const rating = Number(src.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return { error: 'rating must be a whole number from 1 to 5.' };
+  }
+  const [minChars, maxChars] = config.BODY_CHARS;
+  const body = typeof src.body === 'string' ? src.body.trim() : '';
+  if (body.length < minChars || body.length > maxChars) {
+    return { error: `Review text must be ${minChars}-${maxChars} characters.` };
+  }
+  const name = typeof src.display_name === 'string'
+    ? src.display_name.replace(/\s+/g, ' ').trim().slice(0, config.DISPLAY_NAME_MAX_CHARS)
+    : '';
+  return { value: { rating, body, display_name: name || config.DEFAULT_DISPLAY_NAME } };
+}
+
+// How a match qualifies for a review: 'booking', 'match', or null.
+function verification(evidence) {
+  if (!evidence) return null;
+  if (evidence.met) return 'booking';
+  if (evidence.offer_status === 'accepted' || evidence.contacted_at || evidence.conversed) return 'match';
+  return null;
+}
+
+function summarize(row) {
+  const count = row ? parseInt(row.review_count, 10) || 0 : 0;
+  return {
+    count,
+    average: count > 0 ? Math.round(Number(row.average) * 10) / 10 : null,
+  };
+}
+
+// schema.org AggregateRating, or null with nothing published (an empty
+// AggregateRating is invalid structured data). Person has no aggregateRating
+// property, so the rating is its own node pointing back at the profile through
+// itemReviewed rather than a field on the profile's Person JSON-LD.
+function aggregateRatingJsonLd(summary, itemReviewed) {
+  if (!summary || !summary.count) return null;
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'AggregateRating',
+    ...(itemReviewed && { itemReviewed }),
+    ratingValue: summary.average,
+    reviewCount: summary.count,
+    bestRating: 5,
+    worstRating: 1,
+  };
+}
+
+function toPublic(r) {
+  return {
+    id: r.id,
+    rating: r.rating,
+    body: r.body,
+    display_name: r.display_name,
+    verified_via: r.verified_via,
+    published_at: r.published_at,
+    response: r.response_body && !r.response_hidden
+      ? { body: r.response_body, responded_at: r.responded_at }
+      : null,
+  };
+}
+
+// --- eligibility ----------------------------------------------------------------
+const MATCH_SQL = {
+  match_cpas: `
+    SELECT m.id AS match_ref, m.client_profile_id::text AS source_ref, m.cpa_profile_id,
+           o.status AS offer_status
+      FROM matches m
+      LEFT JOIN routed_leads l ON l.source = 'match_cpas' AND l.source_ref = m.client_profile_id::text
+      LEFT JOIN routed_lead_offers o ON o.lead_id = l.id AND o.source_match_id = m.id
+     WHERE m.id = $1`,
+  friction: `
+    SELECT fm.match_id AS match_ref, fm.request_id AS source_ref, cp.id AS cpa_profile_id,
+           o.status AS offer_status
+      FROM friction_matches fm
+      LEFT JOIN cpa_profiles cp ON cp.id::text = fm.cpa_id
+      LEFT JOIN routed_leads l ON l.source = 'friction' AND l.source_ref = fm.request_id
+      LEFT JOIN routed_lead_offers o ON o.lead_id = l.id AND o.source_match_id = fm.match_id
+     WHERE fm.match_id = $1`,
+};
+
+// Engagement on record for one match, from the portal, booking and messaging tables.
+const EVIDENCE_SQL = `
+  SELECT (SELECT contacted_at FROM client_portal_feedback
+           WHERE source = $1 AND match_ref = $2) AS contacted_at,
+         EXISTS (SELECT 1 FROM appointments
+                  WHERE source = $1 AND match_ref = $2 AND status = 'booked' AND starts_at <= now()) AS met,
+         EXISTS (SELECT 1 FROM match_threads t
+                  WHERE t.source = $1 AND t.match_ref = $2
+                    AND EXISTS (SELECT 1 FROM match_messages WHERE thread_id = t.id AND sender = 'client')
+                    AND EXISTS (SELECT 1 FROM match_messages WHERE thread_id = t.id AND sender = 'cpa')) AS conversed`;
+
+async function matchOnRequest(pool, source, ref, matchRef) {
+  const { rows } = await pool.query(MATCH_SQL[source], [matchRef]);
+  const r = rows[0];
+  return r && r.cpa_profile_id != null && String(r.source_ref) === String(ref) ? r : null;
+}
+
+// --- SME (client portal) ------------------------------------------------------
+async function submit(pool, config, source, ref, matchRef, input, deps) {
+  const parsed = parseReview(input, config);
+  if (parsed.error) return { ok: false, code: 400, message: parsed.error };
+
+  const match = await matchOnRequest(pool, source, ref, matchRef);
+  if (!match) return { ok: false, code: 404, message: 'Match not found on this request.' };
+
+  const evidence = await pool.query(EVIDENCE_SQL, [source, matchRef]);
+  const via = verification({ ...evidence.rows[0], offer_status: match.offer_status });
+  if (!via) {
+    return {
+      ok: false, code: 403,
+      message: 'Reviews open once you have been in touch with this CPA or had a consultation with them.',
+    };
+  }
+
+  const { value } = parsed;
+  const { rows } = await pool.query(
+    `INSERT INTO cpa_reviews (cpa_profile_id, source, source_ref, match_ref, rating, body, display_name,
+                              verified_via, response_due_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, now() + ($9 || ' days')::interval)
+     ON CONFLICT (source, match_ref) DO NOTHING
+     RETURNING *`,
+    [match.cpa_profile_id, source, String(ref), matchRef, value.rating, value.body, value.display_name,
+      via, String(config.RESPONSE_WINDOW_DAYS)]
+  );
+  if (rows.length === 0) return { ok: false, code: 409, message: 'You have already reviewed this CPA.' };
+  const review = rows[0];
+  await recordEvent(pool, review.id, 'submitted', 'client', { rating: review.rating, verified_via: via });
+
+  if (deps && deps.notify) {
+    try {
+      await deps.notify.newReview(pool, config, review);
+    } catch (err) {
+      logError(deps, 'new review notify', err);
+    }
+  }
+  return { ok: true, review: toClientView(review) };
+}
+
+function toClientView(r) {
+  return {
+    id: r.id,
+    match_id: r.match_ref,
+    rating: r.rating,
+    body: r.body,
+    display_name: r.display_name,
+    status: r.status,
+    created_at: r.created_at,
+    published_at: r.published_at,
+    response: r.response_body && !r.response_hidden
+      ? { body: r.response_body, responded_at: r.responded_at }
+      : null,
+  };
+}
+
+async function listForRequest(pool, source, ref) {
+  const { rows } = await pool.query(
+    `SELECT * FROM cpa_reviews WHERE source = $1 AND source_ref = $2 ORDER BY created_at DESC`,
+    [source, String(ref)]
+  );
+  return rows.map(toClientView);
+}
+
+// --- CPA ------------------------------------------------------------------------
+async function summaryForCpa(pool, cpaProfileId) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*) AS review_count, AVG(rating) AS average
+       FROM cpa_reviews WHERE cpa_profile_id = $1 AND status = 'published'`,
+    [cpaProfileId]
+  );
+  return summarize(rows[0]);
+}
+
+// Every review of the CPA, including ones not yet public. Rejected reviews are
+// listed so the CPA can see one was removed; the moderation note is not shown.
+async function listForCpa(pool, cpaProfileId) {
+  const { rows } = await pool.query(
+    `SELECT id, source, match_ref, rating, body, display_name, verified_via, status,
+            response_due_at, response_body, responded_at, response_hidden, published_at, created_at,
+            (status = 'awaiting_response' AND response_due_at > now()) AS can_respond
+       FROM cpa_reviews WHERE cpa_profile_id = $1
+      ORDER BY created_at DESC`,
+    [cpaProfileId]
+  );
+  return { summary: await summaryForCpa(pool, cpaProfileId), reviews: rows };
+}
+
+async function respond(pool, config, cpaProfileId, reviewId, rawBody) {
+  const body = typeof rawBody === 'string' ? rawBody.trim() : '';
+  if (!body || body.length > config.RESPONSE_MAX_CHARS) {
+    return { ok: false, code: 400, message: `Response must be 1-${config.RESPONSE_MAX_CHARS} characters.` };
+  }
+  const { rows } = await pool.query(
+    `UPDATE cpa_reviews SET response_body = $3, responded_at = now(),
+            status = 'pending_moderation', updated_at = now()
+      WHERE id = $1 AND cpa_profile_id = $2
+        AND status = 'awaiting_response' AND response_due_at > now()
+      RETURNING *`,
+    [reviewId, cpaProfileId, body]
+  );
+  if (rows.length === 0) {
+    const exists = await pool.query(
+      `SELECT status FROM cpa_reviews WHERE id = $1 AND cpa_profile_id = $2`,
+      [reviewId, cpaProfileId]
+    );
+    if (exists.rows.length === 0) return { ok: false, code: 404, message: 'Review not found.' };
+    return { ok: false, code: 409, message: 'The response window for this review has closed.' };
+  }
+  await recordEvent(pool, reviewId, 'responded', 'cpa', { chars: body.length });
+  return { ok: true, review: rows[0] };
+}
+
+// Sweeper: reviews whose response window lapsed go to moderation without a response.
+async function closeDueWindows(pool) {
+  const { rows } = await pool.query(
+    `UPDATE cpa_reviews SET status = 'pending_moderation', updated_at = now()
+      WHERE status = 'awaiting_response' AND response_due_at <= now()
+      RETURNING id`
+  );
+  for (const r of rows) await recordEvent(pool, r.id, 'window_closed', 'system', {});
+  return { closed: rows.length };
+}
+
+// --- admin ------------------------------------------------------------------------
+async function listQueue(pool, { status, cpaProfileId, limit }) {
+  const where = [];
+  const params = [];
+  if (status) { params.push(status); where.push(`r.status = $${params.length}`); }
+  if (cpaProfileId) { params.push(cpaProfileId); where.push(`r.cpa_profile_id = $${params.length}`); }
+  params.push(limit);
+  const { rows } = await pool.query(
+    `SELECT r.*, cp.first_name AS cpa_first_name, cp.last_name AS cpa_last_name, cp.firm_name
+       FROM cpa_reviews r
+       LEFT JOIN cpa_profiles cp ON cp.id = r.cpa_profile_id
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY r.updated_at ASC
+      LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+async function getReview(pool, reviewId) {
+  const { rows } = await pool.query(`SELECT * FROM cpa_reviews WHERE id = $1`, [reviewId]);
+  if (rows.length === 0) return null;
+  const events = await pool.query(
+    `SELECT event_type, actor, detail, created_at FROM cpa_review_events
+      WHERE review_id = $1 ORDER BY created_at, id`,
+    [reviewId]
+  );
+  return { review: rows[0], events: events.rows };
+}
+
+// Which statuses each moderation action may start from.
+const ACTION_FROM = {
+  publish: ['pending_moderation', 'rejected'],
+  reject: ['pending_moderation', 'published'],
+  hide_response: ['pending_moderation', 'published'],
+  show_response: ['pending_moderation', 'published'],
+};
+
+async function moderate(pool, reviewId, actor, { action, note }) {
+  if (!MODERATION_ACTIONS.includes(action)) {
+    return { ok: false, code: 400, message: `action must be one of: ${MODERATION_ACTIONS.join(', ')}` };
+  }
+  const current = await pool.query(`SELECT status, response_body FROM cpa_reviews WHERE id = $1`, [reviewId]);
+  if (current.rows.length === 0) return { ok: false, code: 404, message: 'Review not found.' };
+  const { status } = current.rows[0];
+  if (!ACTION_FROM[action].includes(status)) {
+    return { ok: false, code: 409, message: `Cannot ${action.replace('_', ' ')} a review that is ${status}.` };
+  }
+  if ((action === 'hide_response' || action === 'show_response') && !current.rows[0].response_body) {
+    return { ok: false, code: 409, message: 'This review has no response.' };
+  }
+
+  const cleanNote = typeof note === 'string' && note.trim() ? note.trim().slice(0, 1000) : null;
+  const SET = {
+    publish: `status = 'published', published_at = COALESCE(published_at, now()),
+              moderated_by = $2, moderated_at = now(), moderation_note = COALESCE($3, moderation_note)`,
+    reject: `status = 'rejected', moderated_by = $2, moderated_at = now(), moderation_note = COALESCE($3, moderation_note)`,
+    hide_response: `response_hidden = TRUE, moderated_by = $2, moderated_at = now(), moderation_note = COALESCE($3, moderation_note)`,
+    show_response: `response_hidden = FALSE, moderated_by = $2, moderated_at = now(), moderation_note = COALESCE($3, moderation_note)`,
+  }[action];
+  const { rows } = await pool.query(
+    `UPDATE cpa_reviews SET ${SET}, updated_at = now()
+      WHERE id = $1 AND status = $4
+      RETURNING *`,
+    [reviewId, actor || null, cleanNote, status]
+  );
+  if (rows.length === 0) return { ok: false, code: 409, message: 'Review changed; reload and try again.' };
+  const eventType = { publish: 'published', reject: 'rejected', hide_response: 'response_hidden', show_response: 'response_shown' }[action];
+  await recordEvent(pool, reviewId, eventType, actor, { note: cleanNote, from: status });
+  return { ok: true, review: rows[0] };
+}
+
+// --- public ---------------------------------------------------------------------
+// Published reviews of whoever claimed a scraped_cpas profile.
+const BY_SCRAPED = `
+  FROM scraped_cpas sc
+  JOIN cpa_profiles cp ON cp.user_id = sc.claimed_by
+  JOIN cpa_reviews r ON r.cpa_profile_id = cp.id AND r.status = 'published'`;
+
+// { summary, reviews } for /api/profiles/:id. An unclaimed profile has none.
+async function forScrapedProfile(pool, config, scrapedId, { page = 1, limit = config.PAGE_SIZE } = {}) {
+  const [agg, list] = await Promise.all([
+    pool.query(`SELECT COUNT(r.id) AS review_count, AVG(r.rating) AS average ${BY_SCRAPED} WHERE sc.id = $1`, [scrapedId]),
+    pool.query(
+      `SELECT r.* ${BY_SCRAPED} WHERE sc.id = $1
+        ORDER BY r.published_at DESC, r.id DESC LIMIT $2 OFFSET $3`,
+      [scrapedId, limit, (Math.max(1, page) - 1) * limit]
+    ),
+  ]);
+  return { summary: summarize(agg.rows[0]), reviews: list.rows.map(toPublic) };
+}
+
+// scraped_cpas.id -> { count, average } for directory listings. Profiles
+// without published reviews are absent from the map.
+async function aggregatesForScraped(pool, scrapedIds) {
+  const ids = (scrapedIds || []).map((id) => parseInt(id, 10)).filter(Number.isFinite);
+  const out = new Map();
+  if (ids.length === 0) return out;
+  const { rows } = await pool.query(
+    `SELECT sc.id AS scraped_id, COUNT(r.id) AS review_count, AVG(r.rating) AS average
+     ${BY_SCRAPED} WHERE sc.id = ANY($1::int[]) GROUP BY sc.id`,
+    [ids]
+  );
+  for (const row of rows) out.set(Number(row.scraped_id), summarize(row));
+  return out;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  STATUSES,
+  MODERATION_ACTIONS,
+  recordEvent,
+  parseReview,
+  verification,
+  summarize,
+  aggregateRatingJsonLd,
+  toPublic,
+  submit,
+  listForRequest,
+  summaryForCpa,
+  listForCpa,
+  respond,
+  closeDueWindows,
+  listQueue,
+  getReview,
+  moderate,
+  forScrapedProfile,
+  aggregatesForScraped,
+};
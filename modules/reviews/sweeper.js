@@ -0,0 +1,15 @@
+// modules/reviews/sweeper.js
+// The reviews_sweep job (hourly, modules/jobs): reviews whose CPA response
+// window has lapsed move to the moderation queue without a response.
+
+'use strict';
+
+const SWEEP_CRON = '5 * * * *';
+
+async function sweep(pool, service) {
+  const r = await service.closeDueWindows(pool);
+  if (r.closed) console.log(`[reviews/sweeper] ${r.closed} review(s) moved to moderation (response window closed)`);
+  return { closed: r.closed || 0 };
+}
+
+module.exports = { SWEEP_CRON, sweep };
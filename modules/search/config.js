@@ -0,0 +1,20 @@
+// modules/search/config.js
+// Tunables for professional search. ACC-only.
+
+'use strict';
+
+module.exports = {
+  DEFAULT_PER_PAGE: 20,
+  MAX_PER_PAGE: 50,
+  // Deepest page served; past it the query should be narrowed instead.
+  MAX_PAGE: 100,
+  MAX_QUERY_CHARS: 200,
+  // pg_trgm word_similarity cutoff for the typo-tolerant match (extension
+  // default is 0.6, which misses most single-letter typos in short names).
+  FUZZY_THRESHOLD: parseFloat(process.env.SEARCH_FUZZY_THRESHOLD || '0.45'),
+  // Values shown per facet (most frequent first).
+  FACET_LIMIT: 20,
+  // Index rebuild from scraped_cpas + cpa_profiles.
+  REINDEX_CRON: '20 * * * *',
+  BIO_SNIPPET_CHARS: 160,
+};
@@ -0,0 +1,76 @@
+// modules/search/index.js
+// Composition root for professional search. server.js touchpoints:
+//
+//   const search = require('./modules/search')({
+//     pool, jobs, snippet: (bio) => cleanBio(bio), ratings: reviews.aggregatesForScraped, captureError,
+//   });
+//   app.use(search.publicRouter);   // /api/search/professionals
+//   app.use(search.adminRouter);    // /api/admin/search/* — admin umbrella gates by prefix
+//   await search.ensureSchema();    // boot (pg_trgm + index table)
+//   search.startWorkers();          // queue a first rebuild; then the search_reindex job (REINDEX_CRON)
+
+'use strict';
+
+const config = require('./config');
+const query = require('./query');
+const schema = require('./schema');
+const indexer = require('./indexer');
+const buildPublicRoutes = require('./routes.public');
+const buildAdminRoutes = require('./routes.admin');
+
+function createSearchModule(injected) {
+  const { pool, jobs, snippet, ratings, captureError } = injected || {};
+  if (!pool) throw new Error('[search] pool is required');
+  if (!jobs) throw new Error('[search] jobs is required');
+
+  const deps = { snippet, ratings, captureError };
+
+  // One rebuild at a time per process; overlapping calls share the running one.
+  const state = {
+    running: null,
+    lastRun: null,
+    run() {
+      if (state.running) return state.running;
+      const startedAt = new Date();
+      state.running = indexer.rebuild(pool)
+        .then((result) => {
+          state.lastRun = { started_at: startedAt, ok: true, ...result };
+          console.log(`[search] index rebuilt: ${result.written} written, ${result.removed} removed (${result.ms}ms)`);
+          return result;
+        })
+        .catch((err) => {
+          state.lastRun = { started_at: startedAt, ok: false, error: err.message };
+          throw err;
+        })
+        .finally(() => { state.running = null; });
+      return state.running;
+    },
+  };
+
+  jobs.register({
+    name: 'search_reindex',
+    description: 'Rebuild professional_search_index from scraped_cpas and cpa_profiles',
+    schedule: config.REINDEX_CRON,
+    timeoutMs: 15 * 60 * 1000,
+    run: () => state.run(),
+  });
+
+  // Boot rebuild: queued for the leader like a manual run. Replicas booting
+  // together share one queued run (modules/jobs dedupes pending manual runs).
+  function startWorkers() {
+    return jobs.enqueue('search_reindex', { requestedBy: 'boot' })
+      .catch((err) => console.error('[search] boot rebuild not queued:', err.message));
+  }
+
+  return {
+    config,
+    query,
+    publicRouter: buildPublicRoutes({ pool, config, query, deps }),
+    adminRouter: buildAdminRoutes({ pool, config, state }),
+    reindex: () => state.run(),
+    ensureSchema: () => schema.ensureSearchSchema(pool),
+    startWorkers,
+  };
+}
+
+module.exports = createSearchModule;
@@ -0,0 +1,119 @@
+// modules/search/indexer.js
+// Rebuilds professional_search_index from the directory (scraped_cpas) and
+// platform members (cpa_profiles). Runs at boot, hourly as the search_reindex
+// job (REINDEX_CRON, modules/jobs), and on demand from
+// POST /api/admin/search/reindex.
+//
+// Sources:
+//   scraped_cpas   every directory row the public profile route would serve
+//                  (the misclassified / enrichment-collision / generic-inbox
+//                  gate rows are left out). A claimed row takes firm and
+//                  specializations from its CPA's cpa_profiles row, joined the
+//                  usual way: scraped_cpas.claimed_by = cpa_profiles.user_id.
+//   cpa_profiles   active members with no directory row of their own.
+//
+// The new set is staged in a temp table, then upserted (only rows that changed
+// are written, which keeps the generated tsvector from being recomputed for the
+// whole table every hour) and rows that left the sources are deleted.
+
+'use strict';
+
+const { PATTERNS, firmTierSql } = require('./tiers');
+const { PROVINCE_NAMES } = require('../../services/province-timezones');
+
+const FIELDS = ['scraped_cpa_id', 'cpa_profile_id', 'name', 'firm_name', 'designation',
+  'specializations', 'city', 'province', 'bio', 'firm_tier', 'claimed'];
+
+// cpa_profiles.specializations has been written as a JSON array and as a bare
+// string over time; to_jsonb() reads either.
+const SPECIALIZATIONS = `
+  CASE jsonb_typeof(to_jsonb(cp.specializations))
+    WHEN 'array' THEN (SELECT string_agg(value, ', ') FROM jsonb_array_elements_text(to_jsonb(cp.specializations)))
+    WHEN 'string' THEN to_jsonb(cp.specializations) #>> '{}'
+  END`;
+
+// 'Ontario' / 'on' / 'ON' -> 'ON'. $4 is PROVINCE_NAMES as jsonb.
+const province = (col) => `COALESCE($4::jsonb ->> lower(trim(${col})), NULLIF(upper(trim(${col})), ''))`;
+
+const STAGE_SQL = `
+CREATE TEMP TABLE search_src (
+  doc_key TEXT PRIMARY KEY, scraped_cpa_id INTEGER, cpa_profile_id INTEGER, name TEXT,
+  firm_name TEXT, designation TEXT, specializations TEXT, city TEXT, province TEXT,
+  bio TEXT, firm_tier TEXT, claimed BOOLEAN
+) ON COMMIT DROP`;
+
+const SCRAPED_SQL = `
+INSERT INTO search_src
+SELECT doc_key, scraped_cpa_id, cpa_profile_id, name, firm_name, designation, specializations,
+       city, province, bio, ${firmTierSql('firm_name', ['$1', '$2', '$3'])}, claimed
+  FROM (
+    SELECT DISTINCT ON (sc.id)
+           's:' || sc.id AS doc_key, sc.id AS scraped_cpa_id, cp.id AS cpa_profile_id,
+           COALESCE(NULLIF(trim(sc.full_name), ''), trim(concat_ws(' ', sc.first_name, sc.last_name))) AS name,
+           COALESCE(NULLIF(trim(cp.firm_name), ''), sc.firm_name) AS firm_name,
+           sc.designation, ${SPECIALIZATIONS} AS specializations,
+           sc.city, ${province('sc.province')} AS province, sc.generated_bio AS bio,
+           (sc.claim_status = 'claimed') AS claimed
+      FROM scraped_cpas sc
+      LEFT JOIN cpa_profiles cp ON sc.claimed_by IS NOT NULL AND cp.user_id = sc.claimed_by
+     WHERE sc.is_misclassified IS NOT TRUE
+       AND sc.has_enrichment_collision IS NOT TRUE
+       AND sc.is_generic_inbox IS NOT TRUE
+     ORDER BY sc.id, cp.id
+  ) s
+ WHERE name <> ''`;
+
+const MEMBERS_SQL = `
+INSERT INTO search_src
+SELECT doc_key, NULL, cpa_profile_id, name, firm_name, designation, specializations,
+       city, province, NULL, ${firmTierSql('firm_name', ['$1', '$2', '$3'])}, TRUE
+  FROM (
+    SELECT 'm:' || cp.id AS doc_key, cp.id AS cpa_profile_id,
+           trim(concat_ws(' ', cp.first_name, cp.last_name)) AS name,
+           cp.firm_name, cp.designation, ${SPECIALIZATIONS} AS specializations,
+           cp.city, ${province('cp.province')} AS province
+      FROM cpa_profiles cp
+     WHERE cp.is_active IS TRUE AND cp.profile_status = 'active'
+       AND NOT EXISTS (SELECT 1 FROM scraped_cpas sc WHERE sc.claimed_by = cp.user_id)
+  ) m
+ WHERE name <> ''`;
+
+const UPSERT_SQL = `
+INSERT INTO professional_search_index (doc_key, ${FIELDS.join(', ')})
+SELECT doc_key, ${FIELDS.join(', ')} FROM search_src
+ON CONFLICT (doc_key) DO UPDATE SET
+  ${FIELDS.map((f) => `${f} = EXCLUDED.${f}`).join(', ')}, indexed_at = now()
+WHERE (${FIELDS.map((f) => `professional_search_index.${f}`).join(', ')})
+      IS DISTINCT FROM (${FIELDS.map((f) => `EXCLUDED.${f}`).join(', ')})`;
+
+const PRUNE_SQL = `
+DELETE FROM professional_search_index i
+ WHERE NOT EXISTS (SELECT 1 FROM search_src s WHERE s.doc_key = i.doc_key)`;
+
+async function rebuild(pool) {
+  const started = Date.now();
+  const params = [PATTERNS.big4, PATTERNS.national, PATTERNS.regional, JSON.stringify(PROVINCE_NAMES)];
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(STAGE_SQL);
+    const scraped = await client.query(SCRAPED_SQL, params);
+    const members = await client.query(MEMBERS_SQL, params);
+    const upserted = await client.query(UPSERT_SQL);
+    const pruned = await client.query(PRUNE_SQL);
+    await client.query('COMMIT');
+    return {
+      sources: { scraped_cpas: scraped.rowCount, cpa_profiles: members.rowCount },
+      written: upserted.rowCount,
+      removed: pruned.rowCount,
+      ms: Date.now() - started,
+    };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { rebuild };
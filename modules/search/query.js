@@ -0,0 +1,205 @@
+// modules/search/query.js
+// GET /api/search/professionals: parameter parsing and SQL over
+// professional_search_index.
+//
+// Matching. `q` matches when either
+//   - the tsvector document matches websearch_to_tsquery(q) under 'simple'
+//     (names, firms, places) or 'english' (stemmed specializations and bios),
+//     so quoted phrases, OR and -exclusions work; or
+//   - q is trigram-close to name + firm + city (pg_trgm word_similarity at
+//     FUZZY_THRESHOLD), which is what catches typos ("Deloite", "Tremblay"
+//     typed "Tremblai").
+// Relevance is ts_rank_cd (normalised to 0-1) plus 0.6 x word similarity, with
+// a small lift for claimed profiles.
+//
+// Facets are counted over the current result set with every filter applied
+// except the facet's own, so picking "ON" still shows how many results other
+// provinces would give.
+
+'use strict';
+
+const { TIERS } = require('./tiers');
+const { provinceCode } = require('../../services/province-timezones');
+
+const FACETS = ['province', 'designation', 'firm_tier', 'claimed'];
+const SORTS = ['relevance', 'name'];
+const MAX_LIST_VALUES = 10;
+
+function listParam(value) {
+  const raw = Array.isArray(value) ? value.join(',') : String(value || '');
+  return [...new Set(raw.split(',').map((s) => s.trim()).filter(Boolean))].slice(0, MAX_LIST_VALUES);
+}
+
+// { value } or { error }.
+function parseSearchParams(query, config) {
+  const src = query || {};
+  const q = typeof src.q === 'string' ? src.q.replace(/\s+/g, ' ').trim() : '';
+  if (q.length > config.MAX_QUERY_CHARS) return { error: `q must be at most ${config.MAX_QUERY_CHARS} characters.` };
+  if (q.length === 1) return { error: 'q must be at least 2 characters.' };
+
+  const provinces = [];
+  for (const p of listParam(src.province)) {
+    const code = provinceCode(p);
+    if (!code) return { error: `Unknown province: ${p}` };
+    if (!provinces.includes(code)) provinces.push(code);
+  }
+  const firmTiers = listParam(src.firm_tier);
+  const badTier = firmTiers.find((t) => !TIERS.includes(t));
+  if (badTier) return { error: `firm_tier must be one of: ${TIERS.join(', ')}` };
+
+  let claimed = null;
+  if (src.claimed != null && src.claimed !== '') {
+    if (src.claimed !== 'true' && src.claimed !== 'false') return { error: 'claimed must be true or false.' };
+    claimed = src.claimed === 'true';
+  }
+
+  const sort = src.sort || (q ? 'relevance' : 'name');
+  if (!SORTS.includes(sort)) return { error: `sort must be one of: ${SORTS.join(', ')}` };
+
+  const page = parseInt(src.page, 10) || 1;
+  if (page < 1 || page > config.MAX_PAGE) return { error: `page must be 1-${config.MAX_PAGE}.` };
+  const perPage = Math.min(config.MAX_PER_PAGE, Math.max(1, parseInt(src.per_page, 10) || config.DEFAULT_PER_PAGE));
+
+  return {
+    value: {
+      q: q || null,
+      provinces,
+      designations: listParam(src.designation),
+      firmTiers,
+      claimed,
+      city: typeof src.city === 'string' && src.city.trim() ? src.city.trim() : null,
+      specialization: typeof src.specialization === 'string' && src.specialization.trim() ? src.specialization.trim() : null,
+      sort: q ? sort : 'name',
+      page,
+      perPage,
+    },
+  };
+}
+
+// WHERE clause, its bind values and the relevance expression. `skip` leaves
+// one facet's own filter out (facet counts).
+function buildFilters(p, skip) {
+  const args = [];
+  const bind = (v) => { args.push(v); return `$${args.length}`; };
+  const where = [];
+  let relevance = null;
+
+  if (p.q) {
+    const q = bind(p.q);
+    const lower = bind(p.q.toLowerCase());
+    const tsq = `(websearch_to_tsquery('simple', ${q}) || websearch_to_tsquery('english', ${q}))`;
+    where.push(`(document @@ ${tsq} OR ${lower} <% fuzzy_text)`);
+    relevance = `ts_rank_cd(document, ${tsq}, 32) + 0.6 * word_similarity(${lower}, fuzzy_text)`
+      + ' + CASE WHEN claimed THEN 0.05 ELSE 0 END';
+  }
+  if (skip !== 'province' && p.provinces.length) where.push(`province = ANY(${bind(p.provinces)}::text[])`);
+  if (skip !== 'designation' && p.designations.length) where.push(`designation = ANY(${bind(p.designations)}::text[])`);
+  if (skip !== 'firm_tier' && p.firmTiers.length) where.push(`firm_tier = ANY(${bind(p.firmTiers)}::text[])`);
+  if (skip !== 'claimed' && p.claimed !== null) where.push(`claimed = ${bind(p.claimed)}::boolean`);
+  if (p.city) where.push(`lower(city) = lower(${bind(p.city)})`);
+  if (p.specialization) {
+    where.push(`to_tsvector('english', coalesce(specializations, '')) @@ plainto_tsquery('english', ${bind(p.specialization)})`);
+  }
+
+  return { where: where.length ? `WHERE ${where.join(' AND ')}` : '', args, relevance };
+}
+
+function resultsSql(p) {
+  const f = buildFilters(p, null);
+  const order = p.sort === 'relevance' && f.relevance
+    ? 'relevance DESC, claimed DESC, name ASC'
+    : 'claimed DESC, name ASC';
+  const args = [...f.args, p.perPage, (p.page - 1) * p.perPage];
+  return {
+    text: `SELECT scraped_cpa_id, cpa_profile_id, name, firm_name, designation, specializations,
+                  city, province, bio, firm_tier, claimed, ${f.relevance || '0'} AS relevance
+             FROM professional_search_index ${f.where}
+            ORDER BY ${order}, doc_key
+            LIMIT $${args.length - 1} OFFSET $${args.length}`,
+    values: args,
+  };
+}
+
+function countSql(p) {
+  const f = buildFilters(p, null);
+  return { text: `SELECT COUNT(*) AS total FROM professional_search_index ${f.where}`, values: f.args };
+}
+
+function facetSql(p, facet, limit) {
+  const f = buildFilters(p, facet);
+  const args = [...f.args, limit];
+  return {
+    text: `SELECT ${facet} AS value, COUNT(*) AS count FROM professional_search_index
+           ${f.where ? `${f.where} AND` : 'WHERE'} ${facet} IS NOT NULL
+           GROUP BY ${facet} ORDER BY count DESC, value LIMIT $${args.length}`,
+    values: args,
+  };
+}
+
+function toResult(r, snippet) {
+  return {
+    profile_id: r.scraped_cpa_id,
+    cpa_profile_id: r.cpa_profile_id,
+    name: r.name,
+    firm_name: r.firm_name || null,
+    designation: r.designation || null,
+    specializations: r.specializations || null,
+    city: r.city || null,
+    province: r.province || null,
+    firm_tier: r.firm_tier,
+    claimed: r.claimed,
+    bio_snippet: r.bio ? snippet(r.bio) : null,
+    relevance: Math.round(Number(r.relevance) * 1000) / 1000,
+  };
+}
+
+// Runs the search on one connection so the similarity threshold applies to
+// every statement. ratings(ids) -> Map(scraped id -> { count, average }) is
+// optional (modules/reviews).
+async function search(pool, config, p, { snippet, ratings } = {}) {
+  const client = await pool.connect();
+  let rows;
+  let total;
+  const facets = {};
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(`SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)`, [String(config.FUZZY_THRESHOLD)]);
+    rows = (await client.query(resultsSql(p))).rows;
+    total = parseInt((await client.query(countSql(p))).rows[0].total, 10);
+    for (const facet of FACETS) {
+      const r = await client.query(facetSql(p, facet, config.FACET_LIMIT));
+      facets[facet] = r.rows.map((row) => ({ value: row.value, count: parseInt(row.count, 10) }));
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const clip = (bio) => (typeof snippet === 'function' ? snippet(bio) : bio).slice(0, config.BIO_SNIPPET_CHARS);
+  const results = rows.map((r) => toResult(r, clip));
+  if (typeof ratings === 'function') {
+    const map = await ratings(results.map((r) => r.profile_id).filter((id) => id != null)).catch((err) => {
+      console.error('[search/query] rating lookup failed:', err.message);
+      return new Map();
+    });
+    for (const r of results) r.rating = (r.profile_id != null && map.get(r.profile_id)) || null;
+  }
+
+  return {
+    query: {
+      q: p.q, province: p.provinces, designation: p.designations, firm_tier: p.firmTiers,
+      claimed: p.claimed, city: p.city, specialization: p.specialization, sort: p.sort,
+    },
+    total,
+    page: p.page,
+    per_page: p.perPage,
+    total_pages: Math.ceil(total / p.perPage),
+    results,
+    facets,
+  };
+}
+
+module.exports = { FACETS, SORTS, parseSearchParams, buildFilters, resultsSql, countSql, facetSql, toResult, search };
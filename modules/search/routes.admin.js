@@ -0,0 +1,44 @@
+// modules/search/routes.admin.js
+// Search index status and on-demand rebuild. Paths live under /api/admin/* and
+// inherit the `app.use('/api/admin', authenticateToken, requireAdmin)` umbrella.
+
+'use strict';
+
+const express = require('express');
+
+function buildAdminRoutes({ pool, config, state }) {
+  const router = express.Router();
+
+  // GET /api/admin/search/status - index size, freshness and the last rebuild.
+  router.get('/api/admin/search/status', async (req, res) => {
+    try {
+      const { rows } = await pool.query(
+        `SELECT COUNT(*)::int AS documents,
+                COUNT(*) FILTER (WHERE scraped_cpa_id IS NULL)::int AS members_only,
+                COUNT(*) FILTER (WHERE claimed)::int AS claimed,
+                MAX(indexed_at) AS last_change_at
+           FROM professional_search_index`
+      );
+      return res.json({ index: rows[0], last_run: state.lastRun, running: !!state.running, reindex_cron: config.REINDEX_CRON });
+    } catch (err) {
+      console.error('[search/admin] status error:', err.message);
+      return res.status(500).json({ error: 'status failed' });
+    }
+  });
+
+  // POST /api/admin/search/reindex - rebuild now; 409 while one is running.
+  router.post('/api/admin/search/reindex', async (req, res) => {
+    try {
+      if (state.running) return res.status(409).json({ error: 'A rebuild is already running.' });
+      const result = await state.run();
+      return res.json({ success: true, ...result });
+    } catch (err) {
+      console.error('[search/admin] reindex error:', err.message);
+      return res.status(500).json({ error: 'reindex failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildAdminRoutes;
@@ -0,0 +1,30 @@
+// modules/search/routes.public.js
+// Public professional search (no auth; same audience as /api/directory/*).
+
+'use strict';
+
+const express = require('express');
+
+function buildPublicRoutes({ pool, config, query, deps }) {
+  const router = express.Router();
+
+  // GET /api/search/professionals?q=&province=&designation=&firm_tier=&claimed=
+  //     &city=&specialization=&sort=relevance|name&page=&per_page=
+  // province, designation and firm_tier take comma-separated lists.
+  router.get('/api/search/professionals', async (req, res) => {
+    try {
+      const parsed = query.parseSearchParams(req.query, config);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      const body = await query.search(pool, config, parsed.value, { snippet: deps.snippet, ratings: deps.ratings });
+      res.set('Cache-Control', 'public, max-age=300');
+      return res.json(body);
+    } catch (err) {
+      console.error('[search/public] search error:', err.message);
+      return res.status(500).json({ error: 'Search failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildPublicRoutes;
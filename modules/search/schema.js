@@ -0,0 +1,59 @@
+// modules/search/schema.js
+// Boot-time creation of the professional search index. New table only; the
+// source tables are read, never altered.
+//
+// professional_search_index  one row per searchable professional, rebuilt by
+//                            indexer.js. doc_key is 's:<scraped_cpas.id>' for
+//                            directory rows (a claimed row carries its CPA's
+//                            cpa_profiles id too) or 'm:<cpa_profiles.id>' for
+//                            members with no directory row.
+//
+// `document` (tsvector) and `fuzzy_text` (pg_trgm) are generated columns, so a
+// rebuild only writes the source fields. Names, firms and places use the
+// 'simple' configuration (no stemming, works for French names); specializations
+// and bios use 'english'.
+
+'use strict';
+
+const DDL = `
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE IF NOT EXISTS professional_search_index (
+  doc_key             TEXT PRIMARY KEY,
+  scraped_cpa_id      INTEGER,
+  cpa_profile_id      INTEGER,
+  name                TEXT NOT NULL,
+  firm_name           TEXT,
+  designation         TEXT,
+  specializations     TEXT,
+  city                TEXT,
+  province            TEXT,
+  bio                 TEXT,
+  firm_tier           TEXT NOT NULL,
+  claimed             BOOLEAN NOT NULL DEFAULT FALSE,
+  document            TSVECTOR GENERATED ALWAYS AS (
+                        setweight(to_tsvector('simple', coalesce(name, '')), 'A') ||
+                        setweight(to_tsvector('simple', coalesce(firm_name, '')), 'B') ||
+                        setweight(to_tsvector('english', coalesce(specializations, '')), 'B') ||
+                        setweight(to_tsvector('simple', coalesce(designation, '') || ' ' || coalesce(city, '')), 'C') ||
+                        setweight(to_tsvector('english', coalesce(bio, '')), 'D')
+                      ) STORED,
+  fuzzy_text          TEXT GENERATED ALWAYS AS (
+                        lower(coalesce(name, '') || ' ' || coalesce(firm_name, '') || ' ' || coalesce(city, ''))
+                      ) STORED,
+  indexed_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_psi_document ON professional_search_index USING GIN (document);
+CREATE INDEX IF NOT EXISTS idx_psi_fuzzy ON professional_search_index USING GIN (fuzzy_text gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_psi_province ON professional_search_index(province);
+CREATE INDEX IF NOT EXISTS idx_psi_designation ON professional_search_index(designation);
+CREATE INDEX IF NOT EXISTS idx_psi_firm_tier ON professional_search_index(firm_tier);
+CREATE INDEX IF NOT EXISTS idx_psi_scraped ON professional_search_index(scraped_cpa_id);
+`;
+
+async function ensureSearchSchema(pool) {
+  await pool.query(DDL);
+  console.log('[search] module schema ensured');
+}
+
+module.exports = { ensureSearchSchema, DDL };
@@ -0,0 +1,50 @@
+// modules/search/tiers.js
+// Firm tier facet. Big Four and national firm lists are the ones the breakdown
+// scorer uses (services/breakdown.js); the same pattern is evaluated in SQL by
+// the indexer and in JS by firmTier(), so it is written in the subset of regex
+// both Postgres (ARE) and V8 read the same way: no \b, explicit non-word guards.
+
+'use strict';
+
+const { BIG4, NATIONAL } = require('../../services/breakdown');
+
+const REGIONAL = ['llp', 'associates', 'partners', '& co', 'and company'];
+
+const TIERS = ['big4', 'national', 'regional', 'independent', 'unknown'];
+
+function escape(term) {
+  return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Matches any listed term as a whole word or phrase, case-insensitively.
+function pattern(terms) {
+  return `(^|[^a-z0-9])(${terms.map(escape).join('|')})([^a-z0-9]|$)`;
+}
+
+const PATTERNS = {
+  big4: pattern(BIG4),
+  national: pattern(NATIONAL),
+  regional: pattern(REGIONAL),
+};
+
+function firmTier(firmName) {
+  const f = String(firmName || '').trim().toLowerCase();
+  if (!f) return 'unknown';
+  for (const tier of ['big4', 'national', 'regional']) {
+    if (new RegExp(PATTERNS[tier]).test(f)) return tier;
+  }
+  return 'independent';
+}
+
+// SQL twin of firmTier() over `column`; $big4/$national/$regional are the
+// placeholders PATTERNS are bound to.
+function firmTierSql(column, [big4, national, regional]) {
+  return `CASE
+      WHEN NULLIF(trim(${column}), '') IS NULL THEN 'unknown'
+      WHEN lower(${column}) ~ ${big4} THEN 'big4'
+      WHEN lower(${column}) ~ ${national} THEN 'national'
+      WHEN lower(${column}) ~ ${regional} THEN 'regional'
+      ELSE 'independent' END`;
+}
+
+module.exports = { TIERS, PATTERNS, firmTier, firmTierSql };
@@ -0,0 +1,43 @@
+// modules/send-audit/audit.js
+// The decision log as the senders outside this module use it, bound to this
+// module's config, like ../send-throttle/throttle.js. Recording never throws.
+//
+//   const audit = require('../modules/send-audit/audit');
+//   await audit.record(pool, {
+//     email, message_class: 'outreach', gate: 'throttle', outcome: 'held',
+//     reason, ref_type: 'outreach_email', ref_id: row.id,
+//   });
+//   await audit.record(pool, { message_class: 'crm_sequence', gate: 'kill_switch', outcome: 'dry_run', reason: 'SEQUENCES_ENABLED off' });
+//   await audit.recordMany(pool, [...]);        // bulk suppressions, no folding
+//   audit.sent(result) / audit.failed(result)   // transport outcome fields from a sendEmail result
+//   audit.outcome(result)                       // whichever of the two applies
+//
+// message_class names the kind of message: outreach (campaign queue),
+// sequence_v2, crm_sequence, client_signal, webinar_invite, transactional.
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+
+// Spread into a decision: { ...audit.sent(result), email, message_class, ref_type, ref_id }
+function sent(result) {
+  return { gate: 'transport', outcome: 'sent', provider: result.provider || null, message_id: result.id || null };
+}
+
+function failed(result) {
+  return { gate: 'transport', outcome: 'failed', reason: [result.reason, typeof result.error === 'string' ? result.error : null].filter(Boolean).join(': ') || 'send failed' };
+}
+
+function outcome(result) {
+  return result && result.success ? sent(result) : failed(result || {});
+}
+
+module.exports = {
+  GATES: service.GATES,
+  record: (pool, decision) => service.record(pool, config, decision),
+  recordMany: (pool, decisions) => service.recordMany(pool, decisions),
+  sent,
+  failed,
+  outcome,
+};
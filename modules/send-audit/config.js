@@ -0,0 +1,30 @@
+// modules/send-audit/config.js
+// Tunables for the send-decision log and the per-address explainer.
+
+'use strict';
+
+module.exports = {
+  // A decision that repeats unchanged (same recipient, sender, gate, outcome
+  // and message) within this many hours bumps `occurrences` on the existing
+  // row instead of adding one: a throttled row re-checked every queue run, or
+  // a kill-switch hit every cron tick, stays one row per day.
+  FOLD_HOURS: 24,
+
+  // Decisions older than this are deleted by the send_audit_prune job.
+  RETENTION_DAYS: parseInt(process.env.SEND_AUDIT_RETENTION_DAYS || '400', 10),
+  PRUNE_CRON: '40 4 * * *',
+
+  // GET /api/admin/send-audit/explain: decisions and messages returned per address.
+  EXPLAIN_LIMIT: 200,
+  // Run-level decisions (kill switches, platform pauses) shown with an address.
+  RUN_GATE_LOOKBACK_DAYS: 7,
+
+  // Kill switches reported by the explainer. A message class listed here is
+  // off unless its variable is exactly 'true'.
+  KILL_SWITCHES: {
+    crm_sequence: 'SEQUENCES_ENABLED',
+    client_signal: 'CLIENT_SIGNAL_ENABLED',
+    webinar_invite: 'WEBINAR_INVITE_ENABLED',
+    sequence_v2: 'V2_RUNNER_LAUNCH_READY',
+  },
+};
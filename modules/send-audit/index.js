@@ -0,0 +1,46 @@
+// modules/send-audit/index.js
+// Composition root for the send-decision log. server.js touchpoints:
+//
+//   const sendAudit = require('./modules/send-audit')({ pool, jobs, captureError });
+//   app.use(sendAudit.adminRouter);   // /api/admin/send-audit/* — admin umbrella gates by prefix
+//   await sendAudit.ensureSchema();   // boot (send_decisions)
+//   await sendAudit.record({ email, message_class, gate, outcome, ... });  // senders in server.js
+//   await sendAudit.record({ email, message_class, ...sendAudit.outcome(sendEmailResult) });
+//
+// The senders in services/ record through ./audit.js; this module owns the
+// table, the explainer API and the send_audit_prune job.
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+const schema = require('./schema');
+const buildAdminRoutes = require('./routes.admin');
+const { outcome } = require('./audit');
+
+function createSendAuditModule(injected) {
+  const { pool, jobs, captureError } = injected || {};
+  if (!pool) throw new Error('[send-audit] pool is required');
+  if (!jobs) throw new Error('[send-audit] jobs is required');
+
+  const deps = { captureError };
+
+  jobs.register({
+    name: 'send_audit_prune',
+    description: `Delete send decisions older than ${config.RETENTION_DAYS} days`,
+    schedule: config.PRUNE_CRON,
+    timeoutMs: 10 * 60 * 1000,
+    run: () => service.prune(pool, config),
+  });
+
+  return {
+    config,
+    adminRouter: buildAdminRoutes({ pool, config, service, deps }),
+    record: (decision) => service.record(pool, config, decision, deps),
+    outcome,
+    explain: (email) => service.explain(pool, config, email, {}, deps),
+    ensureSchema: () => schema.ensureSendAuditSchema(pool),
+  };
+}
+
+module.exports = createSendAuditModule;
@@ -0,0 +1,41 @@
+// modules/send-audit/routes.admin.js
+// Decision counts and the per-address explainer. Paths live under
+// /api/admin/* and inherit the `app.use('/api/admin', authenticateToken,
+// requireAdmin)` umbrella in server.js.
+
+'use strict';
+
+const express = require('express');
+
+function buildAdminRoutes({ pool, config, service, deps }) {
+  const router = express.Router();
+
+  // GET /api/admin/send-audit?days=7 - decisions per message class, gate and
+  // outcome over the last N days.
+  router.get('/api/admin/send-audit', async (req, res) => {
+    try {
+      const days = Math.min(config.RETENTION_DAYS, Math.max(1, parseInt(req.query.days || '7', 10) || 7));
+      return res.json(await service.summary(pool, { days }));
+    } catch (err) {
+      console.error('[send-audit/admin] summary error:', err.message);
+      return res.status(500).json({ error: 'summary failed' });
+    }
+  });
+
+  // GET /api/admin/send-audit/explain?email= - every message we did or did not
+  // send to the address and why, and what would stop one right now.
+  router.get('/api/admin/send-audit/explain', async (req, res) => {
+    try {
+      const result = await service.explain(pool, config, req.query.email, {}, deps);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[send-audit/admin] explain error:', err.message);
+      return res.status(500).json({ error: 'explain failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildAdminRoutes;
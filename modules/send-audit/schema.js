@@ -0,0 +1,41 @@
+// modules/send-audit/schema.js
+// Boot-time creation of the send-decision log. New, empty table only.
+//
+// send_decisions   one row per decision a sender made about one message:
+//                  the gate that decided it and the outcome. Repeats of the
+//                  same decision fold into one row (occurrences, last_at).
+//                  recipient_email is NULL for run-level gates, a kill switch
+//                  or platform pause that stopped a whole run.
+
+'use strict';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS send_decisions (
+  id                  BIGSERIAL PRIMARY KEY,
+  recipient_email     TEXT,
+  message_class       TEXT NOT NULL,
+  gate                TEXT NOT NULL,
+  outcome             TEXT NOT NULL CHECK (outcome IN ('sent','held','suppressed','failed','dry_run')),
+  reason              TEXT,
+  ref_type            TEXT,
+  ref_id              TEXT,
+  provider            TEXT,
+  message_id          TEXT,
+  detail              JSONB,
+  fold_key            TEXT,
+  occurrences         INTEGER NOT NULL DEFAULT 1,
+  first_at            TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_at             TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_send_decisions_recipient ON send_decisions (recipient_email, last_at DESC);
+CREATE INDEX IF NOT EXISTS idx_send_decisions_gate ON send_decisions (gate, outcome, last_at DESC);
+CREATE INDEX IF NOT EXISTS idx_send_decisions_fold ON send_decisions (fold_key, last_at DESC) WHERE fold_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_send_decisions_run ON send_decisions (message_class, last_at DESC) WHERE recipient_email IS NULL;
+`;
+
+async function ensureSendAuditSchema(pool) {
+  await pool.query(DDL);
+  console.log('[send-audit] module schema ensured');
+}
+
+module.exports = { ensureSendAuditSchema, DDL };
@@ -0,0 +1,329 @@
+// modules/send-audit/service.js
+// The send-decision log and the "why didn't this email send" explainer.
+//
+// Every sender records what it decided about each message: which gate
+// decided it and with what outcome.
+//   sent        handed to the mail transport
+//   held        not now, the sender tries again (throttle, send window, calendar)
+//   suppressed  this message will not go out (unsubscribed, claimed, role-based...)
+//   failed      the transport refused or errored
+//   dry_run     a kill switch is off; the message would have gone out
+// A decision with no recipient is run-level: a kill switch or platform pause
+// that stopped a whole run before any recipient was looked at.
+//
+// Recording never throws and never holds up a send: a database error logs
+// and the sender carries on.
+
+'use strict';
+
+const crypto = require('crypto');
+
+const throttle = require('../send-throttle/throttle');
+const consent = require('../consent/consent');
+const privacy = require('../privacy/privacy');
+const { addressSkipReason, isSelfTest } = require('../../services/address-checks');
+
+const OUTCOMES = ['sent', 'held', 'suppressed', 'failed', 'dry_run'];
+
+// Gate names the senders record, and what each means in the explainer.
+const GATES = {
+  transport: 'mail transport',
+  kill_switch: 'kill switch',
+  deliverability_pause: 'deliverability pause',
+  claims_suppression: 'claims suppression (recipient has claimed a profile)',
+  unsubscribed: 'outreach_unsubscribes',
+  invalid_address: 'invalid or placeholder address',
+  role_based: 'role-based address',
+  self_test: 'self-test / seed address',
+  third_party_block: 'third-party recipients blocked',
+  consent: 'CASL consent missing, expired or withdrawn',
+  privacy_erasure: 'erased on request (PIPEDA)',
+  validation: 'ZeroBounce validation',
+  send_window: 'province send window',
+  send_calendar: 'send calendar (holiday or blackout)',
+  throttle: 'send throttle',
+  stop_condition: 'sequence stop condition',
+  send_condition: 'sequence step condition',
+  render: 'template render',
+};
+
+function logError(deps, context, err) {
+  console.error(`[send-audit/service] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[send-audit/service] captureError failed:', e.message); }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------
+
+// Checks and shapes one decision for insert. Sent decisions never fold: each
+// is its own message. A decision about an erased address is stored under the
+// address's hash, so the audit does not put it back.
+function normalize(decision) {
+  const d = decision || {};
+  if (!d.message_class) throw new Error('message_class is required');
+  if (!GATES[d.gate]) throw new Error(`unknown gate: ${d.gate}`);
+  if (!OUTCOMES.includes(d.outcome)) throw new Error(`unknown outcome: ${d.outcome}`);
+  let recipient = d.email ? String(d.email).trim().toLowerCase() : null;
+  if (recipient && d.gate === 'privacy_erasure') recipient = privacy.erasedRecipient(recipient);
+  const row = {
+    recipient_email: recipient,
+    message_class: d.message_class,
+    gate: d.gate,
+    outcome: d.outcome,
+    reason: d.reason ? String(d.reason).slice(0, 500) : null,
+    ref_type: d.ref_type || null,
+    ref_id: d.ref_id != null ? String(d.ref_id) : null,
+    provider: d.provider || null,
+    message_id: d.message_id || null,
+    detail: d.detail || null,
+  };
+  row.fold_key = row.outcome === 'sent' ? null : crypto.createHash('sha1')
+    .update([row.recipient_email, row.message_class, row.gate, row.outcome, row.ref_type, row.ref_id].join('|'))
+    .digest('hex');
+  return row;
+}
+
+function describe(row) {
+  const what = row.ref_type ? `${row.message_class} ${row.ref_type} ${row.ref_id}` : row.message_class;
+  const gate = GATES[row.gate] || row.gate;
+  const why = row.reason ? `: ${row.reason}` : '';
+  const times = row.occurrences > 1 ? ` (${row.occurrences} times until ${new Date(row.last_at).toISOString()})` : '';
+  switch (row.outcome) {
+    case 'sent': return `${what} sent${row.provider ? ` via ${row.provider}` : ''}${row.message_id ? ` (${row.message_id})` : ''}`;
+    case 'held': return `${what} held by ${gate}${why}${times}`;
+    case 'suppressed': return `${what} not sent, ${gate}${why}${times}`;
+    case 'failed': return `${what} failed at ${gate}${why}${times}`;
+    case 'dry_run': return `${what} would have been sent, ${gate} off${why}${times}`;
+    default: return `${what} ${row.outcome} at ${gate}${why}`;
+  }
+}
+
+// Which gates would stop a message to this address right now, per message
+// class. `checks` is the live state explain() gathers.
+function blockers(checks, config, env = process.env) {
+  const out = [];
+  const add = (gate, messageClasses, reason) => out.push({ gate, message_classes: messageClasses, reason });
+  if (checks.erased) add('privacy_erasure', 'all', 'address erased on request');
+  if (checks.unsubscribed) {
+    add('unsubscribed', 'all', `${checks.unsubscribed.reason || 'unsubscribed'} at ${new Date(checks.unsubscribed.unsubscribed_at).toISOString()}`);
+  }
+  if (checks.claimed) add('claims_suppression', ['outreach', 'sequence_v2'], 'address belongs to a claimed profile');
+  if (checks.address === 'invalid_address') add('invalid_address', ['outreach'], 'fails the outreach address filter');
+  if (checks.address === 'role_based') add('role_based', ['outreach'], 'role-based inbox (supply-side campaigns only)');
+  if (!checks.self_test && env.WEBINAR_INVITE_ALLOW_THIRD_PARTY !== 'true') {
+    add('third_party_block', ['webinar_invite'], 'WEBINAR_INVITE_ALLOW_THIRD_PARTY off: only self-test addresses receive invites');
+  }
+  for (const t of [checks.throttle && checks.throttle.domain, checks.throttle && checks.throttle.provider]) {
+    if (t && (t.status === 'paused' || t.hourly_cap === 0)) {
+      add('throttle', ['outreach', 'sequence_v2'], `${t.scope} ${t.key} ${t.status === 'paused' ? `paused until ${new Date(t.paused_until).toISOString()}` : 'cap 0/hour'}${t.reason ? ` (${t.reason})` : ''}`);
+    }
+  }
+  for (const [messageClass, c] of Object.entries(checks.consent || {})) {
+    if (c.enforced && !c.allowed) add('consent', [messageClass], c.reason);
+  }
+  if (checks.deliverability_paused) add('deliverability_pause', ['sequence_v2'], 'platform paused by the deliverability gate');
+  for (const [messageClass, flag] of Object.entries(config.KILL_SWITCHES)) {
+    if (env[flag] !== 'true') add('kill_switch', [messageClass], `${flag} off`);
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Recording
+// ---------------------------------------------------------------------------
+
+const INSERT_COLUMNS = `recipient_email, message_class, gate, outcome, reason, ref_type, ref_id,
+       provider, message_id, detail, fold_key`;
+
+function insertValues(row) {
+  return [row.recipient_email, row.message_class, row.gate, row.outcome, row.reason, row.ref_type, row.ref_id,
+    row.provider, row.message_id, row.detail ? JSON.stringify(row.detail) : null, row.fold_key];
+}
+
+// One decision. A repeat within FOLD_HOURS updates the earlier row.
+async function record(pool, config, decision, deps) {
+  try {
+    const row = normalize(decision);
+    if (row.fold_key) {
+      const folded = await pool.query(
+        `UPDATE send_decisions
+            SET occurrences = occurrences + 1, last_at = NOW(), reason = $2, detail = $3
+          WHERE id = (SELECT id FROM send_decisions
+                       WHERE fold_key = $1 AND last_at > NOW() - make_interval(hours => $4)
+                       ORDER BY last_at DESC LIMIT 1)
+          RETURNING id`,
+        [row.fold_key, row.reason, row.detail ? JSON.stringify(row.detail) : null, config.FOLD_HOURS]
+      );
+      if (folded.rows.length > 0) return;
+    }
+    await pool.query(
+      `INSERT INTO send_decisions (${INSERT_COLUMNS}) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      insertValues(row)
+    );
+  } catch (err) {
+    logError(deps, 'record', err);
+  }
+}
+
+// Many one-off decisions in one insert (bulk suppressions). No folding.
+async function recordMany(pool, decisions, deps) {
+  if (!decisions || decisions.length === 0) return;
+  try {
+    const rows = decisions.map(normalize);
+    const params = [];
+    const tuples = rows.map((row) => {
+      const values = insertValues(row);
+      const start = params.length;
+      params.push(...values);
+      return `(${values.map((_, i) => `$${start + i + 1}`).join(', ')})`;
+    });
+    await pool.query(`INSERT INTO send_decisions (${INSERT_COLUMNS}) VALUES ${tuples.join(', ')}`, params);
+  } catch (err) {
+    logError(deps, 'recordMany', err);
+  }
+}
+
+async function prune(pool, config) {
+  const { rowCount } = await pool.query(
+    `DELETE FROM send_decisions WHERE last_at < NOW() - make_interval(days => $1)`,
+    [config.RETENTION_DAYS]
+  );
+  if (rowCount > 0) console.log(`[send-audit] pruned ${rowCount} decisions older than ${config.RETENTION_DAYS} days`);
+  return { deleted: rowCount };
+}
+
+// ---------------------------------------------------------------------------
+// Reading
+// ---------------------------------------------------------------------------
+
+// A lookup against a table another part of the platform owns: one that is
+// missing or fails leaves its section empty instead of failing the answer.
+async function optionalRows(pool, context, sql, params, deps) {
+  try {
+    return (await pool.query(sql, params)).rows;
+  } catch (err) {
+    logError(deps, `explain ${context}`, err);
+    return [];
+  }
+}
+
+// GET /api/admin/send-audit/explain?email= - every message we did or did not
+// send to this address and why, plus what would stop one right now.
+async function explain(pool, config, rawEmail, { env = process.env } = {}, deps) {
+  const email = String(rawEmail || '').trim().toLowerCase();
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) return { ok: false, code: 400, message: 'email must be an email address.' };
+  const limit = config.EXPLAIN_LIMIT;
+
+  const [unsub, claimed, paused, decisions, runGates, messages, v2, crm, throttleState, consentState, erased] = await Promise.all([
+    optionalRows(pool, 'unsubscribes',
+      `SELECT reason, unsubscribed_at FROM outreach_unsubscribes WHERE LOWER(email) = $1 ORDER BY unsubscribed_at LIMIT 1`, [email], deps),
+    optionalRows(pool, 'claims',
+      `SELECT 1 FROM scraped_cpas WHERE claim_status = 'claimed' AND LOWER(COALESCE(enriched_email, email)) = $1
+        UNION ALL
+       SELECT 1 FROM cpa_profiles WHERE LOWER(email) = $1
+        LIMIT 1`, [email], deps),
+    optionalRows(pool, 'deliverability pause',
+      `SELECT pause_reason, paused_at FROM sequence_pause WHERE platform = 'acc' AND unpaused_at IS NULL ORDER BY paused_at DESC LIMIT 1`, [], deps),
+    optionalRows(pool, 'decisions',
+      `SELECT * FROM send_decisions WHERE recipient_email IN ($1, $3) ORDER BY last_at DESC LIMIT $2`,
+      [email, limit, privacy.erasedRecipient(email)], deps),
+    optionalRows(pool, 'run gates',
+      `SELECT DISTINCT ON (message_class, gate, outcome) *
+         FROM send_decisions
+        WHERE recipient_email IS NULL AND last_at > NOW() - make_interval(days => $1)
+        ORDER BY message_class, gate, outcome, last_at DESC`, [config.RUN_GATE_LOOKBACK_DAYS], deps),
+    optionalRows(pool, 'outreach emails',
+      `SELECT id, campaign_id, sequence_number, status, retry_count, queued_at, sent_at, email_provider,
+              resend_email_id, COALESCE(rendered_subject, subject) AS subject,
+              delivered_at, opened_at, clicked_at, bounced_at, complained_at
+         FROM outreach_emails WHERE LOWER(recipient_email) = $1
+        ORDER BY COALESCE(sent_at, queued_at) DESC NULLS LAST LIMIT $2`, [email, limit], deps),
+    optionalRows(pool, 'v2 enrollments',
+      `SELECT id, sequence_name, current_step, next_send_at, completed_at, exit_reason, last_touch_sent_at
+         FROM v2_supply_enrollments WHERE LOWER(recipient_email) = $1 ORDER BY enrolled_at DESC`, [email], deps),
+    optionalRows(pool, 'crm enrollments',
+      `SELECT e.id, s.name AS sequence_name, e.current_step, e.next_send_at, e.completed_at, e.exit_reason
+         FROM crm_sequence_enrollments e
+         JOIN crm_sequences s ON s.id = e.sequence_id
+         JOIN scraped_cpas p ON p.id = e.professional_id
+        WHERE e.platform = 'accountants' AND LOWER(COALESCE(p.enriched_email, p.email)) = $1
+        ORDER BY e.enrolled_at DESC`, [email], deps),
+    throttle.recipientState(pool, email).catch((err) => { logError(deps, 'explain throttle', err); return null; }),
+    consent.lookup(pool, email).catch((err) => { logError(deps, 'explain consent', err); return null; }),
+    privacy.isErased(pool, email).catch((err) => { logError(deps, 'explain erasure', err); return false; }),
+  ]);
+
+  const checks = {
+    erased,
+    unsubscribed: unsub[0] || null,
+    claimed: claimed.length > 0,
+    address: addressSkipReason(email),
+    self_test: isSelfTest(email),
+    throttle: throttleState,
+    consent: consentState ? consentState.classes : null,
+    deliverability_paused: paused[0] || null,
+    kill_switches: Object.fromEntries(Object.values(config.KILL_SWITCHES).map((flag) => [flag, env[flag] === 'true'])),
+  };
+
+  const pending = [
+    ...messages.filter((m) => m.status === 'queued').map((m) => ({
+      message_class: 'outreach', ref_type: 'outreach_email', ref_id: String(m.id), campaign_id: m.campaign_id,
+      sequence_number: m.sequence_number, queued_at: m.queued_at, retry_count: m.retry_count,
+    })),
+    ...v2.filter((e) => !e.completed_at).map((e) => ({
+      message_class: 'sequence_v2', ref_type: 'enrollment', ref_id: String(e.id), sequence: e.sequence_name,
+      next_step: e.current_step + 1, due_at: e.next_send_at,
+    })),
+    ...crm.filter((e) => !e.completed_at).map((e) => ({
+      message_class: 'crm_sequence', ref_type: 'enrollment', ref_id: String(e.id), sequence: e.sequence_name,
+      next_step: e.current_step + 1, due_at: e.next_send_at,
+    })),
+  ];
+  const stopping = blockers(checks, config, env);
+  for (const p of pending) {
+    p.blocked_by = stopping.filter((b) => b.message_classes === 'all' || b.message_classes.includes(p.message_class)).map((b) => b.gate);
+  }
+
+  return {
+    ok: true,
+    email,
+    checks,
+    blocked_by: stopping,
+    pending,
+    messages: messages.filter((m) => m.status !== 'queued'),
+    enrollments: { sequence_v2: v2, crm_sequence: crm },
+    decisions: decisions.map((d) => ({ ...d, text: describe(d) })),
+    run_gates: runGates.map((d) => ({ ...d, text: describe(d) })),
+  };
+}
+
+// GET /api/admin/send-audit - decision counts per class, gate and outcome.
+async function summary(pool, { days = 7 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT message_class, gate, outcome,
+            COUNT(*)::int AS decisions, SUM(occurrences)::int AS occurrences,
+            COUNT(DISTINCT recipient_email)::int AS recipients, MAX(last_at) AS last_at
+       FROM send_decisions
+      WHERE last_at > NOW() - make_interval(days => $1)
+      GROUP BY 1, 2, 3
+      ORDER BY 1, 2, 3`,
+    [days]
+  );
+  return { days, rows };
+}
+
+module.exports = {
+  OUTCOMES,
+  GATES,
+  normalize,
+  describe,
+  blockers,
+  record,
+  recordMany,
+  prune,
+  explain,
+  summary,
+};
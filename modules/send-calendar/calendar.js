@@ -0,0 +1,24 @@
+// modules/send-calendar/calendar.js
+// The calendar as the senders outside this module use it, bound to this
+// module's config: services/outreach.js (processQueue) and
+// services/sequence-runner-v2.js require this file directly, like
+// services/ml-engine.js requires modules/matching/factors.
+//
+//   const sendCalendar = require('../modules/send-calendar/calendar');
+//   await sendCalendar.openJurisdictions(pool, 'cold')   // queue SQL filter
+//   await sendCalendar.check(pool, { province, sendType: 'sequence_v2' })
+//   await sendCalendar.nextOpenAt(pool, { province, sendType: 'sequence_v2' })
+//   sendCalendar.campaignDay()                           // weekend limit factor
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+
+module.exports = {
+  SEND_TYPES: config.SEND_TYPES,
+  check: (pool, opts) => service.check(pool, config, opts),
+  openJurisdictions: (pool, sendType, now) => service.openJurisdictions(pool, config, sendType, now),
+  nextOpenAt: (pool, opts) => service.nextOpenAt(pool, config, opts),
+  campaignDay: (now = Date.now()) => service.campaignDay(config, now),
+};
@@ -0,0 +1,25 @@
+// modules/send-calendar/config.js
+// Tunables for the outreach send calendar.
+
+'use strict';
+
+module.exports = {
+  // Senders that consult the calendar. A blackout with no send_types covers all.
+  SEND_TYPES: ['cold', 'warm', 'sequence_v2'],
+  // Weekend daily limits as a share of campaign.daily_limit (weekend sends at
+  // half volume since 2026-04-18).
+  WEEKEND_LIMIT_FACTOR: parseFloat(process.env.SEND_WEEKEND_LIMIT_FACTOR || '0.5'),
+  // Zone of the campaign-level day (daily caps, weekend factor) - the queue's
+  // cron runs on Toronto time.
+  CAMPAIGN_TIME_ZONE: 'America/Toronto',
+  // A deferred sequence touch is rescheduled to this local time on the
+  // recipient's next open day.
+  DEFER_TO_LOCAL_TIME: '10:00',
+  // How far nextOpenDate looks before giving up (a blackout longer than this
+  // leaves the touch due and it is re-checked on the next run).
+  MAX_LOOKAHEAD_DAYS: 45,
+  // Blackouts are read once per window and on every admin change.
+  BLACKOUT_CACHE_MS: 60 * 1000,
+  MAX_BLACKOUT_DAYS: 366,
+  REASON_MAX_CHARS: 200,
+};
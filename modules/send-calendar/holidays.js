@@ -0,0 +1,155 @@
+// modules/send-calendar/holidays.js
+// Canadian statutory holidays, computed per year. Pure.
+//
+// Each holiday lists the jurisdictions that observe it: province/territory
+// codes plus 'FED' (federally regulated employers, and the set used when a
+// recipient's province is unknown). Names differ by province for the same day
+// (third Monday of February is Family Day, Louis Riel Day, Islander Day or
+// Heritage Day; first Monday of August is Civic Holiday, BC Day, Saskatchewan
+// Day, New Brunswick Day, Terry Fox Day, Natal Day...), so a holiday may carry
+// per-province names.
+//
+// A fixed-date holiday that falls on a weekend is also returned on the weekday
+// it is observed (Christmas on a Saturday -> Monday 27, Boxing Day -> Tuesday
+// 28; Canada Day on a Sunday -> Monday July 2).
+//
+// The list is for deciding when not to email people at work, so it includes
+// days most of a province takes off even where the statute only covers some
+// employers (Ontario's Civic Holiday, Thanksgiving in Atlantic Canada is not).
+
+'use strict';
+
+const ALL = ['FED', 'NL', 'NS', 'NB', 'PE', 'QC', 'ON', 'MB', 'SK', 'AB', 'BC', 'YT', 'NT', 'NU'];
+const except = (...codes) => ALL.filter((c) => !codes.includes(c));
+
+// Gregorian Easter Sunday (Meeus/Jones/Butcher). Returns [month 1-12, day].
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return [month, day];
+}
+
+const utc = (y, m, d) => new Date(Date.UTC(y, m - 1, d));
+const iso = (date) => date.toISOString().slice(0, 10);
+const shift = (date, days) => new Date(date.getTime() + days * 86400000);
+
+// nth (1-based) weekday (0=Sun) of a month.
+function nthWeekday(year, month, weekday, n) {
+  const first = utc(year, month, 1);
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return utc(year, month, 1 + offset + (n - 1) * 7);
+}
+
+// Victoria Day / National Patriots' Day: the Monday before May 25.
+function mondayBefore(year, month, day) {
+  const d = utc(year, month, day);
+  return shift(d, -(((d.getUTCDay() + 6) % 7) || 7));
+}
+
+// rule(year) -> Date. observe: 'weekend' adds the next weekday when the date
+// falls on Sat/Sun; 'sunday' only moves a Sunday (Canada Day).
+const HOLIDAYS = [
+  { key: 'new_years_day', name: "New Year's Day", rule: (y) => utc(y, 1, 1), observe: 'weekend', provinces: ALL },
+  {
+    key: 'family_day', name: 'Family Day', rule: (y) => nthWeekday(y, 2, 1, 3),
+    provinces: ['AB', 'BC', 'MB', 'NB', 'NS', 'ON', 'PE', 'SK'],
+    names: { MB: 'Louis Riel Day', NS: 'Heritage Day', PE: 'Islander Day' },
+  },
+  {
+    key: 'good_friday', name: 'Good Friday',
+    rule: (y) => { const [m, d] = easterSunday(y); return shift(utc(y, m, d), -2); },
+    provinces: ALL,
+  },
+  {
+    key: 'easter_monday', name: 'Easter Monday',
+    rule: (y) => { const [m, d] = easterSunday(y); return shift(utc(y, m, d), 1); },
+    // Federal public service; Quebec employers give Good Friday or Easter Monday.
+    provinces: ['FED', 'QC'],
+    names: { QC: 'Lundi de Pâques' },
+  },
+  {
+    key: 'victoria_day', name: 'Victoria Day', rule: (y) => mondayBefore(y, 5, 25),
+    provinces: ['FED', 'AB', 'BC', 'MB', 'ON', 'QC', 'SK', 'YT', 'NT', 'NU'],
+    names: { QC: 'Journée nationale des patriotes' },
+  },
+  { key: 'national_indigenous_peoples_day', name: 'National Indigenous Peoples Day', rule: (y) => utc(y, 6, 21), provinces: ['NT', 'YT'] },
+  {
+    key: 'saint_jean_baptiste', name: 'Fête nationale du Québec (Saint-Jean-Baptiste)',
+    rule: (y) => utc(y, 6, 24), observe: 'sunday', provinces: ['QC'],
+  },
+  {
+    key: 'canada_day', name: 'Canada Day', rule: (y) => utc(y, 7, 1), observe: 'sunday',
+    provinces: ALL, names: { NL: 'Memorial Day', QC: 'Fête du Canada' },
+  },
+  {
+    key: 'civic_holiday', name: 'Civic Holiday', rule: (y) => nthWeekday(y, 8, 1, 1),
+    provinces: ['AB', 'BC', 'MB', 'NB', 'NS', 'NT', 'NU', 'ON', 'SK'],
+    names: {
+      AB: 'Heritage Day', BC: 'British Columbia Day', MB: 'Terry Fox Day', NB: 'New Brunswick Day',
+      NS: 'Natal Day', SK: 'Saskatchewan Day',
+    },
+  },
+  { key: 'discovery_day', name: 'Discovery Day', rule: (y) => nthWeekday(y, 8, 1, 3), provinces: ['YT'] },
+  {
+    key: 'labour_day', name: 'Labour Day', rule: (y) => nthWeekday(y, 9, 1, 1),
+    provinces: ALL, names: { QC: 'Fête du Travail' },
+  },
+  {
+    key: 'truth_and_reconciliation', name: 'National Day for Truth and Reconciliation',
+    rule: (y) => utc(y, 9, 30), observe: 'weekend',
+    provinces: ['FED', 'BC', 'MB', 'NT', 'NU', 'PE', 'YT'],
+  },
+  {
+    key: 'thanksgiving', name: 'Thanksgiving', rule: (y) => nthWeekday(y, 10, 1, 2),
+    provinces: except('NB', 'NS', 'PE', 'NL'), names: { QC: "Action de grâce" },
+  },
+  {
+    key: 'remembrance_day', name: 'Remembrance Day', rule: (y) => utc(y, 11, 11), observe: 'weekend',
+    provinces: except('ON', 'QC', 'MB'),
+  },
+  { key: 'christmas_day', name: 'Christmas Day', rule: (y) => utc(y, 12, 25), observe: 'weekend', provinces: ALL },
+  { key: 'boxing_day', name: 'Boxing Day', rule: (y) => utc(y, 12, 26), observe: 'weekend', provinces: ['FED', 'ON'] },
+];
+
+// Every holiday date of a year for one jurisdiction, sorted:
+// [{ date, key, name, observed }]. `observed` marks a substitute weekday.
+function holidaysFor(year, jurisdiction) {
+  const code = ALL.includes(jurisdiction) ? jurisdiction : 'FED';
+  const out = [];
+  const taken = new Set();
+  const add = (date, h, observed) => {
+    taken.add(iso(date));
+    out.push({ date: iso(date), key: h.key, name: (h.names && h.names[code]) || h.name, observed });
+  };
+  for (const h of HOLIDAYS.filter((x) => x.provinces.includes(code))) add(h.rule(year), h, false);
+
+  // Substitute weekdays, in date order so Boxing Day lands after Christmas's.
+  for (const h of HOLIDAYS.filter((x) => x.observe && x.provinces.includes(code))) {
+    const date = h.rule(year);
+    const dow = date.getUTCDay();
+    if (dow !== 0 && !(dow === 6 && h.observe === 'weekend')) continue;
+    let sub = shift(date, dow === 6 ? 2 : 1);
+    while (taken.has(iso(sub)) || sub.getUTCDay() === 0 || sub.getUTCDay() === 6) sub = shift(sub, 1);
+    add(sub, h, true);
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// The holiday entries on one 'YYYY-MM-DD' for a jurisdiction (usually 0 or 1).
+function holidaysOn(date, jurisdiction) {
+  return holidaysFor(Number(date.slice(0, 4)), jurisdiction).filter((h) => h.date === date);
+}
+
+module.exports = { JURISDICTIONS: ALL, HOLIDAYS, easterSunday, holidaysFor, holidaysOn };
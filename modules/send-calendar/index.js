@@ -0,0 +1,34 @@
+// modules/send-calendar/index.js
+// Composition root for the send calendar. server.js touchpoints:
+//
+//   const sendCalendar = require('./modules/send-calendar')({ pool, captureError });
+//   app.use(sendCalendar.adminRouter);   // /api/admin/send-calendar/* — admin umbrella gates by prefix
+//   await sendCalendar.ensureSchema();   // boot (send_blackouts)
+//
+// The senders (services/outreach.js, services/sequence-runner-v2.js) read the
+// calendar through ./calendar.js; this module owns the table and admin API.
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+const holidays = require('./holidays');
+const schema = require('./schema');
+const buildAdminRoutes = require('./routes.admin');
+
+function createSendCalendarModule(injected) {
+  const { pool, captureError } = injected || {};
+  if (!pool) throw new Error('[send-calendar] pool is required');
+
+  const deps = { captureError };
+
+  return {
+    config,
+    holidays,
+    adminRouter: buildAdminRoutes({ pool, config, service, deps }),
+    check: (opts) => service.check(pool, config, opts, deps),
+    ensureSchema: () => schema.ensureSendCalendarSchema(pool),
+  };
+}
+
+module.exports = createSendCalendarModule;
@@ -0,0 +1,92 @@
+// modules/send-calendar/routes.admin.js
+// Holiday calendar, day checks and blackout windows. Paths live under
+// /api/admin/* and inherit the `app.use('/api/admin', authenticateToken,
+// requireAdmin)` umbrella in server.js.
+
+'use strict';
+
+const express = require('express');
+
+function buildAdminRoutes({ pool, config, service, deps }) {
+  const router = express.Router();
+
+  // GET /api/admin/send-calendar?year=2026&province=QC - holidays per
+  // jurisdiction (all of them without province) and the year's blackouts.
+  router.get('/api/admin/send-calendar', async (req, res) => {
+    try {
+      const year = req.query.year ? parseInt(req.query.year, 10) : new Date().getFullYear();
+      if (!Number.isFinite(year) || year < 2000 || year > 2100) return res.status(400).json({ error: 'Bad year.' });
+      const calendar = await service.yearCalendar(pool, { year, province: req.query.province || null });
+      return res.json(calendar);
+    } catch (err) {
+      console.error('[send-calendar/admin] calendar error:', err.message);
+      return res.status(500).json({ error: 'calendar failed' });
+    }
+  });
+
+  // GET /api/admin/send-calendar/check?province=QC&send_type=cold&date=2026-06-24
+  // The decision a sender would get on that local date (default: now).
+  router.get('/api/admin/send-calendar/check', async (req, res) => {
+    try {
+      const sendType = req.query.send_type || 'cold';
+      if (!config.SEND_TYPES.includes(sendType)) {
+        return res.status(400).json({ error: `send_type must be one of: ${config.SEND_TYPES.join(', ')}` });
+      }
+      const jurisdiction = service.jurisdictionOf(req.query.province);
+      if (req.query.date) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(req.query.date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD.' });
+        const blackouts = await service.listBlackouts(pool, { includePast: true });
+        return res.json(service.dayStatus({ date: req.query.date, jurisdiction, sendType, blackouts }));
+      }
+      const status = await service.check(pool, config, { province: jurisdiction, sendType }, deps);
+      const next = status.open ? null : await service.nextOpenAt(pool, config, { province: jurisdiction, sendType }, deps);
+      return res.json({ ...status, next_open: next });
+    } catch (err) {
+      console.error('[send-calendar/admin] check error:', err.message);
+      return res.status(500).json({ error: 'check failed' });
+    }
+  });
+
+  // GET /api/admin/send-calendar/blackouts?include_past=true
+  router.get('/api/admin/send-calendar/blackouts', async (req, res) => {
+    try {
+      const blackouts = await service.listBlackouts(pool, { includePast: req.query.include_past === 'true' });
+      return res.json({ blackouts });
+    } catch (err) {
+      console.error('[send-calendar/admin] blackouts error:', err.message);
+      return res.status(500).json({ error: 'blackouts failed' });
+    }
+  });
+
+  // POST /api/admin/send-calendar/blackouts
+  //   { starts_on, ends_on?, provinces?: ['QC'] | 'QC,ON', send_types?: ['cold'], reason }
+  router.post('/api/admin/send-calendar/blackouts', async (req, res) => {
+    try {
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const result = await service.createBlackout(pool, config, actor, req.body || {});
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.status(201).json(result);
+    } catch (err) {
+      console.error('[send-calendar/admin] create blackout error:', err.message);
+      return res.status(500).json({ error: 'create failed' });
+    }
+  });
+
+  // DELETE /api/admin/send-calendar/blackouts/:id
+  router.delete('/api/admin/send-calendar/blackouts/:id', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'Bad blackout id.' });
+      const result = await service.deleteBlackout(pool, id);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[send-calendar/admin] delete blackout error:', err.message);
+      return res.status(500).json({ error: 'delete failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildAdminRoutes;
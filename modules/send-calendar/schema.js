@@ -0,0 +1,32 @@
+// modules/send-calendar/schema.js
+// Boot-time creation of the blackout table. Statutory holidays are computed
+// (holidays.js) and never stored.
+//
+// send_blackouts   admin-declared no-send windows, inclusive dates in the
+//                  recipient's local calendar. NULL provinces = everywhere
+//                  ('FED' targets recipients with no known province); NULL
+//                  send_types = every sender.
+
+'use strict';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS send_blackouts (
+  id                  SERIAL PRIMARY KEY,
+  starts_on           DATE NOT NULL,
+  ends_on             DATE NOT NULL,
+  provinces           TEXT[],
+  send_types          TEXT[],
+  reason              TEXT NOT NULL,
+  created_by          TEXT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (ends_on >= starts_on)
+);
+CREATE INDEX IF NOT EXISTS idx_send_blackouts_ends_on ON send_blackouts(ends_on);
+`;
+
+async function ensureSendCalendarSchema(pool) {
+  await pool.query(DDL);
+  console.log('[send-calendar] module schema ensured');
+}
+
+module.exports = { ensureSendCalendarSchema, DDL };
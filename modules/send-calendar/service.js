@@ -0,0 +1,260 @@
+// modules/send-calendar/service.js
+// Send-day decisions: statutory holidays (holidays.js) plus admin blackouts
+// (send_blackouts), evaluated on the recipient's local date.
+//
+// A recipient's jurisdiction is their province code; recipients with no
+// recognisable province use 'FED' (federal holidays, Toronto date). Closed
+// days are closed for the whole local day - the send window inside it stays
+// with the senders (outreach _isInSendWindow, sequence-runner-v2).
+//
+// Blackouts are cached per pool for config.BLACKOUT_CACHE_MS so the queue can
+// ask once per campaign without a query each time; admin writes invalidate.
+
+'use strict';
+
+const { JURISDICTIONS, holidaysFor, holidaysOn } = require('./holidays');
+const { provinceCode, timeZoneForProvince, DEFAULT_TIME_ZONE } = require('../../services/province-timezones');
+const { YMD, localParts, zonedToUtc, addDays } = require('../booking/time');
+
+function logError(deps, context, err) {
+  console.error(`[send-calendar/service] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[send-calendar/service] captureError failed:', e.message); }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------
+
+function jurisdictionOf(province) {
+  if (province && String(province).trim().toUpperCase() === 'FED') return 'FED';
+  return provinceCode(province) || 'FED';
+}
+
+function timeZoneOf(jurisdiction) {
+  return jurisdiction === 'FED' ? DEFAULT_TIME_ZONE : timeZoneForProvince(jurisdiction);
+}
+
+function localDate(jurisdiction, now) {
+  return localParts(now, timeZoneOf(jurisdiction)).date;
+}
+
+const covers = (list, value) => !Array.isArray(list) || list.length === 0 || list.includes(value);
+
+function blackoutApplies(blackout, date, jurisdiction, sendType) {
+  return date >= blackout.starts_on && date <= blackout.ends_on
+    && covers(blackout.provinces, jurisdiction)
+    && covers(blackout.send_types, sendType);
+}
+
+// The decision for one local date. Holidays win over blackouts in `reason`
+// (both close the day; the holiday is the more useful explanation).
+function dayStatus({ date, jurisdiction, sendType, blackouts }) {
+  const holiday = holidaysOn(date, jurisdiction)[0] || null;
+  const blackout = (blackouts || []).find((b) => blackoutApplies(b, date, jurisdiction, sendType)) || null;
+  const reason = holiday ? 'holiday' : (blackout ? 'blackout' : null);
+  return {
+    date,
+    jurisdiction,
+    send_type: sendType,
+    open: !reason,
+    reason,
+    holiday: holiday ? { key: holiday.key, name: holiday.name, observed: holiday.observed } : null,
+    blackout: blackout ? { id: blackout.id, reason: blackout.reason, starts_on: blackout.starts_on, ends_on: blackout.ends_on } : null,
+  };
+}
+
+// Campaign-level day: the daily cap and weekend factor follow the queue's own
+// clock, not any one recipient's.
+function campaignDay(config, now) {
+  const { date, weekday } = localParts(now, config.CAMPAIGN_TIME_ZONE);
+  const weekend = weekday === 0 || weekday === 6;
+  return { date, weekday, weekend, limitFactor: weekend ? config.WEEKEND_LIMIT_FACTOR : 1 };
+}
+
+// Validates an admin blackout body. -> { ok, value } | { ok:false, code, message }
+function parseBlackout(config, body) {
+  const b = body || {};
+  const startsOn = String(b.starts_on || '').trim();
+  const endsOn = String(b.ends_on || b.starts_on || '').trim();
+  if (!YMD.test(startsOn) || !YMD.test(endsOn) || Number.isNaN(Date.parse(startsOn)) || Number.isNaN(Date.parse(endsOn))) {
+    return { ok: false, code: 400, message: 'starts_on and ends_on must be YYYY-MM-DD dates.' };
+  }
+  if (endsOn < startsOn) return { ok: false, code: 400, message: 'ends_on is before starts_on.' };
+  const days = Math.round((Date.parse(endsOn) - Date.parse(startsOn)) / 86400000) + 1;
+  if (days > config.MAX_BLACKOUT_DAYS) {
+    return { ok: false, code: 400, message: `A blackout can cover at most ${config.MAX_BLACKOUT_DAYS} days.` };
+  }
+
+  let provinces = null;
+  if (b.provinces != null && b.provinces !== '') {
+    const raw = Array.isArray(b.provinces) ? b.provinces : String(b.provinces).split(',');
+    provinces = [];
+    for (const p of raw.map((x) => String(x).trim()).filter(Boolean)) {
+      const code = p.toUpperCase() === 'FED' ? 'FED' : provinceCode(p);
+      if (!code) return { ok: false, code: 400, message: `Unknown province: ${p}` };
+      if (!provinces.includes(code)) provinces.push(code);
+    }
+    if (provinces.length === 0) provinces = null;
+  }
+
+  let sendTypes = null;
+  if (b.send_types != null && b.send_types !== '') {
+    const raw = Array.isArray(b.send_types) ? b.send_types : String(b.send_types).split(',');
+    sendTypes = [...new Set(raw.map((x) => String(x).trim()).filter(Boolean))];
+    const bad = sendTypes.find((t) => !config.SEND_TYPES.includes(t));
+    if (bad) return { ok: false, code: 400, message: `send_types must be from: ${config.SEND_TYPES.join(', ')}` };
+    if (sendTypes.length === 0) sendTypes = null;
+  }
+
+  const reason = String(b.reason || '').trim();
+  if (!reason) return { ok: false, code: 400, message: 'reason is required.' };
+  if (reason.length > config.REASON_MAX_CHARS) {
+    return { ok: false, code: 400, message: `reason is limited to ${config.REASON_MAX_CHARS} characters.` };
+  }
+  return { ok: true, value: { starts_on: startsOn, ends_on: endsOn, provinces, send_types: sendTypes, reason } };
+}
+
+// ---------------------------------------------------------------------------
+// Blackouts
+// ---------------------------------------------------------------------------
+
+const BLACKOUT_COLUMNS = `id, starts_on::text AS starts_on, ends_on::text AS ends_on, provinces, send_types,
+       reason, created_by, created_at`;
+
+const _cache = new WeakMap(); // pool -> { at, rows }
+
+// Current and future blackouts (a day of slack for zones behind the server).
+// A failed read keeps the last good list (or none), so holidays still apply
+// when the table is missing or the database hiccups.
+async function activeBlackouts(pool, config, deps) {
+  const hit = _cache.get(pool);
+  if (hit && Date.now() - hit.at < config.BLACKOUT_CACHE_MS) return hit.rows;
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${BLACKOUT_COLUMNS} FROM send_blackouts WHERE ends_on >= CURRENT_DATE - 1 ORDER BY starts_on`
+    );
+    _cache.set(pool, { at: Date.now(), rows });
+    return rows;
+  } catch (err) {
+    logError(deps, 'activeBlackouts', err);
+    return hit ? hit.rows : [];
+  }
+}
+
+function invalidate(pool) {
+  _cache.delete(pool);
+}
+
+async function listBlackouts(pool, { includePast = false } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${BLACKOUT_COLUMNS} FROM send_blackouts
+      WHERE $1::boolean OR ends_on >= CURRENT_DATE - 1
+      ORDER BY starts_on, id`,
+    [!!includePast]
+  );
+  return rows;
+}
+
+async function createBlackout(pool, config, actor, body) {
+  const parsed = parseBlackout(config, body);
+  if (!parsed.ok) return parsed;
+  const v = parsed.value;
+  const { rows } = await pool.query(
+    `INSERT INTO send_blackouts (starts_on, ends_on, provinces, send_types, reason, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${BLACKOUT_COLUMNS}`,
+    [v.starts_on, v.ends_on, v.provinces, v.send_types, v.reason, actor]
+  );
+  invalidate(pool);
+  return { ok: true, blackout: rows[0] };
+}
+
+async function deleteBlackout(pool, id) {
+  const { rows } = await pool.query(
+    `DELETE FROM send_blackouts WHERE id = $1 RETURNING ${BLACKOUT_COLUMNS}`,
+    [id]
+  );
+  if (!rows[0]) return { ok: false, code: 404, message: 'Blackout not found' };
+  invalidate(pool);
+  return { ok: true, blackout: rows[0] };
+}
+
+// ---------------------------------------------------------------------------
+// Decisions
+// ---------------------------------------------------------------------------
+
+// Is today (the recipient's local today) open for this sender?
+async function check(pool, config, { province, sendType, now = Date.now() }, deps) {
+  const jurisdiction = jurisdictionOf(province);
+  const blackouts = await activeBlackouts(pool, config, deps);
+  return dayStatus({ date: localDate(jurisdiction, now), jurisdiction, sendType, blackouts });
+}
+
+// Every jurisdiction's decision right now, for the queue's per-campaign SQL
+// filter. -> { open: ['ON', ...], unknownOpen, closed: [dayStatus, ...] }
+async function openJurisdictions(pool, config, sendType, now = Date.now(), deps) {
+  const blackouts = await activeBlackouts(pool, config, deps);
+  const open = [];
+  const closed = [];
+  for (const jurisdiction of JURISDICTIONS) {
+    const status = dayStatus({ date: localDate(jurisdiction, now), jurisdiction, sendType, blackouts });
+    if (status.open) open.push(jurisdiction); else closed.push(status);
+  }
+  return { open: open.filter((j) => j !== 'FED'), unknownOpen: open.includes('FED'), closed };
+}
+
+// The next open local day after today and the instant of
+// config.DEFER_TO_LOCAL_TIME on it. -> { date, at: Date } | null
+async function nextOpenAt(pool, config, { province, sendType, now = Date.now() }, deps) {
+  const jurisdiction = jurisdictionOf(province);
+  const blackouts = await activeBlackouts(pool, config, deps);
+  let date = localDate(jurisdiction, now);
+  for (let i = 0; i < config.MAX_LOOKAHEAD_DAYS; i++) {
+    date = addDays(date, 1);
+    if (dayStatus({ date, jurisdiction, sendType, blackouts }).open) {
+      return { date, at: new Date(zonedToUtc(date, config.DEFER_TO_LOCAL_TIME, timeZoneOf(jurisdiction))) };
+    }
+  }
+  return null;
+}
+
+// Admin view of one year: holidays per jurisdiction and the blackouts that
+// touch that year.
+async function yearCalendar(pool, { year, province }) {
+  const jurisdictions = province ? [jurisdictionOf(province)] : JURISDICTIONS;
+  const { rows: blackouts } = await pool.query(
+    `SELECT ${BLACKOUT_COLUMNS} FROM send_blackouts
+      WHERE starts_on <= make_date($1, 12, 31) AND ends_on >= make_date($1, 1, 1)
+      ORDER BY starts_on, id`,
+    [year]
+  );
+  const holidays = {};
+  for (const j of jurisdictions) holidays[j] = holidaysFor(year, j);
+  return {
+    year,
+    holidays,
+    blackouts: province ? blackouts.filter((b) => covers(b.provinces, jurisdictions[0])) : blackouts,
+  };
+}
+
+module.exports = {
+  logError,
+  jurisdictionOf,
+  timeZoneOf,
+  localDate,
+  blackoutApplies,
+  dayStatus,
+  campaignDay,
+  parseBlackout,
+  activeBlackouts,
+  invalidate,
+  listBlackouts,
+  createBlackout,
+  deleteBlackout,
+  check,
+  openJurisdictions,
+  nextOpenAt,
+  yearCalendar,
+};
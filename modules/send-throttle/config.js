@@ -0,0 +1,55 @@
+// modules/send-throttle/config.js
+// Tunables for per-recipient-domain and per-mailbox-provider throttling and
+// sending-domain warmup.
+
+'use strict';
+
+function jsonEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+  try {
+    return { ...fallback, ...JSON.parse(process.env[name]) };
+  } catch (err) {
+    console.error(`[send-throttle] ${name} is not valid JSON, using defaults:`, err.message);
+    return fallback;
+  }
+}
+
+module.exports = {
+  // Sends per clock hour to any one recipient domain (kpmg.ca, gmail.com...).
+  DOMAIN_HOURLY_CAP: parseInt(process.env.SEND_THROTTLE_DOMAIN_HOURLY || '20', 10),
+  // Sends per clock hour per mailbox provider, keyed by providers.js names.
+  // Unlisted providers (an MX host we do not recognise) get DEFAULT.
+  PROVIDER_HOURLY_CAPS: jsonEnv('SEND_THROTTLE_PROVIDER_CAPS', {
+    google: 60, microsoft: 60, yahoo: 20, apple: 20, proofpoint: 30, mimecast: 30, default: 40,
+  }),
+
+  // Backoff, evaluated by the send_throttle_evaluate job over a rolling window.
+  // Each level halves the hourly cap; a pause stops sends to the key entirely.
+  WINDOW_HOURS: 24,
+  MIN_SAMPLE: 20,
+  BACKOFF_BOUNCE_RATE: 0.04,
+  BACKOFF_DEFER_RATE: 0.10,
+  PAUSE_BOUNCE_RATE: 0.10,
+  PAUSE_COMPLAINT_RATE: 0.01,
+  PAUSE_HOURS: 6,
+  MAX_LEVEL: 3,
+  // A key backs off at most one more level per hour, and steps back down one
+  // level after this long without a new trigger.
+  ESCALATE_EVERY_HOURS: 1,
+  RECOVERY_HOURS: 6,
+  EVALUATE_CRON: '*/15 * * * *',
+
+  // Warmup ramp for newly registered sending domains: [from day, daily cap].
+  // The last entry with day <= days since warmup start applies; null = warm.
+  WARMUP_SCHEDULE: [[1, 50], [3, 100], [5, 200], [8, 400], [11, 700], [15, 1000], [22, 1500], [29, null]],
+  WARMUP_TIME_ZONE: 'America/Toronto',
+
+  // MX lookups are cached in recipient_domains.
+  MX_TTL_DAYS: 7,
+  MX_ERROR_TTL_HOURS: 24,
+  MX_TIMEOUT_MS: 3000,
+  STATE_CACHE_MS: 60 * 1000,
+  COUNTER_RETENTION_DAYS: 3,
+  DEFERRAL_RETENTION_DAYS: 7,
+  HEALTH_TOP_DOMAINS: 25,
+};
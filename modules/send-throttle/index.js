@@ -0,0 +1,41 @@
+// modules/send-throttle/index.js
+// Composition root for send throttling. server.js touchpoints:
+//
+//   const sendThrottle = require('./modules/send-throttle')({ pool, jobs, captureError });
+//   app.use(sendThrottle.adminRouter);   // /api/admin/send-throttle/* — admin umbrella gates by prefix
+//   await sendThrottle.ensureSchema();   // boot (recipient_domains, send_throttle_*, sending_domains)
+//
+// The senders read the throttle through ./throttle.js; this module owns the
+// tables, the admin API and the send_throttle_evaluate job.
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+const schema = require('./schema');
+const buildAdminRoutes = require('./routes.admin');
+
+function createSendThrottleModule(injected) {
+  const { pool, jobs, captureError } = injected || {};
+  if (!pool) throw new Error('[send-throttle] pool is required');
+  if (!jobs) throw new Error('[send-throttle] jobs is required');
+
+  const deps = { captureError };
+
+  jobs.register({
+    name: 'send_throttle_evaluate',
+    description: 'Back off or pause recipient domains / providers on bounce, complaint and deferral rates',
+    schedule: config.EVALUATE_CRON,
+    timeoutMs: 5 * 60 * 1000,
+    run: () => service.evaluate(pool, config, deps),
+  });
+
+  return {
+    config,
+    adminRouter: buildAdminRoutes({ pool, config, service }),
+    health: (opts) => service.health(pool, config, opts),
+    ensureSchema: () => schema.ensureSendThrottleSchema(pool),
+  };
+}
+
+module.exports = createSendThrottleModule;
@@ -0,0 +1,86 @@
+// modules/send-throttle/providers.js
+// Recipient domain -> mailbox provider. Consumer domains are known; anything
+// else is classified by its MX hosts, so kpmg.ca on Microsoft 365 and
+// gmail.com share the 'microsoft' / 'google' budgets with every other tenant
+// of that provider. An MX we do not recognise becomes 'mx:<base domain>'
+// (mx:secureserver.net), which still groups a hosting company's customers.
+
+'use strict';
+
+const dns = require('dns');
+
+const CONSUMER_DOMAINS = {
+  google: ['gmail.com', 'googlemail.com'],
+  microsoft: ['outlook.com', 'hotmail.com', 'hotmail.ca', 'live.com', 'live.ca', 'msn.com'],
+  yahoo: ['yahoo.com', 'yahoo.ca', 'ymail.com', 'rogers.com', 'sky.com'],
+  apple: ['icloud.com', 'me.com', 'mac.com'],
+};
+
+// MX host suffix -> provider. First match wins.
+const MX_SUFFIXES = [
+  ['google.com', 'google'],
+  ['googlemail.com', 'google'],
+  ['outlook.com', 'microsoft'],
+  ['hotmail.com', 'microsoft'],
+  ['yahoodns.net', 'yahoo'],
+  ['icloud.com', 'apple'],
+  ['pphosted.com', 'proofpoint'],
+  ['ppe-hosted.com', 'proofpoint'],
+  ['mimecast.com', 'mimecast'],
+  ['barracudanetworks.com', 'barracuda'],
+  ['zoho.com', 'zoho'],
+];
+
+const _consumer = new Map();
+for (const [provider, domains] of Object.entries(CONSUMER_DOMAINS)) for (const d of domains) _consumer.set(d, provider);
+
+function domainOf(email) {
+  const at = String(email || '').lastIndexOf('@');
+  if (at < 1) return null;
+  const domain = String(email).slice(at + 1).trim().toLowerCase().replace(/\.$/, '');
+  return /^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain) ? domain : null;
+}
+
+function consumerProvider(domain) {
+  return _consumer.get(domain) || null;
+}
+
+// Last two labels, or three for <x>.co.uk-style and Canadian provincial
+// second-level names (qc.ca, on.ca).
+function baseDomain(host) {
+  const labels = String(host).toLowerCase().replace(/\.$/, '').split('.');
+  const threeLabel = labels.length > 2 && (labels[labels.length - 2].length <= 3 && labels[labels.length - 1].length === 2);
+  return labels.slice(threeLabel ? -3 : -2).join('.');
+}
+
+// MX hosts (sorted by priority) -> provider name.
+function classifyMx(hosts) {
+  if (!hosts || hosts.length === 0) return 'none';
+  for (const host of hosts) {
+    const h = String(host).toLowerCase().replace(/\.$/, '');
+    const hit = MX_SUFFIXES.find(([suffix]) => h === suffix || h.endsWith(`.${suffix}`));
+    if (hit) return hit[1];
+  }
+  return `mx:${baseDomain(hosts[0])}`;
+}
+
+// -> { provider, mx_hosts, error }. NXDOMAIN / no MX is 'none' (those sends
+// bounce); a lookup that failed for any other reason is 'unknown'.
+async function lookup(domain, timeoutMs) {
+  let timer = null;
+  try {
+    const records = await Promise.race([
+      dns.promises.resolveMx(domain),
+      new Promise((_, reject) => { timer = setTimeout(() => reject(Object.assign(new Error('MX lookup timed out'), { code: 'ETIMEOUT' })), timeoutMs); }),
+    ]);
+    const hosts = records.sort((a, b) => a.priority - b.priority).map((r) => r.exchange);
+    return { provider: classifyMx(hosts), mx_hosts: hosts, error: null };
+  } catch (err) {
+    const none = err.code === 'ENOTFOUND' || err.code === 'ENODATA';
+    return { provider: none ? 'none' : 'unknown', mx_hosts: [], error: err.code || err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { CONSUMER_DOMAINS, domainOf, consumerProvider, baseDomain, classifyMx, lookup };
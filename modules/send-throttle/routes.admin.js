@@ -0,0 +1,82 @@
+// modules/send-throttle/routes.admin.js
+// Throttle state, cap overrides and sending-domain warmup. Paths live under
+// /api/admin/* and inherit the `app.use('/api/admin', authenticateToken,
+// requireAdmin)` umbrella in server.js.
+
+'use strict';
+
+const express = require('express');
+
+function buildAdminRoutes({ pool, config, service }) {
+  const router = express.Router();
+
+  // GET /api/admin/send-throttle?top=100 - the /api/outreach/health throttle
+  // block with more domains, plus the configured caps.
+  router.get('/api/admin/send-throttle', async (req, res) => {
+    try {
+      const top = Math.min(500, Math.max(1, parseInt(req.query.top || '100', 10) || 100));
+      const health = await service.health(pool, config, { topDomains: top });
+      return res.json({
+        ...health,
+        caps: { domain_hourly: config.DOMAIN_HOURLY_CAP, provider_hourly: config.PROVIDER_HOURLY_CAPS },
+      });
+    } catch (err) {
+      console.error('[send-throttle/admin] overview error:', err.message);
+      return res.status(500).json({ error: 'overview failed' });
+    }
+  });
+
+  // GET /api/admin/send-throttle/sending-domains
+  router.get('/api/admin/send-throttle/sending-domains', async (req, res) => {
+    try {
+      return res.json({ sending_domains: await service.listSendingDomains(pool, config), default_schedule: config.WARMUP_SCHEDULE });
+    } catch (err) {
+      console.error('[send-throttle/admin] sending domains error:', err.message);
+      return res.status(500).json({ error: 'sending domains failed' });
+    }
+  });
+
+  // POST /api/admin/send-throttle/sending-domains
+  //   { domain, warmup_started_on?: 'YYYY-MM-DD', warmup_schedule?: [[1, 50], ..., [29, null]] }
+  router.post('/api/admin/send-throttle/sending-domains', async (req, res) => {
+    try {
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const result = await service.upsertSendingDomain(pool, config, actor, req.body || {});
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.status(201).json(result);
+    } catch (err) {
+      console.error('[send-throttle/admin] sending domain error:', err.message);
+      return res.status(500).json({ error: 'sending domain failed' });
+    }
+  });
+
+  // DELETE /api/admin/send-throttle/sending-domains/:domain - ends warmup.
+  router.delete('/api/admin/send-throttle/sending-domains/:domain', async (req, res) => {
+    try {
+      const result = await service.deleteSendingDomain(pool, req.params.domain);
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[send-throttle/admin] delete sending domain error:', err.message);
+      return res.status(500).json({ error: 'delete failed' });
+    }
+  });
+
+  // PUT /api/admin/send-throttle/:scope/:key { hourly_cap?: n | null, reset?: true }
+  // scope is domain or provider. reset clears backoff and any pause.
+  router.put('/api/admin/send-throttle/:scope/:key', async (req, res) => {
+    try {
+      const actor = `admin:${(req.user && req.user.email) || 'unknown'}`;
+      const result = await service.setOverride(pool, req.params.scope, req.params.key, actor, req.body || {});
+      if (!result.ok) return res.status(result.code || 400).json({ error: result.message });
+      return res.json(result);
+    } catch (err) {
+      console.error('[send-throttle/admin] override error:', err.message);
+      return res.status(500).json({ error: 'override failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = buildAdminRoutes;
@@ -0,0 +1,69 @@
+// modules/send-throttle/schema.js
+// Boot-time creation of the throttle tables. New, empty tables only.
+//
+// recipient_domains        MX lookup cache: recipient domain -> provider
+// send_throttle_counters   sends per (scope, key, window): clock hour for
+//                          'domain' and 'provider', Toronto day for
+//                          'sender' (the warmup daily cap)
+// send_throttle_state      backoff level / pause / cap override per
+//                          (scope, key), written by the evaluator and admins
+// send_throttle_deferrals  email.delivery_delayed webhook events
+// sending_domains          our From domains under a warmup ramp
+
+'use strict';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS recipient_domains (
+  domain              TEXT PRIMARY KEY,
+  provider            TEXT NOT NULL,
+  mx_hosts            TEXT[] NOT NULL DEFAULT '{}',
+  lookup_error        TEXT,
+  resolved_at         TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS send_throttle_counters (
+  scope               TEXT NOT NULL CHECK (scope IN ('domain','provider','sender')),
+  key                 TEXT NOT NULL,
+  window_start        TIMESTAMPTZ NOT NULL,
+  sent                INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (scope, key, window_start)
+);
+CREATE INDEX IF NOT EXISTS idx_send_throttle_counters_window ON send_throttle_counters(window_start);
+
+CREATE TABLE IF NOT EXISTS send_throttle_state (
+  scope               TEXT NOT NULL CHECK (scope IN ('domain','provider')),
+  key                 TEXT NOT NULL,
+  level               INTEGER NOT NULL DEFAULT 0,
+  paused_until        TIMESTAMPTZ,
+  reason              TEXT,
+  hourly_cap_override INTEGER CHECK (hourly_cap_override IS NULL OR hourly_cap_override >= 0),
+  changed_at          TIMESTAMPTZ,
+  stats               JSONB NOT NULL DEFAULT '{}'::jsonb,
+  updated_by          TEXT,
+  updated_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (scope, key)
+);
+
+CREATE TABLE IF NOT EXISTS send_throttle_deferrals (
+  id                  SERIAL PRIMARY KEY,
+  domain              TEXT NOT NULL,
+  outreach_email_id   INTEGER,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_send_throttle_deferrals_created ON send_throttle_deferrals(created_at);
+
+CREATE TABLE IF NOT EXISTS sending_domains (
+  domain              TEXT PRIMARY KEY,
+  warmup_started_on   DATE NOT NULL,
+  warmup_schedule     JSONB,
+  created_by          TEXT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+`;
+
+async function ensureSendThrottleSchema(pool) {
+  await pool.query(DDL);
+  console.log('[send-throttle] module schema ensured');
+}
+
+module.exports = { ensureSendThrottleSchema, DDL };
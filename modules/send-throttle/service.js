@@ -0,0 +1,684 @@
+// modules/send-throttle/service.js
+// Per-recipient-domain and per-mailbox-provider hourly caps, automatic backoff,
+// and the warmup daily cap for our own sending domains.
+//
+// A send takes one slot in each of three counters before it goes out:
+//   sender    our From domain, per Toronto day   (warmup ramp; unlimited once warm)
+//   provider  google / microsoft / mx:<host>...,  per clock hour
+//   domain    the recipient's domain,             per clock hour
+// Each slot is an atomic conditional upsert, so concurrent senders (the queue
+// and sequence-runner-v2, or two replicas) cannot overshoot a cap. When one
+// counter is full, the slots already taken are given back.
+//
+// send_throttle_state holds the backoff level per domain / provider. Level n
+// multiplies the cap by 0.5^n; a pause makes it 0 until paused_until. The
+// send_throttle_evaluate job moves levels from bounce / complaint / deferral
+// rates measured since the key last changed (evaluateState).
+//
+// The throttle fails open: a database error logs and lets the send through,
+// like the send calendar. The platform-wide breakers (_checkBounceRate,
+// deliverability-gate) still stand behind it.
+
+'use strict';
+
+const providers = require('./providers');
+const { YMD, localParts, zonedToUtc } = require('../booking/time');
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const SCOPES = ['domain', 'provider'];
+
+function logError(deps, context, err) {
+  console.error(`[send-throttle/service] ${context}:`, err && err.message ? err.message : err);
+  if (deps && typeof deps.captureError === 'function') {
+    try { deps.captureError(err, { context }); } catch (e) { console.error('[send-throttle/service] captureError failed:', e.message); }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------
+
+function hourStart(now) {
+  return new Date(Math.floor(now / HOUR_MS) * HOUR_MS);
+}
+
+function dayStart(config, now) {
+  const { date } = localParts(now, config.WARMUP_TIME_ZONE);
+  return new Date(zonedToUtc(date, '00:00', config.WARMUP_TIME_ZONE));
+}
+
+function senderDomainOf(from) {
+  const m = String(from || '').match(/<([^>]+)>/);
+  return providers.domainOf(m ? m[1] : from);
+}
+
+function providerBaseCap(config, provider) {
+  const caps = config.PROVIDER_HOURLY_CAPS;
+  return caps[provider] != null ? caps[provider] : caps.default;
+}
+
+// Hourly cap for a key after override, backoff level and pause. Backoff never
+// throttles a key below 1/hour; only a pause (or an override of 0) stops it.
+function effectiveCap(baseCap, state, now) {
+  if (!state) return baseCap;
+  if (state.paused_until && new Date(state.paused_until).getTime() > now) return 0;
+  const base = state.hourly_cap_override != null ? state.hourly_cap_override : baseCap;
+  if (base <= 0) return 0;
+  return Math.max(1, Math.floor(base * Math.pow(0.5, state.level || 0)));
+}
+
+// Warmup daily cap on the sender's Toronto date, or null once warm.
+// -> { day, cap }
+function warmupCap(config, sendingDomain, now) {
+  const schedule = sendingDomain.warmup_schedule || config.WARMUP_SCHEDULE;
+  const today = localParts(now, config.WARMUP_TIME_ZONE).date;
+  const day = Math.round((Date.parse(today) - Date.parse(sendingDomain.warmup_started_on)) / DAY_MS) + 1;
+  let cap = day < 1 ? 0 : null;
+  if (day >= 1) {
+    for (const [from, dailyCap] of schedule) if (day >= from) cap = dailyCap;
+  }
+  return { day, cap };
+}
+
+function rate(part, whole) {
+  return whole > 0 ? part / whole : 0;
+}
+
+function pct(r) {
+  return `${(r * 100).toFixed(1)}%`;
+}
+
+// The next state for one key from the rates measured since it last changed.
+// -> { level, paused_until, reason, changed_at, action } where action is
+// 'paused' | 'backed_off' | 'recovered' | null.
+function evaluateState(prev, stats, config, now) {
+  const state = {
+    level: prev ? prev.level || 0 : 0,
+    paused_until: prev ? prev.paused_until || null : null,
+    reason: prev ? prev.reason || null : null,
+    changed_at: prev ? prev.changed_at || null : null,
+    action: null,
+  };
+  const sent = stats.sent || 0;
+  const bounceRate = rate(stats.bounced || 0, sent);
+  const complaintRate = rate(stats.complained || 0, sent);
+  const deferRate = rate(stats.deferred || 0, sent);
+  const sinceChange = state.changed_at ? now - new Date(state.changed_at).getTime() : Infinity;
+  const pausedNow = state.paused_until && new Date(state.paused_until).getTime() > now;
+
+  if (sent >= config.MIN_SAMPLE) {
+    if (bounceRate >= config.PAUSE_BOUNCE_RATE || complaintRate >= config.PAUSE_COMPLAINT_RATE) {
+      return {
+        level: config.MAX_LEVEL,
+        paused_until: new Date(now + config.PAUSE_HOURS * HOUR_MS),
+        reason: complaintRate >= config.PAUSE_COMPLAINT_RATE
+          ? `complaint rate ${pct(complaintRate)} over ${sent} sends`
+          : `bounce rate ${pct(bounceRate)} over ${sent} sends`,
+        changed_at: new Date(now),
+        action: 'paused',
+      };
+    }
+    const backoff = bounceRate >= config.BACKOFF_BOUNCE_RATE || deferRate >= config.BACKOFF_DEFER_RATE;
+    if (backoff && state.level < config.MAX_LEVEL && sinceChange >= config.ESCALATE_EVERY_HOURS * HOUR_MS) {
+      return {
+        level: state.level + 1,
+        paused_until: state.paused_until,
+        reason: bounceRate >= config.BACKOFF_BOUNCE_RATE
+          ? `bounce rate ${pct(bounceRate)} over ${sent} sends`
+          : `deferral rate ${pct(deferRate)} over ${sent} sends`,
+        changed_at: new Date(now),
+        action: 'backed_off',
+      };
+    }
+    if (backoff) return state;
+  }
+
+  // Recovery counts clean hours from the later of the last change and the end
+  // of any pause, so a key comes out of a pause at the lowest cap.
+  const quietSince = Math.max(
+    state.changed_at ? new Date(state.changed_at).getTime() : 0,
+    state.paused_until ? new Date(state.paused_until).getTime() : 0
+  );
+  if (state.level > 0 && !pausedNow && now - quietSince >= config.RECOVERY_HOURS * HOUR_MS) {
+    const level = state.level - 1;
+    return {
+      level,
+      paused_until: null,
+      reason: level > 0 ? state.reason : null,
+      changed_at: new Date(now),
+      action: 'recovered',
+    };
+  }
+  return state;
+}
+
+// Validates an admin override body. -> { ok, value } | { ok:false, code, message }
+function parseOverride(body) {
+  const b = body || {};
+  const value = { reset: b.reset === true || b.reset === 'true' };
+  if (Object.prototype.hasOwnProperty.call(b, 'hourly_cap')) {
+    if (b.hourly_cap === null || b.hourly_cap === '') {
+      value.hourly_cap = null;
+    } else {
+      const cap = Number(b.hourly_cap);
+      if (!Number.isInteger(cap) || cap < 0 || cap > 100000) {
+        return { ok: false, code: 400, message: 'hourly_cap must be a whole number >= 0, or null to clear.' };
+      }
+      value.hourly_cap = cap;
+    }
+  }
+  if (!value.reset && !Object.prototype.hasOwnProperty.call(value, 'hourly_cap')) {
+    return { ok: false, code: 400, message: 'Send hourly_cap and/or reset: true.' };
+  }
+  return { ok: true, value };
+}
+
+function parseSchedule(raw) {
+  if (raw == null || raw === '') return { ok: true, value: null };
+  if (!Array.isArray(raw) || raw.length === 0) return { ok: false, code: 400, message: 'warmup_schedule must be an array of [day, daily_cap].' };
+  let lastDay = 0;
+  for (const step of raw) {
+    const [day, cap] = Array.isArray(step) ? step : [];
+    if (!Number.isInteger(day) || day <= lastDay) {
+      return { ok: false, code: 400, message: 'warmup_schedule days must be increasing whole numbers from 1.' };
+    }
+    if (cap !== null && (!Number.isInteger(cap) || cap < 0)) {
+      return { ok: false, code: 400, message: 'warmup_schedule caps must be whole numbers >= 0, or null for warm.' };
+    }
+    lastDay = day;
+  }
+  if (raw[raw.length - 1][1] !== null) {
+    return { ok: false, code: 400, message: 'warmup_schedule must end with [day, null] (warm).' };
+  }
+  return { ok: true, value: raw };
+}
+
+// ---------------------------------------------------------------------------
+// Provider resolution
+// ---------------------------------------------------------------------------
+
+const _providers = new Map(); // domain -> { at, provider }
+
+async function resolveProvider(pool, config, domain, deps) {
+  const hit = _providers.get(domain);
+  if (hit && Date.now() - hit.at < config.MX_TTL_DAYS * DAY_MS) return hit.provider;
+
+  const consumer = providers.consumerProvider(domain);
+  let provider = consumer;
+  try {
+    if (!provider) {
+      const { rows } = await pool.query(
+        `SELECT provider FROM recipient_domains
+          WHERE domain = $1
+            AND resolved_at > NOW() - CASE WHEN lookup_error IS NULL
+                                            THEN make_interval(days => $2)
+                                            ELSE make_interval(hours => $3) END`,
+        [domain, config.MX_TTL_DAYS, config.MX_ERROR_TTL_HOURS]
+      );
+      provider = rows[0] ? rows[0].provider : null;
+    }
+    if (!provider || consumer) {
+      const found = consumer
+        ? { provider: consumer, mx_hosts: [], error: null }
+        : await providers.lookup(domain, config.MX_TIMEOUT_MS);
+      provider = found.provider;
+      await pool.query(
+        `INSERT INTO recipient_domains (domain, provider, mx_hosts, lookup_error, resolved_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         ON CONFLICT (domain) DO UPDATE SET provider = EXCLUDED.provider, mx_hosts = EXCLUDED.mx_hosts,
+                                            lookup_error = EXCLUDED.lookup_error, resolved_at = NOW()`,
+        [domain, found.provider, found.mx_hosts, found.error]
+      );
+    }
+  } catch (err) {
+    logError(deps, 'resolveProvider', err);
+    if (!provider) return 'unknown';
+  }
+  _providers.set(domain, { at: Date.now(), provider });
+  return provider;
+}
+
+// ---------------------------------------------------------------------------
+// State
+// ---------------------------------------------------------------------------
+
+const STATE_COLUMNS = `scope, key, level, paused_until, reason, hourly_cap_override, changed_at,
+       stats, updated_by, updated_at`;
+
+const _stateCache = new WeakMap(); // pool -> { at, byKey }
+const _senderCache = new WeakMap(); // pool -> { at, byDomain }
+
+async function loadState(pool, config, deps) {
+  const hit = _stateCache.get(pool);
+  if (hit && Date.now() - hit.at < config.STATE_CACHE_MS) return hit.byKey;
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${STATE_COLUMNS} FROM send_throttle_state
+        WHERE level > 0 OR paused_until > NOW() OR hourly_cap_override IS NOT NULL`
+    );
+    const byKey = new Map(rows.map((r) => [`${r.scope}:${r.key}`, r]));
+    _stateCache.set(pool, { at: Date.now(), byKey });
+    return byKey;
+  } catch (err) {
+    logError(deps, 'loadState', err);
+    return hit ? hit.byKey : new Map();
+  }
+}
+
+async function loadSendingDomains(pool, config, deps) {
+  const hit = _senderCache.get(pool);
+  if (hit && Date.now() - hit.at < config.STATE_CACHE_MS) return hit.byDomain;
+  try {
+    const { rows } = await pool.query(
+      `SELECT domain, warmup_started_on::text AS warmup_started_on, warmup_schedule FROM sending_domains`
+    );
+    const byDomain = new Map(rows.map((r) => [r.domain, r]));
+    _senderCache.set(pool, { at: Date.now(), byDomain });
+    return byDomain;
+  } catch (err) {
+    logError(deps, 'loadSendingDomains', err);
+    return hit ? hit.byDomain : new Map();
+  }
+}
+
+function invalidate(pool) {
+  _stateCache.delete(pool);
+  _senderCache.delete(pool);
+}
+
+// ---------------------------------------------------------------------------
+// Slots
+// ---------------------------------------------------------------------------
+
+async function takeSlot(pool, slot, cap) {
+  if (cap <= 0) return false;
+  const { rows } = await pool.query(
+    `INSERT INTO send_throttle_counters (scope, key, window_start, sent) VALUES ($1, $2, $3, 1)
+     ON CONFLICT (scope, key, window_start) DO UPDATE SET sent = send_throttle_counters.sent + 1
+      WHERE send_throttle_counters.sent < $4
+     RETURNING sent`,
+    [slot.scope, slot.key, slot.window_start, cap]
+  );
+  return rows.length > 0;
+}
+
+// Gives back slots from acquire() when the send did not go out.
+async function release(pool, slots, deps) {
+  for (const slot of slots || []) {
+    try {
+      await pool.query(
+        `UPDATE send_throttle_counters SET sent = GREATEST(sent - 1, 0)
+          WHERE scope = $1 AND key = $2 AND window_start = $3`,
+        [slot.scope, slot.key, slot.window_start]
+      );
+    } catch (err) {
+      logError(deps, 'release', err);
+    }
+  }
+}
+
+// May this email go out now? Takes a slot in every counter or none.
+// -> { ok:true, slots, domain, provider } | { ok:false, scope, key, reason, cap, domain, provider }
+async function acquire(pool, config, { email, from, now = Date.now() }, deps) {
+  const domain = providers.domainOf(email);
+  if (!domain) return { ok: true, slots: [], domain: null, provider: null };
+  let provider = null;
+  const taken = [];
+  try {
+    provider = await resolveProvider(pool, config, domain, deps);
+    const state = await loadState(pool, config, deps);
+    const senders = await loadSendingDomains(pool, config, deps);
+    const sender = senderDomainOf(from);
+    const hour = hourStart(now);
+
+    const checks = [];
+    const warming = sender && senders.get(sender);
+    if (warming) {
+      const { day, cap } = warmupCap(config, warming, now);
+      if (cap != null) checks.push({ scope: 'sender', key: sender, window_start: dayStart(config, now), cap, reason: `warmup day ${day}: ${cap}/day` });
+    }
+    const providerCap = effectiveCap(providerBaseCap(config, provider), state.get(`provider:${provider}`), now);
+    checks.push({ scope: 'provider', key: provider, window_start: hour, cap: providerCap, reason: `${providerCap}/hour` });
+    // A consumer domain (gmail.com) is the provider; its domain cap is the provider's.
+    const domainBase = providers.consumerProvider(domain) ? providerBaseCap(config, provider) : config.DOMAIN_HOURLY_CAP;
+    const domainCap = effectiveCap(domainBase, state.get(`domain:${domain}`), now);
+    checks.push({ scope: 'domain', key: domain, window_start: hour, cap: domainCap, reason: `${domainCap}/hour` });
+
+    for (const check of checks) {
+      if (!(await takeSlot(pool, check, check.cap))) {
+        await release(pool, taken, deps);
+        const st = state.get(`${check.scope}:${check.key}`);
+        const paused = st && st.paused_until && new Date(st.paused_until).getTime() > now;
+        return {
+          ok: false,
+          scope: check.scope,
+          key: check.key,
+          cap: check.cap,
+          reason: paused ? `paused until ${new Date(st.paused_until).toISOString()} (${st.reason})` : check.reason,
+          domain,
+          provider,
+        };
+      }
+      taken.push({ scope: check.scope, key: check.key, window_start: check.window_start });
+    }
+    return { ok: true, slots: taken, domain, provider };
+  } catch (err) {
+    logError(deps, 'acquire', err);
+    return { ok: true, slots: taken, domain, provider, degraded: true };
+  }
+}
+
+// email.delivery_delayed from the Resend webhook.
+async function recordDeferral(pool, { email, outreachEmailId }, deps) {
+  const domain = providers.domainOf(email);
+  if (!domain) return;
+  try {
+    await pool.query(
+      `INSERT INTO send_throttle_deferrals (domain, outreach_email_id) VALUES ($1, $2)`,
+      [domain, outreachEmailId || null]
+    );
+  } catch (err) {
+    logError(deps, 'recordDeferral', err);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation (send_throttle_evaluate job)
+// ---------------------------------------------------------------------------
+
+// Sends, bounces and complaints since each key last changed (at most
+// WINDOW_HOURS back), plus webhook deferrals over the same span.
+async function windowStats(pool, config, scope) {
+  const keyExpr = scope === 'domain' ? 'r.domain' : 'rd.provider';
+  const join = scope === 'domain' ? '' : 'JOIN recipient_domains rd ON rd.domain = r.domain';
+  const { rows } = await pool.query(
+    `WITH recent AS (
+       SELECT lower(split_part(recipient_email, '@', 2)) AS domain, sent_at,
+              bounced_at IS NOT NULL AS bounced, complained_at IS NOT NULL AS complained, NULL::boolean AS deferred
+         FROM outreach_emails
+        WHERE sent_at >= NOW() - make_interval(hours => $1)
+       UNION ALL
+       SELECT domain, created_at, NULL, NULL, true
+         FROM send_throttle_deferrals
+        WHERE created_at >= NOW() - make_interval(hours => $1)
+     )
+     SELECT ${keyExpr} AS key,
+            COUNT(*) FILTER (WHERE r.deferred IS NULL)::int AS sent,
+            COUNT(*) FILTER (WHERE r.bounced)::int AS bounced,
+            COUNT(*) FILTER (WHERE r.complained)::int AS complained,
+            COUNT(*) FILTER (WHERE r.deferred)::int AS deferred
+       FROM recent r
+       ${join}
+       LEFT JOIN send_throttle_state s ON s.scope = $2 AND s.key = ${keyExpr}
+      WHERE s.changed_at IS NULL OR r.sent_at > s.changed_at
+      GROUP BY 1`,
+    [config.WINDOW_HOURS, scope]
+  );
+  return rows;
+}
+
+// -> { evaluated, changed: [{ scope, key, action, level, reason }] }
+async function evaluate(pool, config, deps, now = Date.now()) {
+  const changed = [];
+  let evaluated = 0;
+  for (const scope of SCOPES) {
+    const stats = await windowStats(pool, config, scope);
+    const { rows: states } = await pool.query(`SELECT ${STATE_COLUMNS} FROM send_throttle_state WHERE scope = $1`, [scope]);
+    const prevByKey = new Map(states.map((s) => [s.key, s]));
+    const statsByKey = new Map(stats.map((s) => [s.key, s]));
+    const keys = new Set([...statsByKey.keys(), ...prevByKey.keys()]);
+
+    for (const key of keys) {
+      evaluated++;
+      const prev = prevByKey.get(key) || null;
+      const s = statsByKey.get(key) || { sent: 0, bounced: 0, complained: 0, deferred: 0 };
+      const next = evaluateState(prev, s, config, now);
+      if (!prev && !next.action) continue; // healthy and never throttled: no row
+      const record = { sent: s.sent, bounced: s.bounced, complained: s.complained, deferred: s.deferred, at: new Date(now) };
+      await pool.query(
+        `INSERT INTO send_throttle_state (scope, key, level, paused_until, reason, changed_at, stats, updated_by, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+         ON CONFLICT (scope, key) DO UPDATE SET
+           level = EXCLUDED.level, paused_until = EXCLUDED.paused_until, reason = EXCLUDED.reason,
+           changed_at = EXCLUDED.changed_at, stats = EXCLUDED.stats,
+           updated_by = CASE WHEN $9 THEN EXCLUDED.updated_by ELSE send_throttle_state.updated_by END,
+           updated_at = NOW()`,
+        [scope, key, next.level, next.paused_until, next.reason, next.changed_at, JSON.stringify(record), 'evaluator', !!next.action]
+      );
+      if (next.action) {
+        changed.push({ scope, key, action: next.action, level: next.level, reason: next.reason });
+        console.log(`[send-throttle] ${scope} ${key}: ${next.action} -> level ${next.level}${next.reason ? ` (${next.reason})` : ''}`);
+      }
+    }
+  }
+
+  await pool.query(`DELETE FROM send_throttle_counters WHERE window_start < NOW() - make_interval(days => $1)`, [config.COUNTER_RETENTION_DAYS])
+    .catch((err) => logError(deps, 'evaluate prune counters', err));
+  await pool.query(`DELETE FROM send_throttle_deferrals WHERE created_at < NOW() - make_interval(days => $1)`, [config.DEFERRAL_RETENTION_DAYS])
+    .catch((err) => logError(deps, 'evaluate prune deferrals', err));
+  invalidate(pool);
+  return { evaluated, changed };
+}
+
+// ---------------------------------------------------------------------------
+// Health and admin
+// ---------------------------------------------------------------------------
+
+function describeState(config, scope, key, baseCap, state, sentThisHour, now) {
+  const paused = !!(state && state.paused_until && new Date(state.paused_until).getTime() > now);
+  return {
+    scope,
+    key,
+    status: paused ? 'paused' : (state && state.level > 0 ? 'backed_off' : 'ok'),
+    level: state ? state.level : 0,
+    hourly_cap: effectiveCap(baseCap, state, now),
+    hourly_cap_override: state ? state.hourly_cap_override : null,
+    sent_this_hour: sentThisHour || 0,
+    paused_until: paused ? state.paused_until : null,
+    reason: state ? state.reason : null,
+    changed_at: state ? state.changed_at : null,
+    stats: state ? state.stats : null,
+  };
+}
+
+// The throttle block of /api/outreach/health and GET /api/admin/send-throttle:
+// warmup per sending domain, every provider seen this window, and the busiest
+// recipient domains plus any that are backed off or paused.
+async function health(pool, config, { topDomains = config.HEALTH_TOP_DOMAINS } = {}, now = Date.now()) {
+  const hour = hourStart(now);
+  const [states, counters, senders, domains] = await Promise.all([
+    pool.query(`SELECT ${STATE_COLUMNS} FROM send_throttle_state`),
+    pool.query(
+      `SELECT scope, key, sent FROM send_throttle_counters
+        WHERE (scope IN ('domain','provider') AND window_start = $1) OR (scope = 'sender' AND window_start = $2)`,
+      [hour, dayStart(config, now)]
+    ),
+    pool.query(`SELECT domain, warmup_started_on::text AS warmup_started_on, warmup_schedule FROM sending_domains ORDER BY domain`),
+    pool.query(
+      `SELECT lower(split_part(oe.recipient_email, '@', 2)) AS domain, rd.provider,
+              COUNT(*)::int AS sent_24h,
+              COUNT(*) FILTER (WHERE oe.bounced_at IS NOT NULL)::int AS bounced_24h,
+              COUNT(*) FILTER (WHERE oe.complained_at IS NOT NULL)::int AS complained_24h
+         FROM outreach_emails oe
+         LEFT JOIN recipient_domains rd ON rd.domain = lower(split_part(oe.recipient_email, '@', 2))
+        WHERE oe.sent_at >= NOW() - make_interval(hours => $1)
+        GROUP BY 1, 2
+        ORDER BY sent_24h DESC`,
+      [config.WINDOW_HOURS]
+    ),
+  ]);
+
+  const stateOf = new Map(states.rows.map((s) => [`${s.scope}:${s.key}`, s]));
+  const sentOf = new Map(counters.rows.map((c) => [`${c.scope}:${c.key}`, c.sent]));
+
+  const sending = senders.rows.map((s) => {
+    const { day, cap } = warmupCap(config, s, now);
+    return {
+      domain: s.domain,
+      warmup_started_on: s.warmup_started_on,
+      warmup_day: day,
+      status: cap == null ? 'warm' : (day < 1 ? 'not_started' : 'warming'),
+      daily_cap: cap,
+      sent_today: sentOf.get(`sender:${s.domain}`) || 0,
+    };
+  });
+
+  const providerNames = new Set(domains.rows.map((d) => d.provider || 'unknown'));
+  for (const s of states.rows) if (s.scope === 'provider') providerNames.add(s.key);
+  for (const c of counters.rows) if (c.scope === 'provider') providerNames.add(c.key);
+  const providerList = [...providerNames].sort().map((p) => {
+    const rows = domains.rows.filter((d) => (d.provider || 'unknown') === p);
+    return {
+      ...describeState(config, 'provider', p, providerBaseCap(config, p), stateOf.get(`provider:${p}`), sentOf.get(`provider:${p}`), now),
+      sent_24h: rows.reduce((n, d) => n + d.sent_24h, 0),
+      bounced_24h: rows.reduce((n, d) => n + d.bounced_24h, 0),
+      complained_24h: rows.reduce((n, d) => n + d.complained_24h, 0),
+    };
+  });
+
+  const byDomain = new Map(domains.rows.map((d) => [d.domain, d]));
+  const flagged = states.rows.filter((s) => s.scope === 'domain' && (s.level > 0 || s.hourly_cap_override != null
+    || (s.paused_until && new Date(s.paused_until).getTime() > now))).map((s) => s.key);
+  const domainKeys = [...new Set([...domains.rows.slice(0, topDomains).map((d) => d.domain), ...flagged])];
+  const domainList = domainKeys.map((key) => {
+    const d = byDomain.get(key) || { sent_24h: 0, bounced_24h: 0, complained_24h: 0, provider: null };
+    const base = providers.consumerProvider(key) ? providerBaseCap(config, d.provider) : config.DOMAIN_HOURLY_CAP;
+    return {
+      ...describeState(config, 'domain', key, base, stateOf.get(`domain:${key}`), sentOf.get(`domain:${key}`), now),
+      provider: d.provider || null,
+      sent_24h: d.sent_24h,
+      bounced_24h: d.bounced_24h,
+      complained_24h: d.complained_24h,
+    };
+  });
+
+  return {
+    window_hours: config.WINDOW_HOURS,
+    sending_domains: sending,
+    providers: providerList,
+    domains: domainList,
+    backed_off: domainList.filter((d) => d.status === 'backed_off').length
+      + providerList.filter((p) => p.status === 'backed_off').length,
+    paused: domainList.filter((d) => d.status === 'paused').length
+      + providerList.filter((p) => p.status === 'paused').length,
+  };
+}
+
+// One recipient's domain and provider as the throttle sees them now, for the
+// send-audit explainer.
+async function recipientState(pool, config, email, now = Date.now()) {
+  const domain = providers.domainOf(email);
+  if (!domain) return null;
+  const provider = await resolveProvider(pool, config, domain);
+  const [states, counters] = await Promise.all([
+    pool.query(
+      `SELECT ${STATE_COLUMNS} FROM send_throttle_state
+        WHERE (scope = 'domain' AND key = $1) OR (scope = 'provider' AND key = $2)`,
+      [domain, provider]
+    ),
+    pool.query(
+      `SELECT scope, key, sent FROM send_throttle_counters
+        WHERE window_start = $3 AND ((scope = 'domain' AND key = $1) OR (scope = 'provider' AND key = $2))`,
+      [domain, provider, hourStart(now)]
+    ),
+  ]);
+  const stateOf = new Map(states.rows.map((s) => [s.scope, s]));
+  const sentOf = new Map(counters.rows.map((c) => [c.scope, c.sent]));
+  const domainBase = providers.consumerProvider(domain) ? providerBaseCap(config, provider) : config.DOMAIN_HOURLY_CAP;
+  return {
+    domain: describeState(config, 'domain', domain, domainBase, stateOf.get('domain'), sentOf.get('domain'), now),
+    provider: describeState(config, 'provider', provider, providerBaseCap(config, provider), stateOf.get('provider'), sentOf.get('provider'), now),
+  };
+}
+
+// PUT /api/admin/send-throttle/:scope/:key - cap override and/or reset.
+async function setOverride(pool, scope, key, actor, body) {
+  if (!SCOPES.includes(scope)) return { ok: false, code: 400, message: `scope must be one of: ${SCOPES.join(', ')}` };
+  const k = String(key || '').trim().toLowerCase();
+  if (!k) return { ok: false, code: 400, message: 'key is required.' };
+  const parsed = parseOverride(body);
+  if (!parsed.ok) return parsed;
+  const v = parsed.value;
+  const setCap = Object.prototype.hasOwnProperty.call(v, 'hourly_cap');
+  const { rows } = await pool.query(
+    `INSERT INTO send_throttle_state (scope, key, hourly_cap_override, updated_by, updated_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (scope, key) DO UPDATE SET
+       hourly_cap_override = CASE WHEN $5 THEN EXCLUDED.hourly_cap_override ELSE send_throttle_state.hourly_cap_override END,
+       level        = CASE WHEN $6 THEN 0 ELSE send_throttle_state.level END,
+       paused_until = CASE WHEN $6 THEN NULL ELSE send_throttle_state.paused_until END,
+       reason       = CASE WHEN $6 THEN NULL ELSE send_throttle_state.reason END,
+       changed_at   = CASE WHEN $6 THEN NOW() ELSE send_throttle_state.changed_at END,
+       updated_by = EXCLUDED.updated_by, updated_at = NOW()
+     RETURNING ${STATE_COLUMNS}`,
+    [scope, k, setCap ? v.hourly_cap : null, actor, setCap, v.reset]
+  );
+  invalidate(pool);
+  return { ok: true, state: rows[0] };
+}
+
+async function listSendingDomains(pool, config, now = Date.now()) {
+  const { rows } = await pool.query(
+    `SELECT domain, warmup_started_on::text AS warmup_started_on, warmup_schedule, created_by, created_at
+       FROM sending_domains ORDER BY domain`
+  );
+  return rows.map((r) => ({ ...r, ...warmupCap(config, r, now), schedule: r.warmup_schedule || config.WARMUP_SCHEDULE }));
+}
+
+// POST /api/admin/send-throttle/sending-domains
+//   { domain, warmup_started_on?: 'YYYY-MM-DD' (default today), warmup_schedule? }
+async function upsertSendingDomain(pool, config, actor, body) {
+  const b = body || {};
+  const domain = providers.domainOf(`x@${String(b.domain || '').trim()}`);
+  if (!domain) return { ok: false, code: 400, message: 'domain must be a domain name like mail.canadaaccountants.app.' };
+  const startedOn = b.warmup_started_on ? String(b.warmup_started_on).trim() : localParts(Date.now(), config.WARMUP_TIME_ZONE).date;
+  if (!YMD.test(startedOn) || Number.isNaN(Date.parse(startedOn))) {
+    return { ok: false, code: 400, message: 'warmup_started_on must be a YYYY-MM-DD date.' };
+  }
+  const schedule = parseSchedule(b.warmup_schedule);
+  if (!schedule.ok) return schedule;
+  const { rows } = await pool.query(
+    `INSERT INTO sending_domains (domain, warmup_started_on, warmup_schedule, created_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (domain) DO UPDATE SET warmup_started_on = EXCLUDED.warmup_started_on,
+                                        warmup_schedule = EXCLUDED.warmup_schedule
+     RETURNING domain, warmup_started_on::text AS warmup_started_on, warmup_schedule, created_by, created_at`,
+    [domain, startedOn, schedule.value ? JSON.stringify(schedule.value) : null, actor]
+  );
+  invalidate(pool);
+  return { ok: true, sending_domain: { ...rows[0], ...warmupCap(config, rows[0], Date.now()) } };
+}
+
+async function deleteSendingDomain(pool, domain) {
+  const { rows } = await pool.query(
+    `DELETE FROM sending_domains WHERE domain = $1 RETURNING domain`,
+    [String(domain || '').trim().toLowerCase()]
+  );
+  if (!rows[0]) return { ok: false, code: 404, message: 'Sending domain not found' };
+  invalidate(pool);
+  return { ok: true, domain: rows[0].domain };
+}
+
+module.exports = {
+  SCOPES,
+  senderDomainOf,
+  providerBaseCap,
+  effectiveCap,
+  warmupCap,
+  evaluateState,
+  parseOverride,
+  parseSchedule,
+  resolveProvider,
+  invalidate,
+  acquire,
+  release,
+  recordDeferral,
+  evaluate,
+  health,
+  recipientState,
+  setOverride,
+  listSendingDomains,
+  upsertSendingDomain,
+  deleteSendingDomain,
+};
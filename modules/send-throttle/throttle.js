@@ -0,0 +1,26 @@
+// modules/send-throttle/throttle.js
+// The throttle as the senders outside this module use it, bound to this
+// module's config: services/outreach.js (_sendOutreachEmail, webhook) and
+// services/sequence-runner-v2.js require this file directly, like
+// ./send-calendar/calendar.js.
+//
+//   const throttle = require('../modules/send-throttle/throttle');
+//   const slot = await throttle.acquire(pool, { email, from });
+//   if (!slot.ok) ... leave the send for a later run (slot.reason)
+//   if (!sent) await throttle.release(pool, slot.slots);
+//   await throttle.recordDeferral(pool, { email, outreachEmailId });
+//   await throttle.health(pool)                 // /api/outreach/health
+//   await throttle.recipientState(pool, email)  // modules/send-audit explainer
+
+'use strict';
+
+const config = require('./config');
+const service = require('./service');
+
+module.exports = {
+  acquire: (pool, opts) => service.acquire(pool, config, opts),
+  release: (pool, slots) => service.release(pool, slots),
+  recordDeferral: (pool, opts) => service.recordDeferral(pool, opts),
+  health: (pool, opts) => service.health(pool, config, opts),
+  recipientState: (pool, email) => service.recipientState(pool, config, email),
+};
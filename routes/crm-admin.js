@@ -0,0 +1,233 @@
+// routes/crm-admin.js
+// -----------------------------------------------------------------------------
+// CRM admin API: the funnel, professionals (stage, history, tags, notes and
+// the conversation timeline), bulk actions, sequences and the intelligence
+// reports. Every path is under /api/admin/crm, so the router inherits the
+// admin umbrella (authenticateToken + requireAdmin) in server.js.
+//
+// Mounted with the other routers, ahead of the 404 catch-all.
+// -----------------------------------------------------------------------------
+
+const express = require('express');
+const inboundThreading = require('../services/inbound-threading');
+
+/**
+ * @param {{ pool: import('pg').Pool, crm: object, sequenceEngine: object, crmIntelligence: object }} deps
+ *        crm / sequenceEngine / crmIntelligence are the services/crm instances.
+ */
+function buildCrmAdminRoutes({ pool, crm, sequenceEngine, crmIntelligence }) {
+  const router = express.Router();
+
+  router.get('/api/admin/crm/funnel', async (req, res) => {
+    try { res.json({ success: true, ...(await crm.getFunnelWithConversions()) }); }
+    catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.get('/api/admin/crm/dashboard', async (req, res) => {
+    try { res.json({ success: true, ...(await crm.getDashboardStats()) }); }
+    catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.get('/api/admin/crm/professionals/:id', async (req, res) => {
+    try {
+      const data = await crm.getProfessional(parseInt(req.params.id));
+      if (!data) return res.status(404).json({ success: false, error: 'Not found' });
+      // Sends and replies interleaved, each reply linked to the send it answers.
+      let conversation = null;
+      try {
+        conversation = await inboundThreading.conversation(pool, data.id);
+      } catch (convErr) {
+        console.error('[CRM] conversation error:', convErr.message);
+      }
+      res.json({ success: true, professional: data, conversation });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.get('/api/admin/crm/professionals/:id/history', async (req, res) => {
+    try { res.json({ success: true, history: await crm.getHistory(parseInt(req.params.id)) }); }
+    catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.post('/api/admin/crm/professionals/:id/transition', async (req, res) => {
+    try {
+      const { to_status, metadata } = req.body;
+      if (!to_status) return res.status(400).json({ success: false, error: 'to_status required' });
+      const result = await crm.transition(parseInt(req.params.id), to_status, { triggeredBy: 'admin', metadata: metadata || {} });
+      res.json({ success: true, ...result });
+    } catch (err) { res.status(400).json({ success: false, error: err.message }); }
+  });
+
+  router.post('/api/admin/crm/professionals/:id/force-transition', async (req, res) => {
+    try {
+      const { to_status, metadata } = req.body;
+      if (!to_status) return res.status(400).json({ success: false, error: 'to_status required' });
+      const result = await crm.forceTransition(parseInt(req.params.id), to_status, { triggeredBy: 'admin', metadata: metadata || {} });
+      res.json({ success: true, ...result });
+    } catch (err) { res.status(400).json({ success: false, error: err.message }); }
+  });
+
+  router.get('/api/admin/crm/segment', async (req, res) => {
+    try {
+      const { crm_status, province, designation, has_email, tag, limit, offset } = req.query;
+      const data = await crm.segment({
+        crm_status: crm_status ? crm_status.split(',') : undefined,
+        province, designation,
+        hasEmail: has_email === 'true' ? true : has_email === 'false' ? false : undefined,
+        tag, limit: parseInt(limit) || 100, offset: parseInt(offset) || 0
+      });
+      res.json({ success: true, ...data });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.post('/api/admin/crm/bulk/transition', async (req, res) => {
+    try {
+      const { ids, to_status, metadata } = req.body;
+      if (!ids || !Array.isArray(ids) || !to_status) return res.status(400).json({ success: false, error: 'ids (array) and to_status required' });
+      res.json({ success: true, ...(await crm.bulkTransition(ids, to_status, { triggeredBy: 'admin', metadata: metadata || {} })) });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.post('/api/admin/crm/bulk/tag', async (req, res) => {
+    try {
+      const { ids, tag } = req.body;
+      if (!ids || !Array.isArray(ids) || !tag) return res.status(400).json({ success: false, error: 'ids (array) and tag required' });
+      res.json({ success: true, ...(await crm.bulkTag(ids, tag)) });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.post('/api/admin/crm/professionals/:id/tags', async (req, res) => {
+    try {
+      const { tag } = req.body;
+      if (!tag) return res.status(400).json({ success: false, error: 'tag required' });
+      await crm.addTag(parseInt(req.params.id), tag);
+      res.json({ success: true, tag });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.delete('/api/admin/crm/professionals/:id/tags/:tag', async (req, res) => {
+    try { await crm.removeTag(parseInt(req.params.id), req.params.tag); res.json({ success: true }); }
+    catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.post('/api/admin/crm/professionals/:id/notes', async (req, res) => {
+    try {
+      const { note } = req.body;
+      if (!note) return res.status(400).json({ success: false, error: 'note required' });
+      res.json({ success: true, note: await crm.addNote(parseInt(req.params.id), note, 'admin') });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.post('/api/admin/crm/backfill', async (req, res) => {
+    try { res.json({ success: true, counts: await crm.backfill() }); }
+    catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  // Sequences (Phase 2)
+
+  router.get('/api/admin/crm/sequences', async (req, res) => {
+    try { res.json({ success: true, sequences: await sequenceEngine.getSequences() }); }
+    catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.get('/api/admin/crm/sequences/:id', async (req, res) => {
+    try {
+      const seq = await sequenceEngine.getSequence(parseInt(req.params.id));
+      if (!seq) return res.status(404).json({ success: false, error: 'Not found' });
+      const stats = await sequenceEngine.getSequenceStats(seq.id);
+      res.json({ success: true, sequence: seq, stats });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.post('/api/admin/crm/sequences', async (req, res) => {
+    try {
+      const { name, description, trigger_status, steps, active } = req.body;
+      if (!name || !steps) return res.status(400).json({ success: false, error: 'name and steps required' });
+      const seq = await sequenceEngine.createSequence({ name, description, triggerStatus: trigger_status, steps, active });
+      res.json({ success: true, sequence: seq });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.put('/api/admin/crm/sequences/:id', async (req, res) => {
+    try {
+      const { name, description, trigger_status, steps, active } = req.body;
+      const seq = await sequenceEngine.updateSequence(parseInt(req.params.id), { name, description, triggerStatus: trigger_status, steps, active });
+      if (!seq) return res.status(404).json({ success: false, error: 'Not found' });
+      res.json({ success: true, sequence: seq });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.post('/api/admin/crm/sequences/:id/enroll', async (req, res) => {
+    try {
+      const { professional_id, professional_ids } = req.body;
+      if (professional_ids && Array.isArray(professional_ids)) {
+        const result = await sequenceEngine.bulkEnroll(professional_ids, parseInt(req.params.id));
+        return res.json({ success: true, ...result });
+      }
+      if (!professional_id) return res.status(400).json({ success: false, error: 'professional_id required' });
+      const enrollment = await sequenceEngine.enroll(professional_id, parseInt(req.params.id));
+      res.json({ success: true, enrollment });
+    } catch (err) { res.status(400).json({ success: false, error: err.message }); }
+  });
+
+  router.post('/api/admin/crm/sequences/:id/unenroll', async (req, res) => {
+    try {
+      const { professional_id, reason } = req.body;
+      if (!professional_id) return res.status(400).json({ success: false, error: 'professional_id required' });
+      await sequenceEngine.unenroll(professional_id, parseInt(req.params.id), reason || 'manual');
+      res.json({ success: true });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.get('/api/admin/crm/sequences/:id/enrollments', async (req, res) => {
+    try {
+      const { limit, offset } = req.query;
+      const enrollments = await sequenceEngine.getActiveEnrollments({
+        sequenceId: parseInt(req.params.id), limit: parseInt(limit) || 50, offset: parseInt(offset) || 0
+      });
+      res.json({ success: true, enrollments });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.post('/api/admin/crm/sequences/process', async (req, res) => {
+    try {
+      await sequenceEngine.processScheduledSends();
+      res.json({ success: true, message: 'Sequence processing triggered' });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  // Intelligence (Phase 4)
+
+  router.post('/api/admin/crm/intelligence/run', async (req, res) => {
+    try {
+      const results = await crmIntelligence.runNightly();
+      res.json({ success: true, ...results });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.get('/api/admin/crm/intelligence/engagement', async (req, res) => {
+    try {
+      const distribution = await crmIntelligence.getEngagementDistribution();
+      const top = await crmIntelligence.getTopEngaged(parseInt(req.query.limit) || 25);
+      res.json({ success: true, distribution, topEngaged: top });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.get('/api/admin/crm/intelligence/churn', async (req, res) => {
+    try {
+      const atRisk = await crmIntelligence.getChurnRisk(parseInt(req.query.min_risk) || 50);
+      res.json({ success: true, atRisk });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  router.get('/api/admin/crm/intelligence/bounce-report', async (req, res) => {
+    try {
+      const check = await crmIntelligence.checkBounceCluster({ windowHours: parseInt(req.query.hours) || 48 });
+      const domains = await crmIntelligence.getBounceReport(parseInt(req.query.hours) || 48);
+      res.json({ success: true, ...check, domains });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+  });
+
+  return router;
+}
+
+module.exports = buildCrmAdminRoutes;
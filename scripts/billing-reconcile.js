@@ -0,0 +1,110 @@
+// scripts/billing-reconcile.js
+// Stripe reconciliation from the command line: the same run as the
+// billing_reconcile job and POST /api/admin/billing/reconcile, recorded in
+// billing_reconcile_runs with --by as the actor.
+//
+//   STRIPE_SECRET_KEY=... node scripts/billing-reconcile.js --record subs.json
+//   DATABASE_URL=... STRIPE_SECRET_KEY=... node scripts/billing-reconcile.js --by ops@canadaaccountants.app
+//   DATABASE_URL=... node scripts/billing-reconcile.js --fixture subs.json --by ops@...
+//   DATABASE_URL=... STRIPE_SECRET_KEY=... node scripts/billing-reconcile.js --repair --by ops@...
+//
+// Options:
+//   --record <file>    write every Stripe subscription to <file> and stop (no database).
+//   --fixture <file>   compare against a recorded file instead of the Stripe API.
+//   --repair           fix what can be fixed; without it the run only reports.
+//   --by <who>         who is running it (required unless --record).
+//
+// Dunning emails a repair triggers stay dark here, whatever
+// BILLING_DUNNING_EMAILS_ENABLED says; the hourly billing_dunning job sends.
+// See modules/billing/README.md for the mismatch categories.
+
+'use strict';
+
+const { Pool } = require('pg');
+const config = require('../modules/billing/config');
+const service = require('../modules/billing/service');
+const reconcile = require('../modules/billing/reconcile');
+const { buildNotify } = require('../modules/billing/emails');
+const { CRMService } = require('../services/crm');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  if (i === -1) return fallback;
+  const v = process.argv[i + 1];
+  return v && !v.startsWith('--') ? v : fallback;
+}
+
+const REPAIR = process.argv.includes('--repair');
+
+// Same map as server.js.
+const PRICES = {
+  associate: process.env.STRIPE_PRICE_ASSOCIATE || '',
+  professional: process.env.STRIPE_PRICE_PROFESSIONAL || '',
+  enterprise: process.env.STRIPE_PRICE_ENTERPRISE || '',
+  associate_monthly: process.env.STRIPE_PRICE_ASSOCIATE || '',
+  professional_monthly: process.env.STRIPE_PRICE_PROFESSIONAL || '',
+  enterprise_monthly: process.env.STRIPE_PRICE_ENTERPRISE || '',
+  associate_yearly: process.env.STRIPE_PRICE_ASSOCIATE_YEARLY || '',
+  professional_yearly: process.env.STRIPE_PRICE_PROFESSIONAL_YEARLY || '',
+  enterprise_yearly: process.env.STRIPE_PRICE_ENTERPRISE_YEARLY || '',
+};
+
+async function main() {
+  const record = arg('record');
+  const fixture = arg('fixture');
+  if ((record || !fixture) && !process.env.STRIPE_SECRET_KEY) {
+    console.error('FAIL: STRIPE_SECRET_KEY required (or --fixture <file>)');
+    process.exit(1);
+  }
+  const stripe = process.env.STRIPE_SECRET_KEY ? require('stripe')(process.env.STRIPE_SECRET_KEY) : null;
+
+  if (record) {
+    const listing = await reconcile.recordFixture(stripe, record, config.RECONCILE_MAX);
+    console.log(`[billing] ${listing.data.length} subscriptions written to ${record}${listing.complete ? '' : ` (stopped at ${config.RECONCILE_MAX})`}`);
+    return;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error('FAIL: DATABASE_URL required');
+    process.exit(1);
+  }
+  const by = arg('by');
+  if (!by) {
+    console.error('FAIL: --by <who> required');
+    process.exit(1);
+  }
+
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  try {
+    const deps = {
+      stripe,
+      prices: PRICES,
+      crm: new CRMService({ db: pool, professionalsTable: 'scraped_cpas', platform: 'accountants' }),
+      notify: buildNotify({ config: { ...config, EMAILS_ENABLED: false }, sendEmail: null, service }),
+      hooks: {},
+    };
+    const result = await reconcile.reconcile(pool, config, { repair: REPAIR, actor: `cli:${by}`, fixture: fixture || null }, deps);
+    if (!result.ok) {
+      console.error(`FAIL: ${result.message}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`[billing] reconcile run ${result.run_id} (${result.source}${result.repair ? ', repair' : ''}): `
+      + `${result.stripe_count} Stripe, ${result.local_count} local${result.complete ? '' : ', listing incomplete'}`);
+    for (const [category, c] of Object.entries(result.counts)) {
+      if (c.found > 0) console.log(`  ${category.padEnd(15)} ${c.found} found${result.repair ? `, ${c.repaired} repaired` : ''}`);
+    }
+    for (const item of result.items) {
+      console.log(`  - ${item.category} profile ${item.cpa_profile_id || '?'} ${item.stripe_subscription_id || ''}: `
+        + `${item.local || '(none)'} -> ${item.expected || '(none)'}${item.note ? ` (${item.note})` : ''}`
+        + `${item.repair_error ? ` REPAIR FAILED: ${item.repair_error}` : ''}`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error('[billing] FAILED:', err.message);
+  process.exit(1);
+});
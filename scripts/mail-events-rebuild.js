@@ -0,0 +1,78 @@
+// scripts/mail-events-rebuild.js
+// Rebuild outreach_emails statuses and outreach_campaigns counters from the
+// mail event store: the same run as POST /api/admin/mail-events/rebuild,
+// recorded in mail_event_rebuilds with --by as the actor.
+//
+//   DATABASE_URL=... node scripts/mail-events-rebuild.js --campaign 12 --dry-run --by ops@canadaaccountants.app
+//   DATABASE_URL=... node scripts/mail-events-rebuild.js --from 2026-10-01 --to 2026-10-15 --by ops@...
+//
+// Options:
+//   --campaign <id>    one campaign.
+//   --from <date>      emails sent at or after <date>.
+//   --to <date>        emails sent before <date>.
+//   --dry-run          report what would change and roll back.
+//   --by <who>         who is running it (required).
+//
+// At least one of --campaign / --from / --to. See modules/mail-events/README.md
+// for what a rebuild leaves alone.
+
+'use strict';
+
+const { Pool } = require('pg');
+const config = require('../modules/mail-events/config');
+const rebuild = require('../modules/mail-events/rebuild');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  if (i === -1) return fallback;
+  const v = process.argv[i + 1];
+  return v && !v.startsWith('--') ? v : fallback;
+}
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    console.error('FAIL: DATABASE_URL required');
+    process.exit(1);
+  }
+  const by = arg('by');
+  if (!by) {
+    console.error('FAIL: --by <who> required');
+    process.exit(1);
+  }
+
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  try {
+    const result = await rebuild.rebuild(pool, config, {
+      campaignId: arg('campaign'), from: arg('from'), to: arg('to'), dryRun: DRY_RUN, actor: `cli:${by}`,
+    });
+    if (!result.ok) {
+      console.error(`FAIL: ${result.message}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`[mail-events] rebuild run ${result.run_id}${result.dry_run ? ' (dry run, rolled back)' : ''}: `
+      + `${result.emails_checked} checked, ${result.emails_changed} changed, `
+      + `${result.skipped.not_sent} not sent, ${result.skipped.predates_store} before the store`);
+    for (const c of result.campaigns) {
+      const moved = Object.keys(c.after).filter((col) => c.before[col] !== c.after[col]);
+      console.log(`  campaign ${c.campaign_id}: ${moved.length
+        ? moved.map((col) => `${col} ${c.before[col]} -> ${c.after[col]}`).join(', ')
+        : 'counters unchanged'}`);
+    }
+    for (const change of result.changes) {
+      console.log(`  - email ${change.id} (campaign ${change.campaign_id}): ${change.from} -> ${change.to}`);
+    }
+    if (result.emails_changed > result.changes.length) {
+      console.log(`  ... and ${result.emails_changed - result.changes.length} more`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error('[mail-events] FAILED:', err.message);
+  process.exit(1);
+});
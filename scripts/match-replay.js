@@ -0,0 +1,149 @@
+// scripts/match-replay.js
+// Offline evaluation of matching algorithms: replays historical requests from a
+// Postgres snapshot through two scorers and diffs their ranking metrics against
+// the CPAs each request eventually engaged. Read-only.
+//
+//   DATABASE_URL=postgres://localhost/acc_snapshot node scripts/match-replay.js --base v1.0 --compare v1.1
+//   DATABASE_URL=... node scripts/match-replay.js --base v1.0 --compare ./weights-v1.2.json --since 2026-01-01 --k 5
+//   DATABASE_URL=... node scripts/match-replay.js --base friction-v1 --json
+//
+// Options:
+//   --base <spec>      scorer to replay (required). A matching_algorithm_versions id
+//                      (drafts included), a friction scorer id (friction-v1), or a
+//                      JSON file { "version": "...", "weights": { ... } }.
+//   --compare <spec>   second scorer; same source as --base. Omit for a single report.
+//   --since / --until  created_at window (ISO dates) for the replayed requests.
+//   --limit <n>        cap the number of requests loaded.
+//   --k <n>            cutoff for precision@k / hit rate (default 3, the number of
+//                      cards the SME sees).
+//   --movers <n>       per-case rank changes to list in the diff (default 10).
+//   --json             print the full report as JSON instead of the table.
+//
+// --limit, --k and --movers take whole numbers (--movers may be 0); anything
+// else exits with the usage line before touching the database.
+//
+// Metrics are in modules/matching/replay.js. Weight versions replay
+// client_profiles; friction scorers replay sme_friction_requests.
+//
+// Meant for a local snapshot: refuses a non-local host unless --allow-remote is
+// passed, so an exploratory run cannot put full-table scans on production.
+
+'use strict';
+
+const { Pool } = require('pg');
+const replay = require('../modules/matching/replay');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  if (i === -1) return fallback;
+  const v = process.argv[i + 1];
+  return v && !v.startsWith('--') ? v : fallback;
+}
+
+const USAGE = 'usage: node scripts/match-replay.js --base <spec> [--compare <spec>] [--since <date>] [--until <date>] '
+  + '[--limit <n>] [--k <n>] [--movers <n>] [--json] [--allow-remote]';
+
+// Whole-number option, or exit with the usage line. `min` is 1 for counts
+// that must be positive, 0 for --movers.
+function intArg(name, fallback, min) {
+  if (!process.argv.includes(`--${name}`)) return fallback;
+  const raw = arg(name, '');
+  if (!/^\d+$/.test(raw) || parseInt(raw, 10) < min) {
+    console.error(`FAIL: --${name} must be ${min > 0 ? 'a positive' : 'a non-negative'} integer (got "${raw}")`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  return parseInt(raw, 10);
+}
+
+const JSON_OUT = process.argv.includes('--json');
+const ALLOW_REMOTE = process.argv.includes('--allow-remote');
+
+function fmt(v) {
+  return v == null ? '-' : String(v);
+}
+
+function printSummary(run) {
+  const s = run.summary;
+  console.log(`[replay] ${run.version} (${run.source}): cases=${s.cases} graded=${s.graded_cases} unrankable_engaged=${s.unrankable_engaged}`);
+  console.log(`  precision@${s.k}=${fmt(s.precision_at_k)} hit_rate@${s.k}=${fmt(s.hit_rate_at_k)} mrr=${fmt(s.mrr)} mean_engaged_rank=${fmt(s.mean_engaged_rank)}`);
+}
+
+function printDiff(base, compare, diff, moverLimit) {
+  console.log(`[replay] diff ${diff.base} -> ${diff.compare}`);
+  console.log(`  ${'metric'.padEnd(20)}${diff.base.padStart(12)}${diff.compare.padStart(12)}${'delta'.padStart(10)}`);
+  for (const m of Object.keys(diff.delta)) {
+    const d = diff.delta[m];
+    console.log(`  ${m.padEnd(20)}${fmt(base.summary[m]).padStart(12)}${fmt(compare.summary[m]).padStart(12)}${(d == null ? '-' : (d > 0 ? '+' : '') + d).padStart(10)}`);
+  }
+  console.log('  (mean_engaged_rank: lower is better)');
+  console.log(`  graded cases improved=${diff.improved_cases} worsened=${diff.worsened_cases}; top-1 changed on ${diff.top1_changed} of ${base.results.length}`);
+  for (const mv of diff.movers.slice(0, moverLimit)) {
+    console.log(`    ${mv.id}: best engaged rank ${fmt(mv.base_rank)} -> ${fmt(mv.compare_rank)}`);
+  }
+}
+
+async function main() {
+  const k = intArg('k', replay.DEFAULT_K, 1);
+  const moverLimit = intArg('movers', 10, 0);
+  const window = { since: arg('since'), until: arg('until'), limit: intArg('limit', null, 1) };
+
+  if (!process.env.DATABASE_URL) {
+    console.error('FAIL: DATABASE_URL required');
+    process.exit(1);
+  }
+  const baseSpec = arg('base');
+  if (!baseSpec) {
+    console.error('FAIL: --base <version> required');
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const host = (() => { try { return new URL(process.env.DATABASE_URL).hostname; } catch (_) { return ''; } })();
+  if (!ALLOW_REMOTE && !['localhost', '127.0.0.1', '::1', ''].includes(host)) {
+    console.error(`FAIL: DATABASE_URL host is ${host}; point at a local snapshot or pass --allow-remote`);
+    process.exit(1);
+  }
+
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  try {
+    const base = await replay.resolveScorer(pool, baseSpec);
+    const compareSpec = arg('compare');
+    const compare = compareSpec ? await replay.resolveScorer(pool, compareSpec) : null;
+    if (compare && compare.source !== base.source) {
+      throw new Error(`${base.id} replays ${base.source} requests but ${compare.id} replays ${compare.source}; compare like with like`);
+    }
+
+    const cases = base.source === 'client'
+      ? await replay.loadClientCases(pool, window)
+      : await replay.loadFrictionCases(pool, window);
+    const candidates = await replay.loadCandidates(pool);
+    if (!JSON_OUT) console.log(`[replay] loaded ${cases.length} ${base.source} request(s); k=${k}`);
+
+    const baseRun = replay.replay(cases, candidates, base, k);
+    const compareRun = compare ? replay.replay(cases, candidates, compare, k) : null;
+    const diff = compareRun ? replay.diffRuns(baseRun, compareRun) : null;
+
+    if (JSON_OUT) {
+      console.log(JSON.stringify({
+        k,
+        window,
+        base: baseRun.summary,
+        compare: compareRun && compareRun.summary,
+        diff,
+      }, null, 2));
+    } else {
+      printSummary(baseRun);
+      if (compareRun) {
+        printSummary(compareRun);
+        printDiff(baseRun, compareRun, diff, moverLimit);
+      }
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error('[replay] FAILED:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+// scripts/privacy-request.js
+// PIPEDA access and erasure requests from the command line: the same
+// service as /api/admin/privacy/*, for requests handled outside the admin UI.
+// Every run is written to privacy_requests with --by as the requester.
+//
+//   DATABASE_URL=... node scripts/privacy-request.js access jane@example.com --by ops@canadaaccountants.app
+//   DATABASE_URL=... node scripts/privacy-request.js access jane@example.com --by ops@... --out jane.json
+//   DATABASE_URL=... node scripts/privacy-request.js erase jane@example.com --by ops@... --dry-run
+//   DATABASE_URL=... node scripts/privacy-request.js erase jane@example.com --by ops@... --confirm jane@example.com
+//
+// Options:
+//   --by <who>          who is handling the request (required; recorded in the log).
+//   --out <file>        access: write the export there instead of stdout.
+//   --dry-run           erase: run every statement, print the counts, roll back.
+//   --confirm <email>   erase: must repeat the address for a real erasure.
+//
+// The erasure is one transaction: it either completes or changes nothing.
+// See modules/privacy/README.md for what happens to each table.
+
+'use strict';
+
+const fs = require('fs');
+const { Pool } = require('pg');
+const config = require('../modules/privacy/config');
+const service = require('../modules/privacy/service');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  if (i === -1) return fallback;
+  const v = process.argv[i + 1];
+  return v && !v.startsWith('--') ? v : fallback;
+}
+
+const [command, email] = process.argv.slice(2);
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    console.error('FAIL: DATABASE_URL required');
+    process.exit(1);
+  }
+  if (!['access', 'erase'].includes(command) || !email || email.startsWith('--')) {
+    console.error('FAIL: usage: privacy-request.js access|erase <email> --by <who> [options]');
+    process.exit(1);
+  }
+  const by = arg('by');
+  if (!by) {
+    console.error('FAIL: --by <who> required');
+    process.exit(1);
+  }
+  if (command === 'erase' && !DRY_RUN && String(arg('confirm', '')).trim().toLowerCase() !== email.trim().toLowerCase()) {
+    console.error('FAIL: a real erasure needs --confirm <the same email> (or --dry-run)');
+    process.exit(1);
+  }
+
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  try {
+    const actor = `cli:${by}`;
+    const result = command === 'access'
+      ? await service.access(pool, config, email, { actor })
+      : await service.erase(pool, config, email, { actor, dryRun: DRY_RUN });
+    if (!result.ok) {
+      console.error(`FAIL: ${result.message}`);
+      process.exitCode = 1;
+      return;
+    }
+    const json = JSON.stringify(result, null, 2);
+    const out = arg('out');
+    if (command === 'access' && out) {
+      fs.writeFileSync(out, json);
+      console.log(`[privacy] request ${result.request_id}: ${Object.keys(result.tables).length} tables written to ${out}`);
+      if (result.related_emails.length > 0) console.log(`[privacy] related addresses (separate requests): ${result.related_emails.join(', ')}`);
+    } else {
+      console.log(json);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error('[privacy] FAILED:', err.message);
+  process.exit(1);
+});
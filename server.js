@@ -15,12 +15,11 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
 const rateLimit = require('express-rate-limit');
-const { sendEmail, sendFrictionMatchNotification, sendCPAOnboardingEmail, sendCPARegistrationConfirmation, sendContactFormEmail, sendCPAVerificationEmail, sendPasswordResetEmail, sendReferralEmail } = require('./services/email');
+const { sendEmail, wrapInBrandTemplate, sendFrictionMatchNotification, sendCPAOnboardingEmail, sendCPARegistrationConfirmation, sendContactFormEmail, sendCPAVerificationEmail, sendPasswordResetEmail, sendReferralEmail } = require('./services/email');
 const { OutreachEngine, CPA_ACQUISITION_TEMPLATE, SME_ACQUISITION_TEMPLATE } = require('./services/outreach');
 const { CRMService, SequenceEngine, CRMIntelligence } = require('./services/crm');
 const { generateBio, calculateSEOScore, generateOutreachTemplate } = require('./services/ai');
 const crypto = require('crypto');
-const cron = require('node-cron');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || '');
 
 const FRONTEND_URL = process.env.FRONTEND_URL || 'https://canadaaccountants.app';
@@ -81,6 +80,134 @@ async function issuePasswordSetupUrl(userId) {
   return `${FRONTEND_URL}/reset-password?token=${setupToken}&welcome=1`;
 }
 
+// Paid application checkouts (auto-approved or emailed checkout links): mark
+// the application paid, create or activate its cpa_profile, and send the
+// activation email with a password-setup link. modules/billing runs this for
+// each checkout.session.completed and tracks the subscription under the
+// returned profile.
+async function activatePaidApplication(session) {
+  const applicationId = session.metadata?.application_id;
+  const source = session.metadata?.source;
+  if (!applicationId || (source !== 'auto_approved_application' && source !== 'email_checkout')) return null;
+  let profileId = null;
+  const appTier = session.metadata?.tier || 'professional';
+  await pool.query(
+    `UPDATE cpa_applications SET status = 'paid', reviewed_at = COALESCE(reviewed_at, NOW()), notes = COALESCE(notes || ' | ', '') || $1 WHERE id = $2`,
+    [`Paid: ${appTier} tier, Stripe session ${session.id}`, applicationId]
+  );
+
+  // Look up applicant details for confirmation email
+  const appRow = await pool.query(`SELECT full_name, email, firm_name FROM cpa_applications WHERE id = $1`, [applicationId]);
+  if (appRow.rows.length > 0) {
+    const applicant = appRow.rows[0];
+    const appFirstName = applicant.full_name.split(' ')[0] || 'there';
+
+    // Notify admin of payment
+    const adminEmail = process.env.ADMIN_EMAIL || 'arthur@negotiateandwin.com';
+    sendEmail({
+      to: adminEmail,
+      subject: `PAYMENT RECEIVED: CPA Application #${applicationId} -- ${applicant.full_name} (${appTier})`,
+      html: `
+        <h2 style="color:#059669;">Application Payment Received</h2>
+        <p><strong>${applicant.full_name}</strong> (${applicant.email}) paid for the <strong>${appTier}</strong> tier.</p>
+        <p>Firm: ${applicant.firm_name}</p>
+        <p>Stripe Session: <code>${session.id}</code></p>
+        <p>Application ID: #${applicationId}</p>
+      `,
+    }).catch(err => console.error('Admin payment notification error (non-fatal):', err.message));
+
+    console.log(`[Stripe] Application #${applicationId} paid: ${appTier} tier by ${applicant.full_name}`);
+
+    // Create cpa_profile so this CPA is visible to matching
+    try {
+      const existingProfile = await pool.query('SELECT id FROM cpa_profiles WHERE email = $1', [applicant.email]);
+        const nameParts = (applicant.full_name || '').split(' ');
+      const firstName = nameParts[0] || '';
+      const lastName = nameParts.slice(1).join(' ') || '';
+
+      if (existingProfile.rows.length > 0) {
+        profileId = existingProfile.rows[0].id;
+        await pool.query(
+          `UPDATE cpa_profiles SET subscription_tier = $1, subscription_status = 'active',
+           profile_status = 'active', verification_status = CASE WHEN cpa_profiles.verification_status = 'verified' THEN 'verified' ELSE 'registry_checked' END, is_active = true, updated_date = NOW()
+           WHERE id = $2`,
+          [appTier || 'professional', profileId]
+        );
+      } else {
+        const passwordHash = await bcrypt.hash(require('crypto').randomBytes(32).toString('hex'), 10);
+        // Select-then-insert: production users has no UNIQUE(email), so any
+        // ON CONFLICT (email) form fails outright ("no unique or exclusion
+        // constraint matching the ON CONFLICT specification", found live 2026-07-02).
+        const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [applicant.email]);
+        const memberUserId = existingUser.rows.length
+          ? existingUser.rows[0].id
+          : (await pool.query(
+              `INSERT INTO users (email, password_hash, user_type) VALUES ($1, $2, 'CPA') RETURNING id`,
+              [applicant.email, passwordHash]
+            )).rows[0].id;
+
+        const appFull = await pool.query('SELECT * FROM cpa_applications WHERE id = $1', [applicationId]);
+        const appData = appFull.rows[0] || {};
+
+        const newProfile = await pool.query(
+          `INSERT INTO cpa_profiles (cpa_id, user_id, first_name, last_name, email, firm_name, province,
+            specializations, subscription_tier, subscription_status, profile_status, is_active, verification_status)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'active', 'active', true, 'registry_checked')
+           RETURNING id`,
+          [`app_${applicationId}_${Date.now()}`, memberUserId, firstName, lastName, applicant.email, applicant.firm_name || '',
+           appData.province || '',
+           JSON.stringify(appData.specializations || []),
+           appTier || 'professional']
+        );
+        profileId = newProfile.rows[0].id;
+      }
+      console.log(`[Stripe] Created/updated cpa_profile #${profileId} for ${applicant.email}`);
+    } catch (profileErr) {
+      console.error('[Stripe] Profile creation error (non-fatal):', profileErr.message);
+    }
+
+    // Activation email LAST, so it can carry the password-setup link for
+    // the user row created above. Members had no way to log in: users
+    // were created with unusable random hashes and the CTA 404'd.
+    try {
+      const memberUser = await pool.query('SELECT id FROM users WHERE email = $1', [applicant.email]);
+      const setupUrl = memberUser.rows.length
+        ? await issuePasswordSetupUrl(memberUser.rows[0].id)
+        : `${FRONTEND_URL}/cpa-login`;
+      const ctaLabel = memberUser.rows.length ? 'Set Your Password & Open Your Dashboard' : 'Log In to Your Dashboard';
+      await sendEmail({
+        to: applicant.email,
+        subject: 'Welcome to CanadaAccountants.app -- Your Profile is Active!',
+        html: `
+          <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:0;">
+            <div style="background:linear-gradient(135deg,#059669,#047857);padding:32px 24px;text-align:center;border-radius:8px 8px 0 0;">
+              <h1 style="color:#ffffff;margin:0;font-size:24px;">You're All Set!</h1>
+              <p style="color:#d1fae5;margin:8px 0 0;font-size:14px;">Your CanadaAccountants profile is now active</p>
+            </div>
+            <div style="padding:32px 24px;background:#ffffff;">
+              <p style="color:#1a1a1a;font-size:16px;">Hi ${appFirstName},</p>
+              <p style="color:#333;font-size:15px;">Your <strong>${appTier.charAt(0).toUpperCase() + appTier.slice(1)}</strong> membership is confirmed. Your CPA profile, cross-checked against provincial CPA registry records, is now live on CanadaAccountants.app and you'll start receiving client referrals.</p>
+              <p style="color:#333;font-size:15px;">One step left: set your password so you can access your member dashboard any time.</p>
+              <div style="text-align:center;margin:24px 0;">
+                <a href="${setupUrl}" style="display:inline-block;padding:12px 32px;background:linear-gradient(135deg,#2563eb,#1e3a8a);color:#ffffff;text-decoration:none;border-radius:6px;font-size:16px;font-weight:600;">${ctaLabel}</a>
+              </div>
+              <p style="color:#666;font-size:13px;">The link is valid for 72 hours. After that, use "Forgot Password" on the <a href="${FRONTEND_URL}/cpa-login" style="color:#2563eb;">login page</a> with this email address.</p>
+              <p style="color:#666;font-size:13px;">Questions? Contact <a href="mailto:support@canadaaccountants.app" style="color:#2563eb;">support@canadaaccountants.app</a></p>
+            </div>
+            <div style="padding:16px 24px;background:#f8fafc;border-radius:0 0 8px 8px;text-align:center;">
+              <p style="color:#999;font-size:11px;margin:0;">Application ID: #${applicationId}</p>
+            </div>
+          </div>
+        `,
+      });
+      console.log(`[Stripe] Activation email with password setup sent to ${applicant.email}`);
+    } catch (welcomeErr) {
+      console.error('[Stripe] Activation/setup email error:', welcomeErr.message);
+    }
+  }
+  return profileId ? { cpa_profile_id: profileId } : null;
+}
+
 app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
   const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
@@ -97,184 +224,12 @@ app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), async
     return res.status(400).json({ error: 'Webhook signature verification failed' });
   }
 
+  // modules/billing claims the event id, so a redelivery is acknowledged
+  // without being applied twice; 409 = still being applied elsewhere.
   try {
-    switch (event.type) {
-      case 'checkout.session.completed': {
-        const session = event.data.object;
-        const cpaProfileId = session.metadata?.cpa_profile_id;
-        const planType = session.metadata?.plan_type;
-        const userId = session.metadata?.userId;
-        const tier = session.metadata?.tier || planType;
-        if (cpaProfileId && session.subscription) {
-          await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_cpa_subs_profile_id ON cpa_subscriptions (cpa_profile_id)`).catch(() => {});
-          await pool.query(
-            `INSERT INTO cpa_subscriptions (cpa_profile_id, plan_type, status, stripe_subscription_id, stripe_customer_id, current_period_start)
-             VALUES ($3, $4, 'active', $1, $2, NOW())
-             ON CONFLICT (cpa_profile_id) DO UPDATE SET stripe_subscription_id = $1, stripe_customer_id = $2, status = 'active', plan_type = $4, current_period_start = NOW(), updated_at = NOW()`,
-            [session.subscription, session.customer, cpaProfileId, tier || 'professional']
-          );
-        }
-        // Update users table with subscription info for upgrade gate
-        if (userId) {
-          await pool.query(
-            `UPDATE users SET subscription_tier = $1, subscription_status = 'active', stripe_customer_id = $2 WHERE id = $3`,
-            [tier, session.customer, userId]
-          );
-          console.log(`[Stripe] User ${userId} subscribed to ${tier}`);
-        }
-
-        // Handle application payment (auto-approved, email checkout, or manually approved)
-        const applicationId = session.metadata?.application_id;
-        if (applicationId && (session.metadata?.source === 'auto_approved_application' || session.metadata?.source === 'email_checkout')) {
-          const appTier = session.metadata?.tier || 'professional';
-          await pool.query(
-            `UPDATE cpa_applications SET status = 'paid', reviewed_at = COALESCE(reviewed_at, NOW()), notes = COALESCE(notes || ' | ', '') || $1 WHERE id = $2`,
-            [`Paid: ${appTier} tier, Stripe session ${session.id}`, applicationId]
-          );
-
-          // Look up applicant details for confirmation email
-          const appRow = await pool.query(`SELECT full_name, email, firm_name FROM cpa_applications WHERE id = $1`, [applicationId]);
-          if (appRow.rows.length > 0) {
-            const applicant = appRow.rows[0];
-            const appFirstName = applicant.full_name.split(' ')[0] || 'there';
-
-            // Notify admin of payment
-            const adminEmail = process.env.ADMIN_EMAIL || 'arthur@negotiateandwin.com';
-            sendEmail({
-              to: adminEmail,
-              subject: `PAYMENT RECEIVED: CPA Application #${applicationId} -- ${applicant.full_name} (${appTier})`,
-              html: `
-                <h2 style="color:#059669;">Application Payment Received</h2>
-                <p><strong>${applicant.full_name}</strong> (${applicant.email}) paid for the <strong>${appTier}</strong> tier.</p>
-                <p>Firm: ${applicant.firm_name}</p>
-                <p>Stripe Session: <code>${session.id}</code></p>
-                <p>Application ID: #${applicationId}</p>
-              `,
-            }).catch(err => console.error('Admin payment notification error (non-fatal):', err.message));
-
-            console.log(`[Stripe] Application #${applicationId} paid: ${appTier} tier by ${applicant.full_name}`);
-
-            // Create cpa_profile so this CPA is visible to matching
-            try {
-              const existingProfile = await pool.query('SELECT id FROM cpa_profiles WHERE email = $1', [applicant.email]);
-              let profileId;
-              const nameParts = (applicant.full_name || '').split(' ');
-              const firstName = nameParts[0] || '';
-              const lastName = nameParts.slice(1).join(' ') || '';
-
-              if (existingProfile.rows.length > 0) {
-                profileId = existingProfile.rows[0].id;
-                await pool.query(
-                  `UPDATE cpa_profiles SET subscription_tier = $1, subscription_status = 'active',
-                   profile_status = 'active', verification_status = CASE WHEN cpa_profiles.verification_status = 'verified' THEN 'verified' ELSE 'registry_checked' END, is_active = true, updated_date = NOW()
-                   WHERE id = $2`,
-                  [appTier || 'professional', profileId]
-                );
-              } else {
-                const passwordHash = await bcrypt.hash(require('crypto').randomBytes(32).toString('hex'), 10);
-                // Select-then-insert: production users has no UNIQUE(email), so any
-                // ON CONFLICT (email) form fails outright ("no unique or exclusion
-                // constraint matching the ON CONFLICT specification", found live 2026-07-02).
-                const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [applicant.email]);
-                const memberUserId = existingUser.rows.length
-                  ? existingUser.rows[0].id
-                  : (await pool.query(
-                      `INSERT INTO users (email, password_hash, user_type) VALUES ($1, $2, 'CPA') RETURNING id`,
-                      [applicant.email, passwordHash]
-                    )).rows[0].id;
-
-                const appFull = await pool.query('SELECT * FROM cpa_applications WHERE id = $1', [applicationId]);
-                const appData = appFull.rows[0] || {};
-
-                const newProfile = await pool.query(
-                  `INSERT INTO cpa_profiles (cpa_id, user_id, first_name, last_name, email, firm_name, province,
-                    specializations, subscription_tier, subscription_status, profile_status, is_active, verification_status)
-                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'active', 'active', true, 'registry_checked')
-                   RETURNING id`,
-                  [`app_${applicationId}_${Date.now()}`, memberUserId, firstName, lastName, applicant.email, applicant.firm_name || '',
-                   appData.province || '',
-                   JSON.stringify(appData.specializations || []),
-                   appTier || 'professional']
-                );
-                profileId = newProfile.rows[0].id;
-              }
-              console.log(`[Stripe] Created/updated cpa_profile #${profileId} for ${applicant.email}`);
-            } catch (profileErr) {
-              console.error('[Stripe] Profile creation error (non-fatal):', profileErr.message);
-            }
-
-            // Activation email LAST, so it can carry the password-setup link for
-            // the user row created above. Members had no way to log in: users
-            // were created with unusable random hashes and the CTA 404'd.
-            try {
-              const memberUser = await pool.query('SELECT id FROM users WHERE email = $1', [applicant.email]);
-              const setupUrl = memberUser.rows.length
-                ? await issuePasswordSetupUrl(memberUser.rows[0].id)
-                : `${FRONTEND_URL}/cpa-login`;
-              const ctaLabel = memberUser.rows.length ? 'Set Your Password & Open Your Dashboard' : 'Log In to Your Dashboard';
-              await sendEmail({
-                to: applicant.email,
-                subject: 'Welcome to CanadaAccountants.app -- Your Profile is Active!',
-                html: `
-                  <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:0;">
-                    <div style="background:linear-gradient(135deg,#059669,#047857);padding:32px 24px;text-align:center;border-radius:8px 8px 0 0;">
-                      <h1 style="color:#ffffff;margin:0;font-size:24px;">You're All Set!</h1>
-                      <p style="color:#d1fae5;margin:8px 0 0;font-size:14px;">Your CanadaAccountants profile is now active</p>
-                    </div>
-                    <div style="padding:32px 24px;background:#ffffff;">
-                      <p style="color:#1a1a1a;font-size:16px;">Hi ${appFirstName},</p>
-                      <p style="color:#333;font-size:15px;">Your <strong>${appTier.charAt(0).toUpperCase() + appTier.slice(1)}</strong> membership is confirmed. Your CPA profile, cross-checked against provincial CPA registry records, is now live on CanadaAccountants.app and you'll start receiving client referrals.</p>
-                      <p style="color:#333;font-size:15px;">One step left: set your password so you can access your member dashboard any time.</p>
-                      <div style="text-align:center;margin:24px 0;">
-                        <a href="${setupUrl}" style="display:inline-block;padding:12px 32px;background:linear-gradient(135deg,#2563eb,#1e3a8a);color:#ffffff;text-decoration:none;border-radius:6px;font-size:16px;font-weight:600;">${ctaLabel}</a>
-                      </div>
-                      <p style="color:#666;font-size:13px;">The link is valid for 72 hours. After that, use "Forgot Password" on the <a href="${FRONTEND_URL}/cpa-login" style="color:#2563eb;">login page</a> with this email address.</p>
-                      <p style="color:#666;font-size:13px;">Questions? Contact <a href="mailto:support@canadaaccountants.app" style="color:#2563eb;">support@canadaaccountants.app</a></p>
-                    </div>
-                    <div style="padding:16px 24px;background:#f8fafc;border-radius:0 0 8px 8px;text-align:center;">
-                      <p style="color:#999;font-size:11px;margin:0;">Application ID: #${applicationId}</p>
-                    </div>
-                  </div>
-                `,
-              });
-              console.log(`[Stripe] Activation email with password setup sent to ${applicant.email}`);
-            } catch (welcomeErr) {
-              console.error('[Stripe] Activation/setup email error:', welcomeErr.message);
-            }
-          }
-        }
-
-        console.log(`Checkout completed for CPA ${cpaProfileId}, plan: ${planType}`);
-        break;
-      }
-      case 'customer.subscription.updated': {
-        const sub = event.data.object;
-        await pool.query(
-          `UPDATE cpa_subscriptions SET status = $1, current_period_start = $2, current_period_end = $3, updated_at = NOW() WHERE stripe_subscription_id = $4`,
-          [sub.status === 'active' ? 'active' : sub.status, new Date(sub.current_period_start * 1000), new Date(sub.current_period_end * 1000), sub.id]
-        );
-        break;
-      }
-      case 'customer.subscription.deleted': {
-        const sub = event.data.object;
-        await pool.query(
-          `UPDATE cpa_subscriptions SET status = 'canceled', updated_at = NOW() WHERE stripe_subscription_id = $1`,
-          [sub.id]
-        );
-        break;
-      }
-      case 'invoice.payment_failed': {
-        const invoice = event.data.object;
-        if (invoice.subscription) {
-          await pool.query(
-            `UPDATE cpa_subscriptions SET status = 'past_due', updated_at = NOW() WHERE stripe_subscription_id = $1`,
-            [invoice.subscription]
-          );
-        }
-        break;
-      }
-    }
-    res.json({ received: true });
+    const result = await billing.handleEvent(event);
+    if (!result.ok) return res.status(result.code || 500).json({ error: result.message });
+    res.json({ received: true, duplicate: Boolean(result.duplicate) });
   } catch (error) {
     console.error('Stripe webhook processing error:', error);
     res.status(500).json({ error: 'Webhook processing failed' });
@@ -723,13 +678,375 @@ app.use(buildResendHealth(pool, {
   lastEventSql: `SELECT GREATEST(MAX(delivered_at),MAX(opened_at),MAX(clicked_at),MAX(bounced_at),MAX(complained_at)) AS ts FROM outreach_emails`,
 }));
 
+// Background jobs (modules/jobs): every recurring worker below registers here
+// instead of calling cron.schedule/setInterval itself. One replica at a time
+// leads (Postgres advisory lock) and runs them; each run is recorded in job_runs
+// with retries, timeouts and dead letters, visible at /api/admin/jobs.
+const createJobsModule = require('./modules/jobs');
+const jobs = createJobsModule({
+  pool,
+  captureError: (err, ctx) => {
+    if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
+      Sentry.captureException(err, { extra: ctx });
+    }
+  },
+});
+app.use(jobs.adminRouter);  // /api/admin/jobs/* — inherits the admin umbrella
+jobs.ensureSchema()
+  .then(() => jobs.startWorkers())
+  .catch(err => console.error('[jobs] boot failed — scheduled jobs inactive this process:', err.message));
+
 // Initialize Outreach Engine
 const outreachEngine = new OutreachEngine(pool);
-outreachEngine.startQueueProcessor();
+outreachEngine.startQueueProcessor(jobs);
+
+// Versioned matching engine (modules/matching): factor plugins + DB weight sets.
+// Mounted here so /api/admin/matching/* sits under the admin umbrella above.
+const createMatchingModule = require('./modules/matching');
+const matching = createMatchingModule({ pool });
+app.use(matching.adminRouter);
+matching.ensureSchema().catch(err => console.error('[matching] schema boot failed (serving built-in v1.0):', err.message));
+
+// Direct-lead routing (modules/leads): SME submissions from /api/match-cpas and
+// the friction funnel are offered to their top matches with an acceptance
+// deadline and cascade down the match list on decline/timeout. LEAD_NOTIFY_ENABLED
+// defaults false: offers route and are logged, CPA emails stay dark.
+// Pay-per-lead charges on accept go to the billing module, created further
+// down; the hook only runs on a request, after boot.
+const createLeadRoutingModule = require('./modules/leads');
+const leadRouting = createLeadRoutingModule({
+  pool,
+  jobs,
+  sendEmail,
+  auth: { authenticateToken, requireCPA },
+  leadBilling: {
+    charge: (dbClient, lead, offer) => billing.leadBilling.charge(dbClient, lead, offer),
+    report: (charge) => billing.leadBilling.report(charge),
+  },
+  captureError: (err, ctx) => {
+    if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
+      Sentry.captureException(err, { extra: ctx });
+    }
+  },
+});
+app.use(leadRouting.professionalRouter);  // /api/cpa/leads (JWT)
+app.use(leadRouting.adminRouter);         // /api/admin/lead-routing — inherits the admin umbrella
+leadRouting.ensureSchema()
+  .catch(err => console.error('[leads] boot failed — lead routing inactive this process:', err.message));
+
+// SME portal (modules/client-portal): a signed magic link issued at submission
+// lets the SME view matches, mark who they contacted, rate and withdraw, with no
+// account. Links are signed with CLIENT_PORTAL_SECRET; unset, no link is issued.
+const createClientPortalModule = require('./modules/client-portal');
+const clientPortal = createClientPortalModule({
+  pool,
+  cancelLead: leadRouting.cancelForSource,
+  captureError: (err, ctx) => {
+    if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
+      Sentry.captureException(err, { extra: ctx });
+    }
+  },
+});
+app.use(clientPortal.router);  // /api/client-portal/:token — public, the token is the credential
+clientPortal.ensureSchema().catch(err => console.error('[client-portal] schema boot failed:', err.message));
+
+// SME <-> CPA conversations (modules/messaging): a thread per match, stored in
+// Postgres. The SME writes from the portal, the CPA from the dashboard; each
+// side is emailed through services/email.js and can answer by replying to the
+// email, which comes back through /api/inbound. MESSAGING_NOTIFY_ENABLED
+// defaults false: messages are stored and shown, notification emails stay dark.
+const createMessagingModule = require('./modules/messaging');
+const messaging = createMessagingModule({
+  pool,
+  sendEmail,
+  wrapInBrandTemplate,
+  auth: { authenticateToken, requireCPA },
+  portal: { verify: clientPortal.verifyToken, issueLink: clientPortal.issueLink },
+  captureError: (err, ctx) => {
+    if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
+      Sentry.captureException(err, { extra: ctx });
+    }
+  },
+});
+app.use(messaging.professionalRouter);  // /api/cpa/messages (JWT)
+app.use(messaging.clientRouter);        // /api/client-portal/:token/...messages — portal token
+messaging.ensureSchema().catch(err => console.error('[messaging] schema boot failed:', err.message));
+
+// Consultation booking (modules/booking): CPAs publish weekly hours and blackout
+// dates through /api/cpa/my-profile; SMEs book a slot with a match from the
+// portal. Times are stored as instants; province zones come from
+// services/province-timezones.js. Bookings export as ICS.
+const createBookingModule = require('./modules/booking');
+const booking = createBookingModule({
+  pool,
+  auth: { authenticateToken, requireCPA },
+  portal: { verify: clientPortal.verifyToken },
+  captureError: (err, ctx) => {
+    if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
+      Sentry.captureException(err, { extra: ctx });
+    }
+  },
+});
+app.use(booking.professionalRouter);  // /api/cpa/appointments (JWT)
+app.use(booking.clientRouter);        // /api/client-portal/:token/...slots|appointments — portal token
+booking.ensureSchema().catch(err => console.error('[booking] schema boot failed:', err.message));
+
+// Verified client reviews (modules/reviews): an SME can rate and review a CPA
+// from the portal once the match is engaged or a booked consultation has
+// started. The CPA gets a response window, then the review waits in the admin
+// moderation queue. Published ratings feed AggregateRating JSON-LD on
+// /api/profiles/:id and the directory, and CPAPerformanceScorer.
+// REVIEW_NOTIFY_ENABLED defaults false: the CPA's email stays dark.
+const createReviewsModule = require('./modules/reviews');
+const reviews = createReviewsModule({
+  pool,
+  jobs,
+  sendEmail,
+  wrapInBrandTemplate,
+  auth: { authenticateToken, requireCPA },
+  portal: { verify: clientPortal.verifyToken },
+  captureError: (err, ctx) => {
+    if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
+      Sentry.captureException(err, { extra: ctx });
+    }
+  },
+});
+app.use(reviews.professionalRouter);  // /api/cpa/reviews (JWT)
+app.use(reviews.clientRouter);        // /api/client-portal/:token/...review(s) — portal token
+app.use(reviews.adminRouter);         // /api/admin/reviews — inherits the admin umbrella
+app.use(reviews.publicRouter);        // /api/profiles/:id/reviews
+reviews.ensureSchema()
+  .catch(err => console.error('[reviews] boot failed — reviews inactive this process:', err.message));
+
+// Professional search (modules/search): tsvector + pg_trgm over a search index
+// rebuilt hourly from scraped_cpas and cpa_profiles, with facets and paging.
+// The name-only /api/professionals/search is kept as is for its existing callers.
+const createSearchModule = require('./modules/search');
+const search = createSearchModule({
+  pool,
+  jobs,
+  snippet: (bio) => cleanBio(bio),
+  ratings: reviews.aggregatesForScraped,
+  captureError: (err, ctx) => {
+    if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
+      Sentry.captureException(err, { extra: ctx });
+    }
+  },
+});
+app.use(search.publicRouter);  // /api/search/professionals
+app.use(search.adminRouter);   // /api/admin/search/* — inherits the admin umbrella
+search.ensureSchema()
+  .then(() => search.startWorkers())
+  .catch(err => console.error('[search] boot failed — search inactive this process:', err.message));
+
+// Send calendar (modules/send-calendar): Canadian statutory holidays per
+// province plus admin blackout windows. OutreachEngine.processQueue and
+// sequence-runner-v2 consult it per recipient province.
+const createSendCalendarModule = require('./modules/send-calendar');
+const sendCalendar = createSendCalendarModule({
+  pool,
+  captureError: (err, ctx) => {
+    if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
+      Sentry.captureException(err, { extra: ctx });
+    }
+  },
+});
+app.use(sendCalendar.adminRouter);  // /api/admin/send-calendar/* — inherits the admin umbrella
+sendCalendar.ensureSchema()
+  .catch(err => console.error('[send-calendar] boot failed — blackouts inactive this process:', err.message));
+
+// Send throttle (modules/send-throttle): hourly caps per recipient domain and
+// per mailbox provider (MX), automatic backoff on bounces / deferrals, and a
+// warmup ramp for new sending domains. Both outreach senders take a slot
+// before each send; per-domain health is in /api/outreach/health.
+const createSendThrottleModule = require('./modules/send-throttle');
+const sendThrottle = createSendThrottleModule({
+  pool,
+  jobs,
+  captureError: (err, ctx) => {
+    if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
+      Sentry.captureException(err, { extra: ctx });
+    }
+  },
+});
+app.use(sendThrottle.adminRouter);  // /api/admin/send-throttle/* — inherits the admin umbrella
+sendThrottle.ensureSchema()
+  .catch(err => console.error('[send-throttle] boot failed — throttling fails open this process:', err.message));
+
+// Mail event store (modules/mail-events): every delivery webhook is stored
+// with its provider event id (Resend svix-id, SES SNS MessageId) before it is
+// applied, so a redelivery is acknowledged without counting twice. Stored
+// events are projected through recordDeliveryEvent (below, next to the Resend
+// webhook); /api/admin/mail-events/* replays one or rebuilds a campaign's
+// statuses and counters from the store.
+const createMailEventsModule = require('./modules/mail-events');
+const mailEvents = createMailEventsModule({
+  pool,
+  project: (event) => recordDeliveryEvent(event),
+  captureError: (err, ctx) => {
+    if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
+      Sentry.captureException(err, { extra: ctx });
+    }
+  },
+});
+app.use(mailEvents.adminRouter);  // /api/admin/mail-events/* — inherits the admin umbrella
+mailEvents.ensureSchema()
+  .catch(err => console.error('[mail-events] boot failed — delivery webhooks will fail until the store exists:', err.message));
+
+// Reply intent tier (modules/reply-intent): inbound replies no classifier
+// rule matches are sorted into an intent by the LLM when REPLY_INTENT_ENABLED,
+// and that intent's follow-up (hand off, snooze, stop, suppress, review) runs.
+// The inbound_classifier job (below) calls it; /api/admin/reply-intents/* is
+// the review queue and summary.
+const createReplyIntentModule = require('./modules/reply-intent');
+const replyIntents = createReplyIntentModule({ pool });
+app.use(replyIntents.adminRouter);  // /api/admin/reply-intents/* — inherits the admin umbrella
+replyIntents.ensureSchema()
+  .catch(err => console.error('[reply-intent] boot failed — intent tier cannot record replies this process:', err.message));
+
+// Mail transport (modules/mail-transport): sendEmail routes each message class
+// over Resend / SES / SMTP with failover. Delivery webhooks from every
+// provider are normalized, stored by the mail event store above and land in
+// the same _setStatusAndTimestamp pipeline.
+const createMailTransportModule = require('./modules/mail-transport');
+const mailTransport = createMailTransportModule({
+  onEvent: (event, raw) => mailEvents.ingest({ provider: 'ses', eventId: raw.eventId, payload: raw.payload, event }),
+});
+app.use(mailTransport.publicRouter);  // POST /api/webhooks/ses (SNS-signed)
+app.use(mailTransport.adminRouter);   // /api/admin/mail-transport/* — inherits the admin umbrella
+
+// Send-decision log (modules/send-audit): every sender records the gate that
+// decided each message (kill switch, unsubscribe, claims suppression,
+// throttle, transport...) and the outcome.
+// GET /api/admin/send-audit/explain?email= answers "why didn't this send".
+const createSendAuditModule = require('./modules/send-audit');
+const sendAudit = createSendAuditModule({
+  pool,
+  jobs,
+  captureError: (err, ctx) => {
+    if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
+      Sentry.captureException(err, { extra: ctx });
+    }
+  },
+});
+app.use(sendAudit.adminRouter);  // /api/admin/send-audit/* — inherits the admin umbrella
+sendAudit.ensureSchema()
+  .catch(err => console.error('[send-audit] boot failed — send decisions not recorded this process:', err.message));
+
+// CASL consent registry (modules/consent): the basis, source and date of the
+// consent we hold per address, with implied-consent expiry. Every commercial
+// sender asks consentRegistry / modules/consent/consent.js before a send;
+// classes in CONSENT_ENFORCE skip addresses without active consent.
+// GET /api/admin/consent/export is the compliance export.
+const createConsentModule = require('./modules/consent');
+const consentRegistry = createConsentModule({
+  pool,
+  jobs,
+  captureError: (err, ctx) => {
+    if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
+      Sentry.captureException(err, { extra: ctx });
+    }
+  },
+});
+app.use(consentRegistry.adminRouter);  // /api/admin/consent/* — inherits the admin umbrella
+consentRegistry.ensureSchema()
+  .catch(err => console.error('[consent] boot failed — consent checks fail open this process:', err.message));
+
+// PIPEDA access and erasure requests (modules/privacy). Finds one person's
+// rows in every table by email; an erasure deletes or anonymizes them and
+// keeps only a suppression hash, which consentRegistry.blocked() checks
+// before every commercial send. CLI: scripts/privacy-request.js.
+const createPrivacyModule = require('./modules/privacy');
+const privacyRequests = createPrivacyModule({
+  pool,
+  captureError: (err, ctx) => {
+    if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
+      Sentry.captureException(err, { extra: ctx });
+    }
+  },
+});
+app.use(privacyRequests.adminRouter);  // /api/admin/privacy/* — inherits the admin umbrella
+privacyRequests.ensureSchema()
+  .catch(err => console.error('[privacy] boot failed — privacy requests unavailable this process:', err.message));
+
+// Learned match weights (services/ml-engine.js). Each learning cycle fits a
+// logistic regression on resolved matches and stores it in ml_weight_iterations;
+// RealtimeMLRecommendationEngine scores with the active iteration, checking its
+// id on every request, so the learning-cycle and rollback routes below take
+// effect without a restart.
+const { CanadianCPAMLEngine } = require('./services/ml-engine');
+const mlEngine = new CanadianCPAMLEngine(pool);
+mlEngine.ensureSchema().catch(err => console.error('[ML] schema boot failed:', err.message));
+
+app.get('/api/admin/ml/iterations', async (req, res) => {
+  try {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+    res.json({ iterations: await mlEngine.listIterations(limit) });
+  } catch (err) {
+    console.error('[ML] iterations list error:', err.message);
+    res.status(500).json({ error: 'list failed' });
+  }
+});
+
+// POST /api/admin/ml/learning-cycle { force_activate }
+app.post('/api/admin/ml/learning-cycle', async (req, res) => {
+  try {
+    const result = await mlEngine.performLearningCycle({
+      createdBy: req.user && req.user.email,
+      forceActivate: req.body && req.body.force_activate === true,
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('[ML] learning cycle error:', err.message);
+    res.status(500).json({ error: 'learning cycle failed' });
+  }
+});
+
+// POST /api/admin/ml/rollback { iteration_id } - omit the id to return to the
+// previously active iteration.
+app.post('/api/admin/ml/rollback', async (req, res) => {
+  try {
+    const id = req.body && req.body.iteration_id != null ? parseInt(req.body.iteration_id, 10) : null;
+    const result = await mlEngine.rollbackToIteration(id, { actor: req.user && req.user.email });
+    if (!result.ok) return res.status(result.code).json({ error: result.message });
+    res.json(result.iteration);
+  } catch (err) {
+    console.error('[ML] rollback error:', err.message);
+    res.status(500).json({ error: 'rollback failed' });
+  }
+});
 
 // Initialize CRM
 const crm = new CRMService({ db: pool, professionalsTable: 'scraped_cpas', platform: 'accountants' });
 
+// Stripe subscription lifecycle (modules/billing). /api/stripe/webhook hands
+// every verified event to billing.handleEvent: event-id idempotency, the
+// trialing/active/past_due/unpaid/canceled state machine, dunning with a
+// grace period, and mid-cycle plan changes. The profile and user
+// subscription_status mirror and the CRM subscriber/churned stage follow
+// the subscription state. Pay-per-lead billing (prepaid balance or metered
+// usage, charged when a routed lead is accepted) lives here too.
+const createBillingModule = require('./modules/billing');
+const billing = createBillingModule({
+  pool,
+  jobs,
+  stripe,
+  prices: STRIPE_PRICES,
+  crm,
+  sendEmail,
+  auth: { authenticateToken, requireCPA },
+  hooks: { onCheckoutCompleted: activatePaidApplication },
+  captureError: (err, ctx) => {
+    if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
+      Sentry.captureException(err, { extra: ctx });
+    }
+  },
+});
+app.use(billing.professionalRouter);  // /api/stripe/plan-change*, /api/cpa/lead-balance*, /api/cpa/lead-charges/* (JWT)
+app.use(billing.adminRouter);         // /api/admin/billing/* — inherits the admin umbrella
+billing.ensureSchema()
+  .catch(err => console.error('[billing] boot failed — Stripe webhooks fail until the schema exists:', err.message));
+
 const OUTREACH_FROM = 'Arthur Kostaras <connect@canadaaccountants.app>';
 const sequenceEngine = new SequenceEngine({
   db: pool, professionalsTable: 'scraped_cpas', platform: 'accountants',
@@ -745,6 +1062,10 @@ const crmIntelligence = new CRMIntelligence({
   db: pool, professionalsTable: 'scraped_cpas', platform: 'accountants', sendAlert: sendEmail
 });
 
+// CRM admin API (routes/crm-admin.js): /api/admin/crm/* — inherits the admin umbrella
+const buildCrmAdminRoutes = require('./routes/crm-admin');
+app.use(buildCrmAdminRoutes({ pool, crm, sequenceEngine, crmIntelligence }));
+
 // Auto-migrate: create outreach tables + add missing columns
 (async () => {
   try {
@@ -811,6 +1132,13 @@ const crmIntelligence = new CRMIntelligence({
     await pool.query(`ALTER TABLE outreach_emails ADD COLUMN IF NOT EXISTS unsubscribe_token TEXT`);
     await pool.query(`ALTER TABLE outreach_emails ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP`);
     await pool.query(`ALTER TABLE outreach_emails ADD COLUMN IF NOT EXISTS sequence_number INTEGER DEFAULT 1`);
+    // Which mail provider took the send (modules/mail-transport); resend_email_id
+    // holds that provider's message id. NULL rows predate it and are Resend.
+    await pool.query(`ALTER TABLE outreach_emails ADD COLUMN IF NOT EXISTS email_provider TEXT`);
+    // Inbound reply threading (services/inbound-threading.js) looks sends up by
+    // provider id and by recipient.
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_outreach_emails_resend_email_id ON outreach_emails (resend_email_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_outreach_emails_recipient_sent ON outreach_emails (LOWER(recipient_email), sent_at)`);
     await pool.query(`ALTER TABLE outreach_campaigns ADD COLUMN IF NOT EXISTS follow_up_delay_days INTEGER DEFAULT 5`);
     await pool.query(`ALTER TABLE outreach_campaigns ADD COLUMN IF NOT EXISTS max_sequence INTEGER DEFAULT 1`);
     await pool.query(`ALTER TABLE outreach_campaigns ADD COLUMN IF NOT EXISTS follow_up_subjects JSONB`);
@@ -1190,10 +1518,34 @@ const crmIntelligence = new CRMIntelligence({
         classification_status VARCHAR(20) NOT NULL DEFAULT 'pending'
           CHECK (classification_status IN ('pending','classified','manual_review','suppressed')),
         classification_decision VARCHAR(20)
-          CHECK (classification_decision IS NULL OR classification_decision IN ('breakdown','unsubscribe','touch7_in','touch7_out','manual')),
+          CHECK (classification_decision IS NULL OR classification_decision IN ('breakdown','unsubscribe','touch7_in','touch7_out','manual','intent','auto_reply')),
         processed_at TIMESTAMPTZ
       )
     `);
+    // 'intent' (modules/reply-intent) and 'auto_reply' (services/auto-reply.js)
+    // were added after the table shipped: widen the CHECK once on databases
+    // that still have an older list.
+    await pool.query(`
+      DO $$ BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_constraint
+                        WHERE conname = 'inbound_messages_classification_decision_check'
+                          AND pg_get_constraintdef(oid) LIKE '%auto_reply%') THEN
+          ALTER TABLE inbound_messages DROP CONSTRAINT IF EXISTS inbound_messages_classification_decision_check;
+          ALTER TABLE inbound_messages ADD CONSTRAINT inbound_messages_classification_decision_check
+            CHECK (classification_decision IS NULL OR classification_decision IN ('breakdown','unsubscribe','touch7_in','touch7_out','manual','intent','auto_reply'));
+        END IF;
+      END $$;
+    `);
+    // Set at ingestion from the Auto-Submitted / X-Autoreply / Precedence headers
+    // and the subject and body; such rows do not count as replies.
+    await pool.query(`ALTER TABLE inbound_messages ADD COLUMN IF NOT EXISTS is_auto_reply BOOLEAN NOT NULL DEFAULT FALSE`);
+    // Threading (services/inbound-threading.js): the reply's In-Reply-To and
+    // References as the poller forwards them, and the outreach send it answers.
+    await pool.query(`ALTER TABLE inbound_messages ADD COLUMN IF NOT EXISTS in_reply_to TEXT`);
+    await pool.query(`ALTER TABLE inbound_messages ADD COLUMN IF NOT EXISTS reference_ids TEXT[]`);
+    await pool.query(`ALTER TABLE inbound_messages ADD COLUMN IF NOT EXISTS outreach_email_id INTEGER`);
+    await pool.query(`ALTER TABLE inbound_messages ADD COLUMN IF NOT EXISTS thread_match VARCHAR(10)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_inbound_messages_from_email ON inbound_messages (LOWER(from_email))`);
     await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_inbound_messages_message_id ON inbound_messages(message_id)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_inbound_messages_pending ON inbound_messages(received_at) WHERE classification_status = 'pending'`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_inbound_messages_received_at ON inbound_messages(received_at)`);
@@ -1756,116 +2108,13 @@ app.post('/api/performance/score', async (req, res) => {
 
 // =====================================================
 // 6-FACTOR MATCHING ALGORITHM
+// Factor scorers, per-version weights and shadow runs live in modules/matching.
+// This wrapper keeps the name the referral adapter is injected with.
 // =====================================================
 
 async function runCPAMatchingAlgorithm(clientProfile) {
   try {
-    const cpas = await pool.query(
-      `SELECT cp.* FROM cpa_profiles cp
-       WHERE cp.is_active = true AND cp.profile_status = 'active'
-         AND cp.subscription_status = 'active'
-         AND COALESCE(cp.fallback_priority, false) = false
-       ORDER BY CASE cp.subscription_tier WHEN 'enterprise' THEN 1 WHEN 'professional' THEN 2 ELSE 3 END`
-    );
-
-    // Scorer extracted to a named function so the house fallback is scored identically (mirrors friction).
-    function scoreCpaRow(cpa) {
-      // Factor 1: Specialization Match (25%)
-      let specScore = 50;
-      const specs = typeof cpa.specializations === 'string' ? JSON.parse(cpa.specializations) : (cpa.specializations || []);
-      if (clientProfile.service_type && specs.some(s => (s || '').toLowerCase().includes(clientProfile.service_type.toLowerCase()))) specScore = 95;
-      else if (specs.length > 3) specScore = 70;
-
-      // Factor 2: Client Size Fit (20%)
-      let sizeScore = 50;
-      const firmSize = (cpa.firm_size || '').toLowerCase();
-      const clientSize = (clientProfile.business_size || '').toLowerCase();
-      if (!clientSize) sizeScore = 70; // no preference
-      else if (clientSize === 'large' && ['large', 'big 4', 'national'].some(s => firmSize.includes(s))) sizeScore = 95;
-      else if (clientSize === 'large' && firmSize.includes('medium')) sizeScore = 70;
-      else if (clientSize === 'medium' && ['medium', 'large', 'regional'].some(s => firmSize.includes(s))) sizeScore = 90;
-      else if (clientSize === 'medium' && ['small', 'solo'].some(s => firmSize.includes(s))) sizeScore = 60;
-      else if (clientSize === 'small' && ['small', 'solo', 'boutique'].some(s => firmSize.includes(s))) sizeScore = 90;
-      else if (clientSize === 'small' && firmSize.includes('medium')) sizeScore = 75;
-      else if (clientSize === 'solo' && ['solo', 'small', 'boutique'].some(s => firmSize.includes(s))) sizeScore = 95;
-      else if (clientSize === 'solo') sizeScore = 60;
-      else sizeScore = 65;
-
-      // Factor 3: Fee Alignment (15%)
-      let feeScore = 60;
-      const feePreference = (clientProfile.fee_preference || '').toLowerCase();
-      if (feePreference === 'no-preference' || !feePreference) feeScore = 80;
-      else {
-        const hourlyRate = parseFloat(cpa.hourly_rate_min) || 0;
-        if (feePreference === 'budget') {
-          feeScore = hourlyRate === 0 ? 75 : (hourlyRate < 150 ? 90 : (hourlyRate < 250 ? 60 : 30));
-        } else if (feePreference === 'moderate') {
-          feeScore = hourlyRate === 0 ? 70 : (hourlyRate >= 150 && hourlyRate <= 350 ? 90 : (hourlyRate < 150 ? 75 : 50));
-        } else if (feePreference === 'premium') {
-          feeScore = hourlyRate >= 300 ? 90 : (hourlyRate >= 200 ? 70 : 50);
-        } else {
-          feeScore = 60;
-        }
-      }
-
-      // Factor 4: Regulatory Verification (pass/fail gate)
-      // registry_checked scores 70: paid profiles were stamped 'verified' (100) by the
-      // payment webhook before ruling B8; the weight is 0.00 so only the <50 gate below
-      // matters, and 70 keeps the gate open exactly as 100 did. Eligibility unchanged.
-      let regScore = cpa.verification_status === 'verified' ? 100
-        : cpa.verification_status === 'registry_checked' ? 70
-        : (cpa.designation ? 70 : 30);
-
-      // Factor 5: Geographic Proximity (20%)
-      let geoScore = 50;
-      if (clientProfile.province && cpa.province && clientProfile.province.toLowerCase() === cpa.province.toLowerCase()) geoScore = 95;
-      else if (['ON','QC'].includes((clientProfile.province || '').toUpperCase()) && ['ON','QC'].includes((cpa.province || '').toUpperCase())) geoScore = 70;
-      else geoScore = 40;
-      if ((clientProfile.meeting_preference || '').toLowerCase() === 'virtual') geoScore = Math.max(geoScore, 80);
-
-      // Factor 6: Availability & Capacity (20%)
-      let availScore = 70;
-      if (cpa.subscription_tier === 'enterprise') availScore = 95;
-      else if (cpa.subscription_tier === 'professional') availScore = 80;
-      else availScore = 60;
-
-      const overall = (specScore * 0.25) + (sizeScore * 0.20) + (feeScore * 0.15) + (regScore * 0.00) + (geoScore * 0.20) + (availScore * 0.20);
-      // Regulatory is a gate: if < 50, cap overall at 40
-      const finalScore = regScore < 50 ? Math.min(overall, 40) : overall;
-
-      return {
-        cpa, overall_score: Math.round(finalScore * 100) / 100,
-        specialization_score: specScore, client_size_score: sizeScore,
-        fee_score: feeScore, regulatory_score: regScore,
-        geographic_score: geoScore, availability_score: availScore
-      };
-    }
-    const scored = cpas.rows.map(scoreCpaRow);
-
-    scored.sort((a, b) => b.overall_score - a.overall_score);
-    const topMatches = scored.slice(0, 5);
-
-    // SEV3-B: house fallback — append the canonical Arthur CPA ONLY when real matches < 3 (mirrors
-    // the friction pipeline at server.js ~2565). Appended after ranking + before the store loop so it
-    // persists to `matches`, and scored identically via scoreCpaRow so it never competes for a slot.
-    if (topMatches.length < 3) {
-      const fb = await pool.query("SELECT * FROM cpa_profiles WHERE COALESCE(fallback_priority, false) = true AND is_active = true LIMIT 1");
-      if (fb.rows.length) {
-        topMatches.push(scoreCpaRow(fb.rows[0]));
-        console.log(`[CPAMatch] house fallback appended (real matches=${topMatches.length - 1})`);
-      }
-    }
-
-    // Store matches in DB
-    for (const match of topMatches) {
-      await pool.query(
-        `INSERT INTO matches (cpa_profile_id, client_profile_id, overall_score, specialization_score, client_size_score, fee_score, regulatory_score, geographic_score, availability_score, algorithm_version, status, expires_at)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,'v1.0','pending', NOW() + INTERVAL '7 days')`,
-        [match.cpa.id, clientProfile.id, match.overall_score, match.specialization_score, match.client_size_score, match.fee_score, match.regulatory_score, match.geographic_score, match.availability_score]
-      );
-    }
-
-    return topMatches;
+    return await matching.runMatch(clientProfile);
   } catch (error) {
     console.error('CPA matching algorithm error:', error);
     return [];
@@ -1912,10 +2161,19 @@ app.post('/api/match-cpas', async (req, res) => {
 
     // Run 6-factor matching algorithm
     const matches = await runCPAMatchingAlgorithm(clientResult.rows[0]);
+    // The version that served this request (modules/matching/versions.js),
+    // reported even when nothing matched. Same deterministic pick and cache
+    // as runMatch; falls back to the built-in v1.0.
+    const { served } = await matching.versions.resolveForRequest(pool, clientResult.rows[0].id);
 
     // Update matched count on client profile
     pool.query(`UPDATE client_profiles SET total_matches = $1 WHERE id = $2`, [matches.length, clientResult.rows[0].id]).catch(() => {}); // non-critical, fire-and-forget
 
+    const portalUrl = await clientPortal.issueLink('match_cpas', clientResult.rows[0].id).catch(err => {
+      console.error('[client-portal] match-cpas link error:', err.message);
+      return null;
+    });
+
     // Format response (preserve existing response shape for frontend compat)
     const scoredMatches = matches.map(m => ({
       id: m.cpa.id,
@@ -1935,7 +2193,9 @@ app.post('/api/match-cpas', async (req, res) => {
       },
       recommendationReason: `${m.cpa.years_experience || 0}+ years experience` +
         (m.cpa.firm_name ? ` at ${m.cpa.firm_name}` : '') +
-        (m.cpa.city ? ` in ${m.cpa.city}` : '')
+        (m.cpa.city ? ` in ${m.cpa.city}` : ''),
+      // Structured rationale (modules/matching/explain.js); also stored on the matches row.
+      explanation: m.explanation || null
     }));
 
     res.json({
@@ -1943,9 +2203,17 @@ app.post('/api/match-cpas', async (req, res) => {
       matches: scoredMatches,
       totalMatches: scoredMatches.length,
       searchCriteria: { province: searchProvince, city: searchCity, specialization: searchSpec },
-      algorithmVersion: 'v1.0'
+      algorithmVersion: served.version,
+      portalUrl
     });
 
+    // Offer the lead to the top matches (modules/leads). After the response: a
+    // routing failure is logged and never costs the SME their results.
+    if (email || phone) {
+      leadRouting.routeClientProfile(clientResult.rows[0], matches)
+        .catch(err => console.error('[leads] match-cpas routing error:', err.message));
+    }
+
     // ── Admin notification: ALWAYS fire on every submission ──
     // CLAUDE.md rule: every "received/submitted" form must notify admin within 60s.
     // No gating on match count or contact fields — admin sees everything.
@@ -1987,7 +2255,8 @@ app.post('/api/match-cpas', async (req, res) => {
 
     // Notify matched CPAs about new client interest (only if there's contact info to share).
     // SENDING gated behind FRICTION_NOTIFY_ENABLED (default OFF) — this leg was previously live+un-gated.
-    const MC_NOTIFY_ENABLED = process.env.FRICTION_NOTIFY_ENABLED === 'true';
+    // Once LEAD_NOTIFY_ENABLED is on, lead routing sends the offer email and this leg stays quiet.
+    const MC_NOTIFY_ENABLED = process.env.FRICTION_NOTIFY_ENABLED === 'true' && !leadRouting.config.NOTIFY_ENABLED;
     if (scoredMatches.length > 0 && (email || name)) {
       for (const match of scoredMatches) {
         const cpaEmail = await pool.query('SELECT email FROM cpa_profiles WHERE id = $1', [match.id]);
@@ -2076,7 +2345,12 @@ app.post('/api/friction/sme-match-request', async (req, res) => {
     const cpaMatches = await generateFrictionBasedMatches(frictionRequest, frictionScore);
     
     // Store matches for later retrieval
-    await storeFrictionMatches(requestId, cpaMatches);
+    const storedMatches = await storeFrictionMatches(requestId, cpaMatches);
+
+    const portalUrl = await clientPortal.issueLink('friction', requestId).catch(err => {
+      console.error('[client-portal] friction link error:', err.message);
+      return null;
+    });
 
     // Send immediate response
     res.json({
@@ -2091,19 +2365,28 @@ app.post('/api/friction/sme-match-request', async (req, res) => {
         expectedResults: `${cpaMatches.length} highly compatible CPAs identified`
       },
       redirectUrl: `/match-results/${requestId}`,
+      portalUrl,
       timestamp: new Date().toISOString()
     });
 
     // Send notification email (async)
     setTimeout(() => {
-      sendFrictionMatchNotification(requestId, frictionRequest, cpaMatches);
+      sendFrictionMatchNotification(requestId, frictionRequest, cpaMatches, portalUrl, { pool });
     }, 1000);
 
+    // Offer the lead to the top matches (modules/leads), after the response.
+    const frictionContact = frictionRequest.contactInfo || {};
+    if (frictionContact.email || frictionContact.phone) {
+      leadRouting.routeFrictionRequest(requestId, frictionRequest, storedMatches)
+        .catch(err => console.error('[leads] friction routing error:', err.message));
+    }
+
     // Notify matched CPAs about the client inquiry.
     // SENDING gated behind FRICTION_NOTIFY_ENABLED (default OFF). The lookup below is currently
     // id-broken (scraped_cpas.id vs cpa_id) and never resolves; the gate lands FIRST (this commit),
     // the id fix is a separate commit, so fixing the lookup can never silently start live sends.
-    const NOTIFY_ENABLED = process.env.FRICTION_NOTIFY_ENABLED === 'true';
+    // Once LEAD_NOTIFY_ENABLED is on, lead routing sends the offer email and this leg stays quiet.
+    const NOTIFY_ENABLED = process.env.FRICTION_NOTIFY_ENABLED === 'true' && !leadRouting.config.NOTIFY_ENABLED;
     for (const match of cpaMatches) {
       try {
         const cpaRow = await pool.query(
@@ -2539,114 +2822,24 @@ function calculateCPAFrictionScore(request) {
 
 async function generateFrictionBasedMatches(request, frictionScore) {
   try {
-    // Query real CPAs. Exclude Arthur-linked, @testcpa seed, and the fallback profile
-    // from the SCORED pool entirely; the house fallback enters only via the <3 append below.
+    // Scorer and pool filter live in modules/matching/friction.js (friction-v1),
+    // shared with the offline replay harness.
     const result = await pool.query(
-      `SELECT * FROM cpa_profiles WHERE is_active = true
-         AND COALESCE(fallback_priority, false) = false
-         AND email NOT ILIKE '%@testcpa.com'
-         AND email NOT ILIKE 'arthur@%' AND email NOT ILIKE 'arthur+%' AND email NOT ILIKE '%negotiateandwin%'
-         AND email NOT ILIKE '%akrosfinancial%'
-         AND email NOT ILIKE '%@test.%' AND email NOT ILIKE '%@example.%'`
+      `SELECT * FROM cpa_profiles WHERE ${matching.friction.CANDIDATE_FILTER_SQL}`
     );
 
     if (result.rows.length === 0) {
       return [];
     }
 
-    // Map pain points to relevant specializations
-    const painPointSpecializations = {
-      'time-drain': ['bookkeeping', 'payroll', 'small business', 'accounting'],
-      'tax-stress': ['tax-planning', 'tax', 'compliance', 'tax planning'],
-      'financial-chaos': ['cfo-services', 'financial-planning', 'financial', 'consulting', 'advisory'],
-      'cpa-search': null // matches all specializations
-    };
-
-    const relevantSpecs = painPointSpecializations[request.painPoint] || null;
-
-    // Score each CPA (reusable so the house fallback is scored identically).
-    const scoreCPA = (cpa) => {
-      let score = 0;
-
-      // Specialization match (0-40 pts)
-      if (relevantSpecs) {
-        const cpaSpecs = Array.isArray(cpa.specializations)
-          ? cpa.specializations
-          : (typeof cpa.specializations === 'string' ? JSON.parse(cpa.specializations || '[]') : []);
-        const specMatch = cpaSpecs.some(spec =>
-          relevantSpecs.some(rs => spec.toLowerCase().includes(rs))
-        );
-        score += specMatch ? 40 : 10;
-      } else {
-        // cpa-search matches everyone
-        score += 30;
-      }
-
-      // Province proximity (0-20 pts)
-      const smeLocation = (request.contactInfo?.province || request.contactInfo?.location || '').toLowerCase();
-      const cpaProvince = (cpa.province || '').toLowerCase();
-      if (smeLocation && cpaProvince && smeLocation.includes(cpaProvince)) {
-        score += 20;
-      } else if (cpaProvince) {
-        score += 5;
-      }
-
-      // Experience level (0-15 pts)
-      const years = cpa.years_experience || 0;
-      if (years >= 15) score += 15;
-      else if (years >= 10) score += 12;
-      else if (years >= 5) score += 8;
-      else score += 4;
-
-      // Firm size fit (0-15 pts)
-      const bizSize = (request.businessSize || '').toLowerCase();
-      const firmSize = (cpa.firm_size || '').toLowerCase();
-      const sizeCompatibility = {
-        'startup': ['solo', 'small'],
-        'small': ['solo', 'small', 'medium'],
-        'medium': ['small', 'medium', 'large'],
-        'large': ['medium', 'large']
-      };
-      if (sizeCompatibility[bizSize] && sizeCompatibility[bizSize].some(s => firmSize.includes(s))) {
-        score += 15;
-      } else {
-        score += 5;
-      }
-
-      // Verification bonus (0-10 pts)
-      if (cpa.verification_status === 'verified') {
-        score += 10;
-      }
-
-      const matchScore = Math.min(100, score);
-      const cpaSpecs = Array.isArray(cpa.specializations)
-        ? cpa.specializations
-        : (typeof cpa.specializations === 'string' ? JSON.parse(cpa.specializations || '[]') : []);
-
-      return {
-        id: String(cpa.id), // cpa_profiles.id — registry the matcher queries; notify resolves from cpa_profiles, not scraped_cpas
-        name: `${cpa.first_name || ''} ${cpa.last_name || ''}`.trim() || cpa.firm_name || 'CPA',
-        specializations: cpaSpecs,
-        experience: cpa.years_experience || 0,
-        frictionExpertise: request.painPoint || 'general',
-        successRate: cpa.verification_status === 'verified' ? 90 : 75,
-        avgTimeSavings: `${Math.max(10, (cpa.years_experience || 5) * 2)} hours/month`,
-        avgCostSavings: `$${Math.max(2000, (cpa.years_experience || 5) * 400).toLocaleString()}/year`,
-        location: `${cpa.city || ''}, ${cpa.province || ''}`.replace(/^, |, $/g, '') || 'Canada',
-        availability: 'within_24h',
-        matchScore: matchScore
-      };
-    };
-    const scoredCPAs = result.rows.map(scoreCPA);
-
     // Sort by score descending, take top 3 real third-party matches.
-    const topMatches = scoredCPAs.sort((a, b) => b.matchScore - a.matchScore).slice(0, 3);
+    const topMatches = matching.friction.rankFrictionCandidates(request, result.rows);
     // House fallback: append the canonical Arthur CPA ONLY when third-party matches < 3.
     // Appended after ranking, so it never competes for a ranked slot.
     if (topMatches.length < 3) {
       const fb = await pool.query("SELECT * FROM cpa_profiles WHERE COALESCE(fallback_priority, false) = true AND is_active = true LIMIT 1");
       if (fb.rows.length) {
-        topMatches.push(scoreCPA(fb.rows[0]));
+        topMatches.push(matching.friction.scoreFrictionCandidate(request, fb.rows[0]));
         console.log(`[FrictionMatch] house fallback appended (third-party matches=${topMatches.length - 1})`);
       }
     }
@@ -2693,7 +2886,10 @@ async function generateCPAClientMatches(request, frictionScore) {
   }
 }
 
+// Returns the rows that stored, in rank order ({ cpa_id, match_id, match_score }),
+// for lead routing to offer from.
 async function storeFrictionMatches(requestId, matches) {
+  const stored = [];
   for (const match of matches) {
     try {
       // Column was `designation` (does not exist) -> retargeted to the real
@@ -2703,10 +2899,11 @@ async function storeFrictionMatches(requestId, matches) {
           request_id, cpa_id, cpa_name, specializations, match_score,
           friction_expertise, success_rate, avg_time_savings, avg_cost_savings,
           location, availability, status, created_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'pending', NOW());
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'pending', NOW())
+        RETURNING match_id;
       `;
 
-      await pool.query(insertQuery, [
+      const inserted = await pool.query(insertQuery, [
         requestId,
         match.id,
         match.name,
@@ -2719,12 +2916,14 @@ async function storeFrictionMatches(requestId, matches) {
         match.location,
         match.availability
       ]);
+      stored.push({ cpa_id: match.id, match_id: inserted.rows[0].match_id, match_score: match.matchScore });
       console.log(`[FrictionMatch] stored: request=${requestId} cpa=${match.id} (${match.name}) score=${match.matchScore}`);
     } catch (error) {
       // Per-match isolation + loud failure (was a loop-level swallow that aborted all matches).
       console.error(`[FrictionMatch] INSERT FAILED request=${requestId} cpa=${match.id}:`, error.message, error.detail || '');
     }
   }
+  return stored;
 }
 
 async function enhanceMatchesWithRealtimeData(matches) {
@@ -2787,7 +2986,23 @@ app.get('/api/cpa/my-matches', authenticateToken, requireCPA, async (req, res) =
       ORDER BY fm.created_at DESC
     `, [cpaId]);
 
-    res.json({ success: true, matches: matchesResult.rows });
+    // Direct /api/match-cpas matches, with the stored explanation of why each
+    // lead reached this CPA. Request fields only; contact details stay admin-side.
+    const directResult = await pool.query(`
+      SELECT m.id, m.overall_score, m.algorithm_version, m.status, m.created_at,
+             m.match_factors->'explanation' AS explanation,
+             c.service_type, c.business_size, c.province, c.city, c.timeline
+      FROM matches m
+      LEFT JOIN client_profiles c ON c.id = m.client_profile_id
+      WHERE m.cpa_profile_id = $1
+      ORDER BY m.created_at DESC
+      LIMIT 100
+    `, [cpaProfile.id]).catch(err => {
+      console.error('CPA my-matches direct matches error:', err.message);
+      return { rows: [] };
+    });
+
+    res.json({ success: true, matches: matchesResult.rows, directMatches: directResult.rows });
   } catch (error) {
     console.error('CPA my-matches error:', error);
     res.status(500).json({ error: 'Failed to fetch matches', details: error.message });
@@ -2806,7 +3021,11 @@ app.get('/api/cpa/my-profile', authenticateToken, requireCPA, async (req, res) =
       return res.status(404).json({ error: 'CPA profile not found' });
     }
 
-    res.json({ success: true, profile: result.rows[0] });
+    const { availability, blackouts } = await booking.getAvailability(result.rows[0].id).catch(err => {
+      console.error('[booking] availability read failed:', err.message);
+      return { availability: null, blackouts: [] };
+    });
+    res.json({ success: true, profile: result.rows[0], availability, blackouts });
   } catch (error) {
     console.error('CPA my-profile error:', error);
     res.status(500).json({ error: 'Failed to fetch profile', details: error.message });
@@ -2818,6 +3037,24 @@ app.put('/api/cpa/my-profile', authenticateToken, requireCPA, async (req, res) =
   try {
     const { specializations, hourlyRate, firmName, province, city, phone } = req.body;
 
+    // Availability and blackouts (modules/booking) are validated before anything
+    // is written, so a bad calendar never half-applies a profile update.
+    let calendar = null;
+    if (req.body.availability !== undefined || req.body.blackouts !== undefined) {
+      const existing = await pool.query(
+        'SELECT id, province FROM cpa_profiles WHERE user_id = $1 OR email = $2 LIMIT 1',
+        [req.user.userId, req.user.email]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'CPA profile not found' });
+      }
+      const checked = booking.validateProfileInput(req.body, { province: province || existing.rows[0].province });
+      if (!checked.ok) {
+        return res.status(400).json({ error: checked.message });
+      }
+      calendar = checked.value;
+    }
+
     const result = await pool.query(`
       UPDATE cpa_profiles SET
         specializations = COALESCE($1, designation),
@@ -2844,7 +3081,14 @@ app.put('/api/cpa/my-profile', authenticateToken, requireCPA, async (req, res) =
       return res.status(404).json({ error: 'CPA profile not found' });
     }
 
-    res.json({ success: true, profile: result.rows[0] });
+    if (calendar) {
+      await booking.saveAvailability(result.rows[0].id, calendar);
+    }
+    const { availability, blackouts } = await booking.getAvailability(result.rows[0].id).catch(err => {
+      console.error('[booking] availability read failed:', err.message);
+      return { availability: null, blackouts: [] };
+    });
+    res.json({ success: true, profile: result.rows[0], availability, blackouts });
   } catch (error) {
     console.error('CPA update profile error:', error);
     res.status(500).json({ error: 'Failed to update profile', details: error.message });
@@ -3851,45 +4095,60 @@ function verifyResendSignature(req, signingSecret) {
   return false;
 }
 
+// One normalized delivery event (modules/mail-transport/events.js) from any
+// provider's webhook: outreach_emails status via OutreachEngine, then the CRM
+// pipeline transition on opens and clicks.
+async function recordDeliveryEvent(event) {
+  await outreachEngine.handleDeliveryEvent(event);
+
+  if (event.type === 'opened' || event.type === 'clicked') {
+    try {
+      const recipientRow = await pool.query(
+        `SELECT recipient_email FROM outreach_emails WHERE resend_email_id = $1 AND COALESCE(email_provider, 'resend') = $2 LIMIT 1`,
+        [event.messageId, event.provider]
+      );
+      const recipientEmail = recipientRow.rows[0]?.recipient_email;
+      if (recipientEmail) {
+        const prof = await pool.query(
+          `SELECT id, crm_status FROM scraped_cpas WHERE enriched_email = $1 OR email = $1 LIMIT 1`,
+          [recipientEmail]
+        );
+        if (prof.rows.length > 0 && ['contacted', 'validated', 'enriched'].includes(prof.rows[0].crm_status)) {
+          await crm.transition(prof.rows[0].id, 'engaged', {
+            triggeredBy: `${event.provider}_webhook`,
+            metadata: { event: `email.${event.type}`, email_id: event.messageId, provider: event.provider }
+          });
+          console.log(`[CRM] ${event.provider} ${event.type} → engaged transition for cpa ${prof.rows[0].id} (${recipientEmail})`);
+        }
+      }
+    } catch (crmErr) {
+      console.error('[CRM] Webhook transition error:', crmErr.message);
+    }
+  }
+}
+
 // Resend webhook handler. Uses express.raw so signature verification can run on the
 // untouched body bytes; we JSON.parse manually after verification passes.
+// The event is stored under its svix-id first (modules/mail-events): a
+// redelivery Resend already saw projected is answered without applying it
+// again; one still being applied gets a 409 so Resend retries later.
 app.post('/api/webhooks/resend', express.raw({ type: 'application/json' }), async (req, res) => {
   try {
     if (!verifyResendSignature(req, process.env.RESEND_WEBHOOK_SIGNING_SECRET)) {
       return res.status(401).json({ error: 'invalid signature' });
     }
-    const parsed = Buffer.isBuffer(req.body) ? JSON.parse(req.body.toString('utf8')) : req.body;
+    const raw = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : JSON.stringify(req.body);
+    const parsed = Buffer.isBuffer(req.body) ? JSON.parse(raw) : req.body;
     req.body = parsed; // downstream code reads req.body
-    await outreachEngine.handleResendWebhook(req.body);
-
-    // Wire Resend events into CRM pipeline transitions
-    const { type, data } = req.body || {};
-    if (data?.email_id && (type === 'email.opened' || type === 'email.clicked')) {
-      try {
-        const recipientRow = await pool.query(
-          `SELECT recipient_email FROM outreach_emails WHERE resend_email_id = $1 LIMIT 1`,
-          [data.email_id]
-        );
-        const recipientEmail = recipientRow.rows[0]?.recipient_email;
-        if (recipientEmail) {
-          const prof = await pool.query(
-            `SELECT id, crm_status FROM scraped_cpas WHERE enriched_email = $1 OR email = $1 LIMIT 1`,
-            [recipientEmail]
-          );
-          if (prof.rows.length > 0 && ['contacted', 'validated', 'enriched'].includes(prof.rows[0].crm_status)) {
-            await crm.transition(prof.rows[0].id, 'engaged', {
-              triggeredBy: 'resend_webhook',
-              metadata: { event: type, email_id: data.email_id }
-            });
-            console.log(`[CRM] ${type} → engaged transition for cpa ${prof.rows[0].id} (${recipientEmail})`);
-          }
-        }
-      } catch (crmErr) {
-        console.error('[CRM] Webhook transition error:', crmErr.message);
-      }
-    }
+    const result = await mailEvents.ingest({
+      provider: 'resend',
+      eventId: mailEvents.resendEventId(req.headers, raw),
+      payload: req.body,
+      event: mailTransport.events.fromResend(req.body),
+    });
+    if (!result.ok) return res.status(result.code || 500).json({ error: result.message });
 
-    res.json({ received: true });
+    res.json({ received: true, duplicate: Boolean(result.duplicate) });
   } catch (error) {
     console.error('Resend webhook error:', error);
     res.status(500).json({ error: 'Webhook processing failed' });
@@ -3899,6 +4158,8 @@ app.post('/api/webhooks/resend', express.raw({ type: 'application/json' }), asyn
 // Inbound mail ingestion endpoint (Section 4.0 of campaign brief v1.7).
 // Receives parsed mail from the ACC IMAP polling cron via HMAC-signed POST.
 // Writes one row to inbound_messages; classifier (Section 4.10) processes asynchronously.
+// Auto-replies are flagged on the way in (is_auto_reply) so the v2 runner does
+// not stop on them before the classifier has run.
 //
 // HMAC contract (shared by /api/inbound POST and /api/inbound-summary GET):
 //   canonical = `${timestamp}.${payload}`
@@ -3906,6 +4167,9 @@ app.post('/api/webhooks/resend', express.raw({ type: 'application/json' }), asyn
 //   - For GET, payload = `${method} ${path}?${query}` (e.g., `GET /api/inbound-summary?since=2026-05-07T00:00:00Z`)
 //   signature = hex(HMAC-SHA256(secret, canonical))
 //   Headers: X-Inbound-Signature: <hex>, X-Inbound-Timestamp: <unix-seconds>
+const autoReply = require('./services/auto-reply');
+const inboundThreading = require('./services/inbound-threading');
+
 function _verifyInboundSignature(secret, ts, sig, canonicalPayload) {
   if (!secret) return { ok: false, reason: 'INBOUND_WEBHOOK_SECRET not configured' };
   if (!sig || !ts) return { ok: false, reason: 'missing signature headers' };
@@ -3945,22 +4209,51 @@ app.post('/api/inbound', express.raw({ type: 'application/json', limit: '10mb' }
       console.error('[Inbound] JSON parse error:', e.message);
       return res.status(400).json({ error: 'malformed JSON' });
     }
-    const { from_email, to_email, subject, body_text, body_html, message_id, received_at } = payload;
+    const { from_email, to_email, subject, body_text, body_html, message_id, received_at, headers, in_reply_to, references } = payload;
     if (!from_email || !to_email || !message_id || !received_at) {
       return res.status(400).json({ error: 'missing required fields (from_email, to_email, message_id, received_at)' });
     }
+    // `headers` (optional): the auto-reply headers the poller forwards.
+    // `in_reply_to` / `references` (optional): for threading.
+    const isAutoReply = Boolean(autoReply.signal({ headers, subject, body: body_text }));
+    const referenceIds = inboundThreading.parseMessageIds(null, references).reverse(); // header order
     const result = await pool.query(
       `INSERT INTO inbound_messages
-         (platform, from_email, to_email, subject, body_text, body_html, message_id, received_at)
-       VALUES ('acc', $1, $2, $3, $4, $5, $6, $7)
+         (platform, from_email, to_email, subject, body_text, body_html, message_id, received_at, is_auto_reply, in_reply_to, reference_ids)
+       VALUES ('acc', $1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        ON CONFLICT (message_id) DO NOTHING
        RETURNING id`,
-      [from_email, to_email, subject || null, body_text || '', body_html || null, message_id, received_at]
+      [from_email, to_email, subject || null, body_text || '', body_html || null, message_id, received_at, isAutoReply,
+        in_reply_to || null, referenceIds.length ? referenceIds : null]
     );
     if (result.rowCount === 0) {
       return res.json({ received: true, duplicate: true });
     }
-    res.json({ received: true, id: result.rows[0].id });
+    // Replies to a match-conversation notification are threaded into the
+    // conversation here and marked classified; everything else stays pending
+    // for the inbound classifier.
+    let threaded = false;
+    try {
+      const t = await messaging.ingestInbound({
+        id: result.rows[0].id, from_email, subject, body_text: body_text || '',
+      });
+      threaded = t.threaded;
+    } catch (threadErr) {
+      console.error('[Inbound] conversation threading error:', threadErr.message);
+    }
+    // Everything else is linked to the outreach send it answers.
+    let answers = null;
+    if (!threaded) {
+      try {
+        const link = await inboundThreading.threadInbound(pool, {
+          id: result.rows[0].id, from_email, subject, received_at, in_reply_to, reference_ids: referenceIds,
+        });
+        answers = link && link.outreach_email_id;
+      } catch (linkErr) {
+        console.error('[Inbound] outreach threading error:', linkErr.message);
+      }
+    }
+    res.json({ received: true, id: result.rows[0].id, threaded, answers });
   } catch (error) {
     console.error('[Inbound] processing error:', error);
     res.status(500).json({ error: 'inbound processing failed' });
@@ -3997,6 +4290,8 @@ app.get('/api/inbound-summary', async (req, res) => {
          COUNT(*) FILTER (WHERE classification_decision = 'touch7_in')::int AS touch7_in,
          COUNT(*) FILTER (WHERE classification_decision = 'touch7_out')::int AS touch7_out,
          COUNT(*) FILTER (WHERE classification_decision = 'manual')::int AS manual,
+         COUNT(*) FILTER (WHERE classification_decision = 'intent')::int AS intent,
+         COUNT(*) FILTER (WHERE classification_decision = 'auto_reply')::int AS auto_reply,
          COUNT(*) FILTER (WHERE classification_status = 'manual_review')::int AS manual_review,
          COUNT(*) FILTER (WHERE classification_status = 'suppressed')::int AS suppressed
        FROM inbound_messages
@@ -5301,6 +5596,7 @@ app.get('/api/outreach/health', async (req, res) => {
     const demandContact = await pool.query(`SELECT COUNT(*) FROM contact_submissions`).catch(() => ({ rows: [{ count: 0 }] }));
     const matchedLeads = await pool.query(`SELECT COUNT(*) FROM friction_matches fm WHERE NOT EXISTS (SELECT 1 FROM sme_friction_requests r WHERE r.request_id = fm.request_id AND (r.contact_info->>'email' ILIKE 'arthur@%' OR r.contact_info->>'email' ILIKE 'arthur+%' OR r.contact_info->>'email' ILIKE '%negotiateandwin%' OR r.contact_info->>'email' ILIKE '%akrosfinancial%' OR r.contact_info->>'email' ILIKE '%@test.%' OR r.contact_info->>'email' ILIKE '%@testcpa%' OR r.contact_info->>'email' ILIKE '%@example.%'))`).catch(() => ({ rows: [{ count: 0 }] }));
     const contacts7d = await pool.query(`SELECT COUNT(*) FROM contact_submissions WHERE created_at > NOW() - INTERVAL '7 days'`).catch(() => ({ rows: [{ count: 0 }] }));
+    const throttle = await sendThrottle.health().catch(err => ({ error: err.message }));
     res.json({
       sent_today: parseInt(today.rows[0].count),
       queued: parseInt(queued.rows[0].count),
@@ -5314,6 +5610,7 @@ app.get('/api/outreach/health', async (req, res) => {
       demand_submissions: parseInt(demandClients.rows[0].count) + parseInt(demandContact.rows[0].count),
       matched_leads: parseInt(matchedLeads.rows[0].count),
       contacts_7d: parseInt(contacts7d.rows[0].count),
+      throttle,
       schedule: '9 AM & 2 PM ET daily'
     });
   } catch (err) {
@@ -5719,9 +6016,9 @@ app.post('/api/admin/direct-send', async (req, res) => {
         const unsubUrl = `${process.env.BACKEND_URL || 'https://canadaaccountants-backend-production-1d8f.up.railway.app'}/api/unsubscribe/${emailRow.unsubscribe_token}`;
         let html = template.replace(/\{\{unsubscribe_url\}\}/g, unsubUrl).replace(/\{\{first_name\}\}/g, firstName).replace(/\{\{cpa_name\}\}/g, name);
 
-        const result = await sendEmail({ to: emailRow.recipient_email, subject, html, from: process.env.FROM_EMAIL });
+        const result = await sendEmail({ to: emailRow.recipient_email, subject, html, from: process.env.FROM_EMAIL, messageClass: 'outreach' });
         if (result && result.success) {
-          await pool.query(`UPDATE outreach_emails SET status = 'sent', sent_at = NOW(), resend_email_id = $2, send_day_type = 'weekend', rendered_subject = $3 WHERE id = $1`, [emailRow.id, result.id, subject]);
+          await pool.query(`UPDATE outreach_emails SET status = 'sent', sent_at = NOW(), resend_email_id = $2, email_provider = $4, send_day_type = 'weekend', rendered_subject = $3 WHERE id = $1`, [emailRow.id, result.id, subject, result.provider]);
           sent++;
         } else {
           await pool.query(`UPDATE outreach_emails SET status = 'failed' WHERE id = $1`, [emailRow.id]);
@@ -5772,12 +6069,13 @@ app.post('/api/admin/force-send-one', async (req, res) => {
       to: emailRow.recipient_email,
       subject,
       html,
-      from: process.env.FROM_EMAIL || 'noreply@canadaaccountants.app'
+      from: process.env.FROM_EMAIL || 'noreply@canadaaccountants.app',
+      messageClass: 'outreach'
     });
     steps.push({ send_result: result });
 
     if (result && result.success) {
-      await pool.query(`UPDATE outreach_emails SET status = 'sent', sent_at = NOW(), resend_email_id = $2, send_day_type = 'weekend' WHERE id = $1`, [emailRow.id, result.id]);
+      await pool.query(`UPDATE outreach_emails SET status = 'sent', sent_at = NOW(), resend_email_id = $2, email_provider = $3, send_day_type = 'weekend' WHERE id = $1`, [emailRow.id, result.id, result.provider]);
       steps.push({ status: 'SENT', resend_id: result.id });
     }
 
@@ -5821,10 +6119,18 @@ app.post('/api/admin/test-single-send', async (req, res) => {
   }
 });
 
+// Kept for existing tooling; POST /api/admin/jobs/outreach_queue/release is the
+// general form. Clears this process's flag and the shared running row.
 app.post('/api/admin/reset-queue-lock', async (req, res) => {
-  const was = outreachEngine.processing;
-  outreachEngine.processing = false;
-  res.json({ was_locked: was, now: 'unlocked' });
+  try {
+    const was = outreachEngine.processing;
+    outreachEngine.processing = false;
+    const released = await jobs.release('outreach_queue', `admin:${req.user?.email || 'unknown'}`);
+    res.json({ was_locked: was || !!released, released_run: released ? released.id : null, now: 'unlocked' });
+  } catch (err) {
+    console.error('[Outreach] reset-queue-lock error:', err.message);
+    res.status(500).json({ error: 'reset failed' });
+  }
 });
 
 // On-demand pipeline monitor — permanent endpoint so we never need temp diagnostics
@@ -5832,8 +6138,8 @@ app.post('/api/admin/reset-queue-lock', async (req, res) => {
 // Trigger processQueue immediately (admin use)
 app.post('/api/admin/trigger-queue', async (req, res) => {
   try {
-    outreachEngine.processQueue().catch(err => console.error('[Trigger] processQueue error:', err.message));
-    res.json({ success: true, message: 'processQueue triggered' });
+    const run = await jobs.enqueue('outreach_queue', { requestedBy: `admin:${req.user?.email || 'unknown'}` });
+    res.json({ success: true, message: run ? `processQueue queued (job run ${run.id})` : 'processQueue already queued' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -6654,6 +6960,24 @@ function withCleanSnippet(rows) {
     bio_snippet: generated_bio ? cleanBio(generated_bio).slice(0, 160) : null,
   }));
 }
+
+// Directory listings carry each claimed profile's published review rating as
+// schema.org AggregateRating (null until it has one). A failed rating read
+// leaves the listing as it was.
+async function withRatings(rows) {
+  const ratings = await reviews.aggregatesForScraped(rows.map(r => r.id)).catch(err => {
+    console.error('[Directory] rating lookup failed:', err.message);
+    return new Map();
+  });
+  return rows.map(r => ({
+    ...r,
+    aggregate_rating: reviews.aggregateRatingJsonLd(ratings.get(r.id), {
+      '@type': 'Person',
+      name: dedupeName(r.full_name || `${r.first_name || ''} ${r.last_name || ''}`.trim()),
+      url: `https://canadaaccountants.app/profile?id=${r.id}`,
+    }),
+  }));
+}
 // GeoNames allowlist (21,672 Canadian municipalities by province) — replaces the old 35-city denylist,
 // which only caught known major cities in the wrong province and missed foreign / other-province cities.
 const CA_CITIES = require('./ca-cities.json');
@@ -6757,6 +7081,14 @@ app.get('/api/profiles/:id', async (req, res) => {
       url: `https://canadaaccountants.app/profile?id=${p.id}`
     };
 
+    // Published client reviews (claimed profiles only). Non-fatal.
+    let rating = { summary: { count: 0, average: null }, reviews: [] };
+    try {
+      rating = await reviews.forScrapedProfile(p.id);
+    } catch (revErr) {
+      console.error(`[Profile] Review lookup failed for id=${p.id}:`, revErr.message);
+    }
+
     // Related profiles for internal SEO linking
     let related = [];
     try {
@@ -6792,10 +7124,13 @@ app.get('/api/profiles/:id', async (req, res) => {
         bio: bio,
         claim_status: p.claim_status || 'unclaimed',
         claimed: p.claim_status === 'claimed',
-        founding_member: p.founding_member || false
+        founding_member: p.founding_member || false,
+        rating: rating.summary
       },
+      reviews: rating.reviews,
       seo_score: seoScore,
       structured_data: jsonLd,
+      rating_structured_data: reviews.aggregateRatingJsonLd(rating.summary, { '@type': 'Person', name: fullName, url: jsonLd.url }),
       related
     });
 
@@ -6844,7 +7179,7 @@ app.get('/api/directory/city/:city', async (req, res) => {
     res.json({
       city,
       total: parseInt(countResult.rows[0].count),
-      professionals: withCleanSnippet(professionalsResult.rows)
+      professionals: await withRatings(withCleanSnippet(professionalsResult.rows))
     });
   } catch (err) {
     console.error('Directory city error:', err.message);
@@ -6891,7 +7226,7 @@ app.get('/api/directory/:province', async (req, res) => {
       page,
       total_pages: Math.ceil(total / limit),
       designation_counts: designationCounts.rows,
-      professionals: withCleanSnippet(professionalsResult.rows)
+      professionals: await withRatings(withCleanSnippet(professionalsResult.rows))
     });
   } catch (err) {
     console.error('Directory province error:', err.message);
@@ -6933,7 +7268,7 @@ app.get('/api/directory/:province/:designation', async (req, res) => {
       total,
       page,
       total_pages: Math.ceil(total / limit),
-      professionals: withCleanSnippet(professionalsResult.rows)
+      professionals: await withRatings(withCleanSnippet(professionalsResult.rows))
     });
   } catch (err) {
     console.error('Directory province/designation error:', err.message);
@@ -7419,8 +7754,12 @@ async function runFounderAutoSend() {
 
 // Cron: Monday 9:00 AM America/Toronto — send digest to admin
 // Cron: Monday 9:05 AM America/Toronto — auto-send founder emails to all candidates
-cron.schedule('0 9 * * 1', async () => {
-  try {
+// Single attempt each: a retry would email the admin (and the candidates) twice.
+jobs.register({
+  name: 'founder_digest',
+  description: 'Monday founder-outreach digest to admin',
+  schedule: '0 9 * * 1',
+  run: async () => {
     const { html, total } = await buildFounderDigestHTML();
     await sendEmail({
       to: process.env.ADMIN_EMAIL || 'arthur@negotiateandwin.com',
@@ -7429,13 +7768,16 @@ cron.schedule('0 9 * * 1', async () => {
       from: process.env.FROM_EMAIL || 'noreply@canadaaccountants.app'
     });
     console.log(`[FounderOutreach] Monday digest sent: ${total} candidates`);
-  } catch (err) {
-    console.error('[FounderOutreach] digest cron error:', err.message);
-  }
-}, { timezone: 'America/Toronto' });
+    return { total };
+  },
+});
 
-cron.schedule('5 9 * * 1', async () => {
-  try {
+jobs.register({
+  name: 'founder_auto_send',
+  description: 'Monday founder-outreach auto-send with admin summary',
+  schedule: '5 9 * * 1',
+  timeoutMs: 30 * 60 * 1000,
+  run: async () => {
     const results = await runFounderAutoSend();
     // Send summary to admin
     await sendEmail({
@@ -7445,10 +7787,9 @@ cron.schedule('5 9 * * 1', async () => {
       from: process.env.FROM_EMAIL || 'noreply@canadaaccountants.app'
     });
     console.log(`[FounderOutreach] Monday auto-send complete: ${results.sent} sent`);
-  } catch (err) {
-    console.error('[FounderOutreach] auto-send cron error:', err.message);
-  }
-}, { timezone: 'America/Toronto' });
+    return { sent: results.sent, skipped: results.skipped, failed: results.failed };
+  },
+});
 
 console.log('[FounderOutreach] Monday 9:00 AM digest + 9:05 AM auto-send scheduled');
 
@@ -7516,6 +7857,7 @@ const referralRail = createReferralModule({
   pool,
   sendEmail,
   stripe,
+  jobs,                                   // referral_outbox, referral_sweep, referral_credits_apply (dark until REFERRAL_CREDITS_APPLY_ENABLED)
   auth: { authenticateToken, requireCPA },
   matcher: { runMatch: runCPAMatchingAlgorithm },
   // Adapter over the existing ZB validator (30-day cache + circuit breaker).
@@ -7555,7 +7897,6 @@ app.get('/api/admin/status', async (req, res) => {
 (async () => {
   try {
     await referralRail.ensureSchema();     // new network_* tables only; cpa_profiles ALTER is gated
-    referralRail.startWorkers();           // outbox flush (60s) + sweeper cron (15m)
   } catch (err) {
     console.error('[referrals] boot failed — rail inactive this process:', err.message);
     if (process.env.SENTRY_DSN && typeof Sentry.captureException === 'function') {
@@ -8163,6 +8504,7 @@ app.post('/api/admin/send-visitor-notifications', async (req, res) => {
     // GATED behind CLIENT_SIGNAL_ENABLED (default OFF), the same own-flag as the Client Signal cron
     // (both are profile-interest professional-notify, distinct from friction match-notify).
     if (process.env.CLIENT_SIGNAL_ENABLED !== 'true') {
+      await sendAudit.record({ message_class: 'client_signal', gate: 'kill_switch', outcome: 'dry_run', reason: 'CLIENT_SIGNAL_ENABLED off (visitor notifications)' });
       return res.json({ success: true, skipped: true, reason: 'CLIENT_SIGNAL_ENABLED off — professional notify suppressed', notified: 0 });
     }
     const delay = ms => new Promise(r => setTimeout(r, ms));
@@ -8190,6 +8532,12 @@ app.post('/api/admin/send-visitor-notifications', async (req, res) => {
         const { rows: unsub } = await pool.query('SELECT 1 FROM outreach_unsubscribes WHERE email = $1', [cpa.email]);
         if (unsub.length > 0) continue;
 
+        const consentBlock = await consentRegistry.blocked(cpa.email, 'client_signal');
+        if (consentBlock) {
+          await sendAudit.record({ email: cpa.email, message_class: 'client_signal', ref_type: 'profile', ref_id: cpa.id, ...consentBlock });
+          continue;
+        }
+
         const viewText = parseInt(v.visit_count) === 1 ? 'Someone viewed' : `${v.visit_count} people viewed`;
         let subject, html;
 
@@ -8532,6 +8880,7 @@ async function processClientSignal(event) {
   // stays off pending its own review (CASL basis for unclaimed recipients is unestablished).
   if (process.env.CLIENT_SIGNAL_ENABLED !== 'true') {
     console.log(`[ClientSignal][DRY-RUN] search event ${event && event.id} (${event && (event.city || event.province)}) — professional notify suppressed (CLIENT_SIGNAL_ENABLED off)`);
+    await sendAudit.record({ message_class: 'client_signal', gate: 'kill_switch', outcome: 'dry_run', reason: 'CLIENT_SIGNAL_ENABLED off (search-event notifications)' });
     return { triggered: 0, reason: 'CLIENT_SIGNAL_ENABLED off' };
   }
   const city = event.city;
@@ -8568,6 +8917,11 @@ async function processClientSignal(event) {
     `, locationParams);
 
     for (const prof of claimedPros) {
+      const consentBlock = await consentRegistry.blocked(prof.email, 'client_signal');
+      if (consentBlock) {
+        await sendAudit.record({ email: prof.email, message_class: 'client_signal', ref_type: 'search_event', ref_id: event.id, detail: { tier: 'claimed' }, ...consentBlock });
+        continue;
+      }
       let firstName = prof.first_name || '';
       let lastName = prof.last_name || '';
       if (firstName.includes(',') && !lastName) {
@@ -8595,7 +8949,11 @@ async function processClientSignal(event) {
       </div>`;
 
       try {
-        await sendEmail({ to: prof.email, subject, html, from: OUTREACH_FROM });
+        const result = await sendEmail({ to: prof.email, subject, html, from: OUTREACH_FROM });
+        await sendAudit.record({
+          email: prof.email, message_class: 'client_signal', ref_type: 'search_event', ref_id: event.id,
+          detail: { tier: 'claimed' }, ...sendAudit.outcome(result),
+        });
         await pool.query(
           'INSERT INTO match_notifications (professional_id, search_event_id, searcher_city, searcher_specialty, searcher_type, email) VALUES ($1, $2, $3, $4, $5, $6)',
           [prof.id, event.id, city || null, specialty || null, 'business', prof.email]
@@ -8628,6 +8986,11 @@ async function processClientSignal(event) {
   `, locationParams);
 
   for (const prof of professionals) {
+    const consentBlock = await consentRegistry.blocked(prof.email, 'client_signal');
+    if (consentBlock) {
+      await sendAudit.record({ email: prof.email, message_class: 'client_signal', ref_type: 'search_event', ref_id: event.id, detail: { tier: 'unclaimed' }, ...consentBlock });
+      continue;
+    }
     let firstName = prof.first_name || '';
     let lastName = prof.last_name || '';
     if (firstName.includes(',') && !lastName) {
@@ -8655,6 +9018,10 @@ async function processClientSignal(event) {
 
     try {
       const result = await sendEmail({ to: prof.email, subject, html, from: OUTREACH_FROM });
+      await sendAudit.record({
+        email: prof.email, message_class: 'client_signal', ref_type: 'search_event', ref_id: event.id,
+        detail: { tier: 'unclaimed' }, ...sendAudit.outcome(result),
+      });
       await pool.query(
         'INSERT INTO signal_emails (professional_id, search_event_id, email, subject, resend_id) VALUES ($1, $2, $3, $4, $5)',
         [prof.id, event.id, prof.email, subject, result?.id || null]
@@ -8692,7 +9059,13 @@ async function processRecentSignals() {
 }
 
 // Run signal processor every 15 minutes
-setInterval(() => processRecentSignals().catch(e => console.error('[ClientSignal]', e.message)), 15 * 60 * 1000);
+jobs.register({
+  name: 'client_signals',
+  description: 'Process recent search events into client signals',
+  schedule: '*/15 * * * *',
+  timeoutMs: 10 * 60 * 1000,
+  run: () => processRecentSignals(),
+});
 
 app.get('/api/admin/signal-emails', async (req, res) => {
   try {
@@ -9189,31 +9562,44 @@ app.use((err, req, res, next) => {
 });
 
 // Sequence scheduler — every 15 minutes
-setInterval(() => {
-  console.log(`[Sequences] Scheduler tick at ${new Date().toISOString()}`);
-  sequenceEngine.processScheduledSends().catch(err =>
-    console.error('[Sequences] Scheduled send error:', err.message)
-  );
-}, 15 * 60 * 1000);
+jobs.register({
+  name: 'sequence_scheduled_sends',
+  description: 'CRM sequence engine scheduled sends',
+  schedule: '*/15 * * * *',
+  timeoutMs: 14 * 60 * 1000,
+  run: () => {
+    console.log(`[Sequences] Scheduler tick at ${new Date().toISOString()}`);
+    return sequenceEngine.processScheduledSends();
+  },
+});
 
 // Tax Season Campaign auto-launch: April 14, 2026 at 9 AM ET
-cron.schedule('0 9 14 4 *', async () => {
-  try {
+jobs.register({
+  name: 'tax_season_launch',
+  description: 'Launch the scheduled Tax Season CPA Campaign (Apr 14)',
+  schedule: '0 9 14 4 *',
+  run: async () => {
     const { rows } = await pool.query("SELECT id FROM outreach_campaigns WHERE name = 'Tax Season CPA Campaign' AND status = 'scheduled'");
     if (rows.length > 0) {
       await outreachEngine.launchCampaign(rows[0].id);
       console.log('[Campaign] Tax Season CPA Campaign launched!');
+      return { launched: rows[0].id };
     }
-  } catch (e) { console.error('[Campaign] Tax season launch error:', e.message); }
-}, { timezone: 'America/Toronto' });
+    return { launched: null };
+  },
+});
 
 // Tax Season Campaign auto-pause: April 28, 2026 at 6 PM ET
-cron.schedule('0 18 28 4 *', async () => {
-  try {
+jobs.register({
+  name: 'tax_season_end',
+  description: 'Complete the Tax Season CPA Campaign (Apr 28)',
+  schedule: '0 18 28 4 *',
+  maxAttempts: 3,
+  run: async () => {
     await pool.query("UPDATE outreach_campaigns SET status = 'completed' WHERE name = 'Tax Season CPA Campaign'");
     console.log('[Campaign] Tax Season CPA Campaign ended (Apr 28)');
-  } catch (e) { console.error('[Campaign] Tax season end error:', e.message); }
-}, { timezone: 'America/Toronto' });
+  },
+});
 
 // =====================================================
 // PIPELINE MONITOR — Cross-platform health reports
@@ -9433,62 +9819,112 @@ async function runPipelineMonitor(label) {
 // 9:05 AM — post-cron check
 // Pipeline monitor — consistent schedule across all send days (Tue-Fri)
 // Updated 2026-04-10: Friday now includes cold sends, so Friday gets the same monitors.
-const monitorCronFire = (label) => {
-  console.log(`[Monitor] Cron firing: ${label} at ${new Date().toISOString()}`);
-  runPipelineMonitor(label).catch(e => console.error(`[Monitor] ${label} error:`, e.message));
-};
-
-cron.schedule('5 9 * * 1-5', () => monitorCronFire('9:05 AM'), { timezone: 'America/Toronto' });
-cron.schedule('30 9 * * 1-5', () => monitorCronFire('9:30 AM Resend check'), { timezone: 'America/Toronto' });
-cron.schedule('5 10 * * 1-5', () => monitorCronFire('10:05 AM'), { timezone: 'America/Toronto' });
-cron.schedule('5 11 * * 1-5', () => monitorCronFire('11:05 AM'), { timezone: 'America/Toronto' });
-cron.schedule('5 14 * * 1-5', () => monitorCronFire('2:05 PM'), { timezone: 'America/Toronto' });
-cron.schedule('0 15 * * *', () => monitorCronFire('3 PM ET'), { timezone: 'America/Toronto' });
-cron.schedule('0 10 * * 0,6', () => monitorCronFire('10 AM ET (weekend)'), { timezone: 'America/Toronto' });
-cron.schedule('0 13 * * 0,6', () => monitorCronFire('1 PM ET (weekend)'), { timezone: 'America/Toronto' });
-cron.schedule('0 16 * * 0,6', () => monitorCronFire('4 PM ET (weekend)'), { timezone: 'America/Toronto' });
+jobs.register({
+  name: 'pipeline_monitor',
+  description: 'Cross-platform pipeline health report email',
+  schedule: [
+    { cron: '5 9 * * 1-5', args: { label: '9:05 AM' } },
+    { cron: '30 9 * * 1-5', args: { label: '9:30 AM Resend check' } },
+    { cron: '5 10 * * 1-5', args: { label: '10:05 AM' } },
+    { cron: '5 11 * * 1-5', args: { label: '11:05 AM' } },
+    { cron: '5 14 * * 1-5', args: { label: '2:05 PM' } },
+    { cron: '0 15 * * *', args: { label: '3 PM ET' } },
+    { cron: '0 10 * * 0,6', args: { label: '10 AM ET (weekend)' } },
+    { cron: '0 13 * * 0,6', args: { label: '1 PM ET (weekend)' } },
+    { cron: '0 16 * * 0,6', args: { label: '4 PM ET (weekend)' } },
+  ],
+  timeoutMs: 5 * 60 * 1000,
+  run: ({ args }) => {
+    const label = args.label || 'ad-hoc';
+    console.log(`[Monitor] Cron firing: ${label} at ${new Date().toISOString()}`);
+    return runPipelineMonitor(label);
+  },
+});
 
 // Inbound mail polling cron (Section 4.0 of campaign brief v1.7). Polls
 // arthur@negotiateandwin.com via IMAP every 5 minutes, dispatches platform-routed
 // replies to /api/inbound on each backend. ACC hosts this single polling cron;
 // LAW/INV/CBE only expose the /api/inbound receiver.
 const inboundPoller = require('./services/inbound-poller');
-cron.schedule('*/5 * * * *', () => {
-  inboundPoller.pollOnce(pool).catch(e => console.error('[InboundPoller] uncaught:', e.message));
-}, { timezone: 'America/Toronto' });
+jobs.register({
+  name: 'inbound_poller',
+  description: 'IMAP poll of the shared inbox, dispatch to /api/inbound',
+  schedule: '*/5 * * * *',
+  timeoutMs: 4 * 60 * 1000,
+  run: () => inboundPoller.pollOnce(pool),
+});
 
 // Inbound classifier worker (Section 4.1 of campaign brief v1.7). Polls
 // inbound_messages every 2 minutes and routes breakdown triggers to the auto-reply
-// path. Auto-send gated by BREAKDOWN_AUTO_REPLY_ENABLED env var.
+// path. Auto-send gated by BREAKDOWN_AUTO_REPLY_ENABLED env var. Replies no rule
+// matches go to the LLM intent tier when REPLY_INTENT_ENABLED (modules/reply-intent,
+// mounted with the other modules above the 404 handler).
 const inboundClassifier = require('./services/inbound-classifier');
-cron.schedule('*/2 * * * *', () => {
-  inboundClassifier.runOnce(pool).catch(e => console.error('[InboundClassifier] uncaught:', e.message));
-}, { timezone: 'America/Toronto' });
+jobs.register({
+  name: 'inbound_classifier',
+  description: 'Classify inbound_messages and route breakdown triggers',
+  schedule: '*/2 * * * *',
+  timeoutMs: 110 * 1000,
+  run: () => inboundClassifier.runOnce(pool),
+});
 
 // Deliverability gate (Section 4.5 of campaign brief v1.7). Every 30 min.
 // Pauses platform if spam-complaint > 0.3% or hard-bounce > 2.0% over last 24h.
+// Retried: a missed gate check leaves a bad sending day unpaused for 30 minutes.
 const deliverabilityGate = require('./services/deliverability-gate');
-cron.schedule('*/30 * * * *', () => {
-  deliverabilityGate.runOnce(pool).catch(e => console.error('[DeliverabilityGate] uncaught:', e.message));
-}, { timezone: 'America/Toronto' });
+jobs.register({
+  name: 'deliverability_gate',
+  description: 'Pause sending on complaint/bounce thresholds',
+  schedule: '*/30 * * * *',
+  timeoutMs: 5 * 60 * 1000,
+  maxAttempts: 3,
+  backoffMs: 2 * 60 * 1000,
+  run: () => deliverabilityGate.runOnce(pool),
+});
 
 // v2 supply sequence runner (Section 4.4). Every 5 min. Self-gates on
 // V2_RUNNER_LAUNCH_READY=true so safe to wire before flag is flipped.
 const sequenceRunnerV2 = require('./services/sequence-runner-v2');
-cron.schedule('*/5 * * * *', () => {
-  sequenceRunnerV2.runOnce(pool).catch(e => console.error('[SequenceRunnerV2] uncaught:', e.message));
-}, { timezone: 'America/Toronto' });
+jobs.register({
+  name: 'sequence_runner_v2',
+  description: 'v2 supply sequence touches due now',
+  schedule: '*/5 * * * *',
+  timeoutMs: 4 * 60 * 1000,
+  run: () => sequenceRunnerV2.runOnce(pool),
+});
 
 // Twice-daily inbound activity summary (Section 4.0 of campaign brief v1.7).
 // 10:00 ET and 15:00 ET, every day. Aggregates across all four backends and emails
 // arthur@negotiateandwin.com.
 const inboundSummary = require('./services/inbound-summary');
-cron.schedule('0 10 * * *', () => {
-  inboundSummary.sendSummary({ pool, slot: '10am' }).catch(e => console.error('[InboundSummary] uncaught:', e.message));
-}, { timezone: 'America/New_York' });
-cron.schedule('0 15 * * *', () => {
-  inboundSummary.sendSummary({ pool, slot: '3pm' }).catch(e => console.error('[InboundSummary] uncaught:', e.message));
-}, { timezone: 'America/New_York' });
+jobs.register({
+  name: 'inbound_summary',
+  description: 'Twice-daily inbound activity summary email',
+  schedule: [
+    { cron: '0 10 * * *', args: { slot: '10am' } },
+    { cron: '0 15 * * *', args: { slot: '3pm' } },
+  ],
+  timezone: 'America/New_York',
+  timeoutMs: 5 * 60 * 1000,
+  run: ({ args }) => inboundSummary.sendSummary({ pool, slot: args.slot || '10am' }),
+});
+
+// Weekly match-weight learning cycle, Sunday 03:00 ET. Dark until
+// ML_LEARNING_ENABLED=true; a fit only goes live if it beats the active
+// iteration on the holdout (POST /api/admin/ml/rollback undoes it).
+jobs.register({
+  name: 'ml_learning_cycle',
+  description: 'Weekly match-weight learning cycle (ML_LEARNING_ENABLED)',
+  schedule: '0 3 * * 0',
+  timeoutMs: 60 * 60 * 1000,
+  maxAttempts: 2,
+  backoffMs: 30 * 60 * 1000,
+  run: async () => {
+    if (process.env.ML_LEARNING_ENABLED !== 'true') return { skipped: 'ML_LEARNING_ENABLED!=true' };
+    await mlEngine.performLearningCycle();
+    return null;
+  },
+});
 
 // Webhook endpoint health: hourly dual-check probe across all 4 backends.
 // Why: a silent webhook regression (route changed, handler crashed, deploy stripped
@@ -9589,15 +10025,19 @@ async function runWebhookHealthCheck() {
   } catch (e) { console.error('[WebhookHealth] alert send failed:', e.message); }
 }
 
-cron.schedule('15 * * * *', () => {
-  runWebhookHealthCheck().catch(e => console.error('[WebhookHealth] cron error:', e.message));
-}, { timezone: 'America/Toronto' });
+jobs.register({
+  name: 'webhook_health',
+  description: 'Hourly Resend webhook probe across the four backends',
+  schedule: '15 * * * *',
+  timeoutMs: 5 * 60 * 1000,
+  run: () => runWebhookHealthCheck(),
+});
 
 // One-time Monday May 4, 2026 7:00 AM ET reminder cron — fires the v2 identity audit
 // spec to Arthur's inbox so he can paste it into a fresh Claude session. Set up
 // 2026-05-02 evening. Expires after one fire by date-guarding on '2026-05-04'; subsequent
-// Mondays no-op.
-cron.schedule('0 7 * * 1', async () => {
+// Mondays no-op. Runs as the identity_audit_reminder job (registered below).
+async function sendIdentityAuditReminder() {
   const todayET = new Date().toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
   if (todayET !== '2026-05-04') return;
   console.log('[IdentityAuditReminder] firing at', new Date().toISOString());
@@ -9688,233 +10128,39 @@ Begin Task 1 immediately. Begin Task 2 in parallel.`;
     console.log('[IdentityAuditReminder] email sent successfully');
   } catch (e) {
     console.error('[IdentityAuditReminder] send failed:', e.message);
+    throw e;
   }
-}, { timezone: 'America/Toronto' });
-console.log('[IdentityAuditReminder] one-time reminder cron scheduled for Mon May 4 7:00 AM ET');
-
-// Heartbeat: log every hour to confirm process is alive and crons are registered
-setInterval(() => {
-  console.log(`[Heartbeat] ACC alive at ${new Date().toISOString()}, uptime=${process.uptime().toFixed(0)}s`);
-}, 60 * 60 * 1000);
-
-console.log('[Monitor] Pipeline monitor scheduled: 9:05/9:30/10:05/11:05/14:05 Mon-Fri + 15:00 daily + weekend 10/13/16');
-
-// CRM Intelligence — nightly at 3 AM ET (use setInterval every 24h with initial delay)
-setTimeout(() => {
-  crmIntelligence.runNightly().catch(err => console.error('[CRM:Intelligence] Nightly run error:', err.message));
-  setInterval(() => {
-    crmIntelligence.runNightly().catch(err => console.error('[CRM:Intelligence] Nightly run error:', err.message));
-  }, 24 * 60 * 60 * 1000);
-}, (() => { const now = new Date(); const next3am = new Date(); next3am.setHours(3, 0, 0, 0); if (next3am <= now) next3am.setDate(next3am.getDate() + 1); return next3am - now; })());
-
-// =====================================================
-// CRM API Routes
-// =====================================================
-
-app.get('/api/admin/crm/funnel', authenticateToken, requireAdmin, async (req, res) => {
-  try { res.json({ success: true, ...(await crm.getFunnelWithConversions()) }); }
-  catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.get('/api/admin/crm/dashboard', authenticateToken, requireAdmin, async (req, res) => {
-  try { res.json({ success: true, ...(await crm.getDashboardStats()) }); }
-  catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.get('/api/admin/crm/professionals/:id', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const data = await crm.getProfessional(parseInt(req.params.id));
-    if (!data) return res.status(404).json({ success: false, error: 'Not found' });
-    res.json({ success: true, professional: data });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.get('/api/admin/crm/professionals/:id/history', authenticateToken, requireAdmin, async (req, res) => {
-  try { res.json({ success: true, history: await crm.getHistory(parseInt(req.params.id)) }); }
-  catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.post('/api/admin/crm/professionals/:id/transition', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { to_status, metadata } = req.body;
-    if (!to_status) return res.status(400).json({ success: false, error: 'to_status required' });
-    const result = await crm.transition(parseInt(req.params.id), to_status, { triggeredBy: 'admin', metadata: metadata || {} });
-    res.json({ success: true, ...result });
-  } catch (err) { res.status(400).json({ success: false, error: err.message }); }
-});
-
-app.post('/api/admin/crm/professionals/:id/force-transition', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { to_status, metadata } = req.body;
-    if (!to_status) return res.status(400).json({ success: false, error: 'to_status required' });
-    const result = await crm.forceTransition(parseInt(req.params.id), to_status, { triggeredBy: 'admin', metadata: metadata || {} });
-    res.json({ success: true, ...result });
-  } catch (err) { res.status(400).json({ success: false, error: err.message }); }
-});
-
-app.get('/api/admin/crm/segment', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { crm_status, province, designation, has_email, tag, limit, offset } = req.query;
-    const data = await crm.segment({
-      crm_status: crm_status ? crm_status.split(',') : undefined,
-      province, designation,
-      hasEmail: has_email === 'true' ? true : has_email === 'false' ? false : undefined,
-      tag, limit: parseInt(limit) || 100, offset: parseInt(offset) || 0
-    });
-    res.json({ success: true, ...data });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.post('/api/admin/crm/bulk/transition', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { ids, to_status, metadata } = req.body;
-    if (!ids || !Array.isArray(ids) || !to_status) return res.status(400).json({ success: false, error: 'ids (array) and to_status required' });
-    res.json({ success: true, ...(await crm.bulkTransition(ids, to_status, { triggeredBy: 'admin', metadata: metadata || {} })) });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.post('/api/admin/crm/bulk/tag', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { ids, tag } = req.body;
-    if (!ids || !Array.isArray(ids) || !tag) return res.status(400).json({ success: false, error: 'ids (array) and tag required' });
-    res.json({ success: true, ...(await crm.bulkTag(ids, tag)) });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.post('/api/admin/crm/professionals/:id/tags', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { tag } = req.body;
-    if (!tag) return res.status(400).json({ success: false, error: 'tag required' });
-    await crm.addTag(parseInt(req.params.id), tag);
-    res.json({ success: true, tag });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.delete('/api/admin/crm/professionals/:id/tags/:tag', authenticateToken, requireAdmin, async (req, res) => {
-  try { await crm.removeTag(parseInt(req.params.id), req.params.tag); res.json({ success: true }); }
-  catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.post('/api/admin/crm/professionals/:id/notes', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { note } = req.body;
-    if (!note) return res.status(400).json({ success: false, error: 'note required' });
-    res.json({ success: true, note: await crm.addNote(parseInt(req.params.id), note, 'admin') });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.post('/api/admin/crm/backfill', authenticateToken, requireAdmin, async (req, res) => {
-  try { res.json({ success: true, counts: await crm.backfill() }); }
-  catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-// =====================================================
-// Sequence API Routes (Phase 2)
-// =====================================================
-
-app.get('/api/admin/crm/sequences', authenticateToken, requireAdmin, async (req, res) => {
-  try { res.json({ success: true, sequences: await sequenceEngine.getSequences() }); }
-  catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.get('/api/admin/crm/sequences/:id', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const seq = await sequenceEngine.getSequence(parseInt(req.params.id));
-    if (!seq) return res.status(404).json({ success: false, error: 'Not found' });
-    const stats = await sequenceEngine.getSequenceStats(seq.id);
-    res.json({ success: true, sequence: seq, stats });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.post('/api/admin/crm/sequences', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { name, description, trigger_status, steps, active } = req.body;
-    if (!name || !steps) return res.status(400).json({ success: false, error: 'name and steps required' });
-    const seq = await sequenceEngine.createSequence({ name, description, triggerStatus: trigger_status, steps, active });
-    res.json({ success: true, sequence: seq });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.put('/api/admin/crm/sequences/:id', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { name, description, trigger_status, steps, active } = req.body;
-    const seq = await sequenceEngine.updateSequence(parseInt(req.params.id), { name, description, triggerStatus: trigger_status, steps, active });
-    if (!seq) return res.status(404).json({ success: false, error: 'Not found' });
-    res.json({ success: true, sequence: seq });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.post('/api/admin/crm/sequences/:id/enroll', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { professional_id, professional_ids } = req.body;
-    if (professional_ids && Array.isArray(professional_ids)) {
-      const result = await sequenceEngine.bulkEnroll(professional_ids, parseInt(req.params.id));
-      return res.json({ success: true, ...result });
-    }
-    if (!professional_id) return res.status(400).json({ success: false, error: 'professional_id required' });
-    const enrollment = await sequenceEngine.enroll(professional_id, parseInt(req.params.id));
-    res.json({ success: true, enrollment });
-  } catch (err) { res.status(400).json({ success: false, error: err.message }); }
-});
-
-app.post('/api/admin/crm/sequences/:id/unenroll', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { professional_id, reason } = req.body;
-    if (!professional_id) return res.status(400).json({ success: false, error: 'professional_id required' });
-    await sequenceEngine.unenroll(professional_id, parseInt(req.params.id), reason || 'manual');
-    res.json({ success: true });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.get('/api/admin/crm/sequences/:id/enrollments', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { limit, offset } = req.query;
-    const enrollments = await sequenceEngine.getActiveEnrollments({
-      sequenceId: parseInt(req.params.id), limit: parseInt(limit) || 50, offset: parseInt(offset) || 0
-    });
-    res.json({ success: true, enrollments });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.post('/api/admin/crm/sequences/process', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    await sequenceEngine.processScheduledSends();
-    res.json({ success: true, message: 'Sequence processing triggered' });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-// =====================================================
-// Intelligence API Routes (Phase 4)
-// =====================================================
-
-app.post('/api/admin/crm/intelligence/run', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const results = await crmIntelligence.runNightly();
-    res.json({ success: true, ...results });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
-
-app.get('/api/admin/crm/intelligence/engagement', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const distribution = await crmIntelligence.getEngagementDistribution();
-    const top = await crmIntelligence.getTopEngaged(parseInt(req.query.limit) || 25);
-    res.json({ success: true, distribution, topEngaged: top });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+}
+jobs.register({
+  name: 'identity_audit_reminder',
+  description: 'One-time v2 identity audit reminder email (2026-05-04 only)',
+  schedule: '0 7 * * 1',
+  run: () => sendIdentityAuditReminder(),
+});
+
+// Heartbeat: log every hour from the jobs leader to confirm the process is
+// alive and scheduled jobs are firing.
+jobs.register({
+  name: 'heartbeat',
+  description: 'Hourly liveness log line from the jobs leader',
+  schedule: '0 * * * *',
+  run: () => {
+    console.log(`[Heartbeat] ACC alive at ${new Date().toISOString()}, uptime=${process.uptime().toFixed(0)}s`);
+    return { uptime_s: Math.round(process.uptime()) };
+  },
 });
 
-app.get('/api/admin/crm/intelligence/churn', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const atRisk = await crmIntelligence.getChurnRisk(parseInt(req.query.min_risk) || 50);
-    res.json({ success: true, atRisk });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
-});
+console.log('[Monitor] Pipeline monitor scheduled: 9:05/9:30/10:05/11:05/14:05 Mon-Fri + 15:00 daily + weekend 10/13/16');
 
-app.get('/api/admin/crm/intelligence/bounce-report', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const check = await crmIntelligence.checkBounceCluster({ windowHours: parseInt(req.query.hours) || 48 });
-    const domains = await crmIntelligence.getBounceReport(parseInt(req.query.hours) || 48);
-    res.json({ success: true, ...check, domains });
-  } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+// CRM Intelligence — nightly at 3 AM ET
+jobs.register({
+  name: 'crm_intelligence_nightly',
+  description: 'CRM scoring and intelligence nightly run',
+  schedule: '0 3 * * *',
+  timeoutMs: 60 * 60 * 1000,
+  maxAttempts: 3,
+  backoffMs: 15 * 60 * 1000,
+  run: () => crmIntelligence.runNightly(),
 });
 
 // ==================== BULK BIO GENERATION ====================
@@ -0,0 +1,51 @@
+// Address-level send filters shared by the senders and the send-decision
+// explainer (modules/send-audit).
+//
+//   addressSkipReason(email, { demandSide })  -> 'invalid_address' | 'role_based' | null
+//     The outreach queue's safety net: scraped junk, placeholders, system
+//     mailboxes and (for supply-side campaigns only) role-based inboxes.
+//   isSelfTest(email)  -> true for our own and seed addresses, which the
+//     friction ack skips and the webinar invite allows during the moratorium.
+
+const isSelfTest = e => /^arthur@|^arthur\+|negotiateandwin|akrosfinancial|@test\.|@testcpa|@example\./i.test(e || '');
+
+function _isJunk(email) {
+  const local = email.split('@')[0];
+  return !!(
+    email.match(/\.(png|jpg|jpeg|gif|svg|css|js|webp|ico|woff|woff2)$/i) ||
+    email.match(/\d+x\d*\./) ||
+    email.match(/@(mysite|yoursite|yourdomain|domain|example|test|placeholder|sentry|wixpress|mailchimp|domainmarket)\./i) ||
+    email.match(/^(noreply|no-reply|donotreply|do-not-reply|mailer-daemon|postmaster|abuse|fraud|spam|bounce|info@info|support@support)@/i) ||
+    email.match(/^(w4bsupport|accessibility|webmaster|hostmaster|admin@admin)@/i) ||
+    // Template placeholder emails
+    email.match(/@email\.com$/i) ||
+    email.match(/^(your|youre?mail|your\.?address|your\.?email|your\.?name|name|email|someone|sampleemail|test|user|username|example)@/i) ||
+    // Obvious junk: xxx@, single/double char locals, ROT13-like gibberish
+    email.match(/^x{2,}@/i) ||
+    local.length < 3 ||
+    email.match(/^u003e/i) ||
+    // Non-vowel-heavy local parts (ROT13/gibberish detection: >8 chars with <15% vowels)
+    (local.length > 8 && (local.match(/[aeiou]/gi) || []).length / local.length < 0.15) ||
+    email.length > 80 ||
+    email.includes('..') ||
+    !email.match(/^[^@\s]+@[^@\s]+\.[^@\s]+$/)
+  );
+}
+
+function _isRoleBased(email) {
+  return !!(
+    email.match(/^(info|contact|hello|office|admin|support|sales|marketing|hr|careers|jobs|reception|general|enquiries|inquiries|billing|privacy|legal|compliance|media|press|communications|feedback|team|service|accounting|remittance|corporatemarketing|webenquiry|centrecontact|crm|community|newsletter|events?|customerservice|mail|signs|donations?|frontdesk|connect|kontakt|foi\.?privacy)@/i) ||
+    // Generic non-professional prefixes
+    email.match(/^(shop|news|relais|ventas|pomoc|talent|web|people|appsupport|salesfire|newbusiness|notification|partnerships|right\.info|secretariat|secretary|vancouver|northyork|toronto|montreal|calgary|ottawa|staplestax|taxman|teamparmelee|order|leisure|lending|investors|corp|contactus|contact_us|recruitment|reservations|shipping|warehouse|dispatch|returns|booking|socam|rotterdam)@/i)
+  );
+}
+
+// Role-based inboxes are valid recipients for demand-side (SME, business,
+// investor) campaigns, so only supply-side campaigns filter them.
+function addressSkipReason(email, { demandSide = false } = {}) {
+  if (!email || _isJunk(email)) return 'invalid_address';
+  if (!demandSide && _isRoleBased(email)) return 'role_based';
+  return null;
+}
+
+module.exports = { addressSkipReason, isSelfTest };
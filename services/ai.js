@@ -240,4 +240,51 @@ Write the email now:`;
   }
 }
 
-module.exports = { generateBio, calculateSEOScore, generateOutreachTemplate };
+const REPLY_INTENT_MODEL = 'claude-haiku-4-5-20251001';
+
+/**
+ * Classify a reply to our outreach into one of the given intents using Claude Haiku.
+ *
+ * `intents` maps intent name -> one-line description. Resolves to
+ * { intent, confidence (0-1), rationale, referred_to, model }; throws when the
+ * API fails or the answer is not the JSON asked for, so the caller can fall
+ * back to a human. Single attempt, no callWithRetry: the inbound classifier
+ * runs every 2 minutes under a 110s timeout, and an unclassified reply is
+ * better handed to a person than held for a 3.5-minute retry ladder.
+ */
+async function classifyReplyIntent({ subject, body, intents }) {
+  const names = Object.keys(intents);
+  const prompt = `You sort replies to cold outreach emails that CanadaAccountants.app sent to Canadian CPAs. Classify the reply below into exactly one intent.
+
+Intents:
+${names.map((name) => `- ${name}: ${intents[name]}`).join('\n')}
+
+Answer with JSON only, no prose:
+{"intent": "<one of: ${names.join(', ')}>", "confidence": <0 to 1, how sure you are>, "rationale": "<one short sentence>", "referred_to": "<email address of the colleague named, only for referral, else null>"}
+
+Subject: ${subject || '(none)'}
+
+Reply:
+${String(body || '').slice(0, 4000)}`;
+
+  const message = await client.messages.create({
+    model: REPLY_INTENT_MODEL,
+    max_tokens: 200,
+    messages: [{ role: 'user', content: prompt }]
+  });
+  const text = message.content[0].text.trim();
+  const json = text.match(/\{[\s\S]*\}/);
+  if (!json) throw new Error(`reply intent: no JSON in answer: ${text.slice(0, 120)}`);
+  const parsed = JSON.parse(json[0]);
+  if (!names.includes(parsed.intent)) throw new Error(`reply intent: unknown intent ${parsed.intent}`);
+  const confidence = Number(parsed.confidence);
+  return {
+    intent: parsed.intent,
+    confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0,
+    rationale: parsed.rationale ? String(parsed.rationale).slice(0, 500) : null,
+    referred_to: parsed.referred_to ? String(parsed.referred_to).trim().toLowerCase() : null,
+    model: REPLY_INTENT_MODEL
+  };
+}
+
+module.exports = { generateBio, calculateSEOScore, generateOutreachTemplate, classifyReplyIntent };
@@ -0,0 +1,216 @@
+// Auto-reply and out-of-office detection for inbound mail.
+//
+// An out-of-office answer to a touch is not a reply: it must not end the
+// recipient's sequences (sequence-runner-v2 'replied' stop condition) and it
+// must not get the catch-all "Got it". Instead the recipient's open v2 and CRM
+// enrollments wait until they are back.
+//
+// Detection, strongest first:
+//   1. headers  Auto-Submitted (anything but "no", RFC 3834), X-Autoreply,
+//               X-Autorespond, Precedence auto_reply/bulk/junk. The inbound
+//               poller forwards these (pickHeaders) and /api/inbound stores
+//               the verdict as inbound_messages.is_auto_reply.
+//   2. subject  "Automatic reply:", "Out of Office", "Réponse automatique"...
+//   3. body     first-person away notices near the top of the message
+//               ("I am out of the office", "je suis absent").
+// A header alone marks an auto-reply (ticket acknowledgements, autoresponders);
+// it is out-of-office when the subject or body says so or names a return date.
+//
+// The return date is read from the body in English or French ("back on
+// Monday, October 27", "de retour le 3 novembre", "until 2026-11-03"). The
+// enrollments resume the day after it; without one, AUTO_REPLY_DEFAULT_DAYS
+// after the reply.
+
+const AUTO_REPLY_HEADERS = ['auto-submitted', 'x-autoreply', 'x-autorespond', 'precedence'];
+const DEFAULT_DAYS = parseInt(process.env.AUTO_REPLY_DEFAULT_DAYS || '7', 10);
+// A date further out than this is more likely a misread than a sabbatical.
+const MAX_DAYS = parseInt(process.env.AUTO_REPLY_MAX_DAYS || '180', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUBJECT_REGEX = /^\s*(?:automatic\s+reply|auto[\s-]?reply|autoreply|auto:|out\s+of\s+(?:the\s+)?office|ooo\b|r[ée]ponse\s+automatique|absence\s+du\s+bureau|absent(?:e)?\s*:)/i;
+const OOO_SUBJECT_REGEX = /out\s+of\s+(?:the\s+)?office|\booo\b|absence|absent/i;
+// Only the top of the body counts, and only first-person present tense, so
+// "sorry, I was out of the office" in a real reply is not an auto-reply.
+const BODY_REGEX = /\b(?:i\s+am|i['’]m|i\s+will\s+be)\s+(?:currently\s+)?(?:out\s+of\s+(?:the\s+)?office|away\s+from\s+(?:the\s+office|my\s+desk)|on\s+(?:vacation|holiday|leave|parental\s+leave|maternity\s+leave|mat\s+leave|sabbatical))|\blimited\s+access\s+to\s+(?:my\s+)?e-?mail\b|\bthis\s+is\s+an\s+automat(?:ic|ed)\s+(?:reply|response|message)\b|\bje\s+suis\s+(?:actuellement\s+)?(?:absente?|en\s+(?:vacances|cong[ée]))\b/i;
+const OOO_BODY_REGEX = /out\s+of\s+(?:the\s+)?office|away\s+from|vacation|holiday|on\s+leave|sabbatical|absente?|vacances|cong[ée]/i;
+const BODY_WINDOW = 500;
+
+function _headerValue(v) {
+  if (v == null) return null;
+  if (typeof v === 'string') return v;
+  if (typeof v === 'object' && v.value != null) return String(v.value);
+  return String(v);
+}
+
+// The auto-reply headers of a parsed message. `headers` is mailparser's Map
+// or a plain object; keys are matched case-insensitively.
+function pickHeaders(headers) {
+  const out = {};
+  if (!headers) return out;
+  const entries = headers instanceof Map ? [...headers.entries()] : Object.entries(headers);
+  for (const [k, v] of entries) {
+    const name = String(k).toLowerCase();
+    if (AUTO_REPLY_HEADERS.includes(name) && v != null) out[name] = _headerValue(v);
+  }
+  return out;
+}
+
+function _headerSignal(headers) {
+  const h = pickHeaders(headers);
+  if (h['auto-submitted'] && !/^\s*no\b/i.test(h['auto-submitted'])) return 'header:auto-submitted';
+  if (h['x-autoreply'] != null) return 'header:x-autoreply';
+  if (h['x-autorespond'] != null) return 'header:x-autorespond';
+  if (h.precedence && /^\s*(auto_reply|bulk|junk)\b/i.test(h.precedence)) return 'header:precedence';
+  return null;
+}
+
+// What marks the message as automatic ('header:...', 'subject', 'body'), or
+// null for a message a person wrote.
+function signal({ headers, subject, body }) {
+  return _headerSignal(headers)
+    || (SUBJECT_REGEX.test(subject || '') ? 'subject' : null)
+    || (BODY_REGEX.test(String(body || '').slice(0, BODY_WINDOW)) ? 'body' : null);
+}
+
+// ---------------------------------------------------------------------------
+// Return dates
+// ---------------------------------------------------------------------------
+
+const MONTHS = {
+  jan: 1, january: 1, janv: 1, janvier: 1,
+  feb: 2, february: 2, fev: 2, fevr: 2, fevrier: 2,
+  mar: 3, march: 3, mars: 3,
+  apr: 4, april: 4, avr: 4, avril: 4,
+  may: 5, mai: 5,
+  jun: 6, june: 6, juin: 6,
+  jul: 7, july: 7, juil: 7, juillet: 7,
+  aug: 8, august: 8, aou: 8, aout: 8,
+  sep: 9, sept: 9, september: 9, septembre: 9,
+  oct: 10, october: 10, octobre: 10,
+  nov: 11, november: 11, novembre: 11,
+  dec: 12, december: 12, decembre: 12,
+};
+const WEEKDAYS = {
+  sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6,
+  dimanche: 0, lundi: 1, mardi: 2, mercredi: 3, jeudi: 4, vendredi: 5, samedi: 6,
+};
+
+// Words after which a date is the day the sender is back (or their last day away).
+const RETURN_CUE_REGEX = /\b(?:back|return(?:ing)?|returns|in\s+the\s+office|until|till|through|thru)\b|\bretour\b|\bjusqu['’]?\s*(?:au|a)\b/gi;
+const CUE_WINDOW = 80;
+
+const ISO_REGEX = /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/;
+const MONTH_DAY_REGEX = /\b([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s+(\d{4}))?/g;
+const DAY_MONTH_REGEX = /\b(\d{1,2})(?:st|nd|rd|th|er)?\s+(?:of\s+)?([a-z]{3,9})\.?(?:,?\s+(\d{4}))?/g;
+const NUMERIC_REGEX = /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/;
+const RELATIVE_REGEX = /\bin\s+(\d{1,2})\s+(days?|weeks?|jours?|semaines?)\b/;
+const WEEKDAY_REGEX = /\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday|dimanche|lundi|mardi|mercredi|jeudi|vendredi|samedi)\b/;
+
+function _fold(s) {
+  return String(s || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// The first match of a global `regex` whose month word is a month.
+function _monthMatch(regex, text, monthGroup) {
+  regex.lastIndex = 0;
+  let m;
+  while ((m = regex.exec(text)) !== null) {
+    if (MONTHS[m[monthGroup]]) return m;
+  }
+  return null;
+}
+
+function _utcDay(y, m, d) {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCMonth() === m - 1 && date.getUTCDate() === d ? date : null;
+}
+
+// A date without a year is the next one on or after the reply.
+function _withYear(m, d, year, receivedAt) {
+  if (year) return _utcDay(year < 100 ? 2000 + year : year, m, d);
+  const y = receivedAt.getUTCFullYear();
+  const date = _utcDay(y, m, d);
+  if (date && date.getTime() < receivedAt.getTime() - DAY_MS) return _utcDay(y + 1, m, d);
+  return date;
+}
+
+// The first date in `text` ("in 2 weeks" counts), as a UTC midnight; failing
+// that, a weekday. Numeric dates are read as month/day or day/month only when
+// one reading is impossible; 03/04 is left alone, since Canadian senders write
+// both.
+function _dateIn(text, receivedAt) {
+  const today = _utcDay(receivedAt.getUTCFullYear(), receivedAt.getUTCMonth() + 1, receivedAt.getUTCDate());
+  const found = [];
+  let m = ISO_REGEX.exec(text);
+  if (m) found.push({ index: m.index, date: _utcDay(+m[1], +m[2], +m[3]) });
+  m = _monthMatch(MONTH_DAY_REGEX, text, 1);
+  if (m) found.push({ index: m.index, date: _withYear(MONTHS[m[1]], +m[2], m[3] && +m[3], receivedAt) });
+  m = _monthMatch(DAY_MONTH_REGEX, text, 2);
+  if (m) found.push({ index: m.index, date: _withYear(MONTHS[m[2]], +m[1], m[3] && +m[3], receivedAt) });
+  m = NUMERIC_REGEX.exec(text);
+  if (m) {
+    const [a, b, year] = [+m[1], +m[2], m[3] && +m[3]];
+    if (a > 12 && b <= 12) found.push({ index: m.index, date: _withYear(b, a, year, receivedAt) });
+    else if (b > 12 && a <= 12) found.push({ index: m.index, date: _withYear(a, b, year, receivedAt) });
+  }
+  m = RELATIVE_REGEX.exec(text);
+  if (m) found.push({ index: m.index, date: new Date(today.getTime() + +m[1] * (/^(week|semaine)/.test(m[2]) ? 7 : 1) * DAY_MS) });
+  const dated = found.filter((f) => f.date).sort((x, y) => x.index - y.index);
+  if (dated.length) return dated[0].date;
+
+  // "back on Monday": the next such day after the reply.
+  m = WEEKDAY_REGEX.exec(text);
+  if (m) {
+    const ahead = ((WEEKDAYS[m[1]] - today.getUTCDay() + 7) % 7) || 7;
+    return new Date(today.getTime() + ahead * DAY_MS);
+  }
+  return null;
+}
+
+// The return date named in an out-of-office body, or null. Only dates after
+// the reply count.
+function parseReturnDate(body, receivedAt = new Date()) {
+  const text = _fold(body);
+  const received = new Date(receivedAt);
+  RETURN_CUE_REGEX.lastIndex = 0;
+  let cue;
+  while ((cue = RETURN_CUE_REGEX.exec(text)) !== null) {
+    const after = cue.index + cue[0].length;
+    const date = _dateIn(text.slice(after, after + CUE_WINDOW), received);
+    if (date && date.getTime() > received.getTime() - DAY_MS) return date;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Plan
+// ---------------------------------------------------------------------------
+
+// What to do with an inbound row: null for a reply a person wrote, else
+//   { kind: 'out_of_office', signal, return_date, until }  enrollments wait until `until`
+//   { kind: 'auto_reply', signal, until: null }            other automatic mail; nothing waits
+// row: { is_auto_reply, subject, body_text, received_at }.
+function plan(row) {
+  const sig = signal({ subject: row.subject, body: row.body_text }) || (row.is_auto_reply ? 'header' : null);
+  if (!sig) return null;
+  const received = row.received_at ? new Date(row.received_at) : new Date();
+  const returnDate = parseReturnDate(row.body_text, received);
+  const ooo = Boolean(returnDate)
+    || OOO_SUBJECT_REGEX.test(row.subject || '')
+    || OOO_BODY_REGEX.test(String(row.body_text || '').slice(0, BODY_WINDOW));
+  if (!ooo) return { kind: 'auto_reply', signal: sig, until: null };
+
+  const latest = received.getTime() + MAX_DAYS * DAY_MS;
+  const until = returnDate
+    ? new Date(Math.min(returnDate.getTime() + DAY_MS, latest))
+    : new Date(received.getTime() + DEFAULT_DAYS * DAY_MS);
+  return { kind: 'out_of_office', signal: sig, return_date: returnDate, until };
+}
+
+module.exports = {
+  AUTO_REPLY_HEADERS,
+  pickHeaders,
+  signal,
+  parseReturnDate,
+  plan,
+};
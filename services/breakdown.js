@@ -313,4 +313,4 @@ You are receiving this because you replied "breakdown" to my outreach. To unsubs
   return { ok: true, text, html, payload_hash: payloadHash, is_fallback: true };
 }
 
-module.exports = { PLATFORM, DIMENSIONS, score, compose, composeFallback };
+module.exports = { PLATFORM, DIMENSIONS, BIG4, NATIONAL, score, compose, composeFallback };
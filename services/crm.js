@@ -2,6 +2,9 @@
 // Manages the 7-stage professional lifecycle: discovery → enrichment → validation → outreach → engagement → claimed → subscriber
 // Also tracks: enrichment_failed, invalid, churned as terminal/retry states
 
+const audit = require('../modules/send-audit/audit');
+const consent = require('../modules/consent/consent');
+
 const VALID_STATUSES = [
   'raw_import',         // 1. Discovery — entered DB via scraping
   'enriched',           // 2. Enrichment — Apollo found an email
@@ -745,6 +748,10 @@ class SequenceEngine {
     // gets an explicit switch; this one stays off until Arthur sets SEQUENCES_ENABLED=true.
     if (process.env.SEQUENCES_ENABLED !== 'true') {
       console.log(`[Sequences:${this.platform}] SUPPRESSED — SEQUENCES_ENABLED off (moratorium kill-switch)`);
+      await audit.record(this.db, {
+        message_class: 'crm_sequence', gate: 'kill_switch', outcome: 'dry_run',
+        reason: 'SEQUENCES_ENABLED off (moratorium kill-switch)', detail: { platform: this.platform },
+      });
       return;
     }
     if (this.processing) {
@@ -817,6 +824,16 @@ class SequenceEngine {
           );
           if (unsub.rows.length > 0) {
             await this._exitEnrollment(enrollment.id, 'unsubscribed');
+            await this._audit(enrollment, email, { gate: 'unsubscribed', outcome: 'suppressed', reason: 'enrollment exited' });
+            skipped++;
+            continue;
+          }
+
+          // CASL consent registry (modules/consent)
+          const consentBlock = await consent.blocked(this.db, email, 'crm_sequence');
+          if (consentBlock) {
+            await this._exitEnrollment(enrollment.id, 'no_consent');
+            await this._audit(enrollment, email, consentBlock);
             skipped++;
             continue;
           }
@@ -826,6 +843,7 @@ class SequenceEngine {
             const shouldSend = await this._evaluateCondition(step.send_condition, professional, enrollment);
             if (!shouldSend) {
               // Skip to next step or complete
+              await this._audit(enrollment, email, { gate: 'send_condition', outcome: 'suppressed', reason: `step ${stepIndex + 1} condition ${JSON.stringify(step.send_condition)} not met` });
               await this._advanceStep(enrollment, steps);
               skipped++;
               continue;
@@ -857,6 +875,7 @@ class SequenceEngine {
             subject,
             html,
             text: html.replace(/<[^>]+>/g, '').trim(),
+            messageClass: 'outreach',
             headers: {
               'List-Unsubscribe': `<${unsubscribeUrl}>`,
               'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
@@ -864,16 +883,17 @@ class SequenceEngine {
           });
 
           if (result && result.success !== false) {
+            await this._audit(enrollment, email, audit.sent(result));
             // Log to outreach_emails if table exists
             try {
               // Ensure campaign_id allows NULL for CRM sequence sends
               await this.db.query(`ALTER TABLE outreach_emails ALTER COLUMN campaign_id DROP NOT NULL`).catch(() => {});
               await this.db.query(
-                `INSERT INTO outreach_emails (campaign_id, recipient_type, recipient_id, recipient_email, recipient_name, subject, body, status, sent_at, resend_email_id, unsubscribe_token)
-                 VALUES (0, $1, $2, $3, $4, $5, $6, 'sent', NOW(), $7, $8)`,
+                `INSERT INTO outreach_emails (campaign_id, recipient_type, recipient_id, recipient_email, recipient_name, subject, body, status, sent_at, resend_email_id, email_provider, unsubscribe_token)
+                 VALUES (0, $1, $2, $3, $4, $5, $6, 'sent', NOW(), $7, $8, $9)`,
                 [this._recipientType(), professional.id, email,
                  `${professional.first_name || ''} ${professional.last_name || ''}`.trim(),
-                 subject, html, result.id || null, unsubToken]
+                 subject, html, result.id || null, result.provider || null, unsubToken]
               );
             } catch (e) { console.error(`[CRM:${this.platform}] outreach_emails insert failed:`, e.message); }
 
@@ -893,6 +913,7 @@ class SequenceEngine {
 
             sent++;
           } else {
+            await this._audit(enrollment, email, audit.failed(result || {}));
             skipped++;
           }
 
@@ -914,6 +935,18 @@ class SequenceEngine {
     }
   }
 
+  // One send decision for an enrollment's current step (modules/send-audit).
+  async _audit(enrollment, email, decision) {
+    await audit.record(this.db, {
+      email,
+      message_class: 'crm_sequence',
+      ref_type: 'enrollment',
+      ref_id: enrollment.id,
+      detail: { platform: this.platform, sequence: enrollment.sequence_name, step: enrollment.current_step + 1 },
+      ...decision,
+    });
+  }
+
   // ── Auto-Enrollment ───────────────────────────────────────────────────
   // Call this when a professional's crm_status changes to auto-enroll in triggered sequences
 
@@ -1,7 +1,9 @@
-const { Resend } = require('resend');
-
-// Initialize Resend - graceful fallback when API key missing
-const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+// Provider selection and failover (Resend, SES, SMTP, local sink) live in
+// modules/mail-transport; a send with no provider configured logs and returns
+// { success: false, reason: 'api_key_missing' } as before.
+const mailer = require('../modules/mail-transport/mailer');
+const audit = require('../modules/send-audit/audit');
+const { isSelfTest } = require('./address-checks');
 
 const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@canadaaccountants.app';
 const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'arthur@negotiateandwin.com';
@@ -61,47 +63,40 @@ function wrapInBrandTemplate(content, platformName = 'CanadaAccountants') {
 }
 
 /**
- * Shared email sender with graceful fallback
+ * Shared email sender with graceful fallback.
+ *
+ * Sends through modules/mail-transport: the provider route for `messageClass`
+ * ('outreach' for cold / sequence sends, otherwise the default route) with
+ * failover between Resend, SES and SMTP. Returns { success, id, provider } or
+ * { success: false, reason, error }; callers that record the message id also
+ * record `provider` so delivery webhooks find the row.
  */
-async function sendEmail({ to, subject, html, text, headers, from, replyTo }) {
-  if (!resend) {
-    console.log(`[Email] RESEND_API_KEY not set. Would send to ${to}: "${subject}"`);
-    return { success: false, reason: 'api_key_missing' };
-  }
-
+async function sendEmail({ to, subject, html, text, headers, from, replyTo, messageClass }) {
   try {
     // Auto-generate plain-text fallback if not provided
     const plainText = text || html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
 
-    const payload = {
+    const result = await mailer.send({
       from: from || FROM_EMAIL,
       to: Array.isArray(to) ? to : [to],
       subject,
       html,
       text: plainText,
-    };
-    if (headers) payload.headers = headers;
-    if (replyTo) payload.reply_to = replyTo;
-    const { data, error } = await resend.emails.send(payload);
+      headers: headers || null,
+      replyTo: replyTo || null,
+    }, { messageClass: messageClass || 'default' });
 
-    if (error) {
-      console.error('[Email] Resend API error:', error);
-      return { success: false, reason: 'api_error', error };
+    if (result.reason === 'api_key_missing') {
+      console.log(`[Email] No mail provider configured. Would send to ${to}: "${subject}"`);
+      return { success: false, reason: 'api_key_missing' };
     }
-
-    // Defense against unexpected SDK response shapes: success status without an
-    // email ID. This is what caused the 2026-05-11 orphan-send incident — Resend
-    // returned {data:null, error:X} via the SDK's non-throwing error path, but
-    // the v2 runner only read result.data.id (got null) and recorded status=sent
-    // with NULL resend_email_id. Hard-fail here so any caller cannot accept a
-    // success that lacks an ID.
-    if (!data || !data.id) {
-      console.error('[Email] Resend returned success without email ID — unexpected response shape:', data);
-      return { success: false, reason: 'no_id', error: 'success response without id' };
+    if (!result.success) {
+      console.error(`[Email] Send failed (${result.reason}):`, result.error);
+      return result;
     }
 
-    console.log(`[Email] Sent to ${to}: "${subject}" (id: ${data.id})`);
-    return { success: true, id: data.id };
+    console.log(`[Email] Sent to ${to}: "${subject}" (id: ${result.id}, via ${result.provider})`);
+    return result;
   } catch (err) {
     console.error('[Email] Send failed:', err.message);
     return { success: false, reason: 'exception', error: err.message };
@@ -111,7 +106,9 @@ async function sendEmail({ to, subject, html, text, headers, from, replyTo }) {
 /**
  * Notify admin + SME after friction match results are generated
  */
-async function sendFrictionMatchNotification(requestId, request, matches) {
+// portalUrl: the SME's client-portal magic link, when one was issued.
+// pool, when given, records the requester ack's send decision (modules/send-audit).
+async function sendFrictionMatchNotification(requestId, request, matches, portalUrl, { pool } = {}) {
   const contactInfo = request.contactInfo || {};
   const matchList = matches
     .map((m, i) => `<li><strong>${m.name}</strong> — ${m.specializations.join(', ')} (${m.matchScore.toFixed(0)}% match)</li>`)
@@ -135,21 +132,27 @@ async function sendFrictionMatchNotification(requestId, request, matches) {
 
   // Confirmation to SME (if we have their email) — skip self-test/seed addresses to
   // protect sender reputation (synthetic addresses hard-bounce). Loud log on skip.
-  const __isSelfTest = e => /^arthur@|^arthur\+|negotiateandwin|akrosfinancial|@test\.|@testcpa|@example\./i.test(e || '');
-  if (contactInfo.email && __isSelfTest(contactInfo.email)) {
+  const decide = (decision) => pool && audit.record(pool, {
+    email: contactInfo.email, message_class: 'transactional', ref_type: 'friction_request', ref_id: requestId,
+    detail: { template: 'friction_ack' }, ...decision,
+  });
+  if (contactInfo.email && isSelfTest(contactInfo.email)) {
     console.warn(`[FrictionAck] SKIPPED requester ack to self-test/seed address ${contactInfo.email} (request ${requestId})`);
+    await decide({ gate: 'self_test', outcome: 'suppressed', reason: 'requester ack skipped for self-test/seed address' });
   } else if (contactInfo.email) {
-    await sendEmail({
+    const ack = await sendEmail({
       to: contactInfo.email,
       replyTo: process.env.ADMIN_EMAIL || 'arthur@negotiateandwin.com',
       subject: `We've got your request — a CPA match in ${contactInfo.city || contactInfo.location || 'your area'}`,
       html: wrapInBrandTemplate(`
         <p style="margin:0 0 16px;color:#333333;font-size:15px;line-height:1.7;">Hi ${contactInfo.name || 'there'},</p>
         <p style="margin:0 0 16px;color:#333333;font-size:15px;line-height:1.7;">Thanks for reaching out${request.painPoint ? ' about ' + request.painPoint : ''}. Here's exactly what happens next: I'll match you with a CPA who fits &mdash; you'll have an introduction in your inbox within 1 business day. I personally review every request at this stage, so a real person (me) is reading yours. If you want to add anything, just reply to this email; it comes straight to me.</p>
+        ${portalUrl ? `<p style="margin:0 0 16px;color:#333333;font-size:15px;line-height:1.7;">You can see your matches, tell us who you spoke with, or withdraw your request at any time from <a href="${portalUrl}" style="color:#2563eb;">your private match page</a>. Keep this link to yourself; anyone with it can manage your request.</p>` : ''}
         <p style="margin:0;color:#333333;font-size:15px;line-height:1.7;">Arthur Kostaras<br>Founder, CanadaAccountants.app</p>
         <p style="margin:18px 0 0;color:#888888;font-size:12px;line-height:1.6;">You're receiving this because you submitted a match request at canadaaccountants.app. We use your details only to match you with a CPA and follow up. <a href="https://canadaaccountants.app/privacy-policy" style="color:#2563eb;">Privacy policy</a> &middot; reply "unsubscribe" to opt out.</p>
       `),
     });
+    await decide(audit.outcome(ack));
   }
 }
 
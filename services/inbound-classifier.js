@@ -7,10 +7,18 @@
 // Build 2 of Phase 3. Auto-send is gated by BREAKDOWN_AUTO_REPLY_ENABLED env var
 // (default 'false'). Until Arthur reviews the 20-profile rubric and flips the flag,
 // breakdown matches are queued in breakdown_replies with status='pending_arthur_approval'.
+//
+// Replies no rule matches go to the LLM intent tier (modules/reply-intent) when
+// REPLY_INTENT_ENABLED='true', and to the catch-all otherwise.
+//
+// Auto-replies (services/auto-reply.js) are taken first and never answered:
+// an out-of-office holds the sender's sequences until they are back.
 
 const crypto = require('crypto');
 const { Resend } = require('resend');
 const breakdown = require('./breakdown');
+const autoReply = require('./auto-reply');
+const replyIntent = require('../modules/reply-intent/intent');
 
 const PLATFORM = breakdown.PLATFORM;
 const RECIPIENT_TABLE = 'scraped_cpas';
@@ -165,9 +173,8 @@ async function _handleUnsubscribe(pool, inboundId, fromEmail) {
   return { decision: 'unsubscribed' };
 }
 
-// Section 4.10 catch-all: auto-acknowledge so the recipient knows we received it,
-// then route to Arthur for manual review.
-async function _handleCatchAll(pool, inboundId, fromEmail) {
+// "Got it" acknowledgement for replies a person will answer.
+async function _sendAck(fromEmail) {
   const lower = (fromEmail || '').toLowerCase().trim();
   if (lower && process.env.RESEND_API_KEY) {
     try {
@@ -181,10 +188,36 @@ async function _handleCatchAll(pool, inboundId, fromEmail) {
       });
     } catch (e) { console.error('[InboundClassifier] catch-all ack failed:', e.message); }
   }
+}
+
+// Section 4.10 catch-all: auto-acknowledge so the recipient knows we received it,
+// then route to Arthur for manual review.
+async function _handleCatchAll(pool, inboundId, fromEmail) {
+  await _sendAck(fromEmail);
   await _markInbound(pool, inboundId, 'manual_review', 'manual');
   return { decision: 'catch_all_routed_to_arthur' };
 }
 
+// LLM tier (modules/reply-intent): the intent's follow-up has already run;
+// finish the inbound row the way the tier asked.
+async function _finishIntent(pool, inboundId, fromEmail, tiered) {
+  if (tiered.ack) await _sendAck(fromEmail);
+  await _markInbound(pool, inboundId, tiered.inbound, 'intent');
+  return { decision: tiered.decision, intent: tiered.intent };
+}
+
+// Auto-reply: no acknowledgement (two autoresponders would answer each other).
+// An out-of-office holds the sender's open enrollments until the day after
+// the return date it names.
+async function _handleAutoReply(pool, inboundId, fromEmail, auto) {
+  const lower = (fromEmail || '').toLowerCase().trim();
+  let deferred = null;
+  if (auto.until && lower) deferred = await replyIntent.defer(pool, lower, auto.until);
+  await _markInbound(pool, inboundId, 'classified', 'auto_reply');
+  if (!deferred) return { decision: 'auto_reply_ignored', kind: auto.kind };
+  return { decision: 'auto_reply_deferred', kind: auto.kind, until: auto.until.toISOString() };
+}
+
 // Section 4.10 Touch 7 acceptance/decline. Looks up the recipient's v2 enrollment
 // to confirm they are at Touch 7 (current_step >= 7). If yes, dispatches accordingly.
 // Returns null if recipient is not at Touch 7 (caller falls through to other rules).
@@ -226,6 +259,10 @@ async function _maybeHandleTouch7Reply(pool, inboundId, fromEmail, bodyText) {
 async function processOne(pool, inboundRow) {
   const { id: inboundId, from_email, body_text, received_at } = inboundRow;
 
+  // 0. Auto-reply / out-of-office: never a human answer to the touch
+  const auto = autoReply.plan(inboundRow);
+  if (auto) return await _handleAutoReply(pool, inboundId, from_email, auto);
+
   // 1. Long body containing "breakdown" → manual review
   if (_isLongBreakdownAmbiguous(body_text)) {
     await _markInbound(pool, inboundId, 'manual_review', 'manual');
@@ -245,8 +282,12 @@ async function processOne(pool, inboundRow) {
   const t7 = await _maybeHandleTouch7Reply(pool, inboundId, from_email, body_text);
   if (t7) return t7;
 
-  // 4. Not a breakdown trigger → catch-all auto-acknowledge per Section 4.10
+  // 4. Not a breakdown trigger → LLM intent tier when REPLY_INTENT_ENABLED
+  // (its low-confidence answers go to review and still get the ack), else the
+  // catch-all auto-acknowledge per Section 4.10
   if (!_isBreakdownTrigger(body_text)) {
+    const tiered = await replyIntent.handle(pool, inboundRow);
+    if (tiered) return await _finishIntent(pool, inboundId, from_email, tiered);
     return await _handleCatchAll(pool, inboundId, from_email);
   }
 
@@ -343,10 +384,12 @@ async function runOnce(pool) {
   let suppressed = 0;
   let rateLimited = 0;
   let manualReview = 0;
+  let intentActioned = 0;
+  let autoReplies = 0;
   let skipped = 0;
 
   const r = await pool.query(
-    `SELECT id, from_email, body_text, received_at
+    `SELECT id, from_email, subject, body_text, received_at, is_auto_reply
      FROM inbound_messages
      WHERE classification_status = 'pending' AND received_at > NOW() - INTERVAL '24 hours'
      ORDER BY received_at ASC
@@ -366,6 +409,10 @@ async function runOnce(pool) {
         case 'recipient_not_found':
         case 'compose_insufficient_data': manualReview++; if (result.decision !== 'manual_review_long_body') breakdownMatched++; break;
         case 'duplicate_already_sent': breakdownMatched++; break;
+        case 'intent_actioned': intentActioned++; break;
+        case 'intent_review': manualReview++; break;
+        case 'auto_reply_deferred':
+        case 'auto_reply_ignored': autoReplies++; break;
         case 'not_breakdown_skip': skipped++; break;
         default: skipped++;
       }
@@ -375,9 +422,9 @@ async function runOnce(pool) {
   }
 
   if (processed > 0) {
-    console.log(`[InboundClassifier] ${startedAt.toISOString()}: processed=${processed} breakdown_matched=${breakdownMatched} sent=${sent} queued=${queued} suppressed=${suppressed} rate_limited=${rateLimited} manual_review=${manualReview} skipped=${skipped}`);
+    console.log(`[InboundClassifier] ${startedAt.toISOString()}: processed=${processed} breakdown_matched=${breakdownMatched} sent=${sent} queued=${queued} suppressed=${suppressed} rate_limited=${rateLimited} manual_review=${manualReview} intent_actioned=${intentActioned} auto_replies=${autoReplies} skipped=${skipped}`);
   }
-  return { processed, breakdownMatched, sent, queued, suppressed, rateLimited, manualReview, skipped };
+  return { processed, breakdownMatched, sent, queued, suppressed, rateLimited, manualReview, intentActioned, autoReplies, skipped };
 }
 
 module.exports = { runOnce, processOne, _isBreakdownTrigger };
@@ -14,6 +14,7 @@
 const { ImapFlow } = require('imapflow');
 const { simpleParser } = require('mailparser');
 const crypto = require('crypto');
+const autoReply = require('./auto-reply');
 
 // Map original recipient address → platform key + backend URL env var name.
 // ACC self-dispatch: prefer ACC_BACKEND_URL if set, else derive from Railway's
@@ -127,7 +128,12 @@ async function _processMessage(client, uid, parsed, flags) {
     body_text: parsed.text || '',
     body_html: parsed.html || null,
     message_id: messageId,
-    received_at: (parsed.date || new Date()).toISOString()
+    received_at: (parsed.date || new Date()).toISOString(),
+    // Auto-Submitted / X-Autoreply / Precedence, for the backend's auto-reply check.
+    headers: autoReply.pickHeaders(parsed.headers),
+    // For threading the reply to the send it answers.
+    in_reply_to: parsed.inReplyTo || null,
+    references: parsed.references || null
   };
   await _dispatchToBackend(route, payload);
   // Mark our custom keyword (and \Seen as a courtesy) only after successful
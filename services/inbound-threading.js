@@ -0,0 +1,198 @@
+// Inbound reply threading and the per-contact conversation timeline.
+//
+// Every new inbound_messages row (/api/inbound) is linked to the outreach
+// send it answers: inbound_messages.outreach_email_id, with how the link was
+// made in thread_match:
+//
+//   header     In-Reply-To or References names the send. A Message-ID
+//              matches when it is the send's provider id
+//              (outreach_emails.resend_email_id) or starts with it, as SES
+//              Message-IDs do (<id@email.amazonses.com>).
+//   subject    the reply's subject, less Re:/Fwd:/TR:, is the subject of a
+//              send to the same address.
+//   recipient  the latest send to that address in the THREAD_WINDOW_DAYS
+//              before the reply.
+//
+// Providers that write a Message-ID of their own without their id in it only
+// thread by subject or recipient. A reply that fits none stays unlinked.
+// Replies threaded into a match conversation (modules/messaging) answer a
+// notification, not outreach, and are not linked.
+//
+// conversation() interleaves a professional's sends and replies, oldest
+// first; GET /api/admin/crm/professionals/:id (routes/crm-admin.js) returns
+// it as `conversation`.
+
+const THREAD_WINDOW_DAYS = 60;
+const TIMELINE_LIMIT = 200;
+const REPLY_PREVIEW_CHARS = 2000;
+// outreach_emails.recipient_type values whose recipient_id is a scraped_cpas id
+// (the outreach queue and v2 write 'cpa', CRM sequences 'scraped_cpa').
+const CPA_RECIPIENT_TYPES = ['cpa', 'scraped_cpa'];
+
+const SUBJECT_PREFIX_REGEX = /^\s*(?:(?:re|fwd?|fw|tr|r[ée]f|aw|sv)\s*(?:\[\d+\])?\s*:\s*)+/i;
+
+// In-Reply-To and References as a list of bare ids, nearest first: the
+// In-Reply-To, then References from the last (the message replied to) back.
+// Accepts mailparser's string or array forms.
+function parseMessageIds(inReplyTo, references) {
+  const refs = Array.isArray(references) ? references : String(references || '').split(/\s+/);
+  const out = [];
+  for (const raw of [inReplyTo, ...refs.slice().reverse()]) {
+    const id = String(raw || '').trim().replace(/^<|>$/g, '').trim();
+    if (id && !out.includes(id)) out.push(id);
+  }
+  return out;
+}
+
+// The ids a Message-ID can be stored under: the whole id and its local part.
+function _candidateIds(ids) {
+  const out = new Set();
+  for (const id of ids) {
+    out.add(id);
+    const local = id.split('@')[0];
+    if (local) out.add(local);
+  }
+  return [...out];
+}
+
+function normalizeSubject(subject) {
+  return String(subject || '').replace(SUBJECT_PREFIX_REGEX, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// The send an inbound row answers: { outreach_email_id, match } or null.
+// row: { from_email, subject, received_at, in_reply_to, reference_ids }.
+async function findSend(pool, row) {
+  const ids = parseMessageIds(row.in_reply_to, row.reference_ids);
+  if (ids.length) {
+    const r = await pool.query(
+      `SELECT id FROM outreach_emails WHERE resend_email_id = ANY($1::text[]) ORDER BY sent_at DESC NULLS LAST LIMIT 1`,
+      [_candidateIds(ids)]
+    );
+    if (r.rows[0]) return { outreach_email_id: r.rows[0].id, match: 'header' };
+  }
+
+  const email = String(row.from_email || '').toLowerCase().trim();
+  if (!email) return null;
+  const receivedAt = row.received_at || new Date();
+  const subject = normalizeSubject(row.subject);
+  if (subject) {
+    const r = await pool.query(
+      `SELECT id FROM outreach_emails
+        WHERE LOWER(recipient_email) = $1 AND sent_at IS NOT NULL AND sent_at <= $2
+          AND LOWER(COALESCE(rendered_subject, subject)) = $3
+        ORDER BY sent_at DESC LIMIT 1`,
+      [email, receivedAt, subject]
+    );
+    if (r.rows[0]) return { outreach_email_id: r.rows[0].id, match: 'subject' };
+  }
+  const r = await pool.query(
+    `SELECT id FROM outreach_emails
+      WHERE LOWER(recipient_email) = $1 AND sent_at IS NOT NULL AND sent_at <= $2
+        AND sent_at > $2::timestamptz - make_interval(days => $3)
+      ORDER BY sent_at DESC LIMIT 1`,
+    [email, receivedAt, THREAD_WINDOW_DAYS]
+  );
+  if (r.rows[0]) return { outreach_email_id: r.rows[0].id, match: 'recipient' };
+  return null;
+}
+
+// Links a new inbound row to its send. Returns the link, or null.
+async function threadInbound(pool, row) {
+  const link = await findSend(pool, row);
+  if (!link) return null;
+  await pool.query(
+    `UPDATE inbound_messages SET outreach_email_id = $2, thread_match = $3 WHERE id = $1`,
+    [row.id, link.outreach_email_id, link.match]
+  );
+  return link;
+}
+
+// ---------------------------------------------------------------------------
+// Timeline
+// ---------------------------------------------------------------------------
+
+// Which sender wrote an outreach_emails row: v2 sends have no campaign, CRM
+// sequence sends campaign 0. For v2 sends sequence_number is the touch.
+function _sendSource(row) {
+  if (row.campaign_id == null) return 'sequence_v2';
+  return row.campaign_id === 0 ? 'crm_sequence' : 'campaign';
+}
+
+// A professional's (scraped_cpas id) sends and replies, oldest first:
+//   { direction: 'out', at, outreach_email_id, subject, status, ... }
+//   { direction: 'in', at, inbound_message_id, subject, body_text, answers, ... }
+// `answers` is the outreach_email_id the reply was threaded to.
+async function conversation(pool, professionalId) {
+  const prof = await pool.query(`SELECT email, enriched_email FROM scraped_cpas WHERE id = $1`, [professionalId]);
+  if (!prof.rows[0]) return null;
+  const emails = [...new Set([prof.rows[0].email, prof.rows[0].enriched_email]
+    .map((e) => String(e || '').toLowerCase().trim()).filter(Boolean))];
+
+  const sends = await pool.query(
+    `SELECT id, campaign_id, sequence_number, status, email_provider, recipient_email,
+            COALESCE(rendered_subject, subject) AS subject,
+            sent_at, delivered_at, opened_at, clicked_at, bounced_at, complained_at
+       FROM outreach_emails
+      WHERE sent_at IS NOT NULL
+        AND ((recipient_id = $1 AND recipient_type = ANY($2::text[])) OR LOWER(recipient_email) = ANY($3::text[]))
+      ORDER BY sent_at DESC LIMIT $4`,
+    [professionalId, CPA_RECIPIENT_TYPES, emails, TIMELINE_LIMIT]
+  );
+  let replies = { rows: [] };
+  if (emails.length) {
+    replies = await pool.query(
+      `SELECT m.id, m.from_email, m.subject, LEFT(m.body_text, $3) AS body_text, m.received_at,
+              m.classification_status, m.classification_decision, m.is_auto_reply,
+              m.outreach_email_id, m.thread_match, r.intent
+         FROM inbound_messages m
+         LEFT JOIN reply_intents r ON r.inbound_message_id = m.id
+        WHERE LOWER(m.from_email) = ANY($1::text[])
+        ORDER BY m.received_at DESC LIMIT $2`,
+      [emails, TIMELINE_LIMIT, REPLY_PREVIEW_CHARS]
+    );
+  }
+
+  const timeline = [
+    ...sends.rows.map((s) => ({
+      direction: 'out',
+      at: s.sent_at,
+      outreach_email_id: s.id,
+      to: s.recipient_email,
+      subject: s.subject,
+      source: _sendSource(s),
+      campaign_id: s.campaign_id,
+      touch: s.sequence_number,
+      status: s.status,
+      provider: s.email_provider || 'resend',
+      delivered_at: s.delivered_at,
+      opened_at: s.opened_at,
+      clicked_at: s.clicked_at,
+      bounced_at: s.bounced_at,
+      complained_at: s.complained_at,
+    })),
+    ...replies.rows.map((m) => ({
+      direction: 'in',
+      at: m.received_at,
+      inbound_message_id: m.id,
+      from: m.from_email,
+      subject: m.subject,
+      body_text: m.body_text,
+      answers: m.outreach_email_id,
+      thread_match: m.thread_match,
+      auto_reply: Boolean(m.is_auto_reply),
+      classification: m.classification_decision || m.classification_status,
+      intent: m.intent || null,
+    })),
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return { emails, sends: sends.rows.length, replies: replies.rows.length, timeline };
+}
+
+module.exports = {
+  THREAD_WINDOW_DAYS,
+  parseMessageIds,
+  normalizeSubject,
+  findSend,
+  threadInbound,
+  conversation,
+};
@@ -1,5 +1,170 @@
 // PHASE 3B STEP 1C: CORE ML ALGORITHMS
 // Machine Learning engine for canadaaccountants.app
+//
+// The learning cycle fits a logistic regression (pure JS, below) of match
+// engagement on the matching engine's factor scores and stores every fit in
+// ml_weight_iterations with its calibration metrics. The active iteration is
+// what RealtimeMLRecommendationEngine scores with; rollbackToIteration
+// reactivates any earlier one.
+
+const matchingFactors = require('../modules/matching/factors');
+const { ENGAGED_MATCH_STATUSES } = require('../modules/matching/replay');
+
+// =====================================================
+// LOGISTIC REGRESSION (pure, no DB)
+// =====================================================
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function round(x, places = 4) {
+  return x == null || !isFinite(x) ? null : Math.round(x * 10 ** places) / 10 ** places;
+}
+
+// Batch gradient descent on L2-regularized log loss. Features are expected on a
+// 0-1 scale. The intercept starts at the base-rate logit so small samples
+// converge toward "predict the base rate" rather than 0.5.
+function fitLogisticRegression(X, y, { l2 = 0.01, iterations = 2000, learningRate = 0.5 } = {}) {
+  const n = X.length;
+  const d = n ? X[0].length : 0;
+  const baseRate = Math.min(1 - 1e-6, Math.max(1e-6, y.reduce((a, b) => a + b, 0) / (n || 1)));
+  let intercept = Math.log(baseRate / (1 - baseRate));
+  const coefficients = new Array(d).fill(0);
+
+  for (let iter = 0; iter < iterations; iter++) {
+    let gradIntercept = 0;
+    const grad = new Array(d).fill(0);
+    for (let i = 0; i < n; i++) {
+      let z = intercept;
+      for (let j = 0; j < d; j++) z += coefficients[j] * X[i][j];
+      const err = sigmoid(z) - y[i];
+      gradIntercept += err;
+      for (let j = 0; j < d; j++) grad[j] += err * X[i][j];
+    }
+    intercept -= learningRate * gradIntercept / n;
+    for (let j = 0; j < d; j++) {
+      coefficients[j] -= learningRate * (grad[j] / n + l2 * coefficients[j]);
+    }
+  }
+
+  return { intercept, coefficients };
+}
+
+function predictProbability(model, x) {
+  let z = model.intercept;
+  for (let j = 0; j < model.coefficients.length; j++) z += model.coefficients[j] * x[j];
+  return sigmoid(z);
+}
+
+// Area under the ROC curve via the rank-sum statistic (ties share ranks).
+function rocAuc(probabilities, y) {
+  const pairs = probabilities.map((p, i) => ({ p, y: y[i] })).sort((a, b) => a.p - b.p);
+  const pos = y.filter(v => v === 1).length;
+  const neg = y.length - pos;
+  if (pos === 0 || neg === 0) return null;
+  let rankSum = 0;
+  for (let i = 0; i < pairs.length;) {
+    let j = i;
+    while (j < pairs.length && pairs[j].p === pairs[i].p) j++;
+    const avgRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) if (pairs[k].y === 1) rankSum += avgRank;
+    i = j;
+  }
+  return (rankSum - pos * (pos + 1) / 2) / (pos * neg);
+}
+
+// Log loss, Brier score, AUC and a 10-bin reliability table with its expected
+// calibration error, plus the log loss of always predicting the base rate.
+function evaluateModel(model, X, y, bins = 10) {
+  const n = X.length;
+  const probabilities = X.map(x => predictProbability(model, x));
+  const eps = 1e-12;
+  let logLoss = 0;
+  let brier = 0;
+  for (let i = 0; i < n; i++) {
+    const p = Math.min(1 - eps, Math.max(eps, probabilities[i]));
+    logLoss -= y[i] * Math.log(p) + (1 - y[i]) * Math.log(1 - p);
+    brier += (probabilities[i] - y[i]) ** 2;
+  }
+  const baseRate = y.reduce((a, b) => a + b, 0) / (n || 1);
+  const clippedBase = Math.min(1 - eps, Math.max(eps, baseRate));
+  const baselineLogLoss = -(baseRate * Math.log(clippedBase) + (1 - baseRate) * Math.log(1 - clippedBase));
+
+  const table = Array.from({ length: bins }, (_, b) => ({ bin: b, count: 0, predicted: 0, observed: 0 }));
+  probabilities.forEach((p, i) => {
+    const b = table[Math.min(bins - 1, Math.floor(p * bins))];
+    b.count++;
+    b.predicted += p;
+    b.observed += y[i];
+  });
+  let ece = 0;
+  const calibration = table.filter(b => b.count > 0).map(b => {
+    const meanPredicted = b.predicted / b.count;
+    const observedRate = b.observed / b.count;
+    ece += (b.count / n) * Math.abs(meanPredicted - observedRate);
+    return { bin: b.bin, count: b.count, mean_predicted: round(meanPredicted), observed_rate: round(observedRate) };
+  });
+
+  return {
+    samples: n,
+    base_rate: round(baseRate),
+    log_loss: n ? round(logLoss / n) : null,
+    baseline_log_loss: n ? round(baselineLogLoss) : null,
+    brier: n ? round(brier / n) : null,
+    auc: round(rocAuc(probabilities, y)),
+    ece: n ? round(ece) : null,
+    calibration
+  };
+}
+
+// Deterministic 80/20 split on the matches id, so consecutive cycles evaluate
+// on a stable holdout and the active model can be scored on the same rows.
+function splitHoldout(rows) {
+  const train = [];
+  const validation = [];
+  for (const r of rows) (Number(r.id) % 5 === 0 ? validation : train).push(r);
+  return { train, validation };
+}
+
+// SME portal ratings at or below this turn an engaged match into a negative.
+const POOR_CLIENT_RATING = 2;
+
+// Training label for one matches row: 1 engaged, 0 resolved without a good
+// outcome, null still open (left out of the set). See loadTrainingSet.
+function matchLabel(m, now = Date.now()) {
+  const poorRating = m.client_rating != null && Number(m.client_rating) <= POOR_CLIENT_RATING;
+  const engaged = ENGAGED_MATCH_STATUSES.includes(m.status) || !!m.cpa_responded_at || !!m.client_responded_at
+    || m.partnership_formed === true;
+  if (engaged && !poorRating) return 1;
+  const resolvedNegative = ['declined', 'expired', 'rejected', 'withdrawn'].includes(m.status)
+    || m.partnership_formed === false
+    || poorRating
+    || (m.status === 'pending' && m.expires_at && new Date(m.expires_at).getTime() < now);
+  return resolvedNegative ? 0 : null;
+}
+
+// Coefficients as display weights: negative coefficients floor at 0, the rest
+// sum to 1 (same scale as matching_algorithm_versions weight sets).
+function normalizedWeights(coefficients) {
+  const positive = Object.fromEntries(Object.entries(coefficients).map(([k, v]) => [k, Math.max(0, v)]));
+  const total = Object.values(positive).reduce((a, b) => a + b, 0);
+  return Object.fromEntries(Object.entries(positive).map(([k, v]) => [k, total > 0 ? round(v / total) : 0]));
+}
+
+// Stored iteration row -> scoring model.
+function modelFromIteration(row) {
+  if (!row) return null;
+  const features = typeof row.features === 'string' ? JSON.parse(row.features) : row.features;
+  const coefficients = typeof row.coefficients === 'string' ? JSON.parse(row.coefficients) : row.coefficients;
+  return {
+    id: row.id,
+    features,
+    intercept: Number(row.intercept),
+    coefficients: features.map(f => Number(coefficients[f] || 0)),
+    weights: typeof row.weights === 'string' ? JSON.parse(row.weights) : row.weights,
+    metrics: typeof row.metrics === 'string' ? JSON.parse(row.metrics) : row.metrics
+  };
+}
 
 // =====================================================
 // CORE ML ALGORITHM CLASS
@@ -9,46 +174,112 @@ class CanadianCPAMLEngine {
     this.db = db;
     this.minSampleSize = 15;
     this.confidenceThreshold = 0.7;
-    this.learningRate = 0.1;
-    this.maxWeightChange = 0.3; // Maximum 30% weight change per iteration
-    this.stabilityFactor = 0.85; // Prevents over-adjustment
+    this.learningRate = 0.5;
+    this.l2Penalty = 0.01;
+    this.fitIterations = 2000;
+    this.trainingWindowDays = 365;
+  }
+
+  // =====================================================
+  // SCHEMA
+  // =====================================================
+  // One row per learning cycle. Exactly one row is 'active' at a time; that is
+  // the model RealtimeMLRecommendationEngine scores with. Rows are never
+  // overwritten, so any earlier iteration can be reactivated (rollback).
+  async ensureSchema() {
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS ml_weight_iterations (
+        id SERIAL PRIMARY KEY,
+        model_type VARCHAR(50) NOT NULL DEFAULT 'logistic_regression',
+        features JSONB NOT NULL,
+        coefficients JSONB NOT NULL,
+        intercept DOUBLE PRECISION NOT NULL,
+        weights JSONB NOT NULL,
+        metrics JSONB NOT NULL,
+        training_samples INTEGER NOT NULL,
+        validation_samples INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'candidate'
+          CHECK (status IN ('candidate', 'active', 'retired')),
+        notes TEXT,
+        created_by VARCHAR(255) DEFAULT 'system',
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        activated_at TIMESTAMPTZ,
+        retired_at TIMESTAMPTZ
+      )
+    `);
+    await this.db.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_ml_weight_iterations_active ON ml_weight_iterations (status) WHERE status = 'active'`);
   }
 
   // =====================================================
   // MAIN LEARNING ALGORITHM
   // =====================================================
-  async performLearningCycle() {
+  // Fits a logistic regression of "the match was engaged" on the matching
+  // engine's factor scores, evaluates it on a deterministic holdout, persists it
+  // as a new iteration and activates it only if it beats the active model on the
+  // same holdout. A cycle with too little data records nothing.
+  async performLearningCycle({ createdBy = 'system', forceActivate = false } = {}) {
     try {
       console.log('🧠 Starting ML Learning Cycle...');
-      
-      // Step 1: Analyze current performance
-      const performanceMetrics = await this.analyzeCurrentPerformance();
-      
-      // Step 2: Calculate factor correlations
-      const correlations = await this.calculateFactorCorrelations();
-      
-      // Step 3: Update weights using advanced algorithms
-      const weightUpdates = await this.calculateOptimalWeights(correlations, performanceMetrics);
-      
-      // Step 4: Apply weight updates with safety checks
-      const appliedUpdates = await this.applyWeightUpdates(weightUpdates);
-      
-      // Step 5: Generate predictive insights
-      const insights = await this.generatePredictiveInsights();
-      
-      // Step 6: Validate improvements
-      const validationResults = await this.validateImprovements();
-      
+
+      // Step 1: Analyze current performance (match_outcomes; informational only)
+      const performanceMetrics = await this.analyzeCurrentPerformance()
+        .catch(err => ({ error: err.message }));
+
+      // Step 2: Build the labelled training set from matches
+      const dataset = await this.loadTrainingSet();
+      const { train, validation } = splitHoldout(dataset.rows);
+      const positives = train.filter(r => r.label === 1).length;
+      if (train.length < this.minSampleSize || positives === 0 || positives === train.length || validation.length === 0) {
+        console.log(`🧠 ML cycle skipped: ${train.length} training rows (${positives} engaged), ${validation.length} holdout`);
+        return {
+          success: false,
+          reason: 'insufficient_data',
+          performance_metrics: performanceMetrics,
+          training_samples: train.length,
+          validation_samples: validation.length,
+          positive_samples: positives
+        };
+      }
+
+      // Step 3: Fit
+      const features = dataset.features;
+      const model = fitLogisticRegression(
+        train.map(r => r.x),
+        train.map(r => r.label),
+        { l2: this.l2Penalty, iterations: this.fitIterations, learningRate: this.learningRate }
+      );
+      model.features = features;
+
+      // Step 4: Calibration metrics, and the active model on the same holdout
+      const metrics = {
+        train: evaluateModel(model, train.map(r => r.x), train.map(r => r.label)),
+        validation: evaluateModel(model, validation.map(r => r.x), validation.map(r => r.label)),
+        avg_revenue_per_success: dataset.avgRevenuePerSuccess
+      };
+      const validationResults = await this.validateImprovements(model, validation, metrics);
+      metrics.active_on_holdout = validationResults.active_metrics;
+
+      // Step 5: Persist, activating if it wins
+      const activate = forceActivate || validationResults.validation_passed;
+      const iteration = await this.saveIteration(model, metrics, {
+        trainingSamples: train.length,
+        validationSamples: validation.length,
+        activate,
+        createdBy,
+        notes: validationResults.reason
+      });
+
       return {
         success: true,
         performance_metrics: performanceMetrics,
-        correlations: correlations,
-        weight_updates: appliedUpdates,
-        insights: insights,
+        iteration_id: iteration.id,
+        activated: iteration.status === 'active',
+        weights: iteration.weights,
+        metrics,
         validation: validationResults,
-        learning_iteration: await this.incrementLearningIteration()
+        insights: await this.generatePredictiveInsights()
       };
-      
+
     } catch (error) {
       console.error('❌ ML Learning Cycle Error:', error);
       throw error;
@@ -110,253 +341,152 @@ class CanadianCPAMLEngine {
   }
 
   // =====================================================
-  // FACTOR CORRELATION ANALYSIS
+  // TRAINING SET
   // =====================================================
-  async calculateFactorCorrelations() {
-    const correlationQuery = `
-      WITH factor_outcomes AS (
-        SELECT 
-          mo.partnership_formed,
-          mo.client_satisfaction_score,
-          mo.cpa_satisfaction_score,
-          mo.revenue_generated,
-          u1.user_type as client_type,
-          u2.user_type as cpa_type,
-          -- Calculate derived factors using available data
-          CASE 
-            WHEN mo.partnership_formed = true THEN 1.0
-            ELSE 0.0
-          END as success_score,
-          CASE 
-            WHEN mo.client_satisfaction_score >= 8 THEN 1.0
-            WHEN mo.client_satisfaction_score >= 6 THEN 0.7
-            ELSE 0.4
-          END as client_satisfaction_factor,
-          CASE 
-            WHEN mo.cpa_satisfaction_score >= 8 THEN 1.0
-            WHEN mo.cpa_satisfaction_score >= 6 THEN 0.7
-            ELSE 0.4
-          END as cpa_satisfaction_factor
-        FROM match_outcomes mo
-        JOIN users u1 ON mo.client_id = u1.id
-        JOIN users u2 ON mo.cpa_id = u2.id
-        WHERE mo.partnership_formed IS NOT NULL
-          AND mo.created_at >= NOW() - INTERVAL '180 days'
-      )
-      SELECT 
-        -- Client satisfaction correlation
-        CORR(success_score, client_satisfaction_factor) as client_satisfaction_correlation,
-        
-        -- CPA satisfaction correlation
-        CORR(success_score, cpa_satisfaction_factor) as cpa_satisfaction_correlation,
-        
-        -- Revenue correlation
-        CORR(success_score, revenue_generated) as revenue_correlation,
-        
-        -- Sample sizes for confidence
-        COUNT(*) as total_sample_size,
-        COUNT(CASE WHEN success_score = 1 THEN 1 END) as success_sample_size
-      FROM factor_outcomes;
-    `;
-
-    const result = await this.db.query(correlationQuery);
-    const correlations = result.rows[0];
-
-    // Calculate confidence scores for each correlation
-    const confidenceScores = this.calculateCorrelationConfidence(correlations);
+  // One row per resolved `matches` row. Features are the matching engine's
+  // factor scores scaled to 0-1 (match_factors.factor_scores, falling back to
+  // the per-factor columns for rows written before match_factors existed).
+  // Label 1: engaged (same definition as the offline replay harness) or a
+  // match_outcomes row with partnership_formed. Label 0: declined/expired,
+  // withdrawn by the SME before engaging, past expires_at with no response, or
+  // engaged but rated 1-2 by the SME in the client portal
+  // (client_portal_feedback). Pending, unexpired rows are left out.
+  async loadTrainingSet() {
+    const features = matchingFactors.listFactors().map(f => f.name);
+    const columns = Object.fromEntries(matchingFactors.listFactors().filter(f => f.column).map(f => [f.name, f.column]));
+
+    const tables = await this.db.query(`
+      SELECT to_regclass('match_outcomes') IS NOT NULL AS outcomes,
+             to_regclass('client_portal_feedback') IS NOT NULL AS feedback
+    `);
+    const hasOutcomes = tables.rows[0]?.outcomes === true;
+    const hasFeedback = tables.rows[0]?.feedback === true;
+
+    const result = await this.db.query(`
+      SELECT m.*,
+             ${hasOutcomes ? 'mo.partnership_formed, mo.revenue_generated' : 'NULL::boolean AS partnership_formed, NULL::numeric AS revenue_generated'},
+             ${hasFeedback ? 'cf.rating AS client_rating' : 'NULL::smallint AS client_rating'}
+      FROM matches m
+      ${hasOutcomes ? 'LEFT JOIN match_outcomes mo ON mo.match_id = m.id::text' : ''}
+      ${hasFeedback ? "LEFT JOIN client_portal_feedback cf ON cf.source = 'match_cpas' AND cf.match_ref = m.id" : ''}
+      WHERE m.created_at >= NOW() - ($1 || ' days')::interval
+      ORDER BY m.id
+    `, [String(this.trainingWindowDays)]);
+
+    const now = Date.now();
+    const rows = [];
+    const revenues = [];
+    for (const m of result.rows) {
+      const label = matchLabel(m, now);
+      if (label == null) continue;
+
+      const stored = (m.match_factors && m.match_factors.factor_scores) || {};
+      const x = features.map(name => {
+        const v = stored[name] != null ? stored[name] : (columns[name] ? m[columns[name]] : null);
+        return v == null ? 0.5 : Number(v) / 100; // unknown factor: neutral
+      });
+      rows.push({ id: m.id, x, label });
+      if (label === 1 && m.revenue_generated != null) revenues.push(Number(m.revenue_generated));
+    }
 
     return {
-      correlations: correlations,
-      confidence_scores: confidenceScores,
-      sample_adequacy: correlations.total_sample_size >= this.minSampleSize
+      features,
+      rows,
+      avgRevenuePerSuccess: revenues.length ? Math.round(revenues.reduce((a, b) => a + b, 0) / revenues.length) : null
     };
   }
 
   // =====================================================
-  // OPTIMAL WEIGHT CALCULATION
+  // ITERATIONS
   // =====================================================
-  async calculateOptimalWeights(correlations, performance) {
-    // Get current weights
-    const currentWeightsQuery = `
-      SELECT factor_name, current_weight, baseline_weight, 
-             success_correlation, total_matches_analyzed
-      FROM learning_weights
-      ORDER BY factor_name;
-    `;
-
-    const currentWeights = await this.db.query(currentWeightsQuery);
-    const weights = {};
-    currentWeights.rows.forEach(row => {
-      weights[row.factor_name] = {
-        current: parseFloat(row.current_weight),
-        baseline: parseFloat(row.baseline_weight),
-        correlation: parseFloat(row.success_correlation || 0),
-        sample_size: parseInt(row.total_matches_analyzed || 0)
-      };
-    });
-
-    // Apply advanced weight optimization algorithms
-    const optimizedWeights = {};
-
-    for (const [factorName, weightData] of Object.entries(weights)) {
-      const newWeight = this.optimizeFactorWeight(
-        factorName,
-        weightData,
-        correlations,
-        performance
-      );
-
-      optimizedWeights[factorName] = {
-        old_weight: weightData.current,
-        new_weight: newWeight,
-        change: newWeight - weightData.current,
-        change_percent: ((newWeight - weightData.current) / weightData.current * 100).toFixed(2)
-      };
-    }
-
-    return optimizedWeights;
+  async getActiveIteration() {
+    const result = await this.db.query(`SELECT * FROM ml_weight_iterations WHERE status = 'active' LIMIT 1`);
+    return result.rows[0] || null;
   }
 
-  // =====================================================
-  // FACTOR WEIGHT OPTIMIZATION
-  // =====================================================
-  optimizeFactorWeight(factorName, weightData, correlations, performance) {
-    // Get correlation for this factor from available data
-    let correlation = 0;
-    
-    // Use available correlations from the analysis
-    if (correlations.correlations.client_satisfaction_correlation && factorName.includes('satisfaction')) {
-      correlation = correlations.correlations.client_satisfaction_correlation;
-    } else if (correlations.correlations.revenue_correlation && factorName.includes('revenue')) {
-      correlation = correlations.correlations.revenue_correlation;
-    } else {
-      correlation = weightData.correlation;
-    }
-
-    // Ensure correlation is valid
-    if (isNaN(correlation) || correlation === null) {
-      correlation = 0;
-    }
-
-    // Apply learning algorithm with Canadian market adjustments
-    let newWeight = weightData.current;
-
-    // Strong positive correlation: increase weight
-    if (correlation > 0.6 && correlations.sample_adequacy) {
-      const increase = this.learningRate * correlation * this.stabilityFactor;
-      newWeight = weightData.current + increase;
-    }
-    // Strong negative correlation: decrease weight
-    else if (correlation < -0.3 && correlations.sample_adequacy) {
-      const decrease = this.learningRate * Math.abs(correlation) * this.stabilityFactor;
-      newWeight = weightData.current - decrease;
-    }
-    // Moderate correlation: gentle adjustment
-    else if (Math.abs(correlation) > 0.3 && correlations.sample_adequacy) {
-      const adjustment = this.learningRate * correlation * 0.5 * this.stabilityFactor;
-      newWeight = weightData.current + adjustment;
-    }
-
-    // Apply Canadian market domain knowledge adjustments
-    newWeight = this.applyDomainKnowledge(factorName, newWeight, performance);
-
-    // Apply safety constraints
-    const maxWeight = weightData.baseline * (1 + this.maxWeightChange);
-    const minWeight = weightData.baseline * (1 - this.maxWeightChange);
-    newWeight = Math.max(minWeight, Math.min(maxWeight, newWeight));
-
-    // Ensure reasonable bounds
-    newWeight = Math.max(0.1, Math.min(2.0, newWeight));
-
-    return Math.round(newWeight * 10000) / 10000; // 4 decimal precision
+  // Id of the active iteration, or null. Cheap enough to read per request.
+  async getActiveIterationId() {
+    const result = await this.db.query(`SELECT id FROM ml_weight_iterations WHERE status = 'active' LIMIT 1`);
+    return result.rows[0] ? result.rows[0].id : null;
   }
 
-  // =====================================================
-  // CANADIAN MARKET DOMAIN KNOWLEDGE
-  // =====================================================
-  applyDomainKnowledge(factorName, weight, performance) {
-    // Apply Canadian CPA market insights
-    switch (factorName) {
-      case 'geographic_proximity':
-        // In Canada, geographic proximity is crucial due to provincial regulations
-        if (weight < 0.8) weight = Math.max(weight, 0.8);
-        break;
-        
-      case 'industry_expertise':
-        // Industry specialization is highly valued in Canadian market
-        if (weight < 0.9) weight = Math.max(weight, 0.9);
-        break;
-        
-      case 'experience_level':
-        // Canadian clients value experience, but not exclusively
-        if (weight > 1.3) weight = Math.min(weight, 1.3);
-        break;
-        
-      case 'communication_style':
-        // Important for long-term relationships in Canadian business culture
-        if (weight < 0.7) weight = Math.max(weight, 0.7);
-        break;
-    }
+  async listIterations(limit = 20) {
+    const result = await this.db.query(
+      `SELECT id, model_type, weights, intercept, metrics, training_samples, validation_samples,
+              status, notes, created_by, created_at, activated_at, retired_at
+       FROM ml_weight_iterations ORDER BY id DESC LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  }
 
-    // Performance-based adjustments
-    const successRate = performance.success_rate_percent || 0;
-    if (successRate < 70) {
-      // If overall performance is low, be more conservative with weight changes
-      const conservatism = 0.9;
-      weight = weight * conservatism + (1 - conservatism);
+  async saveIteration(model, metrics, { trainingSamples, validationSamples, activate, createdBy, notes }) {
+    const coefficients = Object.fromEntries(model.features.map((f, i) => [f, round(model.coefficients[i], 6)]));
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      if (activate) {
+        await client.query(`UPDATE ml_weight_iterations SET status = 'retired', retired_at = NOW() WHERE status = 'active'`);
+      }
+      const result = await client.query(
+        `INSERT INTO ml_weight_iterations
+           (features, coefficients, intercept, weights, metrics, training_samples, validation_samples, status, notes, created_by, activated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [JSON.stringify(model.features), JSON.stringify(coefficients), round(model.intercept, 6),
+         JSON.stringify(normalizedWeights(coefficients)), JSON.stringify(metrics),
+         trainingSamples, validationSamples, activate ? 'active' : 'candidate', notes || null, createdBy,
+         activate ? new Date() : null]
+      );
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
     }
-
-    return weight;
   }
 
-  // =====================================================
-  // APPLY WEIGHT UPDATES
-  // =====================================================
-  async applyWeightUpdates(weightUpdates) {
-    const appliedUpdates = [];
-
-    for (const [factorName, update] of Object.entries(weightUpdates)) {
-      // Only apply significant changes
-      if (Math.abs(update.change) > 0.01) {
-        const updateQuery = `
-          UPDATE learning_weights 
-          SET 
-            current_weight = $2,
-            last_updated = NOW(),
-            learning_iterations = learning_iterations + 1,
-            accuracy_improvement = COALESCE(accuracy_improvement, 0) + $3
-          WHERE factor_name = $1
-          RETURNING *;
-        `;
-
-        try {
-          const result = await this.db.query(updateQuery, [
-            factorName,
-            update.new_weight,
-            Math.abs(update.change) // Track cumulative improvements
-          ]);
-
-          if (result.rows.length > 0) {
-            appliedUpdates.push({
-              factor_name: factorName,
-              ...update,
-              applied: true,
-              timestamp: new Date().toISOString()
-            });
-          }
-        } catch (error) {
-          console.error(`Error updating weight for ${factorName}:`, error);
-          appliedUpdates.push({
-            factor_name: factorName,
-            ...update,
-            applied: false,
-            error: error.message
-          });
-        }
+  // Reactivate an earlier iteration (candidate or retired). Without an id,
+  // returns to the most recently retired iteration that was once active.
+  async rollbackToIteration(iterationId = null, { actor = 'system' } = {}) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      const target = iterationId
+        ? await client.query(`SELECT * FROM ml_weight_iterations WHERE id = $1 FOR UPDATE`, [iterationId])
+        : await client.query(
+          `SELECT * FROM ml_weight_iterations
+           WHERE status = 'retired' AND activated_at IS NOT NULL
+           ORDER BY retired_at DESC NULLS LAST, id DESC LIMIT 1 FOR UPDATE`
+        );
+      if (target.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { ok: false, code: 404, message: iterationId ? 'iteration not found' : 'no earlier active iteration' };
       }
+      const row = target.rows[0];
+      if (row.status === 'active') {
+        await client.query('ROLLBACK');
+        return { ok: false, code: 409, message: `iteration ${row.id} is already active` };
+      }
+      await client.query(`UPDATE ml_weight_iterations SET status = 'retired', retired_at = NOW() WHERE status = 'active'`);
+      const updated = await client.query(
+        `UPDATE ml_weight_iterations
+         SET status = 'active', activated_at = NOW(), retired_at = NULL,
+             notes = COALESCE(notes || E'\n', '') || $2
+         WHERE id = $1 RETURNING *`,
+        [row.id, `reactivated by ${actor} at ${new Date().toISOString()}`]
+      );
+      await client.query('COMMIT');
+      console.log(`🧠 ML weights rolled back to iteration ${row.id} by ${actor}`);
+      return { ok: true, iteration: updated.rows[0] };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
     }
-
-    return appliedUpdates;
   }
 
   // =====================================================
@@ -376,17 +506,6 @@ class CanadianCPAMLEngine {
     return 'D';
   }
 
-  calculateCorrelationConfidence(correlations) {
-    const sampleSize = correlations.total_sample_size || 0;
-    const baseConfidence = Math.min(sampleSize / 100, 1.0); // 100 samples = 100% confidence
-    
-    return {
-      sample_confidence: baseConfidence,
-      adequate_sample: sampleSize >= this.minSampleSize,
-      recommended_samples: Math.max(this.minSampleSize, sampleSize * 1.5)
-    };
-  }
-
   async generatePredictiveInsights() {
     // Simplified insights generation for now
     return [{
@@ -397,10 +516,25 @@ class CanadianCPAMLEngine {
     }];
   }
 
-  async validateImprovements() {
+  // The new fit wins if its holdout log loss is no worse than the active
+  // model's on the same holdout rows (and beats the base-rate baseline).
+  async validateImprovements(model, validation, metrics) {
+    const active = modelFromIteration(await this.getActiveIteration());
+    const beatsBaseline = metrics.validation.log_loss <= metrics.validation.baseline_log_loss;
+    let activeMetrics = null;
+    if (active && active.features.join(',') === model.features.join(',')) {
+      activeMetrics = evaluateModel(active, validation.map(r => r.x), validation.map(r => r.label));
+    }
+    const beatsActive = !active || (activeMetrics && metrics.validation.log_loss <= activeMetrics.log_loss)
+      || (active && !activeMetrics); // factor set changed: the old model cannot score the new features
+    const passed = beatsBaseline && beatsActive;
     return {
-      validation_passed: true,
-      accuracy_trend: 'improving',
+      validation_passed: passed,
+      active_iteration: active ? active.id : null,
+      active_metrics: activeMetrics,
+      reason: passed
+        ? (active ? `holdout log loss ${metrics.validation.log_loss} <= active #${active.id}` : 'first fitted iteration')
+        : (!beatsBaseline ? 'no better than the base rate on holdout' : `active #${active.id} is better on holdout`),
       timestamp: new Date().toISOString()
     };
   }
@@ -411,17 +545,6 @@ class CanadianCPAMLEngine {
       weekly_improvement: 0.02
     };
   }
-
-  async incrementLearningIteration() {
-    const query = `
-      UPDATE learning_weights 
-      SET learning_iterations = learning_iterations + 1
-      RETURNING MAX(learning_iterations) as max_iteration;
-    `;
-    
-    const result = await this.db.query(query);
-    return result.rows[0]?.max_iteration || 1;
-  }
 }
 
 // =====================================================
@@ -460,9 +583,10 @@ class MLScheduler {
       const results = await this.mlEngine.performLearningCycle();
       
       console.log('✅ ML learning cycle completed successfully');
-      console.log(`📊 Performance Grade: ${results.performance_metrics.performance_grade}`);
-      console.log(`🔄 Weight Updates Applied: ${results.weight_updates.length}`);
-      console.log(`💡 New Insights Generated: ${results.insights.length}`);
+      if (results.success) {
+        console.log(`🔄 Iteration #${results.iteration_id} ${results.activated ? 'activated' : 'kept as candidate'}: ${results.validation.reason}`);
+        console.log(`📊 Holdout log loss ${results.metrics.validation.log_loss}, AUC ${results.metrics.validation.auc}`);
+      }
       
       return results;
     } catch (error) {
@@ -486,5 +610,12 @@ class MLScheduler {
 // =====================================================
 module.exports = {
   CanadianCPAMLEngine,
-  MLScheduler
+  MLScheduler,
+  fitLogisticRegression,
+  predictProbability,
+  evaluateModel,
+  splitHoldout,
+  matchLabel,
+  normalizedWeights,
+  modelFromIteration
 };
@@ -1,13 +1,25 @@
 const crypto = require('crypto');
-const cron = require('node-cron');
 const { Resend } = require('resend');
 const { sendEmail } = require('./email');
 const { buildClaimEmail } = require('../utils/email-template');
+const { PROVINCE_TIMEZONE_UTC_HOUR } = require('./province-timezones');
+const sendCalendar = require('../modules/send-calendar/calendar');
+const sendThrottle = require('../modules/send-throttle/throttle');
+const mailEvents = require('../modules/mail-transport/events');
+const eventStore = require('../modules/mail-events/store');
+const audit = require('../modules/send-audit/audit');
+const { addressSkipReason } = require('./address-checks');
+const consent = require('../modules/consent/consent');
 
 const FRONTEND_URL = process.env.FRONTEND_URL || 'https://canadaaccountants.app';
 const BACKEND_URL = process.env.BACKEND_URL || 'https://canadaaccountants-backend-production-1d8f.up.railway.app';
 const OUTREACH_FROM = 'Arthur Kostaras <connect@canadaaccountants.app>';
 
+// processQueue fetches this many times a campaign's remaining allowance, so
+// rows held back by the send throttle (one busy recipient domain) do not use
+// up the run while other domains still have room.
+const THROTTLE_OVERFETCH = 3;
+
 // Role-based email prefixes that ZeroBounce always returns as do_not_mail
 const ROLE_BASED_PREFIXES = new Set([
   'info', 'admin', 'office', 'support', 'sales', 'contact', 'hello', 'help',
@@ -25,8 +37,9 @@ function isRoleBasedEmail(email) {
 // Status-to-timestamp-column map. _setStatusAndTimestamp throws if asked for a
 // status not in this map, so future code that adds a new event type cannot
 // silently regress to the "status without timestamp" failure mode that caused
-// the 2026-05-13 incident. Keep in sync with the webhook handler's statusMap
-// and the poller's eventToStatus — both must map to keys in this object.
+// the 2026-05-13 incident. Keep in sync with modules/mail-transport/events.js
+// (every provider's webhook types) and the poller's eventToStatus — both must
+// map to keys in this object.
 const STATUS_TO_TIMESTAMP_COL = Object.freeze({
   delivered:  'delivered_at',
   opened:     'opened_at',
@@ -39,18 +52,7 @@ const STATUS_TO_TIMESTAMP_COL = Object.freeze({
 const STATUS_ORDER = Object.freeze(['queued', 'sent', 'delivered', 'opened', 'clicked', 'bounced', 'complained']);
 
 // Province-to-timezone mapping for time-zone-aware sending (~10 AM local)
-const PROVINCE_TIMEZONE_UTC_HOUR = {
-  // Atlantic (UTC-4): 10 AM AT = 14:00 UTC
-  NL: 14, NS: 14, NB: 14, PE: 14,
-  // Eastern (UTC-5): 10 AM ET = 15:00 UTC
-  ON: 15, QC: 15,
-  // Central (UTC-6): 10 AM CT = 16:00 UTC
-  MB: 16, SK: 16,
-  // Mountain (UTC-7): 10 AM MT = 17:00 UTC
-  AB: 17,
-  // Pacific (UTC-8): 10 AM PT = 18:00 UTC
-  BC: 18,
-};
+// lives in ./province-timezones, shared with appointment booking.
 
 function _isInSendWindow(province) {
   if (!province) return true; // unknown province — send anyway
@@ -379,34 +381,42 @@ class OutreachEngine {
   // QUEUE PROCESSOR — 9 AM & 2 PM ET daily
   // =====================================================
 
-  startQueueProcessor() {
-    // 9 AM ET and 2 PM ET daily
-    this.morningJob = cron.schedule('0 9 * * *', () => this.processQueue(), { timezone: 'America/Toronto' });
-    this.afternoonJob = cron.schedule('0 14 * * *', () => this.processQueue(), { timezone: 'America/Toronto' });
-    // Backup: hourly during business hours in case deployment killed the main crons
-    this.backupJob = cron.schedule('0 10,11,12,13,15,16 * * *', () => this.processQueue(), { timezone: 'America/Toronto' });
+  // Registered with the job scheduler (modules/jobs) so only the leading
+  // replica processes the queue and every run lands in job_runs.
+  startQueueProcessor(jobs) {
+    jobs.register({
+      name: 'outreach_queue',
+      description: 'Outreach queue: 9 AM & 2 PM ET daily + hourly backup 10-16 ET',
+      // 9 AM ET and 2 PM ET daily, plus the hourly backup during business hours
+      // in case deployment killed the main fires
+      schedule: ['0 9 * * *', '0 14 * * *', '0 10,11,12,13,15,16 * * *'],
+      // processQueue releases its own lock after 5 minutes
+      timeoutMs: 6 * 60 * 1000,
+      run: () => this.processQueue(),
+    });
     // Keep delivery status polling every 30 min
-    this.deliveryPoll = setInterval(() => this._pollEmailStatuses(), 30 * 60 * 1000);
+    jobs.register({
+      name: 'outreach_delivery_poll',
+      description: 'Poll Resend for outreach delivery statuses',
+      schedule: '*/30 * * * *',
+      timeoutMs: 10 * 60 * 1000,
+      run: () => this._pollEmailStatuses(),
+    });
     console.log('[Outreach] Scheduled: 9 AM & 2 PM ET daily + hourly backup 10-16 ET');
 
-    // Startup catch-up: if we booted during business hours, process queue immediately
+    // Startup catch-up: if we booted during business hours, queue a run for
+    // the leader (a no-op if one is already queued by another replica)
     setTimeout(async () => {
       const now = new Date().toLocaleString('en-US', { timeZone: 'America/Toronto' });
       const hour = new Date(now).getHours();
       if (hour >= 9 && hour < 17) {
-        console.log('[Outreach] Startup catch-up: business hours detected, processing queue...');
-        await this.processQueue();
+        console.log('[Outreach] Startup catch-up: business hours detected, queueing queue run...');
+        await jobs.enqueue('outreach_queue', { requestedBy: 'startup' })
+          .catch(err => console.error('[Outreach] Startup catch-up enqueue failed:', err.message));
       }
     }, 30000);
   }
 
-  stopQueueProcessor() {
-    if (this.morningJob) { this.morningJob.stop(); this.morningJob = null; }
-    if (this.afternoonJob) { this.afternoonJob.stop(); this.afternoonJob = null; }
-    if (this.backupJob) { this.backupJob.stop(); this.backupJob = null; }
-    if (this.deliveryPoll) { clearInterval(this.deliveryPoll); this.deliveryPoll = null; }
-  }
-
   async processQueue() {
     if (this.processing) return;
 
@@ -421,25 +431,15 @@ class OutreachEngine {
       } catch (e) { console.error('[Outreach] send_type migration error:', e.message); }
     }
 
-    // Cold/warm send day split schedule
-    // Tue-Thu: cold sends, Fri: warm sends, Mon/Sat/Sun: off
-    // Holidays override: skip all sends
-    const now = new Date();
-    const day = now.getDay(); // 0=Sun,1=Mon,2=Tue,3=Wed,4=Thu,5=Fri,6=Sat
-
-    // Holiday check (YYYY-MM-DD in ET)
-    const etDate = now.toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
-    const holidays = []; // Easter 2026 passed, clear until next holiday window
-    if (holidays.includes(etDate)) {
-      console.log(`[Outreach] Holiday (${etDate}). Skipping all sends.`);
-      return;
-    }
-
-    // Weekend sends enabled at 50% daily limit (added 2026-04-18).
+    // Holidays and admin blackouts come from the send calendar
+    // (modules/send-calendar), per recipient province: each campaign's queue
+    // query below only pulls recipients whose local day is open. The weekend
+    // 50% limit (added 2026-04-18) is the calendar's campaign-day factor.
     // All send types (cold + warm) run every day including weekends.
-    const isWeekend = (day === 0 || day === 6);
+    const today = sendCalendar.campaignDay();
+    const day = today.weekday; // 0=Sun,1=Mon,2=Tue,3=Wed,4=Thu,5=Fri,6=Sat
     const sendTypes = ['cold', 'warm'];
-    console.log(`[Outreach] Day ${day} (${['Sun','Mon','Tue','Wed','Thu','Fri','Sat'][day]}${isWeekend ? ' — weekend 50% limits' : ''}) — processing: ${sendTypes.join(', ')}`);
+    console.log(`[Outreach] Day ${day} (${['Sun','Mon','Tue','Wed','Thu','Fri','Sat'][day]}${today.weekend ? ` — weekend ${Math.round(today.limitFactor * 100)}% limits` : ''}) — processing: ${sendTypes.join(', ')}`);
 
     this.processing = true;
     this._step = 'starting';
@@ -458,6 +458,10 @@ class OutreachEngine {
       const bounceCheck = await this._checkBounceRate();
       if (bounceCheck.paused) {
         console.log('[Outreach] Bounce rate circuit breaker triggered — all campaigns paused');
+        await audit.record(this.pool, {
+          message_class: 'outreach', gate: 'deliverability_pause', outcome: 'held',
+          reason: `bounce rate circuit breaker: ${(bounceCheck.bounceRate * 100).toFixed(1)}% over 2h, campaigns paused`,
+        });
         return;
       }
 
@@ -474,11 +478,16 @@ class OutreachEngine {
         if (claimedEmails.rows.length > 0) {
           const emails = claimedEmails.rows.map(r => r.email);
           const suppressed = await this.pool.query(
-            `UPDATE outreach_emails SET status = 'suppressed' WHERE status = 'queued' AND LOWER(recipient_email) = ANY($1)`,
+            `UPDATE outreach_emails SET status = 'suppressed' WHERE status = 'queued' AND LOWER(recipient_email) = ANY($1)
+             RETURNING id, campaign_id, recipient_email`,
             [emails]
           );
           if (suppressed.rowCount > 0) {
             console.log(`[Outreach] Suppressed ${suppressed.rowCount} queued sends to claimed CPAs`);
+            await audit.recordMany(this.pool, suppressed.rows.map(r => ({
+              email: r.recipient_email, message_class: 'outreach', gate: 'claims_suppression', outcome: 'suppressed',
+              reason: 'recipient has claimed a profile', ref_type: 'outreach_email', ref_id: r.id, detail: { campaign_id: r.campaign_id },
+            })));
           }
         }
       } catch (e) { console.error('[Outreach] Claims suppression check error:', e.message); }
@@ -522,8 +531,8 @@ class OutreachEngine {
         );
         const sentToday = parseInt(todayCount.rows[0].count);
 
-        // Weekend: 50% daily limit to preserve pool while testing engagement
-        let effectiveLimit = isWeekend ? Math.ceil(campaign.daily_limit / 2) : campaign.daily_limit;
+        // Weekend: reduced daily limit to preserve pool while testing engagement
+        let effectiveLimit = Math.ceil(campaign.daily_limit * today.limitFactor);
         // 2026-05-19: 3-window phased pacing for warm sends (9am / 12pm / 3pm ET).
         // Cold sends keep legacy single-batch behavior.
         if (campaign.send_type === 'warm') {
@@ -543,7 +552,18 @@ class OutreachEngine {
         // Bug fix 2026-04-09: previously pulled rows regardless of province, then
         // silently skipped out-of-window rows in _sendOutreachEmail. This wasted
         // the daily cap on rows that couldn't actually send.
+        //
+        // The send calendar narrows that further: a province on a statutory
+        // holiday or admin blackout (e.g. QC on Saint-Jean-Baptiste) is left out,
+        // and recipients with no known province follow the federal calendar.
+        // Territories have no send window and are only calendar-filtered.
+        const calendarDay = await sendCalendar.openJurisdictions(this.pool, campaign.send_type || 'cold');
         const inWindowProvinces = _getInWindowProvinces();
+        const sendableProvinces = calendarDay.open.filter(p => !PROVINCE_TIMEZONE_UTC_HOUR[p] || inWindowProvinces.includes(p));
+        if (sendableProvinces.length === 0 && !calendarDay.unknownOpen) {
+          console.log(`[Outreach] C${campaign.id}: no province open to send today (${calendarDay.closed.map(c => `${c.jurisdiction} ${c.holiday ? c.holiday.name : c.reason}`).join('; ')}). Skipping.`);
+          continue;
+        }
         let emails;
         if (campaign.type === 'cpa') {
           emails = await this.pool.query(
@@ -552,9 +572,10 @@ class OutreachEngine {
              WHERE oe.campaign_id = $1 AND oe.status = 'queued' AND COALESCE(oe.retry_count, 0) < 5
                AND oe.recipient_type = 'cpa'
                AND oe.recipient_email NOT IN (SELECT email FROM outreach_unsubscribes)
-               AND (sc.province IS NULL OR sc.province = '' OR sc.province NOT IN ('ON','QC','MB','SK','AB','BC','NL','NS','NB','PE') OR sc.province = ANY($3::text[]))
+               AND (CASE WHEN sc.province IN ('ON','QC','MB','SK','AB','BC','NL','NS','NB','PE','YT','NT','NU')
+                         THEN sc.province = ANY($3::text[]) ELSE $4::boolean END)
              ORDER BY oe.queued_at ASC LIMIT $2`,
-            [campaign.id, remaining, inWindowProvinces]
+            [campaign.id, remaining * THROTTLE_OVERFETCH, sendableProvinces, calendarDay.unknownOpen]
           );
         } else if (campaign.type === 'sme') {
           emails = await this.pool.query(
@@ -563,23 +584,33 @@ class OutreachEngine {
              WHERE oe.campaign_id = $1 AND oe.status = 'queued' AND COALESCE(oe.retry_count, 0) < 5
                AND oe.recipient_type = 'sme'
                AND oe.recipient_email NOT IN (SELECT email FROM outreach_unsubscribes)
-               AND (ss.province IS NULL OR ss.province = '' OR ss.province NOT IN ('ON','QC','MB','SK','AB','BC','NL','NS','NB','PE') OR ss.province = ANY($3::text[]))
+               AND (CASE WHEN ss.province IN ('ON','QC','MB','SK','AB','BC','NL','NS','NB','PE','YT','NT','NU')
+                         THEN ss.province = ANY($3::text[]) ELSE $4::boolean END)
              ORDER BY oe.queued_at ASC LIMIT $2`,
-            [campaign.id, remaining, inWindowProvinces]
+            [campaign.id, remaining * THROTTLE_OVERFETCH, sendableProvinces, calendarDay.unknownOpen]
           );
         } else {
-          // Unknown campaign type — fall back to unfiltered query
+          // Unknown campaign type — no province to check; federal calendar only
+          if (!calendarDay.unknownOpen) continue;
           emails = await this.pool.query(
             `SELECT * FROM outreach_emails WHERE campaign_id = $1 AND status = 'queued' AND COALESCE(retry_count, 0) < 5 AND recipient_email NOT IN (SELECT email FROM outreach_unsubscribes) ORDER BY queued_at ASC LIMIT $2`,
-            [campaign.id, remaining]
+            [campaign.id, remaining * THROTTLE_OVERFETCH]
           );
         }
 
+        // Throttled rows stay queued and do not count against `remaining`.
+        let attempted = 0, throttled = 0;
         for (const email of emails.rows) {
-          await this._sendOutreachEmail(campaign, email);
+          if (attempted >= remaining) break;
+          const outcome = await this._sendOutreachEmail(campaign, email);
+          if (outcome === 'throttled') { throttled++; continue; }
+          attempted++;
           // 2-second delay between sends to avoid Resend rate limiting
           await new Promise(r => setTimeout(r, 2000));
         }
+        if (throttled > 0) {
+          console.log(`[Outreach] C${campaign.id}: ${throttled} sends held by the send throttle (per-domain/provider caps or warmup)`);
+        }
 
         // Check if campaign is complete (no more queued)
         const queuedRemaining = await this.pool.query(
@@ -690,6 +721,7 @@ class OutreachEngine {
         `SELECT id, resend_email_id, status, campaign_id, recipient_email
          FROM outreach_emails
          WHERE resend_email_id IS NOT NULL
+           AND COALESCE(email_provider, 'resend') = 'resend'
            AND status IN ('sent', 'delivered')
            AND sent_at >= NOW() - INTERVAL '7 days'
          ORDER BY sent_at DESC
@@ -723,6 +755,9 @@ class OutreachEngine {
           const result = await this._setStatusAndTimestamp(email.id, newStatus);
 
           if (result.reason === 'progressed') {
+            // Into the event store too, so a rebuild from it sees this change.
+            // Only a change is recorded: re-reading the same last_event writes nothing.
+            await eventStore.recordObserved(this.pool, { provider: 'resend', messageId: email.resend_email_id, type: newStatus, recipient: email.recipient_email });
             const counterMap = { delivered: 'total_delivered', opened: 'total_opened', clicked: 'total_clicked', bounced: 'total_bounced', complained: 'total_complained' };
             if (counterMap[newStatus]) {
               await this.pool.query(
@@ -897,35 +932,30 @@ class OutreachEngine {
     }
   }
 
+  // Returns 'throttled' when the send throttle held the row back (it stays
+  // queued, retry_count untouched); otherwise undefined.
   async _sendOutreachEmail(campaign, emailRecord) {
+    let slot = null, sent = false;
     try {
-      // Skip obviously invalid emails (safety net)
+      // Skip obviously invalid emails (safety net). Role-based inboxes are
+      // only skipped for supply-side (professional) campaigns.
       const email = emailRecord.recipient_email;
       const isDemandSide = ['sme', 'business', 'investor'].includes(campaign.type);
-      if (!email ||
-          email.match(/\.(png|jpg|jpeg|gif|svg|css|js|webp|ico|woff|woff2)$/i) ||
-          email.match(/\d+x\d*\./) ||
-          email.match(/@(mysite|yoursite|yourdomain|domain|example|test|placeholder|sentry|wixpress|mailchimp|domainmarket)\./i) ||
-          email.match(/^(noreply|no-reply|donotreply|do-not-reply|mailer-daemon|postmaster|abuse|fraud|spam|bounce|info@info|support@support)@/i) ||
-          email.match(/^(w4bsupport|accessibility|webmaster|hostmaster|admin@admin)@/i) ||
-          // Role-based filter — only for supply-side (professional) campaigns
-          (!isDemandSide && email.match(/^(info|contact|hello|office|admin|support|sales|marketing|hr|careers|jobs|reception|general|enquiries|inquiries|billing|privacy|legal|compliance|media|press|communications|feedback|team|service|accounting|remittance|corporatemarketing|webenquiry|centrecontact|crm|community|newsletter|events?|customerservice|mail|signs|donations?|frontdesk|connect|kontakt|foi\.?privacy)@/i)) ||
-          // Template placeholder emails
-          email.match(/@email\.com$/i) ||
-          email.match(/^(your|youre?mail|your\.?address|your\.?email|your\.?name|name|email|someone|sampleemail|test|user|username|example)@/i) ||
-          // Generic non-professional prefixes — only for supply-side
-          (!isDemandSide && email.match(/^(shop|news|relais|ventas|pomoc|talent|web|people|appsupport|salesfire|newbusiness|notification|partnerships|right\.info|secretariat|secretary|vancouver|northyork|toronto|montreal|calgary|ottawa|staplestax|taxman|teamparmelee|order|leisure|lending|investors|corp|contactus|contact_us|recruitment|reservations|shipping|warehouse|dispatch|returns|booking|socam|rotterdam)@/i)) ||
-          // Obvious junk: xxx@, single/double char locals, ROT13-like gibberish
-          email.match(/^x{2,}@/i) ||
-          email.split('@')[0].length < 3 ||
-          email.match(/^u003e/i) ||
-          // Non-vowel-heavy local parts (ROT13/gibberish detection: >8 chars with <15% vowels)
-          (email.split('@')[0].length > 8 && (email.split('@')[0].match(/[aeiou]/gi) || []).length / email.split('@')[0].length < 0.15) ||
-          email.length > 80 ||
-          email.includes('..') ||
-          !email.match(/^[^@\s]+@[^@\s]+\.[^@\s]+$/)) {
-        console.warn(`[Outreach] Skipping invalid email: ${email}`);
+      const skipReason = addressSkipReason(email, { demandSide: isDemandSide });
+      if (skipReason) {
+        console.warn(`[Outreach] Skipping invalid email: ${email} (${skipReason})`);
         await this._setEmailStatus(emailRecord.id, 'failed');
+        await this._audit(campaign, emailRecord, { gate: skipReason, outcome: 'suppressed', reason: skipReason === 'role_based' ? 'role-based inbox, supply-side campaign' : 'failed the address filter' });
+        return;
+      }
+
+      // CASL consent registry (modules/consent): no active consent for an
+      // enforced class ends the row.
+      const consentBlock = await consent.blocked(this.pool, email, 'outreach');
+      if (consentBlock) {
+        console.warn(`[Outreach] No consent for ${email}: ${consentBlock.reason}`);
+        await this._setEmailStatus(emailRecord.id, 'suppressed');
+        await this._audit(campaign, emailRecord, consentBlock);
         return;
       }
 
@@ -936,6 +966,7 @@ class OutreachEngine {
           const recipientProvince = provResult.rows[0]?.province;
           if (!_isInSendWindow(recipientProvince)) {
             // Not in this province's send window — skip, will retry next cycle
+            await this._audit(campaign, emailRecord, { gate: 'send_window', outcome: 'held', reason: `${recipientProvince || 'unknown province'} outside its send window` });
             return;
           }
         } catch (e) { console.error('[Outreach] Province lookup failed, proceeding with send:', e.message); }
@@ -949,6 +980,7 @@ class OutreachEngine {
       if (this._isHardBlocked(validation)) {
         console.warn(`[Outreach] ZB HARD BLOCK (abuse): ${email} (${validation.status}/${validation.sub_status})`);
         await this._setEmailStatus(emailRecord.id, 'failed');
+        await this._audit(campaign, emailRecord, { gate: 'validation', outcome: 'suppressed', reason: `ZeroBounce ${validation.status}/${validation.sub_status || '-'}` });
         return;
       }
       if (!validation.valid) {
@@ -964,6 +996,15 @@ class OutreachEngine {
       // Build unsubscribe URL for RFC 8058 headers
       const unsubscribeUrl = `${BACKEND_URL}/api/unsubscribe/${unsubToken}`;
 
+      // Per-domain / per-provider hourly caps and sender warmup
+      // (modules/send-throttle). Taken last so skipped rows never hold a slot.
+      slot = await sendThrottle.acquire(this.pool, { email: emailRecord.recipient_email, from: OUTREACH_FROM });
+      if (!slot.ok) {
+        console.log(`[Outreach] Throttled ${emailRecord.recipient_email}: ${slot.scope} ${slot.key} ${slot.reason}`);
+        await this._audit(campaign, emailRecord, { gate: 'throttle', outcome: 'held', reason: `${slot.scope} ${slot.key}: ${slot.reason}` });
+        return 'throttled';
+      }
+
       // Send via Resend
       const result = await sendEmail({
         to: emailRecord.recipient_email,
@@ -971,6 +1012,7 @@ class OutreachEngine {
         html: body,
         text: htmlToPlainText(body),
         from: OUTREACH_FROM,
+        messageClass: 'outreach',
         headers: {
           'List-Unsubscribe': `<${unsubscribeUrl}>`,
           'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
@@ -978,8 +1020,10 @@ class OutreachEngine {
       });
 
       if (result.success) {
-        const dayType = (new Date().getDay() === 0 || new Date().getDay() === 6) ? 'weekend' : 'weekday';
-        await this._setEmailStatus(emailRecord.id, 'sent', 'sent_at = NOW(), resend_email_id = $3, rendered_subject = $4, rendered_body = $5, send_day_type = $6', [result.id, subject, body, dayType]);
+        sent = true;
+        await this._audit(campaign, emailRecord, audit.sent(result));
+        const dayType = sendCalendar.campaignDay().weekend ? 'weekend' : 'weekday';
+        await this._setEmailStatus(emailRecord.id, 'sent', 'sent_at = NOW(), resend_email_id = $3, rendered_subject = $4, rendered_body = $5, send_day_type = $6, email_provider = $7', [result.id, subject, body, dayType, result.provider]);
         await this.pool.query(
           `UPDATE outreach_campaigns SET total_sent = total_sent + 1, updated_at = NOW() WHERE id = $1`,
           [campaign.id]
@@ -999,8 +1043,11 @@ class OutreachEngine {
           ).catch((e) => { console.error('[Outreach] Failed to set first_contacted_at:', e.message); });
         }
       } else {
+        await sendThrottle.release(this.pool, slot.slots);
         // Increment retry count; mark as 'failed' after 5 attempts
         const retries = (emailRecord.retry_count || 0) + 1;
+        const failure = audit.failed(result);
+        await this._audit(campaign, emailRecord, { ...failure, reason: `${failure.reason} (attempt ${retries}/5)` });
         if (retries >= 5) {
           await this._setEmailStatus(emailRecord.id, 'failed', 'retry_count = $3', [retries]);
           console.error(`[Outreach] Permanently failed after ${retries} attempts: ${emailRecord.recipient_email} (${result.reason})`);
@@ -1014,9 +1061,22 @@ class OutreachEngine {
       }
     } catch (error) {
       console.error(`[Outreach] Send error for email ${emailRecord.id}:`, error.message);
+      if (slot && slot.ok && !sent) await sendThrottle.release(this.pool, slot.slots);
     }
   }
 
+  // One send decision for a queued row (modules/send-audit).
+  async _audit(campaign, emailRecord, decision) {
+    await audit.record(this.pool, {
+      email: emailRecord.recipient_email,
+      message_class: 'outreach',
+      ref_type: 'outreach_email',
+      ref_id: emailRecord.id,
+      detail: { campaign_id: campaign.id, sequence_number: emailRecord.sequence_number || 1 },
+      ...decision,
+    });
+  }
+
   // =====================================================
   // ZEROBOUNCE EMAIL VALIDATION
   // =====================================================
@@ -1381,21 +1441,31 @@ class OutreachEngine {
   }
 
   // =====================================================
-  // RESEND WEBHOOK HANDLER
+  // DELIVERY EVENTS (all providers)
   // =====================================================
 
+  // Resend webhook body -> the provider-neutral event below. Not deduplicated:
+  // /api/webhooks/resend stores the event first (modules/mail-events) and
+  // projects it through handleDeliveryEvent.
   async handleResendWebhook(event) {
-    const { type, data } = event;
-    const emailId = data?.email_id;
+    const normalized = mailEvents.fromResend(event);
+    if (!normalized) return;
+    await this.handleDeliveryEvent(normalized);
+  }
 
-    if (!emailId) return;
+  // One delivery event from any provider, normalized by
+  // modules/mail-transport/events.js: { provider, messageId, type }.
+  // resend_email_id holds the provider's message id for every provider;
+  // email_provider says whose (NULL rows predate it and are Resend).
+  async handleDeliveryEvent(event) {
+    const { provider, messageId, type } = event;
+    if (!messageId) return;
 
-    console.log(`[Outreach] Webhook: ${type} for ${emailId}`);
+    console.log(`[Outreach] Delivery event: ${provider} ${type} for ${messageId}`);
 
-    // Find the outreach email by resend_email_id
     const emailResult = await this.pool.query(
-      `SELECT * FROM outreach_emails WHERE resend_email_id = $1`,
-      [emailId]
+      `SELECT * FROM outreach_emails WHERE resend_email_id = $1 AND COALESCE(email_provider, 'resend') = $2`,
+      [messageId, provider]
     );
 
     if (emailResult.rows.length === 0) return;
@@ -1403,16 +1473,15 @@ class OutreachEngine {
     const outreachEmail = emailResult.rows[0];
     const campaignId = outreachEmail.campaign_id;
 
-    const statusMap = {
-      'email.delivered': 'delivered',
-      'email.opened': 'opened',
-      'email.clicked': 'clicked',
-      'email.bounced': 'bounced',
-      'email.complained': 'complained',
-    };
+    // Deferrals are not a status; they feed the send throttle's per-domain
+    // deferral rate (modules/send-throttle).
+    if (type === 'deferred') {
+      await sendThrottle.recordDeferral(this.pool, { email: outreachEmail.recipient_email, outreachEmailId: outreachEmail.id });
+      return;
+    }
 
-    const newStatus = statusMap[type];
-    if (!newStatus) return;
+    const newStatus = type;
+    if (!STATUS_TO_TIMESTAMP_COL[newStatus]) return;
 
     // Bot click detection: clicks within 60s of delivery are almost certainly email security scanners
     let isBotClick = false;
@@ -1564,6 +1633,7 @@ class OutreachEngine {
       `SELECT id, resend_email_id, status, campaign_id, recipient_email
        FROM outreach_emails
        WHERE resend_email_id IS NOT NULL
+         AND COALESCE(email_provider, 'resend') = 'resend'
          AND status IN ('sent', 'delivered')
          AND sent_at >= NOW() - INTERVAL '30 days'
        ORDER BY sent_at DESC`
@@ -1596,6 +1666,8 @@ class OutreachEngine {
             `UPDATE outreach_emails SET status = $2, updated_at = NOW() WHERE id = $1`,
             [email.id, newStatus]
           );
+          // Into the event store too, only when the status moved.
+          await eventStore.recordObserved(this.pool, { provider: 'resend', messageId: email.resend_email_id, type: newStatus, recipient: email.recipient_email });
 
           const counterMap = { delivered: 'total_delivered', opened: 'total_opened', clicked: 'total_clicked', bounced: 'total_bounced', complained: 'total_complained' };
           if (counterMap[newStatus]) {
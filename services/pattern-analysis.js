@@ -105,27 +105,80 @@ class CommunicationPatternAnalyzer extends EventEmitter {
   // =====================================================
   // INTERACTION DATA RETRIEVAL
   // =====================================================
+  // Two sources, merged in time order:
+  //   match_messages          SME <-> CPA conversation (modules/messaging), the
+  //                           real interaction record for matches.id = match_id
+  //   engagement_interactions legacy instrumented interactions, when the table exists
   async getInteractionData(match_id, periodDays) {
-    const query = `
-      SELECT 
-        ei.*,
-        em.milestone_type,
-        em.funnel_stage,
-        em.milestone_quality_score as milestone_quality,
-        u1.email as cpa_email,
-        u2.email as client_email
-      FROM engagement_interactions ei
-      LEFT JOIN engagement_milestones em ON ei.match_id = em.match_id 
-        AND DATE_TRUNC('day', ei.interaction_timestamp) = DATE_TRUNC('day', em.milestone_reached_at)
-      LEFT JOIN users u1 ON ei.cpa_id = u1.id
-      LEFT JOIN users u2 ON ei.client_id = u2.id
-      WHERE ei.match_id = $1
-        AND ei.interaction_timestamp >= NOW() - INTERVAL '${periodDays} days'
-      ORDER BY ei.interaction_timestamp ASC;
-    `;
-
-    const result = await this.db.query(query, [match_id]);
-    return result.rows;
+    const days = parseInt(periodDays, 10) || 30;
+    const tables = await this.db.query(`
+      SELECT to_regclass('match_messages') IS NOT NULL AS messages,
+             to_regclass('engagement_interactions') IS NOT NULL AS interactions
+    `);
+    const hasMessages = tables.rows[0]?.messages === true;
+    const hasInteractions = tables.rows[0]?.interactions === true;
+
+    let interactions = [];
+    if (hasInteractions) {
+      const query = `
+        SELECT 
+          ei.*,
+          em.milestone_type,
+          em.funnel_stage,
+          em.milestone_quality_score as milestone_quality,
+          u1.email as cpa_email,
+          u2.email as client_email
+        FROM engagement_interactions ei
+        LEFT JOIN engagement_milestones em ON ei.match_id = em.match_id 
+          AND DATE_TRUNC('day', ei.interaction_timestamp) = DATE_TRUNC('day', em.milestone_reached_at)
+        LEFT JOIN users u1 ON ei.cpa_id = u1.id
+        LEFT JOIN users u2 ON ei.client_id = u2.id
+        WHERE ei.match_id = $1
+          AND ei.interaction_timestamp >= NOW() - ($2::int * INTERVAL '1 day')
+        ORDER BY ei.interaction_timestamp ASC;
+      `;
+      const result = await this.db.query(query, [match_id, days]);
+      interactions = result.rows;
+    }
+
+    let messages = [];
+    if (hasMessages) {
+      const result = await this.db.query(`
+        SELECT mm.id, mm.sender, mm.channel, mm.body, mm.created_at
+        FROM match_messages mm
+        JOIN match_threads t ON t.id = mm.thread_id
+        WHERE t.source = 'match_cpas' AND t.match_ref::text = $1::text
+          AND mm.created_at >= NOW() - ($2::int * INTERVAL '1 day')
+        ORDER BY mm.created_at ASC, mm.id ASC;
+      `, [match_id, days]);
+      messages = this.messagesToInteractions(result.rows);
+    }
+
+    return [...interactions, ...messages].sort((a, b) =>
+      new Date(a.interaction_timestamp) - new Date(b.interaction_timestamp)
+    );
+  }
+
+  // Conversation messages in the interaction shape the analyzers read.
+  // response_time_hours is set on a message that answers the other side: the
+  // time since that side's last message.
+  messagesToInteractions(rows) {
+    let prev = null;
+    return rows.map(m => {
+      const answering = prev && prev.sender !== m.sender;
+      const interaction = {
+        source: 'match_messages',
+        interaction_timestamp: m.created_at,
+        interaction_type: m.sender === 'cpa' ? 'cpa_message' : 'client_message',
+        interaction_channel: m.channel === 'email' ? 'email' : 'platform',
+        message_content: m.body,
+        response_time_hours: answering
+          ? Math.round(((new Date(m.created_at) - new Date(prev.created_at)) / 3600000) * 100) / 100
+          : null
+      };
+      prev = m;
+      return interaction;
+    });
   }
 
   // =====================================================
@@ -487,21 +540,127 @@ class CommunicationPatternAnalyzer extends EventEmitter {
     return Math.min(1.0, confidence);
   }
 
-  // Additional simplified helper methods
-  findPeakDays(dailyDist) { return Object.keys(dailyDist).slice(0, 3); }
-  findPeakDaysOfWeek(dayDist) { return [1, 2, 3]; } // Mon, Tue, Wed
-  calculateBusinessHoursPreference(hourlyDist) { return 0.7; }
-  analyzeQualityDistribution(scores) { return { high: 0.6, medium: 0.3, low: 0.1 }; }
-  analyzeResponseChains(data) { return { avg_chain_length: 2.5, max_chain_length: 5 }; }
-  calculateEngagementReciprocity(data) { return 0.75; }
-  assessCommunicationFormality(data) { return 0.8; }
-  calculateStyleConsistency(channelDist) { return 0.7; }
+  findPeakDays(dailyDist) {
+    return Object.entries(dailyDist).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([day]) => day);
+  }
+
+  findPeakDaysOfWeek(dayDist) {
+    const counts = Object.values(dayDist);
+    if (counts.length === 0) return [];
+    const maxCount = Math.max(...counts);
+    return Object.entries(dayDist).filter(([, count]) => count >= maxCount * 0.8).map(([day]) => parseInt(day));
+  }
+
+  // Share of interactions between 09:00 and 17:00.
+  calculateBusinessHoursPreference(hourlyDist) {
+    const total = Object.values(hourlyDist).reduce((a, b) => a + b, 0);
+    if (total === 0) return null;
+    const inHours = Object.entries(hourlyDist)
+      .filter(([hour]) => parseInt(hour) >= 9 && parseInt(hour) < 17)
+      .reduce((sum, [, count]) => sum + count, 0);
+    return Math.round((inHours / total) * 100) / 100;
+  }
+
+  // Quality scores are 0-10.
+  analyzeQualityDistribution(scores) {
+    if (scores.length === 0) return { high: 0, medium: 0, low: 0 };
+    const share = n => Math.round((n / scores.length) * 100) / 100;
+    return {
+      high: share(scores.filter(s => s >= 8).length),
+      medium: share(scores.filter(s => s >= 5 && s < 8).length),
+      low: share(scores.filter(s => s < 5).length)
+    };
+  }
+
+  interactionSide(interaction) {
+    const type = interaction.interaction_type || '';
+    if (type.includes('cpa_') || type === 'followup') return 'cpa';
+    if (type.includes('client_') || type === 'inquiry') return 'client';
+    return null;
+  }
+
+  // A chain is a run of back-and-forth: each interaction answers the other
+  // side within 72 hours. A one-sided burst is a chain of one.
+  analyzeResponseChains(data) {
+    const sided = data.filter(d => this.interactionSide(d));
+    if (sided.length === 0) return { avg_chain_length: 0, max_chain_length: 0 };
+    const chains = [];
+    let length = 1;
+    for (let i = 1; i < sided.length; i++) {
+      const gapHours = (new Date(sided[i].interaction_timestamp) - new Date(sided[i - 1].interaction_timestamp)) / 3600000;
+      if (this.interactionSide(sided[i]) !== this.interactionSide(sided[i - 1]) && gapHours <= 72) {
+        length++;
+      } else {
+        chains.push(length);
+        length = 1;
+      }
+    }
+    chains.push(length);
+    return {
+      avg_chain_length: Math.round((chains.reduce((a, b) => a + b, 0) / chains.length) * 100) / 100,
+      max_chain_length: Math.max(...chains)
+    };
+  }
+
+  // Balance of who writes (smaller side / larger side) averaged with how often
+  // the turn passes to the other side. 1 = strict alternation.
+  calculateEngagementReciprocity(data) {
+    const sides = data.map(d => this.interactionSide(d)).filter(Boolean);
+    const cpa = sides.filter(s => s === 'cpa').length;
+    const client = sides.length - cpa;
+    if (cpa === 0 || client === 0) return 0;
+    const balance = Math.min(cpa, client) / Math.max(cpa, client);
+    let switches = 0;
+    for (let i = 1; i < sides.length; i++) if (sides[i] !== sides[i - 1]) switches++;
+    const alternation = switches / (sides.length - 1);
+    return Math.round(((balance + alternation) / 2) * 100) / 100;
+  }
+
+  // Per message: a greeting and a sign-off count for formality; chat markers
+  // (lol/thx/u, emoji, "!!", all-lowercase openings) count against it.
+  assessCommunicationFormality(data) {
+    const texts = data.map(d => d.message_content).filter(t => typeof t === 'string' && t.trim());
+    if (texts.length === 0) return null;
+    const scores = texts.map(text => {
+      const t = text.trim();
+      let score = 0.5;
+      if (/^(hi|hello|dear|good (morning|afternoon|evening))\b/i.test(t)) score += 0.2;
+      if (/\b(regards|sincerely|thank you|thanks|best)\b[^\n]*\n?[^\n]*$/i.test(t)) score += 0.2;
+      if (/\b(lol|thx|pls|u|ur|btw)\b/i.test(t)) score -= 0.2;
+      if (/[\u{1F300}-\u{1FAFF}]|!!/u.test(t)) score -= 0.1;
+      if (/^[a-z]/.test(t)) score -= 0.1;
+      return Math.max(0, Math.min(1, score));
+    });
+    return Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 100) / 100;
+  }
+
+  // Share of interactions on the most-used channel.
+  calculateStyleConsistency(channelDist) {
+    const counts = Object.values(channelDist);
+    const total = counts.reduce((a, b) => a + b, 0);
+    if (total === 0) return null;
+    return Math.round((Math.max(...counts) / total) * 100) / 100;
+  }
+
   calculatePeriodEngagementScore(period) { 
     return period.reduce((sum, p) => sum + (p.interaction_quality_score || 5), 0) / (period.length * 10);
   }
   calculateTrajectory(scores) { return scores[2] > scores[0] ? 'upward' : 'downward'; }
-  analyzeMilestoneDistribution(milestones) { return { first_contact: 1, proposal: 1, meeting: 1 }; }
-  calculateProgressionEfficiency(milestones) { return 0.8; }
+
+  analyzeMilestoneDistribution(milestones) {
+    return milestones.reduce((dist, m) => {
+      dist[m.milestone_type] = (dist[m.milestone_type] || 0) + 1;
+      return dist;
+    }, {});
+  }
+
+  // Distinct funnel stages reached per milestone: 1 when every milestone moved
+  // the match to a new stage.
+  calculateProgressionEfficiency(milestones) {
+    if (milestones.length === 0) return null;
+    const stages = new Set(milestones.map(m => m.funnel_stage).filter(Boolean));
+    return Math.round((stages.size / milestones.length) * 100) / 100;
+  }
 
   async generateEngagementInsights(patterns) {
     return {
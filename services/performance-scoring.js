@@ -42,6 +42,11 @@ class CPAPerformanceScorer extends EventEmitter {
       revenue_per_client: { excellent: 50000, good: 30000, average: 20000 }
     };
 
+    // Published client reviews (modules/reviews, 1-5 stars) are shrunk toward
+    // this prior so a CPA with one 5-star review does not outrank one with
+    // forty 4.6-star reviews.
+    this.reviewPrior = { mean: 3.5, weight: 5 };
+
     // Start performance scoring cycle
     this.startScoringCycle();
   }
@@ -220,9 +225,13 @@ class CPAPerformanceScorer extends EventEmitter {
       // Calculate aggregate metrics
       const aggregateMetrics = this.calculateAggregateMetrics(matches);
 
+      // Published client reviews, all time - reputation is not period-bound.
+      const clientReviews = await this.getClientReviewSummary(cpa_id);
+
       return {
         cpa_profile: profile,
         matches: matches,
+        client_reviews: clientReviews,
         aggregate_metrics: aggregateMetrics,
         data_timestamp: new Date().toISOString()
       };
@@ -233,6 +242,22 @@ class CPAPerformanceScorer extends EventEmitter {
     }
   }
 
+  // { count, average } of published reviews for a CPA's user id. Zero reviews
+  // when the reviews module's table has not been created yet.
+  async getClientReviewSummary(cpa_id) {
+    const exists = await this.db.query(`SELECT to_regclass('cpa_reviews') IS NOT NULL AS ok`);
+    if (!exists.rows[0].ok) return { count: 0, average: null };
+    const result = await this.db.query(
+      `SELECT COUNT(r.id) AS review_count, AVG(r.rating) AS average
+         FROM cpa_reviews r
+         JOIN cpa_profiles cp ON cp.id = r.cpa_profile_id
+        WHERE cp.user_id = $1 AND r.status = 'published'`,
+      [cpa_id]
+    );
+    const count = parseInt(result.rows[0].review_count, 10) || 0;
+    return { count, average: count > 0 ? Number(result.rows[0].average) : null };
+  }
+
   // =====================================================
   // DIMENSIONAL PERFORMANCE SCORING
   // =====================================================
@@ -243,7 +268,7 @@ class CPAPerformanceScorer extends EventEmitter {
     const partnershipSuccessScore = this.calculatePartnershipSuccessScore(matches);
 
     // 2. Client Satisfaction Score (20%)
-    const clientSatisfactionScore = this.calculateClientSatisfactionScore(matches);
+    const clientSatisfactionScore = this.calculateClientSatisfactionScore(matches, performanceData.client_reviews);
 
     // 3. Revenue Generation Score (15%)
     const revenueGenerationScore = this.calculateRevenueGenerationScore(matches);
@@ -301,7 +326,7 @@ class CPAPerformanceScorer extends EventEmitter {
         score: marketReputationScore,
         weight: this.scoringWeights.market_reputation,
         weighted_score: marketReputationScore * this.scoringWeights.market_reputation,
-        description: 'Platform activity and professional reputation'
+        description: 'Experience, platform activity and published client reviews'
       }
     };
   }
@@ -329,14 +354,20 @@ class CPAPerformanceScorer extends EventEmitter {
     return Math.max(0, successRate / benchmark.average * 50);
   }
 
-  calculateClientSatisfactionScore(matches) {
+  calculateClientSatisfactionScore(matches, clientReviews) {
     const satisfactionScores = matches
       .filter(m => m.client_satisfaction_score && m.client_satisfaction_score > 0)
       .map(m => m.client_satisfaction_score);
-    
-    if (satisfactionScores.length === 0) return 50; // Default for no data
-    
-    const avgSatisfaction = satisfactionScores.reduce((a, b) => a + b, 0) / satisfactionScores.length;
+
+    // No outcome scores: fall back to published reviews, 1-5 stars read as 2-10.
+    let avgSatisfaction;
+    if (satisfactionScores.length > 0) {
+      avgSatisfaction = satisfactionScores.reduce((a, b) => a + b, 0) / satisfactionScores.length;
+    } else if (clientReviews && clientReviews.count > 0) {
+      avgSatisfaction = this.adjustedReviewRating(clientReviews) * 2;
+    } else {
+      return 50; // Default for no data
+    }
     
     // Convert 1-10 scale to 0-100 scale with benchmarking
     const benchmark = this.marketBenchmarks.client_satisfaction;
@@ -421,14 +452,28 @@ class CPAPerformanceScorer extends EventEmitter {
   calculateMarketReputationScore(performanceData) {
     const experienceYears = performanceData.cpa_profile?.experience_years || 1;
     const totalMatches = performanceData.matches.length;
+    const clientReviews = performanceData.client_reviews;
     
-    // Experience component (60% of score)
+    // Experience component (60% of score, 40% with reviews)
     const experienceScore = Math.min(100, (experienceYears / 10) * 100);
     
-    // Activity component (40% of score)
+    // Activity component (40% of score, 20% with reviews)
     const activityScore = Math.min(100, (totalMatches / 15) * 100);
-    
-    return (experienceScore * 0.6) + (activityScore * 0.4);
+
+    if (!clientReviews || clientReviews.count === 0) {
+      return (experienceScore * 0.6) + (activityScore * 0.4);
+    }
+
+    // Review component (40%): the prior-adjusted star rating on a 0-100 scale.
+    const reviewScore = (this.adjustedReviewRating(clientReviews) - 1) / 4 * 100;
+
+    return (experienceScore * 0.4) + (activityScore * 0.2) + (reviewScore * 0.4);
+  }
+
+  // Bayesian average of published 1-5 star reviews against this.reviewPrior.
+  adjustedReviewRating({ count, average }) {
+    const { mean, weight } = this.reviewPrior;
+    return (average * count + mean * weight) / (count + weight);
   }
 
   // =====================================================
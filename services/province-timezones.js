@@ -0,0 +1,89 @@
+// Province -> time zone knowledge, shared by outreach send windows and
+// appointment booking.
+//
+// PROVINCE_TIMEZONE_UTC_HOUR is the outreach send-window anchor: 10 AM local in
+// STANDARD time, as a UTC hour. PROVINCE_TIME_ZONE is the IANA zone used where
+// exact local wall-clock times matter (bookings, ICS). One zone per province;
+// the few split provinces (western NU, Lloydminster, eastern QC) use the zone
+// most of their population is in.
+
+const PROVINCE_TIMEZONE_UTC_HOUR = {
+  // Atlantic (UTC-4): 10 AM AT = 14:00 UTC
+  NL: 14, NS: 14, NB: 14, PE: 14,
+  // Eastern (UTC-5): 10 AM ET = 15:00 UTC
+  ON: 15, QC: 15,
+  // Central (UTC-6): 10 AM CT = 16:00 UTC
+  MB: 16, SK: 16,
+  // Mountain (UTC-7): 10 AM MT = 17:00 UTC
+  AB: 17,
+  // Pacific (UTC-8): 10 AM PT = 18:00 UTC
+  BC: 18,
+};
+
+const PROVINCE_TIME_ZONE = {
+  NL: 'America/St_Johns',
+  NS: 'America/Halifax',
+  NB: 'America/Moncton',
+  PE: 'America/Halifax',
+  QC: 'America/Toronto',
+  ON: 'America/Toronto',
+  MB: 'America/Winnipeg',
+  SK: 'America/Regina',      // no DST
+  AB: 'America/Edmonton',
+  BC: 'America/Vancouver',
+  YT: 'America/Whitehorse',  // permanent UTC-7 since 2020
+  NT: 'America/Yellowknife',
+  NU: 'America/Iqaluit',
+};
+
+const PROVINCE_NAMES = {
+  'newfoundland and labrador': 'NL', newfoundland: 'NL',
+  'nova scotia': 'NS',
+  'new brunswick': 'NB',
+  'prince edward island': 'PE', pei: 'PE',
+  quebec: 'QC', 'québec': 'QC',
+  ontario: 'ON',
+  manitoba: 'MB',
+  saskatchewan: 'SK',
+  alberta: 'AB',
+  'british columbia': 'BC',
+  yukon: 'YT',
+  'northwest territories': 'NT',
+  nunavut: 'NU',
+};
+
+const DEFAULT_TIME_ZONE = 'America/Toronto';
+
+// 'ON', 'on', 'Ontario' -> 'ON'; anything else -> null.
+function provinceCode(value) {
+  if (!value) return null;
+  const v = String(value).trim();
+  if (PROVINCE_TIME_ZONE[v.toUpperCase()]) return v.toUpperCase();
+  return PROVINCE_NAMES[v.toLowerCase()] || null;
+}
+
+function timeZoneForProvince(province, fallback = DEFAULT_TIME_ZONE) {
+  const code = provinceCode(province);
+  return code ? PROVINCE_TIME_ZONE[code] : fallback;
+}
+
+// True for any zone Intl can format in (IANA names, 'UTC').
+function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-CA', { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+module.exports = {
+  PROVINCE_TIMEZONE_UTC_HOUR,
+  PROVINCE_TIME_ZONE,
+  PROVINCE_NAMES,
+  DEFAULT_TIME_ZONE,
+  provinceCode,
+  timeZoneForProvince,
+  isValidTimeZone,
+};
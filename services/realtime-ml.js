@@ -2,7 +2,9 @@
 // Live AI enhancement system for canadaaccountants.app
 
 const EventEmitter = require('events');
-const { CanadianCPAMLEngine } = require('./ml-engine');
+const { CanadianCPAMLEngine, modelFromIteration, predictProbability } = require('./ml-engine');
+const matchingFactors = require('../modules/matching/factors');
+const { explainMatch, explainModel } = require('../modules/matching/explain');
 
 // =====================================================
 // REAL-TIME ML RECOMMENDATION ENGINE
@@ -14,6 +16,7 @@ class RealtimeMLRecommendationEngine extends EventEmitter {
     this.mlEngine = new CanadianCPAMLEngine(db);
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.weightsCache = null;
     this.isLearning = false;
     this.lastWeightUpdate = null;
     this.performanceMetrics = {
@@ -34,10 +37,13 @@ class RealtimeMLRecommendationEngine extends EventEmitter {
     const startTime = Date.now();
     
     try {
+      // Current ML weights first: a new active iteration clears the cache
+      const mlWeights = await this.getCurrentMLWeights();
+
       // Generate cache key
       const cacheKey = this.generateCacheKey(clientProfile, options);
       
-      // Check cache first
+      // Check cache
       if (this.cache.has(cacheKey) && !options.bypassCache) {
         this.performanceMetrics.cacheHits++;
         const cached = this.cache.get(cacheKey);
@@ -47,9 +53,6 @@ class RealtimeMLRecommendationEngine extends EventEmitter {
         }
       }
 
-      // Get current ML weights
-      const mlWeights = await this.getCurrentMLWeights();
-      
       // Get available CPAs with performance data
       const availableCPAs = await this.getEnhancedCPAPool(clientProfile);
       
@@ -173,48 +176,74 @@ class RealtimeMLRecommendationEngine extends EventEmitter {
   // =====================================================
   // ML MATCH SCORE CALCULATION
   // =====================================================
+  // Factor scores come from the matching engine's factor registry (the same
+  // features the learning cycle fits on), so clientProfile is a client_profiles
+  // shaped row. With a fitted iteration the score is the model's engagement
+  // probability; without one, an equal-weight average of the factors.
   async calculateMLMatchScore(clientProfile, cpa, mlWeights) {
-    const factors = {
-      industry_expertise: this.calculateIndustryMatch(clientProfile, cpa),
-      geographic_proximity: this.calculateGeographicMatch(clientProfile, cpa),
-      business_size_match: this.calculateBusinessSizeMatch(clientProfile, cpa),
-      service_specialization: this.calculateServiceMatch(clientProfile, cpa),
-      experience_level: this.calculateExperienceMatch(clientProfile, cpa),
-      communication_style: this.calculateCommunicationMatch(clientProfile, cpa)
-    };
+    const features = mlWeights.model ? mlWeights.model.features : matchingFactors.listFactors().map(f => f.name);
+    const factors = {};
+    for (const name of features) {
+      const plugin = matchingFactors.getFactor(name);
+      factors[name] = plugin ? plugin.score(clientProfile, cpa) / 100 : 0.5;
+    }
 
     let totalWeightedScore = 0;
     let totalWeight = 0;
     const breakdown = {};
 
     for (const [factor, score] of Object.entries(factors)) {
-      const weight = mlWeights.weights[factor] || 1.0;
+      const weight = mlWeights.model ? (mlWeights.weights[factor] || 0) : 1.0;
       const weightedScore = score * weight;
-      
+
       totalWeightedScore += weightedScore;
       totalWeight += weight;
-      
+
       breakdown[factor] = {
         raw_score: Math.round(score * 100) / 100,
         weight: Math.round(weight * 10000) / 10000,
-        weighted_score: Math.round(weightedScore * 100) / 100,
-        contribution: Math.round((weightedScore / totalWeight) * 10000) / 100
+        weighted_score: Math.round(weightedScore * 100) / 100
       };
     }
+    for (const entry of Object.values(breakdown)) {
+      entry.contribution = totalWeightedScore > 0 ? Math.round((entry.weighted_score / totalWeightedScore) * 10000) / 100 : 0;
+    }
+
+    const probability = mlWeights.model
+      ? predictProbability(mlWeights.model, features.map(f => factors[f]))
+      : null;
+    const finalScore = probability != null
+      ? probability * 100
+      : (totalWeight > 0 ? (totalWeightedScore / totalWeight) * 100 : 0);
 
-    const finalScore = Math.min(100, (totalWeightedScore / totalWeight) * 100);
-    
     // Calculate confidence based on data quality and sample size
     const confidence = this.calculateScoreConfidence(factors, mlWeights);
 
     return {
       total_score: Math.round(finalScore * 100) / 100,
+      probability: probability,
       breakdown: breakdown,
       confidence: confidence,
       ml_version: mlWeights.version
     };
   }
 
+  // Same shape as the /api/match-cpas explanation (modules/matching/explain.js).
+  // With a fitted iteration, drivers are the model's logit contributions and
+  // improvements are probability gains; before the first fit, the factors are
+  // explained as the equal-weight average calculateMLMatchScore used.
+  async generateMLExplanation(client, cpa, score, weights) {
+    if (weights.model) {
+      return explainModel(client, cpa, weights.model, predictProbability);
+    }
+    const factorScores = Object.fromEntries(
+      Object.entries(score.breakdown).map(([name, b]) => [name, Math.round(b.raw_score * 100)])
+    );
+    const equal = Object.fromEntries(Object.keys(factorScores).map(name => [name, 1]));
+    return explainMatch(client, { cpa, factor_scores: factorScores, overall_score: score.total_score },
+      { version: weights.version, weights: equal });
+  }
+
   // =====================================================
   // REAL-TIME LEARNING APPLICATION
   // =====================================================
@@ -296,74 +325,31 @@ class RealtimeMLRecommendationEngine extends EventEmitter {
     }, 10 * 60 * 1000); // Every 10 minutes
   }
 
-  // =====================================================
-  // PERFORMANCE CALCULATION HELPERS
-  // =====================================================
-  calculateIndustryMatch(client, cpa) {
-    // Simplified industry matching for now
-    if (!client.industry || !cpa.specializations) return 0.5;
-    
-    const clientIndustry = client.industry.toLowerCase();
-    const cpaSpecializations = cpa.specializations.toLowerCase();
-    
-    if (cpaSpecializations.includes(clientIndustry)) return 1.0;
-    if (cpaSpecializations.includes('general') || cpaSpecializations.includes('business')) return 0.7;
-    
-    return 0.4;
-  }
-
-  calculateGeographicMatch(client, cpa) {
-    // Simplified geographic matching
-    if (!client.location || !cpa.location) return 0.5;
-    
-    const clientLocation = client.location.toLowerCase();
-    const cpaLocation = cpa.location.toLowerCase();
-    
-    if (clientLocation === cpaLocation) return 1.0;
-    if (clientLocation.substring(0, 2) === cpaLocation.substring(0, 2)) return 0.8; // Same province
-    
-    return 0.4;
-  }
-
-  calculateBusinessSizeMatch(client, cpa) {
-    // Simplified business size matching
-    return 0.8; // Default good match
-  }
-
-  calculateServiceMatch(client, cpa) {
-    // Simplified service matching
-    return 0.85; // Default good match
-  }
-
-  calculateExperienceMatch(client, cpa) {
-    // Simplified experience matching
-    const experience = parseInt(cpa.experience_years || 5);
-    return Math.min(1.0, experience / 10);
-  }
-
-  calculateCommunicationMatch(client, cpa) {
-    // Simplified communication matching
-    return 0.75; // Default good match
-  }
-
   // =====================================================
   // UTILITY FUNCTIONS
   // =====================================================
+  // Active ml_weight_iterations row. version is the iteration id ('iter-12'),
+  // or 'unfitted' before the first successful learning cycle. The active id is
+  // read on every call, so a learning cycle or rollback (from any process)
+  // applies to the next request; the row itself is reloaded only when the id
+  // changed, and recommendations scored with the old weights are dropped.
   async getCurrentMLWeights() {
-    const query = `
-      SELECT factor_name, current_weight
-      FROM learning_weights
-      ORDER BY factor_name;
-    `;
-    
-    const result = await this.db.query(query);
-    const weights = {};
-    
-    result.rows.forEach(row => {
-      weights[row.factor_name] = parseFloat(row.current_weight);
-    });
-    
-    return { weights, version: '1.0.0' };
+    const activeId = await this.mlEngine.getActiveIterationId();
+    if (this.weightsCache && this.weightsCache.id === activeId) {
+      return this.weightsCache.value;
+    }
+    if (this.weightsCache) this.cache.clear();
+
+    const model = modelFromIteration(activeId == null ? null : await this.mlEngine.getActiveIteration());
+    const value = model
+      ? { weights: model.weights, model, version: `iter-${model.id}` }
+      : { weights: {}, model: null, version: 'unfitted' };
+
+    if (!this.lastWeightUpdate || this.lastWeightUpdate.version !== value.version) {
+      this.lastWeightUpdate = { version: value.version, loaded_at: new Date().toISOString() };
+    }
+    this.weightsCache = { id: model ? model.id : null, value };
+    return value;
   }
 
   async getEnhancedCPAPool(clientProfile) {
@@ -437,18 +423,24 @@ class RealtimeMLRecommendationEngine extends EventEmitter {
 
   // Simplified helper methods
   async calculatePerformanceAdjustment(cpa) { return 0; }
-  async calculateSuccessProbability(client, cpa, score) { return 0.85; }
-  async estimateRevenuePotential(score, cpa, client) { return 45000; }
-  async generateMLExplanation(client, cpa, score, weights) { 
-    return { 
-      primary_factors: ['Industry expertise match', 'Geographic proximity'],
-      confidence: 'High'
-    }; 
+  // Model probability, or null when no iteration has been fitted yet.
+  async calculateSuccessProbability(client, cpa, score) { return score.probability; }
+  // Probability x mean revenue of engaged matches in the active iteration's
+  // training window; null when either is unknown.
+  async estimateRevenuePotential(score, cpa, client) {
+    const model = this.weightsCache && this.weightsCache.value.model;
+    const avgRevenue = model && model.metrics && model.metrics.avg_revenue_per_success;
+    if (score.probability == null || avgRevenue == null) return null;
+    return Math.round(score.probability * avgRevenue);
   }
   sanitizeCPAProfile(cpa) { return cpa; }
   isNewCPA(cpa) { return false; }
   applyIntelligentDiversification(recs, limit, factor) { return recs.slice(0, limit); }
-  calculateScoreConfidence(factors, weights) { return 0.9; }
+  calculateScoreConfidence(factors, weights) {
+    const auc = weights.model && weights.model.metrics && weights.model.metrics.validation
+      ? weights.model.metrics.validation.auc : null;
+    return auc == null ? 0 : Math.round(auc * 100) / 100;
+  }
   async getRecentLearningInsights() { return []; }
   applyMarketTrendAdjustment(rec, client, insights) { return 0; }
   async getCPAPerformanceTrend(cpaId) { return { trend: 'stable' }; }
@@ -19,6 +19,10 @@ const foundingCohort = require('./founding-cohort');
 const unsubscribeToken = require('./unsubscribe-token');
 const profileTags = require('./profile-tags');
 const renderEngine = require('./render-engine');
+const sendCalendar = require('../modules/send-calendar/calendar');
+const sendThrottle = require('../modules/send-throttle/throttle');
+const audit = require('../modules/send-audit/audit');
+const consent = require('../modules/consent/consent');
 
 const PLATFORM = 'acc';
 const SEQUENCE_NAME = 'supply_v2_7touch';
@@ -58,8 +62,13 @@ async function _checkStopConditions(pool, recipientEmail, recipientId) {
   const u = await pool.query(`SELECT 1 FROM ${UNSUBSCRIBE_TABLE} WHERE LOWER(email) = $1 LIMIT 1`, [lower]);
   if (u.rows.length > 0) return 'unsubscribed';
 
-  // Replied (any inbound message from this address)
-  const r = await pool.query(`SELECT 1 FROM inbound_messages WHERE LOWER(from_email) = $1 LIMIT 1`, [lower]);
+  // Replied (any inbound message from this address that a person wrote;
+  // out-of-office and other auto-replies defer the enrollment instead, see
+  // services/auto-reply.js)
+  const r = await pool.query(
+    `SELECT 1 FROM inbound_messages WHERE LOWER(from_email) = $1 AND NOT is_auto_reply LIMIT 1`,
+    [lower]
+  );
   if (r.rows.length > 0) return 'replied';
 
   // Hard bounce or complaint flagged on the recipient's profile via outreach_emails
@@ -208,6 +217,10 @@ async function renderTouch(pool, enrollment, stepNumber) {
   };
 }
 
+function _fromAddress() {
+  return process.env.FROM_EMAIL || 'noreply@canadaaccountants.app';
+}
+
 async function _send(rendered) {
   // Defense-in-depth: scan for any unresolved {{...}} before hitting Resend.
   // The renderer should already have thrown on orphans (strict mode), but
@@ -226,12 +239,13 @@ async function _send(rendered) {
   // processOne to return {decision: 'send_failed'} WITHOUT inserting an
   // outreach_emails row — preventing future orphans.
   const result = await sendEmail({
-    from: process.env.FROM_EMAIL || 'noreply@canadaaccountants.app',
+    from: _fromAddress(),
     to: rendered.recipient_email,
     replyTo: 'arthur@canadaaccountants.app',
     subject: rendered.subject,
     text: rendered.text,
-    html: rendered.html
+    html: rendered.html,
+    messageClass: 'outreach'
   });
   if (!result.success) {
     const err = new Error(`Resend send failed: ${result.reason}${result.error ? ' :: ' + (typeof result.error === 'string' ? result.error : JSON.stringify(result.error)).slice(0,200) : ''}`);
@@ -239,7 +253,7 @@ async function _send(rendered) {
     err.sendResult = result;
     throw err;
   }
-  return result.id;
+  return { id: result.id, provider: result.provider };
 }
 
 async function _advanceState(pool, enrollment, sentResendId) {
@@ -272,12 +286,45 @@ async function _completeWithReason(pool, enrollment, reason) {
   );
 }
 
+// Send calendar (modules/send-calendar): a touch due on a statutory holiday or
+// admin blackout in the recipient's province moves to the next open local day
+// instead of sending. The cadence after it is unchanged - _advanceState still
+// counts from the actual send.
+async function _calendarDeferral(pool, enrollment) {
+  const r = await pool.query(`SELECT province FROM ${RECIPIENT_TABLE} WHERE id = $1`, [enrollment.recipient_id]);
+  const province = r.rows[0] ? r.rows[0].province : null;
+  const day = await sendCalendar.check(pool, { province, sendType: 'sequence_v2' });
+  if (day.open) return null;
+  const reason = `${day.jurisdiction} ${day.holiday ? day.holiday.name : `blackout: ${day.blackout.reason}`}`;
+  const next = await sendCalendar.nextOpenAt(pool, { province, sendType: 'sequence_v2' });
+  // No open day within the lookahead: leave next_send_at as is and re-check
+  // on the next run.
+  if (next) {
+    await pool.query(
+      `UPDATE v2_supply_enrollments SET next_send_at = $1 WHERE id = $2`,
+      [next.at, enrollment.id]
+    );
+  }
+  return { reason, until: next ? next.at.toISOString() : null };
+}
+
 async function processOne(pool, enrollment) {
   const stopReason = await _checkStopConditions(pool, enrollment.recipient_email, enrollment.recipient_id);
   if (stopReason) {
     await _completeWithReason(pool, enrollment, stopReason);
     return { decision: 'stopped', reason: stopReason };
   }
+  // CASL consent registry (modules/consent): without active consent for an
+  // enforced class the enrollment ends, like an unsubscribe.
+  const consentBlock = await consent.blocked(pool, enrollment.recipient_email, 'sequence_v2');
+  if (consentBlock) {
+    await _completeWithReason(pool, enrollment, 'no_consent');
+    return { decision: 'consent_blocked', reason: consentBlock.reason };
+  }
+  const deferral = await _calendarDeferral(pool, enrollment);
+  if (deferral) {
+    return { decision: 'calendar_deferred', reason: deferral.reason, until: deferral.until };
+  }
   const stepNumber = enrollment.current_step + 1;
   const rendered = await renderTouch(pool, enrollment, stepNumber);
   if (!rendered.ok) {
@@ -293,10 +340,18 @@ async function processOne(pool, enrollment) {
     // Launch gate: do not send unless V2_RUNNER_LAUNCH_READY=true.
     return { decision: 'gate_blocked', reason: 'V2_RUNNER_LAUNCH_READY!=true' };
   }
-  let resendId;
+  // Send throttle (modules/send-throttle): per-domain / per-provider hourly
+  // caps and sender warmup. A throttled touch keeps its next_send_at and is
+  // picked up again by the next run.
+  const slot = await sendThrottle.acquire(pool, { email: rendered.recipient_email, from: _fromAddress() });
+  if (!slot.ok) {
+    return { decision: 'throttled', reason: `${slot.scope} ${slot.key}: ${slot.reason}` };
+  }
+  let resendId, provider;
   try {
-    resendId = await _send(rendered);
+    ({ id: resendId, provider } = await _send(rendered));
   } catch (sendErr) {
+    await sendThrottle.release(pool, slot.slots);
     if (sendErr && sendErr.code === 'RENDER_ORPHAN_AT_SEND') {
       console.error(`[SequenceRunnerV2] BLOCKED orphan-tag send for enrollment ${enrollment.id}: ${sendErr.message}`);
       await _completeWithReason(pool, enrollment, `render_orphan_at_send: ${sendErr.orphans?.join(',') || ''}`);
@@ -308,19 +363,53 @@ async function processOne(pool, enrollment) {
   // Log the send to outreach_emails so the existing Resend webhook handler
   // (lookup by resend_email_id) can update delivered_at/bounced_at/etc as
   // events arrive. Without this row, all webhook events for v2 sends would
-  // be silently dropped and the deliverability gate would be blind.
+  // be silently dropped and the deliverability gate would be blind. The subject
+  // lets inbound replies thread to the touch (services/inbound-threading.js).
   try {
     await pool.query(
       `INSERT INTO outreach_emails
-         (campaign_id, recipient_type, recipient_id, recipient_email, resend_email_id, status, sent_at, queued_at, sequence_number)
-       VALUES (NULL, 'cpa', $1, $2, $3, 'sent', NOW(), NOW(), $4)`,
-      [enrollment.recipient_id, rendered.recipient_email, resendId, stepNumber]
+         (campaign_id, recipient_type, recipient_id, recipient_email, resend_email_id, email_provider, status, sent_at, queued_at, sequence_number, rendered_subject)
+       VALUES (NULL, 'cpa', $1, $2, $3, $4, 'sent', NOW(), NOW(), $5, $6)`,
+      [enrollment.recipient_id, rendered.recipient_email, resendId, provider, stepNumber, rendered.subject]
     );
   } catch (logErr) {
     console.error(`[SequenceRunnerV2] outreach_emails INSERT failed for enrollment ${enrollment.id}:`, logErr.message);
   }
   await _advanceState(pool, enrollment, resendId);
-  return { decision: 'sent', resend_id: resendId, step: stepNumber };
+  return { decision: 'sent', resend_id: resendId, provider, step: stepNumber };
+}
+
+// processOne decisions as send-audit gates (modules/send-audit). Stop
+// conditions with a gate of their own are recorded under it.
+const DECISION_AUDIT = {
+  stopped: { gate: 'stop_condition', outcome: 'suppressed' },
+  consent_blocked: { gate: 'consent', outcome: 'suppressed' },
+  calendar_deferred: { gate: 'send_calendar', outcome: 'held' },
+  gate_blocked: { gate: 'kill_switch', outcome: 'dry_run' },
+  throttled: { gate: 'throttle', outcome: 'held' },
+  render_orphan_halted: { gate: 'render', outcome: 'suppressed' },
+  render_failed: { gate: 'render', outcome: 'failed' },
+  send_failed: { gate: 'transport', outcome: 'failed' },
+};
+const STOP_REASON_GATES = { unsubscribed: 'unsubscribed', claimed: 'claims_suppression' };
+
+async function _auditDecision(pool, enrollment, result) {
+  if (!enrollment.recipient_email) return;
+  const base = {
+    email: enrollment.recipient_email,
+    message_class: 'sequence_v2',
+    ref_type: 'enrollment',
+    ref_id: enrollment.id,
+    detail: { step: enrollment.current_step + 1 },
+  };
+  if (result.decision === 'sent') {
+    await audit.record(pool, { ...base, ...audit.sent({ id: result.resend_id, provider: result.provider }) });
+    return;
+  }
+  const mapped = DECISION_AUDIT[result.decision] || { gate: 'transport', outcome: 'failed' };
+  const gate = result.decision === 'stopped' ? (STOP_REASON_GATES[result.reason] || mapped.gate) : mapped.gate;
+  const reason = result.until ? `${result.reason}, moved to ${result.until}` : result.reason;
+  await audit.record(pool, { ...base, gate, outcome: mapped.outcome, reason });
 }
 
 async function runOnce(pool) {
@@ -332,7 +421,8 @@ async function runOnce(pool) {
     const deliverabilityGate = require('./deliverability-gate');
     if (await deliverabilityGate.isPlatformPaused(pool)) {
       console.log(`[SequenceRunnerV2] ${startedAt.toISOString()}: skipped — platform paused by deliverability gate`);
-      return { due: 0, sent: 0, gated: 0, stopped: 0, failed: 0, paused: true };
+      await audit.record(pool, { message_class: 'sequence_v2', gate: 'deliverability_pause', outcome: 'held', reason: 'platform paused by the deliverability gate' });
+      return { due: 0, sent: 0, gated: 0, stopped: 0, deferred: 0, throttled: 0, failed: 0, paused: true };
     }
   } catch (err) {
     console.error('[SequenceRunnerV2] gate check failed (proceeding):', err.message);
@@ -345,14 +435,18 @@ async function runOnce(pool) {
      LIMIT 50`,
     [PLATFORM]
   );
-  let sent = 0, gated = 0, stopped = 0, failed = 0;
+  let sent = 0, gated = 0, stopped = 0, deferred = 0, throttled = 0, failed = 0;
   for (const enrollment of r.rows) {
     try {
       const result = await processOne(pool, enrollment);
+      await _auditDecision(pool, enrollment, result);
       switch (result.decision) {
         case 'sent': sent++; break;
         case 'gate_blocked': gated++; break;
-        case 'stopped': stopped++; break;
+        case 'stopped':
+        case 'consent_blocked': stopped++; break;
+        case 'calendar_deferred': deferred++; break;
+        case 'throttled': throttled++; break;
         default: failed++;
       }
     } catch (err) {
@@ -361,9 +455,9 @@ async function runOnce(pool) {
     }
   }
   if (r.rows.length > 0) {
-    console.log(`[SequenceRunnerV2] ${startedAt.toISOString()}: due=${r.rows.length} sent=${sent} gated=${gated} stopped=${stopped} failed=${failed}`);
+    console.log(`[SequenceRunnerV2] ${startedAt.toISOString()}: due=${r.rows.length} sent=${sent} gated=${gated} stopped=${stopped} deferred=${deferred} throttled=${throttled} failed=${failed}`);
   }
-  return { due: r.rows.length, sent, gated, stopped, failed };
+  return { due: r.rows.length, sent, gated, stopped, deferred, throttled, failed };
 }
 
 async function enrollOne(pool, recipientId) {
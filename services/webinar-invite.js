@@ -12,11 +12,13 @@
 
 const crypto = require('crypto');
 const { sendEmail, wrapInBrandTemplate } = require('./email');
+// Same predicate as the friction-ack guard in services/email.js
+const { isSelfTest } = require('./address-checks');
+const audit = require('../modules/send-audit/audit');
+const consent = require('../modules/consent/consent');
 
 const MESSAGE_CLASS = 'webinar_invite_ai_for_cpas_v1';
 const ALLOWED_BASIS = ['express', 'ebr'];
-// Same predicate as the friction-ack guard in services/email.js
-const isSelfTest = e => /^arthur@|^arthur\+|negotiateandwin|akrosfinancial|@test\.|@testcpa|@example\./i.test(e || '');
 
 function renderWebinarInvite({ firstName, dateLine, registrationUrl }) {
   if (!dateLine || !registrationUrl) {
@@ -64,29 +66,44 @@ async function sendWebinarInvites(pool, { cohort, dateLine, registrationUrl }) {
   const sendsEnabled = process.env.WEBINAR_INVITE_ENABLED === 'true';
   const thirdPartyAllowed = process.env.WEBINAR_INVITE_ALLOW_THIRD_PARTY === 'true';
   const results = { messageClass: MESSAGE_CLASS, dryRun: !sendsEnabled, sent: 0, skipped: [], failed: [], wouldSend: 0 };
+  // Each recipient's outcome goes to the send-decision log (modules/send-audit).
+  const decide = (email, decision) => audit.record(pool, { email, message_class: 'webinar_invite', detail: { template: MESSAGE_CLASS }, ...decision });
 
   for (const r of cohort) {
     const email = (r.email || '').trim().toLowerCase();
     if (!email || !ALLOWED_BASIS.includes(r.casl_basis) || !r.evidence_ref) {
       console.error(`[WebinarInvite] SKIP invalid recipient ${email || '(no email)'}: casl_basis must be one of ${ALLOWED_BASIS.join('/')} and evidence_ref is required`);
       results.skipped.push({ email, reason: 'invalid_basis_or_evidence' });
+      if (email) await decide(email, { gate: 'consent', outcome: 'suppressed', reason: `casl_basis=${r.casl_basis || '-'}, evidence_ref=${r.evidence_ref || '-'}` });
       continue;
     }
     const suppressed = await pool.query('SELECT 1 FROM outreach_unsubscribes WHERE LOWER(email) = $1 LIMIT 1', [email]);
     if (suppressed.rows.length > 0) {
       console.warn(`[WebinarInvite] SKIP suppressed address ${email} (outreach_unsubscribes)`);
       results.skipped.push({ email, reason: 'suppressed' });
+      await decide(email, { gate: 'unsubscribed', outcome: 'suppressed' });
+      continue;
+    }
+    // The cohort's basis must also be on record in the consent registry
+    // (modules/consent) once webinar_invite is in CONSENT_ENFORCE.
+    const consentBlock = await consent.blocked(pool, email, 'webinar_invite');
+    if (consentBlock) {
+      console.warn(`[WebinarInvite] SKIP ${email} — no registry consent: ${consentBlock.reason}`);
+      results.skipped.push({ email, reason: 'no_registry_consent' });
+      await decide(email, consentBlock);
       continue;
     }
     const rendered = renderWebinarInvite({ firstName: r.first_name, dateLine, registrationUrl });
     if (!sendsEnabled) {
       console.log(`[WebinarInvite][DRY-RUN] would send to ${email} (basis=${r.casl_basis}, evidence=${r.evidence_ref}, template=${rendered.templateHash}) — WEBINAR_INVITE_ENABLED off`);
       results.wouldSend++;
+      await decide(email, { gate: 'kill_switch', outcome: 'dry_run', reason: 'WEBINAR_INVITE_ENABLED off' });
       continue;
     }
     if (!thirdPartyAllowed && !isSelfTest(email)) {
       console.warn(`[WebinarInvite] SKIP third-party address ${email} — WEBINAR_INVITE_ALLOW_THIRD_PARTY off (ACC moratorium: flipping it requires Arthur's written lift)`);
       results.skipped.push({ email, reason: 'third_party_blocked' });
+      await decide(email, { gate: 'third_party_block', outcome: 'suppressed', reason: 'WEBINAR_INVITE_ALLOW_THIRD_PARTY off' });
       continue;
     }
     const sendResult = await sendEmail({
@@ -100,6 +117,7 @@ async function sendWebinarInvites(pool, { cohort, dateLine, registrationUrl }) {
     if (!sendResult.success) {
       console.error(`[WebinarInvite] SEND FAILED to ${email}: ${sendResult.reason}`);
       results.failed.push({ email, reason: sendResult.reason });
+      await decide(email, audit.failed(sendResult));
       continue;
     }
     await pool.query(
@@ -107,6 +125,7 @@ async function sendWebinarInvites(pool, { cohort, dateLine, registrationUrl }) {
        VALUES ($1, $2, $3, $4, $5, $6)`,
       [email, MESSAGE_CLASS, r.casl_basis, r.evidence_ref, rendered.templateHash, sendResult.id]
     );
+    await decide(email, audit.sent(sendResult));
     console.log(`[WebinarInvite] SENT to ${email} (basis=${r.casl_basis}, resend_id=${sendResult.id})`);
     results.sent++;
   }
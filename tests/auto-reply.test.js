@@ -0,0 +1,111 @@
+// Auto-reply detection: header, subject and body signals, return dates in
+// English and French, and how the classifier and the v2 runner treat an
+// out-of-office.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const autoReply = require('../services/auto-reply');
+
+// Answers queries by the first matching pattern; records every call.
+function routedPool(routes = []) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      for (const [pattern, rows] of routes) {
+        if (pattern.test(sql)) {
+          if (rows instanceof Error) throw rows;
+          const out = typeof rows === 'function' ? rows(params) : rows;
+          return { rows: out, rowCount: out.length };
+        }
+      }
+      return { rows: [], rowCount: 0 };
+    },
+  };
+}
+
+const received = new Date('2026-10-19T15:00:00Z'); // a Monday
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+test('headers, subject and the top of the body mark an auto-reply; a person mentioning time away does not', () => {
+  const headers = new Map([['auto-submitted', 'auto-replied'], ['subject', 'x']]);
+  assert.deepStrictEqual(autoReply.pickHeaders(headers), { 'auto-submitted': 'auto-replied' });
+  assert.strictEqual(autoReply.signal({ headers }), 'header:auto-submitted');
+  assert.strictEqual(autoReply.signal({ headers: { 'Auto-Submitted': 'no' } }), null);
+  assert.strictEqual(autoReply.signal({ headers: { 'X-Autoreply': 'yes' } }), 'header:x-autoreply');
+  assert.strictEqual(autoReply.signal({ headers: { Precedence: 'junk' } }), 'header:precedence');
+  assert.strictEqual(autoReply.signal({ headers: { Precedence: 'list' } }), null);
+
+  assert.strictEqual(autoReply.signal({ subject: 'Automatic reply: Your CanadaAccountants profile' }), 'subject');
+  assert.strictEqual(autoReply.signal({ subject: 'Réponse automatique : Votre profil' }), 'subject');
+  assert.strictEqual(autoReply.signal({ subject: 'Re: Out of office?' }), null);
+  assert.strictEqual(autoReply.signal({ subject: 'Re: profile', body: "Thanks for your email. I'm currently on parental leave." }), 'body');
+  assert.strictEqual(autoReply.signal({ subject: 'Re: profile', body: 'Bonjour, je suis absente du bureau.' }), 'body');
+
+  assert.strictEqual(autoReply.signal({ subject: 'Re: profile', body: 'Sorry, I was out of the office last week. Interested, call me.' }), null);
+  const late = `${'Happy to chat about the listing. '.repeat(20)}I am on vacation next month.`;
+  assert.strictEqual(autoReply.signal({ subject: 'Re: profile', body: late }), null);
+});
+
+test('return dates are read after a cue, in English or French, and must be after the reply', () => {
+  const cases = [
+    ['I am out of the office until Monday, October 27, with limited access to email.', '2026-10-27'],
+    ['I will be back in the office on 3 November.', '2026-11-03'],
+    ['Returning 2026-11-09.', '2026-11-09'],
+    ['Back on the 27th of October.', '2026-10-27'],
+    ['I will return on 27/10.', '2026-10-27'],
+    ['Back Jan 5.', '2027-01-05'],
+    ['Je suis en vacances. De retour le 3 novembre.', '2026-11-03'],
+    ["Absente jusqu'au 12 décembre.", '2026-12-12'],
+    ['Back in 2 weeks.', '2026-11-02'],
+    ['Back on Thursday.', '2026-10-22'],
+  ];
+  for (const [body, expected] of cases) {
+    assert.deepStrictEqual(autoReply.parseReturnDate(body, received), day(expected), body);
+  }
+  // 03/04 could be either; a date already past; no cue at all.
+  assert.strictEqual(autoReply.parseReturnDate('Back 03/04.', received), null);
+  assert.strictEqual(autoReply.parseReturnDate('I was back 2026-10-01.', received), null);
+  assert.strictEqual(autoReply.parseReturnDate('Our offices close October 27.', received), null);
+});
+
+test('an out-of-office waits until the day after the return date; other auto-replies wait for nothing', () => {
+  const ooo = autoReply.plan({ subject: 'Automatic reply: hi', body_text: 'I am away until October 27.', received_at: received });
+  assert.deepStrictEqual(ooo, { kind: 'out_of_office', signal: 'subject', return_date: day('2026-10-27'), until: day('2026-10-28') });
+
+  const undated = autoReply.plan({ subject: 'Out of Office', body_text: 'I am travelling with limited access to email.', received_at: received });
+  assert.deepStrictEqual([undated.return_date, undated.until], [null, new Date('2026-10-26T15:00:00Z')]);
+
+  const far = autoReply.plan({ subject: 'Out of Office', body_text: 'On sabbatical, back 2028-01-10.', received_at: received });
+  assert.deepStrictEqual(far.until, new Date('2027-04-17T15:00:00Z'));
+
+  assert.deepStrictEqual(autoReply.plan({ is_auto_reply: true, subject: 'Ticket #123 received', body_text: 'We received your request.', received_at: received }),
+    { kind: 'auto_reply', signal: 'header', until: null });
+  assert.strictEqual(autoReply.plan({ subject: 'Re: your profile', body_text: 'Interested, back to you soon.', received_at: received }), null);
+});
+
+test('the classifier defers without answering, and the v2 runner does not stop on an auto-reply', async () => {
+  const classifier = require('../services/inbound-classifier');
+  const pool = routedPool([[/^UPDATE v2_supply_enrollments/, [{}]]]);
+  const result = await classifier.processOne(pool, {
+    id: 9, from_email: ' Jane@KPMG.ca ', subject: 'Automatic reply: your profile',
+    body_text: 'I am out of the office until October 27.', received_at: received,
+  });
+  assert.deepStrictEqual(result, { decision: 'auto_reply_deferred', kind: 'out_of_office', until: '2026-10-28T00:00:00.000Z' });
+  const defer = pool.calls.filter((c) => /SET next_send_at = GREATEST\(COALESCE\((e\.)?next_send_at, NOW\(\)\), \$2::timestamptz\)/.test(c.sql));
+  assert.deepStrictEqual(defer.map((c) => c.params), [['jane@kpmg.ca', day('2026-10-28')], ['jane@kpmg.ca', day('2026-10-28')]]);
+  assert.deepStrictEqual(pool.calls[pool.calls.length - 1].params, ['classified', 'auto_reply', 9]);
+  assert.strictEqual(pool.calls.length, 3);
+
+  const ticket = routedPool();
+  const ignored = await classifier.processOne(ticket, { id: 10, from_email: 'help@firm.ca', subject: 'Ticket received', body_text: 'Thanks, we got it.', is_auto_reply: true, received_at: received });
+  assert.deepStrictEqual(ignored, { decision: 'auto_reply_ignored', kind: 'auto_reply' });
+  assert.strictEqual(ticket.calls.length, 1);
+
+  // Only replies a person wrote count as 'replied'.
+  const runner = require('../services/sequence-runner-v2');
+  const replied = routedPool([[/FROM inbound_messages WHERE LOWER\(from_email\) = \$1 AND NOT is_auto_reply/, [{ '?column?': 1 }]]]);
+  assert.deepStrictEqual(await runner.processOne(replied, { id: 3, recipient_email: 'jane@kpmg.ca', recipient_id: 5, current_step: 1 }),
+    { decision: 'stopped', reason: 'replied' });
+});
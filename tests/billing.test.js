@@ -0,0 +1,339 @@
+// Billing lifecycle: Stripe event idempotency, the subscription state machine
+// and its access mirror, dunning and grace, CRM stages, mid-cycle plan
+// changes, and reconciliation with Stripe.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const baseConfig = require('../modules/billing/config');
+const service = require('../modules/billing/service');
+const { buildNotify } = require('../modules/billing/emails');
+const reconcile = require('../modules/billing/reconcile');
+
+// Answers queries by the first matching pattern; records every call.
+function routedPool(routes = []) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      for (const [pattern, rows] of routes) {
+        if (pattern.test(sql)) {
+          if (rows instanceof Error) throw rows;
+          const out = typeof rows === 'function' ? rows(params) : rows;
+          return { rows: out, rowCount: out.length };
+        }
+      }
+      return { rows: [], rowCount: 0 };
+    },
+  };
+}
+
+const config = { ...baseConfig, GRACE_DAYS: 14, DUNNING_DAYS: [0, 3, 7, 12], EMAILS_ENABLED: false };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-10-19T15:00:00Z');
+const prices = {
+  associate: 'price_assoc', professional: 'price_pro', enterprise: 'price_ent',
+  associate_monthly: 'price_assoc', professional_monthly: 'price_pro', enterprise_monthly: 'price_ent',
+  professional_yearly: 'price_pro_y',
+};
+
+function fakeCrm() {
+  const calls = [];
+  return {
+    calls,
+    transition: async (id, to, opts) => { calls.push(['transition', id, to, opts.triggeredBy]); return { id, to }; },
+    forceTransition: async (id, to, opts) => { calls.push(['force', id, to, opts.triggeredBy]); return { id, to, forced: true }; },
+  };
+}
+
+function depsFor(extra = {}) {
+  return { prices, notify: buildNotify({ config, sendEmail: async () => ({ success: true }), service }), ...extra };
+}
+
+const history = (pool, kind) => pool.calls
+  .filter((c) => /INSERT INTO billing_subscription_events/.test(c.sql) && c.params[2] === kind)
+  .map((c) => c.params);
+
+test('an event is applied once: redeliveries are acknowledged, in-flight ones retried later, failures re-claimable', async () => {
+  const event = { id: 'evt_1', type: 'invoice.paid', created: 1760886000, data: { object: { subscription: 'sub_1' } } };
+
+  const done = routedPool([[/INSERT INTO billing_stripe_events/, []], [/SELECT status FROM billing_stripe_events/, [{ status: 'processed' }]]]);
+  assert.deepStrictEqual(await service.handleEvent(done, config, event, depsFor()), { ok: true, duplicate: true, event_id: 'evt_1' });
+  assert.strictEqual(done.calls.length, 2);
+  assert.deepStrictEqual(done.calls[0].params, ['evt_1', 'invoice.paid', 1760886000, false, config.STALE_CLAIM_MINUTES]);
+  assert.match(done.calls[0].sql, /WHERE billing_stripe_events.status = 'failed'/);
+
+  const busy = routedPool([[/INSERT INTO billing_stripe_events/, []], [/SELECT status FROM billing_stripe_events/, [{ status: 'processing' }]]]);
+  assert.strictEqual((await service.handleEvent(busy, config, event, depsFor())).code, 409);
+
+  const fresh = routedPool([
+    [/INSERT INTO billing_stripe_events/, [{ attempts: 1 }]],
+    [/FROM cpa_subscriptions WHERE stripe_subscription_id/, [{ id: 3, cpa_profile_id: 5, status: 'active', stripe_subscription_id: 'sub_1' }]],
+  ]);
+  const applied = await service.handleEvent(fresh, config, event, depsFor());
+  assert.deepStrictEqual(applied.result, { action: 'none', status: 'active' });
+  assert.match(fresh.calls[fresh.calls.length - 1].sql, /SET status = 'processed'/);
+
+  const broken = routedPool([
+    [/INSERT INTO billing_stripe_events/, [{ attempts: 2 }]],
+    [/FROM cpa_subscriptions WHERE stripe_subscription_id/, new Error('connection reset')],
+  ]);
+  assert.deepStrictEqual(await service.handleEvent(broken, config, event, depsFor()), { ok: false, code: 500, message: 'Webhook processing failed' });
+  const failed = broken.calls[broken.calls.length - 1];
+  assert.match(failed.sql, /SET status = 'failed'/);
+  assert.deepStrictEqual(failed.params, ['evt_1', 'connection reset']);
+});
+
+test('a failed payment starts grace with access kept; invalid and stale moves are recorded and ignored', async () => {
+  const row = { id: 3, cpa_profile_id: 5, status: 'active', plan_type: 'professional', stripe_subscription_id: 'sub_1', dunning_step: 0, last_event_at: null };
+  const sub = {
+    id: 'sub_1', status: 'past_due', customer: 'cus_1', cancel_at_period_end: false,
+    current_period_start: 1759300000, current_period_end: 1761978400,
+    items: { data: [{ id: 'si_1', price: { id: 'price_pro' } }] },
+  };
+  const poolFor = (current, crmStatus = 'subscriber') => routedPool([
+    [/FROM cpa_subscriptions WHERE stripe_subscription_id/, [current]],
+    [/SET status = \$2, plan_type = \$3/, (p) => [{ ...current, status: p[1], plan_type: p[2], past_due_since: p[8], grace_until: p[9], dunning_step: p[10] }]],
+    [/SET dunning_step = \$2/, [{ id: current.id }]],
+    [/UPDATE cpa_profiles SET subscription_status/, [{ user_id: 77 }]],
+    [/JOIN scraped_cpas sc/, [{ id: 900, crm_status: crmStatus }]],
+    [/SELECT email, first_name FROM cpa_profiles/, [{ email: 'jane@firm.ca', first_name: 'Jane' }]],
+  ]);
+
+  const crm = fakeCrm();
+  const pool = poolFor(row);
+  const result = await service.applySubscription(pool, config, sub, { eventId: 'evt_2', createdAt: now, now }, depsFor({ crm }));
+  assert.deepStrictEqual(result, { action: 'applied', cpa_profile_id: 5, from: 'active', to: 'past_due', plan: 'professional' });
+  const update = pool.calls.find((c) => /SET status = \$2, plan_type = \$3/.test(c.sql));
+  assert.deepStrictEqual(update.params.slice(8, 11), [now, new Date(now.getTime() + 14 * DAY_MS), 0]);
+  // Still entitled during grace: the mirror stays 'active' and the CRM stage is untouched.
+  assert.deepStrictEqual(pool.calls.find((c) => /UPDATE cpa_profiles/.test(c.sql)).params, [5, 'active', 'professional']);
+  assert.deepStrictEqual(pool.calls.find((c) => /UPDATE users/.test(c.sql)).params, [77, 'active', 'professional']);
+  assert.deepStrictEqual(crm.calls, []);
+  assert.deepStrictEqual(history(pool, 'status').map((p) => [p[3], p[4], p[7]]), [['active', 'past_due', 'evt_2']]);
+  // Day-0 dunning, claimed on the row, rendered dark.
+  assert.deepStrictEqual(pool.calls.find((c) => /SET dunning_step = \$2/.test(c.sql)).params, [3, 1, 0]);
+  const dark = history(pool, 'email_suppressed_dark');
+  assert.strictEqual(JSON.parse(dark[0][9]).template, 'payment_failed');
+
+  // unpaid -> past_due is not a move the machine allows: status stays put.
+  const unpaid = poolFor({ ...row, status: 'unpaid' }, 'churned');
+  const kept = await service.applySubscription(unpaid, config, sub, { eventId: 'evt_3', createdAt: now, now }, depsFor({ crm }));
+  assert.strictEqual(kept.to, 'unpaid');
+  assert.strictEqual(JSON.parse(history(unpaid, 'ignored')[0][9]).reason, 'invalid_transition');
+  assert.deepStrictEqual(unpaid.calls.find((c) => /UPDATE cpa_profiles/.test(c.sql)).params, [5, 'unpaid', 'professional']);
+
+  // An event older than the last one applied changes nothing.
+  const stale = poolFor({ ...row, last_event_at: new Date(now.getTime() + 60000) });
+  assert.deepStrictEqual(await service.applySubscription(stale, config, sub, { eventId: 'evt_4', createdAt: now, now }, depsFor()),
+    { action: 'ignored', reason: 'stale_event' });
+  assert.ok(!stale.calls.some((c) => /UPDATE cpa_subscriptions/.test(c.sql)));
+});
+
+test('the dunning job sends the step due and pauses access when grace ends; the CRM stage follows', async () => {
+  const expired = { id: 1, cpa_profile_id: 5, status: 'past_due', plan_type: 'professional', stripe_subscription_id: 'sub_1',
+    past_due_since: new Date(now.getTime() - 15 * DAY_MS), grace_until: new Date(now.getTime() - DAY_MS), dunning_step: 4 };
+  const reminding = { id: 2, cpa_profile_id: 6, status: 'past_due', plan_type: 'associate', stripe_subscription_id: 'sub_2',
+    past_due_since: new Date(now.getTime() - 3.5 * DAY_MS), grace_until: new Date(now.getTime() + 10.5 * DAY_MS), dunning_step: 1 };
+  const crm = fakeCrm();
+  const pool = routedPool([
+    [/SELECT \* FROM cpa_subscriptions WHERE status = 'past_due'/, [expired, reminding]],
+    [/SET status = \$2, past_due_since = \$3/, (p) => [{ ...expired, status: p[1], grace_until: p[3] }]],
+    [/SET dunning_step = \$2/, [{ id: 2 }]],
+    [/UPDATE cpa_profiles SET subscription_status/, [{ user_id: 70 }]],
+    [/JOIN scraped_cpas sc/, [{ id: 901, crm_status: 'subscriber' }]],
+    [/SELECT email, first_name FROM cpa_profiles/, [{ email: 'cpa@firm.ca', first_name: 'Sam' }]],
+  ]);
+  const out = await service.runDunning(pool, config, depsFor({ crm }), now);
+  assert.deepStrictEqual(out, { checked: 2, emailed: 1, expired: 1, failed: 0 });
+  assert.deepStrictEqual(pool.calls[0].params, [14]);
+  const expire = pool.calls.find((c) => /SET status = \$2, past_due_since = \$3/.test(c.sql));
+  assert.deepStrictEqual([expire.params[1], expire.params[6]], ['unpaid', 'past_due']);
+  assert.deepStrictEqual(pool.calls.find((c) => /UPDATE cpa_profiles/.test(c.sql)).params, [5, 'unpaid', 'professional']);
+  assert.deepStrictEqual(crm.calls, [['transition', 901, 'churned', 'billing']]);
+  assert.deepStrictEqual(pool.calls.find((c) => /SET dunning_step = \$2/.test(c.sql)).params, [2, 2, 1]);
+  assert.deepStrictEqual(history(pool, 'email_suppressed_dark').map((p) => JSON.parse(p[9]).template), ['access_paused', 'reminder']);
+
+  // A payment outranks the pipeline; only a subscriber churns.
+  const stage = (crmStatus) => routedPool([[/JOIN scraped_cpas sc/, [{ id: 902, crm_status: crmStatus }]]]);
+  const forced = fakeCrm();
+  await service.syncCrm(stage('engaged'), { cpa_profile_id: 7, status: 'active' }, { crm: forced }, now);
+  await service.syncCrm(stage('claimed'), { cpa_profile_id: 7, status: 'trialing' }, { crm: forced }, now);
+  assert.strictEqual(await service.syncCrm(stage('contacted'), { cpa_profile_id: 7, status: 'canceled' }, { crm: forced }, now), null);
+  assert.deepStrictEqual(forced.calls, [['force', 902, 'subscriber', 'billing'], ['transition', 902, 'subscriber', 'billing']]);
+});
+
+test('upgrades are invoiced now and held until paid; downgrades credit the next invoice', async () => {
+  const row = { id: 3, cpa_profile_id: 5, status: 'active', plan_type: 'professional', stripe_subscription_id: 'sub_1', dunning_step: 0 };
+  const stripeCalls = [];
+  const stripe = {
+    subscriptions: {
+      retrieve: async (id) => ({ id, customer: 'cus_1', status: 'active', items: { data: [{ id: 'si_1', price: { id: 'price_pro' } }] } }),
+      update: async (id, params, opts) => {
+        stripeCalls.push({ params, opts });
+        return { id, customer: 'cus_1', status: 'active', items: { data: [{ id: 'si_1', price: { id: params.items[0].price } }] } };
+      },
+    },
+    invoices: {
+      retrieveUpcoming: async (params) => {
+        stripeCalls.push({ params });
+        return { currency: 'cad', total: 74900, lines: { data: [{ proration: true, amount: -15000 }, { proration: true, amount: 30000 }, { proration: false, amount: 59900 }] } };
+      },
+    },
+  };
+  const poolFor = (current) => routedPool([
+    [/FROM cpa_subscriptions WHERE cpa_profile_id/, [current]],
+    [/FROM cpa_subscriptions WHERE stripe_subscription_id/, [current]],
+    [/SET status = \$2, plan_type = \$3/, (p) => [{ ...current, status: p[1], plan_type: p[2] }]],
+  ]);
+  const deps = depsFor({ stripe });
+  const nowSec = Math.floor(now.getTime() / 1000);
+
+  const preview = await service.previewChange(poolFor(row), config, 5, { tier: 'enterprise' }, deps, now);
+  assert.deepStrictEqual([preview.direction, preview.proration_behavior, preview.proration_amount, preview.charged_now, preview.next_invoice_total],
+    ['upgrade', 'always_invoice', 15000, 15000, 59900]);
+  assert.deepStrictEqual(stripeCalls[0].params.subscription_items, [{ id: 'si_1', price: 'price_ent' }]);
+  assert.strictEqual(stripeCalls[0].params.subscription_proration_date, nowSec);
+
+  const up = poolFor(row);
+  const upgrade = await service.changePlan(up, config, 5, { tier: 'enterprise', proration_date: nowSec - 60 }, { actor: 'cpa:jane@firm.ca' }, deps, now);
+  assert.deepStrictEqual([upgrade.ok, upgrade.direction, upgrade.pending, upgrade.subscription.plan], [true, 'upgrade', false, 'enterprise']);
+  assert.deepStrictEqual(stripeCalls[1].params, {
+    items: [{ id: 'si_1', price: 'price_ent' }], proration_behavior: 'always_invoice', proration_date: nowSec - 60, payment_behavior: 'pending_if_incomplete',
+  });
+  assert.strictEqual(stripeCalls[1].opts.idempotencyKey, `plan-change:sub_1:price_ent:${nowSec - 60}`);
+  assert.deepStrictEqual(history(up, 'plan_change_requested').map((p) => [p[5], p[6], p[8]]), [['professional', 'enterprise', 'cpa:jane@firm.ca']]);
+  assert.deepStrictEqual(history(up, 'plan').map((p) => [p[5], p[6]]), [['professional', 'enterprise']]);
+
+  // A quote older than an hour is re-priced now.
+  const downgrade = await service.changePlan(poolFor(row), config, 5, { tier: 'associate', proration_date: nowSec - 7200 }, { actor: 'cpa:jane@firm.ca' }, deps, now);
+  assert.strictEqual(downgrade.direction, 'downgrade');
+  assert.deepStrictEqual(stripeCalls[2].params, { items: [{ id: 'si_1', price: 'price_assoc' }], proration_behavior: 'create_prorations', proration_date: nowSec });
+
+  assert.strictEqual((await service.changePlan(poolFor({ ...row, status: 'past_due' }), config, 5, { tier: 'enterprise' }, {}, deps, now)).code, 409);
+  assert.strictEqual((await service.changePlan(poolFor(row), config, 5, { tier: 'gold' }, {}, deps, now)).code, 400);
+  assert.strictEqual((await service.changePlan(poolFor(row), config, 5, { tier: 'professional' }, {}, deps, now)).code, 409);
+  assert.strictEqual(stripeCalls.length, 3);
+});
+
+test('entitlement, tiers and the dunning schedule', () => {
+  assert.strictEqual(service.entitled({ status: 'trialing' }, now), true);
+  assert.strictEqual(service.entitled({ status: 'past_due', grace_until: new Date(now.getTime() + DAY_MS) }, now), true);
+  assert.strictEqual(service.entitled({ status: 'past_due', grace_until: new Date(now.getTime() - DAY_MS) }, now), false);
+  assert.strictEqual(service.entitled({ status: 'unpaid' }, now), false);
+
+  assert.deepStrictEqual(service.tierForPrice(prices, 'price_pro_y'), { tier: 'professional', interval: 'yearly' });
+  assert.deepStrictEqual(service.tierForPrice(prices, 'price_ent'), { tier: 'enterprise', interval: 'monthly' });
+  assert.strictEqual(service.tierForPrice(prices, 'price_unknown'), null);
+  assert.strictEqual(service.planDirection(config, { tier: 'professional', interval: 'monthly' }, { tier: 'professional', interval: 'yearly' }), 'upgrade');
+  assert.strictEqual(service.planDirection(config, { tier: 'enterprise', interval: 'yearly' }, { tier: 'associate', interval: 'yearly' }), 'downgrade');
+
+  assert.deepStrictEqual(baseConfig.dunningDays('0, 3, 20, 7, 3, x', 14), [0, 3, 7]);
+  assert.deepStrictEqual([0, 1, 2, 3].map((i) => service.stepTemplate(config, i)), ['payment_failed', 'reminder', 'reminder', 'final_notice']);
+  assert.strictEqual(service.mapStripeStatus(config, 'incomplete_expired'), 'canceled');
+  assert.strictEqual(service.canTransition(config, 'canceled', 'past_due'), false);
+});
+
+// Reconciliation fixtures: what Stripe has, and the local rows (LOCAL_SQL).
+const periodEnd = Math.floor(now.getTime() / 1000) + 20 * 86400;
+const stripeSub = (id, status, extra = {}) => ({
+  id, status, customer: `cus_${id}`, current_period_end: periodEnd, metadata: {},
+  items: { data: [{ id: `si_${id}`, price: { id: 'price_pro' } }] }, ...extra,
+});
+const localRow = (profile, sub, status, extra = {}) => ({
+  id: profile * 10, cpa_profile_id: profile, profile_id: profile, user_id: profile + 100,
+  status, plan_type: 'professional', stripe_subscription_id: sub, stripe_customer_id: `cus_${sub}`,
+  current_period_end: new Date(periodEnd * 1000), grace_until: null,
+  profile_status: status === 'unpaid' ? 'unpaid' : 'active', user_status: status === 'unpaid' ? 'unpaid' : 'active', ...extra,
+});
+
+test('reconciliation flags each kind of drift, tolerating grace and an incomplete listing', () => {
+  const listing = {
+    complete: true,
+    data: [
+      stripeSub('sub_a', 'active'),                                         // local says past_due, grace over
+      stripeSub('sub_b', 'past_due'),                                       // local unpaid after grace: fine
+      stripeSub('sub_e', 'active', { items: { data: [{ price: { id: 'price_ent' } }] }, current_period_end: periodEnd + 30 * 86400 }),
+      stripeSub('sub_d', 'active', { customer: 'cus_new' }),               // nobody points at it
+      stripeSub('sub_x', 'active', { customer: 'cus_ghost' }),
+      stripeSub('sub_old', 'canceled'),
+    ],
+  };
+  const rows = [
+    localRow(1, 'sub_a', 'past_due', { grace_until: new Date(now.getTime() - DAY_MS), profile_status: 'past_due', user_status: 'past_due' }),
+    localRow(2, 'sub_b', 'unpaid', { profile_status: 'active' }),
+    localRow(3, 'sub_c', 'active'),                                         // Stripe has no sub_c
+    localRow(5, 'sub_e', 'active'),
+  ];
+  const items = reconcile.compare(config, prices, listing, rows, new Map([['cus_new', 4]]), now);
+  const brief = items.map((i) => [i.category, i.cpa_profile_id, i.local, i.expected, i.repairable]);
+  assert.deepStrictEqual(brief, [
+    ['status', 1, 'past_due', 'active', true],
+    ['profile_mirror', 1, 'past_due', 'active', true],
+    ['user_mirror', 1, 'past_due', 'active', true],
+    ['profile_mirror', 2, 'active', 'unpaid', true],
+    ['missing_stripe', 3, 'active', null, false],
+    ['plan', 5, 'professional', 'enterprise', true],
+    ['period', 5, new Date(periodEnd * 1000).toISOString(), new Date((periodEnd + 30 * 86400) * 1000).toISOString(), true],
+    ['missing_local', 4, null, 'active', true],
+    ['missing_local', null, null, 'active', false],
+  ]);
+  assert.strictEqual(items[8].note, 'no profile for customer cus_ghost');
+
+  // A listing cut short cannot prove sub_c is gone.
+  const partial = reconcile.compare(config, prices, { ...listing, complete: false }, rows, new Map(), now);
+  assert.strictEqual(partial.some((i) => i.category === 'missing_stripe'), false);
+
+  // A stray subscription for a profile that already pays is left for a human.
+  const dup = reconcile.compare(config, prices, { complete: true, data: [stripeSub('sub_e', 'active'), stripeSub('sub_f', 'active', { metadata: { cpa_profile_id: '5' } })] },
+    [localRow(5, 'sub_e', 'active')], new Map(), now);
+  assert.deepStrictEqual(dup.map((i) => [i.category, i.repairable, i.note]), [['missing_local', false, 'profile already has live subscription sub_e']]);
+});
+
+test('a repair run re-applies drifted subscriptions with force, rewrites mirrors and records every item', async () => {
+  const file = path.join(os.tmpdir(), `billing-reconcile-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({ recorded_at: now.toISOString(), data: [stripeSub('sub_a', 'active'), stripeSub('sub_b', 'past_due'), stripeSub('sub_d', 'active', { customer: 'cus_new' })] }));
+  const rowA = localRow(1, 'sub_a', 'unpaid', { profile_status: 'unpaid', user_status: 'unpaid' });
+  const rowB = localRow(2, 'sub_b', 'unpaid', { user_status: 'active' });
+  const pool = routedPool([
+    [/INSERT INTO billing_reconcile_runs/, [{ id: 9 }]],
+    [/FROM cpa_subscriptions s\s+LEFT JOIN cpa_profiles/, [rowA, rowB]],
+    [/FROM users u JOIN cpa_profiles/, [{ stripe_customer_id: 'cus_new', cpa_profile_id: 4 }]],
+    [/FROM cpa_subscriptions WHERE stripe_subscription_id/, (p) => (p[0] === 'sub_a' ? [rowA] : [])],
+    [/INSERT INTO cpa_subscriptions/, [{ id: 40, cpa_profile_id: 4, status: 'active', inserted: true }]],
+    [/UPDATE cpa_subscriptions/, (p) => [{ id: p[0], cpa_profile_id: p[0] / 10, status: p[1], plan_type: p[2] }]],
+    [/UPDATE cpa_profiles SET subscription_status/, (p) => [{ user_id: p[0] + 100 }]],
+  ]);
+  const crm = fakeCrm();
+  try {
+    const result = await reconcile.reconcile(pool, config, { repair: true, actor: 'admin:ops@firm.ca', fixture: file }, depsFor({ crm }), now);
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.source, `fixture:${path.basename(file)}`);
+    assert.deepStrictEqual(result.counts.status, { found: 1, repaired: 1 });
+    assert.deepStrictEqual(result.counts.user_mirror, { found: 2, repaired: 2 });
+    assert.deepStrictEqual(result.counts.missing_local, { found: 1, repaired: 1 });
+  } finally {
+    fs.unlinkSync(file);
+  }
+
+  // unpaid -> active is allowed anyway; the history names the run and the force.
+  const [statusEntry] = history(pool, 'status').filter((p) => p[0] === 1);
+  assert.strictEqual(statusEntry[8], 'reconcile:9');
+  assert.deepStrictEqual(JSON.parse(statusEntry[9]), { stripe_status: 'active', reason: 'reconcile', forced: true });
+
+  // sub_b only had a stale user mirror: rewritten, no history, no Stripe call.
+  const mirrors = pool.calls.filter((c) => /UPDATE users SET subscription_status/.test(c.sql)).map((c) => c.params.slice(0, 2));
+  assert.deepStrictEqual(mirrors, [[101, 'active'], [102, 'unpaid'], [104, 'active']]);
+  assert.strictEqual(history(pool, 'ignored').length, 0);
+
+  // The untracked subscription is linked to the profile its customer names.
+  assert.deepStrictEqual(pool.calls.find((c) => /INSERT INTO cpa_subscriptions/.test(c.sql)).params, [4, 'active', 'sub_d', 'cus_new']);
+
+  const recorded = pool.calls.filter((c) => /INSERT INTO billing_reconcile_items/.test(c.sql)).map((c) => [c.params[1], c.params[2], c.params[8]]);
+  assert.deepStrictEqual(recorded, [['status', 1, true], ['profile_mirror', 1, true], ['user_mirror', 1, true], ['user_mirror', 2, true], ['missing_local', 4, true]]);
+  const done = pool.calls.find((c) => /SET status = 'completed'/.test(c.sql));
+  assert.deepStrictEqual(done.params.slice(0, 4), [9, 3, 2, true]);
+});
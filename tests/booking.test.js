@@ -0,0 +1,75 @@
+// Consultation booking: province zones, DST-safe slots, validation and ICS.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const time = require('../modules/booking/time');
+const { toIcs } = require('../modules/booking/ics');
+const service = require('../modules/booking/service');
+const config = require('../modules/booking/config');
+const { timeZoneForProvince, provinceCode } = require('../services/province-timezones');
+
+const WEEKLY = { mon: [['09:00', '10:00']], tue: [['09:00', '10:00']], sun: [['02:00', '03:00']] };
+const AVAIL = { time_zone: 'America/Toronto', weekly: WEEKLY, slot_minutes: 30, min_notice_hours: 0, horizon_days: 60 };
+
+test('provinces map to their zones by code or name', () => {
+  assert.strictEqual(timeZoneForProvince('BC'), 'America/Vancouver');
+  assert.strictEqual(timeZoneForProvince('Newfoundland and Labrador'), 'America/St_Johns');
+  assert.strictEqual(timeZoneForProvince('sk'), 'America/Regina');
+  assert.strictEqual(timeZoneForProvince('Narnia'), 'America/Toronto');
+  assert.strictEqual(provinceCode('Québec'), 'QC');
+});
+
+test('weekly hours stay on the wall clock across a DST change', () => {
+  // Mon 26 Oct is EDT (UTC-4); Mon 2 Nov is EST (UTC-5).
+  const slots = time.generateSlots(AVAIL, [], [], { from: Date.parse('2026-10-26T04:00:00Z'), days: 9, now: Date.parse('2026-10-20T00:00:00Z') });
+  const starts = slots.filter((s) => s.local_date === '2026-10-26' || s.local_date === '2026-11-02').map((s) => s.starts_at);
+  assert.deepStrictEqual(starts, [
+    '2026-10-26T13:00:00.000Z', '2026-10-26T13:30:00.000Z',
+    '2026-11-02T14:00:00.000Z', '2026-11-02T14:30:00.000Z',
+  ]);
+  // 02:00-03:00 does not exist on 8 Mar 2026 in Toronto.
+  const spring = time.generateSlots(AVAIL, [], [], { from: Date.parse('2026-03-08T05:00:00Z'), days: 1, now: Date.parse('2026-03-01T00:00:00Z') });
+  assert.deepStrictEqual(spring.map((s) => s.local_time), []);
+});
+
+test('notice, blackouts and existing bookings remove slots', () => {
+  const from = Date.parse('2026-10-26T04:00:00Z');
+  const base = { from, days: 2, now: Date.parse('2026-10-20T00:00:00Z') };
+  assert.strictEqual(time.generateSlots(AVAIL, [], [], base).length, 4);
+  assert.strictEqual(time.generateSlots(AVAIL, [{ start_date: '2026-10-27', end_date: '2026-10-27' }], [], base).length, 2);
+  const busy = [{ starts_at: '2026-10-26T13:15:00Z', ends_at: '2026-10-26T13:45:00Z' }];
+  assert.strictEqual(time.generateSlots(AVAIL, [], busy, base).length, 2);
+  const late = { ...base, now: Date.parse('2026-10-26T13:10:00Z') };
+  assert.strictEqual(time.generateSlots({ ...AVAIL, min_notice_hours: 24 }, [], [], late).length, 1);
+});
+
+test('availability input is validated before it is stored', () => {
+  const ok = service.validateAvailability({ weekly: { wed: [['13:00', '17:00'], ['09:00', '12:00']] } }, 'America/Halifax', config);
+  assert.strictEqual(ok.ok, true);
+  assert.deepStrictEqual(ok.value.weekly.wed, [['09:00', '12:00'], ['13:00', '17:00']]);
+  assert.strictEqual(ok.value.time_zone, 'America/Halifax');
+  assert.strictEqual(ok.value.slot_minutes, config.DEFAULT_SLOT_MINUTES);
+  for (const bad of [
+    { weekly: { funday: [] } },
+    { weekly: { mon: [['09:00', '08:00']] } },
+    { weekly: { mon: [['09:00', '12:00'], ['11:00', '13:00']] } },
+    { weekly: {}, time_zone: 'Mars/Olympus' },
+    { weekly: {}, slot_minutes: 5 },
+  ]) assert.strictEqual(service.validateAvailability(bad, 'America/Toronto', config).ok, false);
+  assert.strictEqual(service.validateBlackouts([{ start_date: '2026-12-24', end_date: '2026-12-23' }], config).ok, false);
+  assert.deepStrictEqual(service.validateBlackouts([{ start_date: '2026-12-25' }], config).value,
+    [{ start_date: '2026-12-25', end_date: '2026-12-25', reason: null }]);
+});
+
+test('ICS export is UTC, escaped and folded', () => {
+  const ics = toIcs([{
+    uid: 'appt-9@canadaaccountants.app', starts_at: '2026-10-26T13:00:00Z', ends_at: '2026-10-26T13:30:00Z',
+    summary: 'Consultation: Sam, Acme; HST', description: `Meeting: virtual\n${'x'.repeat(100)}`, status: 'cancelled', sequence: 1,
+  }], { now: Date.parse('2026-10-19T12:00:00Z') });
+  const lines = ics.split('\r\n');
+  assert.ok(lines.includes('DTSTART:20261026T130000Z'));
+  assert.ok(lines.includes('SUMMARY:Consultation: Sam\\, Acme\\; HST'));
+  assert.ok(lines.includes('STATUS:CANCELLED'));
+  assert.ok(lines.every((l) => Buffer.byteLength(l) <= 75));
+  assert.ok(lines.some((l) => l.startsWith(' ')));
+});
@@ -0,0 +1,49 @@
+// SME portal: magic-link tokens and what a match card reveals.
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.CLIENT_PORTAL_SECRET = 'test-portal-secret-0123456789';
+const token = require('../modules/client-portal/token');
+const service = require('../modules/client-portal/service');
+
+test('a signed link verifies back to its request until it expires', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  const t = token.sign('friction', 'req_123', 90, now);
+  assert.deepStrictEqual(token.verify(t, now), {
+    source: 'friction', ref: 'req_123', expiresAt: new Date(now + 90 * 86400 * 1000),
+  });
+  assert.strictEqual(token.verify(t, now + 91 * 86400 * 1000), null);
+});
+
+test('tampered, truncated and foreign tokens are rejected', () => {
+  const t = token.sign('match_cpas', 42, 30);
+  const [body, sig] = t.split('.');
+  const forgedBody = Buffer.from(JSON.stringify({ s: 'match_cpas', r: '43', e: 9999999999 })).toString('base64url');
+  assert.strictEqual(token.verify(`${forgedBody}.${sig}`), null);
+  assert.strictEqual(token.verify(`${body}.${sig.slice(0, -2)}`), null);
+  assert.strictEqual(token.verify(body), null);
+  assert.strictEqual(token.verify('eyJhbGciOiJIUzI1NiJ9.eyJ1c2VySWQiOjF9.sig'), null);
+  assert.throws(() => token.sign('referrals', 1, 30), /unknown source/);
+});
+
+test('CPA contact details appear only once the CPA accepted the lead', () => {
+  const row = { match_ref: 7, cpa_profile_id: 3, first_name: 'Dana', last_name: 'Lee', match_score: '81.6',
+    cpa_email: 'dana@firm.ca', cpa_phone: '555-0100', offer_status: 'offered', contacted_at: null, rating: null };
+  const offered = service.toCard(row);
+  assert.strictEqual(offered.name, 'Dana Lee');
+  assert.strictEqual(offered.match_score, 82);
+  assert.strictEqual(offered.contact, null);
+  assert.strictEqual(offered.can_rate, false);
+
+  const accepted = service.toCard({ ...row, offer_status: 'accepted' });
+  assert.deepStrictEqual(accepted.contact, { email: 'dana@firm.ca', phone: '555-0100' });
+  assert.strictEqual(accepted.can_rate, true);
+
+  assert.strictEqual(service.toCard({ ...row, contacted_at: new Date() }).can_rate, true);
+});
+
+test('ratings are whole stars from 1 to 5', () => {
+  assert.strictEqual(service.parseRating('4'), 4);
+  assert.strictEqual(service.parseRating(5), 5);
+  for (const bad of [0, 6, 3.5, 'great', null]) assert.strictEqual(service.parseRating(bad), null);
+});
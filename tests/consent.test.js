@@ -0,0 +1,164 @@
+// Consent registry: implied-consent expiry, which grant answers for a message
+// class, what senders get back, and the compliance export.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../modules/consent/config');
+const service = require('../modules/consent/service');
+
+// Answers queries by the first matching pattern; records every call.
+function routedPool(routes = []) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      for (const [pattern, rows] of routes) {
+        if (pattern.test(sql)) {
+          if (rows instanceof Error) throw rows;
+          const out = typeof rows === 'function' ? rows(params) : rows;
+          return { rows: out, rowCount: out.length };
+        }
+      }
+      return { rows: [], rowCount: 0 };
+    },
+  };
+}
+
+const NOW = new Date('2026-10-19T15:00:00Z');
+const rec = (basis, obtainedAt, extra = {}) => ({
+  email: 'jane@kpmg.ca', basis, source: 'test', evidence_ref: `${basis}:1`, obtained_at: new Date(obtainedAt),
+  expires_at: service.expiryFor(basis, new Date(obtainedAt), config), ...extra,
+});
+
+test('implied consent expires two years after a business relationship, six months after an inquiry', () => {
+  assert.strictEqual(service.expiryFor('implied_ebr', new Date('2024-10-19T12:00:00Z'), config).toISOString(), '2026-10-19T12:00:00.000Z');
+  assert.strictEqual(service.expiryFor('implied_inquiry', new Date('2026-04-19T12:00:00Z'), config).toISOString(), '2026-10-19T12:00:00.000Z');
+  // Clamped to the end of a shorter month, like Postgres interval arithmetic.
+  assert.strictEqual(service.expiryFor('implied_inquiry', new Date('2026-08-31T00:00:00Z'), config).toISOString(), '2027-02-28T00:00:00.000Z');
+  assert.strictEqual(service.expiryFor('implied_ebr', new Date('2028-02-29T00:00:00Z'), config).toISOString(), '2030-02-28T00:00:00.000Z');
+  assert.strictEqual(service.expiryFor('express', NOW, config), null);
+  assert.strictEqual(service.expiryFor('implied_publication', NOW, config), null);
+});
+
+test('resolve picks the strongest active grant the class accepts and explains a miss', () => {
+  const records = [
+    rec('implied_publication', '2025-01-10T00:00:00Z'),
+    rec('implied_inquiry', '2026-06-01T00:00:00Z'),
+    rec('implied_ebr', '2023-01-01T00:00:00Z'),
+  ];
+  const outreach = service.resolve(records, config, { messageClass: 'outreach', now: NOW });
+  assert.deepStrictEqual([outreach.allowed, outreach.basis, outreach.expires_at.toISOString()], [true, 'implied_inquiry', '2026-12-01T00:00:00.000Z']);
+
+  // The webinar takes express or EBR only; the EBR here lapsed on 2025-01-01.
+  const webinar = service.resolve(records, config, { messageClass: 'webinar_invite', now: NOW });
+  assert.deepStrictEqual([webinar.allowed, webinar.status], [false, 'not_accepted']);
+  assert.match(webinar.reason, /^implied_publication, implied_inquiry not accepted for webinar_invite$/);
+  const lapsed = service.resolve([rec('implied_ebr', '2023-01-01T00:00:00Z')], config, { messageClass: 'webinar_invite', now: NOW });
+  assert.deepStrictEqual([lapsed.status, lapsed.reason], ['expired', 'implied_ebr expired 2025-01-01T00:00:00.000Z']);
+
+  // A withdrawal (or an unsubscribe) cancels what came before it, not after.
+  const withdrawn = service.resolve([...records, rec('withdrawn', '2026-07-01T00:00:00Z')], config, { messageClass: 'outreach', now: NOW });
+  assert.deepStrictEqual([withdrawn.allowed, withdrawn.status, withdrawn.reason], [false, 'withdrawn', 'withdrawn 2026-07-01T00:00:00.000Z']);
+  const unsubscribed = service.resolve(records, config, { messageClass: 'outreach', now: NOW, unsubscribedAt: '2026-07-01T00:00:00Z' });
+  assert.strictEqual(unsubscribed.status, 'withdrawn');
+  const resubscribed = service.resolve([...records, rec('withdrawn', '2026-07-01T00:00:00Z'), rec('express', '2026-09-01T00:00:00Z')], config, { messageClass: 'webinar_invite', now: NOW });
+  assert.deepStrictEqual([resubscribed.allowed, resubscribed.basis, resubscribed.expires_at], [true, 'express', null]);
+
+  assert.deepStrictEqual(service.resolve([], config, { messageClass: 'outreach', now: NOW }).reason, 'no consent on record');
+});
+
+test('senders are blocked only in enforced classes, and never by a registry error', async () => {
+  const enforced = { ...config, ENFORCE: ['webinar_invite'] };
+  const empty = routedPool();
+  assert.deepStrictEqual(await service.blocked(empty, enforced, 'Jane@KPMG.ca', 'webinar_invite'), {
+    gate: 'consent', outcome: 'suppressed', reason: 'no consent on record',
+  });
+  assert.strictEqual(empty.calls.find((c) => /consent_records/.test(c.sql)).params[0], 'jane@kpmg.ca');
+  // Not enforced: logged once per class, not blocked.
+  const warn = console.warn;
+  const warned = [];
+  console.warn = (line) => warned.push(line);
+  try {
+    assert.strictEqual(await service.blocked(empty, enforced, 'jane@kpmg.ca', 'outreach'), null);
+    assert.strictEqual(await service.blocked(empty, enforced, 'joe@kpmg.ca', 'outreach'), null);
+  } finally {
+    console.warn = warn;
+  }
+  assert.strictEqual(warned.length, 1);
+  assert.notStrictEqual(await service.blocked(empty, { ...config, ENFORCE: ['all'] }, 'jane@kpmg.ca', 'outreach'), null);
+
+  const granted = routedPool([[/FROM consent_records/, [rec('express', '2026-01-01T00:00:00Z')]]]);
+  assert.strictEqual(await service.blocked(granted, enforced, 'jane@kpmg.ca', 'webinar_invite'), null);
+
+  // Transactional mail is never checked.
+  const untouched = routedPool();
+  assert.strictEqual(await service.blocked(untouched, { ...config, ENFORCE: ['all'] }, 'jane@kpmg.ca', 'transactional'), null);
+  assert.strictEqual(untouched.calls.length, 0);
+
+  const broken = routedPool([[/consent_records/, new Error('relation "consent_records" does not exist')]]);
+  assert.strictEqual(await service.blocked(broken, enforced, 'jane@kpmg.ca', 'webinar_invite'), null);
+
+  // An erased address is blocked even when the registry cannot be read.
+  const erased = routedPool([[/privacy_suppressions/, [{ '?column?': 1 }]], [/consent_records/, new Error('connection terminated')]]);
+  assert.deepStrictEqual(await service.blocked(erased, enforced, 'jane@kpmg.ca', 'outreach'), {
+    gate: 'privacy_erasure', outcome: 'suppressed', reason: 'address erased on request',
+  });
+});
+
+test('admin grants need evidence, and expiry is computed from when consent was obtained', async () => {
+  const pool = routedPool([[/INSERT INTO consent_records/, (params) => [{ id: 1, email: params[0], basis: params[1], expires_at: params[5] }]]]);
+  const bad = [
+    [{ email: 'nope', basis: 'express', evidence_ref: 'x' }, /email/],
+    [{ email: 'jane@kpmg.ca', basis: 'implied', evidence_ref: 'x' }, /basis must be one of/],
+    [{ email: 'jane@kpmg.ca', basis: 'express' }, /evidence_ref is required/],
+    [{ email: 'jane@kpmg.ca', basis: 'express', evidence_ref: 'x', obtained_at: '2027-01-01' }, /obtained_at/],
+  ];
+  for (const [body, message] of bad) {
+    const result = await service.grant(pool, config, 'admin:ops@canadaaccountants.app', body, { now: NOW });
+    assert.strictEqual(result.ok, false);
+    assert.match(result.message, message);
+  }
+  assert.strictEqual(pool.calls.length, 0);
+
+  const ok = await service.grant(pool, config, 'admin:ops@canadaaccountants.app',
+    { email: ' Jane@KPMG.ca ', basis: 'implied_inquiry', evidence_ref: 'call notes 2026-10-01', obtained_at: '2026-10-01T00:00:00Z' }, { now: NOW });
+  assert.strictEqual(ok.ok, true);
+  const params = pool.calls[0].params;
+  assert.deepStrictEqual(params.slice(0, 4), ['jane@kpmg.ca', 'implied_inquiry', 'admin', 'call notes 2026-10-01']);
+  assert.strictEqual(params[5].toISOString(), '2027-04-01T00:00:00.000Z');
+  assert.strictEqual(params[7], 'admin:ops@canadaaccountants.app');
+  assert.match(pool.calls[0].sql, /WHERE EXCLUDED\.obtained_at > consent_records\.obtained_at/);
+});
+
+test('sync copies each source with its basis and expiry, and reports a missing table', async () => {
+  const pool = routedPool([
+    [/FROM sme_friction_requests/, new Error('relation "sme_friction_requests" does not exist')],
+    [/INSERT INTO consent_records/, [{}, {}]],
+  ]);
+  const result = await service.sync(pool, config);
+  assert.deepStrictEqual(pool.calls.map((c) => c.params), service.SYNC_SOURCES.map((s) => [s.basis, s.name, config.IMPLIED_EXPIRY_MONTHS[s.basis] || null]));
+  assert.deepStrictEqual(result.sources.subscription, { upserted: 2 });
+  assert.deepStrictEqual(result.sources.friction_request, { error: 'relation "sme_friction_requests" does not exist' });
+  assert.deepStrictEqual(pool.calls.find((c) => c.params[1] === 'contact_form').params, ['implied_inquiry', 'contact_form', 6]);
+});
+
+test('the export states each record as of now and escapes CSV', async () => {
+  const pool = routedPool([[/FROM consent_records c/, [
+    { ...rec('implied_ebr', '2023-01-01T00:00:00Z'), id: 1, withdrawn_at: null, note: 'invoice #44, "annual"' },
+    { ...rec('implied_publication', '2025-01-10T00:00:00Z'), id: 2, withdrawn_at: '2026-07-01T00:00:00Z' },
+    { ...rec('withdrawn', '2026-07-01T00:00:00Z'), id: 3, withdrawn_at: '2026-07-01T00:00:00Z' },
+  ]]]);
+  assert.strictEqual((await service.exportRecords(pool, config, { since: 'yesterday' })).ok, false);
+  assert.strictEqual((await service.exportRecords(pool, config, { basis: 'vibes' })).ok, false);
+
+  const result = await service.exportRecords(pool, config, { basis: 'implied_ebr', email: 'Jane@KPMG.ca' }, { now: NOW });
+  const call = pool.calls[pool.calls.length - 1];
+  assert.match(call.sql, /WHERE c\.basis = \$1 AND c\.email = \$2/);
+  assert.deepStrictEqual(call.params, ['implied_ebr', 'jane@kpmg.ca', config.EXPORT_LIMIT]);
+  assert.deepStrictEqual(result.records.map((r) => r.state), ['expired', 'withdrawn', 'withdrawal']);
+
+  const csv = service.toCsv(service.EXPORT_COLUMNS, result.records).split('\r\n');
+  assert.strictEqual(csv[0], 'id,email,basis,state,source,evidence_ref,obtained_at,expires_at,note,recorded_by,recorded_at,updated_at');
+  assert.strictEqual(csv[1], '1,jane@kpmg.ca,implied_ebr,expired,test,implied_ebr:1,2023-01-01T00:00:00.000Z,2025-01-01T00:00:00.000Z,"invoice #44, ""annual""",,,');
+});
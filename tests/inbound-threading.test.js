@@ -0,0 +1,111 @@
+// Inbound threading: which outreach send a reply answers, and the
+// per-professional conversation timeline, and the CRM route that serves it.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const threading = require('../services/inbound-threading');
+
+// Answers queries by the first matching pattern; records every call.
+function routedPool(routes = []) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      for (const [pattern, rows] of routes) {
+        if (pattern.test(sql)) {
+          if (rows instanceof Error) throw rows;
+          const out = typeof rows === 'function' ? rows(params) : rows;
+          return { rows: out, rowCount: out.length };
+        }
+      }
+      return { rows: [], rowCount: 0 };
+    },
+  };
+}
+
+test('message ids come nearest first; reply prefixes are not part of the subject', () => {
+  assert.deepStrictEqual(threading.parseMessageIds('<c@x>', '<a@x> <b@x> <c@x>'), ['c@x', 'b@x', 'a@x']);
+  assert.deepStrictEqual(threading.parseMessageIds(null, ['<a@x>', '<b@x>']), ['b@x', 'a@x']);
+  assert.deepStrictEqual(threading.parseMessageIds(undefined, undefined), []);
+  assert.strictEqual(threading.normalizeSubject('RE: Fwd: TR :  Your  Profile'), 'your profile');
+  assert.strictEqual(threading.normalizeSubject('Re[2]: Your profile'), 'your profile');
+  assert.strictEqual(threading.normalizeSubject('Réf : Votre profil'), 'votre profil');
+});
+
+test('a reply links by header, then subject, then the latest send to the sender', async () => {
+  const reply = {
+    id: 41, from_email: ' Jane@KPMG.ca ', subject: 'Re: Your CPA profile', received_at: new Date('2026-10-19T15:00:00Z'),
+    in_reply_to: '<0100019a-ses@email.amazonses.com>', reference_ids: ['<older@mail.gmail.com>', '<0100019a-ses@email.amazonses.com>'],
+  };
+  const header = routedPool([[/resend_email_id = ANY/, (params) => (params[0].includes('0100019a-ses') ? [{ id: 7 }] : [])]]);
+  assert.deepStrictEqual(await threading.threadInbound(header, reply), { outreach_email_id: 7, match: 'header' });
+  assert.deepStrictEqual(header.calls[0].params[0],
+    ['0100019a-ses@email.amazonses.com', '0100019a-ses', 'older@mail.gmail.com', 'older']);
+  assert.deepStrictEqual(header.calls[1].params, [41, 7, 'header']);
+
+  const subject = routedPool([[/COALESCE\(rendered_subject, subject\)\) = \$3/, [{ id: 8 }]]]);
+  assert.deepStrictEqual(await threading.findSend(subject, reply), { outreach_email_id: 8, match: 'subject' });
+  assert.deepStrictEqual(subject.calls[1].params, ['jane@kpmg.ca', reply.received_at, 'your cpa profile']);
+
+  const recipient = routedPool([[/make_interval\(days => \$3\)/, [{ id: 9 }]]]);
+  assert.deepStrictEqual(await threading.findSend(recipient, { ...reply, in_reply_to: null, reference_ids: null }),
+    { outreach_email_id: 9, match: 'recipient' });
+  assert.strictEqual(recipient.calls.length, 2);
+  assert.deepStrictEqual(recipient.calls[1].params, ['jane@kpmg.ca', reply.received_at, threading.THREAD_WINDOW_DAYS]);
+
+  const none = routedPool();
+  assert.strictEqual(await threading.threadInbound(none, reply), null);
+  assert.ok(!none.calls.some((c) => /^UPDATE/.test(c.sql.trim())));
+});
+
+test('the conversation interleaves sends and replies across both of a professional\'s addresses', async () => {
+  const pool = routedPool([
+    [/FROM scraped_cpas/, [{ email: 'Jane@KPMG.ca', enriched_email: 'jane.doe@kpmg.ca' }]],
+    [/FROM outreach_emails/, [
+      { id: 12, campaign_id: 0, sequence_number: 1, status: 'opened', recipient_email: 'jane.doe@kpmg.ca', subject: 'Quick question', sent_at: new Date('2026-10-10T14:00:00Z') },
+      { id: 11, campaign_id: null, sequence_number: 1, status: 'delivered', email_provider: 'ses', recipient_email: 'jane@kpmg.ca', subject: 'Your CPA profile', sent_at: new Date('2026-10-01T14:00:00Z') },
+    ]],
+    [/FROM inbound_messages m/, [
+      { id: 41, from_email: 'jane@kpmg.ca', subject: 'Re: Your CPA profile', body_text: 'How much?', received_at: new Date('2026-10-02T09:00:00Z'),
+        classification_status: 'manual_review', classification_decision: 'intent', is_auto_reply: false, outreach_email_id: 11, thread_match: 'header', intent: 'pricing_question' },
+    ]],
+  ]);
+  const result = await threading.conversation(pool, 5);
+  assert.deepStrictEqual(result.emails, ['jane@kpmg.ca', 'jane.doe@kpmg.ca']);
+  assert.deepStrictEqual(pool.calls[1].params.slice(0, 3), [5, ['cpa', 'scraped_cpa'], ['jane@kpmg.ca', 'jane.doe@kpmg.ca']]);
+  assert.deepStrictEqual(result.timeline.map((e) => [e.direction, e.outreach_email_id || e.inbound_message_id]), [['out', 11], ['in', 41], ['out', 12]]);
+  assert.deepStrictEqual([result.timeline[0].source, result.timeline[0].provider, result.timeline[2].source, result.timeline[2].provider],
+    ['sequence_v2', 'ses', 'crm_sequence', 'resend']);
+  assert.deepStrictEqual([result.timeline[1].answers, result.timeline[1].intent, result.timeline[1].classification], [11, 'pricing_question', 'intent']);
+
+  assert.strictEqual(await threading.conversation(routedPool(), 404), null);
+});
+
+test('GET /api/admin/crm/professionals/:id serves the conversation over HTTP', async () => {
+  const express = require('express');
+  const buildCrmAdminRoutes = require('../routes/crm-admin');
+  const pool = routedPool([
+    [/FROM scraped_cpas/, [{ email: 'jane@kpmg.ca', enriched_email: null }]],
+    [/FROM outreach_emails/, [{ id: 11, campaign_id: 3, sequence_number: 1, status: 'delivered', recipient_email: 'jane@kpmg.ca', subject: 'Your CPA profile', sent_at: new Date('2026-10-01T14:00:00Z') }]],
+  ]);
+  const crm = { getProfessional: async (id) => (id === 5 ? { id: 5, crm_status: 'engaged' } : null) };
+  const app = express();
+  app.use(express.json());
+  app.use(buildCrmAdminRoutes({ pool, crm, sequenceEngine: {}, crmIntelligence: {} }));
+  app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+  const server = app.listen(0);
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const res = await fetch(`${base}/api/admin/crm/professionals/5`);
+    assert.strictEqual(res.status, 200);
+    const body = await res.json();
+    assert.deepStrictEqual([body.success, body.professional.id], [true, 5]);
+    assert.deepStrictEqual(body.conversation.timeline.map((e) => [e.direction, e.outreach_email_id]), [['out', 11]]);
+
+    const missing = await fetch(`${base}/api/admin/crm/professionals/6`);
+    assert.deepStrictEqual([missing.status, (await missing.json()).error], [404, 'Not found']);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
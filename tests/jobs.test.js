@@ -0,0 +1,141 @@
+// Job scheduler: definitions, backoff, and the leader's run/retry/dead-letter
+// path against an in-memory service.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../modules/jobs/config');
+const realService = require('../modules/jobs/service');
+const { createScheduler, normalize } = require('../modules/jobs/scheduler');
+
+// Records what the scheduler asks of the database; pending runs are served
+// from a queue.
+function fakeService(pending = []) {
+  const calls = { finished: [], retries: [], deadLetters: [], skipped: [], byId: {} };
+  return {
+    calls,
+    logError: () => {},
+    backoffMs: realService.backoffMs,
+    summarizeResult: realService.summarizeResult,
+    reapStale: async () => [],
+    pausedJobs: async () => new Set(),
+    claimPending: async (pool, names) => {
+      const i = pending.findIndex((r) => names.includes(r.job_name));
+      return i === -1 ? null : pending.splice(i, 1)[0];
+    },
+    startRun: async (pool, { jobName, trigger, args }) => ({ id: 99, job_name: jobName, trigger, args, attempt: 1 }),
+    recordSkipped: async (pool, row) => { calls.skipped.push(row); },
+    finishRun: async (pool, id, { status, error, result }) => {
+      calls.finished.push({ id, status, error, result });
+      return { ...calls.byId[id], status, error };
+    },
+    enqueueRetry: async (pool, run, runAfter) => { calls.retries.push({ run, delay: runAfter.getTime() - Date.now() }); },
+    deadLetter: async (pool, run) => { calls.deadLetters.push(run); },
+  };
+}
+
+function build(service, { leading = true, overrides = {} } = {}) {
+  const fired = [];
+  const cron = { schedule: (expr, fn) => { fired.push(fn); return { stop() {} }; } };
+  const leader = { isLeader: () => leading, start() {}, stop: async () => {} };
+  const scheduler = createScheduler({ pool: {}, config: { ...config, ...overrides }, service, leader, cron, deps: {} });
+  return { scheduler, fired };
+}
+
+const flush = () => new Promise((r) => setImmediate(r));
+
+test('job definitions are normalised with config defaults', () => {
+  const def = normalize(config, {
+    name: 'inbound_summary',
+    schedule: [{ cron: '0 10 * * *', args: { slot: '10am' } }, '0 15 * * *'],
+    timezone: 'America/New_York',
+    run: () => {},
+  });
+  assert.deepStrictEqual(def.schedules, [
+    { cron: '0 10 * * *', timezone: 'America/New_York', args: { slot: '10am' } },
+    { cron: '0 15 * * *', timezone: 'America/New_York', args: {} },
+  ]);
+  assert.strictEqual(def.maxAttempts, 1);
+  assert.strictEqual(def.deadLetter, false);
+  assert.strictEqual(normalize(config, { name: 'gate', maxAttempts: 3, run: () => {} }).deadLetter, true);
+  assert.throws(() => normalize(config, { name: 'Bad Name', run: () => {} }), /bad job name/);
+  assert.throws(() => normalize(config, { name: 'no_run' }), /run must be a function/);
+
+  const def3 = { backoffMs: 60000 };
+  assert.deepStrictEqual([1, 2, 3].map((a) => realService.backoffMs(def3, a, config)), [60000, 120000, 240000]);
+  assert.strictEqual(realService.backoffMs(def3, 20, config), config.MAX_BACKOFF_MS);
+
+  assert.strictEqual(realService.summarizeResult(undefined, 100), null);
+  assert.deepStrictEqual(realService.summarizeResult(3, 100), { value: 3 });
+  assert.deepStrictEqual(realService.summarizeResult({ sent: 2 }, 100), { sent: 2 });
+  assert.deepStrictEqual(realService.summarizeResult({ big: 'x'.repeat(200) }, 100), { truncated: true, chars: 210 });
+});
+
+test('a failing run is retried with backoff, then dead-lettered', async () => {
+  const runs = [
+    { id: 1, job_name: 'gate', trigger: 'retry', attempt: 2, args: {} },
+    { id: 2, job_name: 'gate', trigger: 'retry', attempt: 3, args: {} },
+  ];
+  const service = fakeService(runs.slice());
+  service.calls.byId = Object.fromEntries(runs.map((r) => [r.id, r]));
+  const { scheduler } = build(service);
+  scheduler.register({ name: 'gate', maxAttempts: 3, backoffMs: 1000, run: async () => { throw new Error('db down'); } });
+
+  await scheduler.tick();
+  await flush();
+  assert.deepStrictEqual(service.calls.finished.map((f) => [f.id, f.status, f.error]), [[1, 'failed', 'db down']]);
+  assert.strictEqual(service.calls.retries.length, 1);
+  assert.ok(service.calls.retries[0].delay > 1500 && service.calls.retries[0].delay <= 2000); // attempt 2 -> 2x base
+
+  await scheduler.tick();
+  await flush();
+  assert.strictEqual(service.calls.retries.length, 1);
+  assert.deepStrictEqual(service.calls.deadLetters.map((r) => r.id), [2]);
+});
+
+test('fires only run on the leader, and not while the job is still running', async () => {
+  const service = fakeService();
+  service.calls.byId = { 99: { id: 99, job_name: 'slow', attempt: 1 } };
+  let release;
+  const { scheduler, fired } = build(service);
+  scheduler.register({ name: 'slow', schedule: '* * * * *', run: () => new Promise((r) => { release = r; }) });
+  scheduler.start();
+  assert.strictEqual(fired.length, 1);
+
+  fired[0]();
+  await flush();
+  assert.strictEqual(scheduler.isBusy('slow'), true);
+  fired[0]();
+  await flush();
+  assert.deepStrictEqual(service.calls.skipped.map((s) => s.reason), ['still running in this process']);
+
+  release({ ok: true });
+  await flush();
+  await flush();
+  assert.deepStrictEqual(service.calls.finished.map((f) => [f.status, f.result]), [['succeeded', { ok: true }]]);
+  assert.strictEqual(scheduler.isBusy('slow'), false);
+
+  const follower = build(fakeService(), { leading: false });
+  let ran = false;
+  follower.scheduler.register({ name: 'slow', schedule: '* * * * *', run: () => { ran = true; } });
+  follower.scheduler.start();
+  follower.fired[0]();
+  await flush();
+  assert.strictEqual(ran, false);
+  await scheduler.stop();
+  await follower.scheduler.stop();
+});
+
+test('a run past its timeout is recorded as timed_out and aborted', async () => {
+  const run = { id: 5, job_name: 'hang', trigger: 'manual', attempt: 1, args: {} };
+  const service = fakeService([run]);
+  service.calls.byId = { 5: run };
+  const { scheduler } = build(service);
+  let signal;
+  scheduler.register({ name: 'hang', timeoutMs: 20, run: (ctx) => { signal = ctx.signal; return new Promise(() => {}); } });
+  await scheduler.tick();
+  await new Promise((r) => setTimeout(r, 60));
+  assert.deepStrictEqual(service.calls.finished.map((f) => f.status), ['timed_out']);
+  assert.strictEqual(signal.aborted, true);
+  // Still busy here: the handler never settled, so its next run waits.
+  assert.strictEqual(scheduler.isBusy('hang'), true);
+});
@@ -0,0 +1,252 @@
+// Pay-per-lead billing: provincial prices, charging on accept from a prepaid
+// balance or as metered usage, top-ups through the Stripe webhook, refunds
+// and disputes, and the matcher's exhausted-balance filter.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const baseConfig = require('../modules/billing/config');
+const service = require('../modules/billing/service');
+const leadBilling = require('../modules/billing/lead-billing');
+const leadService = require('../modules/leads/service');
+const engine = require('../modules/matching/engine');
+
+// Answers queries by the first matching pattern; records every call. The same
+// recorder serves pool.connect(), so transaction statements are in `calls`.
+function routedPool(routes = []) {
+  const calls = [];
+  const query = async (sql, params) => {
+    calls.push({ sql, params });
+    for (const [pattern, rows] of routes) {
+      if (pattern.test(sql)) {
+        const out = typeof rows === 'function' ? rows(params) : rows;
+        return { rows: out, rowCount: out.length };
+      }
+    }
+    return { rows: [], rowCount: 0 };
+  };
+  return { calls, query, connect: async () => ({ query, release: () => {} }) };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-10-19T15:00:00Z');
+const config = { ...baseConfig, LEAD_PRICES: { ON: 6000, PE: 3500, default: 5000 }, LEAD_DISPUTE_DAYS: 14 };
+const lead = { id: 40, summary: { province: 'Ontario' } };
+const offer = { id: 400, cpa_profile_id: 7 };
+
+const account = (extra = {}) => ({
+  cpa_profile_id: 7, mode: 'prepaid', status: 'active', balance_cents: 10000,
+  stripe_customer_id: 'cus_7', stripe_subscription_id: null, stripe_subscription_item_id: null, ...extra,
+});
+
+// The ledger row the INSERT would return, built from its params.
+const ledgerRow = (id) => (p) => [{
+  id, cpa_profile_id: p[0], kind: p[1], mode: p[2], amount_cents: p[3], balance_after: p[4],
+  lead_id: p[5], offer_id: p[6], province: p[7], charge_id: p[8], stripe_ref: p[9], usage_reported_at: null,
+}];
+const accountSaves = (pool) => pool.calls.filter((c) => /UPDATE billing_lead_accounts/.test(c.sql)).map((c) => c.params.slice(0, 4));
+
+test('prices follow the province, overrides are validated, and status tracks what the account can pay', () => {
+  assert.deepStrictEqual(leadBilling.leadPrice(config, 'Ontario'), { province: 'ON', cents: 6000 });
+  assert.deepStrictEqual(leadBilling.leadPrice(config, 'pe'), { province: 'PE', cents: 3500 });
+  assert.deepStrictEqual(leadBilling.leadPrice(config, null), { province: null, cents: 5000 });
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const prices = baseConfig.leadPrices('{"on": 7000, "default": 4000, "XX": 100, "BC": -5}');
+    assert.deepStrictEqual([prices.ON, prices.default, prices.XX, prices.BC], [7000, 4000, undefined, baseConfig.LEAD_PRICES.BC]);
+    assert.deepStrictEqual(baseConfig.leadPrices('not json'), baseConfig.leadPrices(''));
+  } finally {
+    console.warn = warn;
+  }
+
+  assert.strictEqual(leadBilling.accountStatus(config, account({ balance_cents: 3500 })), 'active');
+  assert.strictEqual(leadBilling.accountStatus(config, account({ balance_cents: 3499 })), 'exhausted');
+  assert.strictEqual(leadBilling.accountStatus(config, account({ balance_cents: 0, mode: 'metered', stripe_subscription_item_id: 'si_1' })), 'active');
+  assert.strictEqual(leadBilling.accountStatus(config, account({ balance_cents: 0, mode: 'metered' })), 'exhausted');
+});
+
+test('accepting charges the balance, falls back to metered usage, and refuses a prepaid account that cannot pay', async () => {
+  const poolWith = (acct, subscription = 'inactive') => routedPool([
+    [/FROM billing_lead_accounts WHERE cpa_profile_id = \$1 FOR UPDATE/, acct ? [acct] : []],
+    [/SELECT subscription_status FROM cpa_profiles/, [{ subscription_status: subscription }]],
+    [/INSERT INTO billing_lead_ledger/, ledgerRow(1)],
+    [/UPDATE billing_lead_accounts/, (p) => [{ cpa_profile_id: p[0], balance_cents: p[2], status: p[3] }]],
+  ]);
+
+  // Prepaid: 100.00 - 60.00 leaves 40.00, still enough for a PE lead.
+  const prepaid = poolWith(account());
+  const paid = await leadBilling.charge(prepaid, config, lead, offer);
+  assert.deepStrictEqual([paid.ok, paid.charge.mode, paid.charge.amount_cents, paid.charge.balance_after, paid.charge.province],
+    [true, 'prepaid', -6000, 4000, 'ON']);
+  assert.deepStrictEqual(accountSaves(prepaid), [[7, 'prepaid', 4000, 'active']]);
+
+  // The last lead the balance covers exhausts it.
+  const last = poolWith(account({ balance_cents: 6500 }));
+  await leadBilling.charge(last, config, lead, offer);
+  assert.deepStrictEqual(accountSaves(last), [[7, 'prepaid', 500, 'exhausted']]);
+
+  // Short prepaid balance: 402, nothing written.
+  const short = poolWith(account({ balance_cents: 5999 }));
+  const refused = await leadBilling.charge(short, config, lead, offer);
+  assert.deepStrictEqual([refused.ok, refused.code], [false, 402]);
+  assert.match(refused.message, /\$60\.00 .* \$59\.99/);
+  assert.strictEqual(short.calls.some((c) => /^\s*(INSERT|UPDATE)/.test(c.sql)), false);
+
+  // Metered with a short balance: usage, the balance untouched.
+  const metered = poolWith(account({ balance_cents: 100, mode: 'metered', stripe_subscription_item_id: 'si_7' }));
+  const usage = await leadBilling.charge(metered, config, lead, offer);
+  assert.deepStrictEqual([usage.charge.mode, usage.charge.amount_cents, usage.charge.balance_after], ['metered', -6000, null]);
+  assert.deepStrictEqual(accountSaves(metered), []);
+
+  // No account, or a subscription that covers leads: not charged.
+  assert.deepStrictEqual(await leadBilling.charge(poolWith(null), config, lead, offer), { ok: true, charge: null });
+  const subscribed = poolWith(account(), 'active');
+  assert.deepStrictEqual(await leadBilling.charge(subscribed, config, lead, offer), { ok: true, charge: null });
+  assert.strictEqual(subscribed.calls.some((c) => /INSERT/.test(c.sql)), false);
+});
+
+test('a refused charge rolls the accept back; a metered one is reported once it commits', async () => {
+  const pool = routedPool([
+    [/SELECT lead_id FROM routed_lead_offers/, [{ lead_id: 40 }]],
+    [/FROM routed_leads WHERE id = \$1 FOR UPDATE/, [{ ...lead, status: 'routing' }]],
+    [/FROM routed_lead_offers WHERE id = \$1 FOR UPDATE/, [{ ...offer, lead_id: 40, status: 'offered' }]],
+    [/SELECT count\(\*\)::int AS n/, [{ n: 1 }]],
+  ]);
+  const refusal = { ok: false, code: 402, message: 'Top up to accept it.' };
+  const reported = [];
+  const hook = (billed) => ({ charge: async () => billed, report: async (c) => { reported.push(c.id); } });
+
+  const refused = await leadService.acceptOffer(pool, { MAX_ACCEPTS: 1 }, 400, 7, { leadBilling: hook(refusal) });
+  assert.deepStrictEqual(refused, refusal);
+  assert.ok(pool.calls.some((c) => c.sql === 'ROLLBACK'));
+  assert.strictEqual(pool.calls.some((c) => /SET status = 'accepted'/.test(c.sql)), false);
+
+  const accepted = await leadService.acceptOffer(pool, { MAX_ACCEPTS: 1 }, 400, 7,
+    { leadBilling: hook({ ok: true, charge: { id: 9, amount_cents: -6000 } }) });
+  assert.deepStrictEqual([accepted.ok, accepted.charged_cents, reported], [true, 6000, [9]]);
+  assert.ok(pool.calls.findIndex((c) => c.sql === 'COMMIT') > pool.calls.findIndex((c) => /SET status = 'accepted'/.test(c.sql)));
+
+  // Stripe hears about usage only after the accept commits.
+  const stripeCalls = [];
+  const stripe = { subscriptionItems: { createUsageRecord: async (...args) => { stripeCalls.push(args); return { id: 'mbur_1' }; } } };
+  const usagePool = routedPool([[/SELECT stripe_subscription_item_id/, [{ stripe_subscription_item_id: 'si_7' }]]]);
+  const chargeRow = { id: 9, kind: 'charge', mode: 'metered', cpa_profile_id: 7, amount_cents: -6000, usage_reported_at: null };
+  assert.strictEqual(await leadBilling.reportUsage(usagePool, config, chargeRow, { stripe }), 'reported');
+  assert.deepStrictEqual(stripeCalls, [['si_7', { quantity: 6000, timestamp: 'now', action: 'increment' }, { idempotencyKey: 'lead-charge-9' }]]);
+  assert.deepStrictEqual(usagePool.calls.at(-1).params, [9, 'mbur_1']);
+  assert.strictEqual(await leadBilling.reportUsage(usagePool, config, { ...chargeRow, mode: 'prepaid' }, { stripe }), null);
+});
+
+test('a paid top-up session is credited once and never touches cpa_subscriptions', async () => {
+  let credited = false;
+  const pool = routedPool([
+    [/INSERT INTO billing_stripe_events/, [{ attempts: 1 }]],
+    [/FROM billing_lead_accounts WHERE cpa_profile_id = \$1 FOR UPDATE/, [account({ balance_cents: 500, status: 'exhausted', stripe_customer_id: null })]],
+    [/INSERT INTO billing_lead_ledger/, (p) => (credited ? [] : ledgerRow(3)(p))],
+    [/UPDATE billing_lead_accounts/, (p) => [{ balance_cents: p[2], status: p[3] }]],
+  ]);
+  const event = {
+    id: 'evt_topup', type: 'checkout.session.completed', created: 1,
+    data: { object: {
+      id: 'cs_1', customer: 'cus_new', payment_status: 'paid', amount_total: 10000,
+      metadata: { kind: 'lead_topup', cpa_profile_id: '7', amount_cents: '10000' },
+    } },
+  };
+  const hooked = [];
+  const deps = { hooks: { onCheckoutCompleted: async (s) => { hooked.push(s.id); } } };
+
+  const first = await service.handleEvent(pool, config, event, deps);
+  assert.deepStrictEqual(first.result, { action: 'topped_up', cpa_profile_id: 7, amount_cents: 10000, balance_cents: 10500, status: 'active' });
+  const insert = pool.calls.find((c) => /INSERT INTO billing_lead_ledger/.test(c.sql));
+  assert.deepStrictEqual([insert.params[1], insert.params[3], insert.params[4], insert.params[9]], ['topup', 10000, 10500, 'cs_1']);
+  assert.strictEqual(accountSaves(pool)[0][0], 7);
+  assert.strictEqual(pool.calls.find((c) => /UPDATE billing_lead_accounts/.test(c.sql)).params[4], 'cus_new');
+  assert.strictEqual(pool.calls.some((c) => /cpa_subscriptions/.test(c.sql)), false);
+  assert.deepStrictEqual(hooked, []);
+
+  // The same session again (a second event id for it): not credited twice.
+  credited = true;
+  const again = await service.handleEvent(pool, config, { ...event, id: 'evt_topup_2' }, deps);
+  assert.deepStrictEqual(again.result, { action: 'none', reason: 'already_credited', cpa_profile_id: 7 });
+
+  // A metered lead subscription event is lead-billing's too.
+  const subPool = routedPool([
+    [/INSERT INTO billing_stripe_events/, [{ attempts: 1 }]],
+    [/FROM billing_lead_accounts WHERE cpa_profile_id = \$1 FOR UPDATE/, [account({ balance_cents: 0 })]],
+    [/UPDATE billing_lead_accounts/, (p) => [{ mode: p[1], status: p[3] }]],
+  ]);
+  const sub = { id: 'sub_m', status: 'active', customer: 'cus_7', metadata: { kind: 'lead_metered', cpa_profile_id: '7' }, items: { data: [{ id: 'si_7' }] } };
+  const applied = await service.handleEvent(subPool, config, { id: 'evt_sub', type: 'customer.subscription.created', created: 1, data: { object: sub } }, deps);
+  assert.deepStrictEqual(applied.result, { action: 'applied', cpa_profile_id: 7, mode: 'metered', status: 'active' });
+  assert.deepStrictEqual(subPool.calls.find((c) => /UPDATE billing_lead_accounts/.test(c.sql)).params.slice(5), ['sub_m', 'si_7']);
+  assert.strictEqual(subPool.calls.some((c) => /cpa_subscriptions/.test(c.sql)), false);
+});
+
+test('refunds credit the balance or the next invoice once, and disputes are windowed and resolved by an admin', async () => {
+  const chargeRow = (extra) => ({
+    id: 9, kind: 'charge', cpa_profile_id: 7, amount_cents: -6000, lead_id: 40, offer_id: 400, province: 'ON',
+    created_at: new Date(now.getTime() - 3 * DAY_MS), usage_reported_at: null, ...extra,
+  });
+  const refundPool = (charge, acct) => routedPool([
+    [/FROM billing_lead_ledger WHERE id = \$1 AND kind = 'charge' FOR UPDATE/, [charge]],
+    [/FROM billing_lead_accounts WHERE cpa_profile_id = \$1 FOR UPDATE/, [acct]],
+    [/INSERT INTO billing_lead_ledger/, ledgerRow(11)],
+    [/UPDATE billing_lead_accounts/, (p) => [{ balance_cents: p[2], status: p[3] }]],
+    [/FROM billing_lead_ledger c\s+JOIN billing_lead_accounts/, [{ usage_reported_at: now, lead_id: 40, stripe_customer_id: 'cus_7' }]],
+  ]);
+
+  // Prepaid: back on the balance, which makes an exhausted account active.
+  const prepaid = refundPool(chargeRow({ mode: 'prepaid' }), account({ balance_cents: 500, status: 'exhausted' }));
+  const back = await leadBilling.refundCharge(prepaid, config, 9, { actor: 'admin:ops@firm.ca', reason: 'duplicate lead' }, {});
+  assert.deepStrictEqual([back.ok, back.balance_cents, back.status, back.stripe_credit, back.refund.amount_cents], [true, 6500, 'active', null, 6000]);
+
+  // Metered and already billed: a negative invoice item.
+  const items = [];
+  const stripe = { invoiceItems: { create: async (params, opts) => { items.push([params, opts]); return { id: 'ii_1' }; } } };
+  const metered = refundPool(chargeRow({ mode: 'metered', usage_reported_at: now }), account({ mode: 'metered', stripe_subscription_item_id: 'si_7' }));
+  const credit = await leadBilling.refundCharge(metered, config, 9, { actor: 'admin:ops@firm.ca', reason: 'spam' }, { stripe });
+  assert.strictEqual(credit.stripe_credit, 'credited');
+  assert.deepStrictEqual([items[0][0].customer, items[0][0].amount, items[0][0].currency, items[0][1]],
+    ['cus_7', -6000, 'cad', { idempotencyKey: 'lead-refund-11' }]);
+  assert.deepStrictEqual(accountSaves(metered), []);
+
+  // Refunded once only: the ledger's unique refund per charge.
+  const twice = routedPool([
+    [/FROM billing_lead_ledger WHERE id = \$1 AND kind = 'charge' FOR UPDATE/, [chargeRow({ mode: 'prepaid' })]],
+    [/FROM billing_lead_accounts WHERE cpa_profile_id = \$1 FOR UPDATE/, [account()]],
+  ]);
+  const dup = await leadBilling.refundCharge(twice, config, 9, { actor: 'admin:x' }, {});
+  assert.deepStrictEqual([dup.ok, dup.code], [false, 409]);
+  assert.ok(twice.calls.some((c) => c.sql === 'ROLLBACK'));
+
+  // Disputes: a reason, the professional's own charge, inside the window.
+  const disputePool = (charge) => routedPool([
+    [/FROM billing_lead_ledger c\s+WHERE c\.id = \$1/, charge ? [charge] : []],
+    [/INSERT INTO billing_lead_disputes/, (p) => [{ id: 5, charge_id: p[0], cpa_profile_id: p[1], reason: p[2], status: 'open' }]],
+  ]);
+  assert.strictEqual((await leadBilling.openDispute(disputePool(chargeRow()), config, 7, 9, '  ', now)).code, 400);
+  assert.strictEqual((await leadBilling.openDispute(disputePool(null), config, 8, 9, 'wrong number', now)).code, 404);
+  const late = chargeRow({ created_at: new Date(now.getTime() - 15 * DAY_MS) });
+  assert.match((await leadBilling.openDispute(disputePool(late), config, 7, 9, 'wrong number', now)).message, /14 days/);
+  const opened = await leadBilling.openDispute(disputePool(chargeRow()), config, 7, 9, 'wrong number', now);
+  assert.deepStrictEqual([opened.ok, opened.dispute.reason], [true, 'wrong number']);
+
+  // Rejecting writes no refund; an unknown decision is a 400.
+  const resolvePool = routedPool([
+    [/SELECT \* FROM billing_lead_disputes WHERE id/, [{ id: 5, charge_id: 9, reason: 'wrong number', status: 'open' }]],
+    [/UPDATE billing_lead_disputes/, (p) => [{ id: p[0], status: p[1], resolved_by: p[2] }]],
+  ]);
+  assert.strictEqual((await leadBilling.resolveDispute(resolvePool, config, 5, { decision: 'maybe', actor: 'admin:x' }, {})).code, 400);
+  const rejected = await leadBilling.resolveDispute(resolvePool, config, 5, { decision: 'reject', actor: 'admin:ops@firm.ca' }, {});
+  assert.deepStrictEqual([rejected.dispute.status, rejected.refund], ['rejected', null]);
+  assert.strictEqual(resolvePool.calls.some((c) => /INSERT INTO billing_lead_ledger/.test(c.sql)), false);
+});
+
+test('the matcher keeps pay-per-lead professionals unless their balance is exhausted', async () => {
+  const pool = routedPool([[/to_regclass/, [{ present: true }]]]);
+  await engine.fetchCandidates(pool);
+  const query = pool.calls.find((c) => /FROM cpa_profiles cp/.test(c.sql));
+  assert.match(query.sql, /LEFT JOIN billing_lead_accounts la ON la\.cpa_profile_id = cp\.id/);
+  assert.match(query.sql, /\(cp\.subscription_status = 'active' OR la\.status = 'active'\)/);
+});
@@ -0,0 +1,43 @@
+// Lead routing cascade: how many queued matches go live, and when a lead closes.
+const test = require('node:test');
+const assert = require('node:assert');
+const service = require('../modules/leads/service');
+
+const queue = (...ranks) => ranks.map((rank) => ({ id: rank * 10, rank }));
+
+test('a new lead offers up to the slot count, in rank order', () => {
+  const plan = service.planCascade({ slots: 2, maxAccepts: 1, live: 0, accepted: 0, queued: queue(1, 2, 3) });
+  assert.deepStrictEqual(plan.offer.map((o) => o.rank), [1, 2]);
+  assert.strictEqual(plan.close, null);
+});
+
+test('a decline cascades to the next queued match only', () => {
+  const plan = service.planCascade({ slots: 2, maxAccepts: 1, live: 1, accepted: 0, queued: queue(3, 4) });
+  assert.deepStrictEqual(plan.offer.map((o) => o.rank), [3]);
+  assert.strictEqual(plan.close, null);
+});
+
+test('a lead waits on live offers when the queue is empty', () => {
+  const plan = service.planCascade({ slots: 2, maxAccepts: 1, live: 1, accepted: 0, queued: [] });
+  assert.deepStrictEqual(plan, { offer: [], close: null });
+});
+
+test('nobody left and nobody accepted exhausts the lead', () => {
+  const plan = service.planCascade({ slots: 2, maxAccepts: 1, live: 0, accepted: 0, queued: [] });
+  assert.deepStrictEqual(plan, { offer: [], close: 'exhausted' });
+});
+
+test('reaching max accepts closes the lead without offering more', () => {
+  const plan = service.planCascade({ slots: 2, maxAccepts: 2, live: 1, accepted: 2, queued: queue(5) });
+  assert.deepStrictEqual(plan, { offer: [], close: 'accepted' });
+});
+
+test('a partially accepted lead closes as accepted when the list runs out', () => {
+  const plan = service.planCascade({ slots: 2, maxAccepts: 2, live: 0, accepted: 1, queued: [] });
+  assert.deepStrictEqual(plan, { offer: [], close: 'accepted' });
+});
+
+test('offer deadlines are the accept window from now', () => {
+  const from = new Date('2026-10-19T12:00:00Z');
+  assert.strictEqual(service.offerDeadline(from, 24).toISOString(), '2026-10-20T12:00:00.000Z');
+});
@@ -0,0 +1,198 @@
+// Mail event store: svix-id dedupe on ingest, projection and failure marks,
+// replay, what the status pollers record, the fold a rebuild applies to each
+// email, and the rebuild itself (skips, updates, counters, dry run).
+const test = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../modules/mail-events/config');
+const store = require('../modules/mail-events/store');
+const rebuild = require('../modules/mail-events/rebuild');
+
+// Answers queries by the first matching pattern (an Error is thrown); records
+// every call. The same recorder serves pool.connect().
+function routedPool(routes = []) {
+  const calls = [];
+  const query = async (sql, params) => {
+    calls.push({ sql, params });
+    for (const [pattern, rows] of routes) {
+      if (pattern.test(sql)) {
+        const out = typeof rows === 'function' ? rows(params) : rows;
+        if (out instanceof Error) throw out;
+        return { rows: out, rowCount: out.length };
+      }
+    }
+    return { rows: [], rowCount: 0 };
+  };
+  return { calls, query, connect: async () => ({ query, release: () => {} }) };
+}
+
+const payload = {
+  type: 'email.opened', created_at: '2026-10-19T15:00:00.000Z',
+  data: { email_id: 're_1', to: ['Jane@Firm.CA'], subject: 'Hello' },
+};
+const event = { provider: 'resend', messageId: 're_1', type: 'opened', occurredAt: '2026-10-19T15:00:00.000Z', detail: null };
+
+function projector(err) {
+  const seen = [];
+  return { seen, project: async (e) => { seen.push(e); if (err) throw err; }, captureError: () => {} };
+}
+
+test('the svix id names the event; without it the body hash does', () => {
+  assert.strictEqual(store.resendEventId({ 'svix-id': 'msg_2abc' }, '{}'), 'msg_2abc');
+  const hashed = store.resendEventId({}, '{"a":1}');
+  assert.match(hashed, /^body:[0-9a-f]{64}$/);
+  assert.strictEqual(store.resendEventId({}, '{"a":1}'), hashed);
+  assert.notStrictEqual(store.resendEventId({}, '{"a":2}'), hashed);
+});
+
+test('an event is projected once: redeliveries are acknowledged, in-flight ones retried, failures re-claimable', async () => {
+  const delivery = { provider: 'resend', eventId: 'msg_1', payload, event };
+
+  const fresh = routedPool([[/INSERT INTO mail_webhook_events/, [{ id: 5, attempts: 1 }]]]);
+  const ok = projector();
+  assert.deepStrictEqual(await store.ingest(fresh, config, delivery, ok), { ok: true, id: 5, type: 'opened' });
+  assert.deepStrictEqual(ok.seen, [event]);
+  const insert = fresh.calls[0];
+  assert.deepStrictEqual(insert.params.slice(0, 6), ['resend', 'msg_1', 'email.opened', 'opened', 're_1', 'jane@firm.ca']);
+  assert.deepStrictEqual(insert.params[6], new Date('2026-10-19T15:00:00.000Z'));
+  assert.match(insert.sql, /WHERE mail_webhook_events.status = 'failed'/);
+  assert.match(fresh.calls[1].sql, /SET status = 'projected'/);
+
+  const done = routedPool([[/INSERT INTO mail_webhook_events/, []], [/SELECT id, status FROM mail_webhook_events/, [{ id: 5, status: 'projected' }]]]);
+  const again = projector();
+  assert.deepStrictEqual(await store.ingest(done, config, delivery, again), { ok: true, duplicate: true, id: 5 });
+  assert.strictEqual(again.seen.length, 0);
+
+  const busy = routedPool([[/INSERT INTO mail_webhook_events/, []], [/SELECT id, status FROM mail_webhook_events/, [{ id: 5, status: 'processing' }]]]);
+  assert.strictEqual((await store.ingest(busy, config, delivery, projector())).code, 409);
+
+  const broken = routedPool([[/INSERT INTO mail_webhook_events/, [{ id: 5, attempts: 2 }]]]);
+  const failing = projector(new Error('deadlock detected'));
+  assert.deepStrictEqual(await store.ingest(broken, config, delivery, failing), { ok: false, code: 500, message: 'Webhook processing failed' });
+  const failed = broken.calls[broken.calls.length - 1];
+  assert.match(failed.sql, /SET status = 'failed'/);
+  assert.deepStrictEqual(failed.params, [5, 'deadlock detected']);
+
+  // Nothing to project: stored and marked skipped.
+  const sent = routedPool([[/INSERT INTO mail_webhook_events/, [{ id: 6, attempts: 1 }]]]);
+  const none = projector();
+  const skipped = await store.ingest(sent, config, { provider: 'resend', eventId: 'msg_2', payload: { type: 'email.sent', data: {} }, event: null }, none);
+  assert.deepStrictEqual([skipped.skipped, none.seen.length], [true, 0]);
+  assert.match(sent.calls[1].sql, /SET status = 'skipped'/);
+});
+
+test('replay projects a stored event from its columns, and refuses what it cannot', async () => {
+  const row = { id: 5, provider: 'ses', type: 'bounced', message_id: 'ses-1', occurred_at: new Date('2026-10-19T15:00:00Z'), detail: { bounceType: 'Permanent' }, attempts: 3 };
+  const pool = routedPool([[/UPDATE mail_webhook_events\s+SET status = 'processing'/, [row]]]);
+  const p = projector();
+  assert.deepStrictEqual(await store.replay(pool, config, '5', { actor: 'admin:ops@firm.ca' }, p), { ok: true, id: 5, type: 'bounced', attempts: 3 });
+  assert.deepStrictEqual(p.seen, [{ provider: 'ses', messageId: 'ses-1', type: 'bounced', occurredAt: '2026-10-19T15:00:00.000Z', detail: { bounceType: 'Permanent' } }]);
+
+  const missing = routedPool();
+  assert.strictEqual((await store.replay(missing, config, '9', { actor: 'a' }, p)).code, 404);
+  const inert = routedPool([[/SELECT status, type FROM mail_webhook_events/, [{ status: 'skipped', type: null }]]]);
+  assert.deepStrictEqual(await store.replay(inert, config, '9', { actor: 'a' }, p), { ok: false, code: 409, message: 'Event has nothing to project.' });
+  assert.strictEqual((await store.replay(missing, config, 'abc', { actor: 'a' }, p)).code, 400);
+});
+
+test('a status poll records an observation only when it moved the status', async () => {
+  const { OutreachEngine } = require('../services/outreach');
+  const current = { 1: 'delivered', 2: 'sent' };
+  const pool = routedPool([
+    [/FROM outreach_emails\s+WHERE resend_email_id IS NOT NULL/, [
+      { id: 1, resend_email_id: 're_1', status: 'delivered', campaign_id: 12, recipient_email: 'jane@firm.ca' },
+      { id: 2, resend_email_id: 're_2', status: 'sent', campaign_id: 12, recipient_email: 'joe@firm.ca' },
+    ]],
+    [/SELECT status FROM outreach_emails WHERE id = \$1/, (params) => [{ status: current[params[0]] }]],
+  ]);
+  const engine = new OutreachEngine(pool);
+  engine.canPollStatus = true;
+  engine.resend = { emails: { get: async (id) => ({ data: { last_event: id === 're_1' ? 'delivered' : 'opened' } }) } };
+
+  // The first email was already delivered: re-reading it records nothing.
+  await engine._pollEmailStatuses();
+  const observed = pool.calls.filter((c) => /INSERT INTO mail_webhook_events/.test(c.sql));
+  assert.deepStrictEqual(observed.map((c) => c.params.slice(0, 4)), [['resend', 'poll:re_2:opened', 'opened', 're_2']]);
+  assert.match(observed[0].sql, /ON CONFLICT \(provider, event_id\) DO NOTHING/);
+});
+
+const at = (s) => new Date(`2026-10-19T15:${s}Z`);
+const ev = (id, type, s, source = 'webhook') => ({ id, type, source, occurred_at: at(s), received_at: at('59:00') });
+
+test('the fold follows the live rules whatever order events arrived in', () => {
+  // Out of order; a late delivered does not undo the click; the click two
+  // minutes after delivery is real.
+  const state = rebuild.foldEmail({}, [
+    ev(4, 'clicked', '05:00'), ev(1, 'delivered', '03:00'), ev(2, 'opened', '04:00'), ev(5, 'delivered', '06:00'),
+  ], config);
+  assert.deepStrictEqual(state, {
+    status: 'clicked', is_bot_click: false,
+    delivered_at: at('03:00'), opened_at: at('04:00'), clicked_at: at('05:00'), bounced_at: null, complained_at: null,
+  });
+
+  // A repeat open moves opened_at; a poll observation of it does not.
+  const reopened = rebuild.foldEmail({}, [ev(1, 'delivered', '03:00'), ev(2, 'opened', '04:00'), ev(3, 'opened', '04:30')], config);
+  assert.deepStrictEqual(reopened.opened_at, at('04:30'));
+  const polled = rebuild.foldEmail({}, [ev(1, 'delivered', '03:00'), ev(2, 'opened', '04:00'), ev(3, 'opened', '04:30', 'poll')], config);
+  assert.deepStrictEqual(polled.opened_at, at('04:00'));
+
+  // A scanner click is flagged unless the recipient visited since; a
+  // complaint after the click still applies.
+  const scanned = [ev(1, 'delivered', '03:00'), ev(2, 'clicked', '03:20'), ev(3, 'complained', '09:00')];
+  const flagged = rebuild.foldEmail({}, scanned, config);
+  assert.deepStrictEqual([flagged.is_bot_click, flagged.status], [true, 'complained']);
+  assert.strictEqual(rebuild.foldEmail({ real_visit_at: at('10:00') }, scanned, config).is_bot_click, false);
+
+  assert.strictEqual(rebuild.foldEmail({}, [], config).status, 'sent');
+});
+
+test('a rebuild rewrites what differs, recomputes counters, and a dry run rolls back', async () => {
+  const base = { campaign_id: 12, provider: 'resend', sent_at: at('01:00'), delivered_at: null, opened_at: null, clicked_at: null, bounced_at: null, complained_at: null, is_bot_click: false, real_visit_at: null };
+  const emails = [
+    { ...base, id: 1, resend_email_id: 're_1', status: 'opened', delivered_at: at('03:00'), opened_at: at('04:00') },  // already matches its events
+    { ...base, id: 2, resend_email_id: 're_2', status: 'sent' },                                                          // missed webhook projection
+    { ...base, id: 3, resend_email_id: 're_3', status: 'queued' },
+    { ...base, id: 4, resend_email_id: 're_4', status: 'delivered', sent_at: new Date('2026-09-01T00:00:00Z') },
+  ];
+  const poolFor = () => routedPool([
+    [/FROM outreach_emails\s+WHERE resend_email_id IS NOT NULL/, emails],
+    [/MIN\(received_at\)/, [{ provider: 'resend', first_at: new Date('2026-10-01T00:00:00Z') }]],
+    [/SELECT id, provider, message_id, type/, [
+      { id: 10, provider: 'resend', message_id: 're_1', type: 'delivered', source: 'webhook', occurred_at: at('03:00') },
+      { id: 11, provider: 'resend', message_id: 're_1', type: 'opened', source: 'webhook', occurred_at: at('04:00') },
+      { id: 12, provider: 'resend', message_id: 're_2', type: 'bounced', source: 'webhook', occurred_at: at('02:00') },
+    ]],
+    [/SELECT id, total_delivered/, [{ id: 12, total_delivered: 3, total_opened: 2, total_clicked: 0, total_bounced: 0, total_complained: 0 }]],
+    [/UPDATE outreach_campaigns c/, [{ id: 12, total_delivered: 1, total_opened: 1, total_clicked: 0, total_bounced: 1, total_complained: 0 }]],
+    [/INSERT INTO mail_event_rebuilds/, [{ id: 7 }]],
+  ]);
+
+  const pool = poolFor();
+  const result = await rebuild.rebuild(pool, config, { campaignId: '12', actor: 'cli:ops' });
+  assert.deepStrictEqual(
+    [result.ok, result.run_id, result.emails_checked, result.emails_changed, result.skipped],
+    [true, 7, 4, 1, { not_sent: 1, predates_store: 1 }]
+  );
+  assert.deepStrictEqual(result.changes, [{ id: 2, campaign_id: 12, from: 'sent', to: 'bounced' }]);
+  assert.deepStrictEqual(result.campaigns[0].before.total_delivered, 3);
+  assert.deepStrictEqual(result.campaigns[0].after.total_bounced, 1);
+  const updates = pool.calls.filter((c) => /^\s*UPDATE outreach_emails/.test(c.sql));
+  assert.deepStrictEqual(updates.map((c) => c.params.slice(0, 2)), [[2, 'bounced']]);
+  assert.deepStrictEqual(pool.calls[1].sql, 'BEGIN');
+  assert.match(pool.calls[2].sql, /FOR UPDATE/);
+  assert.deepStrictEqual(pool.calls[2].params.slice(0, 3), [12, null, null]);
+  assert.ok(pool.calls.some((c) => c.sql === 'COMMIT'));
+  const recorded = pool.calls[pool.calls.length - 1];
+  assert.deepStrictEqual(recorded.params.slice(0, 5), [7, 'completed', 4, 1, 2]);
+
+  const dry = poolFor();
+  const preview = await rebuild.rebuild(dry, config, { campaignId: 12, dryRun: true, actor: 'cli:ops' });
+  assert.deepStrictEqual([preview.dry_run, preview.emails_changed], [true, 1]);
+  assert.ok(dry.calls.some((c) => c.sql === 'ROLLBACK'));
+  assert.strictEqual(dry.calls.some((c) => c.sql === 'COMMIT'), false);
+
+  const nothing = poolFor();
+  assert.deepStrictEqual(await rebuild.rebuild(nothing, config, { actor: 'cli:ops' }), { ok: false, code: 400, message: 'campaign_id or a from/to range is required' });
+  assert.strictEqual(nothing.calls.length, 0);
+  assert.strictEqual((await rebuild.rebuild(nothing, config, { from: '2026-10-10', to: '2026-10-01', actor: 'x' })).code, 400);
+});
@@ -0,0 +1,169 @@
+// Mail transport: failover between providers, webhook normalization, SNS
+// signature checks, SES request signing and the local file sink.
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createTransport } = require('../modules/mail-transport/transport');
+const { TransportError } = require('../modules/mail-transport/errors');
+const events = require('../modules/mail-transport/events');
+const { createVerifier, stringToSign } = require('../modules/mail-transport/sns');
+const ses = require('../modules/mail-transport/adapters/ses');
+const file = require('../modules/mail-transport/adapters/file');
+
+const config = {
+  PROVIDERS: ['resend', 'ses', 'smtp', 'file'],
+  ROUTES: { default: ['resend', 'ses', 'smtp'], outreach: ['resend', 'ses'] },
+  FAILOVER_COOLDOWN_MS: 60 * 1000,
+  MAX_COOLDOWN_MS: 10 * 60 * 1000,
+  SES: { topicArns: ['arn:aws:sns:ca-central-1:123456789012:ses-events'] },
+  SNS_CERT_CACHE_MS: 60 * 1000,
+};
+
+const message = { from: 'noreply@canadaaccountants.app', to: ['jane@kpmg.ca'], subject: 'Hi', html: '<p>Hi</p>', text: 'Hi' };
+
+// An adapter that plays back a script of outcomes: an id string or an error.
+function scripted(name, outcomes, configured = true) {
+  const calls = [];
+  return {
+    name,
+    configured,
+    calls,
+    send: async (m) => {
+      calls.push(m);
+      const next = outcomes.shift();
+      if (next instanceof Error) throw next;
+      return { id: next };
+    },
+  };
+}
+
+test('send fails over on provider errors, stops on permanent ones and cools failed providers down', async () => {
+  let clock = Date.parse('2026-10-19T15:00:00Z');
+  const resend = scripted('resend', [new TransportError('resend', 'api_error', '503 upstream'), 'r-2', 'r-3']);
+  const sesA = scripted('ses', ['ses-1', 'ses-2']);
+  const smtp = scripted('smtp', [], false);
+  const t = createTransport({ config, adapters: { resend, ses: sesA, smtp }, now: () => clock });
+
+  const first = await t.send(message, { messageClass: 'outreach' });
+  assert.deepStrictEqual([first.success, first.id, first.provider], [true, 'ses-1', 'ses']);
+  assert.deepStrictEqual(first.attempts.map((a) => a.provider), ['resend']);
+
+  // Resend is cooling down: SES goes first until the cooldown passes.
+  const second = await t.send(message, { messageClass: 'outreach' });
+  assert.strictEqual(second.provider, 'ses');
+  clock += config.FAILOVER_COOLDOWN_MS;
+  assert.strictEqual((await t.send(message)).provider, 'resend');
+  assert.strictEqual(t.status().providers.find((p) => p.name === 'resend').consecutive_failures, 0);
+
+  // A permanent refusal is not retried elsewhere.
+  const strict = createTransport({
+    config,
+    adapters: {
+      resend: scripted('resend', [new TransportError('resend', 'no_id', 'success response without id', { permanent: true })]),
+      ses: scripted('ses', ['never']),
+    },
+  });
+  const refused = await strict.send(message);
+  assert.deepStrictEqual([refused.success, refused.reason, refused.attempts.length], [false, 'no_id', 1]);
+
+  // Nothing configured keeps sendEmail's old answer.
+  const none = createTransport({ config, adapters: { resend: scripted('resend', [], false) } });
+  assert.deepStrictEqual(await none.send(message), { success: false, reason: 'api_key_missing', attempts: [] });
+  assert.deepStrictEqual(t.routeFor('default'), ['resend', 'ses']);
+});
+
+test('Resend and SES webhook payloads normalize to the same delivery events', () => {
+  assert.deepStrictEqual(
+    events.fromResend({ type: 'email.delivered', created_at: '2026-10-19T15:00:00Z', data: { email_id: 're_1' } }),
+    { provider: 'resend', messageId: 're_1', type: 'delivered', occurredAt: '2026-10-19T15:00:00Z', detail: null }
+  );
+  assert.strictEqual(events.fromResend({ type: 'email.delivery_delayed', data: { email_id: 're_1' } }).type, 'deferred');
+  assert.strictEqual(events.fromResend({ type: 'email.sent', data: { email_id: 're_1' } }), null);
+
+  const mail = { messageId: 'ses-0100' };
+  assert.strictEqual(events.fromSes({ eventType: 'Delivery', mail, delivery: { timestamp: 't' } }).type, 'delivered');
+  assert.strictEqual(events.fromSes({ notificationType: 'Complaint', mail, complaint: {} }).type, 'complained');
+  assert.strictEqual(events.fromSes({ eventType: 'Click', mail }).type, 'clicked');
+  const hard = events.fromSes({ eventType: 'Bounce', mail, bounce: { bounceType: 'Permanent', bounceSubType: 'NoEmail' } });
+  assert.deepStrictEqual([hard.type, hard.detail.bounce_sub_type], ['bounced', 'NoEmail']);
+  assert.strictEqual(events.fromSes({ eventType: 'Bounce', mail, bounce: { bounceType: 'Transient' } }).type, 'deferred');
+  assert.strictEqual(events.fromSes({ eventType: 'Send', mail }), null);
+
+  for (const e of [hard, events.fromResend({ type: 'email.opened', data: { email_id: 'x' } })]) {
+    assert.ok(events.TYPES.includes(e.type));
+  }
+});
+
+test('SNS messages verify against the signing certificate and allowed topics', async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const pem = publicKey.export({ type: 'spki', format: 'pem' });
+  const msg = {
+    Type: 'Notification',
+    MessageId: 'm-1',
+    TopicArn: config.SES.topicArns[0],
+    Message: JSON.stringify({ eventType: 'Delivery', mail: { messageId: 'ses-1' } }),
+    Timestamp: '2026-10-19T15:00:00.000Z',
+    SignatureVersion: '2',
+    SigningCertURL: 'https://sns.ca-central-1.amazonaws.com/SimpleNotificationService-abc.pem',
+  };
+  assert.strictEqual(stringToSign(msg), `Message\n${msg.Message}\nMessageId\nm-1\nTimestamp\n${msg.Timestamp}\nTopicArn\n${msg.TopicArn}\nType\nNotification\n`);
+  msg.Signature = crypto.createSign('RSA-SHA256').update(stringToSign(msg)).sign(privateKey, 'base64');
+
+  let fetches = 0;
+  const verifier = createVerifier({ config, fetch: async () => { fetches++; return { ok: true, text: async () => pem }; } });
+  assert.deepStrictEqual(await verifier.verify(msg), { ok: true });
+  assert.strictEqual((await verifier.verify({ ...msg, MessageId: 'm-2' })).reason, 'signature mismatch');
+  assert.strictEqual(fetches, 1); // certificate cached
+  assert.match((await verifier.verify({ ...msg, TopicArn: 'arn:aws:sns:ca-central-1:999:other' })).reason, /topic not allowed/);
+  assert.match((await verifier.verify({ ...msg, SigningCertURL: 'https://evil.example.com/cert.pem' })).reason, /not an SNS host/);
+});
+
+test('SES requests are SigV4-signed and errors classify for failover', async () => {
+  // AWS documentation example for the derived signing key.
+  const key = ses.signingKey('wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY', '20120215', 'us-east-1', 'iam');
+  assert.strictEqual(key.toString('hex'), 'f4780e2d9f65fa895f9c67b32ce1baf0b0d8a43505a000a1a9e090d414db404d');
+
+  const headers = ses.signRequest({
+    host: 'email.ca-central-1.amazonaws.com', path: '/v2/email/outbound-emails', body: '{}',
+    region: 'ca-central-1', accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'secret', now: Date.parse('2026-10-19T15:00:00Z'),
+  });
+  assert.strictEqual(headers['x-amz-date'], '20261019T150000Z');
+  assert.match(headers.authorization, /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/20261019\/ca-central-1\/ses\/aws4_request, SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/);
+
+  const reply = (status, body, type) => async (url, init) => {
+    reply.last = { url, body: JSON.parse(init.body) };
+    return { ok: status < 300, status, statusText: 'x', headers: { get: () => type || null }, json: async () => body };
+  };
+  const options = { region: 'ca-central-1', accessKeyId: 'a', secretAccessKey: 's', configurationSet: 'outreach' };
+
+  const ok = ses.buildAdapter(options, { fetch: reply(200, { MessageId: 'ses-42' }) });
+  assert.deepStrictEqual(await ok.send({ ...message, headers: { 'List-Unsubscribe': '<u>' }, replyTo: 'a@b.ca' }), { id: 'ses-42' });
+  assert.strictEqual(reply.last.url, 'https://email.ca-central-1.amazonaws.com/v2/email/outbound-emails');
+  assert.deepStrictEqual(reply.last.body.Content.Simple.Headers, [{ Name: 'List-Unsubscribe', Value: '<u>' }]);
+  assert.strictEqual(reply.last.body.ConfigurationSetName, 'outreach');
+
+  const rejected = ses.buildAdapter(options, { fetch: reply(400, { message: 'Email address is not verified.' }, 'MessageRejected:http://x') });
+  await assert.rejects(rejected.send(message), (err) => err.permanent === true && /MessageRejected/.test(err.message));
+  const throttled = ses.buildAdapter(options, { fetch: reply(429, { message: 'Maximum sending rate exceeded.' }, 'TooManyRequestsException') });
+  await assert.rejects(throttled.send(message), (err) => err.permanent === false && err.reason === 'api_error');
+});
+
+test('the file sink writes a readable .eml into a maildir', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-sink-'));
+  try {
+    const sink = file.buildAdapter({ dir });
+    const { id } = await sink.send({ ...message, subject: 'Réservation', headers: { 'List-Unsubscribe': '<u>' } });
+    const eml = fs.readFileSync(path.join(dir, 'new', `${id}.eml`), 'utf8');
+    assert.match(eml, /^From: noreply@canadaaccountants\.app\r\nTo: jane@kpmg\.ca\r\n/);
+    assert.match(eml, /Subject: =\?UTF-8\?B\?/);
+    assert.match(eml, /List-Unsubscribe: <u>/);
+    assert.ok(eml.includes(Buffer.from('<p>Hi</p>').toString('base64')));
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'tmp')), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,95 @@
+// v1.0 parity for the extracted matching engine. The built-in factors were moved
+// out of server.js verbatim; these fixtures pin the numbers the inline scorer
+// produced so a plugin edit cannot silently change what v1.0 means. Also the
+// candidate query's tolerance of schemas other modules have not booted yet.
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('../modules/matching/engine');
+const versions = require('../modules/matching/versions');
+const { V1_WEIGHTS } = require('../modules/matching/schema');
+
+const V1 = { version: 'v1.0', weights: V1_WEIGHTS };
+
+const CLIENT = { id: 7, service_type: 'tax', business_size: 'small', fee_preference: 'moderate', province: 'ON', meeting_preference: 'in-person' };
+
+test('v1.0 scores a strong local match exactly as the inline scorer did', () => {
+  const cpa = { id: 1, specializations: '["Tax planning"]', firm_size: 'small', hourly_rate_min: '200', verification_status: 'verified', province: 'ON', subscription_tier: 'professional' };
+  const m = engine.scoreCandidate(CLIENT, cpa, V1);
+  // 95*.25 + 90*.20 + 90*.15 + 100*0 + 95*.20 + 80*.20
+  assert.strictEqual(m.overall_score, 90.25);
+  assert.strictEqual(m.specialization_score, 95);
+  assert.strictEqual(m.regulatory_score, 100);
+  assert.strictEqual(m.algorithm_version, 'v1.0');
+});
+
+test('regulatory gate caps the overall at 40 even with zero weight', () => {
+  const cpa = { id: 2, specializations: ['tax'], firm_size: 'solo', verification_status: 'unverified', designation: null, province: 'ON', subscription_tier: 'enterprise' };
+  const m = engine.scoreCandidate(CLIENT, cpa, V1);
+  assert.strictEqual(m.regulatory_score, 30);
+  assert.strictEqual(m.overall_score, 40);
+});
+
+test('rankCandidates orders by score and keeps the top five', () => {
+  const cpas = Array.from({ length: 8 }, (_, i) => ({ id: i + 1, specializations: [], province: i % 2 ? 'ON' : 'BC', verification_status: 'verified', subscription_tier: 'associate' }));
+  const ranked = engine.rankCandidates(CLIENT, cpas, V1);
+  assert.strictEqual(ranked.length, 5);
+  for (let i = 1; i < ranked.length; i++) assert.ok(ranked[i - 1].overall_score >= ranked[i].overall_score);
+  assert.strictEqual(ranked[0].cpa.province, 'ON');
+});
+
+test('traffic split is deterministic per client profile and shadows collect the rest', () => {
+  const vs = [
+    { version: 'v1.0', weights: V1_WEIGHTS, status: 'active', traffic_share: 0.5 },
+    { version: 'v1.1', weights: V1_WEIGHTS, status: 'active', traffic_share: 0.5 },
+    { version: 'v2.0', weights: V1_WEIGHTS, status: 'shadow', traffic_share: 0 },
+  ];
+  const a = versions.selectVersions(vs, 12345);
+  const b = versions.selectVersions(vs, 12345);
+  assert.strictEqual(a.served.version, b.served.version);
+  assert.deepStrictEqual(a.shadows.map((v) => v.version).sort(), ['v1.0', 'v1.1', 'v2.0'].filter((v) => v !== a.served.version).sort());
+});
+
+test('no active version falls back to built-in v1.0', () => {
+  const { served } = versions.selectVersions([{ version: 'x', weights: {}, status: 'draft', traffic_share: 0 }], 1);
+  assert.strictEqual(served.version, 'v1.0');
+  assert.strictEqual(served.builtin, true);
+});
+
+test('weight validation refuses unknown factors and out-of-range weights', () => {
+  assert.strictEqual(versions.validateWeights({ specialization: 0.5 }).ok, true);
+  assert.match(versions.validateWeights({ vibes: 0.5 }).message, /unknown factor/);
+  assert.match(versions.validateWeights({ fee: 2 }).message, /between 0 and 1/);
+});
+
+test('the candidate query leaves out billing and referral tables that have not booted yet', async () => {
+  const poolWith = (present) => {
+    const calls = [];
+    return {
+      calls,
+      query: async (sql, params) => {
+        calls.push({ sql, params });
+        if (/to_regclass/.test(sql)) return { rows: [{ present: present.includes(params[0]) }] };
+        return { rows: [{ id: 1 }] };
+      },
+    };
+  };
+
+  const bare = poolWith([]);
+  assert.deepStrictEqual(await engine.fetchCandidates(bare), [{ id: 1 }]);
+  const early = bare.calls[bare.calls.length - 1];
+  assert.doesNotMatch(early.sql, /billing_lead_accounts|network_referral_credits/);
+  assert.match(early.sql, /AND cp.subscription_status = 'active'/);
+  assert.deepStrictEqual(early.params, []);
+
+  const booted = poolWith(['billing_lead_accounts', 'network_referral_credits']);
+  await engine.fetchCandidates(booted);
+  const full = booted.calls[booted.calls.length - 1];
+  assert.match(full.sql, /LEFT JOIN billing_lead_accounts la/);
+  assert.match(full.sql, /OR la.status = 'active'/);
+  assert.match(full.sql, /FROM network_referral_credits c/);
+  assert.strictEqual(full.params.length, 1);
+
+  // Once seen, a table is not looked up again.
+  await engine.fetchCandidates(booted);
+  assert.strictEqual(booted.calls.filter((c) => /to_regclass/.test(c.sql)).length, 2);
+});
@@ -0,0 +1,82 @@
+// Match explanations: drivers, asked-vs-offered and "what would have raised the
+// score" for the engine's weighted score and for a fitted logistic model, and
+// the admin route that lists served matches with them.
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('../modules/matching/engine');
+const { explainMatch, explainModel } = require('../modules/matching/explain');
+const { predictProbability } = require('../services/ml-engine');
+const { V1_WEIGHTS } = require('../modules/matching/schema');
+
+const V1 = { version: 'v1.0', weights: V1_WEIGHTS };
+const CLIENT = { id: 7, service_type: 'tax', business_size: 'small', fee_preference: 'moderate', province: 'ON', meeting_preference: 'in-person' };
+
+test('explains which factors drove a strong match and what was left on the table', () => {
+  const cpa = { id: 1, specializations: '["Tax planning"]', firm_size: 'small', hourly_rate_min: '200', verification_status: 'verified', province: 'ON', city: 'Toronto', subscription_tier: 'professional' };
+  const scored = engine.scoreCandidate(CLIENT, cpa, V1);
+  const e = explainMatch(CLIENT, scored, V1);
+
+  assert.strictEqual(e.version, 'v1.0');
+  assert.strictEqual(e.overall_score, 90.25);
+  assert.deepStrictEqual(e.drivers.map((d) => d.factor), ['specialization', 'geographic', 'client_size']);
+  // Points add back up to the overall score.
+  assert.strictEqual(Math.round(e.factors.reduce((a, f) => a + f.points, 0) * 100) / 100, 90.25);
+
+  const spec = e.factors.find((f) => f.factor === 'specialization');
+  assert.strictEqual(spec.asked, 'tax');
+  assert.strictEqual(spec.offered, 'Tax planning');
+
+  // availability 80 of 95 at weight .20 is the only gap worth reporting.
+  assert.deepStrictEqual(e.improvements, [{ factor: 'availability', hint: 'has enterprise-tier capacity', potential_gain: 3 }]);
+  assert.match(e.summary, /Matched mainly on specialization \(95\)/);
+  assert.strictEqual(e.gate, null);
+});
+
+test('a closed regulatory gate is reported as the first thing to fix', () => {
+  const cpa = { id: 2, specializations: ['tax'], firm_size: 'solo', verification_status: 'unverified', province: 'ON', subscription_tier: 'enterprise' };
+  const scored = engine.scoreCandidate(CLIENT, cpa, V1);
+  const e = explainMatch(CLIENT, scored, V1);
+  assert.strictEqual(e.overall_score, 40);
+  assert.strictEqual(e.gate.factor, 'regulatory');
+  assert.ok(e.gate.uncapped_score > 40);
+  assert.strictEqual(e.improvements[0].factor, 'regulatory');
+  assert.strictEqual(e.improvements[0].potential_gain, Math.round((e.gate.uncapped_score - 40) * 100) / 100);
+  assert.match(e.summary, /Capped at 40/);
+});
+
+test('fitted models explain with logit drivers and probability gains', () => {
+  const model = { id: 3, features: ['specialization', 'geographic'], intercept: -3, coefficients: [2, 1], metrics: {} };
+  const cpa = { id: 5, specializations: [], province: 'BC' };
+  const e = explainModel(CLIENT, cpa, model, predictProbability);
+  assert.strictEqual(e.version, 'iter-3');
+  assert.strictEqual(e.score_type, 'probability');
+  assert.deepStrictEqual(e.drivers.map((d) => d.factor), ['specialization', 'geographic']);
+  assert.deepStrictEqual(e.improvements.map((i) => i.factor), ['specialization', 'geographic']);
+  assert.ok(e.improvements.every((i) => i.potential_gain > 0));
+});
+
+test('the served-matches admin route refuses ids and limits that are not positive integers', async () => {
+  const express = require('express');
+  const buildAdminRoutes = require('../modules/matching/routes.admin');
+  const calls = [];
+  const pool = { query: async (sql, params) => { calls.push({ sql, params }); return { rows: [] }; } };
+  const app = express();
+  app.use(buildAdminRoutes({ pool, versions: {}, factors: {} }));
+  const server = app.listen(0);
+  try {
+    const base = `http://127.0.0.1:${server.address().port}/api/admin/matching`;
+    for (const query of ['client_profile_id=abc', 'cpa_profile_id=1.5', 'limit=-3', 'limit=ten']) {
+      const res = await fetch(`${base}/matches?${query}`);
+      assert.strictEqual(res.status, 400, query);
+      assert.match((await res.json()).error, /must be a positive integer/);
+    }
+    assert.strictEqual((await fetch(`${base}/shadow-compare?days=x`)).status, 400);
+    assert.strictEqual(calls.length, 0);
+
+    const ok = await fetch(`${base}/matches?cpa_profile_id=12&limit=500`);
+    assert.strictEqual(ok.status, 200);
+    assert.deepStrictEqual(calls[0].params, [12, 200]);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,74 @@
+// Offline replay harness: friction-v1 parity with the inline funnel scorer it
+// was moved out of, and the ranking metrics the replay report is built from.
+const test = require('node:test');
+const assert = require('node:assert');
+const friction = require('../modules/matching/friction');
+const replay = require('../modules/matching/replay');
+
+test('friction-v1 scores exactly as the inline funnel scorer did', () => {
+  const request = { painPoint: 'tax-stress', businessSize: 'small', contactInfo: { province: 'Ontario' } };
+  const strong = { id: 4, specializations: '["Tax Planning"]', province: 'ON', years_experience: 12, firm_size: 'Small', verification_status: 'verified' };
+  // 40 spec + 20 province ('ontario' contains 'on') + 12 experience + 15 size + 10 verified
+  assert.strictEqual(friction.scoreFrictionCandidate(request, strong).matchScore, 97);
+  const weak = { id: 5, specializations: ['audit'], province: null, years_experience: 2, firm_size: 'large' };
+  // 10 spec + 0 province + 4 + 5
+  assert.strictEqual(friction.scoreFrictionCandidate(request, weak).matchScore, 19);
+  assert.strictEqual(friction.scoreFrictionCandidate(request, weak).id, '5');
+});
+
+test('friction ranking keeps the top three', () => {
+  const request = { painPoint: 'cpa-search', businessSize: 'medium', contactInfo: {} };
+  const cpas = [1, 2, 3, 4].map((id) => ({ id, years_experience: id * 4 }));
+  const ranked = friction.rankFrictionCandidates(request, cpas);
+  assert.deepStrictEqual(ranked.map((m) => m.id), ['4', '3', '2']);
+});
+
+test('evaluateCase reports precision@k, reciprocal rank and engaged ranks', () => {
+  const r = replay.evaluateCase(['a', 'b', 'c', 'd'], new Set(['c', 'z']), 3);
+  assert.strictEqual(r.precision_at_k, 1 / 3);
+  assert.strictEqual(r.hit_at_k, true);
+  assert.strictEqual(r.reciprocal_rank, 1 / 3);
+  assert.deepStrictEqual(r.ranks, [3, null]);
+});
+
+test('summarize grades only cases with an engaged CPA', () => {
+  const s = replay.summarize([
+    { engaged_count: 1, ...replay.evaluateCase(['a', 'b'], new Set(['a']), 1) },
+    { engaged_count: 1, ...replay.evaluateCase(['a', 'b'], new Set(['b']), 1) },
+    { engaged_count: 0, ...replay.evaluateCase(['a', 'b'], new Set(), 1) },
+  ], 1);
+  assert.strictEqual(s.cases, 3);
+  assert.strictEqual(s.graded_cases, 2);
+  assert.strictEqual(s.precision_at_k, 0.5);
+  assert.strictEqual(s.mrr, 0.75);
+  assert.strictEqual(s.mean_engaged_rank, 1.5);
+});
+
+test('replay diff pairs cases and counts movers', () => {
+  const cases = [
+    { source: 'friction', id: 'r1', created_at: '2026-03-01', shown: [], engaged: new Set(['2']),
+      input: { painPoint: 'tax-stress', businessSize: 'small', contactInfo: {} } },
+  ];
+  const candidates = {
+    friction: [
+      { id: 1, specializations: ['tax'], years_experience: 20, created_date: '2026-01-01' },
+      { id: 2, specializations: ['payroll'], years_experience: 1, created_date: '2026-01-01' },
+      { id: 3, specializations: ['tax'], created_date: '2026-06-01' }, // joined after the request
+    ],
+    subs: new Map(),
+  };
+  const base = { id: 'friction-v1', source: 'friction', rank: (input, cpas) => friction.rankFrictionCandidates(input, cpas, 'friction-v1', null).map((m) => m.id) };
+  const flipped = { id: 'reverse', source: 'friction', rank: (input, cpas) => base.rank(input, cpas).reverse() };
+
+  const a = replay.replay(cases, candidates, base, 1);
+  const b = replay.replay(cases, candidates, flipped, 1);
+  assert.deepStrictEqual(a.results[0].ranks, [2]);
+  assert.deepStrictEqual(b.results[0].ranks, [1]);
+
+  const diff = replay.diffRuns(a, b);
+  assert.strictEqual(diff.delta.precision_at_k, 1);
+  assert.strictEqual(diff.delta.mean_engaged_rank, -1);
+  assert.strictEqual(diff.improved_cases, 1);
+  assert.strictEqual(diff.top1_changed, 1);
+  assert.deepStrictEqual(diff.movers, [{ id: 'r1', base_rank: 2, compare_rank: 1 }]);
+});
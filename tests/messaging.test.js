@@ -0,0 +1,52 @@
+// Match conversations: reply threading, notification bursts, and what the
+// pattern analyzer reads off the messages.
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.MESSAGING_REPLY_SECRET = 'test-messaging-secret-0123456789';
+const replyTag = require('../modules/messaging/reply-tag');
+const service = require('../modules/messaging/service');
+const { CommunicationPatternAnalyzer } = require('../services/pattern-analysis');
+
+test('a reply subject threads back to its conversation; forged tags do not', () => {
+  const tag = replyTag.tagFor(42);
+  assert.match(tag, /^\[ref:T42\.[0-9a-f]{10}\]$/);
+  assert.strictEqual(replyTag.parse(`Re: New message from your CPA ${tag}`), 42);
+  assert.strictEqual(replyTag.parse(`RE: FW: ${tag.toUpperCase()}`), 42);
+  assert.strictEqual(replyTag.parse(tag.replace('T42.', 'T43.')), null);
+  assert.strictEqual(replyTag.parse('Re: quick question'), null);
+});
+
+test('only the new text of an email reply is kept', () => {
+  const gmail = 'Yes, Tuesday works.\n\nOn Mon, Oct 19, 2026 at 9:00 AM Dana Lee <dana@firm.ca> wrote:\n> Can we meet?';
+  assert.strictEqual(replyTag.stripQuotedReply(gmail), 'Yes, Tuesday works.');
+  const outlook = 'Thanks!\r\n\r\n-----Original Message-----\r\nFrom: Dana';
+  assert.strictEqual(replyTag.stripQuotedReply(outlook), 'Thanks!');
+  assert.strictEqual(replyTag.stripQuotedReply('Sounds good\n-- \nSam, Acme Inc.'), 'Sounds good');
+  assert.strictEqual(replyTag.stripQuotedReply('> all quoted'), '');
+});
+
+test('one notification per unread burst', () => {
+  assert.strictEqual(service.shouldNotify({}, 'cpa'), true);
+  const notified = { cpa_notified_at: '2026-10-19T10:00:00Z', cpa_last_read_at: null };
+  assert.strictEqual(service.shouldNotify(notified, 'cpa'), false);
+  assert.strictEqual(service.shouldNotify({ ...notified, cpa_last_read_at: '2026-10-19T09:00:00Z' }, 'cpa'), false);
+  assert.strictEqual(service.shouldNotify({ ...notified, cpa_last_read_at: '2026-10-19T11:00:00Z' }, 'cpa'), true);
+  assert.strictEqual(service.parseBody('  hi  ', 10), 'hi');
+  for (const bad of ['   ', 'x'.repeat(11), null, 5]) assert.strictEqual(service.parseBody(bad, 10), null);
+});
+
+test('the pattern analyzer measures response time and reciprocity from messages', () => {
+  const analyzer = new CommunicationPatternAnalyzer(null);
+  const data = analyzer.messagesToInteractions([
+    { sender: 'client', channel: 'platform', body: 'Hello, can you help with HST? Thanks', created_at: '2026-10-01T14:00:00Z' },
+    { sender: 'cpa', channel: 'email', body: 'Hi, yes.\nRegards', created_at: '2026-10-01T16:30:00Z' },
+    { sender: 'client', channel: 'platform', body: 'Great.', created_at: '2026-10-08T10:00:00Z' },
+  ]);
+  assert.deepStrictEqual(data.map((d) => d.response_time_hours), [null, 2.5, 161.5]);
+  assert.deepStrictEqual(analyzer.analyzeResponseChains(data), { avg_chain_length: 1.5, max_chain_length: 2 });
+  assert.strictEqual(analyzer.calculateEngagementReciprocity(data), 0.75);
+  assert.strictEqual(analyzer.calculateEngagementReciprocity(data.filter((d) => d.interaction_type === 'client_message')), 0);
+  assert.strictEqual(analyzer.calculateStyleConsistency({ platform: 2, email: 1 }), 0.67);
+  assert.strictEqual(analyzer.calculateBusinessHoursPreference({ 8: 1, 10: 2, 16: 1 }), 0.75);
+});
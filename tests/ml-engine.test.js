@@ -0,0 +1,131 @@
+// Learned match weights: the pure-JS logistic regression, its calibration
+// metrics, the iteration row <-> scoring model round trip the realtime
+// engine depends on (and how it notices a new active iteration), and the SQL
+// that saves an iteration.
+const test = require('node:test');
+const assert = require('node:assert');
+const ml = require('../services/ml-engine');
+
+// Feature 0 drives engagement, feature 1 is noise.
+function syntheticSet(n) {
+  const X = [];
+  const y = [];
+  for (let i = 0; i < n; i++) {
+    const signal = (i % 10) / 10;
+    const noise = ((i * 7) % 11) / 11;
+    X.push([signal, noise]);
+    y.push(signal >= 0.5 ? 1 : 0);
+  }
+  return { X, y };
+}
+
+test('logistic regression puts its weight on the informative factor', () => {
+  const { X, y } = syntheticSet(200);
+  const model = ml.fitLogisticRegression(X, y, { iterations: 3000, learningRate: 1 });
+  assert.ok(model.coefficients[0] > 2, `signal coefficient ${model.coefficients[0]}`);
+  assert.ok(Math.abs(model.coefficients[1]) < model.coefficients[0] / 4);
+  assert.ok(ml.predictProbability(model, [0.9, 0.5]) > ml.predictProbability(model, [0.1, 0.5]));
+});
+
+test('evaluateModel reports loss, AUC and calibration against the base rate', () => {
+  const { X, y } = syntheticSet(200);
+  const model = ml.fitLogisticRegression(X, y, { iterations: 3000, learningRate: 1 });
+  const m = ml.evaluateModel(model, X, y);
+  assert.strictEqual(m.samples, 200);
+  assert.strictEqual(m.base_rate, 0.5);
+  assert.strictEqual(m.auc, 1);
+  assert.ok(m.log_loss < m.baseline_log_loss);
+  assert.ok(m.ece >= 0 && m.ece <= 1);
+  assert.strictEqual(m.calibration.reduce((a, b) => a + b.count, 0), 200);
+
+  const flat = ml.evaluateModel({ intercept: 0, coefficients: [0, 0] }, X, y);
+  assert.strictEqual(flat.auc, 0.5);
+  assert.strictEqual(flat.log_loss, flat.baseline_log_loss);
+});
+
+test('holdout split is deterministic on the matches id', () => {
+  const rows = Array.from({ length: 10 }, (_, i) => ({ id: i + 1 }));
+  const { train, validation } = ml.splitHoldout(rows);
+  assert.deepStrictEqual(validation.map(r => r.id), [5, 10]);
+  assert.strictEqual(train.length, 8);
+});
+
+test('stored iterations round-trip into a scoring model with normalized weights', () => {
+  const coefficients = { specialization: 3, fee: 1, geographic: -0.5 };
+  const weights = ml.normalizedWeights(coefficients);
+  assert.deepStrictEqual(weights, { specialization: 0.75, fee: 0.25, geographic: 0 });
+
+  const model = ml.modelFromIteration({
+    id: 4,
+    features: ['specialization', 'fee', 'geographic'],
+    coefficients: JSON.stringify(coefficients),
+    intercept: '-1.5',
+    weights,
+    metrics: { validation: { auc: 0.7 } },
+  });
+  assert.deepStrictEqual(model.coefficients, [3, 1, -0.5]);
+  assert.strictEqual(model.intercept, -1.5);
+  assert.strictEqual(ml.predictProbability(model, [0.5, 0, 0]), 0.5);
+});
+
+test('saveIteration binds each parameter once and stamps activated_at only when activating', async () => {
+  const calls = [];
+  const client = {
+    query: async (sql, params) => { calls.push({ sql, params }); return { rows: /INSERT/.test(sql) ? [{ id: 9 }] : [] }; },
+    release: () => {},
+  };
+  const engine = new ml.CanadianCPAMLEngine({ connect: async () => client });
+  const model = { features: ['specialization', 'fee'], coefficients: [2, 1], intercept: -0.5 };
+  const opts = { trainingSamples: 80, validationSamples: 20, createdBy: 'admin:ops', notes: null };
+
+  assert.deepStrictEqual(await engine.saveIteration(model, { auc: 0.7 }, { ...opts, activate: true }), { id: 9 });
+  assert.deepStrictEqual(calls.map((c) => c.sql.trim().split(/\s+/)[0]), ['BEGIN', 'UPDATE', 'INSERT', 'COMMIT']);
+  const insert = calls[2];
+  // Each placeholder appears once: a reused one can be given two types by Postgres.
+  const placeholders = insert.sql.match(/\$\d+/g);
+  assert.strictEqual(new Set(placeholders).size, placeholders.length);
+  assert.strictEqual(placeholders.length, insert.params.length);
+  assert.deepStrictEqual(insert.params.slice(5, 10), [80, 20, 'active', null, 'admin:ops']);
+  assert.ok(insert.params[10] instanceof Date);
+
+  calls.length = 0;
+  await engine.saveIteration(model, { auc: 0.7 }, { ...opts, activate: false });
+  assert.deepStrictEqual(calls.map((c) => c.sql.trim().split(/\s+/)[0]), ['BEGIN', 'INSERT', 'COMMIT']);
+  assert.deepStrictEqual([calls[1].params[7], calls[1].params[10]], ['candidate', null]);
+});
+
+test('the realtime engine picks up a newly active iteration on the next request', async () => {
+  const { RealtimeMLRecommendationEngine } = require('../services/realtime-ml');
+  const row = (id) => ({ id, features: ['fee'], coefficients: { fee: id }, intercept: 0, weights: { fee: 1 }, metrics: {} });
+  let active = 4;
+  let rowReads = 0;
+  // Built without the constructor, which starts a cache-cleanup interval.
+  const engine = Object.create(RealtimeMLRecommendationEngine.prototype);
+  Object.assign(engine, {
+    cache: new Map([['ml_rec_x', { data: [], timestamp: Date.now() }]]),
+    weightsCache: null,
+    lastWeightUpdate: null,
+    mlEngine: { getActiveIterationId: async () => active, getActiveIteration: async () => { rowReads++; return row(active); } },
+  });
+
+  assert.strictEqual((await engine.getCurrentMLWeights()).version, 'iter-4');
+  assert.strictEqual((await engine.getCurrentMLWeights()).version, 'iter-4');
+  assert.strictEqual(rowReads, 1);
+  assert.strictEqual(engine.cache.size, 1);
+
+  // A learning cycle or rollback elsewhere changes the active row.
+  active = 5;
+  assert.strictEqual((await engine.getCurrentMLWeights()).version, 'iter-5');
+  assert.deepStrictEqual([rowReads, engine.cache.size], [2, 0]);
+});
+
+test('training labels fold in SME portal contact, withdrawal and ratings', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  assert.strictEqual(ml.matchLabel({ status: 'contacted', client_responded_at: '2026-10-01' }, now), 1);
+  assert.strictEqual(ml.matchLabel({ status: 'contacted', client_rating: 2 }, now), 0);
+  assert.strictEqual(ml.matchLabel({ status: 'accepted', client_rating: 4 }, now), 1);
+  assert.strictEqual(ml.matchLabel({ status: 'withdrawn' }, now), 0);
+  assert.strictEqual(ml.matchLabel({ status: 'declined' }, now), 0);
+  assert.strictEqual(ml.matchLabel({ status: 'pending', expires_at: '2026-10-25' }, now), null);
+  assert.strictEqual(ml.matchLabel({ status: 'pending', expires_at: '2026-10-01' }, now), 0);
+});
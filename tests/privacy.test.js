@@ -0,0 +1,171 @@
+// Privacy requests: the table inventory, the access export, the erasure
+// transaction, and how an erased address is kept out of sends.
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const config = require('../modules/privacy/config');
+const inventory = require('../modules/privacy/inventory');
+const service = require('../modules/privacy/service');
+const consentConfig = require('../modules/consent/config');
+const consentService = require('../modules/consent/service');
+const sendAudit = require('../modules/send-audit/service');
+
+// Answers queries by the first matching pattern; records every call. The
+// same recorder serves pool.connect(), so transaction statements are in
+// `calls` too.
+function routedPool(routes = []) {
+  const calls = [];
+  let released = 0;
+  const query = async (sql, params) => {
+    calls.push({ sql, params });
+    for (const [pattern, rows] of routes) {
+      if (pattern.test(sql)) {
+        if (rows instanceof Error) throw rows;
+        const out = typeof rows === 'function' ? rows(params) : rows;
+        return { rows: out, rowCount: out.length };
+      }
+    }
+    return { rows: [], rowCount: 0 };
+  };
+  return {
+    calls,
+    released: () => released,
+    query,
+    connect: async () => ({ query, release: () => { released += 1; } }),
+  };
+}
+
+function missingTable(name) {
+  return Object.assign(new Error(`relation "${name}" does not exist`), { code: '42P01' });
+}
+
+const JANE_HASH = crypto.createHash('sha256').update('jane@kpmg.ca').digest('hex');
+
+test('every inventory query binds exactly the keys it names', () => {
+  const known = new Set(['email', ...inventory.ANCHORS.map((a) => a.key)]);
+  const entries = [...inventory.ANCHORS.map((a) => ({ name: a.key, keys: a.keys, find: a.sql })), ...inventory.TABLES];
+  for (const entry of entries) {
+    const used = [...entry.find.matchAll(/\$(\d+)/g)].map((m) => Number(m[1]));
+    assert.strictEqual(Math.max(...used), entry.keys.length, `${entry.name} placeholders`);
+    for (const key of entry.keys) assert.ok(known.has(key), `${entry.name} key ${key}`);
+  }
+  // Anchors only use anchors resolved before them.
+  inventory.ANCHORS.forEach((anchor, i) => {
+    for (const key of anchor.keys) assert.ok(key === 'email' || inventory.ANCHORS.slice(0, i).some((a) => a.key === key), anchor.key);
+  });
+  const names = inventory.TABLES.map((t) => t.name);
+  assert.strictEqual(new Set(names).size, names.length);
+  // Rows pointing at the directory listing go before the listing itself.
+  assert.ok(names.indexOf('crm_notes') < names.indexOf('scraped_cpas'));
+  assert.ok(names.indexOf('match_messages') < names.indexOf('match_threads'));
+});
+
+test('erase SQL deletes, or overwrites with a per-row placeholder address', () => {
+  const byName = Object.fromEntries(inventory.TABLES.map((t) => [t.name, t]));
+  assert.strictEqual(service.eraseSql(byName.crm_notes, config),
+    `DELETE FROM crm_notes WHERE platform = 'accountants' AND professional_id = ANY($1::int[])`);
+  const users = service.eraseSql(byName.users, config);
+  assert.match(users, /^UPDATE users SET email = 'erased-' \|\| id \|\| '@erased\.invalid', password_hash = '!', is_active = false/);
+  assert.match(users, /WHERE id = ANY\(\$1::int\[\]\)$/);
+  assert.match(service.eraseSql(byName.outreach_emails, config), /status = CASE WHEN status = 'queued' THEN 'suppressed' ELSE status END/);
+
+  assert.strictEqual(service.hashEmail(' Jane@KPMG.ca '), JANE_HASH);
+  assert.strictEqual(service.erasedRecipient('jane@kpmg.ca'), `erased:${JANE_HASH}`);
+});
+
+test('erasure resolves the person, changes every table in one transaction and records suppressions', async () => {
+  const pool = routedPool([
+    [/INSERT INTO privacy_requests/, [{ id: 7 }]],
+    [/SELECT id FROM users/, [{ id: 3 }]],
+    [/SELECT id FROM scraped_cpas/, [{ id: 9911 }]],
+    [/SELECT DISTINCT name_hash/, [{ id: 'namehash1' }]],
+    [/FROM sme_friction_requests WHERE/, missingTable('sme_friction_requests')],
+    [/^DELETE FROM crm_notes/, [{}, {}]],
+    [/^UPDATE outreach_emails/, [{}, {}, {}]],
+    [/^DELETE FROM profile_visits/, missingTable('profile_visits')],
+  ]);
+  const result = await service.erase(pool, config, ' Jane@KPMG.ca ', { actor: 'admin:ops@canadaaccountants.app' });
+  assert.strictEqual(result.ok, true);
+  assert.deepStrictEqual(pool.calls[0].params, ['erasure', JANE_HASH, 'admin:ops@canadaaccountants.app', false]);
+  assert.deepStrictEqual([result.anchors.user_ids, result.anchors.scraped_cpa_ids, result.anchors.cpa_profile_ids], [1, 1, 0]);
+  assert.deepStrictEqual(result.tables, { crm_notes: { deleted: 2 }, outreach_emails: { anonymized: 3 } });
+  assert.deepStrictEqual(result.skipped, ['friction_request_ids', 'profile_visits']);
+
+  const sql = pool.calls.map((c) => c.sql.trim());
+  assert.strictEqual(sql[1], 'BEGIN');
+  // A missing table rolls back its own savepoint only.
+  const missing = sql.indexOf(sql.find((s) => s.startsWith('DELETE FROM profile_visits')));
+  assert.strictEqual(sql[missing + 1], 'ROLLBACK TO SAVEPOINT privacy_step');
+  // Entries whose anchors came back empty are not run at all.
+  assert.ok(!sql.some((s) => s.startsWith('DELETE FROM scraped_smes') || s.startsWith('UPDATE cpa_profiles')));
+  // Tables that are only exported are never touched.
+  assert.ok(!sql.some((s) => /^(UPDATE|DELETE FROM) cpa_subscriptions/.test(s)));
+
+  const suppress = pool.calls.find((c) => /INSERT INTO privacy_suppressions/.test(c.sql));
+  assert.deepStrictEqual(suppress.params, [[JANE_HASH, 'namehash1'], ['email', 'name'], 7]);
+  assert.ok(sql.indexOf('COMMIT') > pool.calls.indexOf(suppress));
+  const close = pool.calls[pool.calls.length - 1];
+  assert.match(close.sql, /UPDATE privacy_requests/);
+  assert.strictEqual(close.params[1], 'completed');
+  assert.strictEqual(pool.released(), 1);
+});
+
+test('a dry run rolls back, and a failed erasure changes nothing and is logged as failed', async () => {
+  const dry = routedPool([[/INSERT INTO privacy_requests/, [{ id: 8 }]], [/SELECT id FROM scraped_cpas/, [{ id: 1 }]]]);
+  const result = await service.erase(dry, config, 'jane@kpmg.ca', { actor: 'cli:ops', dryRun: true });
+  assert.strictEqual(result.dry_run, true);
+  assert.ok(dry.calls.some((c) => c.sql === 'ROLLBACK'));
+  assert.ok(!dry.calls.some((c) => c.sql === 'COMMIT'));
+
+  const broken = routedPool([
+    [/INSERT INTO privacy_requests/, [{ id: 9 }]],
+    [/SELECT id FROM scraped_cpas/, [{ id: 1 }]],
+    [/^DELETE FROM crm_tags/, new Error('deadlock detected')],
+  ]);
+  await assert.rejects(service.erase(broken, config, 'jane@kpmg.ca', { actor: 'cli:ops' }), /deadlock detected/);
+  const sql = broken.calls.map((c) => c.sql);
+  assert.ok(sql.includes('ROLLBACK'));
+  assert.ok(!sql.includes('COMMIT'));
+  assert.deepStrictEqual(broken.calls[broken.calls.length - 1].params.slice(1, 4), ['failed', null, 'deadlock detected']);
+  assert.strictEqual(broken.released(), 1);
+
+  const invalid = routedPool();
+  assert.strictEqual((await service.erase(invalid, config, 'not-an-address', { actor: 'cli:ops' })).ok, false);
+  assert.strictEqual(invalid.calls.length, 0);
+});
+
+test('the access export lists each table once, flags truncation and related addresses', async () => {
+  const limited = { ...config, ACCESS_ROW_LIMIT: 2 };
+  const pool = routedPool([
+    [/INSERT INTO privacy_requests/, [{ id: 11 }]],
+    [/SELECT id FROM scraped_cpas/, [{ id: 9911 }]],
+    [/FROM scraped_cpas WHERE id/, [{ id: 9911, email: 'jane@kpmg.ca', enriched_email: 'J.Doe@KPMG.ca' }]],
+    [/FROM outreach_emails WHERE/, [{ id: 1 }, { id: 2 }, { id: 3 }]],
+    [/FROM inbound_messages WHERE/, missingTable('inbound_messages')],
+  ]);
+  const result = await service.access(pool, limited, 'jane@kpmg.ca', { actor: 'admin:ops' });
+  assert.deepStrictEqual(Object.keys(result.tables).sort(), ['outreach_emails', 'scraped_cpas']);
+  assert.deepStrictEqual([result.tables.outreach_emails.rows.length, result.tables.outreach_emails.truncated], [2, true]);
+  assert.deepStrictEqual(result.related_emails, ['j.doe@kpmg.ca']);
+  assert.ok(result.skipped.includes('inbound_messages'));
+  assert.match(pool.calls.find((c) => /FROM outreach_emails/.test(c.sql)).sql, /LIMIT 3$/);
+  // Reads only: no transaction, nothing changed.
+  assert.ok(!pool.calls.some((c) => /^(BEGIN|DELETE|UPDATE (?!privacy_requests))/.test(c.sql.trim())));
+});
+
+test('an erased address is blocked in every class and audited under its hash', async () => {
+  const erased = routedPool([[/FROM privacy_suppressions/, [{ '?column?': 1 }]]]);
+  const notEnforced = { ...consentConfig, ENFORCE: [] };
+  assert.deepStrictEqual(await consentService.blocked(erased, notEnforced, 'Jane@KPMG.ca', 'outreach'), {
+    gate: 'privacy_erasure', outcome: 'suppressed', reason: 'address erased on request',
+  });
+  assert.strictEqual(erased.calls.find((c) => /privacy_suppressions/.test(c.sql)).params[0], JANE_HASH);
+  // Transactional mail still goes to account holders; erased people have none.
+  assert.strictEqual(await consentService.blocked(erased, notEnforced, 'jane@kpmg.ca', 'transactional'), null);
+
+  const row = sendAudit.normalize({ email: 'Jane@KPMG.ca', message_class: 'outreach', gate: 'privacy_erasure', outcome: 'suppressed' });
+  assert.strictEqual(row.recipient_email, `erased:${JANE_HASH}`);
+  assert.deepStrictEqual(sendAudit.blockers({ erased: true }, { KILL_SWITCHES: {} }, { WEBINAR_INVITE_ALLOW_THIRD_PARTY: 'true' }),
+    [{ gate: 'privacy_erasure', message_classes: 'all', reason: 'address erased on request' }]);
+});
@@ -0,0 +1,176 @@
+// Phase 3 referral credits: which earned credits a pass applies, the Stripe
+// coupon it attaches, the dark gate, the referrer's ledger, the matching rank
+// points the credits buy, and where the rail's background work is scheduled.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const baseConfig = require('../modules/referrals/config');
+const { buildIncentives } = require('../modules/referrals/incentives');
+const engine = require('../modules/matching/engine');
+const { V1_WEIGHTS } = require('../modules/matching/schema');
+
+// Answers queries by the first matching pattern; records every call.
+function routedPool(routes = []) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      for (const [pattern, rows] of routes) {
+        if (pattern.test(sql)) {
+          const out = typeof rows === 'function' ? rows(params) : rows;
+          return { rows: out, rowCount: out.length };
+        }
+      }
+      return { rows: [], rowCount: 0 };
+    },
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-10-19T15:00:00Z');
+const config = { ...baseConfig, MAX_CREDITS_PER_YEAR: 3, CREDITS_APPLY_ENABLED: true, STRIPE_REFERRAL_COUPON: 'REF_FREE' };
+
+const credit = (id, proId, type, extra = {}) => ({
+  id, pro_id: proId, referral_id: id * 10, credit_type: type, amount: 1, created_at: new Date(now.getTime() - id * DAY_MS),
+  stripe_subscription_id: `sub_${proId}`, subscription_status: 'active', ...extra,
+});
+
+function fakeStripe(discounts = []) {
+  const calls = [];
+  return {
+    calls,
+    subscriptions: {
+      retrieve: async (id, opts) => { calls.push(['retrieve', id, opts]); return { id, customer: 'cus_1', discounts }; },
+      update: async (id, params, opts) => { calls.push(['update', id, params, opts]); return { id }; },
+    },
+  };
+}
+
+const service = { recordEvent: async () => {} };
+
+test('a pass applies what the cap, the subscription and running boosts allow', async () => {
+  const pool = routedPool([
+    [/FROM network_referral_credits c\s+LEFT JOIN cpa_subscriptions/, [
+      credit(1, 7, 'free_month'),
+      credit(2, 7, 'free_month'),                                    // second free month this invoice
+      credit(3, 8, 'free_month'),                                    // cap reached
+      credit(4, 9, 'free_month', { subscription_status: 'past_due' }),
+      credit(5, 9, 'tier_boost_30d'),
+      credit(6, 9, 'tier_boost_30d'),                                // waits for the first
+      credit(7, 8, 'tier_boost_30d'),                                // one already live
+      credit(8, 8, 'priority_points', { amount: 3 }),
+    ]],
+    [/GROUP BY pro_id/, [
+      { pro_id: 8, free_months: 3, last_boost: new Date(now.getTime() - 10 * DAY_MS) },
+      { pro_id: 9, free_months: 0, last_boost: new Date(now.getTime() - 40 * DAY_MS) },
+    ]],
+  ]);
+  const plan = await buildIncentives({ config, service }).planCredits(pool, config, {}, now);
+  assert.deepStrictEqual(plan.map((c) => [c.id, c.action, c.reason]), [
+    [1, 'apply', null],
+    [2, 'wait', 'one free month per invoice'],
+    [3, 'wait', 'annual cap (3) reached'],
+    [4, 'wait', 'no active subscription'],
+    [5, 'apply', null],
+    [6, 'wait', 'a boost is already live'],
+    [7, 'wait', 'a boost is already live'],
+    [8, 'apply', null],
+  ]);
+  assert.match(pool.calls[0].sql, /s\.cpa_profile_id = c\.pro_id/);
+
+  // Without subscriptions (CBE) a free month never applies.
+  const cbe = { ...config, HAS_SUBSCRIPTIONS: false, SUBSCRIPTION_TABLE: null };
+  const cbePool = routedPool([[/FROM network_referral_credits c/, [credit(1, 7, 'free_month', { stripe_subscription_id: null, subscription_status: null })]]]);
+  const [only] = await buildIncentives({ config: cbe, service }).planCredits(cbePool, cbe, {}, now);
+  assert.strictEqual(only.reason, 'platform has no subscriptions');
+  assert.doesNotMatch(cbePool.calls[0].sql, /JOIN/);
+});
+
+test('applying attaches the coupon beside existing discounts, once, and stays dry while the gate is off', async () => {
+  const rows = [credit(1, 7, 'free_month'), credit(2, 8, 'priority_points', { amount: 2 })];
+  const poolFor = () => routedPool([[/FROM network_referral_credits c\s+LEFT JOIN/, rows]]);
+
+  const stripe = fakeStripe([{ id: 'di_promo', coupon: { id: 'LAUNCH10' } }]);
+  const events = [];
+  const incentives = buildIncentives({ config, stripe, service: { recordEvent: async (p, id, type, detail) => { events.push([id, type, detail.by]); } } });
+  const pool = poolFor();
+  const result = await incentives.applyEarnedCredits(pool, config, { dryRun: false, actor: 'admin:ops@firm.ca' }, now);
+  assert.deepStrictEqual([result.planned, result.applied, result.waiting, result.failed], [2, 2, 0, 0]);
+  assert.deepStrictEqual(stripe.calls[1], ['update', 'sub_7', { discounts: [{ discount: 'di_promo' }, { coupon: 'REF_FREE' }] }, { idempotencyKey: 'referral-credit-1' }]);
+  const marks = pool.calls.filter((c) => /SET status = 'applied'/.test(c.sql)).map((c) => c.params);
+  assert.deepStrictEqual(marks, [[1, 'REF_FREE', 'sub_7', 'admin:ops@firm.ca'], [2, 'admin:ops@firm.ca']]);
+  assert.deepStrictEqual(events, [[10, 'credit_applied', 'admin:ops@firm.ca'], [20, 'credit_applied', 'admin:ops@firm.ca']]);
+
+  // An unused free month already on the subscription: the new one waits.
+  const busy = fakeStripe([{ id: 'di_ref', coupon: { id: 'REF_FREE' } }]);
+  const waiting = await buildIncentives({ config, stripe: busy, service }).applyEarnedCredits(poolFor(), config, { dryRun: false }, now);
+  assert.deepStrictEqual([waiting.applied, waiting.waiting], [1, 1]);
+  assert.strictEqual(waiting.credits[0].reason, 'previous free month not used yet');
+  assert.strictEqual(busy.calls.some((c) => c[0] === 'update'), false);
+
+  // Gate off: a real pass is a dry run. Nothing is written or sent.
+  const dark = { ...config, CREDITS_APPLY_ENABLED: false };
+  const quiet = fakeStripe();
+  const darkPool = poolFor();
+  const dry = await buildIncentives({ config: dark, stripe: quiet, service }).applyEarnedCredits(darkPool, dark, { dryRun: false }, now);
+  assert.deepStrictEqual([dry.dry_run, dry.planned, dry.applied], [true, 2, 0]);
+  assert.strictEqual(quiet.calls.length, 0);
+  assert.strictEqual(darkPool.calls.some((c) => /UPDATE/.test(c.sql)), false);
+});
+
+test('the ledger shows free months left, the live boost and counted points', async () => {
+  const applied = (days) => new Date(now.getTime() - days * DAY_MS);
+  const pool = routedPool([[/FROM network_referral_credits c\s+LEFT JOIN network_referrals/, [
+    { id: 6, credit_type: 'free_month', amount: 1, status: 'earned', created_at: applied(2), applied_at: null },
+    { id: 5, credit_type: 'tier_boost_30d', amount: 1, status: 'applied', created_at: applied(12), applied_at: applied(10) },
+    { id: 4, credit_type: 'priority_points', amount: 4, status: 'applied', created_at: applied(60), applied_at: applied(60) },
+    { id: 3, credit_type: 'priority_points', amount: 4, status: 'applied', created_at: applied(90), applied_at: applied(90) },
+    { id: 2, credit_type: 'free_month', amount: 1, status: 'applied', created_at: applied(100), applied_at: applied(100) },
+    { id: 1, credit_type: 'free_month', amount: 1, status: 'applied', created_at: applied(400), applied_at: applied(400) },
+  ]]]);
+  const { credits, summary } = await buildIncentives({ config, service }).ledger(pool, config, 7, now);
+  assert.deepStrictEqual(summary, {
+    waiting: 1,
+    pending_review: 0,
+    free_months_last_12_months: 1,
+    free_months_left_this_year: 2,
+    boost_active_until: new Date(now.getTime() + 20 * DAY_MS),
+    priority_points: 5,
+  });
+  assert.deepStrictEqual(credits[0].expires_at, new Date(applied(2).getTime() + 365 * DAY_MS));
+  assert.deepStrictEqual(pool.calls[0].params, [7]);
+});
+
+test('rank points reorder matches without changing the fit, and never lift a gated candidate', () => {
+  const client = { id: 7, service_type: 'tax', province: 'ON' };
+  const V1 = { version: 'v1.0', weights: V1_WEIGHTS };
+  const base = { specializations: [], province: 'ON', verification_status: 'verified', subscription_tier: 'professional' };
+  const plain = { ...base, id: 1 };
+  const boosted = { ...base, id: 2, province: 'QC', referral_boost_live: true, referral_priority_points: 9 };
+  const gated = { ...base, id: 3, verification_status: null, referral_boost_live: true };
+
+  const [first, second, third] = engine.rankCandidates(client, [plain, boosted, gated], V1);
+  assert.strictEqual(first.cpa.id, 2);
+  assert.strictEqual(first.rank_bonus, config.BOOST_WEIGHT + config.PRIORITY_POINTS_CAP);
+  assert.strictEqual(first.overall_score, engine.scoreCandidate(client, { ...boosted, referral_boost_live: false, referral_priority_points: 0 }, V1).overall_score);
+  assert.ok(first.overall_score < second.overall_score);
+  assert.deepStrictEqual([second.cpa.id, second.rank_bonus], [1, 0]);
+  assert.deepStrictEqual([third.cpa.id, third.rank_bonus, third.overall_score], [3, 0, 40]);
+});
+
+test('background work registers as jobs where there is a scheduler, and boots without one', () => {
+  const createReferralModule = require('../modules/referrals');
+  const pool = { query: async () => ({ rows: [] }) };
+  const auth = { authenticateToken: (req, res, next) => next(), requireCPA: (req, res, next) => next() };
+
+  const registered = [];
+  const withJobs = createReferralModule({ pool, auth, jobs: { register: (job) => registered.push(job.name) } });
+  assert.deepStrictEqual(registered, ['referral_outbox', 'referral_sweep', 'referral_credits_apply']);
+  assert.strictEqual(withJobs.startWorkers(), null);
+
+  // LAW/INV/CBE have no modules/jobs: the module still boots, and
+  // startWorkers() runs the outbox and sweeper in-process.
+  const without = createReferralModule({ pool, auth });
+  assert.strictEqual(typeof without.startWorkers, 'function');
+});
@@ -0,0 +1,132 @@
+// Reply intent tier: configured follow-ups, the confidence threshold and the
+// review queue, and how the inbound classifier finishes a reply the tier took.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../modules/reply-intent/config');
+const service = require('../modules/reply-intent/service');
+
+// Answers queries by the first matching pattern; records every call.
+function routedPool(routes = []) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      for (const [pattern, rows] of routes) {
+        if (pattern.test(sql)) {
+          if (rows instanceof Error) throw rows;
+          const out = typeof rows === 'function' ? rows(params) : rows;
+          return { rows: out, rowCount: out.length };
+        }
+      }
+      return { rows: [], rowCount: 0 };
+    },
+  };
+}
+
+const enabled = { ...config, ENABLED: true, MIN_CONFIDENCE: 0.75 };
+const reply = { id: 41, from_email: ' Jane@KPMG.ca ', subject: 'Re: your profile', body_text: 'Back in the new year, tax season is brutal.' };
+const claimed = [/INSERT INTO reply_intents/, [{ id: 9 }]];
+const answer = (intent, confidence, extra = {}) => async () => ({ intent, confidence, rationale: 'test', referred_to: null, model: 'test-model', ...extra });
+
+test('follow-ups can be overridden per intent; bad entries are ignored', () => {
+  const intents = config.parseActions('not_now:stop, out_of_office:snooze:14, vibes:stop, interested:shout', config.INTENTS);
+  assert.strictEqual(intents.not_now.action, 'stop');
+  assert.deepStrictEqual([intents.out_of_office.action, intents.out_of_office.days], ['snooze', 14]);
+  assert.strictEqual(intents.interested.action, 'hand_off');
+  assert.strictEqual(intents.vibes, undefined);
+  // Defaults: every intent has a follow-up the service knows.
+  for (const spec of Object.values(config.INTENTS)) assert.ok(service.ACTIONS[spec.action], spec.action);
+});
+
+test('a confident answer runs the intent follow-up and is recorded', async () => {
+  const off = routedPool();
+  assert.strictEqual(await service.handle(off, { ...config, ENABLED: false }, reply, { classify: answer('not_now', 0.9) }), null);
+  assert.strictEqual(off.calls.length, 0);
+
+  const pool = routedPool([claimed, [/^UPDATE v2_supply_enrollments/, [{}]]]);
+  const seen = [];
+  const result = await service.handle(pool, enabled, reply, {
+    classify: async (input) => { seen.push(input); return answer('not_now', 0.9)(); },
+  });
+  assert.deepStrictEqual(result, { decision: 'intent_actioned', intent: 'not_now', confidence: 0.9, action: 'snooze', inbound: 'classified', ack: false });
+  assert.strictEqual(seen[0].body, reply.body_text);
+  assert.deepStrictEqual(Object.keys(seen[0].intents), Object.keys(config.INTENTS));
+  const snooze = pool.calls.filter((c) => /SET next_send_at = GREATEST/.test(c.sql));
+  assert.deepStrictEqual(snooze.map((c) => c.params), [['jane@kpmg.ca', 90], ['jane@kpmg.ca', 90]]);
+  // The reply is claimed before the follow-up runs, then marked with its result.
+  const insert = pool.calls.findIndex((c) => /INSERT INTO reply_intents/.test(c.sql));
+  assert.deepStrictEqual(pool.calls[insert].params.slice(0, 3).concat(pool.calls[insert].params.slice(7)), [41, 'jane@kpmg.ca', 'not_now', 'snooze']);
+  assert.ok(insert < pool.calls.indexOf(snooze[0]));
+  const marked = pool.calls.find((c) => /UPDATE reply_intents SET status/.test(c.sql));
+  assert.deepStrictEqual(marked.params, [9, 'actioned', JSON.stringify({ snoozed: { sequence_v2: 1, crm_sequence: 0, days: 90 } })]);
+
+  // A reply already claimed by an earlier pass: nothing runs again, no acknowledgement.
+  const again = routedPool();
+  const duplicate = await service.handle(again, enabled, reply, { classify: answer('not_now', 0.9) });
+  assert.deepStrictEqual([duplicate.decision, duplicate.action, duplicate.inbound, duplicate.ack], ['intent_duplicate', null, 'manual_review', false]);
+  assert.strictEqual(again.calls.length, 1);
+
+  // A model failure leaves the reply to the catch-all.
+  const failed = routedPool();
+  assert.strictEqual(await service.handle(failed, enabled, reply, { classify: async () => { throw new Error('529 overloaded'); } }), null);
+  assert.strictEqual(failed.calls.length, 0);
+});
+
+test('low confidence goes to review untouched; a legal threat is suppressed and never acknowledged', async () => {
+  const unsure = routedPool([claimed]);
+  const review = await service.handle(unsure, enabled, reply, { classify: answer('interested', 0.6) });
+  assert.deepStrictEqual([review.decision, review.action, review.inbound, review.ack], ['intent_review', 'review', 'manual_review', true]);
+  assert.ok(!unsure.calls.some((c) => /^UPDATE (v2_supply|crm_sequence)_enrollments/.test(c.sql.trim())));
+
+  const legal = routedPool([claimed]);
+  const threat = await service.handle(legal, enabled, reply, { classify: answer('legal_threat', 0.95) });
+  assert.deepStrictEqual([threat.decision, threat.inbound, threat.ack], ['intent_review', 'manual_review', false]);
+  const unsub = legal.calls.find((c) => /INSERT INTO outreach_unsubscribes/.test(c.sql));
+  assert.deepStrictEqual(unsub.params, ['jane@kpmg.ca', 'reply_legal_threat']);
+  assert.ok(legal.calls.some((c) => /SET completed_at = NOW\(\), exit_reason = \$2/.test(c.sql) && c.params[1] === 'reply_legal_threat'));
+});
+
+test('a reviewer answer runs that intent and closes the item', async () => {
+  const row = { id: 7, inbound_message_id: 41, from_email: 'jane@kpmg.ca', intent: 'other', status: 'review' };
+  const pool = routedPool([
+    [/SELECT \* FROM reply_intents/, [row]],
+    [/UPDATE reply_intents/, (params) => [{ ...row, status: 'resolved', reviewed_intent: params[1], reviewed_by: params[2] }]],
+  ]);
+  assert.strictEqual((await service.resolve(pool, enabled, 'admin:ops', '7', { intent: 'vibes' })).code, 400);
+  assert.strictEqual((await service.resolve(pool, enabled, 'admin:ops', 'x', { intent: 'interested' })).code, 404);
+
+  const result = await service.resolve(pool, enabled, 'admin:ops', '7', { intent: 'wrong_person' });
+  assert.deepStrictEqual([result.ok, result.item.reviewed_intent, result.item.reviewed_by], [true, 'wrong_person', 'admin:ops']);
+  assert.ok(pool.calls.some((c) => /exit_reason = \$2/.test(c.sql) && c.params[1] === 'reply_wrong_person'));
+  assert.deepStrictEqual(pool.calls[pool.calls.length - 1].params, [41, 'classified']);
+
+  const done = routedPool([[/SELECT \* FROM reply_intents/, [{ ...row, status: 'resolved' }]]]);
+  assert.strictEqual((await service.resolve(done, enabled, 'admin:ops', '7', { intent: 'interested' })).code, 409);
+});
+
+test('the inbound classifier hands unmatched replies to the tier and finishes them its way', async () => {
+  const ai = require('../services/ai');
+  const original = ai.classifyReplyIntent;
+  const wasEnabled = config.ENABLED;
+  ai.classifyReplyIntent = answer('pricing_question', 0.88);
+  config.ENABLED = true;
+  try {
+    const classifier = require('../services/inbound-classifier');
+    const pool = routedPool([claimed]);
+    const result = await classifier.processOne(pool, { ...reply, body_text: 'How much is the paid plan?', received_at: new Date() });
+    assert.deepStrictEqual(result, { decision: 'intent_actioned', intent: 'pricing_question' });
+    const mark = pool.calls.find((c) => /UPDATE inbound_messages SET classification_status/.test(c.sql));
+    assert.deepStrictEqual(mark.params, ['manual_review', 'intent', 41]);
+
+    // Tier off: the catch-all, as before.
+    config.ENABLED = false;
+    const off = routedPool();
+    assert.deepStrictEqual(await classifier.processOne(off, { ...reply, received_at: new Date() }), { decision: 'catch_all_routed_to_arthur' });
+    assert.deepStrictEqual(off.calls[off.calls.length - 1].params, ['manual_review', 'manual', 41]);
+  } finally {
+    ai.classifyReplyIntent = original;
+    config.ENABLED = wasEnabled;
+  }
+});
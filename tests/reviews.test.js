@@ -0,0 +1,64 @@
+// Verified reviews: who may review, what is published as JSON-LD, and how
+// ratings move the performance score.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../modules/reviews/config');
+const service = require('../modules/reviews/service');
+const { CPAPerformanceScorer } = require('../services/performance-scoring');
+
+test('a review needs whole stars, real text and falls back to an anonymous name', () => {
+  const body = 'Sorted out our HST filings quickly and explained every step.';
+  assert.deepStrictEqual(service.parseReview({ rating: '5', body: `  ${body} `, display_name: '  Sam   R. ' }, config), {
+    value: { rating: 5, body, display_name: 'Sam R.' },
+  });
+  assert.strictEqual(service.parseReview({ rating: 4, body }, config).value.display_name, 'Verified client');
+  for (const rating of [0, 6, 4.5, 'great']) assert.ok(service.parseReview({ rating, body }, config).error);
+  assert.ok(service.parseReview({ rating: 4, body: 'Great.' }, config).error);
+  assert.ok(service.parseReview({ rating: 4, body: 'x'.repeat(3001) }, config).error);
+});
+
+test('only an engaged match or a consultation that happened qualifies', () => {
+  assert.strictEqual(service.verification({ offer_status: 'offered', contacted_at: null, met: false, conversed: false }), null);
+  assert.strictEqual(service.verification({ offer_status: 'declined' }), null);
+  assert.strictEqual(service.verification({ offer_status: 'accepted' }), 'match');
+  assert.strictEqual(service.verification({ contacted_at: new Date() }), 'match');
+  assert.strictEqual(service.verification({ conversed: true }), 'match');
+  assert.strictEqual(service.verification({ offer_status: 'accepted', met: true }), 'booking');
+});
+
+test('AggregateRating is emitted only once something is published', () => {
+  assert.strictEqual(service.aggregateRatingJsonLd(service.summarize({ review_count: '0', average: null })), null);
+  const summary = service.summarize({ review_count: '3', average: '4.333333' });
+  assert.deepStrictEqual(summary, { count: 3, average: 4.3 });
+  assert.deepStrictEqual(service.aggregateRatingJsonLd(summary, { '@type': 'Person', name: 'Dana Lee' }), {
+    '@context': 'https://schema.org',
+    '@type': 'AggregateRating',
+    itemReviewed: { '@type': 'Person', name: 'Dana Lee' },
+    ratingValue: 4.3,
+    reviewCount: 3,
+    bestRating: 5,
+    worstRating: 1,
+  });
+});
+
+test('market reputation and satisfaction read published reviews, shrunk toward the prior', () => {
+  // The constructor starts the 6-hour batch timer; score with the prototype instead.
+  const scorer = Object.create(CPAPerformanceScorer.prototype);
+  scorer.reviewPrior = { mean: 3.5, weight: 5 };
+  scorer.marketBenchmarks = { client_satisfaction: { excellent: 8.5, good: 7.5, average: 6.5 } };
+
+  const base = { cpa_profile: { experience_years: 5 }, matches: [] };
+  assert.strictEqual(scorer.calculateMarketReputationScore(base), 30);
+  assert.strictEqual(scorer.calculateMarketReputationScore({ ...base, client_reviews: { count: 0, average: null } }), 30);
+
+  const oneFiveStar = scorer.calculateMarketReputationScore({ ...base, client_reviews: { count: 1, average: 5 } });
+  const manyGood = scorer.calculateMarketReputationScore({ ...base, client_reviews: { count: 40, average: 4.6 } });
+  const manyPoor = scorer.calculateMarketReputationScore({ ...base, client_reviews: { count: 40, average: 1.5 } });
+  assert.ok(manyGood > oneFiveStar, `${manyGood} > ${oneFiveStar}`);
+  assert.ok(manyPoor < 30, `${manyPoor} < 30`);
+
+  assert.strictEqual(scorer.calculateClientSatisfactionScore([], null), 50);
+  assert.strictEqual(scorer.calculateClientSatisfactionScore([], { count: 200, average: 5 }), 100);
+  assert.strictEqual(scorer.calculateClientSatisfactionScore([{ client_satisfaction_score: 9 }], { count: 200, average: 1 }), 100);
+});
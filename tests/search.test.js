@@ -0,0 +1,65 @@
+// Professional search: parameter parsing, facet filters and firm tiers.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../modules/search/config');
+const query = require('../modules/search/query');
+const { firmTier } = require('../modules/search/tiers');
+
+// Every $n a statement uses has a bound value and every value is used.
+function assertBindsMatch(stmt) {
+  const used = new Set([...stmt.text.matchAll(/\$(\d+)/g)].map((m) => Number(m[1])));
+  assert.deepStrictEqual([...used].sort((a, b) => a - b), stmt.values.map((_, i) => i + 1), stmt.text);
+}
+
+test('search parameters are normalised and bad ones rejected', () => {
+  const { value } = query.parseSearchParams({
+    q: '  tax   planning ', province: 'Ontario,bc,ON', firm_tier: 'big4', claimed: 'true', page: '2', per_page: '500',
+  }, config);
+  assert.strictEqual(value.q, 'tax planning');
+  assert.deepStrictEqual(value.provinces, ['ON', 'BC']);
+  assert.deepStrictEqual(value.firmTiers, ['big4']);
+  assert.strictEqual(value.claimed, true);
+  assert.strictEqual(value.sort, 'relevance');
+  assert.strictEqual(value.page, 2);
+  assert.strictEqual(value.perPage, config.MAX_PER_PAGE);
+
+  // No text query: browse by name.
+  assert.strictEqual(query.parseSearchParams({ sort: 'relevance' }, config).value.sort, 'name');
+
+  for (const bad of [{ q: 'x' }, { province: 'Texas' }, { firm_tier: 'boutique' }, { claimed: 'yes' },
+    { sort: 'newest' }, { page: String(config.MAX_PAGE + 1) }, { q: 'a'.repeat(config.MAX_QUERY_CHARS + 1) }]) {
+    assert.ok(query.parseSearchParams(bad, config).error, JSON.stringify(bad));
+  }
+});
+
+test('each facet is counted without its own filter', () => {
+  const { value } = query.parseSearchParams({ q: 'deloite', province: 'ON', designation: 'CPA, CA', claimed: 'false' }, config);
+  const all = query.buildFilters(value, null);
+  assert.match(all.where, /province = ANY/);
+  assert.match(all.where, /<% fuzzy_text/);
+  assert.ok(all.relevance);
+
+  const byProvince = query.buildFilters(value, 'province');
+  assert.doesNotMatch(byProvince.where, /province = ANY/);
+  assert.match(byProvince.where, /designation = ANY/);
+  assert.match(byProvince.where, /claimed = /);
+
+  assertBindsMatch(query.resultsSql(value));
+  assertBindsMatch(query.countSql(value));
+  for (const facet of query.FACETS) assertBindsMatch(query.facetSql(value, facet, config.FACET_LIMIT));
+  assertBindsMatch(query.facetSql(query.parseSearchParams({}, config).value, 'province', 20));
+});
+
+test('firm tiers match whole words only', () => {
+  assert.strictEqual(firmTier('Deloitte LLP'), 'big4');
+  assert.strictEqual(firmTier('EY'), 'big4');
+  assert.strictEqual(firmTier('Ernst & Young LLP'), 'big4');
+  assert.strictEqual(firmTier('MNP LLP'), 'national');
+  assert.strictEqual(firmTier('Smith & Co'), 'regional');
+  assert.strictEqual(firmTier('Tremblay Associates'), 'regional');
+  assert.strictEqual(firmTier('Mckey Bookkeeping'), 'independent');
+  assert.strictEqual(firmTier('Crowell Tax Services'), 'independent');
+  assert.strictEqual(firmTier('  '), 'unknown');
+  assert.strictEqual(firmTier(null), 'unknown');
+});
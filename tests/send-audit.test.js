@@ -0,0 +1,142 @@
+// Send audit: decision shape and folding, the address filters the queue and
+// explainer share, and the per-address "why didn't this send" answer.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../modules/send-audit/config');
+const service = require('../modules/send-audit/service');
+const audit = require('../modules/send-audit/audit');
+const { addressSkipReason, isSelfTest } = require('../services/address-checks');
+
+// Answers queries by the first matching pattern; records every call.
+function routedPool(routes = []) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      for (const [pattern, rows] of routes) {
+        if (pattern.test(sql)) {
+          if (rows instanceof Error) throw rows;
+          return { rows: typeof rows === 'function' ? rows(params) : rows, rowCount: 0 };
+        }
+      }
+      return { rows: [], rowCount: 0 };
+    },
+  };
+}
+
+test('decisions normalize, and only repeats of a non-sent decision share a fold key', () => {
+  const held = service.normalize({ email: ' Jane@KPMG.ca ', message_class: 'outreach', gate: 'throttle', outcome: 'held', ref_type: 'outreach_email', ref_id: 42 });
+  assert.strictEqual(held.recipient_email, 'jane@kpmg.ca');
+  assert.strictEqual(held.ref_id, '42');
+  assert.match(held.fold_key, /^[0-9a-f]{40}$/);
+  const again = service.normalize({ email: 'jane@kpmg.ca', message_class: 'outreach', gate: 'throttle', outcome: 'held', reason: 'other', ref_type: 'outreach_email', ref_id: '42' });
+  assert.strictEqual(again.fold_key, held.fold_key);
+  assert.notStrictEqual(service.normalize({ ...again, email: 'jane@kpmg.ca', ref_id: 43 }).fold_key, held.fold_key);
+
+  const sent = service.normalize({ email: 'jane@kpmg.ca', message_class: 'outreach', ...audit.sent({ id: 're_1', provider: 'resend' }) });
+  assert.deepStrictEqual([sent.gate, sent.outcome, sent.message_id, sent.fold_key], ['transport', 'sent', 're_1', null]);
+  assert.deepStrictEqual(audit.outcome({ success: false, reason: 'api_error', error: '503' }), { gate: 'transport', outcome: 'failed', reason: 'api_error: 503' });
+
+  assert.throws(() => service.normalize({ message_class: 'outreach', gate: 'vibes', outcome: 'held' }), /unknown gate/);
+  assert.throws(() => service.normalize({ message_class: 'outreach', gate: 'throttle', outcome: 'maybe' }), /unknown outcome/);
+
+  assert.strictEqual(
+    service.describe({ ...held, reason: 'domain kpmg.ca: 20/hour', occurrences: 3, last_at: '2026-10-19T15:00:00Z' }),
+    'outreach outreach_email 42 held by send throttle: domain kpmg.ca: 20/hour (3 times until 2026-10-19T15:00:00.000Z)'
+  );
+  assert.strictEqual(
+    service.describe({ message_class: 'crm_sequence', gate: 'kill_switch', outcome: 'dry_run', reason: 'SEQUENCES_ENABLED off', occurrences: 1 }),
+    'crm_sequence would have been sent, kill switch off: SEQUENCES_ENABLED off'
+  );
+});
+
+test('record folds a repeat into the earlier row and never throws', async () => {
+  const decision = { email: 'jane@kpmg.ca', message_class: 'outreach', gate: 'send_window', outcome: 'held', ref_type: 'outreach_email', ref_id: 7 };
+
+  const fresh = routedPool();
+  await service.record(fresh, config, decision);
+  assert.deepStrictEqual(fresh.calls.map((c) => c.sql.trim().split(/\s+/)[0]), ['UPDATE', 'INSERT']);
+
+  const repeat = routedPool([[/UPDATE send_decisions/, [{ id: 1 }]]]);
+  await service.record(repeat, config, decision);
+  assert.strictEqual(repeat.calls.length, 1);
+  assert.strictEqual(repeat.calls[0].params[3], config.FOLD_HOURS);
+
+  const sent = routedPool();
+  await service.record(sent, config, { email: 'jane@kpmg.ca', message_class: 'outreach', ...audit.sent({ id: 're_1' }) });
+  assert.deepStrictEqual(sent.calls.map((c) => c.sql.trim().split(/\s+/)[0]), ['INSERT']);
+
+  const broken = routedPool([[/send_decisions/, new Error('relation "send_decisions" does not exist')]]);
+  await service.record(broken, config, decision);
+  await service.record(broken, config, { message_class: 'outreach', gate: 'nope', outcome: 'held' });
+
+  const bulk = routedPool();
+  await service.recordMany(bulk, [decision, { ...decision, ref_id: 8 }]);
+  assert.strictEqual(bulk.calls.length, 1);
+  assert.match(bulk.calls[0].sql, /\(\$1, .*\$11\), \(\$12, .*\$22\)$/);
+  assert.strictEqual(bulk.calls[0].params.length, 22);
+});
+
+test('address filters: junk everywhere, role-based only for supply-side, self-test seeds', () => {
+  assert.strictEqual(addressSkipReason('jane.doe@kpmg.ca'), null);
+  assert.strictEqual(addressSkipReason('info@smallfirm.ca'), 'role_based');
+  assert.strictEqual(addressSkipReason('info@smallfirm.ca', { demandSide: true }), null);
+  assert.strictEqual(addressSkipReason('toronto@bigfirm.ca'), 'role_based');
+  assert.strictEqual(addressSkipReason('noreply@kpmg.ca', { demandSide: true }), 'invalid_address');
+  assert.strictEqual(addressSkipReason('logo@2x.png'), 'invalid_address');
+  assert.strictEqual(addressSkipReason('your.email@firm.ca'), 'invalid_address');
+  assert.strictEqual(addressSkipReason('bcdfghjklm@firm.ca'), 'invalid_address');
+  assert.strictEqual(addressSkipReason(''), 'invalid_address');
+
+  assert.strictEqual(isSelfTest('arthur+seed@negotiateandwin.com'), true);
+  assert.strictEqual(isSelfTest('cpa@testcpa.ca'), true);
+  assert.strictEqual(isSelfTest('jane.doe@kpmg.ca'), false);
+});
+
+test('explain answers what went out, what is waiting and what stops it', async () => {
+  const env = { SEQUENCES_ENABLED: 'true', CLIENT_SIGNAL_ENABLED: 'true', WEBINAR_INVITE_ENABLED: 'true', V2_RUNNER_LAUNCH_READY: 'true' };
+  const pool = routedPool([
+    [/FROM outreach_unsubscribes/, [{ reason: 'user_request', unsubscribed_at: '2026-10-01T12:00:00Z' }]],
+    [/FROM scraped_cpas WHERE claim_status/, []],
+    [/FROM send_decisions WHERE recipient_email/, [
+      { message_class: 'outreach', gate: 'transport', outcome: 'sent', ref_type: 'outreach_email', ref_id: '11', provider: 'ses', message_id: 'ses-1', occurrences: 1 },
+    ]],
+    [/FROM send_decisions\s+WHERE recipient_email IS NULL/, [
+      { message_class: 'crm_sequence', gate: 'kill_switch', outcome: 'dry_run', reason: 'SEQUENCES_ENABLED off', occurrences: 12, last_at: '2026-10-19T14:45:00Z' },
+    ]],
+    [/FROM outreach_emails WHERE LOWER/, [
+      { id: 12, campaign_id: 3, sequence_number: 2, status: 'queued', queued_at: '2026-10-10T00:00:00Z' },
+      { id: 11, campaign_id: 3, sequence_number: 1, status: 'sent', sent_at: '2026-10-02T14:00:00Z', email_provider: 'ses' },
+    ]],
+    [/FROM v2_supply_enrollments/, [{ id: 5, sequence_name: 'supply_v2_7touch', current_step: 2, next_send_at: '2026-10-20T14:00:00Z', completed_at: null }]],
+    [/FROM crm_sequence_enrollments/, new Error('relation "crm_sequences" does not exist')],
+  ]);
+
+  assert.deepStrictEqual(await service.explain(pool, config, 'not an email', { env }), { ok: false, code: 400, message: 'email must be an email address.' });
+
+  const answer = await service.explain(pool, config, 'Jane.Doe@Gmail.com', { env });
+  assert.strictEqual(answer.ok, true);
+  assert.strictEqual(answer.email, 'jane.doe@gmail.com');
+  assert.strictEqual(answer.checks.unsubscribed.reason, 'user_request');
+  assert.strictEqual(answer.checks.address, null);
+  assert.strictEqual(answer.checks.throttle.provider.key, 'google');
+  assert.deepStrictEqual(answer.blocked_by.map((b) => b.gate), ['unsubscribed', 'third_party_block']);
+
+  assert.deepStrictEqual(answer.pending.map((p) => [p.message_class, p.ref_id, p.blocked_by]), [
+    ['outreach', '12', ['unsubscribed']],
+    ['sequence_v2', '5', ['unsubscribed']],
+  ]);
+  assert.deepStrictEqual(answer.messages.map((m) => m.id), [11]);
+  assert.deepStrictEqual(answer.enrollments.crm_sequence, []);
+  assert.strictEqual(answer.decisions[0].text, 'outreach outreach_email 11 sent via ses (ses-1)');
+  assert.match(answer.run_gates[0].text, /^crm_sequence would have been sent, kill switch off: SEQUENCES_ENABLED off \(12 times/);
+
+  // Kill switches off block their class only.
+  const off = await service.explain(pool, config, 'jane.doe@gmail.com', { env: {} });
+  const killed = off.blocked_by.filter((b) => b.gate === 'kill_switch').map((b) => b.message_classes[0]);
+  assert.deepStrictEqual(killed, Object.keys(config.KILL_SWITCHES));
+  assert.ok(off.pending.find((p) => p.message_class === 'sequence_v2').blocked_by.includes('kill_switch'));
+  assert.ok(!off.pending.find((p) => p.message_class === 'outreach').blocked_by.includes('kill_switch'));
+});
@@ -0,0 +1,98 @@
+// Send calendar: holiday computation per province, blackout matching and the
+// decisions senders get.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../modules/send-calendar/config');
+const service = require('../modules/send-calendar/service');
+const { easterSunday, holidaysFor, holidaysOn } = require('../modules/send-calendar/holidays');
+
+const keysOn = (date, j) => holidaysOn(date, j).map((h) => h.key);
+
+// A pool that serves one fixed blackout list.
+function fakePool(rows) {
+  return { query: async () => ({ rows }) };
+}
+
+test('Easter-based and nth-Monday holidays land on the right dates', () => {
+  assert.deepStrictEqual(easterSunday(2024), [3, 31]);
+  assert.deepStrictEqual(easterSunday(2026), [4, 5]);
+  assert.deepStrictEqual(easterSunday(2027), [3, 28]);
+  assert.deepStrictEqual(keysOn('2026-04-03', 'ON'), ['good_friday']);
+  assert.deepStrictEqual(keysOn('2026-04-06', 'QC'), ['easter_monday']);
+  assert.deepStrictEqual(keysOn('2026-04-06', 'ON'), []);
+  assert.deepStrictEqual(keysOn('2026-05-18', 'ON'), ['victoria_day']);   // Monday before May 25
+  assert.deepStrictEqual(keysOn('2028-05-22', 'ON'), ['victoria_day']);   // May 25 2028 is a Thursday
+  assert.strictEqual(holidaysOn('2026-05-18', 'QC')[0].name, 'Journée nationale des patriotes');
+  assert.deepStrictEqual(keysOn('2026-10-12', 'ON'), ['thanksgiving']);
+  assert.deepStrictEqual(keysOn('2026-10-12', 'NS'), []);
+});
+
+test('provincial holidays and their local names differ by province', () => {
+  assert.deepStrictEqual(keysOn('2026-06-24', 'QC'), ['saint_jean_baptiste']);
+  assert.deepStrictEqual(keysOn('2026-06-24', 'ON'), []);
+
+  // First Monday of August 2026 is the 3rd.
+  const civic = Object.fromEntries(['ON', 'BC', 'SK', 'NB', 'MB', 'AB', 'NS', 'QC']
+    .map((p) => [p, (holidaysOn('2026-08-03', p)[0] || {}).name || null]));
+  assert.deepStrictEqual(civic, {
+    ON: 'Civic Holiday', BC: 'British Columbia Day', SK: 'Saskatchewan Day', NB: 'New Brunswick Day',
+    MB: 'Terry Fox Day', AB: 'Heritage Day', NS: 'Natal Day', QC: null,
+  });
+  assert.strictEqual(holidaysOn('2026-02-16', 'MB')[0].name, 'Louis Riel Day');
+  assert.deepStrictEqual(keysOn('2026-02-16', 'QC'), []);
+  assert.deepStrictEqual(keysOn('2026-11-11', 'ON'), []);
+  assert.deepStrictEqual(keysOn('2026-11-11', 'AB'), ['remembrance_day']);
+  assert.deepStrictEqual(keysOn('2026-08-17', 'YT'), ['discovery_day']);
+});
+
+test('weekend holidays get an observed weekday', () => {
+  // Christmas 2027 is a Saturday, Boxing Day a Sunday.
+  const dec = holidaysFor(2027, 'ON').filter((h) => h.date >= '2027-12-20');
+  assert.deepStrictEqual(dec.map((h) => [h.date, h.key, h.observed]), [
+    ['2027-12-25', 'christmas_day', false],
+    ['2027-12-26', 'boxing_day', false],
+    ['2027-12-27', 'christmas_day', true],
+    ['2027-12-28', 'boxing_day', true],
+  ]);
+  // Canada Day on a Sunday moves to Monday; on a Saturday it does not.
+  assert.deepStrictEqual(keysOn('2029-07-02', 'ON'), ['canada_day']);
+  assert.deepStrictEqual(keysOn('2028-07-03', 'ON'), []);
+  // Unknown provinces use the federal set.
+  assert.deepStrictEqual(holidaysFor(2026, 'Texas'), holidaysFor(2026, 'FED'));
+});
+
+test('blackouts are validated and scoped by province and send type', async () => {
+  assert.strictEqual(service.parseBlackout(config, { starts_on: '2026-12-24', ends_on: '2026-12-20', reason: 'x' }).ok, false);
+  assert.strictEqual(service.parseBlackout(config, { starts_on: '2026-12-24', provinces: 'Texas', reason: 'x' }).ok, false);
+  assert.strictEqual(service.parseBlackout(config, { starts_on: '2026-12-24', send_types: 'sms', reason: 'x' }).ok, false);
+  assert.strictEqual(service.parseBlackout(config, { starts_on: '2026-12-24' }).ok, false);
+  const { value } = service.parseBlackout(config, { starts_on: '2026-12-24', provinces: 'Quebec, qc,ON', reason: ' Holiday freeze ' });
+  assert.deepStrictEqual(value, {
+    starts_on: '2026-12-24', ends_on: '2026-12-24', provinces: ['QC', 'ON'], send_types: null, reason: 'Holiday freeze',
+  });
+
+  const blackout = {
+    id: 1, starts_on: '2026-11-02', ends_on: '2026-11-04', provinces: ['BC'], send_types: ['cold'], reason: 'Migration',
+  };
+  assert.strictEqual(service.blackoutApplies(blackout, '2026-11-04', 'BC', 'cold'), true);
+  assert.strictEqual(service.blackoutApplies(blackout, '2026-11-05', 'BC', 'cold'), false);
+  assert.strictEqual(service.blackoutApplies(blackout, '2026-11-03', 'ON', 'cold'), false);
+  assert.strictEqual(service.blackoutApplies(blackout, '2026-11-03', 'BC', 'warm'), false);
+
+  // 2026-06-24 16:00 UTC is noon in Toronto: QC is closed, ON open, and a BC
+  // cold blackout that day closes BC for cold only.
+  const now = Date.UTC(2026, 5, 24, 16);
+  const pool = fakePool([{ ...blackout, starts_on: '2026-06-24', ends_on: '2026-06-24' }]);
+  const cold = await service.openJurisdictions(pool, { ...config, BLACKOUT_CACHE_MS: 0 }, 'cold', now);
+  assert.ok(!cold.open.includes('QC') && !cold.open.includes('BC') && cold.open.includes('ON'));
+  assert.strictEqual(cold.unknownOpen, true);
+  assert.deepStrictEqual(cold.closed.map((c) => [c.jurisdiction, c.reason]), [['QC', 'holiday'], ['BC', 'blackout']]);
+
+  const qc = await service.check(pool, { ...config, BLACKOUT_CACHE_MS: 0 }, { province: 'Quebec', sendType: 'sequence_v2', now });
+  assert.strictEqual(qc.open, false);
+  assert.strictEqual(qc.holiday.key, 'saint_jean_baptiste');
+  const next = await service.nextOpenAt(pool, { ...config, BLACKOUT_CACHE_MS: 0 }, { province: 'QC', sendType: 'sequence_v2', now });
+  assert.strictEqual(next.date, '2026-06-25');
+  assert.strictEqual(next.at.toISOString(), '2026-06-25T14:00:00.000Z'); // 10:00 EDT
+});
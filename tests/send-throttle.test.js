@@ -0,0 +1,146 @@
+// Send throttle: provider classification, cap arithmetic, warmup ramp, the
+// backoff state machine and the acquire/release path senders use.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../modules/send-throttle/config');
+const service = require('../modules/send-throttle/service');
+const providers = require('../modules/send-throttle/providers');
+
+const HOUR = 3600 * 1000;
+
+test('recipient domains classify by consumer domain or MX host', () => {
+  assert.strictEqual(providers.domainOf('Jane.Doe@KPMG.ca'), 'kpmg.ca');
+  assert.strictEqual(providers.domainOf('not-an-email'), null);
+  assert.strictEqual(providers.consumerProvider('hotmail.ca'), 'microsoft');
+  assert.strictEqual(providers.consumerProvider('kpmg.ca'), null);
+
+  assert.strictEqual(providers.classifyMx(['kpmg-ca.mail.protection.outlook.com']), 'microsoft');
+  assert.strictEqual(providers.classifyMx(['aspmx.l.google.com.', 'alt1.aspmx.l.google.com']), 'google');
+  assert.strictEqual(providers.classifyMx(['mxa-001.pphosted.com']), 'proofpoint');
+  assert.strictEqual(providers.classifyMx(['mx1.smtp.secureserver.net']), 'mx:secureserver.net');
+  assert.strictEqual(providers.classifyMx(['mail.cpaquebec.qc.ca']), 'mx:cpaquebec.qc.ca');
+  assert.strictEqual(providers.classifyMx([]), 'none');
+
+  assert.strictEqual(service.senderDomainOf('Arthur Kostaras <connect@canadaaccountants.app>'), 'canadaaccountants.app');
+});
+
+test('caps halve per backoff level, stop while paused and follow the warmup ramp', () => {
+  const now = Date.parse('2026-10-19T15:00:00Z');
+  assert.strictEqual(service.effectiveCap(20, null, now), 20);
+  assert.strictEqual(service.effectiveCap(20, { level: 2 }, now), 5);
+  assert.strictEqual(service.effectiveCap(3, { level: 3 }, now), 1);          // backoff floors at 1/hour
+  assert.strictEqual(service.effectiveCap(20, { level: 1, hourly_cap_override: 8 }, now), 4);
+  assert.strictEqual(service.effectiveCap(20, { level: 0, hourly_cap_override: 0 }, now), 0);
+  assert.strictEqual(service.effectiveCap(20, { level: 3, paused_until: new Date(now + HOUR) }, now), 0);
+  assert.strictEqual(service.effectiveCap(20, { level: 3, paused_until: new Date(now - HOUR) }, now), 2);
+
+  const started = (date) => ({ warmup_started_on: date });
+  assert.deepStrictEqual(service.warmupCap(config, started('2026-10-19'), now), { day: 1, cap: 50 });
+  assert.deepStrictEqual(service.warmupCap(config, started('2026-10-15'), now), { day: 5, cap: 200 });
+  assert.deepStrictEqual(service.warmupCap(config, started('2026-09-01'), now), { day: 49, cap: null });
+  assert.deepStrictEqual(service.warmupCap(config, started('2026-10-20'), now), { day: 0, cap: 0 });
+  assert.deepStrictEqual(
+    service.warmupCap(config, { warmup_started_on: '2026-10-18', warmup_schedule: [[1, 10], [2, null]] }, now),
+    { day: 2, cap: null }
+  );
+
+  assert.strictEqual(service.parseSchedule([[1, 50], [8, 400], [15, null]]).ok, true);
+  assert.strictEqual(service.parseSchedule([[1, 50], [8, 400]]).ok, false);
+  assert.strictEqual(service.parseSchedule([[3, 50], [2, null]]).ok, false);
+});
+
+test('evaluateState backs off, pauses and recovers one level at a time', () => {
+  const now = Date.parse('2026-10-19T15:00:00Z');
+  const clean = { sent: 40, bounced: 0, complained: 0, deferred: 0 };
+
+  // Too few sends to judge: nothing happens.
+  assert.strictEqual(service.evaluateState(null, { sent: 5, bounced: 3 }, config, now).action, null);
+
+  const deferring = service.evaluateState(null, { sent: 40, deferred: 6 }, config, now);
+  assert.strictEqual(deferring.action, 'backed_off');
+  assert.strictEqual(deferring.level, 1);
+  assert.match(deferring.reason, /deferral rate 15\.0% over 40 sends/);
+
+  // Still bad half an hour later: held at its level until an hour has passed.
+  const held = service.evaluateState(deferring, { sent: 40, bounced: 2 }, config, now + HOUR / 2);
+  assert.strictEqual(held.action, null);
+  assert.strictEqual(held.level, 1);
+  assert.strictEqual(service.evaluateState(deferring, { sent: 40, bounced: 2 }, config, now + HOUR).level, 2);
+
+  const paused = service.evaluateState(deferring, { sent: 40, bounced: 5 }, config, now + HOUR / 2);
+  assert.strictEqual(paused.action, 'paused');
+  assert.strictEqual(paused.level, config.MAX_LEVEL);
+  assert.strictEqual(paused.paused_until.getTime(), now + HOUR / 2 + config.PAUSE_HOURS * HOUR);
+  assert.strictEqual(service.evaluateState(null, { sent: 100, complained: 1 }, config, now).action, 'paused');
+
+  // Recovery counts from the end of the pause, not from when it started.
+  const afterPause = paused.paused_until.getTime();
+  assert.strictEqual(service.evaluateState(paused, clean, config, afterPause + HOUR).action, null);
+  const recovered = service.evaluateState(paused, clean, config, afterPause + config.RECOVERY_HOURS * HOUR);
+  assert.strictEqual(recovered.action, 'recovered');
+  assert.strictEqual(recovered.level, config.MAX_LEVEL - 1);
+  assert.strictEqual(recovered.paused_until, null);
+
+  const last = service.evaluateState({ level: 1, reason: 'x', changed_at: new Date(now) }, clean, config, now + config.RECOVERY_HOURS * HOUR);
+  assert.deepStrictEqual([last.level, last.reason], [0, null]);
+});
+
+// A pool that keeps counters in memory and implements the conditional upsert.
+function counterPool({ states = [], senders = [] } = {}) {
+  const counters = new Map();
+  const k = (p) => `${p[0]}|${p[1]}|${new Date(p[2]).toISOString()}`;
+  return {
+    counters,
+    query: async (sql, params) => {
+      if (/FROM send_throttle_state/.test(sql)) return { rows: states };
+      if (/FROM sending_domains/.test(sql)) return { rows: senders };
+      if (/INSERT INTO recipient_domains/.test(sql)) return { rows: [] };
+      if (/INSERT INTO send_throttle_counters/.test(sql)) {
+        const n = counters.get(k(params)) || 0;
+        if (n >= params[3]) return { rows: [] };
+        counters.set(k(params), n + 1);
+        return { rows: [{ sent: n + 1 }] };
+      }
+      if (/UPDATE send_throttle_counters/.test(sql)) {
+        counters.set(k(params), Math.max(0, (counters.get(k(params)) || 0) - 1));
+        return { rows: [] };
+      }
+      throw new Error(`unexpected query: ${sql}`);
+    },
+  };
+}
+
+test('acquire takes a slot per counter, gives them back when one is full', async () => {
+  const now = Date.parse('2026-10-19T15:10:00Z');
+  const from = 'Arthur <connect@canadaaccountants.app>';
+  const pool = counterPool({
+    states: [{ scope: 'domain', key: 'hotmail.ca', level: 0, hourly_cap_override: 2 }],
+    senders: [{ domain: 'canadaaccountants.app', warmup_started_on: '2026-10-19', warmup_schedule: [[1, 3], [2, null]] }],
+  });
+
+  const first = await service.acquire(pool, config, { email: 'a@hotmail.ca', from, now });
+  assert.strictEqual(first.ok, true);
+  assert.strictEqual(first.provider, 'microsoft');
+  assert.deepStrictEqual(first.slots.map((s) => s.scope), ['sender', 'provider', 'domain']);
+  assert.strictEqual((await service.acquire(pool, config, { email: 'b@hotmail.ca', from, now })).ok, true);
+
+  // Domain override of 2/hour is used up; the sender and provider slots taken
+  // on the way are returned.
+  const third = await service.acquire(pool, config, { email: 'c@hotmail.ca', from, now });
+  assert.deepStrictEqual([third.ok, third.scope, third.key], [false, 'domain', 'hotmail.ca']);
+  const sentTo = (scope, key) => [...pool.counters].filter(([c]) => c.startsWith(`${scope}|${key}|`)).reduce((n, [, v]) => n + v, 0);
+  assert.strictEqual(sentTo('sender', 'canadaaccountants.app'), 2);
+  assert.strictEqual(sentTo('provider', 'microsoft'), 2);
+
+  // Warmup day 1 allows 3 a day across all recipients.
+  const other = await service.acquire(pool, config, { email: 'd@gmail.com', from, now });
+  assert.strictEqual(other.ok, true);
+  const overWarmup = await service.acquire(pool, config, { email: 'e@gmail.com', from, now });
+  assert.deepStrictEqual([overWarmup.ok, overWarmup.scope], [false, 'sender']);
+  assert.match(overWarmup.reason, /warmup day 1: 3\/day/);
+
+  await service.release(pool, other.slots);
+  assert.strictEqual((await service.acquire(pool, config, { email: 'e@gmail.com', from, now })).ok, true);
+  service.invalidate(pool);
+});
@@ -48,6 +48,7 @@ test('flag off: dry run only, zero sends, zero evidence rows', async () => {
   assert.strictEqual(results.sent, 0);
   assert.strictEqual(results.wouldSend, 2);
   assert.ok(!pool.calls.some(c => /INSERT INTO webinar_invite_log/.test(c.sql)), 'no evidence row on dry run');
+  assert.strictEqual(pool.calls.filter(c => /INSERT INTO send_decisions/.test(c.sql)).length, 2, 'each dry run recorded as a send decision');
 });
 
 test('missing basis or evidence skips loud', async () => {